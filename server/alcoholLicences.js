@@ -0,0 +1,222 @@
+// ─── Zezwolenia na obrót napojami alkoholowymi (client_licences) ────────────
+
+// Hurtownik sprzedaje alkohol только klientom с действующим zezwoleniem нужной
+// kategorii (ustawa o wychowaniu w trzeźwości, art. 9 i 18):
+//   A — do 4,5% alkoholu oraz piwo, B — powyżej 4,5% do 18% (z wyjątkiem piwa),
+//   C — powyżej 18%.
+// Kategoria towaru — по zawartości alkoholu z kartoteki (working_sheets.zawartosc_alkoholu),
+// без неё — по typ: вина и ferment → B, bezalkoholowe и aksesoria — без zezwolenia.
+
+const KATEGORIE_ALKOHOLU = ['A', 'B', 'C'];
+
+const KATEGORIE_ALKOHOLU_LABELS = {
+  A: 'do 4,5% oraz piwo',
+  B: 'powyżej 4,5% do 18% (z wyjątkiem piwa)',
+  C: 'powyżej 18%',
+};
+
+// Rodzaj zezwolenia klienta: hurt, sklep (poza miejscem sprzedaży), gastronomia
+const RODZAJE_ZEZWOLEN = ['hurt', 'detal', 'gastronomia'];
+
+const RODZAJE_ZEZWOLEN_LABELS = {
+  hurt: 'Obrót hurtowy',
+  detal: 'Sprzedaż detaliczna (poza miejscem sprzedaży)',
+  gastronomia: 'Gastronomia (w miejscu sprzedaży)',
+};
+
+// Blokada — zamówienie/faktura odrzucana; ostrzeżenie — можно подтвердить (zezwolenie_potwierdzone)
+const LICENCE_MODES = {
+  BLOKADA: 'blokada',
+  OSTRZEZENIE: 'ostrzezenie',
+};
+
+const TYPY_BEZ_ZEZWOLENIA = ['bezalkoholowe', 'aksesoria'];
+
+// Napój alkoholowy — powyżej 0,5% alkoholu
+const PROG_NAPOJU_ALKOHOLOWEGO = 0.5;
+
+// ZEZWOLENIA_TRYB=blokada|ostrzezenie (domyślnie blokada)
+function parseLicenceMode(value) {
+  return String(value || '').trim().toLowerCase() === LICENCE_MODES.OSTRZEZENIE
+    ? LICENCE_MODES.OSTRZEZENIE
+    : LICENCE_MODES.BLOKADA;
+}
+
+// '' / null → null, иначе число 0..100 (% obj.); NaN — błąd
+function parseZawartoscAlkoholu(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const n = Number(String(value).trim().replace(',', '.'));
+  return Number.isFinite(n) && n >= 0 && n <= 100 ? Math.round(n * 100) / 100 : NaN;
+}
+
+// { typ, zawartosc_alkoholu } → 'A' | 'B' | 'C' | null (bez zezwolenia)
+function alcoholCategory(product) {
+  const zawartosc = product && product.zawartosc_alkoholu != null ? Number(product.zawartosc_alkoholu) : null;
+  if (zawartosc !== null && Number.isFinite(zawartosc)) {
+    if (zawartosc <= PROG_NAPOJU_ALKOHOLOWEGO) return null;
+    if (zawartosc <= 4.5) return 'A';
+    if (zawartosc <= 18) return 'B';
+    return 'C';
+  }
+  const typ = String((product && product.typ) || '').toLowerCase();
+  if (!typ || TYPY_BEZ_ZEZWOLENIA.includes(typ)) return null;
+  return 'B';
+}
+
+// "A,C" / ['a','c'] → ['A','C'] (без повторов, по порядку kategorii)
+function parseKategorie(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/);
+  const wanted = new Set(list.map((item) => String(item || '').trim().toUpperCase()).filter(Boolean));
+  return KATEGORIE_ALKOHOLU.filter((kategoria) => wanted.has(kategoria));
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Тело POST / PUT /api/client-licences → { value } или { error, errors }
+function validateLicenceInput(body = {}) {
+  const errors = [];
+  const text = (value) => {
+    const trimmed = String(value == null ? '' : value).trim();
+    return trimmed || null;
+  };
+
+  const numer = text(body.numer);
+  if (!numer) errors.push('Numer zezwolenia jest wymagany');
+  if (numer && numer.length > 60) errors.push('Numer zezwolenia może mieć najwyżej 60 znaków');
+
+  const rodzaj = text(body.rodzaj) || 'hurt';
+  if (!RODZAJE_ZEZWOLEN.includes(rodzaj)) errors.push('Nieznany rodzaj zezwolenia');
+
+  const rawKategorie = Array.isArray(body.kategorie) ? body.kategorie : String(body.kategorie || '').split(/[,;\s]+/);
+  const kategorie = parseKategorie(rawKategorie);
+  if (kategorie.length === 0) errors.push('Wybierz co najmniej jedną kategorię (A, B, C)');
+  if (rawKategorie.some((item) => String(item || '').trim() && !KATEGORIE_ALKOHOLU.includes(String(item).trim().toUpperCase()))) {
+    errors.push('Kategorie zezwolenia: A, B lub C');
+  }
+
+  const dataOd = text(body.data_od);
+  const dataDo = text(body.data_do);
+  if (dataOd && !DATE_PATTERN.test(dataOd)) errors.push('Nieprawidłowa data początku ważności');
+  if (!dataDo) errors.push('Data końca ważności jest wymagana');
+  else if (!DATE_PATTERN.test(dataDo)) errors.push('Nieprawidłowa data końca ważności');
+  if (dataOd && dataDo && DATE_PATTERN.test(dataOd) && DATE_PATTERN.test(dataDo) && dataOd > dataDo) {
+    errors.push('Data początku ważności jest późniejsza niż data końca');
+  }
+
+  if (errors.length > 0) {
+    return { error: 'Dane zezwolenia są nieprawidłowe', errors };
+  }
+  return {
+    value: {
+      numer,
+      rodzaj,
+      kategorie: kategorie.join(','),
+      data_od: dataOd,
+      data_do: dataDo,
+      uwagi: text(body.uwagi),
+    },
+  };
+}
+
+function isLicenceValidOn(licence, date) {
+  return (!licence.data_od || licence.data_od <= date) && licence.data_do >= date;
+}
+
+// 'wazne' | 'wygasle' | 'przyszle' na dzień date
+function licenceStatus(licence, date) {
+  if (licence.data_do < date) return 'wygasle';
+  if (licence.data_od && licence.data_od > date) return 'przyszle';
+  return 'wazne';
+}
+
+// Позиции документа [{ kod, nazwa, kategoria }] + zezwolenia klienta → naruszenia
+// [{ kod, nazwa, kategoria, komunikat }]; date — data zamówienia / faktury (YYYY-MM-DD)
+function findLicenceViolations(lines, licences, date) {
+  const valid = licences.filter((licence) => isLicenceValidOn(licence, date));
+  const covered = new Set(valid.flatMap((licence) => parseKategorie(licence.kategorie)));
+
+  const byCategory = new Map();
+  lines.forEach((line) => {
+    if (!line.kategoria || covered.has(line.kategoria)) return;
+    if (!byCategory.has(line.kategoria)) byCategory.set(line.kategoria, []);
+    if (!byCategory.get(line.kategoria).some((item) => item.kod === line.kod)) {
+      byCategory.get(line.kategoria).push(line);
+    }
+  });
+
+  const violations = [];
+  byCategory.forEach((categoryLines, kategoria) => {
+    // Последнее zezwolenie этой kategorii — чтобы подсказать, что оно wygasło
+    const expired = licences
+      .filter((licence) => parseKategorie(licence.kategorie).includes(kategoria) && licence.data_do < date)
+      .sort((a, b) => b.data_do.localeCompare(a.data_do))[0];
+    const future = licences
+      .filter((licence) => parseKategorie(licence.kategorie).includes(kategoria) && licence.data_od && licence.data_od > date)
+      .sort((a, b) => a.data_od.localeCompare(b.data_od))[0];
+    let powod;
+    if (expired) powod = `zezwolenie ${expired.numer} wygasło ${expired.data_do}`;
+    else if (future) powod = `zezwolenie ${future.numer} obowiązuje od ${future.data_od}`;
+    else powod = `brak zezwolenia kat. ${kategoria}`;
+    categoryLines.forEach((line) => {
+      violations.push({
+        kod: line.kod,
+        nazwa: line.nazwa,
+        kategoria,
+        komunikat: `${line.kod}: kat. ${kategoria} (${KATEGORIE_ALKOHOLU_LABELS[kategoria]}) — ${powod}`,
+      });
+    });
+  });
+  return violations;
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+// Lista «wygasające zezwolenia»: zezwolenia, которые wygasły или wygasają в ближайшие
+// dni дней, без тех, что уже zastąpione новым zezwoleniem klienta на те же kategorie.
+// rows — [{ id, client_id, klient, numer, rodzaj, kategorie, data_od, data_do, ... }]
+function buildExpiringLicencesReport(rows, today, dni) {
+  const pozycje = rows
+    .filter((licence) => daysBetween(today, licence.data_do) <= dni)
+    .filter((licence) => {
+      const kategorie = parseKategorie(licence.kategorie);
+      return !rows.some((other) => (
+        other.id !== licence.id
+        && other.client_id === licence.client_id
+        && other.data_do > licence.data_do
+        && other.data_do >= today
+        && kategorie.every((kategoria) => parseKategorie(other.kategorie).includes(kategoria))
+      ));
+    })
+    .map((licence) => {
+      const dniDoKonca = daysBetween(today, licence.data_do);
+      return { ...licence, dni_do_konca: dniDoKonca, wygasle: dniDoKonca < 0 };
+    })
+    .sort((a, b) => a.dni_do_konca - b.dni_do_konca || String(a.klient).localeCompare(String(b.klient)));
+
+  return {
+    pozycje,
+    podsumowanie: {
+      zezwolenia: pozycje.length,
+      wygasle: pozycje.filter((licence) => licence.wygasle).length,
+      klienci: new Set(pozycje.map((licence) => licence.client_id)).size,
+    },
+  };
+}
+
+module.exports = {
+  KATEGORIE_ALKOHOLU,
+  KATEGORIE_ALKOHOLU_LABELS,
+  RODZAJE_ZEZWOLEN,
+  RODZAJE_ZEZWOLEN_LABELS,
+  LICENCE_MODES,
+  parseLicenceMode,
+  parseZawartoscAlkoholu,
+  alcoholCategory,
+  parseKategorie,
+  validateLicenceInput,
+  licenceStatus,
+  findLicenceViolations,
+  buildExpiringLicencesReport,
+};
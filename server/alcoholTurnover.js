@@ -0,0 +1,167 @@
+const {
+  KATEGORIE_ALKOHOLU,
+  KATEGORIE_ALKOHOLU_LABELS,
+  RODZAJE_ZEZWOLEN,
+  alcoholCategory,
+  parseKategorie,
+} = require('./alcoholLicences');
+
+// ─── Sprawozdanie z obrotu hurtowego napojami alkoholowymi ──────────────────
+
+// Раз в год hurtownik подаёт ilość napojów alkoholowych sprzedanych в litrach,
+// в разбивке по kategoriach (A, B, C) и по odbiorcach — по rodzaju zezwolenia
+// klienta на дату sprzedaży. Źródło — wydania (order_products zamówień typu
+// 'sprzedaz') минус zwroty от klientów в том же roku.
+
+const ODBIORCA_BEZ_ZEZWOLENIA = 'bez_zezwolenia';
+
+const ODBIORCY = [...RODZAJE_ZEZWOLEN, ODBIORCA_BEZ_ZEZWOLENIA];
+
+const ODBIORCY_LABELS = {
+  hurt: 'Przedsiębiorcy posiadający zezwolenie na obrót hurtowy',
+  detal: 'Przedsiębiorcy prowadzący sprzedaż detaliczną',
+  gastronomia: 'Przedsiębiorcy prowadzący sprzedaż w miejscu sprzedaży (gastronomia)',
+  [ODBIORCA_BEZ_ZEZWOLENIA]: 'Pozostali odbiorcy (eksport, bez zezwolenia)',
+};
+
+// "0,75" / "0.75 l" / "750 ml" / 0.75 → litry; null — brak lub błąd
+function parseObjetoscLitry(value) {
+  if (value === undefined || value === null) return null;
+  const match = String(value).trim().toLowerCase().replace(',', '.').match(/^(\d+(?:\.\d+)?)\s*(ml|l)?$/);
+  if (!match) return null;
+  const amount = Number(match[1]) / (match[2] === 'ml' ? 1000 : 1);
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+// ?rok= → число от 2000 до bieżącego roku; null — błąd
+function parseReportYear(value, today) {
+  const currentYear = Number(String(today).slice(0, 4));
+  if (value === undefined || value === null || String(value).trim() === '') return currentYear - 1;
+  const rok = Number(String(value).trim());
+  return Number.isInteger(rok) && rok >= 2000 && rok <= currentYear ? rok : null;
+}
+
+const roundLitry = (value) => Math.round(value * 100) / 100;
+
+// Rodzaj zezwolenia klienta, покрывающего kategorię на дату; при нескольких — по
+// порядку RODZAJE_ZEZWOLEN (hurt раньше detal)
+function licenceRecipient(licences, kategoria, date) {
+  const rodzaje = licences
+    .filter((licence) => (!licence.data_od || licence.data_od <= date) && licence.data_do >= date)
+    .filter((licence) => parseKategorie(licence.kategorie).includes(kategoria))
+    .map((licence) => licence.rodzaj);
+  return RODZAJE_ZEZWOLEN.find((rodzaj) => rodzaje.includes(rodzaj)) || ODBIORCA_BEZ_ZEZWOLENIA;
+}
+
+const emptyCategories = () => Object.fromEntries(KATEGORIE_ALKOHOLU.map((kategoria) => [kategoria, 0]));
+
+// lines — [{ client_id, zezwolenie_niewymagane, kod, nazwa, typ, zawartosc_alkoholu, objetosc,
+//            ilosc (zwroty — ujemne), data (YYYY-MM-DD) }] уже за выбранный rok;
+// licences — [{ client_id, rodzaj, kategorie, data_od, data_do }]
+function buildAlcoholTurnoverReport(rok, lines, licences) {
+  const licencesByClient = new Map();
+  licences.forEach((licence) => {
+    if (!licencesByClient.has(licence.client_id)) licencesByClient.set(licence.client_id, []);
+    licencesByClient.get(licence.client_id).push(licence);
+  });
+
+  const tabela = Object.fromEntries(ODBIORCY.map((odbiorca) => [odbiorca, emptyCategories()]));
+  const towary = new Map();
+  const bezObjetosci = new Map();
+
+  lines.forEach((line) => {
+    const kategoria = alcoholCategory(line);
+    if (!kategoria) return;
+    const ilosc = Number(line.ilosc) || 0;
+    const litryButelki = parseObjetoscLitry(line.objetosc);
+    if (litryButelki === null) {
+      const brak = bezObjetosci.get(line.kod) || { kod: line.kod, nazwa: line.nazwa, sztuki: 0 };
+      brak.sztuki += ilosc;
+      bezObjetosci.set(line.kod, brak);
+      return;
+    }
+
+    const odbiorca = line.client_id && !line.zezwolenie_niewymagane
+      ? licenceRecipient(licencesByClient.get(line.client_id) || [], kategoria, line.data)
+      : ODBIORCA_BEZ_ZEZWOLENIA;
+    const litry = ilosc * litryButelki;
+    tabela[odbiorca][kategoria] += litry;
+
+    const towar = towary.get(line.kod) || {
+      kod: line.kod,
+      nazwa: line.nazwa,
+      kategoria,
+      zawartosc_alkoholu: line.zawartosc_alkoholu != null ? Number(line.zawartosc_alkoholu) : null,
+      objetosc: litryButelki,
+      sztuki: 0,
+      litry: 0,
+    };
+    towar.sztuki += ilosc;
+    towar.litry += litry;
+    towary.set(line.kod, towar);
+  });
+
+  const razem = emptyCategories();
+  const wiersze = ODBIORCY.map((odbiorca) => {
+    const row = { odbiorca, opis: ODBIORCY_LABELS[odbiorca], razem: 0 };
+    KATEGORIE_ALKOHOLU.forEach((kategoria) => {
+      row[kategoria] = roundLitry(tabela[odbiorca][kategoria]);
+      row.razem += tabela[odbiorca][kategoria];
+      razem[kategoria] += tabela[odbiorca][kategoria];
+    });
+    row.razem = roundLitry(row.razem);
+    return row;
+  });
+
+  const pozycje = [...towary.values()]
+    .map((towar) => ({ ...towar, litry: roundLitry(towar.litry) }))
+    .sort((a, b) => a.kategoria.localeCompare(b.kategoria) || String(a.nazwa).localeCompare(String(b.nazwa)));
+
+  return {
+    rok,
+    kategorie: KATEGORIE_ALKOHOLU.map((kategoria) => ({ kategoria, opis: KATEGORIE_ALKOHOLU_LABELS[kategoria] })),
+    wiersze,
+    razem: {
+      ...Object.fromEntries(KATEGORIE_ALKOHOLU.map((kategoria) => [kategoria, roundLitry(razem[kategoria])])),
+      razem: roundLitry(KATEGORIE_ALKOHOLU.reduce((sum, kategoria) => sum + razem[kategoria], 0)),
+    },
+    pozycje,
+    // Towary alkoholowe без objętości не попадают в litry — их нужно uzupełnić в kartotece
+    bez_objetosci: [...bezObjetosci.values()].filter((brak) => brak.sztuki !== 0),
+    bez_zawartosci: pozycje.filter((towar) => towar.zawartosc_alkoholu === null).map((towar) => towar.kod),
+  };
+}
+
+// Arkusz «Sprawozdanie» (układ formularza: odbiorcy × kategorie, litry) и «Towary»
+function alcoholTurnoverSheets(report, company = {}) {
+  const header = ['Wyszczególnienie', ...report.kategorie.map((item) => `Kat. ${item.kategoria}: ${item.opis}`), 'Razem'];
+  const sprawozdanie = [
+    [`Informacja o ilości napojów alkoholowych sprzedanych w obrocie hurtowym w roku ${report.rok} (w litrach)`],
+    [`Przedsiębiorca: ${company.nazwa || ''}`],
+    [`Adres: ${company.adres || ''}`],
+    [`NIP: ${company.nip || ''}`],
+    [],
+    header,
+    ...report.wiersze.map((row) => [row.opis, ...KATEGORIE_ALKOHOLU.map((kategoria) => row[kategoria]), row.razem]),
+    ['Razem', ...KATEGORIE_ALKOHOLU.map((kategoria) => report.razem[kategoria]), report.razem.razem],
+  ];
+  const towary = report.pozycje.map((towar) => ({
+    Kod: towar.kod,
+    Nazwa: towar.nazwa,
+    Kategoria: towar.kategoria,
+    'Alkohol (% obj.)': towar.zawartosc_alkoholu ?? '',
+    'Objętość (l)': towar.objetosc,
+    Sztuki: towar.sztuki,
+    Litry: towar.litry,
+  }));
+  return { sprawozdanie, towary };
+}
+
+module.exports = {
+  ODBIORCY,
+  ODBIORCY_LABELS,
+  parseObjetoscLitry,
+  parseReportYear,
+  buildAlcoholTurnoverReport,
+  alcoholTurnoverSheets,
+};
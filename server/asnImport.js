@@ -0,0 +1,282 @@
+const { normalizeBarcode } = require('./barcodes');
+const { normalizeExpiryDate } = require('./batchExpiry');
+
+// ─── Awizo dostawy (ASN) z WMS lub od dostawcy ──────────────────────────────
+
+// ASN приходит как CSV (первая строка — заголовки) или JSON: массив позиций либо
+// { sprzedawca, numer, data, pozycje: [...] }. Названия полей — польские или английские.
+const LINE_FIELDS = {
+  ean: ['ean', 'kod_kreskowy', 'barcode', 'gtin'],
+  kod: ['kod', 'sku', 'kod_produktu', 'indeks', 'code'],
+  nazwa: ['nazwa', 'name', 'opis', 'description', 'product'],
+  ilosc: ['ilosc', 'quantity', 'qty', 'shipped', 'shippedquantity', 'ilosc_wyslana'],
+  ilosc_zamowiona: ['ilosc_zamowiona', 'zamowiono', 'ordered', 'orderedquantity'],
+  cena: ['cena', 'price', 'unitprice', 'cena_netto'],
+  data_waznosci: ['data_waznosci', 'termin_waznosci', 'expiry', 'expirydate', 'bestbefore'],
+};
+
+const HEADER_FIELDS = {
+  sprzedawca: ['sprzedawca', 'dostawca', 'supplier', 'vendor'],
+  numer: ['numer', 'numer_dokumentu', 'number', 'asnnumber', 'documentnumber'],
+  data: ['data', 'date', 'data_dostawy', 'deliverydate', 'shipdate'],
+  pozycje: ['pozycje', 'items', 'lines', 'products'],
+};
+
+// "Ilość zamówiona" → "ilosczamowiona": без регистра, диакритики и разделителей
+const normalizeText = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/ł/g, 'l');
+
+const normalizeKey = (key) => normalizeText(key).replace(/[^a-z0-9]/g, '');
+
+// Значение первого из синонимов поля, присутствующего в объекте
+function pickField(source, aliases) {
+  const byKey = new Map(Object.keys(source || {}).map((key) => [normalizeKey(key), key]));
+  for (const alias of aliases) {
+    const key = byKey.get(normalizeKey(alias));
+    if (key !== undefined && source[key] !== null && source[key] !== undefined && String(source[key]).trim() !== '') {
+      return source[key];
+    }
+  }
+  return null;
+}
+
+// "1 234,50" / "1.234,50" / "1234.5" → число; null — пусто или не число
+function parseAsnNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  let s = String(value).trim().replace(/\s/g, '');
+  if (s.includes(',') && s.includes('.')) {
+    s = s.lastIndexOf(',') > s.lastIndexOf('.') ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  } else {
+    s = s.replace(',', '.');
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// YYYY-MM-DD или DD.MM.YYYY / DD-MM-YYYY / DD/MM/YYYY → YYYY-MM-DD
+function parseAsnDate(value) {
+  const text = String(value || '').trim();
+  const dmy = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(text);
+  if (dmy) {
+    return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+  }
+  return normalizeExpiryDate(text);
+}
+
+// ─── CSV ────────────────────────────────────────────────────────────────────
+
+// Разделитель — тот из ; , TAB, которого больше всего в строке заголовков
+function detectDelimiter(headerLine) {
+  const counts = [';', ',', '\t'].map((sep) => [sep, headerLine.split(sep).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+// RFC 4180: поля в кавычках могут содержать разделитель, перевод строки и "" как кавычку
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function parseAsnCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const rows = parseCsvRows(text, detectDelimiter(firstLine));
+  if (rows.length < 2) {
+    return { error: 'Plik CSV musi zawierać wiersz nagłówków i co najmniej jedną pozycję' };
+  }
+  const [headers, ...dataRows] = rows;
+  const lines = dataRows.map((cells) => Object.fromEntries(headers.map((header, idx) => [header.trim(), (cells[idx] || '').trim()])));
+  return { header: {}, lines };
+}
+
+function parseAsnJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { error: `Nieprawidłowy JSON: ${err.message}` };
+  }
+  if (Array.isArray(data)) {
+    return { header: {}, lines: data };
+  }
+  const lines = data && typeof data === 'object' ? pickField(data, HEADER_FIELDS.pozycje) : null;
+  if (!Array.isArray(lines)) {
+    return { error: 'JSON awizo musi być tablicą pozycji lub obiektem z polem "pozycje" / "items"' };
+  }
+  return { header: data, lines };
+}
+
+// Текст файла ASN → { value: { sprzedawca, numer, data, lines } } или { error }.
+// lines — [{ nr, ean, kod, nazwa, ilosc, ilosc_zamowiona, cena, data_waznosci }]
+function parseAsn(text, fileName = '') {
+  const content = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!content) {
+    return { error: 'Plik awizo jest pusty' };
+  }
+  const isJson = /\.json$/i.test(fileName) || content.startsWith('[') || content.startsWith('{');
+  const parsed = isJson ? parseAsnJson(content) : parseAsnCsv(content);
+  if (parsed.error) return parsed;
+
+  const errors = [];
+  const lines = [];
+  parsed.lines.forEach((raw, idx) => {
+    const nr = idx + 1;
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`Pozycja ${nr}: nieprawidłowy format`);
+      return;
+    }
+    const ean = normalizeBarcode(pickField(raw, LINE_FIELDS.ean)) || null;
+    const kod = String(pickField(raw, LINE_FIELDS.kod) || '').trim() || null;
+    const nazwa = String(pickField(raw, LINE_FIELDS.nazwa) || '').trim();
+    const ilosc = parseAsnNumber(pickField(raw, LINE_FIELDS.ilosc));
+    const iloscZamowiona = parseAsnNumber(pickField(raw, LINE_FIELDS.ilosc_zamowiona));
+    if (!ean && !kod && !nazwa) {
+      errors.push(`Pozycja ${nr}: brak EAN, kodu i nazwy`);
+      return;
+    }
+    if (ilosc === null || ilosc < 0 || !Number.isInteger(ilosc)) {
+      errors.push(`Pozycja ${nr}: ilość musi być liczbą całkowitą ≥ 0`);
+      return;
+    }
+    lines.push({
+      nr,
+      ean,
+      kod,
+      nazwa,
+      ilosc,
+      ilosc_zamowiona: iloscZamowiona !== null && iloscZamowiona >= 0 ? iloscZamowiona : null,
+      cena: parseAsnNumber(pickField(raw, LINE_FIELDS.cena)),
+      data_waznosci: parseAsnDate(pickField(raw, LINE_FIELDS.data_waznosci)),
+    });
+  });
+  if (errors.length > 0) {
+    return { error: 'Awizo zawiera błędne pozycje', errors };
+  }
+  if (lines.length === 0) {
+    return { error: 'Awizo nie zawiera pozycji' };
+  }
+  const header = parsed.header || {};
+  return {
+    value: {
+      sprzedawca: String(pickField(header, HEADER_FIELDS.sprzedawca) || '').trim(),
+      numer: String(pickField(header, HEADER_FIELDS.numer) || '').trim(),
+      data: parseAsnDate(pickField(header, HEADER_FIELDS.data)),
+      lines,
+    },
+  };
+}
+
+// ─── Dopasowanie do kartoteki ───────────────────────────────────────────────
+
+const normalizeName = (value) => normalizeText(value).replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Позиция ASN → запись working_sheets: по EAN, затем по kod, затем по названию
+// (точное совпадение после нормализации или единственное вхождение).
+// → { sheet, dopasowanie: 'ean' | 'kod' | 'nazwa' } или { sheet: null, dopasowanie: null }
+function createAsnMatcher(sheets) {
+  const byEan = new Map();
+  const byKod = new Map();
+  const byName = new Map();
+  sheets.forEach((sheet) => {
+    const ean = normalizeBarcode(sheet.kod_kreskowy);
+    if (ean && !byEan.has(ean)) byEan.set(ean, sheet);
+    if (!byKod.has(sheet.kod)) byKod.set(sheet.kod, sheet);
+    const name = normalizeName(sheet.nazwa);
+    if (name) byName.set(name, [...(byName.get(name) || []), sheet]);
+  });
+
+  return (line) => {
+    if (line.ean && byEan.has(line.ean)) return { sheet: byEan.get(line.ean), dopasowanie: 'ean' };
+    if (line.kod && byKod.has(line.kod)) return { sheet: byKod.get(line.kod), dopasowanie: 'kod' };
+    const name = normalizeName(line.nazwa);
+    if (name) {
+      const exact = byName.get(name);
+      if (exact && exact.length === 1) return { sheet: exact[0], dopasowanie: 'nazwa' };
+      const partial = sheets.filter((sheet) => {
+        const sheetName = normalizeName(sheet.nazwa);
+        return sheetName && (sheetName.includes(name) || name.includes(sheetName));
+      });
+      if (partial.length === 1) return { sheet: partial[0], dopasowanie: 'nazwa' };
+    }
+    return { sheet: null, dopasowanie: null };
+  };
+}
+
+// Szkic przyjęcia dla AddProductModal: pozycje ASN, дополненные данными kartoteki,
+// и roznica = ilosc − ilosc_zamowiona (null — ASN не содержит заказанного количества)
+function buildAsnReceiptDraft(asn, sheets) {
+  const match = createAsnMatcher(sheets);
+  const products = asn.lines.map((line) => {
+    const { sheet, dopasowanie } = match(line);
+    return {
+      nr: line.nr,
+      kod: sheet ? sheet.kod : (line.kod || ''),
+      nazwa: sheet ? sheet.nazwa : line.nazwa,
+      nazwa_asn: line.nazwa,
+      kod_kreskowy: line.ean || (sheet && normalizeBarcode(sheet.kod_kreskowy)) || '',
+      ilosc: line.ilosc,
+      ilosc_zamowiona: line.ilosc_zamowiona,
+      roznica: line.ilosc_zamowiona === null ? null : line.ilosc - line.ilosc_zamowiona,
+      cena: line.cena,
+      data_waznosci: line.data_waznosci,
+      typ: sheet ? sheet.typ || '' : '',
+      objetosc: sheet && sheet.objetosc ? String(sheet.objetosc) : '',
+      dopasowanie,
+    };
+  });
+  return {
+    sprzedawca: asn.sprzedawca,
+    numer: asn.numer,
+    data: asn.data,
+    products,
+    podsumowanie: {
+      pozycje: products.length,
+      dopasowane: products.filter((p) => p.dopasowanie).length,
+      niedopasowane: products.filter((p) => !p.dopasowanie).length,
+      rozbieznosci: products.filter((p) => p.roznica !== null && p.roznica !== 0).length,
+      ilosc: products.reduce((sum, p) => sum + p.ilosc, 0),
+    },
+  };
+}
+
+module.exports = {
+  parseAsn,
+  buildAsnReceiptDraft,
+};
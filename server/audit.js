@@ -0,0 +1,115 @@
+// ─── Historia zmian dokumentów ──────────────────────────────────────────────
+
+const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  CANCEL: 'cancel',
+  PAYMENT: 'payment',
+};
+
+// Служебные поля, изменение которых само по себе не считается правкой документа
+const IGNORED_FIELDS = new Set(['created_at', 'updated_at']);
+
+const ACTION_BY_METHOD = {
+  POST: AUDIT_ACTIONS.CREATE,
+  PUT: AUDIT_ACTIONS.UPDATE,
+  PATCH: AUDIT_ACTIONS.UPDATE,
+  DELETE: AUDIT_ACTIONS.DELETE,
+};
+
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Строки позиций (товары, платежи) сравниваются как мультимножества:
+// изменённая позиция попадает в removed (старая версия) и added (новая)
+function diffLines(oldLines, newLines) {
+  const remaining = (newLines || []).map((line) => JSON.stringify(line));
+  const removed = [];
+  for (const line of oldLines || []) {
+    const idx = remaining.indexOf(JSON.stringify(line));
+    if (idx === -1) {
+      removed.push(line);
+    } else {
+      remaining.splice(idx, 1);
+    }
+  }
+  return { added: remaining.map((line) => JSON.parse(line)), removed };
+}
+
+// before/after — снимки документа (null для создания/удаления).
+// Результат: { pole: { old, new } } для скаляров и { pole: { added, removed } } для массивов.
+function diffSnapshots(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+    if (isSameValue(oldValue, newValue)) continue;
+    if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+      const lines = diffLines(oldValue, newValue);
+      if (lines.added.length > 0 || lines.removed.length > 0) diff[key] = lines;
+    } else {
+      diff[key] = { old: oldValue ?? null, new: newValue ?? null };
+    }
+  }
+  return diff;
+}
+
+// Middleware для мутирующего роута: снимок документа до обработчика и после успешного ответа.
+//   resolveIds(req, responseBody) → id | id[] | null (до обработчика responseBody === undefined;
+//     если id ещё нет — например при создании — вызывается повторно с телом ответа)
+//   loadSnapshot(id) → Promise<object | null>
+//   writeEntry({ user, entityType, entityId, action, diff }) → Promise
+function createAuditMiddleware({ entityType, action, resolveIds, loadSnapshot, writeEntry }) {
+  const toIdList = (value) => (Array.isArray(value) ? value : [value])
+    .filter((id) => id !== null && id !== undefined && id !== '');
+
+  return async (req, res, next) => {
+    const entryAction = action || ACTION_BY_METHOD[req.method] || AUDIT_ACTIONS.UPDATE;
+    let before = new Map();
+    try {
+      const ids = toIdList(await resolveIds(req));
+      for (const id of ids) {
+        before.set(String(id), await loadSnapshot(id));
+      }
+    } catch (err) {
+      console.error(`❌ Audit: error loading ${entityType} snapshot:`, err);
+      before = new Map();
+    }
+
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+      try {
+        const ids = before.size > 0
+          ? [...before.keys()]
+          : toIdList(await resolveIds(req, responseBody));
+        for (const id of ids) {
+          const after = await loadSnapshot(id);
+          const diff = diffSnapshots(before.get(String(id)) || null, after);
+          if (Object.keys(diff).length === 0) continue;
+          await writeEntry({ user: req.user, entityType, entityId: id, action: entryAction, diff });
+        }
+      } catch (err) {
+        console.error(`❌ Audit: error writing ${entityType} entry:`, err);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffSnapshots,
+  createAuditMiddleware,
+};
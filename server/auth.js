@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+// ─── Role ───────────────────────────────────────────────────────────────────
+
+const ROLES = {
+  ADMIN: 'admin',
+  MAGAZYN: 'magazyn',
+  SPRZEDAZ: 'sprzedaż',
+  PODGLAD: 'podgląd',
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// ─── Hasła ──────────────────────────────────────────────────────────────────
+
+// Формат хранения: scrypt$<salt hex>$<hash hex>
+const SCRYPT_KEYLEN = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function validatePasswordStrength(password) {
+  const value = String(password || '');
+  if (value.length < 8) return 'Hasło musi mieć co najmniej 8 znaków';
+  if (!/[A-Za-zĄąĆćĘęŁłŃńÓóŚśŹźŻż]/.test(value) || !/\d/.test(value)) {
+    return 'Hasło musi zawierać litery i cyfry';
+  }
+  return null;
+}
+
+// ─── Sesje ──────────────────────────────────────────────────────────────────
+
+const SESSION_COOKIE = 'enoterra_session';
+
+// Токен отдаётся клиенту один раз; в базе хранится только sha256
+function generateSessionToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Authorization: Bearer <token> или cookie enoterra_session (ссылки/window.open)
+function readSessionToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  const cookies = String(req.get('Cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const idx = cookie.indexOf('=');
+    if (idx !== -1 && cookie.slice(0, idx).trim() === SESSION_COOKIE) {
+      return decodeURIComponent(cookie.slice(idx + 1).trim());
+    }
+  }
+  return null;
+}
+
+function buildSessionCookie(token, maxAgeSeconds, secure) {
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`,
+    secure ? 'Secure' : null,
+  ].filter(Boolean).join('; ');
+}
+
+// ─── Blokada logowania ──────────────────────────────────────────────────────
+
+// Ключ блокировки — login + IP: чужие неудачные попытки с другого адреса
+// не блокируют настоящего пользователя (иначе любой может заблокировать admin)
+function loginThrottleKey(login, ip) {
+  return `${String(login || '').trim().toLowerCase()}|${ip || ''}`;
+}
+
+// Не более maxAttempts неудачных попыток на ключ (loginThrottleKey) в окне windowMs
+function createLoginThrottle({ maxAttempts = 5, windowMs = 15 * 60 * 1000, maxKeys = 10000 } = {}) {
+  const failures = new Map();
+
+  const recent = (key, now) => (failures.get(key) || []).filter((ts) => now - ts < windowMs);
+
+  // Ключей login+IP может быть много — устаревшие удаляем
+  const prune = (now) => {
+    for (const key of failures.keys()) {
+      if (recent(key, now).length === 0) failures.delete(key);
+    }
+  };
+
+  return {
+    isBlocked(key, now = Date.now()) {
+      return recent(key, now).length >= maxAttempts;
+    },
+    registerFailure(key, now = Date.now()) {
+      if (failures.size >= maxKeys) prune(now);
+      failures.set(key, [...recent(key, now), now]);
+    },
+    reset(key) {
+      failures.delete(key);
+    },
+  };
+}
+
+// ─── Middleware ─────────────────────────────────────────────────────────────
+
+// findSession(tokenHash) → Promise<{ id, login, imie_nazwisko, rola } | null>
+function createAuthenticate({ findSession, publicPaths = [] }) {
+  return async (req, res, next) => {
+    if (publicPaths.includes(req.path)) {
+      req.publicRoute = true;
+      return next();
+    }
+    const token = readSessionToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Wymagane logowanie' });
+    }
+    try {
+      const user = await findSession(hashSessionToken(token));
+      if (!user) {
+        return res.status(401).json({ error: 'Sesja wygasła — zaloguj się ponownie' });
+      }
+      req.user = user;
+      req.sessionTokenHash = hashSessionToken(token);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Права группы роутов: read — роли для GET, write — для POST/PUT/PATCH/DELETE.
+// Admin имеет доступ всегда.
+function requireRoles({ read = ALL_ROLES, write = [] } = {}) {
+  return (req, res, next) => {
+    req.accessChecked = true;
+    if (req.publicRoute) return next();
+    const allowed = READ_METHODS.has(req.method) ? read : write;
+    if (req.user && (req.user.rola === ROLES.ADMIN || allowed.includes(req.user.rola))) {
+      return next();
+    }
+    res.status(403).json({ error: 'Brak uprawnień do tej operacji' });
+  };
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    login: user.login,
+    imie_nazwisko: user.imie_nazwisko || null,
+    rola: user.rola,
+  };
+}
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  SESSION_COOKIE,
+  hashPassword,
+  verifyPassword,
+  validatePasswordStrength,
+  generateSessionToken,
+  hashSessionToken,
+  readSessionToken,
+  buildSessionCookie,
+  loginThrottleKey,
+  createLoginThrottle,
+  createAuthenticate,
+  requireRoles,
+  publicUser,
+};
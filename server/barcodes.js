@@ -0,0 +1,36 @@
+// ─── Kody kreskowe (EAN-8 / EAN-13) ─────────────────────────────────────────
+
+// Сканер (USB / keyboard wedge) присылает цифры как обычный ввод — иногда с
+// пробелами или переводом строки в конце, поэтому перед поиском код чистится.
+function normalizeBarcode(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\s+/g, '');
+}
+
+// Контрольная цифра GS1: веса 3 и 1 попеременно, считая справа от контрольной
+function hasValidCheckDigit(code) {
+  const digits = code.split('').map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === checkDigit;
+}
+
+// null — код корректен (или пуст), иначе текст ошибки для пользователя
+function barcodeError(value) {
+  const code = normalizeBarcode(value);
+  if (!code) return null;
+  if (!/^\d+$/.test(code) || (code.length !== 8 && code.length !== 13)) {
+    return `Kod kreskowy "${code}" musi mieć 8 lub 13 cyfr (EAN-8 / EAN-13)`;
+  }
+  if (!hasValidCheckDigit(code)) {
+    return `Kod kreskowy "${code}" ma niepoprawną cyfrę kontrolną`;
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeBarcode,
+  barcodeError,
+};
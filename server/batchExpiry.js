@@ -0,0 +1,94 @@
+// ─── Terminy ważności partii (products.data_waznosci) i FEFO ─────────────────
+
+// Партия получает data_waznosci из позиции przyjęcia. Для типов товара из
+// FEFO_TYPY (по умолчанию ferment и bezalkoholowe) списание идёт с партии с
+// ближайшим сроком (first-expiry-first-out), для остальных — FIFO по дате прихода.
+
+const DEFAULT_FEFO_TYPES = ['ferment', 'bezalkoholowe'];
+
+const CONSUMPTION_MODES = {
+  FIFO: 'fifo',
+  FEFO: 'fefo',
+};
+
+// FEFO_TYPY=ferment,bezalkoholowe; пустое значение выключает FEFO
+function parseFefoTypes(value) {
+  if (value === undefined || value === null) return [...DEFAULT_FEFO_TYPES];
+  return String(value)
+    .split(',')
+    .map((typ) => typ.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function consumptionModeForTyp(typ, fefoTypes) {
+  return fefoTypes.includes(String(typ || '').toLowerCase()) ? CONSUMPTION_MODES.FEFO : CONSUMPTION_MODES.FIFO;
+}
+
+// Дата из формы / JSON przyjęcia → 'YYYY-MM-DD' или null. Старые przyjęcia
+// хранят dataWaznosci числом (unix-секунды) — так же читает ReceiptDetailsModal.
+function normalizeExpiryDate(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+    return new Date(value * 1000).toISOString().slice(0, 10);
+  }
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value || '').trim());
+  return match ? match[1] : null;
+}
+
+// ORDER BY для выборки партий к списанию; партии без срока в FEFO идут последними
+function batchOrderSql(mode) {
+  return mode === CONSUMPTION_MODES.FEFO
+    ? 'ORDER BY data_waznosci IS NULL, data_waznosci ASC, created_at ASC, id ASC'
+    : 'ORDER BY created_at ASC, id ASC';
+}
+
+// Тот же порядок для пересчёта в памяти (stockReconcile.js)
+function compareBatchesForConsumption(mode) {
+  const byReceipt = (a, b) => {
+    const byDate = String(a.created_at || '').localeCompare(String(b.created_at || ''));
+    return byDate !== 0 ? byDate : a.id - b.id;
+  };
+  if (mode !== CONSUMPTION_MODES.FEFO) return byReceipt;
+  return (a, b) => {
+    if (!a.data_waznosci !== !b.data_waznosci) return a.data_waznosci ? -1 : 1;
+    const byExpiry = String(a.data_waznosci || '').localeCompare(String(b.data_waznosci || ''));
+    return byExpiry !== 0 ? byExpiry : byReceipt(a, b);
+  };
+}
+
+function daysBetween(fromDate, toDate) {
+  const from = Date.parse(`${fromDate}T00:00:00Z`);
+  const to = Date.parse(`${toDate}T00:00:00Z`);
+  return Math.round((to - from) / 86400000);
+}
+
+// Raport «kończy się termin»: партии с остатком, срок которых истёк или истекает
+// в ближайшие dni дней. batches [{id, kod, nazwa, ilosc_aktualna, data_waznosci, ...}]
+function buildExpiryReport(batches, today, dni) {
+  const pozycje = batches
+    .filter((batch) => (Number(batch.ilosc_aktualna) || 0) > 0 && normalizeExpiryDate(batch.data_waznosci))
+    .map((batch) => {
+      const dniDoKonca = daysBetween(today, normalizeExpiryDate(batch.data_waznosci));
+      return { ...batch, dni_do_konca: dniDoKonca, przeterminowana: dniDoKonca < 0 };
+    })
+    .filter((batch) => batch.dni_do_konca <= dni)
+    .sort((a, b) => a.dni_do_konca - b.dni_do_konca || String(a.kod).localeCompare(String(b.kod)));
+
+  return {
+    pozycje,
+    podsumowanie: {
+      partie: pozycje.length,
+      przeterminowane: pozycje.filter((batch) => batch.przeterminowana).length,
+      ilosc: pozycje.reduce((sum, batch) => sum + (Number(batch.ilosc_aktualna) || 0), 0),
+    },
+  };
+}
+
+module.exports = {
+  CONSUMPTION_MODES,
+  parseFefoTypes,
+  consumptionModeForTyp,
+  normalizeExpiryDate,
+  batchOrderSql,
+  compareBatchesForConsumption,
+  buildExpiryReport,
+};
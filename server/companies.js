@@ -0,0 +1,206 @@
+const { normalizeNip, isValidNip } = require('./taxIds');
+const { cleanSupplierName, supplierNameKey } = require('./suppliers');
+
+// ─── Firmy (companies) ──────────────────────────────────────────────────────
+
+// Każda firma — отдельный комплект данных: przyjęcia, zamówienia, faktury,
+// rezerwacje, zamówienia zakupu и kartoteka towarów (working_sheets) несут
+// company_id. Активная firma хранится в сессии (user_sessions.company_id);
+// без выбора — firma domyślna (najmniejsze id). Первая firma создаётся из SELLER_*.
+
+const COMPANY_COLUMNS = [
+  'nazwa', 'skrot', 'nip', 'adres', 'bank', 'konto', 'miejsce_wystawienia',
+  'kod_urzedu', 'wojewodztwo', 'powiat', 'gmina', 'email',
+  'seria_faktur', 'seria_korekt', 'aliasy', 'aktywna',
+];
+
+const DEFAULT_SERIE = { FAKTURY: 'FS', KOREKTY: 'KOR' };
+
+// Logo для nagłówków PDF: pdf-lib умеет только JPG и PNG
+const COMPANY_LOGO_TYPES = ['image/jpeg', 'image/png'];
+const COMPANY_LOGO_MAX_BYTES = 1024 * 1024;
+
+const SERIA_PATTERN = /^[A-Z][A-Z0-9-]{0,9}$/;
+
+// "Win Experience\nENOTERRA POLAND" / "a; b" → ['Win Experience', 'ENOTERRA POLAND']
+function parseAliasy(value) {
+  return String(value || '')
+    .split(/[\n;]/)
+    .map((alias) => alias.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Тело POST / PUT /api/companies → { value } или { error, errors }
+function validateCompanyInput(body = {}) {
+  const errors = [];
+  const text = (value) => {
+    const trimmed = String(value == null ? '' : value).trim();
+    return trimmed || null;
+  };
+
+  const nazwa = text(body.nazwa);
+  if (!nazwa) errors.push('Nazwa firmy jest wymagana');
+  if (nazwa && nazwa.length > 200) errors.push('Nazwa firmy może mieć najwyżej 200 znaków');
+
+  const skrot = text(body.skrot);
+  if (skrot && skrot.length > 30) errors.push('Skrót może mieć najwyżej 30 znaków');
+
+  const nip = text(body.nip);
+  if (nip && !isValidNip(nip)) errors.push('Nieprawidłowy NIP (błędna suma kontrolna)');
+
+  const email = text(body.email);
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('Nieprawidłowy adres e-mail');
+
+  const kodUrzedu = text(body.kod_urzedu);
+  if (kodUrzedu && !/^\d{4}$/.test(kodUrzedu)) errors.push('Kod urzędu skarbowego musi mieć 4 cyfry');
+
+  const seriaFaktur = String(text(body.seria_faktur) || DEFAULT_SERIE.FAKTURY).toUpperCase();
+  const seriaKorekt = String(text(body.seria_korekt) || DEFAULT_SERIE.KOREKTY).toUpperCase();
+  if (!SERIA_PATTERN.test(seriaFaktur) || !SERIA_PATTERN.test(seriaKorekt)) {
+    errors.push('Seria numeracji: 1–10 znaków (litery, cyfry, "-"), zaczyna się literą');
+  } else if (seriaFaktur === seriaKorekt) {
+    errors.push('Serie faktur i korekt muszą być różne');
+  }
+
+  if (errors.length > 0) {
+    return { error: 'Dane firmy są nieprawidłowe', errors };
+  }
+  return {
+    value: {
+      nazwa: nazwa.replace(/\s+/g, ' '),
+      skrot,
+      nip: nip ? normalizeNip(nip) : null,
+      adres: text(body.adres),
+      bank: text(body.bank),
+      konto: text(body.konto),
+      miejsce_wystawienia: text(body.miejsce_wystawienia),
+      kod_urzedu: kodUrzedu,
+      wojewodztwo: text(body.wojewodztwo),
+      powiat: text(body.powiat),
+      gmina: text(body.gmina),
+      email,
+      seria_faktur: seriaFaktur,
+      seria_korekt: seriaKorekt,
+      aliasy: parseAliasy(body.aliasy).join('\n') || null,
+      aktywna: body.aktywna === undefined ? 1 : (body.aktywna ? 1 : 0),
+    },
+  };
+}
+
+// Первая firma при миграции — из прежних переменных SELLER_* (server/.env)
+function companyFromEnv(env = {}) {
+  return {
+    nazwa: env.SELLER_NAZWA || 'Firma',
+    skrot: null,
+    nip: env.SELLER_NIP ? normalizeNip(env.SELLER_NIP) : null,
+    adres: env.SELLER_ADRES || null,
+    bank: env.SELLER_BANK || null,
+    konto: env.SELLER_KONTO || null,
+    miejsce_wystawienia: env.SELLER_MIEJSCE_WYSTAWIENIA || null,
+    kod_urzedu: env.SELLER_KOD_URZEDU || null,
+    wojewodztwo: env.SELLER_WOJEWODZTWO || null,
+    powiat: env.SELLER_POWIAT || null,
+    gmina: env.SELLER_GMINA || null,
+    email: env.SELLER_EMAIL || null,
+    seria_faktur: DEFAULT_SERIE.FAKTURY,
+    seria_korekt: DEFAULT_SERIE.KOREKTY,
+    aliasy: parseAliasy(env.SELLER_ALIASY).join('\n') || null,
+    aktywna: 1,
+  };
+}
+
+// Firma → данные продавца в форме, которую ждут PDF faktury, JPK (jpk.js) и KSeF (ksef.js)
+function companySellerDetails(company) {
+  const c = company || {};
+  return {
+    nazwa: c.nazwa || '',
+    adres: c.adres || '',
+    nip: c.nip || '',
+    bank: c.bank || '',
+    konto: c.konto || '',
+    miejsce: c.miejsce_wystawienia || '',
+    kodUrzedu: c.kod_urzedu || '',
+    wojewodztwo: c.wojewodztwo || '',
+    powiat: c.powiat || '',
+    gmina: c.gmina || '',
+    email: c.email || '',
+  };
+}
+
+// Все названия наших firm (nazwa, skrót, aliasy) — OCR faktur zakupu не должен
+// принимать их за sprzedawcę
+function companyBuyerNames(companies) {
+  const names = new Set();
+  companies.forEach((company) => {
+    [company.nazwa, company.skrot, ...parseAliasy(company.aliasy)]
+      .filter(Boolean)
+      .forEach((name) => names.add(String(name).trim()));
+  });
+  return [...names];
+}
+
+// Сравнение без formy prawnej: "ENOTERRA POLAND" = "Enoterra Poland Sp. z o.o."
+function isCompanyName(name, buyerNames) {
+  const companyKey = (value) => supplierNameKey(cleanSupplierName(value));
+  const key = companyKey(name);
+  if (!key) return false;
+  return buyerNames.some((buyerName) => companyKey(buyerName) === key);
+}
+
+// Kod towaru należy do jednej firmy (working_sheets.kod уникален): dokument firmy
+// companyId не может менять stan чужого kodu. owners — [{ kod, company_id, firma }]
+// из working_sheets → { error, kody } для ответа 409 или null
+function foreignKodConflict(kods, owners, companyId) {
+  const wanted = new Set(kods.filter(Boolean));
+  const foreign = owners.filter((row) => wanted.has(row.kod) && Number(row.company_id) !== Number(companyId));
+  if (foreign.length === 0) return null;
+  return {
+    error: `Towary należą do innej firmy: ${foreign.map((row) => `${row.kod} (${row.firma || 'nieznana'})`).join(', ')}`,
+    kody: foreign.map((row) => row.kod),
+  };
+}
+
+// Следующий номер в серии faktur / korekt одной firmy: SERIA/n/mm/yyyy, где mm/yyyy —
+// месяц data_faktury. rows — [{ numer_faktury, data_faktury }] этой firmy.
+// → { numer, maxNum }
+function nextInvoiceNumber(rows, seria, dataFaktury, now = new Date()) {
+  const parseDateParts = (dateStr) => {
+    const match = String(dateStr || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    return { year: parseInt(match[1], 10), month: parseInt(match[2], 10) };
+  };
+
+  const target = parseDateParts(dataFaktury) || { year: now.getFullYear(), month: now.getMonth() + 1 };
+  const escaped = seria.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const numberPattern = new RegExp(`^${escaped}\\/(\\d+)\\/(\\d{2})\\/(\\d{4})$`, 'i');
+
+  // Максимальный порядковый номер среди документов серии с той же data_faktury (mm/yyyy)
+  let maxNum = 0;
+  rows.forEach((row) => {
+    const numMatch = String(row.numer_faktury || '').trim().match(numberPattern);
+    if (!numMatch) return;
+    const seq = parseInt(numMatch[1], 10);
+    const dateParts = parseDateParts(row.data_faktury);
+    const month = dateParts ? dateParts.month : parseInt(numMatch[2], 10);
+    const year = dateParts ? dateParts.year : parseInt(numMatch[3], 10);
+    if (year === target.year && month === target.month && seq > maxNum) maxNum = seq;
+  });
+
+  const mm = target.month.toString().padStart(2, '0');
+  return { numer: `${seria}/${maxNum + 1}/${mm}/${target.year}`, maxNum };
+}
+
+module.exports = {
+  COMPANY_COLUMNS,
+  DEFAULT_SERIE,
+  COMPANY_LOGO_TYPES,
+  COMPANY_LOGO_MAX_BYTES,
+  parseAliasy,
+  validateCompanyInput,
+  companyFromEnv,
+  companySellerDetails,
+  companyBuyerNames,
+  isCompanyName,
+  foreignKodConflict,
+  nextInvoiceNumber,
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+
+// ─── Kursy walut NBP (tabela A) ─────────────────────────────────────────────
+
+// Формат данных провайдера совпадает с ответом API NBP:
+// [{ table: 'A', no: '201/A/NBP/2026', effectiveDate: '2026-10-16', rates: [{ currency, code, mid }] }],
+// где mid — курс в PLN за 1 единицу валюты.
+
+// Сколько календарных дней назад искать таблицу (длинные праздники + выходные)
+const LOOKBACK_DAYS = 10;
+
+function shiftDate(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Правило "kurs z ostatniego dnia roboczego przed datą faktury": NBP публикует таблицы
+// только в рабочие дни, поэтому достаточно взять последнюю таблицу строго до даты.
+function getLookupWindow(dateString) {
+  return { dateFrom: shiftDate(dateString, -LOOKBACK_DAYS), dateTo: shiftDate(dateString, -1) };
+}
+
+function roundKurs(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Курсы для приёмки в стандарте "1 EUR = X waluty" (см. parseKursValue в index.js):
+//   EUR → aktualny_kurs = PLN/EUR
+//   PLN → kurs_faktury = PLN/EUR
+//   DKK → kurs_faktury = DKK/EUR (кросс-курс через PLN), aktualny_kurs = PLN/EUR
+// rates — { EUR: mid, DKK: mid }; null, если нужного курса нет в таблице.
+function computeReceiptKursy(waluta, rates) {
+  const eurPln = rates.EUR;
+  if (!eurPln) return null;
+  if (waluta === 'EUR') return { aktualnyKurs: roundKurs(eurPln), kursFaktury: 1 };
+  if (waluta === 'PLN') return { aktualnyKurs: 1, kursFaktury: roundKurs(eurPln) };
+  if (waluta === 'DKK') {
+    if (!rates.DKK) return null;
+    return { aktualnyKurs: roundKurs(eurPln), kursFaktury: roundKurs(eurPln / rates.DKK) };
+  }
+  return null;
+}
+
+function filterTables(tables, dateFrom, dateTo) {
+  return (Array.isArray(tables) ? tables : [])
+    .filter((t) => t && t.effectiveDate >= dateFrom && t.effectiveDate <= dateTo)
+    .map((t) => ({
+      no: t.no,
+      effectiveDate: t.effectiveDate,
+      rates: (t.rates || []).filter((r) => r && r.code && Number(r.mid) > 0),
+    }));
+}
+
+// ─── Providerzy ─────────────────────────────────────────────────────────────
+
+// Провайдер — объект { name, fetchTables(dateFrom, dateTo) } → Promise<таблицы в формате NBP>.
+const providerFactories = new Map();
+
+function registerRatesProvider(name, factory) {
+  providerFactories.set(name, factory);
+}
+
+function createRatesProvider(name, options = {}) {
+  const factory = providerFactories.get(name);
+  if (!factory) {
+    throw new Error(`Nieznany dostawca kursów walut: ${name}`);
+  }
+  return factory(options);
+}
+
+// API NBP: GET {url}/exchangerates/tables/A/{od}/{do}/ — 404, если в диапазоне нет таблиц
+registerRatesProvider('nbp', ({ url = 'https://api.nbp.pl/api' } = {}) => {
+  const baseUrl = url.replace(/\/+$/, '');
+  return {
+    name: 'nbp',
+    async fetchTables(dateFrom, dateTo) {
+      const response = await fetch(`${baseUrl}/exchangerates/tables/A/${dateFrom}/${dateTo}/?format=json`, {
+        headers: { Accept: 'application/json' },
+      });
+      if (response.status === 404) return [];
+      if (!response.ok) {
+        throw new Error(`NBP HTTP ${response.status}`);
+      }
+      return filterTables(await response.json(), dateFrom, dateTo);
+    },
+  };
+});
+
+// Локальный файл в формате ответа NBP — для работы без сети и тестов
+registerRatesProvider('file', ({ path: filePath } = {}) => {
+  if (!filePath) {
+    throw new Error('Brak ścieżki pliku kursów (EXCHANGE_RATES_FILE)');
+  }
+  return {
+    name: 'file',
+    async fetchTables(dateFrom, dateTo) {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      return filterTables(JSON.parse(content), dateFrom, dateTo);
+    },
+  };
+});
+
+module.exports = {
+  getLookupWindow,
+  computeReceiptKursy,
+  registerRatesProvider,
+  createRatesProvider,
+};
@@ -0,0 +1,255 @@
+// ─── Rejestr akcyzy (podatek_akcyzowy) ──────────────────────────────────────
+
+// product_receipts.podatek_akcyzowy — stawka w zł za litr; akcyza jednostkowa pozycji =
+// stawka × objętość (как в przyjęciu: без objętości — 1 l), округлённая до groszy, и
+// входит в koszt_wlasny. bezalkoholowe, ferment и aksesoria — без akcyzy.
+// Rejestr: akcyza naliczona по przyjęciom, towarom и miesiącom, zapłacona (excise_payments)
+// по тем же miesiącom и akcyza «zamrożona» w zapasie — остаток партий products.
+
+const TYPY_BEZ_AKCYZY = ['bezalkoholowe', 'ferment', 'aksesoria'];
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const parseNumber = (value) => parseFloat(String(value == null ? '' : value).replace(',', '.'));
+
+// Akcyza na jedną sztukę pozycji przyjęcia при stawce zł/l
+function unitExcise(stawka, line) {
+  if (!line || TYPY_BEZ_AKCYZY.includes(line.typ)) return 0;
+  const rate = parseNumber(stawka) || 0;
+  if (rate === 0) return 0;
+  const objetosc = parseNumber(line.objetosc || '1') || 1;
+  return roundMoney(rate * objetosc);
+}
+
+function parseReceiptLines(products) {
+  if (Array.isArray(products)) return products;
+  try {
+    const parsed = JSON.parse(products || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// Przyjęcie → pozycje z akcyzą [{ kod, nazwa, typ, ilosc, objetosc, litry, akcyza_jednostkowa, akcyza }]
+function receiptExciseLines(receipt) {
+  return parseReceiptLines(receipt.products)
+    .filter((line) => line && line.kod)
+    .map((line) => {
+      const ilosc = Number(line.ilosc) || 0;
+      const akcyzaJednostkowa = unitExcise(receipt.podatek_akcyzowy, line);
+      const objetosc = parseNumber(line.objetosc || '1') || 1;
+      return {
+        kod: String(line.kod).trim(),
+        nazwa: line.nazwa || '',
+        typ: line.typ || null,
+        ilosc,
+        objetosc,
+        litry: akcyzaJednostkowa > 0 ? roundMoney(ilosc * objetosc) : 0,
+        akcyza_jednostkowa: akcyzaJednostkowa,
+        akcyza: roundMoney(ilosc * akcyzaJednostkowa),
+      };
+    });
+}
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ?od=&do= (YYYY-MM-DD) → { od, do } или { error }; без дат — весь okres
+function parseRegisterRange(query = {}) {
+  const od = String(query.od || '').trim() || null;
+  const doDate = String(query.do || '').trim() || null;
+  if ((od && !DATE_PATTERN.test(od)) || (doDate && !DATE_PATTERN.test(doDate))) {
+    return { error: 'Daty od / do w formacie RRRR-MM-DD' };
+  }
+  if (od && doDate && od > doDate) {
+    return { error: 'Data od jest późniejsza niż data do' };
+  }
+  return { od, do: doDate };
+}
+
+const inRange = (date, range) => Boolean(date)
+  && (!range.od || date >= range.od)
+  && (!range.do || date <= range.do);
+
+// Тело POST /api/excise/payments → { value } или { error, errors }
+function validateExcisePaymentInput(body = {}) {
+  const errors = [];
+  const okres = String(body.okres || '').trim();
+  if (!PERIOD_PATTERN.test(okres)) errors.push('Okres rozliczeniowy w formacie RRRR-MM');
+
+  const dataZaplaty = String(body.data_zaplaty || '').trim();
+  if (!DATE_PATTERN.test(dataZaplaty)) errors.push('Data zapłaty w formacie RRRR-MM-DD');
+
+  const kwota = roundMoney(parseNumber(body.kwota));
+  if (kwota === 0) errors.push('Kwota musi być liczbą różną od zera');
+
+  const text = (value) => {
+    const trimmed = String(value == null ? '' : value).trim();
+    return trimmed || null;
+  };
+  const dokument = text(body.dokument);
+  if (dokument && dokument.length > 60) errors.push('Dokument może mieć najwyżej 60 znaków');
+
+  if (errors.length > 0) {
+    return { error: 'Dane płatności akcyzy są nieprawidłowe', errors };
+  }
+  return { value: { okres, data_zaplaty: dataZaplaty, kwota, dokument, uwagi: text(body.uwagi) } };
+}
+
+// receipts — [{ id, dataPrzyjecia, sprzedawca, podatek_akcyzowy, products }];
+// payments — [{ id, okres, data_zaplaty, kwota, dokument, uwagi }];
+// batches — партии с остатком [{ kod, nazwa, receipt_id, ilosc_aktualna, ws_podatek_akcyzowy }]
+function buildExciseRegister({ receipts, payments, batches, range }) {
+  const exciseByReceipt = new Map();
+  const przyjecia = [];
+  const towary = new Map();
+  const okresy = new Map();
+  const okresRow = (okres) => {
+    if (!okresy.has(okres)) okresy.set(okres, { okres, naliczona: 0, zaplacona: 0 });
+    return okresy.get(okres);
+  };
+
+  receipts.forEach((receipt) => {
+    const lines = receiptExciseLines(receipt);
+    exciseByReceipt.set(receipt.id, new Map(lines.map((line) => [line.kod, line.akcyza_jednostkowa])));
+    const data = String(receipt.dataPrzyjecia || '').slice(0, 10);
+    if (!inRange(data, range)) return;
+
+    const akcyza = roundMoney(lines.reduce((sum, line) => sum + line.akcyza, 0));
+    przyjecia.push({
+      receipt_id: receipt.id,
+      data,
+      sprzedawca: receipt.sprzedawca || '',
+      stawka: parseNumber(receipt.podatek_akcyzowy) || 0,
+      sztuki: lines.reduce((sum, line) => sum + (line.akcyza > 0 ? line.ilosc : 0), 0),
+      litry: roundMoney(lines.reduce((sum, line) => sum + line.litry, 0)),
+      akcyza,
+    });
+    okresRow(data.slice(0, 7)).naliczona += akcyza;
+
+    lines.filter((line) => line.akcyza !== 0).forEach((line) => {
+      const towar = towary.get(line.kod) || { kod: line.kod, nazwa: line.nazwa, sztuki: 0, litry: 0, akcyza: 0 };
+      towar.sztuki += line.ilosc;
+      towar.litry += line.litry;
+      towar.akcyza += line.akcyza;
+      towary.set(line.kod, towar);
+    });
+  });
+
+  const platnosci = payments
+    .filter((payment) => inRange(`${payment.okres}-01`, {
+      od: range.od ? `${range.od.slice(0, 7)}-01` : null,
+      do: range.do,
+    }))
+    .sort((a, b) => a.okres.localeCompare(b.okres) || a.data_zaplaty.localeCompare(b.data_zaplaty));
+  platnosci.forEach((payment) => {
+    okresRow(payment.okres).zaplacona += Number(payment.kwota) || 0;
+  });
+
+  // Zapas: остаток партии × akcyza jednostkowa её przyjęcia; партии без przyjęcia — akcyza z kartoteki
+  const zapas = new Map();
+  batches.forEach((batch) => {
+    const ilosc = Number(batch.ilosc_aktualna) || 0;
+    if (ilosc <= 0) return;
+    const fromReceipt = exciseByReceipt.get(batch.receipt_id);
+    const akcyzaJednostkowa = fromReceipt && fromReceipt.has(batch.kod)
+      ? fromReceipt.get(batch.kod)
+      : roundMoney(batch.ws_podatek_akcyzowy);
+    if (!akcyzaJednostkowa) return;
+    const pozycja = zapas.get(batch.kod) || { kod: batch.kod, nazwa: batch.nazwa, ilosc: 0, akcyza: 0 };
+    pozycja.ilosc += ilosc;
+    pozycja.akcyza += ilosc * akcyzaJednostkowa;
+    zapas.set(batch.kod, pozycja);
+  });
+
+  const okresyRows = [...okresy.values()]
+    .sort((a, b) => a.okres.localeCompare(b.okres))
+    .map((row) => ({
+      okres: row.okres,
+      naliczona: roundMoney(row.naliczona),
+      zaplacona: roundMoney(row.zaplacona),
+      // > 0 — niedopłata, < 0 — nadpłata
+      do_zaplaty: roundMoney(row.naliczona - row.zaplacona),
+    }));
+  const zapasRows = [...zapas.values()]
+    .map((pozycja) => ({ ...pozycja, akcyza: roundMoney(pozycja.akcyza) }))
+    .sort((a, b) => b.akcyza - a.akcyza || a.kod.localeCompare(b.kod));
+
+  const naliczona = roundMoney(okresyRows.reduce((sum, row) => sum + row.naliczona, 0));
+  const zaplacona = roundMoney(okresyRows.reduce((sum, row) => sum + row.zaplacona, 0));
+  return {
+    zakres: { od: range.od, do: range.do },
+    przyjecia: przyjecia.sort((a, b) => a.data.localeCompare(b.data) || a.receipt_id - b.receipt_id),
+    towary: [...towary.values()]
+      .map((towar) => ({ ...towar, litry: roundMoney(towar.litry), akcyza: roundMoney(towar.akcyza) }))
+      .sort((a, b) => b.akcyza - a.akcyza || a.kod.localeCompare(b.kod)),
+    okresy: okresyRows,
+    platnosci,
+    zapas: zapasRows,
+    podsumowanie: {
+      naliczona,
+      zaplacona,
+      do_zaplaty: roundMoney(naliczona - zaplacona),
+      // Остаток на сегодня, не зависит от zakresu dat
+      w_zapasie: roundMoney(zapasRows.reduce((sum, row) => sum + row.akcyza, 0)),
+    },
+  };
+}
+
+// Arkusze XLSX для księgowości: Okresy (uzgodnienie), Przyjęcia, Towary, Płatności, Zapas
+function exciseRegisterSheets(register) {
+  return {
+    Okresy: [
+      ...register.okresy.map((row) => ({
+        Okres: row.okres,
+        'Akcyza naliczona': row.naliczona,
+        'Akcyza zapłacona': row.zaplacona,
+        'Do zapłaty (+) / nadpłata (−)': row.do_zaplaty,
+      })),
+      {
+        Okres: 'Razem',
+        'Akcyza naliczona': register.podsumowanie.naliczona,
+        'Akcyza zapłacona': register.podsumowanie.zaplacona,
+        'Do zapłaty (+) / nadpłata (−)': register.podsumowanie.do_zaplaty,
+      },
+    ],
+    Przyjęcia: register.przyjecia.map((row) => ({
+      'Nr przyjęcia': row.receipt_id,
+      Data: row.data,
+      Dostawca: row.sprzedawca,
+      'Stawka (zł/l)': row.stawka,
+      Sztuki: row.sztuki,
+      Litry: row.litry,
+      Akcyza: row.akcyza,
+    })),
+    Towary: register.towary.map((row) => ({
+      Kod: row.kod,
+      Nazwa: row.nazwa,
+      Sztuki: row.sztuki,
+      Litry: row.litry,
+      Akcyza: row.akcyza,
+    })),
+    Płatności: register.platnosci.map((row) => ({
+      Okres: row.okres,
+      'Data zapłaty': row.data_zaplaty,
+      Kwota: row.kwota,
+      Dokument: row.dokument || '',
+      Uwagi: row.uwagi || '',
+    })),
+    Zapas: [
+      ...register.zapas.map((row) => ({ Kod: row.kod, Nazwa: row.nazwa, 'Ilość': row.ilosc, 'Akcyza w zapasie': row.akcyza })),
+      { Kod: 'Razem', Nazwa: '', 'Ilość': '', 'Akcyza w zapasie': register.podsumowanie.w_zapasie },
+    ],
+  };
+}
+
+module.exports = {
+  TYPY_BEZ_AKCYZY,
+  unitExcise,
+  receiptExciseLines,
+  parseRegisterRange,
+  validateExcisePaymentInput,
+  buildExciseRegister,
+  exciseRegisterSheets,
+};
@@ -0,0 +1,538 @@
+const { alcoholCategory } = require('./alcoholLicences');
+
+// ─── Banderole (podatkowe znaki akcyzy) ─────────────────────────────────────
+
+// Wyroby spirytusowe powyżej 22% obj. muszą być oznaczone banderolą. Rolki banderol
+// (seria + zakres numerów) przyjmujemy do zapasu; każde wykorzystanie — zakres numerów
+// z jednej rolki: naklejona (przydział do partii przyjęcia: receipt_id + kod),
+// uszkodzona lub zwrócona (do urzędu). Wolne numery rolki = zapas niewykorzystanych banderol.
+
+const PROG_BANDEROLI = 22;
+
+const RODZAJE_UZYCIA = {
+  NAKLEJONA: 'naklejona',
+  USZKODZONA: 'uszkodzona',
+  ZWROCONA: 'zwrocona',
+};
+
+const RODZAJE_UZYCIA_LABELS = {
+  [RODZAJE_UZYCIA.NAKLEJONA]: 'Naklejone',
+  [RODZAJE_UZYCIA.USZKODZONA]: 'Uszkodzone',
+  [RODZAJE_UZYCIA.ZWROCONA]: 'Zwrócone',
+};
+
+// Одна запись wykorzystania / rolka — не больше этого числа banderol
+const MAX_ZAKRES = 100000;
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Kartoteka towaru { zawartosc_alkoholu } → true, если нужна banderola
+function requiresStamps(sheet) {
+  return Boolean(sheet) && sheet.zawartosc_alkoholu != null && Number(sheet.zawartosc_alkoholu) > PROG_BANDEROLI;
+}
+
+// Zawartość alkoholu pozycji przyjęcia: % z formularza (pozycja), иначе из kartoteki; null — nieznana
+function lineZawartoscAlkoholu(line, sheet) {
+  if (line && line.zawartosc_alkoholu != null && line.zawartosc_alkoholu !== '') return Number(line.zawartosc_alkoholu);
+  return sheet && sheet.zawartosc_alkoholu != null ? Number(sheet.zawartosc_alkoholu) : null;
+}
+
+// Napoje alkoholowe (typ pozycji lub kartoteki) bez % ani w pozycji, ani w kartotece:
+// без неё неизвестно, нужны ли banderole — такое przyjęcie отклоняем. → [kod]
+function findLinesWithoutAlcoholContent(lines, sheets) {
+  const sheetByKod = new Map(sheets.map((sheet) => [sheet.kod, sheet]));
+  const kody = new Set();
+  lines.forEach((line) => {
+    const kod = String(line.kod || '').trim();
+    const sheet = sheetByKod.get(kod);
+    const typ = line.typ || (sheet && sheet.typ);
+    if (lineZawartoscAlkoholu(line, sheet) === null && alcoholCategory({ typ }) !== null) kody.add(kod);
+  });
+  return [...kody];
+}
+
+const normalizeSeria = (value) => String(value == null ? '' : value).trim().toUpperCase();
+
+// "00012345" / 12345 → 12345; null — не целое число ≥ 1
+function parseStampNumber(value) {
+  const text = String(value == null ? '' : value).trim();
+  if (!/^\d{1,12}$/.test(text)) return null;
+  const number = Number(text);
+  return number >= 1 ? number : null;
+}
+
+const rangeSize = (range) => range.numer_do - range.numer_od + 1;
+
+const rangesOverlap = (a, b) => a.numer_od <= b.numer_do && b.numer_od <= a.numer_do;
+
+const formatStampRange = (range) => (range.numer_od === range.numer_do
+  ? `${range.seria} ${range.numer_od}`
+  : `${range.seria} ${range.numer_od}–${range.numer_do}`);
+
+const text = (value) => {
+  const trimmed = String(value == null ? '' : value).trim();
+  return trimmed || null;
+};
+
+// { seria, numer_od, numer_do } → { range } или { errors }
+function parseStampRange(body = {}) {
+  const errors = [];
+  const seria = normalizeSeria(body.seria);
+  if (!seria) errors.push('Seria banderol jest wymagana');
+  else if (seria.length > 20) errors.push('Seria może mieć najwyżej 20 znaków');
+
+  const numerOd = parseStampNumber(body.numer_od);
+  const numerDo = parseStampNumber(body.numer_do);
+  if (numerOd === null || numerDo === null) {
+    errors.push('Numery banderol od / do muszą być liczbami całkowitymi');
+  } else if (numerDo < numerOd) {
+    errors.push('Numer do jest mniejszy niż numer od');
+  } else if (numerDo - numerOd + 1 > MAX_ZAKRES) {
+    errors.push(`Zakres może obejmować najwyżej ${MAX_ZAKRES.toLocaleString('pl-PL')} banderol`);
+  }
+
+  if (errors.length > 0) return { errors };
+  return { range: { seria, numer_od: numerOd, numer_do: numerDo, ilosc: numerDo - numerOd + 1 } };
+}
+
+// Тело POST /api/excise-stamps/rolls → { value } или { error, errors }
+function validateRollInput(body = {}) {
+  const { range, errors = [] } = parseStampRange(body);
+  const dataPrzyjecia = String(body.data_przyjecia || '').trim();
+  if (!DATE_PATTERN.test(dataPrzyjecia)) errors.push('Data przyjęcia w formacie RRRR-MM-DD');
+  const dokument = text(body.dokument);
+  if (dokument && dokument.length > 60) errors.push('Dokument może mieć najwyżej 60 znaków');
+
+  if (errors.length > 0) {
+    return { error: 'Dane rolki banderol są nieprawidłowe', errors };
+  }
+  return {
+    value: {
+      seria: range.seria,
+      numer_od: range.numer_od,
+      numer_do: range.numer_do,
+      data_przyjecia: dataPrzyjecia,
+      dokument,
+      uwagi: text(body.uwagi),
+    },
+  };
+}
+
+// Тело POST /api/excise-stamps/usages → { value } или { error, errors }.
+// naklejona — receipt_id + kod (data = data przyjęcia, подставляет обработчик);
+// uszkodzona / zwrocona — data обязательна
+function validateUsageInput(body = {}) {
+  const errors = [];
+  const rodzaj = String(body.rodzaj || '').trim();
+  if (!Object.values(RODZAJE_UZYCIA).includes(rodzaj)) {
+    errors.push('Rodzaj: naklejona, uszkodzona lub zwrocona');
+  }
+
+  const { range, errors: rangeErrors = [] } = parseStampRange(body);
+  errors.push(...rangeErrors);
+
+  let receiptId = null;
+  let kod = null;
+  let data = text(body.data);
+  if (rodzaj === RODZAJE_UZYCIA.NAKLEJONA) {
+    receiptId = Number(body.receipt_id);
+    if (!Number.isInteger(receiptId) || receiptId < 1) errors.push('Przyjęcie jest wymagane');
+    kod = text(body.kod);
+    if (!kod) errors.push('Kod towaru jest wymagany');
+    if (data && !DATE_PATTERN.test(data)) errors.push('Data w formacie RRRR-MM-DD');
+  } else if (!data || !DATE_PATTERN.test(data)) {
+    errors.push('Data w formacie RRRR-MM-DD');
+  }
+
+  if (errors.length > 0) {
+    return { error: 'Dane banderol są nieprawidłowe', errors };
+  }
+  return {
+    value: {
+      rodzaj,
+      seria: range.seria,
+      numer_od: range.numer_od,
+      numer_do: range.numer_do,
+      ilosc: range.ilosc,
+      data,
+      receipt_id: receiptId,
+      kod,
+      uwagi: text(body.uwagi),
+    },
+  };
+}
+
+// Rolka, целиком содержащая zakres, и отсутствие пересечений с wykorzystaniami.
+// rolls — [{ id, seria, numer_od, numer_do }], usages — [{ roll_id, rodzaj, numer_od, numer_do }]
+// → { roll } или { error }
+function locateStampRange(range, rolls, usages) {
+  const roll = rolls.find((item) => item.seria === range.seria
+    && item.numer_od <= range.numer_od && range.numer_do <= item.numer_do);
+  if (!roll) {
+    return { error: `Banderole ${formatStampRange(range)} nie należą do żadnej rolki w zapasie` };
+  }
+  const conflict = usages.find((usage) => usage.roll_id === roll.id && rangesOverlap(usage, range));
+  if (conflict) {
+    return {
+      error: `Banderole ${formatStampRange(range)} są już wykorzystane `
+        + `(${RODZAJE_UZYCIA_LABELS[conflict.rodzaj].toLowerCase()}: ${formatStampRange({ ...conflict, seria: roll.seria })})`,
+    };
+  }
+  return { roll };
+}
+
+// Nowa rolka не может пересекаться с уже przyjętymi rolkami tej samej serii → null или błąd
+function findRollOverlap(range, rolls) {
+  const overlap = rolls.find((roll) => roll.seria === range.seria && rangesOverlap(roll, range));
+  return overlap ? `Zakres pokrywa się z rolką ${formatStampRange(overlap)}` : null;
+}
+
+// Wolne zakresy numerów rolki
+function freeRanges(roll, usages) {
+  const used = usages
+    .filter((usage) => usage.roll_id === roll.id && rangesOverlap(usage, roll))
+    .sort((a, b) => a.numer_od - b.numer_od);
+  const free = [];
+  let next = roll.numer_od;
+  used.forEach((usage) => {
+    if (usage.numer_od > next) free.push({ seria: roll.seria, numer_od: next, numer_do: usage.numer_od - 1 });
+    next = Math.max(next, usage.numer_do + 1);
+  });
+  if (next <= roll.numer_do) free.push({ seria: roll.seria, numer_od: next, numer_do: roll.numer_do });
+  return free.map((range) => ({ ...range, ilosc: rangeSize(range) }));
+}
+
+const byReceiptDate = (a, b) => String(a.data_przyjecia).localeCompare(String(b.data_przyjecia)) || a.id - b.id;
+
+// Podpowiedź для formularza przyjęcia: ilosc banderol z najstarszych rolek (FIFO),
+// без zakresów из taken (уже wpisane w formularzu). → { zakresy, brakuje }
+function suggestStampRanges(ilosc, rolls, usages, { seria = null, taken = [] } = {}) {
+  const zakresy = [];
+  let brakuje = ilosc;
+  const candidates = rolls
+    .filter((roll) => !seria || roll.seria === seria)
+    .sort(byReceiptDate);
+  for (const roll of candidates) {
+    if (brakuje <= 0) break;
+    const occupied = [...usages, ...taken.filter((range) => range.seria === roll.seria).map((range) => ({ ...range, roll_id: roll.id }))];
+    for (const range of freeRanges(roll, occupied)) {
+      if (brakuje <= 0) break;
+      const ile = Math.min(brakuje, range.ilosc);
+      zakresy.push({ seria: roll.seria, numer_od: range.numer_od, numer_do: range.numer_od + ile - 1, ilosc: ile });
+      brakuje -= ile;
+    }
+  }
+  return { zakresy, brakuje: Math.max(brakuje, 0) };
+}
+
+// Pozycje przyjęcia, wymagające banderol: lines — [{ kod, ilosc, zawartosc_alkoholu? }], sheets —
+// kartoteka [{ kod, nazwa, zawartosc_alkoholu }] (nowy kod — tylko % z pozycji)
+// → Map kod → { kod, nazwa, zawartosc_alkoholu, ilosc, przydzielone }
+function stampRequirements(lines, sheets) {
+  const sheetByKod = new Map(sheets.map((sheet) => [sheet.kod, sheet]));
+  const required = new Map();
+  lines.forEach((line) => {
+    const kod = String(line.kod || '').trim();
+    const sheet = sheetByKod.get(kod);
+    const zawartosc = lineZawartoscAlkoholu(line, sheet);
+    if (!requiresStamps({ zawartosc_alkoholu: zawartosc })) return;
+    const pozycja = required.get(kod) || {
+      kod,
+      nazwa: (sheet && sheet.nazwa) || line.nazwa || '',
+      zawartosc_alkoholu: zawartosc,
+      ilosc: 0,
+      przydzielone: 0,
+    };
+    pozycja.ilosc += Number(line.ilosc) || 0;
+    required.set(kod, pozycja);
+  });
+  return required;
+}
+
+// Naklejone banderole edytowanego przyjęcia [{ kod, ilosc, ... }] против нового состава:
+// pozycje, убранные из przyjęcia или больше не требующие banderol, zwalniają zakresy
+// (released), остальные засчитываются как уже przydzielone (kept)
+function splitReceiptStamps(existing, lines, sheets) {
+  const required = stampRequirements(lines, sheets);
+  return {
+    kept: existing.filter((usage) => required.has(String(usage.kod || '').trim())),
+    released: existing.filter((usage) => !required.has(String(usage.kod || '').trim())),
+  };
+}
+
+// Banderole из formularza przyjęcia: banderole — [{ kod, seria, numer_od, numer_do }];
+// assigned — уже naklejone banderole этого przyjęcia (edycja) [{ kod, ilosc }].
+// → { wymagane, przydzialy: [{ roll_id, kod, seria, numer_od, numer_do, ilosc }], braki, errors };
+// przyjęcie сохраняем только при пустых braki и errors
+function planReceiptStamps({ lines, sheets, banderole, rolls, usages, assigned = [] }) {
+  const required = stampRequirements(lines, sheets);
+  assigned.forEach((usage) => {
+    const pozycja = required.get(String(usage.kod || '').trim());
+    if (pozycja) pozycja.przydzielone += Number(usage.ilosc) || 0;
+  });
+  const przydzialy = [];
+  const errors = [];
+  const taken = [...usages];
+
+  (Array.isArray(banderole) ? banderole : []).forEach((entry) => {
+    const kod = String((entry && entry.kod) || '').trim();
+    const pozycja = required.get(kod);
+    if (!pozycja) {
+      errors.push(`${kod || 'Pozycja bez kodu'}: towar nie wymaga banderol (do ${PROG_BANDEROLI}% alkoholu)`);
+      return;
+    }
+    const { range, errors: rangeErrors } = parseStampRange(entry);
+    if (rangeErrors) {
+      errors.push(...rangeErrors.map((message) => `${kod}: ${message}`));
+      return;
+    }
+    const { roll, error } = locateStampRange(range, rolls, taken);
+    if (error) {
+      errors.push(`${kod}: ${error}`);
+      return;
+    }
+    taken.push({ roll_id: roll.id, rodzaj: RODZAJE_UZYCIA.NAKLEJONA, numer_od: range.numer_od, numer_do: range.numer_do });
+    przydzialy.push({ roll_id: roll.id, kod, ...range });
+    pozycja.przydzielone += range.ilosc;
+  });
+
+  const wymagane = [...required.values()];
+  wymagane
+    .filter((pozycja) => pozycja.przydzielone > pozycja.ilosc)
+    .forEach((pozycja) => errors.push(`${pozycja.kod}: przydzielono ${pozycja.przydzielone} banderol na ${pozycja.ilosc} szt.`));
+  const braki = wymagane
+    .filter((pozycja) => pozycja.przydzielone < pozycja.ilosc)
+    .map((pozycja) => ({ ...pozycja, brakuje: pozycja.ilosc - pozycja.przydzielone }));
+
+  return { wymagane, przydzialy, braki, errors };
+}
+
+// Przyjęcia z brakującymi banderolami: receipts — [{ id, dataPrzyjecia, sprzedawca, products }],
+// assigned — naklejone [{ receipt_id, kod, ilosc }]
+function findReceiptStampShortages(receipts, sheets, assigned) {
+  const assignedByLine = new Map();
+  assigned.forEach((usage) => {
+    const key = `${usage.receipt_id}|${usage.kod}`;
+    assignedByLine.set(key, (assignedByLine.get(key) || 0) + usage.ilosc);
+  });
+
+  const braki = [];
+  receipts.forEach((receipt) => {
+    let lines;
+    try {
+      lines = Array.isArray(receipt.products) ? receipt.products : JSON.parse(receipt.products || '[]');
+    } catch {
+      lines = [];
+    }
+    stampRequirements(Array.isArray(lines) ? lines : [], sheets).forEach((pozycja) => {
+      const przydzielone = assignedByLine.get(`${receipt.id}|${pozycja.kod}`) || 0;
+      if (przydzielone >= pozycja.ilosc) return;
+      braki.push({
+        receipt_id: receipt.id,
+        data: String(receipt.dataPrzyjecia || '').slice(0, 10),
+        sprzedawca: receipt.sprzedawca || '',
+        kod: pozycja.kod,
+        nazwa: pozycja.nazwa,
+        ilosc: pozycja.ilosc,
+        przydzielone,
+        brakuje: pozycja.ilosc - przydzielone,
+      });
+    });
+  });
+  return braki.sort((a, b) => a.data.localeCompare(b.data) || a.receipt_id - b.receipt_id);
+}
+
+const countByRodzaj = (usages) => Object.fromEntries(Object.values(RODZAJE_UZYCIA).map((rodzaj) => [
+  rodzaj,
+  usages.filter((usage) => usage.rodzaj === rodzaj).reduce((sum, usage) => sum + usage.ilosc, 0),
+]));
+
+// Zapas banderol: rolki z liczbą naklejonych / uszkodzonych / zwróconych i wolnymi zakresami
+function buildStampStock(rolls, usages) {
+  const rolki = [...rolls]
+    .sort((a, b) => a.seria.localeCompare(b.seria) || a.numer_od - b.numer_od)
+    .map((roll) => {
+      const rollUsages = usages.filter((usage) => usage.roll_id === roll.id);
+      const counts = countByRodzaj(rollUsages);
+      const ilosc = rangeSize(roll);
+      const wykorzystane = rollUsages.reduce((sum, usage) => sum + usage.ilosc, 0);
+      return {
+        ...roll,
+        ilosc,
+        naklejone: counts[RODZAJE_UZYCIA.NAKLEJONA],
+        uszkodzone: counts[RODZAJE_UZYCIA.USZKODZONA],
+        zwrocone: counts[RODZAJE_UZYCIA.ZWROCONA],
+        wolne: ilosc - wykorzystane,
+        wolne_zakresy: freeRanges(roll, rollUsages),
+        wykorzystania: rollUsages.length,
+      };
+    });
+  return {
+    rolki,
+    podsumowanie: {
+      rolki: rolki.length,
+      wolne: rolki.reduce((sum, roll) => sum + roll.wolne, 0),
+    },
+  };
+}
+
+// ?okres=RRRR-MM → okres; без параметра — bieżący miesiąc; null — błąd
+function parseReportMonth(value, today) {
+  if (value === undefined || value === null || String(value).trim() === '') return String(today).slice(0, 7);
+  const okres = String(value).trim();
+  return PERIOD_PATTERN.test(okres) && okres <= String(today).slice(0, 7) ? okres : null;
+}
+
+const nextMonthStart = (okres) => {
+  const [rok, miesiac] = okres.split('-').map(Number);
+  return miesiac === 12 ? `${rok + 1}-01-01` : `${rok}-${String(miesiac + 1).padStart(2, '0')}-01`;
+};
+
+// Miesięczne rozliczenie banderol по seriach: stan początkowy + przyjęte − naklejone −
+// uszkodzone − zwrócone = stan końcowy. usages — [{ id, roll_id, rodzaj, numer_od, numer_do,
+// ilosc, data, receipt_id, kod, uwagi }]; braki — przyjęcia miesiąca без banderol
+function buildStampUsageReport(okres, rolls, usages, braki = []) {
+  const start = `${okres}-01`;
+  const end = nextMonthStart(okres);
+  const rollById = new Map(rolls.map((roll) => [roll.id, roll]));
+  const serie = new Map();
+  const seriaRow = (seria) => {
+    if (!serie.has(seria)) {
+      serie.set(seria, {
+        seria,
+        stan_poczatkowy: 0,
+        przyjete: 0,
+        [RODZAJE_UZYCIA.NAKLEJONA]: 0,
+        [RODZAJE_UZYCIA.USZKODZONA]: 0,
+        [RODZAJE_UZYCIA.ZWROCONA]: 0,
+      });
+    }
+    return serie.get(seria);
+  };
+
+  rolls.forEach((roll) => {
+    if (roll.data_przyjecia >= end) return;
+    const row = seriaRow(roll.seria);
+    if (roll.data_przyjecia < start) row.stan_poczatkowy += rangeSize(roll);
+    else row.przyjete += rangeSize(roll);
+  });
+
+  const pozycje = [];
+  usages.forEach((usage) => {
+    const roll = rollById.get(usage.roll_id);
+    if (!roll || !usage.data || usage.data >= end) return;
+    const row = seriaRow(roll.seria);
+    if (usage.data < start) {
+      row.stan_poczatkowy -= usage.ilosc;
+      return;
+    }
+    row[usage.rodzaj] += usage.ilosc;
+    pozycje.push({ ...usage, seria: roll.seria });
+  });
+
+  const wiersze = [...serie.values()]
+    .map((row) => ({
+      seria: row.seria,
+      stan_poczatkowy: row.stan_poczatkowy,
+      przyjete: row.przyjete,
+      naklejone: row[RODZAJE_UZYCIA.NAKLEJONA],
+      uszkodzone: row[RODZAJE_UZYCIA.USZKODZONA],
+      zwrocone: row[RODZAJE_UZYCIA.ZWROCONA],
+      stan_koncowy: row.stan_poczatkowy + row.przyjete
+        - row[RODZAJE_UZYCIA.NAKLEJONA] - row[RODZAJE_UZYCIA.USZKODZONA] - row[RODZAJE_UZYCIA.ZWROCONA],
+    }))
+    .filter((row) => row.stan_poczatkowy || row.przyjete || row.stan_koncowy)
+    .sort((a, b) => a.seria.localeCompare(b.seria));
+
+  const sum = (field) => wiersze.reduce((total, row) => total + row[field], 0);
+  return {
+    okres,
+    wiersze,
+    razem: {
+      stan_poczatkowy: sum('stan_poczatkowy'),
+      przyjete: sum('przyjete'),
+      naklejone: sum('naklejone'),
+      uszkodzone: sum('uszkodzone'),
+      zwrocone: sum('zwrocone'),
+      stan_koncowy: sum('stan_koncowy'),
+    },
+    rolki: rolls
+      .filter((roll) => roll.data_przyjecia >= start && roll.data_przyjecia < end)
+      .sort(byReceiptDate)
+      .map((roll) => ({ ...roll, ilosc: rangeSize(roll) })),
+    pozycje: pozycje.sort((a, b) => a.data.localeCompare(b.data) || a.id - b.id),
+    braki,
+  };
+}
+
+// Arkusze XLSX: Rozliczenie (по seriach), Wykorzystanie, Przyjęte rolki, Braki
+function stampUsageSheets(report) {
+  const rozliczenieRow = (seria, row) => ({
+    Seria: seria,
+    'Stan początkowy': row.stan_poczatkowy,
+    'Przyjęte': row.przyjete,
+    Naklejone: row.naklejone,
+    Uszkodzone: row.uszkodzone,
+    'Zwrócone': row.zwrocone,
+    'Stan końcowy': row.stan_koncowy,
+  });
+  return {
+    Rozliczenie: [
+      ...report.wiersze.map((row) => rozliczenieRow(row.seria, row)),
+      rozliczenieRow('Razem', report.razem),
+    ],
+    Wykorzystanie: report.pozycje.map((usage) => ({
+      Data: usage.data,
+      Rodzaj: RODZAJE_UZYCIA_LABELS[usage.rodzaj],
+      Seria: usage.seria,
+      'Numer od': usage.numer_od,
+      'Numer do': usage.numer_do,
+      'Ilość': usage.ilosc,
+      'Nr przyjęcia': usage.receipt_id || '',
+      Kod: usage.kod || '',
+      Uwagi: usage.uwagi || '',
+    })),
+    'Przyjęte rolki': report.rolki.map((roll) => ({
+      Data: roll.data_przyjecia,
+      Seria: roll.seria,
+      'Numer od': roll.numer_od,
+      'Numer do': roll.numer_do,
+      'Ilość': roll.ilosc,
+      Dokument: roll.dokument || '',
+    })),
+    Braki: report.braki.map((brak) => ({
+      'Nr przyjęcia': brak.receipt_id,
+      Data: brak.data,
+      Dostawca: brak.sprzedawca,
+      Kod: brak.kod,
+      Nazwa: brak.nazwa,
+      'Ilość': brak.ilosc,
+      Przydzielone: brak.przydzielone,
+      Brakuje: brak.brakuje,
+    })),
+  };
+}
+
+module.exports = {
+  PROG_BANDEROLI,
+  RODZAJE_UZYCIA,
+  RODZAJE_UZYCIA_LABELS,
+  requiresStamps,
+  lineZawartoscAlkoholu,
+  findLinesWithoutAlcoholContent,
+  formatStampRange,
+  validateRollInput,
+  validateUsageInput,
+  locateStampRange,
+  findRollOverlap,
+  suggestStampRanges,
+  stampRequirements,
+  splitReceiptStamps,
+  planReceiptStamps,
+  findReceiptStampShortages,
+  buildStampStock,
+  parseReportMonth,
+  buildStampUsageReport,
+  stampUsageSheets,
+};
@@ -5,11 +5,35 @@ const sqlite3 = require('sqlite3');
 const path = require('path');
 const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const XLSX = require('xlsx');
+
+const {
+  ROLES,
+  ALL_ROLES,
+  hashPassword,
+  verifyPassword,
+  validatePasswordStrength,
+  generateSessionToken,
+  hashSessionToken,
+  buildSessionCookie,
+  loginThrottleKey,
+  createLoginThrottle,
+  createAuthenticate,
+  requireRoles,
+  publicUser,
+} = require('./auth');
 
 const app = express();
 
 // Middleware
-app.use(cors());
+// CORS только для перечисленных origin (фронт в dev на Vite); в production фронт отдаётся с того же адреса
+const corsOrigins = String(process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+app.use(cors({ origin: corsOrigins, credentials: true }));
 app.use(express.json());
 
 // Логирование всех запросов для отладки
@@ -18,6 +42,143 @@ app.use((req, res, next) => {
   next();
 });
 
+// Статика раздаётся из корня репозитория — файлы сервера (база, .env, код) наружу не отдаём
+app.use((req, res, next) => {
+  if (/^\/server\//.test(req.path) && !req.path.startsWith('/server/assets/')) {
+    return res.status(404).end();
+  }
+  if (/(^|\/)\.env/.test(req.path)) {
+    return res.status(404).end();
+  }
+  next();
+});
+
+// ===== AUTORYZACJA: sesje i uprawnienia grup роутов =====
+
+// Webhook WMS без сессии — проверяет собственный токен (WMS_WEBHOOK_TOKEN)
+const authenticate = createAuthenticate({
+  publicPaths: ['/auth/login', '/health', '/wms/webhook'],
+  findSession: (tokenHash) => dbGetAsync(
+    `SELECT u.id, u.login, u.imie_nazwisko, u.rola,
+            COALESCE(
+              (SELECT c.id FROM companies c WHERE c.id = s.company_id AND c.aktywna = 1),
+              (SELECT MIN(c.id) FROM companies c WHERE c.aktywna = 1),
+              (SELECT MIN(c.id) FROM companies c)
+            ) AS company_id
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = ? AND s.expires_at > datetime('now') AND u.aktywny = 1`,
+    [tokenHash]
+  ),
+});
+app.use('/api', authenticate);
+
+// Aktywna firma sesji: все списки и новые документы ограничены ею
+app.use('/api', (req, res, next) => {
+  req.companyId = req.user ? req.user.company_id : null;
+  next();
+});
+
+// Dokumenty po id — только в пределах активной firmy: документ другой firmy отдаётся
+// как несуществующий (404). Запрос возвращает company_id документа из параметра :id.
+const COMPANY_DOCUMENT_ROUTES = [
+  [['/api/invoices/:id'], 'SELECT company_id FROM invoices WHERE id = ?'],
+  [['/api/invoice-payments/:id'], 'SELECT i.company_id FROM invoice_payments p JOIN invoices i ON i.id = p.invoice_id WHERE p.id = ?'],
+  [['/api/ksef/queue/:id'], 'SELECT i.company_id FROM ksef_submissions s JOIN invoices i ON i.id = s.invoice_id WHERE s.id = ?'],
+  [['/api/orders/:id', '/api/wms/shipments/:id'], 'SELECT company_id FROM orders WHERE id = ?'],
+  [['/api/reservations/:id'], 'SELECT company_id FROM reservations WHERE id = ?'],
+  [['/api/product-receipts/:id', '/api/excise-stamps/receipts/:id'], 'SELECT company_id FROM product_receipts WHERE id = ?'],
+  [['/api/purchase-orders/:id'], 'SELECT company_id FROM purchase_orders WHERE id = ?'],
+  [['/api/working-sheets/:id'], 'SELECT company_id FROM working_sheets WHERE id = ?'],
+  [['/api/stocktakes/:id'], 'SELECT company_id FROM stocktake_sessions WHERE id = ?'],
+];
+
+COMPANY_DOCUMENT_ROUTES.forEach(([paths, sql]) => {
+  app.use(paths, async (req, res, next) => {
+    // /api/invoices/korekty/..., /api/working-sheets/by-barcode/... — не документы по id
+    if (!/^\d+$/.test(req.params.id)) return next();
+    try {
+      const document = await dbGetAsync(sql, [req.params.id]);
+      if (document && document.company_id !== req.companyId) {
+        return res.status(404).json({ error: 'Nie znaleziono dokumentu' });
+      }
+      next();
+    } catch (err) {
+      console.error(`❌ Error checking document company for ${req.originalUrl}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+});
+
+app.use('/uploads', authenticate);
+
+const { MAGAZYN, SPRZEDAZ } = ROLES;
+
+app.use('/api/auth', requireRoles({ write: ALL_ROLES }));
+app.use('/api/users', requireRoles({ read: [], write: [] }));
+app.use(['/api/migrate', '/api/test-consume', '/api/test-paths'], requireRoles({ read: [], write: [] }));
+
+// Удаление документов прихода и faktur — только admin
+app.delete(['/api/product-receipts/:id', '/api/invoices/:id'], requireRoles({ write: [] }));
+// Naprawa stanów magazynowych — только admin
+app.post('/api/inventory/reconcile/repair', requireRoles({ write: [] }));
+
+app.use([
+  '/api/product-receipts',
+  '/api/working-sheets',
+  '/api/original-sheets',
+  '/api/sheets',
+  '/api/upload',
+  '/api/przychod',
+  '/api/writeoffs',
+  '/api/inventory',
+  '/api/products',
+  '/api/ocr',
+  '/api/wms',
+  '/api/check_file',
+  '/api/download_file',
+  '/api/exchange-rates',
+  '/api/stock-movements',
+  '/api/stocktakes',
+  '/api/stock-transfers',
+  '/api/purchase-orders',
+  '/api/suppliers',
+  '/api/replenishment',
+  '/api/excise-stamps',
+], requireRoles({ write: [MAGAZYN] }));
+
+app.use([
+  '/api/clients',
+  '/api/invoices',
+  '/api/invoice-payments',
+  '/api/ksef',
+  '/api/komis',
+  '/api/reservations',
+  '/api/reservations-with-products',
+  '/api/receivables',
+  '/api/client-licences',
+], requireRoles({ write: [SPRZEDAZ] }));
+
+app.use('/api/jpk', requireRoles({ read: [SPRZEDAZ] }));
+
+// Historia zmian только читается; записи создаёт middleware auditTrail
+app.use('/api/audit-log', requireRoles({ write: [] }));
+
+app.use([
+  '/api/orders',
+  '/api/orders-with-products',
+  '/api/order-products',
+  '/api/order-consumptions',
+  '/api/returns',
+  '/api/analiza-wydan',
+], requireRoles({ write: [MAGAZYN, SPRZEDAZ] }));
+
+// Группа не описана выше — чтение для всех, изменения только admin
+app.use('/api', (req, res, next) => {
+  if (req.accessChecked) return next();
+  requireRoles({ write: [] })(req, res, next);
+});
+
 // Настройка multer для загрузки файлов
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -50,7 +211,156 @@ const ocrUpload = multer({
   },
 });
 
+// Awizo dostawy (ASN): CSV lub JSON z WMS / od dostawcy
+const asnUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json|txt)$/i.test(file.originalname) || /^(text\/|application\/json)/.test(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Dozwolone są pliki CSV lub JSON'));
+    }
+  },
+});
+
 const { parsePurchaseInvoicePdf } = require('./purchaseInvoiceOcr');
+const { parseAsn, buildAsnReceiptDraft } = require('./asnImport');
+const { roundMoney, summarizeVatByRate, amountInWordsPln } = require('./invoiceTotals');
+const {
+  planInvoiceCorrection,
+  isCorrectionLineChanged,
+  assignCorrectionPozycje,
+} = require('./invoiceCorrections');
+const {
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  daysPastDue,
+  computePaymentStatus,
+  buildAgingReport,
+} = require('./receivables');
+const { validateJpkData, buildJpkFa, buildJpkV7mSprzedaz } = require('./jpk');
+const { KSEF_STATUS, validateFa2Data, buildFa2Xml, createKsefTransport } = require('./ksef');
+const { normalizeNip, isValidNip, normalizeVatUe, isValidVatUe } = require('./taxIds');
+const { AUDIT_ACTIONS, createAuditMiddleware } = require('./audit');
+const { getLookupWindow, computeReceiptKursy, createRatesProvider } = require('./exchangeRates');
+const { STOCK_DOCUMENT_TYPES, stockDocumentTypeForOrder, createStockMovementCollector } = require('./stockLedger');
+const { buildReconcileReport, planStockRepair } = require('./stockReconcile');
+const {
+  STOCKTAKE_STATUS,
+  parseCountedQuantity,
+  summarizeStocktake,
+  buildStocktakePostings,
+  rebaseStocktakeItems,
+} = require('./stocktake');
+const { normalizeBarcode, barcodeError } = require('./barcodes');
+const {
+  parseFefoTypes,
+  consumptionModeForTyp,
+  normalizeExpiryDate,
+  compareBatchesForConsumption,
+  buildExpiryReport,
+} = require('./batchExpiry');
+const {
+  DEFAULT_LOCATION_ID,
+  LOCATION_TYPES,
+  parseLocationId,
+  validateLocationInput,
+  normalizeTransferItems,
+  planTransferAllocation,
+  preferLocation,
+} = require('./locations');
+const {
+  WMS_STATUS,
+  WMS_LOCKED_STATUSES,
+  WMS_MAX_PROBY,
+  mapWmsStatus,
+  isWmsStatusAdvance,
+  nextRetryDelayMinutes,
+  rejectedShipmentMessage,
+  buildShipmentItems,
+  buildShipmentPayload,
+  summarizeShippedItems,
+  findShipmentDiscrepancies,
+  buildShipmentCorrections,
+  isValidWebhookToken,
+  createWmsTransport,
+} = require('./wms');
+const {
+  PURCHASE_ORDER_STATUS,
+  validatePurchaseOrderInput,
+  buildPurchaseOrderProgress,
+  buildPurchaseOrderReceiptDraft,
+  buildPriceVarianceReport,
+} = require('./purchaseOrders');
+const {
+  validateSupplierInput,
+  createSupplierMatcher,
+  groupSupplierNames,
+  buildSupplierPurchaseAnalysis,
+} = require('./suppliers');
+const {
+  validateReplenishmentSettings,
+  parseOkresPokrycia,
+  collectLastPurchasePrices,
+  buildReplenishmentSuggestions,
+  replenishmentSheetRows,
+} = require('./replenishment');
+const {
+  COMPANY_COLUMNS,
+  COMPANY_LOGO_TYPES,
+  COMPANY_LOGO_MAX_BYTES,
+  validateCompanyInput,
+  companyFromEnv,
+  companySellerDetails,
+  companyBuyerNames,
+  foreignKodConflict,
+  nextInvoiceNumber,
+} = require('./companies');
+const {
+  KATEGORIE_ALKOHOLU_LABELS,
+  LICENCE_MODES,
+  parseLicenceMode,
+  parseZawartoscAlkoholu,
+  alcoholCategory,
+  validateLicenceInput,
+  licenceStatus,
+  findLicenceViolations,
+  buildExpiringLicencesReport,
+} = require('./alcoholLicences');
+const {
+  parseReportYear,
+  buildAlcoholTurnoverReport,
+  alcoholTurnoverSheets,
+} = require('./alcoholTurnover');
+const {
+  parseRegisterRange,
+  validateExcisePaymentInput,
+  buildExciseRegister,
+  exciseRegisterSheets,
+} = require('./excise');
+const {
+  PROG_BANDEROLI,
+  RODZAJE_UZYCIA,
+  formatStampRange,
+  findLinesWithoutAlcoholContent,
+  validateRollInput,
+  validateUsageInput,
+  locateStampRange,
+  findRollOverlap,
+  suggestStampRanges,
+  stampRequirements,
+  splitReceiptStamps,
+  planReceiptStamps,
+  findReceiptStampShortages,
+  buildStampStock,
+  parseReportMonth,
+  buildStampUsageReport,
+  stampUsageSheets,
+} = require('./exciseStamps');
+
+// Таблицы, строки которых принадлежат одной firmie (company_id)
+const COMPANY_SCOPED_TABLES = ['product_receipts', 'orders', 'invoices', 'working_sheets', 'purchase_orders', 'reservations', 'excise_payments', 'excise_stamp_rolls', 'stocktake_sessions'];
 
 // Serve uploaded files from uploads directory (ДОЛЖЕН БЫТЬ ПЕРЕД ВСЕМИ API endpoints)
 app.use('/uploads', (req, res, next) => {
@@ -81,18 +391,318 @@ const db = new sqlite3.Database(dbPath);
 // Устанавливаем таймаут для операций с базой данных
 db.configure('busyTimeout', 30000); // 30 секунд
 
+// Promise-обёртки над db.run / db.get / db.all для async-обработчиков
+function dbRunAsync(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function dbGetAsync(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAllAsync(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+// Соединение с базой одно на весь сервер, поэтому доступ к нему идёт через общий слот:
+// транзакция занимает слот от BEGIN до COMMIT/ROLLBACK, любая другая команда (запросы без
+// stockTransaction, фоновые очереди KSeF/WMS, записи аудита) — на время одного запроса.
+// Иначе такая команда выполнилась бы внутри чужого BEGIN и пропала бы при его ROLLBACK.
+// acquireTransactionSlot() ждёт завершения предыдущего владельца и возвращает
+// { owner, release }; код владельца выполняется в slotContext.run(owner, ...).
+let transactionQueue = Promise.resolve();
+const slotContext = new AsyncLocalStorage();
+let slotOwner = null;
+
+function acquireTransactionSlot() {
+  let release;
+  const slot = new Promise((resolve) => {
+    release = resolve;
+  });
+  const owner = {};
+  const acquired = transactionQueue.then(() => {
+    slotOwner = owner;
+    return {
+      owner,
+      release: () => {
+        if (slotOwner === owner) slotOwner = null;
+        release();
+      },
+    };
+  });
+  transactionQueue = transactionQueue.then(() => slot);
+  return acquired;
+}
+
+// callback sqlite3 теряет асинхронный контекст — без привязки продолжение транзакции
+// выглядело бы как чужая команда и ждало бы освобождения собственного слота
+function bindToSlotContext(callback) {
+  const store = slotContext.getStore();
+  return function (...args) {
+    return slotContext.run(store, () => callback.apply(this, args));
+  };
+}
+
+['run', 'get', 'all', 'exec'].forEach((method) => {
+  const original = db[method].bind(db);
+  db[method] = (...args) => {
+    const hasCallback = typeof args[args.length - 1] === 'function';
+    const callback = hasCallback ? bindToSlotContext(args[args.length - 1]) : null;
+    const params = hasCallback ? args.slice(0, -1) : args;
+    if (slotOwner !== null && slotContext.getStore() === slotOwner) {
+      return callback ? original(...params, callback) : original(...params);
+    }
+    acquireTransactionSlot().then(({ release }) => {
+      original(...params, function (err, ...results) {
+        release();
+        if (callback) callback.call(this, err, ...results);
+        else if (err) db.emit('error', err);
+      });
+    });
+    return db;
+  };
+});
+
+// Выполняет work() внутри BEGIN/COMMIT; при ошибке — ROLLBACK и проброс ошибки.
+async function runInTransaction(work) {
+  const { owner, release } = await acquireTransactionSlot();
+  return slotContext.run(owner, async () => {
+    try {
+      await dbRunAsync('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await dbRunAsync('COMMIT');
+        return result;
+      } catch (error) {
+        try {
+          await dbRunAsync('ROLLBACK');
+        } catch (rollbackErr) {
+          console.error('❌ Failed to rollback transaction:', rollbackErr);
+        }
+        throw error;
+      }
+    } finally {
+      release();
+    }
+  });
+}
+
+// Строки журнала пишутся пачками: лимит SQLite — 999 параметров на запрос
+async function insertStockMovements(rows) {
+  const CHUNK_SIZE = 150;
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + CHUNK_SIZE);
+    await dbRunAsync(
+      `INSERT INTO stock_movements (kod, batch_id, quantity, document_type, document_id) VALUES ${chunk.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+      chunk.flatMap((row) => [row.kod, row.batch_id, row.quantity, row.document_type, row.document_id])
+    );
+  }
+}
+
+// Текущие остатки по kod: working_sheets.ilosc и ilosc_aktualna всех партий products
+async function snapshotStockLevels(kods) {
+  const list = [...new Set(kods.map(normalizeProductKod).filter(Boolean))];
+  const sheets = new Map();
+  const batches = new Map();
+  if (list.length === 0) return { sheets, batches };
+  const placeholders = list.map(() => '?').join(', ');
+  const sheetRows = await dbAllAsync(`SELECT kod, ilosc FROM working_sheets WHERE kod IN (${placeholders})`, list);
+  sheetRows.forEach((row) => sheets.set(row.kod, Number(row.ilosc) || 0));
+  const batchRows = await dbAllAsync(`SELECT id, kod, ilosc_aktualna FROM products WHERE kod IN (${placeholders})`, list);
+  batchRows.forEach((row) => batches.set(row.id, { kod: row.kod, quantity: Number(row.ilosc_aktualna) || 0 }));
+  return { sheets, batches };
+}
+
+// Для обработчиков, которые пересчитывают остатки целиком (приёмки): разница двух
+// снимков snapshotStockLevels записывается как движения документа
+function recordStockLevelChanges(movements, before, after) {
+  const kods = new Set([...before.sheets.keys(), ...after.sheets.keys()]);
+  kods.forEach((kod) => movements.sheet(kod, (after.sheets.get(kod) || 0) - (before.sheets.get(kod) || 0)));
+  const batchIds = new Set([...before.batches.keys(), ...after.batches.keys()]);
+  batchIds.forEach((batchId) => {
+    const was = before.batches.get(batchId);
+    const now = after.batches.get(batchId);
+    if (was && now && was.kod === now.kod) {
+      movements.batch(now.kod, batchId, now.quantity - was.quantity);
+      return;
+    }
+    if (was) movements.batch(was.kod, batchId, -was.quantity);
+    if (now) movements.batch(now.kod, batchId, now.quantity);
+  });
+}
+
+// Складской документ целиком в одной транзакции: BEGIN до обработчика, перед отправкой
+// успешного ответа — запись req.stockMovements в stock_movements и COMMIT,
+// ответ с ошибкой (или оборванный запрос) — ROLLBACK всех изменений.
+// Обработчик сообщает об изменениях остатков через req.stockMovements.sheet()/batch()
+// и задаёт документ через req.stockMovements.setDocument().
+function stockTransaction(req, res, next) {
+  acquireTransactionSlot().then(({ owner, release }) => slotContext.run(owner, async () => {
+    let finished = false;
+    // COMMIT/ROLLBACK — от имени владельца слота, откуда бы ни пришёл вызов (res.json, 'close')
+    const finish = (commit) => slotContext.run(owner, async () => {
+      if (finished) return;
+      finished = true;
+      try {
+        if (commit) {
+          if (!req.stockMovements.isEmpty()) {
+            await insertStockMovements(req.stockMovements.toRows());
+          }
+          await dbRunAsync('COMMIT');
+        } else {
+          await dbRunAsync('ROLLBACK');
+        }
+      } catch (error) {
+        if (commit) {
+          await dbRunAsync('ROLLBACK').catch((rollbackErr) => {
+            console.error('❌ Failed to rollback stock transaction:', rollbackErr);
+          });
+        }
+        throw error;
+      } finally {
+        release();
+      }
+    });
+
+    try {
+      await dbRunAsync('BEGIN TRANSACTION');
+    } catch (error) {
+      release();
+      console.error('❌ Error starting stock transaction:', error);
+      return res.status(500).json({ error: error.message });
+    }
+
+    req.stockMovements = createStockMovementCollector();
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = originalJson;
+      const commit = res.statusCode < 400;
+      finish(commit)
+        .then(() => originalJson(body))
+        .catch((error) => {
+          console.error('❌ Stock transaction failed:', error);
+          res.status(500);
+          originalJson({ error: `Błąd zapisu ruchów magazynowych: ${error.message}` });
+        });
+      return res;
+    };
+    res.on('close', () => {
+      finish(false).catch((error) => console.error('❌ Failed to rollback stock transaction:', error));
+    });
+    next();
+  }));
+}
+
 function normalizeProductKod(kod) {
   return String(kod || '').trim();
 }
 
+// zawartosc_alkoholu pozycji: '' → null, иначе % obj.; NaN отклоняет трасса przyjęcia
 function normalizeReceiptProducts(products) {
   if (!Array.isArray(products)) return products;
   return products.map((product) => ({
     ...product,
     kod: normalizeProductKod(product.kod),
+    zawartosc_alkoholu: parseZawartoscAlkoholu(product.zawartosc_alkoholu),
   }));
 }
 
+// Новые kody kreskowe должны проходить проверку EAN-8/EAN-13. Коды, которые уже
+// есть в working_sheets или products (внутренние, заведённые до проверки),
+// принимаются как есть, чтобы можно было сохранить старые документы.
+async function findBarcodeValidationError(barcodes) {
+  const codes = [...new Set((barcodes || []).map(normalizeBarcode).filter(Boolean))];
+  for (const code of codes) {
+    const error = barcodeError(code);
+    if (!error) continue;
+    const known = await dbGetAsync(
+      `SELECT 1 FROM working_sheets WHERE kod_kreskowy = ?
+       UNION ALL
+       SELECT 1 FROM products WHERE kod_kreskowy = ?
+       LIMIT 1`,
+      [code, code]
+    );
+    if (!known) return error;
+  }
+  return null;
+}
+
+// Middleware: extractBarcodes(req) → список kodów kreskowych из тела запроса
+function requireValidBarcodes(extractBarcodes) {
+  return async (req, res, next) => {
+    let validationError;
+    try {
+      validationError = await findBarcodeValidationError(extractBarcodes(req));
+    } catch (error) {
+      console.error('❌ Error validating barcodes:', error);
+      return res.status(500).json({ error: error.message });
+    }
+    if (validationError) return res.status(400).json({ error: validationError });
+    next();
+  };
+}
+
+// Middleware: extractKods(req) → kody towarów, stan których меняет запрос (можно Promise).
+// Kod чужой firmy → 409 { error, kody } (foreignCompanyKodError)
+function requireCompanyKods(extractKods) {
+  return async (req, res, next) => {
+    let foreignError;
+    try {
+      const kods = await extractKods(req);
+      foreignError = await foreignCompanyKodError(
+        (Array.isArray(kods) ? kods : []).map((kod) => normalizeProductKod(kod)),
+        req.companyId
+      );
+    } catch (error) {
+      console.error('❌ Error checking product company:', error);
+      return res.status(500).json({ error: error.message });
+    }
+    if (foreignError) {
+      console.log(`❌ ${req.method} ${req.path}: kody innej firmy ${foreignError.kody.join(', ')}`);
+      return res.status(409).json(foreignError);
+    }
+    next();
+  };
+}
+
+// Kody z pozycji dokumentu: products[].kod (rezerwacje — products[].product_kod)
+function bodyProductKods(field = 'kod') {
+  return (req) => (Array.isArray(req.body && req.body.products)
+    ? req.body.products.map((product) => product && product[field])
+    : []);
+}
+
+// Kody kartotek po id (edycja working_sheets по id) + новые kody из тела
+async function workingSheetKods(ids, kods = []) {
+  const numericIds = ids.map((id) => parseInt(id, 10)).filter(Number.isInteger);
+  const rows = numericIds.length > 0
+    ? await dbAllAsync(`SELECT kod FROM working_sheets WHERE id IN (${numericIds.map(() => '?').join(', ')})`, numericIds)
+    : [];
+  return [...rows.map((row) => row.kod), ...kods];
+}
+
+// Позиции przyjęcia приходят в JSON либо (с plikami faktur) в поле data у FormData
+function receiptProductBarcodes(req) {
+  let products = req.body.products;
+  if (req.files && (req.files.productInvoice || req.files.transportInvoice)) {
+    try {
+      products = JSON.parse(req.body.data).products;
+    } catch (error) {
+      return []; // некорректный JSON отклонит сам обработчик
+    }
+  }
+  return Array.isArray(products) ? products.map((product) => product && product.kod_kreskowy) : [];
+}
+
 // Dokumenty, które blokują zmianę/usunięcie kodu w przyjęciu:
 // zamówienie, rozchód (odpisanie), zwrot, przychód.
 const KOD_CHANGE_BLOCKING_ORDER_TYPES = ['zamowienie', 'odpisanie', 'zwrot', 'przychod'];
@@ -101,6 +711,7 @@ const KOD_CHANGE_BLOCKING_ORDER_TYPES = ['zamowienie', 'odpisanie', 'zwrot', 'pr
  * Sprawdza dokumenty blokujące usunięcie/zmianę kodu w przyjęciu.
  * A) były wydania z partii tej przyjemki (order_consumptions → products.receipt_id)
  * B) dokument utworzony w dniu przyjęcia lub później i zawiera ten kod
+ * C) przesunięcie między lokalizacjami dzieliło partię tej przyjemki
  */
 function findDocumentsBlockingKodChange(receiptId, removedKod, receiptDate) {
   return new Promise((resolve, reject) => {
@@ -126,23 +737,33 @@ function findDocumentsBlockingKodChange(receiptId, removedKod, receiptDate) {
           0
         ) AS ilosc
       FROM orders o
-      WHERE o.typ IN (${typePlaceholders})
-        AND (
-          (
-            date(o.data_utworzenia) >= date(?)
-            AND EXISTS (
-              SELECT 1 FROM order_products op
-              WHERE op.orderId = o.id AND op.kod = ?
+      WHERE (
+          o.typ IN (${typePlaceholders})
+          AND (
+            (
+              date(o.data_utworzenia) >= date(?)
+              AND EXISTS (
+                SELECT 1 FROM order_products op
+                WHERE op.orderId = o.id AND op.kod = ?
+              )
+            )
+            OR EXISTS (
+              SELECT 1
+              FROM order_consumptions oc
+              JOIN products p ON p.id = oc.batch_id
+              WHERE oc.order_id = o.id
+                AND oc.product_kod = ?
+                AND p.receipt_id = ?
             )
           )
-          OR EXISTS (
-            SELECT 1
-            FROM order_consumptions oc
-            JOIN products p ON p.id = oc.batch_id
-            WHERE oc.order_id = o.id
-              AND oc.product_kod = ?
-              AND p.receipt_id = ?
-          )
+        )
+        OR EXISTS (
+          SELECT 1
+          FROM stock_transfer_items sti
+          JOIN products p ON p.id IN (sti.z_batch_id, sti.do_batch_id)
+          WHERE sti.order_id = o.id
+            AND sti.kod = ?
+            AND p.receipt_id = ?
         )
       ORDER BY o.data_utworzenia ASC, o.id ASC
     `;
@@ -156,6 +777,8 @@ function findDocumentsBlockingKodChange(receiptId, removedKod, receiptDate) {
       removedKod,
       removedKod,
       receiptId,
+      removedKod,
+      receiptId,
     ];
 
     db.all(sql, params, (err, rows) => {
@@ -279,6 +902,15 @@ function getTodayDateString() {
   return new Date().toLocaleDateString('en-CA');
 }
 
+// "2026-10-19" + 14 → "2026-11-02"; null, если дата или число дней некорректны
+function addDaysToDateString(dateString, days) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateString || ''));
+  if (!match || days == null || !Number.isFinite(Number(days))) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  date.setUTCDate(date.getUTCDate() + Number(days));
+  return date.toISOString().slice(0, 10);
+}
+
 function ensureWorkingSheetsUniqueIndex() {
   db.run('DROP INDEX IF EXISTS idx_working_sheets_kod_active', (dropErr) => {
     if (dropErr) {
@@ -403,6 +1035,52 @@ function resolveClientById(clientId, callback) {
   });
 }
 
+// Данные клиента, которые копируются в fakturę (+ domyślne warunki płatności)
+const INVOICE_CLIENT_COLUMNS = `
+  c.firma AS klient_firma,
+  c.nip AS klient_nip,
+  c.vat_ue AS klient_vat_ue,
+  c.adres AS klient_adres,
+  c.termin_platnosci_dni,
+  c.rabat_domyslny,
+  (SELECT a.adres FROM client_delivery_addresses a
+    WHERE a.client_id = c.id
+    ORDER BY a.domyslny DESC, a.id
+    LIMIT 1) AS adres_dostawy
+`;
+
+// Nabywca wystawionej faktury: snapshot klient_* z chwili wystawienia; aktualna kartoteka
+// klienta (client_*) — только для старых faktur, созданных до snapshotu danych nabywcy
+function invoiceBuyer(invoice) {
+  const hasSnapshot = ['klient_nip', 'klient_vat_ue', 'klient_adres'].some((column) => invoice[column] != null);
+  if (hasSnapshot) {
+    return {
+      nazwa: invoice.klient_firma || invoice.klient_nazwa || '',
+      adres: invoice.klient_adres || '',
+      nip: invoice.klient_nip || '',
+      vatUe: invoice.klient_vat_ue || '',
+    };
+  }
+  return {
+    nazwa: invoice.klient_firma || invoice.client_firma || invoice.klient_nazwa || '',
+    adres: invoice.client_adres || '',
+    nip: invoice.client_nip || '',
+    vatUe: invoice.client_vat_ue || '',
+  };
+}
+
+function toInvoiceClientData(row) {
+  return {
+    klientFirma: (row && row.klient_firma) || null,
+    klientNip: (row && row.klient_nip) || null,
+    klientVatUe: (row && row.klient_vat_ue) || null,
+    klientAdres: (row && row.klient_adres) || null,
+    adresDostawy: (row && row.adres_dostawy) || null,
+    terminPlatnosciDni: row && row.termin_platnosci_dni != null ? Number(row.termin_platnosci_dni) : null,
+    rabatDomyslny: row && row.rabat_domyslny != null ? Number(row.rabat_domyslny) : null,
+  };
+}
+
 function resolveInvoiceClient({ order_id, klient }, callback) {
   const orderId = parseClientId(order_id);
   if (orderId) {
@@ -410,7 +1088,7 @@ function resolveInvoiceClient({ order_id, klient }, callback) {
       `SELECT
         o.client_id,
         COALESCE(c.nazwa, o.klient) AS klient_name,
-        c.firma AS klient_firma
+        ${INVOICE_CLIENT_COLUMNS}
       FROM orders o
       LEFT JOIN clients c ON c.id = o.client_id
       WHERE o.id = ?`,
@@ -426,7 +1104,7 @@ function resolveInvoiceClient({ order_id, klient }, callback) {
         callback(null, {
           clientId: row.client_id,
           klientName: row.klient_name || String(klient || '').trim(),
-          klientFirma: row.klient_firma || null,
+          ...toInvoiceClientData(row),
         });
       }
     );
@@ -439,14 +1117,17 @@ function resolveInvoiceClient({ order_id, klient }, callback) {
   }
 
   db.get(
-    'SELECT id, nazwa, firma FROM clients WHERE LOWER(TRIM(nazwa)) = LOWER(TRIM(?)) LIMIT 1',
+    `SELECT c.id, c.nazwa, ${INVOICE_CLIENT_COLUMNS}
+    FROM clients c
+    WHERE LOWER(TRIM(c.nazwa)) = LOWER(TRIM(?))
+    LIMIT 1`,
     [name],
     (err, row) => {
       if (err) return callback(err);
       callback(null, {
         clientId: row ? row.id : null,
         klientName: row ? row.nazwa : name,
-        klientFirma: row ? (row.firma || null) : null,
+        ...toInvoiceClientData(row),
       });
     }
   );
@@ -726,6 +1407,7 @@ async function handleWorkingSheetsStockDecrease(kod, saleMeta = {}) {
   });
 }
 
+// callback(err, changes) — changes: число обновлённых строк working_sheets (0, если kod нет)
 function runWorkingSheetsDecrease(kod, amount, saleMeta, callback) {
   db.run(
     'UPDATE working_sheets SET ilosc = ilosc - ? WHERE kod = ?',
@@ -735,9 +1417,10 @@ function runWorkingSheetsDecrease(kod, amount, saleMeta, callback) {
         callback(updateErr);
         return;
       }
+      const changes = this.changes;
       handleWorkingSheetsStockDecrease(kod, saleMeta)
-        .then(() => callback(null))
-        .catch(() => callback(null));
+        .then(() => callback(null, changes))
+        .catch(() => callback(null, changes));
     }
   );
 }
@@ -772,6 +1455,60 @@ db.serialize(() => {
     }
   });
 
+  // Миграция: NIP клиента (faktury, JPK)
+  db.run(`ALTER TABLE clients ADD COLUMN nip TEXT`, (alterErr) => {
+    if (alterErr) {
+      if (alterErr.message.includes('duplicate column name') || alterErr.message.includes('already exists')) {
+        console.log('✅ Column nip already exists in clients');
+      } else {
+        console.error('❌ Error adding nip column:', alterErr);
+      }
+    } else {
+      console.log('✅ Column nip added to clients');
+    }
+  });
+
+  // Миграция: данные контрагента — VAT UE, e-mail, telefon, domyślny termin płatności i rabat
+  [
+    ['vat_ue', 'TEXT'],
+    ['email', 'TEXT'],
+    ['telefon', 'TEXT'],
+    ['termin_platnosci_dni', 'INTEGER'],
+    ['rabat_domyslny', 'REAL'],
+  ].forEach(([column, definition]) => {
+    db.run(`ALTER TABLE clients ADD COLUMN ${column} ${definition}`, (alterErr) => {
+      if (alterErr) {
+        if (alterErr.message.includes('duplicate column name') || alterErr.message.includes('already exists')) {
+          console.log(`✅ Column ${column} already exists in clients`);
+        } else {
+          console.error(`❌ Error adding ${column} column:`, alterErr);
+        }
+      } else {
+        console.log(`✅ Column ${column} added to clients`);
+      }
+    });
+  });
+
+  // Адреса доставки клиента (clients.adres — адрес для faktur)
+  db.run(`CREATE TABLE IF NOT EXISTS client_delivery_addresses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_id INTEGER NOT NULL,
+    nazwa TEXT,
+    adres TEXT NOT NULL,
+    domyslny INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (client_id) REFERENCES clients (id) ON DELETE CASCADE
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating client_delivery_addresses table:', err);
+    } else {
+      console.log('✅ Client delivery addresses table ready');
+    }
+  });
+  db.run(`CREATE INDEX IF NOT EXISTS idx_client_delivery_addresses_client ON client_delivery_addresses(client_id)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_client_delivery_addresses_client:', err);
+  });
+
   // Таблица продуктов
   db.run(`CREATE TABLE IF NOT EXISTS products (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -1055,6 +1792,26 @@ db.serialize(() => {
           console.log('✅ Column kurs_faktury added to product_receipts');
         }
       });
+
+      // Kurs NBP, z którego pochodzą kursy приёмки; kurs_reczny = 1 — курс введён вручную
+      // и отличается от NBP, NULL — курса NBP на дату не было
+      [
+        ['kurs_nbp_tabela', 'TEXT'],
+        ['kurs_nbp_data', 'TEXT'],
+        ['kurs_reczny', 'INTEGER'],
+      ].forEach(([column, definition]) => {
+        db.run(`ALTER TABLE product_receipts ADD COLUMN ${column} ${definition}`, (alterErr) => {
+          if (alterErr) {
+            if (alterErr.message.includes('duplicate column name') || alterErr.message.includes('already exists')) {
+              console.log(`✅ Column ${column} already exists in product_receipts`);
+            } else {
+              console.error(`❌ Error adding ${column} column:`, alterErr);
+            }
+          } else {
+            console.log(`✅ Column ${column} added to product_receipts`);
+          }
+        });
+      });
     }
   });
 
@@ -1268,1474 +2025,3001 @@ db.serialize(() => {
     }
   });
 
-  console.log('🎉 All database tables initialized successfully');
-  
-  // Миграция: добавляем недостающие поля в таблицу products
-  db.all("PRAGMA table_info(products)", (err, columns) => {
+  // Faktury korygujące: тип документа и ссылка на корректируемую фактуру
+  [
+    ['typ_dokumentu', "TEXT DEFAULT 'faktura'"],
+    ['korygowana_faktura_id', 'INTEGER'],
+    ['przyczyna_korekty', 'TEXT'],
+  ].forEach(([column, definition]) => {
+    db.run(`ALTER TABLE invoices ADD COLUMN ${column} ${definition}`, (alterErr) => {
+      if (alterErr) {
+        if (alterErr.message.includes('duplicate column name') || alterErr.message.includes('already exists')) {
+          console.log(`✅ Column ${column} already exists in invoices`);
+        } else {
+          console.error(`❌ Error adding ${column} column:`, alterErr);
+        }
+      } else {
+        console.log(`✅ Column ${column} added to invoices`);
+      }
+    });
+  });
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_invoices_korygowana_faktura_id ON invoices(korygowana_faktura_id)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_invoices_korygowana_faktura_id:', err);
+  });
+
+  // Данные nabywcy на момент выставления faktury (NIP, VAT UE, adres, adres dostawy)
+  [
+    ['klient_nip', 'TEXT'],
+    ['klient_vat_ue', 'TEXT'],
+    ['klient_adres', 'TEXT'],
+    ['adres_dostawy', 'TEXT'],
+  ].forEach(([column, definition]) => {
+    db.run(`ALTER TABLE invoices ADD COLUMN ${column} ${definition}`, (alterErr) => {
+      if (alterErr) {
+        if (alterErr.message.includes('duplicate column name') || alterErr.message.includes('already exists')) {
+          console.log(`✅ Column ${column} already exists in invoices`);
+        } else {
+          console.error(`❌ Error adding ${column} column:`, alterErr);
+        }
+      } else {
+        console.log(`✅ Column ${column} added to invoices`);
+      }
+    });
+  });
+
+  // Позиции faktury korygującej: состояние "przed" / "po" и разница по каждой позиции.
+  // pozycja — стабильный ключ позиции в цепочке korekt (p<id> для позиций исходной
+  // фактуры, k<id_korekty>_<n> для позиций, добавленных korektą).
+  db.run(`CREATE TABLE IF NOT EXISTS invoice_correction_lines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    correction_id INTEGER NOT NULL,
+    pozycja TEXT NOT NULL,
+    kod TEXT,
+    nazwa TEXT,
+    ilosc_przed REAL DEFAULT 0,
+    cena_netto_przed REAL DEFAULT 0,
+    rabat_przed REAL DEFAULT 0,
+    vat_stawka_przed INTEGER DEFAULT 23,
+    wartosc_netto_przed REAL DEFAULT 0,
+    wartosc_vat_przed REAL DEFAULT 0,
+    wartosc_brutto_przed REAL DEFAULT 0,
+    ilosc_po REAL DEFAULT 0,
+    cena_netto_po REAL DEFAULT 0,
+    rabat_po REAL DEFAULT 0,
+    vat_stawka_po INTEGER DEFAULT 23,
+    wartosc_netto_po REAL DEFAULT 0,
+    wartosc_vat_po REAL DEFAULT 0,
+    wartosc_brutto_po REAL DEFAULT 0,
+    ilosc_roznica REAL DEFAULT 0,
+    cena_netto_roznica REAL DEFAULT 0,
+    wartosc_netto_roznica REAL DEFAULT 0,
+    wartosc_vat_roznica REAL DEFAULT 0,
+    wartosc_brutto_roznica REAL DEFAULT 0,
+    FOREIGN KEY (correction_id) REFERENCES invoices (id) ON DELETE CASCADE
+  )`, (err) => {
     if (err) {
-      console.error('❌ Error checking products table structure:', err);
-      return;
+      console.error('❌ Error creating invoice_correction_lines table:', err);
+    } else {
+      console.log('✅ Invoice correction lines table ready');
     }
-    
-    const columnNames = columns.map(col => col.name);
-    console.log('📋 Current products columns:', columnNames);
   });
-});
 
-// ===== RESERVATIONS ROUTES =====
-// ВАЖНО: Регистрируем маршруты резерваций в начале, чтобы они точно обрабатывались
+  // Forma płatności faktury и jednostka miary pozycji (для PDF и KSeF)
+  [
+    ['invoices', 'forma_platnosci', "TEXT DEFAULT 'przelew'"],
+    ['invoice_products', 'jednostka', "TEXT DEFAULT 'szt.'"],
+    ['invoice_correction_lines', 'jednostka', "TEXT DEFAULT 'szt.'"],
+  ].forEach(([table, column, definition]) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (alterErr) => {
+      if (alterErr) {
+        if (alterErr.message.includes('duplicate column name') || alterErr.message.includes('already exists')) {
+          console.log(`✅ Column ${column} already exists in ${table}`);
+        } else {
+          console.error(`❌ Error adding ${column} column to ${table}:`, alterErr);
+        }
+      } else {
+        console.log(`✅ Column ${column} added to ${table}`);
+      }
+    });
+  });
 
-// Endpoint для создания резерваций (регистрируем ПЕРВЫМ!)
-console.log('🔧 Registering POST /api/reservations endpoint (PRIORITY)');
-app.post('/api/reservations', (req, res) => {
-  console.log('✅ POST /api/reservations - ROUTE MATCHED AND EXECUTING');
-  console.log('📥 Incoming request:', req.method, req.url);
-  console.log('📥 Request body:', JSON.stringify(req.body, null, 2));
-  const { client_id, numer_rezerwacji: providedNumber, data_utworzenia, data_zakonczenia, komentarz, products } = req.body;
-  console.log('📋 POST /api/reservations - Creating new reservation:', { client_id, numer_rezerwacji: providedNumber, data_utworzenia, data_zakonczenia, productsCount: products?.length || 0 });
-  
-  if (!client_id || !data_zakonczenia) {
-    console.log('❌ Validation failed: client_id and data_zakonczenia are required');
-    return res.status(400).json({ error: 'Client ID and end date are required' });
-  }
-  
-  // Используем переданную дату создания или текущую дату
-  const reservationDate = data_utworzenia || new Date().toISOString().split('T')[0];
-  
-  if (!products || !Array.isArray(products) || products.length === 0) {
-    console.log('❌ Validation failed: products array is required and must not be empty');
-    return res.status(400).json({ error: 'Products array is required and must not be empty' });
-  }
+  // Płatności do faktur (częściowe wpłaty). Płatność zawsze przypisana do faktury
+  // pierwotnej — korekty zmieniają tylko kwotę należności.
+  db.run(`CREATE TABLE IF NOT EXISTS invoice_payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    invoice_id INTEGER NOT NULL,
+    kwota REAL NOT NULL,
+    data_platnosci TEXT NOT NULL,
+    metoda TEXT DEFAULT 'przelew',
+    uwagi TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invoice_id) REFERENCES invoices (id) ON DELETE CASCADE
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating invoice_payments table:', err);
+    } else {
+      console.log('✅ Invoice payments table ready');
+    }
+  });
 
-  // Используем переданный номер или генерируем новый
-  let numer_rezerwacji = providedNumber;
-  
-  // Проверяем доступность товаров перед созданием резервации
-  console.log('🔍 Checking product availability for reservation...');
-  
-  // Создаем массив для проверки доступности
-  const availabilityChecks = products.map(product => {
-    return new Promise((resolve, reject) => {
-      const { product_kod, product_nazwa, ilosc } = product;
-      
-      // Проверяем доступное количество с учетом активных резерваций
-      // Подзапросы: total_available суммирует ВСЕ строки по kod (основные + семплы)
-      db.get(`
-        SELECT 
-          (SELECT COALESCE(SUM(ilosc), 0) FROM working_sheets WHERE kod = ?) as total_available,
-          COALESCE((
-            SELECT SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0))
-            FROM reservation_products rp
-            INNER JOIN reservations r ON rp.reservation_id = r.id
-            WHERE rp.product_kod = ? AND r.status = 'aktywna'
-          ), 0) as reserved
-      `, [product_kod, product_kod], (err, row) => {
-        if (err) {
-          reject({ kod: product_kod, error: err.message });
-        } else if (!row) {
-          reject({ kod: product_kod, nazwa: product_nazwa, ilosc, available: 0, error: 'Product not found in working_sheets' });
-        } else {
-          const available = row.total_available - row.reserved;
-          if (available < ilosc) {
-            reject({ kod: product_kod, nazwa: product_nazwa, ilosc, available: available, reserved: row.reserved, total: row.total_available, error: 'Insufficient quantity' });
-          } else {
-            resolve({ kod: product_kod, nazwa: product_nazwa, ilosc, available: available });
-          }
-        }
-      });
-    });
+  db.run(`CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice_id ON invoice_payments(invoice_id)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_invoice_payments_invoice_id:', err);
   });
-  
-  // Выполняем все проверки
-  Promise.all(availabilityChecks)
-    .then((results) => {
-      console.log('✅ All products are available for reservation');
-      
-      // Если все проверки прошли, создаем резервацию
-      const createReservation = (finalNumber, retryCount = 0) => {
-        // Защита от бесконечной рекурсии
-        if (retryCount > 5) {
-          console.error(`❌ Too many retries (${retryCount}) for reservation number generation`);
-          return res.status(500).json({ 
-            error: 'Failed to generate unique reservation number after multiple attempts',
-            details: { attemptedNumber: finalNumber, retries: retryCount }
-          });
-        }
 
-        // Создаем резервацию
-        db.run(
-          'INSERT INTO reservations (client_id, numer_rezerwacji, data_utworzenia, data_zakonczenia, status, komentarz) VALUES (?, ?, ?, ?, ?, ?)',
-          [client_id, finalNumber, reservationDate, data_zakonczenia, 'aktywna', komentarz || null],
-          function(err) {
-            if (err) {
-              // Если ошибка уникальности, пытаемся сгенерировать новый номер
-              if (err.message.includes('UNIQUE constraint') || err.message.includes('unique')) {
-                console.log(`⚠️ Reservation number ${finalNumber} already exists (attempt ${retryCount + 1}), generating new one...`);
-                getNextReservationNumber(reservationDate, (retryErr, newNumber, maxNumber) => {
-                  if (retryErr) {
-                    console.error('❌ Error finding max reservation number on retry:', retryErr);
-                    return res.status(500).json({ error: retryErr.message });
-                  }
-                  console.log(`✅ Retry ${retryCount + 1}: Generated new reservation number: ${newNumber} (max number: ${maxNumber})`);
-                  createReservation(newNumber, retryCount + 1);
-                });
-                return;
-              }
-              
-              console.error('❌ Database error creating reservation:', err);
-              return res.status(500).json({ error: err.message });
-            }
-        
-        const reservationId = this.lastID;
-        console.log(`✅ Reservation created with ID: ${reservationId}, number: ${finalNumber}`);
-        
-        // Создаем записи для каждого продукта
-        let productsCreated = 0;
-        let productsFailed = 0;
-        
-        products.forEach((product, index) => {
-          const { product_kod, product_nazwa, kod_kreskowy, ilosc } = product;
-          
-          // Получаем product_id из таблицы products по коду
-          db.get('SELECT id FROM products WHERE kod = ? LIMIT 1', [product_kod], (err, productRow) => {
-            if (err) {
-              console.error(`❌ Error finding product ${product_kod}:`, err);
-              productsFailed++;
-              checkCompletion();
-              return;
-            }
+  // Очередь отправки faktur в KSeF (FA (2)). xml — снимок документа на момент постановки в очередь.
+  db.run(`CREATE TABLE IF NOT EXISTS ksef_submissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    invoice_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'do_wysłania',
+    xml TEXT NOT NULL,
+    transport TEXT,
+    numer_referencyjny TEXT,
+    numer_ksef TEXT,
+    blad TEXT,
+    proby INTEGER DEFAULT 0,
+    wyslano_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invoice_id) REFERENCES invoices (id) ON DELETE CASCADE
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating ksef_submissions table:', err);
+    } else {
+      console.log('✅ KSeF submissions table ready');
+    }
+  });
 
-            const productId = productRow ? productRow.id : null;
-            
-            // Создаем запись в reservation_products
-            db.run(
-              'INSERT INTO reservation_products (reservation_id, product_id, product_kod, product_nazwa, kod_kreskowy, ilosc) VALUES (?, ?, ?, ?, ?, ?)',
-              [reservationId, productId, product_kod, product_nazwa, kod_kreskowy || null, ilosc],
-              function(err) {
-                if (err) {
-                  console.error(`❌ Error creating reservation product ${index + 1}:`, err);
-                  productsFailed++;
-                  checkCompletion();
-                } else {
-                  productsCreated++;
-                  console.log(`✅ Product ${index + 1} created for reservation ${reservationId} with ID: ${this.lastID}`);
-                  checkCompletion();
-                }
-              }
-            );
-          });
-        });
-        
-        function checkCompletion() {
-          if (productsCreated + productsFailed === products.length) {
-            if (res.headersSent) {
-              console.log('⚠️ Response already sent, skipping checkCompletion');
-              return;
-            }
-            
-            if (productsFailed === 0) {
-              console.log(`✅ All ${productsCreated} products created successfully for reservation ${reservationId}`);
-              res.json({ 
-                id: reservationId,
-                numer_rezerwacji: finalNumber,
-                message: 'Reservation and all products added successfully',
-                productsCreated: productsCreated,
-                success: true
-              });
-            } else {
-              console.log(`⚠️ Reservation created but ${productsFailed} products failed to create`);
-              res.status(500).json({ 
-                id: reservationId,
-                numer_rezerwacji: finalNumber,
-                error: `Reservation created but ${productsFailed} products failed to create`,
-                productsCreated: productsCreated,
-                productsFailed: productsFailed
-              });
-            }
-          }
-        }
-      }
-    );
-  };
-  
-      if (!numer_rezerwacji) {
-        // Генерируем номер резервации: R001_день_месяц_год (глобальная нумерация)
-        console.log(`🔢 Generating reservation number for date: ${reservationDate}`);
-        getNextReservationNumber(reservationDate, (err, nextNumberString, maxNumber) => {
-          if (err) {
-            console.error('❌ Error finding max reservation number:', err);
-            return res.status(500).json({ error: err.message });
-          }
-          numer_rezerwacji = nextNumberString;
-          console.log(`✅ Generated reservation number: ${numer_rezerwacji} (max number was: ${maxNumber}, next: ${maxNumber + 1})`);
-          createReservation(numer_rezerwacji);
-        });
-      } else {
-        // Проверяем уникальность переданного номера
-        db.get('SELECT id FROM reservations WHERE numer_rezerwacji = ?', [numer_rezerwacji], (err, existing) => {
-          if (err) {
-            console.error('❌ Error checking reservation number uniqueness:', err);
-            return res.status(500).json({ error: err.message });
-          }
-          
-          if (existing) {
-            console.log(`❌ Reservation number ${numer_rezerwacji} already exists`);
-            return res.status(400).json({ error: `Reservation number ${numer_rezerwacji} already exists` });
-          }
-          
-        createReservation(numer_rezerwacji);
-        });
-      }
-    })
-    .catch((error) => {
-      // Обрабатываем ошибки доступности
-      // Promise.all отклоняется с первой ошибкой
-      console.log('❌ Availability check failed for reservation');
-      
-      if (error.error === 'Insufficient quantity') {
-        const { kod, nazwa, ilosc, available, reserved, total } = error;
-        console.log(`❌ Product ${kod} (${nazwa}) - requested: ${ilosc}, available: ${available}, reserved: ${reserved}, total: ${total}`);
-        res.status(400).json({ 
-          error: 'Insufficient quantity',
-          details: {
-            kod,
-            nazwa,
-            requested: ilosc,
-            available: available,
-            reserved: reserved,
-            total: total,
-            message: `Niewystarczająca ilość produktu "${nazwa}" (kod: ${kod}). Zapytano: ${ilosc}, dostępne: ${available} (łącznie: ${total}, zarezerwowane: ${reserved})`
-          }
-        });
-      } else if (error.error === 'Product not found in working_sheets') {
-        const { kod, nazwa } = error;
-        console.log(`❌ Product ${kod} (${nazwa}) not found in working_sheets`);
-        res.status(400).json({ 
-          error: 'Product not found',
-          details: {
-            kod,
-            nazwa,
-            message: `Produkt "${nazwa}" (kod: ${kod}) nie został znaleziony w systemie`
-          }
-        });
-      } else {
-        console.log(`❌ Database error checking availability:`, error);
-        res.status(500).json({ 
-          error: 'Database error during availability check',
-          details: {
-            kod: error.kod || 'unknown',
-            message: `Błąd bazy danych podczas sprawdzania dostępności produktu ${error.kod || 'unknown'}`
-          }
-        });
-      }
-    });
-});
+  db.run(`CREATE INDEX IF NOT EXISTS idx_ksef_submissions_invoice_id ON ksef_submissions(invoice_id)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_ksef_submissions_invoice_id:', err);
+  });
 
-// ===== RESERVATIONS ROUTES =====
-// Endpoint для получения только числовой части следующего номера резервации (без даты)
-// ВАЖНО: Регистрируем ПЕРВЫМ среди маршрутов резерваций, чтобы не перехватывался другими
-console.log('🔧 Registering GET /api/reservations/next-number-only endpoint (PRIORITY)');
-app.get('/api/reservations/next-number-only', (req, res) => {
-  console.log('🔢 GET /api/reservations/next-number-only - Generating next reservation number (without date)');
-  
-  // Получаем все номера резерваций для поиска максимального номера
-  db.all('SELECT numer_rezerwacji FROM reservations WHERE numer_rezerwacji LIKE ?', ['R%'], (err, allRows) => {
+  db.run(`CREATE INDEX IF NOT EXISTS idx_ksef_submissions_status ON ksef_submissions(status)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_ksef_submissions_status:', err);
+  });
+
+  // Użytkownicy: rola — admin / magazyn / sprzedaż / podgląd, password_hash — scrypt (server/auth.js)
+  db.run(`CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    login TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    imie_nazwisko TEXT,
+    rola TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    aktywny INTEGER DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
     if (err) {
-      console.error('❌ Error finding max reservation number:', err);
-      return res.status(500).json({ error: err.message });
+      console.error('❌ Error creating users table:', err);
+    } else {
+      console.log('✅ Users table ready');
+      ensureInitialAdmin();
     }
-    
-    console.log(`📋 Found ${allRows.length} reservations with R% pattern`);
-    if (allRows.length > 0) {
-      console.log('📋 Reservation numbers:', allRows.map(r => r.numer_rezerwacji).join(', '));
+  });
+
+  // Sesje: token_hash — sha256 токена, сам токен хранится только у клиента
+  db.run(`CREATE TABLE IF NOT EXISTS user_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating user_sessions table:', err);
+    } else {
+      console.log('✅ User sessions table ready');
     }
-    
-    // Извлекаем числовую часть из каждого номера и находим максимум
-    let maxNumber = 0;
-    const numbers = [];
-    allRows.forEach(row => {
-      const match = row.numer_rezerwacji.match(/^R(\d+)/);
-      if (match) {
-        const num = parseInt(match[1], 10);
-        numbers.push(num);
-        if (num > maxNumber) {
-          maxNumber = num;
-        }
-      }
-    });
-    
-    console.log(`📊 Extracted numbers: [${numbers.sort((a,b) => a-b).join(', ')}], max: ${maxNumber}`);
-    
-    const nextNumber = maxNumber + 1;
-    const numer_rezerwacji_only = `R${nextNumber.toString().padStart(3, '0')}`;
-    console.log(`✅ Generated next reservation number (without date): ${numer_rezerwacji_only} (max number was: ${maxNumber}, next: ${nextNumber})`);
-    res.json({ numer_rezerwacji: numer_rezerwacji_only });
   });
-});
-
-// Получение всех товаров из резерваций (активных и реализованных - для истории)
-// Группирует товары по product_kod и суммирует количество
-app.get('/api/reservations/active-products', (req, res) => {
-  console.log('📋 GET /api/reservations/active-products - Fetching reservation products history (grouped by product)');
 
-  // Сначала получаем сгруппированные данные по товарам
-  db.all(`
-    SELECT 
-      rp.product_kod,
-      MAX(rp.product_nazwa) as product_nazwa,
-      SUM(COALESCE(rp.ilosc, 0)) as ilosc,
-      SUM(COALESCE(rp.ilosc_wydane, 0)) as ilosc_wydane
-    FROM reservations r
-    INNER JOIN reservation_products rp ON rp.reservation_id = r.id
-    WHERE LOWER(TRIM(r.status)) IN ('aktywna', 'aktywny', 'zrealizowana')
-    GROUP BY rp.product_kod
-    ORDER BY rp.product_nazwa ASC
-  `, (err, groupedRows) => {
+  // Kursy średnie NBP (tabela A): kurs — PLN za 1 jednostkę waluty
+  db.run(`CREATE TABLE IF NOT EXISTS exchange_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    data_tabeli TEXT NOT NULL,
+    numer_tabeli TEXT NOT NULL,
+    waluta TEXT NOT NULL,
+    kurs REAL NOT NULL,
+    zrodlo TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(data_tabeli, waluta)
+  )`, (err) => {
     if (err) {
-      console.error('❌ Database error fetching reservation products:', err);
-      res.status(500).json({ error: err.message });
-      return;
+      console.error('❌ Error creating exchange_rates table:', err);
+    } else {
+      console.log('✅ Exchange rates table ready');
     }
+  });
 
-    // Для каждого уникального товара собираем информацию о клиентах и заказах
-    const processedRows = groupedRows.map(groupedRow => {
-      return new Promise((resolve) => {
-        if (!groupedRow.product_kod) {
-          resolve({ ...groupedRow, klienci: [], zamowienia_z_iloscia: [] });
-          return;
-        }
-
-        // Получаем список клиентов для этого товара (из активных и реализованных резерваций)
-        db.all(`
-          SELECT DISTINCT
-            c.nazwa as klient,
-            rp.ilosc as ilosc_per_client
-          FROM reservations r
-          INNER JOIN reservation_products rp ON rp.reservation_id = r.id
-          LEFT JOIN clients c ON r.client_id = c.id
-          WHERE LOWER(TRIM(r.status)) IN ('aktywna', 'aktywny', 'zrealizowana')
-            AND rp.product_kod = ?
-          ORDER BY c.nazwa ASC
-        `, [groupedRow.product_kod], (err, clientRows) => {
-          if (err) {
-            console.error(`❌ Error fetching clients for product ${groupedRow.product_kod}:`, err);
-            resolve({ ...groupedRow, klienci: [], zamowienia_z_iloscia: [] });
-            return;
-          }
-
-          // Получаем все заказы для этого товара из всех резерваций (активных и реализованных)
-          db.all(`
-            SELECT 
-              o.numer_zamowienia,
-              SUM(rof.quantity) as ilosc_wydane_w_zamowieniu
-            FROM reservation_order_fulfillments rof
-            INNER JOIN orders o ON rof.order_id = o.id
-            INNER JOIN reservation_products rp ON rof.reservation_product_id = rp.id
-            INNER JOIN reservations r ON rp.reservation_id = r.id
-            WHERE LOWER(TRIM(r.status)) IN ('aktywna', 'aktywny', 'zrealizowana')
-              AND rp.product_kod = ?
-            GROUP BY o.numer_zamowienia
-            ORDER BY o.data_utworzenia DESC
-          `, [groupedRow.product_kod], (err, orderRows) => {
-            if (err) {
-              console.error(`❌ Error fetching orders for product ${groupedRow.product_kod}:`, err);
-              resolve({ 
-                ...groupedRow, 
-                klienci: clientRows.map(cr => ({ klient: cr.klient, ilosc: cr.ilosc_per_client })),
-                zamowienia_z_iloscia: [] 
-              });
-              return;
-            }
-
-            resolve({
-              product_kod: groupedRow.product_kod,
-              product_nazwa: groupedRow.product_nazwa,
-              ilosc: groupedRow.ilosc || 0,
-              ilosc_wydane: groupedRow.ilosc_wydane || 0,
-              klienci: clientRows.map(cr => ({ klient: cr.klient, ilosc: cr.ilosc_per_client })),
-              zamowienia_z_iloscia: orderRows.map(or => ({
-                numer_zamowienia: or.numer_zamowienia,
-                ilosc: or.ilosc_wydane_w_zamowieniu || 0
-              }))
-            });
-          });
-        });
-      });
-    });
+  // Historia zmian: diff — JSON { pole: { old, new } } / { pole: { added, removed } } (server/audit.js).
+  // user_login хранится копией, чтобы запись пережила удаление пользователя
+  db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    user_login TEXT,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    diff TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating audit_log table:', err);
+    } else {
+      console.log('✅ Audit log table ready');
+    }
+  });
 
-    Promise.all(processedRows).then(results => {
-      console.log(`✅ Found ${results.length} unique products in reservations (history)`);
-      res.json(results);
-    });
+  db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_audit_log_entity:', err);
   });
-});
 
-// API Routes
-app.get('/api/health', (req, res) => {
-  console.log('🏥 Health check requested');
-  res.json({ 
-    status: 'OK', 
-    message: 'EnoTerra ERP Server is running',
-    timestamp: new Date().toISOString()
+  // Dziennik ruchów magazynowych (server/stockLedger.js): batch_id — партия products,
+  // NULL — движение только по kod (working_sheets). Строки не изменяются и не удаляются
+  db.run(`CREATE TABLE IF NOT EXISTS stock_movements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kod TEXT NOT NULL,
+    batch_id INTEGER,
+    quantity INTEGER NOT NULL,
+    document_type TEXT NOT NULL,
+    document_id TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating stock_movements table:', err);
+    } else {
+      console.log('✅ Stock movements table ready');
+    }
   });
-});
 
-// Test endpoint для проверки путей
-app.get('/api/test-paths', (req, res) => {
-  const uploadsDir = path.join(__dirname, 'uploads');
-  let dirContents = [];
-  let exists = false;
+  db.run(`CREATE INDEX IF NOT EXISTS idx_stock_movements_kod ON stock_movements(kod)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_stock_movements_kod:', err);
+  });
+  db.run(`CREATE INDEX IF NOT EXISTS idx_stock_movements_batch ON stock_movements(batch_id)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_stock_movements_batch:', err);
+  });
+  db.run(`CREATE INDEX IF NOT EXISTS idx_stock_movements_document ON stock_movements(document_type, document_id)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_stock_movements_document:', err);
+  });
 
-  try {
-    exists = fs.existsSync(uploadsDir);
-    if (exists) {
-      dirContents = fs.readdirSync(uploadsDir);
+  // Bilans otwarcia: при пустом журнале переносим текущие остатки партий и разницу
+  // между working_sheets и суммой партий, чтобы журнал сразу сходился со складом
+  db.run(`
+    INSERT INTO stock_movements (kod, batch_id, quantity, document_type)
+    SELECT kod, id, ilosc_aktualna, '${STOCK_DOCUMENT_TYPES.OPENING}'
+    FROM products
+    WHERE COALESCE(ilosc_aktualna, 0) != 0
+      AND NOT EXISTS (SELECT 1 FROM stock_movements)
+    UNION ALL
+    SELECT k.kod, NULL, COALESCE(ws.ilosc, 0) - COALESCE(b.ilosc, 0), '${STOCK_DOCUMENT_TYPES.OPENING}'
+    FROM (SELECT kod FROM working_sheets UNION SELECT kod FROM products) k
+    LEFT JOIN (SELECT kod, SUM(ilosc) AS ilosc FROM working_sheets GROUP BY kod) ws ON ws.kod = k.kod
+    LEFT JOIN (SELECT kod, SUM(ilosc_aktualna) AS ilosc FROM products GROUP BY kod) b ON b.kod = k.kod
+    WHERE COALESCE(ws.ilosc, 0) - COALESCE(b.ilosc, 0) != 0
+      AND NOT EXISTS (SELECT 1 FROM stock_movements)
+  `, function (err) {
+    if (err) {
+      console.error('❌ Error writing opening stock balance:', err);
+    } else if (this.changes > 0) {
+      console.log(`✅ Opening stock balance written to stock_movements: ${this.changes} rows`);
     }
-  } catch (error) {
-    console.error('Error checking uploads directory:', error);
-  }
-
-  res.json({
-    cwd: process.cwd(),
-    __dirname: __dirname,
-    uploadsDir: uploadsDir,
-    dirContents: dirContents,
-    exists: exists,
-    error: exists ? null : 'Directory not found'
   });
-});
 
-// API для получения списка файлов
-app.get('/api/original-sheets', (req, res) => {
-  console.log('📄 GET /api/original-sheets - Fetching original sheets');
-  db.all('SELECT * FROM original_sheets', (err, rows) => {
+  // Inwentaryzacja (server/stocktake.js): stan księgowy замораживается при открытии сессии,
+  // numer_przychodu / numer_odpisania — документы, созданные при проведении
+  db.run(`CREATE TABLE IF NOT EXISTS stocktake_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    numer TEXT NOT NULL UNIQUE,
+    status TEXT NOT NULL DEFAULT '${STOCKTAKE_STATUS.OPEN}',
+    opis TEXT,
+    utworzyl TEXT,
+    zamknal TEXT,
+    przychod_order_id INTEGER,
+    numer_przychodu TEXT,
+    odpisanie_order_id INTEGER,
+    numer_odpisania TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP
+  )`, (err) => {
     if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
+      console.error('❌ Error creating stocktake_sessions table:', err);
+    } else {
+      console.log('✅ Stocktake sessions table ready');
     }
-    
-    // Преобразуем данные в нужный формат
-    const sheets = rows.map(row => ({
-      id: row.id,
-      fileName: row.file_name,
-      data: JSON.parse(row.data),
-      created_at: row.created_at
-    }));
-    
-    console.log(`✅ Found ${sheets.length} original sheets`);
-    res.json(sheets);
   });
-});
 
-// API для проверки существования файла
-app.get('/api/check_file/:fileName', (req, res) => {
-  const { fileName } = req.params;
-  console.log(`🔍 GET /api/check_file/${fileName} - Checking file existence`);
-  
-  db.get('SELECT COUNT(*) as count FROM original_sheets WHERE file_name = ?', [fileName], (err, row) => {
+  db.run(`CREATE TABLE IF NOT EXISTS stocktake_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    kod TEXT NOT NULL,
+    nazwa TEXT NOT NULL,
+    kod_kreskowy TEXT,
+    ilosc_ksiegowa INTEGER NOT NULL DEFAULT 0,
+    ilosc_policzona INTEGER,
+    updated_at TIMESTAMP,
+    UNIQUE (session_id, kod),
+    FOREIGN KEY (session_id) REFERENCES stocktake_sessions (id) ON DELETE CASCADE
+  )`, (err) => {
     if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
+      console.error('❌ Error creating stocktake_items table:', err);
+    } else {
+      console.log('✅ Stocktake items table ready');
     }
-    
-    const exists = row.count > 0;
-    console.log(`✅ File ${fileName} exists: ${exists}`);
-    res.json({ exists });
   });
-});
 
-// Products API
-app.get('/api/products', (req, res) => {
-  console.log('📦 GET /api/products - Fetching all products');
-  db.all('SELECT * FROM products ORDER BY nazwa', (err, rows) => {
+  db.run(`CREATE INDEX IF NOT EXISTS idx_stocktake_items_kod_kreskowy ON stocktake_items(session_id, kod_kreskowy)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_stocktake_items_kod_kreskowy:', err);
+  });
+
+  // Lokalizacje (server/locations.js): id 1 — magazyn główny, в нём все партии
+  // без явной lokalizacji (DEFAULT у products.location_id)
+  db.run(`CREATE TABLE IF NOT EXISTS locations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kod TEXT NOT NULL UNIQUE,
+    nazwa TEXT NOT NULL,
+    typ TEXT NOT NULL DEFAULT '${LOCATION_TYPES.MAGAZYN}',
+    client_id INTEGER,
+    aktywna INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
     if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
+      console.error('❌ Error creating locations table:', err);
+    } else {
+      console.log('✅ Locations table ready');
     }
-    console.log(`✅ Found ${rows.length} products`);
-    res.json(rows || []);
   });
-});
 
-app.post('/api/products', (req, res) => {
-  const { kod, nazwa, kod_kreskowy, cena, cena_sprzedazy, ilosc, data_waznosci } = req.body;
-  console.log('📦 POST /api/products - Creating new product:', { kod, nazwa });
-  
-  if (!kod || !nazwa) {
-    console.log('❌ Validation failed: kod and nazwa are required');
-    return res.status(400).json({ error: 'Kod and nazwa are required' });
-  }
-  
   db.run(
-    'INSERT INTO products (kod, nazwa, kod_kreskowy, cena, cena_sprzedazy, ilosc, ilosc_aktualna, data_waznosci) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-    [kod, nazwa, kod_kreskowy, cena || 0, cena_sprzedazy || 0, ilosc || 0, ilosc || 0, data_waznosci],
-    function(err) {
-      if (err) {
-        console.error('❌ Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      console.log(`✅ Product created with ID: ${this.lastID}`);
-      res.json({ id: this.lastID, message: 'Product added successfully' });
+    `INSERT OR IGNORE INTO locations (id, kod, nazwa, typ) VALUES (?, 'MAG', 'Magazyn główny', '${LOCATION_TYPES.MAGAZYN}')`,
+    [DEFAULT_LOCATION_ID],
+    (err) => {
+      if (err) console.error('❌ Error creating default location:', err);
     }
   );
-});
 
-app.get('/api/products/search', (req, res) => {
-  const { query } = req.query;
-  console.log(`🔍 GET /api/products/search - Searching products with query: "${query}"`);
-  
-  if (!query) {
-    console.log('❌ Validation failed: query parameter is required');
-    return res.status(400).json({ error: 'Query parameter is required' });
-  }
-  
-  db.all(
-    'SELECT * FROM products WHERE nazwa LIKE ? OR kod LIKE ? ORDER BY nazwa LIMIT 10',
-    [`%${query}%`, `%${query}%`],
-    (err, rows) => {
-      if (err) {
-        console.error('❌ Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      console.log(`✅ Found ${rows.length} products matching "${query}"`);
-      res.json({
-        products: rows || [],
-        query: query,
-        count: rows.length,
-        timestamp: new Date().toISOString()
-      });
+  // Pozycje przesunięcia między lokalizacjami: z какой партии в какую перенесено —
+  // по ним удаление przesunięcia возвращает остаток в исходную партию
+  db.run(`CREATE TABLE IF NOT EXISTS stock_transfer_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    kod TEXT NOT NULL,
+    z_batch_id INTEGER NOT NULL,
+    do_batch_id INTEGER NOT NULL,
+    ilosc INTEGER NOT NULL,
+    FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating stock_transfer_items table:', err);
+    } else {
+      console.log('✅ Stock transfer items table ready');
     }
-  );
-});
+  });
 
-// Получение количества samples для каждого товара
-app.get('/api/products/samples-count', (req, res) => {
-  console.log('📦 GET /api/products/samples-count - Fetching samples count');
-  db.all(
-    `SELECT kod, SUM(ilosc_aktualna) as total_ilosc 
-     FROM products 
-     WHERE status = 'samples' 
-     GROUP BY kod`,
-    [],
-    (err, rows) => {
-      if (err) {
-        console.error('❌ Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      console.log(`✅ Found samples count for ${rows.length} products`);
-      res.json(rows || []);
-    }
-  );
-});
+  db.run(`CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_order ON stock_transfer_items(order_id)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_stock_transfer_items_order:', err);
+  });
 
-// Получение количества товаров в активных резервациях (невыданное количество)
-app.get('/api/products/reservations-count', (req, res) => {
-  console.log('📦 GET /api/products/reservations-count - Fetching reservations count');
-  db.all(
-    `SELECT 
-      rp.product_kod as kod,
-      SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as total_ilosc
-     FROM reservation_products rp
-     INNER JOIN reservations r ON rp.reservation_id = r.id
-     WHERE r.status = 'aktywna'
-     GROUP BY rp.product_kod`,
-    [],
-    (err, rows) => {
-      if (err) {
-        console.error('❌ Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
+  // Przesunięcie между lokalizacjami: z_location_id → do_location_id. У przesunięć,
+  // созданных вместе с fakturą (komis), оба поля NULL — склад они не меняют
+  ['z_location_id', 'do_location_id'].forEach((column) => {
+    db.run(`ALTER TABLE orders ADD COLUMN ${column} INTEGER`, (alterErr) => {
+      if (alterErr) {
+        if (!alterErr.message.includes('duplicate column name')) {
+          console.error(`❌ Error adding ${column} column to orders:`, alterErr);
+        }
+      } else {
+        console.log(`✅ Column ${column} added to orders`);
       }
-      console.log(`✅ Found reservations count for ${rows.length} products`);
-      res.json(rows || []);
-    }
-  );
-});
+    });
+  });
 
-// Получение стоимости товаров (ilosc * cena для каждого kod из working_sheets)
-app.get('/api/products/wartosc-towaru', (req, res) => {
-  console.log('📦 GET /api/products/wartosc-towaru - Fetching product values from working_sheets');
-  db.all(
-    `SELECT kod, (ilosc * cena) as wartosc 
-     FROM working_sheets 
-     WHERE archived = 0 OR archived IS NULL`,
-    [],
-    (err, rows) => {
-      if (err) {
-        console.error('❌ Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
+  // Wysyłka zamówienia do WMS (server/wms.js): wms_status NULL — не отправлялось.
+  // wms_proby / wms_nastepna_proba — очередь повторных попыток отправки
+  [
+    ['wms_shipment_id', 'TEXT'],
+    ['wms_status', 'TEXT'],
+    ['wms_blad', 'TEXT'],
+    ['wms_proby', 'INTEGER DEFAULT 0'],
+    ['wms_nastepna_proba', 'TIMESTAMP'],
+    ['wms_updated_at', 'TIMESTAMP'],
+  ].forEach(([column, type]) => {
+    db.run(`ALTER TABLE orders ADD COLUMN ${column} ${type}`, (alterErr) => {
+      if (alterErr) {
+        if (!alterErr.message.includes('duplicate column name')) {
+          console.error(`❌ Error adding ${column} column to orders:`, alterErr);
+        }
+      } else {
+        console.log(`✅ Column ${column} added to orders`);
       }
-      console.log(`✅ Found wartosc for ${rows.length} products from working_sheets`);
-      res.json(rows || []);
+    });
+  });
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_orders_wms_status ON orders(wms_status)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_orders_wms_status:', err);
+  });
+
+  // Снимок позиций, отправленных в WMS; ilosc_potwierdzona — фактически wydane по данным WMS
+  db.run(`CREATE TABLE IF NOT EXISTS wms_shipment_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    kod TEXT NOT NULL,
+    ean TEXT,
+    ilosc INTEGER NOT NULL,
+    ilosc_potwierdzona INTEGER,
+    FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating wms_shipment_items table:', err);
+    } else {
+      console.log('✅ WMS shipment items table ready');
     }
-  );
-});
+  });
 
-// Получение самой старой даты created_at из products для каждого kod (для расчёта среднего потребления)
-app.get('/api/products/oldest-date', (req, res) => {
-  console.log('📦 GET /api/products/oldest-date - Fetching oldest created_at for each kod');
-  db.all(
-    `SELECT kod, MIN(created_at) as oldest_created_at 
-     FROM products 
-     GROUP BY kod`,
-    [],
-    (err, rows) => {
-      if (err) {
-        console.error('❌ Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      console.log(`✅ Found oldest dates for ${rows.length} products`);
-      res.json(rows || []);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_wms_shipment_items_order ON wms_shipment_items(order_id)`, (err) => {
+    if (err) console.error('❌ Error creating index idx_wms_shipment_items_order:', err);
+  });
+
+  // Zamówienia zakupu u dostawców (server/purchaseOrders.js): ceny pozycji — w walucie
+  // zamówienia; zamkniete = 1 — zamknięte ręcznie (niedostarczona reszta nie jest już oczekiwana)
+  db.run(`CREATE TABLE IF NOT EXISTS purchase_orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    numer TEXT NOT NULL UNIQUE,
+    sprzedawca TEXT NOT NULL,
+    waluta TEXT NOT NULL DEFAULT 'EUR',
+    data_zamowienia TEXT NOT NULL,
+    data_dostawy TEXT,
+    uwagi TEXT,
+    zamkniete INTEGER NOT NULL DEFAULT 0,
+    utworzyl TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating purchase_orders table:', err);
+    } else {
+      console.log('✅ Purchase orders table ready');
     }
-  );
-});
+  });
 
-// Получение информации о конкретном товаре по ID
-app.get('/api/products/:id', (req, res) => {
-  const { id } = req.params;
-  console.log(`📦 GET /api/products/${id} - Fetching product details`);
-  
-  db.get('SELECT * FROM products WHERE id = ?', [id], (err, row) => {
+  db.run(`CREATE TABLE IF NOT EXISTS purchase_order_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    purchase_order_id INTEGER NOT NULL,
+    kod TEXT NOT NULL,
+    nazwa TEXT NOT NULL,
+    kod_kreskowy TEXT,
+    ilosc INTEGER NOT NULL,
+    cena REAL NOT NULL DEFAULT 0,
+    UNIQUE (purchase_order_id, kod),
+    FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders (id) ON DELETE CASCADE
+  )`, (err) => {
     if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
+      console.error('❌ Error creating purchase_order_items table:', err);
+    } else {
+      console.log('✅ Purchase order items table ready');
     }
-    
-    if (!row) {
-      console.log(`❌ Product with ID ${id} not found`);
-      res.status(404).json({ error: 'Product not found' });
-      return;
+  });
+
+  // Przyjęcie, utworzone z zamówienia zakupu; по его позициям считается realizacja
+  db.run('ALTER TABLE product_receipts ADD COLUMN purchase_order_id INTEGER', (alterErr) => {
+    if (alterErr) {
+      if (!alterErr.message.includes('duplicate column name')) {
+        console.error('❌ Error adding purchase_order_id column to product_receipts:', alterErr);
+      }
+    } else {
+      console.log('✅ Column purchase_order_id added to product_receipts');
     }
-    
-    console.log(`✅ Found product: ${row.nazwa} (${row.kod})`);
-    res.json({
-      product: row,
-      selected: true,
-      timestamp: new Date().toISOString()
+    db.run('CREATE INDEX IF NOT EXISTS idx_product_receipts_purchase_order ON product_receipts(purchase_order_id)', (err) => {
+      if (err) console.error('❌ Error creating index idx_product_receipts_purchase_order:', err);
     });
   });
-});
 
-// Функция для проверки и обновления истекших резерваций
-function checkExpiredReservations() {
-  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-  
-  db.run(`
-    UPDATE reservations 
-    SET status = 'wygasła' 
-    WHERE status = 'aktywna' 
-      AND date(data_zakonczenia) < date(?)
-  `, [today], function(err) {
+  // Kartoteka dostawców (server/suppliers.js); waluta — domyślna waluta faktur i zamówień
+  db.run(`CREATE TABLE IF NOT EXISTS suppliers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nazwa TEXT NOT NULL,
+    nip TEXT,
+    vat_ue TEXT,
+    kraj TEXT,
+    waluta TEXT NOT NULL DEFAULT 'EUR',
+    termin_platnosci_dni INTEGER,
+    osoba_kontaktowa TEXT,
+    email TEXT,
+    telefon TEXT,
+    adres TEXT,
+    uwagi TEXT,
+    aktywny INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
     if (err) {
-      console.error('❌ Error checking expired reservations:', err);
-    } else if (this.changes > 0) {
-      console.log(`✅ ${this.changes} reservation(s) marked as 'wygasła'`);
+      console.error('❌ Error creating suppliers table:', err);
+    } else {
+      console.log('✅ Suppliers table ready');
     }
   });
-}
-
-// Запускаем проверку истекших резерваций при старте сервера
-setTimeout(() => {
-  checkExpiredReservations();
-}, 2000);
 
-// Запускаем проверку каждый час
-setInterval(() => {
-  checkExpiredReservations();
-}, 60 * 60 * 1000);
+  // Jednorazowe migracje danych: nazwa → data wykonania (повторно не запускаются)
+  db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    nazwa TEXT PRIMARY KEY,
+    wykonana_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
+    if (err) console.error('❌ Error creating schema_migrations table:', err);
+  });
 
-// Функция для проверки и обновления статуса резервации на 'zrealizowana' или обратно на 'aktywna'
-function checkAndUpdateReservationStatus(reservationId) {
-  // Проверяем, все ли товары в резервации полностью выданы
-  db.get(`
-    SELECT 
-      COUNT(*) as total_products,
-      SUM(CASE WHEN COALESCE(ilosc_wydane, 0) >= ilosc THEN 1 ELSE 0 END) as completed_products
-    FROM reservation_products 
-    WHERE reservation_id = ?
-  `, [reservationId], (err, row) => {
-    if (err) {
-      console.error(`❌ Error checking reservation ${reservationId} status:`, err);
-      return;
-    }
-    
-    if (row && row.total_products > 0 && row.total_products === row.completed_products) {
-      // Все товары выданы - меняем статус на 'zrealizowana'
-      db.run(
-        'UPDATE reservations SET status = ? WHERE id = ? AND status = ?',
-        ['zrealizowana', reservationId, 'aktywna'],
-        function(updateErr) {
-          if (updateErr) {
-            console.error(`❌ Error updating reservation ${reservationId} status:`, updateErr);
-          } else if (this.changes > 0) {
-            console.log(`✅ Reservation ${reservationId} status changed to 'zrealizowana'`);
-          }
+  // Ссылка на dostawcę; в документах sprzedawca — текст документа, в working_sheets — копия suppliers.nazwa
+  ['product_receipts', 'working_sheets', 'purchase_orders'].forEach((table) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN supplier_id INTEGER REFERENCES suppliers (id)`, (alterErr) => {
+      if (alterErr) {
+        if (!alterErr.message.includes('duplicate column name')) {
+          console.error(`❌ Error adding supplier_id column to ${table}:`, alterErr);
         }
-      );
-    } else if (row && row.total_products > 0 && row.completed_products < row.total_products) {
-      // Не все товары выданы - если статус 'zrealizowana', возвращаем на 'aktywna'
-      db.run(
-        'UPDATE reservations SET status = ? WHERE id = ? AND status = ?',
-        ['aktywna', reservationId, 'zrealizowana'],
-        function(updateErr) {
-          if (updateErr) {
-            console.error(`❌ Error reverting reservation ${reservationId} status:`, updateErr);
-          } else if (this.changes > 0) {
-            console.log(`✅ Reservation ${reservationId} status reverted to 'aktywna' (not all products fulfilled)`);
-          }
+      } else {
+        console.log(`✅ Column supplier_id added to ${table}`);
+      }
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_supplier ON ${table}(supplier_id)`, (err) => {
+      if (err) console.error(`❌ Error creating index idx_${table}_supplier:`, err);
+    });
+  });
+
+  // Uzupełnianie zapasów (server/replenishment.js): czas dostawy и zapas bezpieczeństwa
+  // produktu; czas dostawy dostawcy — значение по умолчанию для его produktów
+  [
+    ['working_sheets', 'czas_dostawy_dni INTEGER'],
+    ['working_sheets', 'zapas_bezpieczenstwa INTEGER'],
+    ['suppliers', 'czas_dostawy_dni INTEGER'],
+  ].forEach(([table, column]) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column}`, (alterErr) => {
+      if (alterErr) {
+        if (!alterErr.message.includes('duplicate column name')) {
+          console.error(`❌ Error adding ${column} column to ${table}:`, alterErr);
         }
-      );
-    }
+      } else {
+        console.log(`✅ Column ${column.split(' ')[0]} added to ${table}`);
+      }
+    });
   });
-}
 
-// Вспомогательная функция для разбивки текста на строки по ширине
-function wrapText(text, font, fontSize, maxWidth) {
-  const words = text.split(' ');
-  const lines = [];
-  let currentLine = '';
+  // Firmy (server/companies.js): dane na fakturach, serie numeracji, logo w nagłówku PDF
+  db.run(`CREATE TABLE IF NOT EXISTS companies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nazwa TEXT NOT NULL,
+    skrot TEXT,
+    nip TEXT,
+    adres TEXT,
+    bank TEXT,
+    konto TEXT,
+    miejsce_wystawienia TEXT,
+    kod_urzedu TEXT,
+    wojewodztwo TEXT,
+    powiat TEXT,
+    gmina TEXT,
+    email TEXT,
+    seria_faktur TEXT NOT NULL DEFAULT 'FS',
+    seria_korekt TEXT NOT NULL DEFAULT 'KOR',
+    aliasy TEXT,
+    logo BLOB,
+    logo_typ TEXT,
+    aktywna INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating companies table:', err);
+    } else {
+      console.log('✅ Companies table ready');
+    }
+  });
 
-  words.forEach(word => {
-    const testLine = currentLine ? `${currentLine} ${word}` : word;
-    const testWidth = font.widthOfTextAtSize(testLine, fontSize);
-    
-    if (testWidth > maxWidth && currentLine) {
-      lines.push(currentLine);
-      currentLine = word;
+  // Первая firma — из SELLER_* (до этого данные продавца жили только в .env)
+  const envCompany = companyFromEnv(process.env);
+  db.run(
+    `INSERT INTO companies (${COMPANY_COLUMNS.join(', ')})
+     SELECT ${COMPANY_COLUMNS.map(() => '?').join(', ')}
+     WHERE NOT EXISTS (SELECT 1 FROM companies)`,
+    COMPANY_COLUMNS.map((column) => envCompany[column]),
+    function (err) {
+      if (err) console.error('❌ Error seeding default company:', err);
+      else if (this.changes > 0) console.log(`✅ Default company created from SELLER_*: ${envCompany.nazwa}`);
+    }
+  );
+
+  // Płatności akcyzy za okres rozliczeniowy (RRRR-MM) — uzgodnienie z akcyzą naliczoną
+  // w przyjęciach (server/excise.js); company_id добавляется ниже, как у документов
+  db.run(`CREATE TABLE IF NOT EXISTS excise_payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    okres TEXT NOT NULL,
+    data_zaplaty DATE NOT NULL,
+    kwota REAL NOT NULL,
+    dokument TEXT,
+    uwagi TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating excise_payments table:', err);
     } else {
-      currentLine = testLine;
+      console.log('✅ Excise payments table ready');
     }
   });
-  
-  if (currentLine) {
-    lines.push(currentLine);
-  }
-  
-  return lines;
-}
 
-// Функция генерации PDF заказа
-async function generateOrderPDF(order, products, res) {
-  try {
-    const { PDFDocument, rgb, StandardFonts } = await import('pdf-lib');
-    const fs = await import('fs');
-    const path = await import('path');
-    
-    // Регистрируем fontkit для поддержки пользовательских шрифтов
-    let fontkit;
-    try {
-      fontkit = require('@pdf-lib/fontkit');
-    } catch (fkErr) {
-      try {
-        fontkit = (await import('@pdf-lib/fontkit')).default;
-      } catch {
-        fontkit = null;
-      }
-    }
-    
-    // Создаем новый PDF документ
-    const pdfDoc = await PDFDocument.create();
-    
-    if (fontkit) {
-      pdfDoc.registerFontkit(fontkit);
+  // Banderole (server/exciseStamps.js): rolki (seria + zakres numerów) и wykorzystania —
+  // naklejone na partię przyjęcia (receipt_id + kod), uszkodzone, zwrócone
+  db.run(`CREATE TABLE IF NOT EXISTS excise_stamp_rolls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    seria TEXT NOT NULL,
+    numer_od INTEGER NOT NULL,
+    numer_do INTEGER NOT NULL,
+    data_przyjecia DATE NOT NULL,
+    dokument TEXT,
+    uwagi TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating excise_stamp_rolls table:', err);
+    } else {
+      console.log('✅ Excise stamp rolls table ready');
     }
-    
-    const page = pdfDoc.addPage([595.28, 841.89]); // A4 размер
-    
-    // Получаем стандартные шрифты с поддержкой Unicode
-    const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-    
-    // Встраиваем пользовательский шрифт с поддержкой Unicode
-    let soraFont;
-    try {
-      const soraPath = path.join(__dirname, 'fonts', 'Sora-Regular.ttf');
-      const soraBytes = fs.readFileSync(soraPath);
-      soraFont = await pdfDoc.embedFont(soraBytes, { subset: false });
-      console.log('✅ Sora font embedded');
-    } catch (fontErr) {
-      console.warn('⚠️ Could not embed Sora font, falling back to Helvetica:', fontErr?.message || fontErr);
-      soraFont = helveticaFont;
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS excise_stamp_usages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    roll_id INTEGER NOT NULL REFERENCES excise_stamp_rolls (id),
+    rodzaj TEXT NOT NULL,
+    numer_od INTEGER NOT NULL,
+    numer_do INTEGER NOT NULL,
+    ilosc INTEGER NOT NULL,
+    data DATE NOT NULL,
+    receipt_id INTEGER REFERENCES product_receipts (id),
+    kod TEXT,
+    uwagi TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating excise_stamp_usages table:', err);
+    } else {
+      console.log('✅ Excise stamp usages table ready');
     }
-    
-    const { width, height } = page.getSize();
-    const margin = 50;
-    let yPosition = height - margin;
-    
-    // Цвета для текста
-    const colors = {
-      white: rgb(1, 1, 1), // white
-      border: rgb(0.82, 0.82, 0.82), // #d1d5db
-      text: rgb(0.22, 0.22, 0.22), // #374151
-      textDark: rgb(0.12, 0.12, 0.12), // #1f2937
-      textLight: rgb(0.61, 0.64, 0.69), // #9ca3af
-    };
-    
-    // Белый фон страницы (без контейнеров и теней)
-    page.drawRectangle({
-      x: 0,
-      y: 0,
-      width: width,
-      height: height,
-      color: rgb(1, 1, 1)
+  });
+  db.run('CREATE INDEX IF NOT EXISTS idx_excise_stamp_usages_roll ON excise_stamp_usages(roll_id)', (err) => {
+    if (err) console.error('❌ Error creating index idx_excise_stamp_usages_roll:', err);
+  });
+  db.run('CREATE INDEX IF NOT EXISTS idx_excise_stamp_usages_receipt ON excise_stamp_usages(receipt_id)', (err) => {
+    if (err) console.error('❌ Error creating index idx_excise_stamp_usages_receipt:', err);
+  });
+
+  // Dokumenty i kartoteka należą do firmy; istniejące wiersze — do firmy domyślnej.
+  // user_sessions.company_id — aktywna firma sesji (NULL = domyślna)
+  [...COMPANY_SCOPED_TABLES, 'user_sessions'].forEach((table) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN company_id INTEGER REFERENCES companies (id)`, (alterErr) => {
+      if (alterErr) {
+        if (!alterErr.message.includes('duplicate column name')) {
+          console.error(`❌ Error adding company_id column to ${table}:`, alterErr);
+        }
+      } else {
+        console.log(`✅ Column company_id added to ${table}`);
+      }
     });
-    
-    const containerMargin = 24;
-    
-    // Рамка вверху страницы (опущена на 1 см = ~28 пикселей)
-    const headerHeight = 80;
-    const headerY = height - containerMargin - headerHeight - 28;
-    
-    // Внешняя рамка (тонкая, той же длины что и блоки ниже)
-    page.drawRectangle({
-      x: containerMargin,
-      y: headerY,
-      width: width - 2 * containerMargin,
-      height: headerHeight,
-      borderColor: rgb(0, 0, 0),
-      borderWidth: 0.5
+  });
+  COMPANY_SCOPED_TABLES.forEach((table) => {
+    db.run(`UPDATE ${table} SET company_id = (SELECT MIN(id) FROM companies) WHERE company_id IS NULL`, function (err) {
+      if (err) console.error(`❌ Error assigning default company in ${table}:`, err);
+      else if (this.changes > 0) console.log(`✅ ${table}: ${this.changes} rows assigned to default company`);
     });
-    
-    // Вертикальная линия посередине
-    const middleX = width / 2;
-    page.drawLine({
-      start: { x: middleX, y: headerY },
-      end: { x: middleX, y: headerY + headerHeight },
-      thickness: 0.5,
-      color: rgb(0, 0, 0)
+    db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_company ON ${table}(company_id)`, (err) => {
+      if (err) console.error(`❌ Error creating index idx_${table}_company:`, err);
     });
-    
-    // Левая половина: логотип
-    try {
-      const assetsDir = path.join(__dirname, 'assets');
-      const logoPath = path.join(assetsDir, 'zam_pdf_logo.jpg');
+  });
 
-      const exists = fs.existsSync(logoPath);
-      console.log('🖼 logo exists:', exists, logoPath);
+  // Zezwolenia klientów na obrót alkoholem (server/alcoholLicences.js); skan — plik w uploads
+  db.run(`CREATE TABLE IF NOT EXISTS client_licences (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_id INTEGER NOT NULL REFERENCES clients (id) ON DELETE CASCADE,
+    numer TEXT NOT NULL,
+    rodzaj TEXT NOT NULL DEFAULT 'hurt',
+    kategorie TEXT NOT NULL,
+    data_od DATE,
+    data_do DATE NOT NULL,
+    skan TEXT,
+    skan_nazwa TEXT,
+    uwagi TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
+    if (err) {
+      console.error('❌ Error creating client_licences table:', err);
+    } else {
+      console.log('✅ Client licences table ready');
+    }
+  });
+  db.run('CREATE INDEX IF NOT EXISTS idx_client_licences_client ON client_licences(client_id)', (err) => {
+    if (err) console.error('❌ Error creating index idx_client_licences_client:', err);
+  });
 
-      if (exists) {
-        const logoBytes = fs.readFileSync(logoPath);
-        console.log('🖼 logo bytes read:', logoBytes.length);
-        let logoImage;
-        try {
-          logoImage = await pdfDoc.embedJpg(logoBytes);
-        } catch (embedErr) {
-          console.error('❌ embedJpg failed:', embedErr);
-          throw embedErr;
+  // zawartosc_alkoholu (% obj.) — kategoria zezwolenia towaru; zezwolenie_niewymagane —
+  // klient bez kontroli zezwoleń (eksport, osoba prywatna)
+  [
+    ['working_sheets', 'zawartosc_alkoholu REAL'],
+    ['clients', 'zezwolenie_niewymagane INTEGER NOT NULL DEFAULT 0'],
+  ].forEach(([table, column]) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column}`, (alterErr) => {
+      if (alterErr) {
+        if (!alterErr.message.includes('duplicate column name')) {
+          console.error(`❌ Error adding ${column} column to ${table}:`, alterErr);
         }
+      } else {
+        console.log(`✅ Column ${column.split(' ')[0]} added to ${table}`);
+      }
+    });
+  });
 
-        // Масштабируем логотип чтобы поместился в левую половину (увеличено на 20%)
-        const maxLogoWidth = (width / 2 - 2 * containerMargin) * 0.8 * 1.2;
-        const maxLogoHeight = headerHeight * 0.7 * 1.2;
-        const scaleFactor = Math.min(maxLogoWidth / logoImage.width, maxLogoHeight / logoImage.height, 1);
-        const logoDims = logoImage.scale(scaleFactor);
-
-        console.log('✅ logo embedded dims:', logoDims.width, logoDims.height);
-
-        // Центрируем логотип в левой половине
-        const logoX = containerMargin + (middleX - containerMargin - logoDims.width) / 2;
-        const logoY = headerY + (headerHeight - logoDims.height) / 2;
+  // Старые текстовые sprzedawca → kartoteka, один раз (jednorazowa migracja)
+  // (в режиме serialize первый запрос встаёт в очередь после ALTER TABLE выше)
+  runInTransaction(async () => {
+    const done = await dbGetAsync('SELECT 1 FROM schema_migrations WHERE nazwa = ?', ['link_legacy_supplier_texts']);
+    if (done) return 0;
+    const linked = await linkLegacySupplierTexts();
+    await dbRunAsync('INSERT INTO schema_migrations (nazwa) VALUES (?)', ['link_legacy_supplier_texts']);
+    return linked;
+  })
+    .then((linked) => {
+      if (linked > 0) console.log(`✅ Suppliers linked from sprzedawca: ${linked} rows`);
+    })
+    .catch((syncErr) => console.error('❌ Error linking suppliers:', syncErr));
 
-        // Рисуем логотип
-        page.drawImage(logoImage, {
-          x: logoX,
-          y: logoY,
-          width: logoDims.width,
-          height: logoDims.height
-        });
-      }
-    } catch (e) {
-      console.warn('⚠️ Logo not embedded:', e?.message || e);
+  console.log('🎉 All database tables initialized successfully');
+  
+  // Миграция: добавляем недостающие поля в таблицу products
+  db.all("PRAGMA table_info(products)", (err, columns) => {
+    if (err) {
+      console.error('❌ Error checking products table structure:', err);
+      return;
     }
     
-    // Правая половина: номер заказа (жирным шрифтом)
-    const orderNumber = order.numer_zamowienia || order.id || '';
-    const textWidth = helveticaBold.widthOfTextAtSize(orderNumber, 14);
-    const textX = middleX + (width - middleX - containerMargin - textWidth) / 2;
-    const textY = headerY + headerHeight / 2 - 7;
-    
-    page.drawText(orderNumber, {
-      x: textX,
-      y: textY,
-        size: 14,
-        font: helveticaBold,
-        color: colors.textDark
+    const columnNames = columns.map(col => col.name);
+    console.log('📋 Current products columns:', columnNames);
+
+    // Срок годности партии (FEFO и raport «kończy się termin»)
+    if (!columnNames.includes('data_waznosci')) {
+      db.run('ALTER TABLE products ADD COLUMN data_waznosci TEXT', (alterErr) => {
+        if (alterErr) {
+          console.error('❌ Error adding data_waznosci column to products:', alterErr);
+          return;
+        }
+        console.log('✅ Column data_waznosci added to products');
+        backfillBatchExpiryDates()
+          .then((updated) => console.log(`✅ Batch expiry dates restored from receipts: ${updated}`))
+          .catch((backfillErr) => console.error('❌ Error restoring batch expiry dates:', backfillErr));
       });
-    
-    yPosition = headerY - 30; // Уменьшен отступ от рамки с номером заказа
-    
-    // Блок с информацией о клиенте
-    const clientBlockHeight = 60;
-    const clientBlockY = yPosition - clientBlockHeight;
-    const clientBlockBg = rgb(0.98, 0.88, 0.88); // Более бледный розовый цвет
-    
-    // Фон блока с рамкой
-          page.drawRectangle({
-      x: containerMargin,
-      y: clientBlockY,
-      width: width - 2 * containerMargin,
-      height: clientBlockHeight,
-      color: clientBlockBg,
-      borderColor: rgb(0, 0, 0),
-      borderWidth: 0.5
-    });
-    
-    // Информация о клиенте - двухколоночная верстка
-    const clientTextX = containerMargin + 15;
-    const clientRightX = middleX + 10;
-    let clientY = clientBlockY + clientBlockHeight - 15;
-    
-    // Первая строка: klient слева, firma справа (метки жирным)
-    const clientName = order.client_name || order.klient || '-';
-    // klient: жирным
-    const klientLabelWidth = helveticaBold.widthOfTextAtSize('klient:', 9);
-    page.drawText('klient:', {
-      x: clientTextX,
-      y: clientY,
-          size: 9,
-      font: helveticaBold,
-      color: rgb(0, 0, 0)
-        });
-    page.drawText(` ${clientName}`, {
-      x: clientTextX + klientLabelWidth,
-      y: clientY,
-          size: 9,
-      font: soraFont,
-      color: rgb(0, 0, 0)
-        });
-        
-    if (order.firma) {
-      // firma: жирным
-      const firmaLabelWidth = helveticaBold.widthOfTextAtSize('firma:', 9);
-      page.drawText('firma:', {
-        x: clientRightX,
-        y: clientY,
-          size: 9,
-        font: helveticaBold,
-        color: rgb(0, 0, 0)
+    }
+
+    // Lokalizacja partii; существующие партии остаются в magazynie głównym
+    if (!columnNames.includes('location_id')) {
+      db.run(`ALTER TABLE products ADD COLUMN location_id INTEGER DEFAULT ${DEFAULT_LOCATION_ID}`, (alterErr) => {
+        if (alterErr) {
+          console.error('❌ Error adding location_id column to products:', alterErr);
+          return;
+        }
+        console.log('✅ Column location_id added to products');
+        db.run('CREATE INDEX IF NOT EXISTS idx_products_location ON products(location_id, kod)', (indexErr) => {
+          if (indexErr) console.error('❌ Error creating index idx_products_location:', indexErr);
         });
-      page.drawText(` ${order.firma}`, {
-        x: clientRightX + firmaLabelWidth,
-        y: clientY,
-          size: 9,
-        font: soraFont,
-        color: rgb(0, 0, 0)
       });
     }
-    
-    clientY -= 22; // Увеличен межстрочный интервал с 18 до 22
-    
-    // Вторая строка: adres слева, czas dostawy справа (метки жирным)
-    if (order.adres) {
-      const adresLabelWidth = helveticaBold.widthOfTextAtSize('adres:', 9);
-      page.drawText('adres:', {
-        x: clientTextX,
-        y: clientY,
-        size: 9,
-        font: helveticaBold,
-        color: rgb(0, 0, 0)
-      });
-      page.drawText(` ${order.adres}`, {
-        x: clientTextX + adresLabelWidth,
-        y: clientY,
-        size: 9,
-        font: soraFont,
-        color: rgb(0, 0, 0)
-      });
+  });
+});
+
+// Однократно после добавления products.data_waznosci: сроки партий берутся из позиций
+// przyjęć (product_receipts.products). Партии одного kod в przyjęciu создаются в порядке
+// позиций, поэтому сопоставляются по порядку; при расхождении — срок первой позиции.
+async function backfillBatchExpiryDates() {
+  const receipts = await dbAllAsync('SELECT id, products FROM product_receipts');
+  let updated = 0;
+  for (const receipt of receipts) {
+    let items;
+    try {
+      items = JSON.parse(receipt.products || '[]');
+    } catch (parseErr) {
+      continue;
     }
-    
-    if (order.czas_dostawy) {
-      const czasLabelWidth = helveticaBold.widthOfTextAtSize('czas dostawy:', 9);
-      page.drawText('czas dostawy:', {
-        x: clientRightX,
-        y: clientY,
-        size: 9,
-           font: helveticaBold,
-           color: rgb(0, 0, 0)
-         });
-      page.drawText(` ${order.czas_dostawy}`, {
-        x: clientRightX + czasLabelWidth,
-        y: clientY,
-        size: 9,
-        font: soraFont,
-           color: rgb(0, 0, 0)
-         });
+    const datesByKod = new Map();
+    (Array.isArray(items) ? items : []).forEach((item) => {
+      const kod = normalizeProductKod(item.kod);
+      if (!kod) return;
+      if (!datesByKod.has(kod)) datesByKod.set(kod, []);
+      datesByKod.get(kod).push(normalizeExpiryDate(item.dataWaznosci));
+    });
+    for (const [kod, dates] of datesByKod) {
+      if (!dates.some(Boolean)) continue;
+      const batches = await dbAllAsync('SELECT id FROM products WHERE receipt_id = ? AND kod = ? ORDER BY id', [receipt.id, kod]);
+      for (const [position, batch] of batches.entries()) {
+        const date = batches.length === dates.length ? dates[position] : dates.find(Boolean);
+        if (!date) continue;
+        await dbRunAsync('UPDATE products SET data_waznosci = ? WHERE id = ? AND data_waznosci IS NULL', [date, batch.id]);
+        updated++;
+      }
     }
-    
-    yPosition = clientBlockY - 58; // Увеличен отступ на 1 см (28 пикселей дополнительно)
+  }
+  return updated;
+}
 
-    // Таблица товаров
-    const tableX = containerMargin + 10;
-    const tableYTop = yPosition;
-    const colWidths = [100, 260, 140, 30]; // Kod, Nazwa, Kod kreskowy, Ilość
-    const headers = ['Kod', 'Nazwa', 'Kod kreskowy', 'Ilość'];
-    let cursorX = tableX;
-    headers.forEach((h, idx) => {
-      page.drawText(h, { x: cursorX + 2, y: tableYTop, size: 10, font: soraFont, color: colors.text });
-      cursorX += colWidths[idx];
-    });
+// ===== HISTORIA ZMIAN (audit log) =====
 
-    let rowY = tableYTop - 28; // Увеличен отступ после линии (0.5 см = ~14 пикселей дополнительно)
-    
-    // Линия под заголовками
-    page.drawLine({
-      start: { x: containerMargin, y: tableYTop - 4 },
-      end: { x: width - containerMargin, y: tableYTop - 4 },
-      thickness: 0.5,
-             color: rgb(0, 0, 0)
-           });
+// Снимки документов для diff: поля документа + позиции массивами
+async function loadOrderAuditSnapshot(id) {
+  const order = await dbGetAsync(
+    'SELECT client_id, klient, numer_zamowienia, laczna_ilosc, typ, numer_zwrotu FROM orders WHERE id = ?',
+    [id]
+  );
+  if (!order) return null;
+  order.produkty = await dbAllAsync(
+    'SELECT kod, nazwa, ilosc, typ, powod_zwrotu FROM order_products WHERE orderId = ? ORDER BY id',
+    [id]
+  );
+  return order;
+}
 
-    console.log(`🧾 PDF(main) products count: ${products?.length || 0}`);
-    let currentPage = page;
-    (products || []).forEach((p, index) => {
-      const kod = p.kod || '-';
-      const name = p.nazwa || p.product_name || '-';
-      const barcode = p.kod_kreskowy || '-';
-      const qty = Number(p.ilosc || p.qty || 0);
+async function loadProductReceiptAuditSnapshot(id) {
+  const receipt = await dbGetAsync('SELECT * FROM product_receipts WHERE id = ?', [id]);
+  if (!receipt) return null;
+  delete receipt.id;
+  try {
+    receipt.products = JSON.parse(receipt.products || '[]');
+  } catch (parseErr) {
+    receipt.products = [];
+  }
+  return receipt;
+}
 
-      // Разбиваем название на строки если оно слишком длинное (ширина колонки Nazwa = 210)
-      const nameLines = wrapText(name, soraFont, 10, colWidths[1] - 4);
-      const rowHeight = nameLines.length * 12; // Высота строки товара зависит от количества строк в названии
-      
-      // Проверка: если строка не помещается, создаём новую страницу
-      if (rowY - rowHeight < containerMargin + 60) {
-        currentPage = pdfDoc.addPage([595.28, 841.89]);
-        rowY = height - containerMargin - 40;
-        
-        // Рисуем заголовки на новой странице
-        let cursorX = tableX;
-        headers.forEach((h, idx) => {
-          currentPage.drawText(h, { x: cursorX + 2, y: rowY, size: 10, font: soraFont, color: colors.text });
-          cursorX += colWidths[idx];
-        });
-        
-        // Линия под заголовками
-        currentPage.drawLine({
-          start: { x: containerMargin, y: rowY - 4 },
-          end: { x: width - containerMargin, y: rowY - 4 },
-          thickness: 0.5,
-             color: rgb(0, 0, 0)
-           });
-        
-        rowY -= 28;
-      }
-      
-      // Рисуем kod (первая колонка)
-      currentPage.drawText(kod, { 
-        x: tableX + 2, 
-        y: rowY, 
-        size: 10, 
-        font: soraFont, 
-        color: colors.text 
-      });
-      
-      // Рисуем название (может быть многострочным, вторая колонка)
-      let nameY = rowY;
-      nameLines.forEach((line, lineIdx) => {
-        currentPage.drawText(line, { 
-          x: tableX + colWidths[0] + 2, 
-          y: nameY - (lineIdx * 12), 
-              size: 10,
-          font: soraFont, 
-          color: colors.text 
-            });
-          });
-      
-      // Рисуем код крескowy (третья колонка)
-      currentPage.drawText(barcode, { 
-        x: tableX + colWidths[0] + colWidths[1] + 2, 
-        y: rowY, 
-        size: 10, 
-        font: soraFont, 
-        color: colors.text 
-      });
-      
-      // Рисуем количество (четвёртая колонка)
-      currentPage.drawText(String(qty), { 
-        x: tableX + colWidths[0] + colWidths[1] + colWidths[2] + 2, 
-        y: rowY, 
-        size: 10, 
-        font: soraFont, 
-        color: colors.text 
-      });
-      
-      rowY -= rowHeight + 6; // Переходим к следующему товару с учетом высоты + отступ
-    });
-    
-    // Линия под всеми товарами (на последней странице) - сразу после последнего товара
-    const lineY = rowY + 14; // Небольшой отступ как сверху (14 пикселей)
-    currentPage.drawLine({
-      start: { x: containerMargin, y: lineY },
-      end: { x: width - containerMargin, y: lineY },
-      thickness: 0.5,
-              color: rgb(0, 0, 0)
-            });
-            
-    // Итого - Razem под линией (на последней странице)
-    yPosition = lineY - 18;
-    
-    // Метка Razem с двоеточием
-    currentPage.drawText('Razem:', {
-      x: tableX + colWidths[0] + colWidths[1] + colWidths[2] - 55,
-              y: yPosition,
-      size: 10,
-      font: soraFont,
-      color: colors.textDark
-    });
-    
-    // Значение выровнено с колонкой Ilość, жирным шрифтом
-    const razemValueX = tableX + colWidths[0] + colWidths[1] + colWidths[2] + 2; // Точное выравнивание с колонкой Ilość
-    const razemValue = String(order.laczna_ilosc || 0);
-    
-    currentPage.drawText(razemValue, {
-      x: razemValueX,
-             y: yPosition,
-      size: 9,
-             font: helveticaBold,
-      color: colors.textDark
-    });
+async function loadPurchaseOrderAuditSnapshot(id) {
+  const order = await dbGetAsync(
+    'SELECT numer, sprzedawca, supplier_id, waluta, data_zamowienia, data_dostawy, uwagi, zamkniete FROM purchase_orders WHERE id = ?',
+    [id]
+  );
+  if (!order) return null;
+  order.pozycje = await dbAllAsync(
+    'SELECT kod, nazwa, kod_kreskowy, ilosc, cena FROM purchase_order_items WHERE purchase_order_id = ? ORDER BY id',
+    [id]
+  );
+  return order;
+}
 
-    // Убрали подписи снизу
-        
-        const pdfBytes = await pdfDoc.save();
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `inline; filename="order_${order.numer_zamowienia}.pdf"`);
-        res.send(Buffer.from(pdfBytes));
-  } catch (error) {
-    console.error('Error generating PDF:', error);
-    
-    // Если ошибка связана с кодировкой, не используем старую разметку
-    if (error.message && error.message.includes('WinAnsi cannot encode')) {
-      console.error('PDF unicode encoding failed (WinAnsi). Fallback disabled.');
-      return res.status(500).json({ error: 'PDF unicode encoding failed' });
-    }
-    
-    res.status(500).json({ error: 'Failed to generate PDF' });
-  }
+async function loadSupplierAuditSnapshot(id) {
+  const supplier = await dbGetAsync('SELECT * FROM suppliers WHERE id = ?', [id]);
+  if (supplier) delete supplier.id;
+  return supplier || null;
 }
 
-// Orders API
-app.get('/api/orders', (req, res) => {
-  console.log('📋 GET /api/orders - Fetching all orders');
-  db.all(
-    `SELECT o.*, COALESCE(c.nazwa, o.klient) AS klient_resolved ${ORDER_WITH_CLIENT_JOIN} ORDER BY o.data_utworzenia DESC`,
-    (err, orderRows) => {
-    if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    console.log(`✅ Found ${orderRows.length} orders`);
-    
-    if (orderRows.length === 0) {
-      return res.json([]);
-    }
-    
-    // Для каждого заказа получаем продукты
-    let ordersProcessed = 0;
-    const ordersWithProducts = [];
-    
-    orderRows.forEach((order) => {
-      const resolvedOrder = withResolvedOrderKlient(order);
-      console.log(`🔍 Fetching products for order ${resolvedOrder.id} (${resolvedOrder.numer_zamowienia})`);
-      db.all('SELECT * FROM order_products WHERE orderId = ? ORDER BY id', [resolvedOrder.id], (err, productRows) => {
-        if (err) {
-          console.error(`❌ Error fetching products for order ${resolvedOrder.id}:`, err);
-          console.error(`❌ Error details:`, err.message);
-          ordersWithProducts.push({
-            ...resolvedOrder,
-            products: []
-          });
-        } else {
-          attachReservationAmountsToProducts(resolvedOrder.id, productRows || [], (attachErr, productsWithReservation) => {
-            if (attachErr) {
-              console.error(`❌ Error fetching reservation fulfillments for order ${resolvedOrder.id}:`, attachErr);
-              ordersWithProducts.push({
-                ...resolvedOrder,
-                products: productRows || []
-              });
-            } else {
-              console.log(`✅ Found ${productsWithReservation.length} products for order ${resolvedOrder.id}`);
-              ordersWithProducts.push({
-                ...resolvedOrder,
-                products: productsWithReservation
-              });
-            }
+async function loadCompanyAuditSnapshot(id) {
+  const company = await dbGetAsync(
+    `SELECT ${COMPANY_COLUMNS.join(', ')}, logo_typ, length(logo) AS logo_rozmiar FROM companies WHERE id = ?`,
+    [id]
+  );
+  return company || null;
+}
 
-            ordersProcessed++;
-            if (ordersProcessed === orderRows.length) {
-              console.log(`✅ All ${ordersProcessed} orders processed with products`);
-              res.json(ordersWithProducts);
-            }
-          });
-          return;
-        }
-        
-        ordersProcessed++;
-        
-        // Когда все заказы обработаны, отправляем ответ
-        if (ordersProcessed === orderRows.length) {
-          console.log(`✅ All ${ordersProcessed} orders processed with products`);
-          res.json(ordersWithProducts);
-        }
-      });
-    });
-  });
+async function loadClientLicenceAuditSnapshot(id) {
+  const licence = await dbGetAsync(
+    'SELECT client_id, numer, rodzaj, kategorie, data_od, data_do, skan_nazwa, uwagi FROM client_licences WHERE id = ?',
+    [id]
+  );
+  return licence || null;
+}
+
+async function loadExcisePaymentAuditSnapshot(id) {
+  const payment = await dbGetAsync(
+    'SELECT okres, data_zaplaty, kwota, dokument, uwagi FROM excise_payments WHERE id = ?',
+    [id]
+  );
+  return payment || null;
+}
+
+async function loadExciseStampRollAuditSnapshot(id) {
+  const roll = await dbGetAsync(
+    'SELECT seria, numer_od, numer_do, data_przyjecia, dokument, uwagi FROM excise_stamp_rolls WHERE id = ?',
+    [id]
+  );
+  return roll || null;
+}
+
+async function loadExciseStampUsageAuditSnapshot(id) {
+  const usage = await dbGetAsync(
+    `SELECT u.rodzaj, r.seria, u.numer_od, u.numer_do, u.ilosc, u.data, u.receipt_id, u.kod, u.uwagi
+     FROM excise_stamp_usages u
+     JOIN excise_stamp_rolls r ON r.id = u.roll_id
+     WHERE u.id = ?`,
+    [id]
+  );
+  return usage || null;
+}
+
+async function loadInvoiceAuditSnapshot(id) {
+  const invoice = await dbGetAsync('SELECT * FROM invoices WHERE id = ?', [id]);
+  if (!invoice) return null;
+  delete invoice.id;
+  invoice.produkty = await dbAllAsync(
+    `SELECT kod, nazwa, ilosc, cena_netto, rabat, vat_stawka, wartosc_brutto
+     FROM invoice_products WHERE invoice_id = ? ORDER BY id`,
+    [id]
+  );
+  invoice.platnosci = await dbAllAsync(
+    'SELECT kwota, data_platnosci, metoda, uwagi FROM invoice_payments WHERE invoice_id = ? ORDER BY id',
+    [id]
+  );
+  return invoice;
+}
+
+async function loadReservationAuditSnapshot(id) {
+  const reservation = await dbGetAsync(
+    'SELECT client_id, numer_rezerwacji, data_utworzenia, data_zakonczenia, status, komentarz FROM reservations WHERE id = ?',
+    [id]
+  );
+  if (!reservation) return null;
+  reservation.produkty = await dbAllAsync(
+    'SELECT product_kod, product_nazwa, ilosc, komentarz FROM reservation_products WHERE reservation_id = ? ORDER BY id',
+    [id]
+  );
+  return reservation;
+}
+
+async function loadClientAuditSnapshot(id) {
+  const client = await dbGetAsync('SELECT * FROM clients WHERE id = ?', [id]);
+  if (!client) return null;
+  delete client.id;
+  client.adresy_dostawy = await dbAllAsync(
+    'SELECT nazwa, adres, domyslny FROM client_delivery_addresses WHERE client_id = ? ORDER BY id',
+    [id]
+  );
+  return client;
+}
+
+async function loadWorkingSheetAuditSnapshot(id) {
+  const row = await dbGetAsync('SELECT * FROM working_sheets WHERE id = ?', [id]);
+  if (row) delete row.id;
+  return row || null;
+}
+
+async function loadKomisAuditSnapshot(id) {
+  const row = await dbGetAsync('SELECT client_id, klient, kod, nazwa, ilosc FROM komis WHERE id = ?', [id]);
+  return row || null;
+}
+
+async function findKomisAuditId(req) {
+  const { klient, kod } = req.body || {};
+  if (!klient || !kod) return null;
+  const row = await dbGetAsync('SELECT id FROM komis WHERE klient = ? AND kod = ?', [klient, kod]);
+  return row ? row.id : null;
+}
+
+async function findPaymentInvoiceAuditId(req) {
+  const payment = await dbGetAsync('SELECT invoice_id FROM invoice_payments WHERE id = ?', [req.params.id]);
+  return payment ? payment.invoice_id : null;
+}
+
+function writeAuditEntry({ user, entityType, entityId, action, diff }) {
+  return dbRunAsync(
+    `INSERT INTO audit_log (user_id, user_login, entity_type, entity_id, action, diff)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [user ? user.id : null, user ? user.login : null, entityType, String(entityId), action, JSON.stringify(diff)]
+  );
+}
+
+// По умолчанию id документа — :id из URL, для создания — id из ответа
+function paramOrResponseId(req, body) {
+  return req.params.id || (body && body.id);
+}
+
+function auditTrail(entityType, loadSnapshot, { action, resolveIds = paramOrResponseId } = {}) {
+  return createAuditMiddleware({ entityType, action, resolveIds, loadSnapshot, writeEntry: writeAuditEntry });
+}
+
+app.get('/api/audit-log', async (req, res) => {
+  const { entity_type, entity_id } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+  const where = [];
+  const params = [];
+  if (entity_type) {
+    where.push('entity_type = ?');
+    params.push(String(entity_type));
+  }
+  if (entity_id) {
+    where.push('entity_id = ?');
+    params.push(String(entity_id));
+  }
+
+  try {
+    const rows = await dbAllAsync(
+      `SELECT id, user_id, user_login, entity_type, entity_id, action, diff, created_at
+       FROM audit_log
+       ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    res.json(rows.map((row) => ({ ...row, diff: JSON.parse(row.diff) })));
+  } catch (err) {
+    console.error('❌ Error fetching audit log:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Поиск заказов по номеру для возврата (частичный поиск)
-app.get('/api/orders/search', (req, res) => {
-  const { numer_zamowienia } = req.query;
-  console.log(`🔍 GET /api/orders/search - Searching orders by number: ${numer_zamowienia}`);
+// ===== RESERVATIONS ROUTES =====
+// ВАЖНО: Регистрируем маршруты резерваций в начале, чтобы они точно обрабатывались
+
+// Endpoint для создания резерваций (регистрируем ПЕРВЫМ!)
+console.log('🔧 Registering POST /api/reservations endpoint (PRIORITY)');
+app.post('/api/reservations', requireCompanyKods(bodyProductKods('product_kod')), auditTrail('reservation', loadReservationAuditSnapshot), (req, res) => {
+  console.log('✅ POST /api/reservations - ROUTE MATCHED AND EXECUTING');
+  console.log('📥 Incoming request:', req.method, req.url);
+  console.log('📥 Request body:', JSON.stringify(req.body, null, 2));
+  const { client_id, numer_rezerwacji: providedNumber, data_utworzenia, data_zakonczenia, komentarz, products } = req.body;
+  console.log('📋 POST /api/reservations - Creating new reservation:', { client_id, numer_rezerwacji: providedNumber, data_utworzenia, data_zakonczenia, productsCount: products?.length || 0 });
   
-  if (!numer_zamowienia) {
-    console.log('❌ Validation failed: numer_zamowienia is required');
-    return res.status(400).json({ error: 'Order number is required' });
+  if (!client_id || !data_zakonczenia) {
+    console.log('❌ Validation failed: client_id and data_zakonczenia are required');
+    return res.status(400).json({ error: 'Client ID and end date are required' });
   }
   
-  // Поиск заказов по частичному совпадению номера
-  const searchPattern = `%${numer_zamowienia}%`;
-  db.all(
-    `SELECT o.*, COALESCE(c.nazwa, o.klient) AS klient_resolved ${ORDER_WITH_CLIENT_JOIN} WHERE o.numer_zamowienia LIKE ? ORDER BY o.data_utworzenia DESC LIMIT 10`,
-    [searchPattern],
-    (err, orderRows) => {
-    if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    if (!orderRows || orderRows.length === 0) {
-      console.log(`❌ No orders found matching pattern: ${searchPattern}`);
-      return res.json([]);
-    }
-    
-    console.log(`✅ Found ${orderRows.length} orders matching pattern: ${searchPattern}`);
-    
-    // Для каждого заказа получаем продукты
-    let ordersProcessed = 0;
-    const ordersWithProducts = [];
-    
-    orderRows.forEach((order) => {
-      const resolvedOrder = withResolvedOrderKlient(order);
-      db.all('SELECT * FROM order_products WHERE orderId = ? ORDER BY id', [resolvedOrder.id], (err, productRows) => {
+  // Используем переданную дату создания или текущую дату
+  const reservationDate = data_utworzenia || new Date().toISOString().split('T')[0];
+  
+  if (!products || !Array.isArray(products) || products.length === 0) {
+    console.log('❌ Validation failed: products array is required and must not be empty');
+    return res.status(400).json({ error: 'Products array is required and must not be empty' });
+  }
+
+  // Используем переданный номер или генерируем новый
+  let numer_rezerwacji = providedNumber;
+  
+  // Проверяем доступность товаров перед созданием резервации
+  console.log('🔍 Checking product availability for reservation...');
+  
+  // Создаем массив для проверки доступности
+  const availabilityChecks = products.map(product => {
+    return new Promise((resolve, reject) => {
+      const { product_kod, product_nazwa, ilosc } = product;
+      
+      // Проверяем доступное количество с учетом активных резерваций
+      // Подзапросы: total_available суммирует ВСЕ строки по kod (основные + семплы)
+      db.get(`
+        SELECT 
+          (SELECT COALESCE(SUM(ilosc), 0) FROM working_sheets WHERE kod = ?) as total_available,
+          COALESCE((
+            SELECT SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0))
+            FROM reservation_products rp
+            INNER JOIN reservations r ON rp.reservation_id = r.id
+            WHERE rp.product_kod = ? AND r.status = 'aktywna'
+          ), 0) as reserved
+      `, [product_kod, product_kod], (err, row) => {
         if (err) {
-          console.error(`❌ Error fetching products for order ${resolvedOrder.id}:`, err);
-          ordersWithProducts.push({
-            id: resolvedOrder.id,
-            numer_zamowienia: resolvedOrder.numer_zamowienia,
-            klient: resolvedOrder.klient,
-            client_id: resolvedOrder.client_id || null,
-            klient_firma: '',
-            klient_adres: '',
-            klient_kontakt: '',
-            data_utworzenia: resolvedOrder.data_utworzenia,
-            products: []
-          });
+          reject({ kod: product_kod, error: err.message });
+        } else if (!row) {
+          reject({ kod: product_kod, nazwa: product_nazwa, ilosc, available: 0, error: 'Product not found in working_sheets' });
         } else {
-          attachReservationAmountsToProducts(resolvedOrder.id, productRows || [], (attachErr, productsWithReservation) => {
-            ordersWithProducts.push({
-              id: resolvedOrder.id,
-              numer_zamowienia: resolvedOrder.numer_zamowienia,
-              klient: resolvedOrder.klient,
-              client_id: resolvedOrder.client_id || null,
-              klient_firma: '',
-              klient_adres: '',
-              klient_kontakt: '',
-              data_utworzenia: resolvedOrder.data_utworzenia,
-              products: attachErr ? (productRows || []) : productsWithReservation
-            });
-
-            ordersProcessed++;
-            if (ordersProcessed === orderRows.length) {
-              console.log(`✅ All ${ordersProcessed} orders processed with products`);
-              res.json(ordersWithProducts);
-            }
-          });
-          return;
-        }
-        
-        ordersProcessed++;
-        
-        // Когда все заказы обработаны, отправляем ответ
-        if (ordersProcessed === orderRows.length) {
-          console.log(`✅ All ${ordersProcessed} orders processed with products`);
-          res.json(ordersWithProducts);
+          const available = row.total_available - row.reserved;
+          if (available < ilosc) {
+            reject({ kod: product_kod, nazwa: product_nazwa, ilosc, available: available, reserved: row.reserved, total: row.total_available, error: 'Insufficient quantity' });
+          } else {
+            resolve({ kod: product_kod, nazwa: product_nazwa, ilosc, available: available });
+          }
         }
       });
     });
   });
-});
+  
+  // Выполняем все проверки
+  Promise.all(availabilityChecks)
+    .then((results) => {
+      console.log('✅ All products are available for reservation');
+      
+      // Если все проверки прошли, создаем резервацию
+      const createReservation = (finalNumber, retryCount = 0) => {
+        // Защита от бесконечной рекурсии
+        if (retryCount > 5) {
+          console.error(`❌ Too many retries (${retryCount}) for reservation number generation`);
+          return res.status(500).json({ 
+            error: 'Failed to generate unique reservation number after multiple attempts',
+            details: { attemptedNumber: finalNumber, retries: retryCount }
+          });
+        }
 
-// PDF Generation API для отчёта по остаткам
-async function generateInventoryReportPDF(items, res) {
-  try {
-    const { PDFDocument, rgb, StandardFonts } = await import('pdf-lib');
-    const fs = await import('fs');
-    const path = await import('path');
-    
-    // Регистрируем fontkit для поддержки пользовательских шрифтов
-    let fontkit;
-    try {
-      fontkit = require('@pdf-lib/fontkit');
-    } catch (fkErr) {
-      try {
-        fontkit = (await import('@pdf-lib/fontkit')).default;
-      } catch {
-        fontkit = null;
-      }
-    }
-    
-    // Создаем новый PDF документ
-    const pdfDoc = await PDFDocument.create();
-    
-    if (fontkit) {
-      pdfDoc.registerFontkit(fontkit);
-    }
-    
-    let currentPage = pdfDoc.addPage([792, 1224]); // Таблоид формат (11" × 17" = 792 × 1224 точек)
-    
-    // Получаем стандартные шрифты
-    const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-    
-    // Встраиваем пользовательский шрифт с поддержкой Unicode
-    let soraFont;
-    try {
-      const soraPath = path.join(__dirname, 'fonts', 'Sora-Regular.ttf');
-      const soraBytes = fs.readFileSync(soraPath);
-      soraFont = await pdfDoc.embedFont(soraBytes, { subset: false });
-    } catch (fontErr) {
-      soraFont = helveticaFont;
-    }
-    
-    const { width, height } = currentPage.getSize();
-    const margin = 50;
-    let yPosition = height - margin;
-    
-    // Цвета
-    const colors = {
-      text: rgb(0.22, 0.22, 0.22),
-      textDark: rgb(0.12, 0.12, 0.12),
-      border: rgb(0.82, 0.82, 0.82),
-    };
-    
-    // Цвета и метки для типов товаров (соответствуют TYPY_TOWARU из фронтенда)
-    const typConfigs = {
-      'czerwone': { label: 'Czerwone', bg: rgb(0.996, 0.886, 0.886), text: rgb(0.6, 0.106, 0.106), border: rgb(0.996, 0.792, 0.792) },
-      'biale': { label: 'Białe', bg: rgb(0.953, 0.957, 0.969), text: rgb(0.122, 0.161, 0.216), border: rgb(0.898, 0.906, 0.922) },
-      'musujace': { label: 'Musujące', bg: rgb(1.0, 0.984, 0.922), text: rgb(0.792, 0.541, 0.016), border: rgb(0.996, 0.953, 0.780) },
-      'bezalkoholowe': { label: 'Bezalkoholowe', bg: rgb(0.863, 0.988, 0.906), text: rgb(0.086, 0.396, 0.204), border: rgb(0.733, 0.969, 0.816) },
-      'ferment': { label: 'Ferment', bg: rgb(1.0, 0.929, 0.835), text: rgb(0.604, 0.204, 0.071), border: rgb(0.996, 0.843, 0.667) },
-      'rozowe': { label: 'Różowe', bg: rgb(0.988, 0.906, 0.953), text: rgb(0.616, 0.090, 0.302), border: rgb(0.984, 0.812, 0.910) },
-      'slodkie': { label: 'Słodkie', bg: rgb(0.953, 0.910, 1.0), text: rgb(0.420, 0.129, 0.659), border: rgb(0.914, 0.835, 1.0) },
-      'aksesoria': { label: 'Aksesoria', bg: rgb(0.878, 0.906, 1.0), text: rgb(0.216, 0.188, 0.639), border: rgb(0.780, 0.824, 0.996) },
-      'amber': { label: 'Amber', bg: rgb(0.996, 0.953, 0.780), text: rgb(0.573, 0.251, 0.055), border: rgb(0.992, 0.902, 0.541) }
-    };
-    
-    // Функция для получения конфигурации типа
-    const getTypConfig = (typ) => {
-      return typConfigs[typ] || { label: typ || '-', bg: rgb(0.953, 0.957, 0.969), text: rgb(0.122, 0.161, 0.216), border: rgb(0.898, 0.906, 0.922) };
-    };
-    
-    // Заголовок
-    currentPage.drawText('Raport stanów magazynowych', {
-      x: margin,
-      y: yPosition,
-      size: 19,
-      font: soraFont,
-      color: colors.textDark,
+        // Создаем резервацию
+        db.run(
+          'INSERT INTO reservations (client_id, numer_rezerwacji, data_utworzenia, data_zakonczenia, status, komentarz, company_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [client_id, finalNumber, reservationDate, data_zakonczenia, 'aktywna', komentarz || null, req.companyId],
+          function(err) {
+            if (err) {
+              // Если ошибка уникальности, пытаемся сгенерировать новый номер
+              if (err.message.includes('UNIQUE constraint') || err.message.includes('unique')) {
+                console.log(`⚠️ Reservation number ${finalNumber} already exists (attempt ${retryCount + 1}), generating new one...`);
+                getNextReservationNumber(reservationDate, (retryErr, newNumber, maxNumber) => {
+                  if (retryErr) {
+                    console.error('❌ Error finding max reservation number on retry:', retryErr);
+                    return res.status(500).json({ error: retryErr.message });
+                  }
+                  console.log(`✅ Retry ${retryCount + 1}: Generated new reservation number: ${newNumber} (max number: ${maxNumber})`);
+                  createReservation(newNumber, retryCount + 1);
+                });
+                return;
+              }
+              
+              console.error('❌ Database error creating reservation:', err);
+              return res.status(500).json({ error: err.message });
+            }
+        
+        const reservationId = this.lastID;
+        console.log(`✅ Reservation created with ID: ${reservationId}, number: ${finalNumber}`);
+        
+        // Создаем записи для каждого продукта
+        let productsCreated = 0;
+        let productsFailed = 0;
+        
+        products.forEach((product, index) => {
+          const { product_kod, product_nazwa, kod_kreskowy, ilosc } = product;
+          
+          // Получаем product_id из таблицы products по коду
+          db.get('SELECT id FROM products WHERE kod = ? LIMIT 1', [product_kod], (err, productRow) => {
+            if (err) {
+              console.error(`❌ Error finding product ${product_kod}:`, err);
+              productsFailed++;
+              checkCompletion();
+              return;
+            }
+
+            const productId = productRow ? productRow.id : null;
+            
+            // Создаем запись в reservation_products
+            db.run(
+              'INSERT INTO reservation_products (reservation_id, product_id, product_kod, product_nazwa, kod_kreskowy, ilosc) VALUES (?, ?, ?, ?, ?, ?)',
+              [reservationId, productId, product_kod, product_nazwa, kod_kreskowy || null, ilosc],
+              function(err) {
+                if (err) {
+                  console.error(`❌ Error creating reservation product ${index + 1}:`, err);
+                  productsFailed++;
+                  checkCompletion();
+                } else {
+                  productsCreated++;
+                  console.log(`✅ Product ${index + 1} created for reservation ${reservationId} with ID: ${this.lastID}`);
+                  checkCompletion();
+                }
+              }
+            );
+          });
+        });
+        
+        function checkCompletion() {
+          if (productsCreated + productsFailed === products.length) {
+            if (res.headersSent) {
+              console.log('⚠️ Response already sent, skipping checkCompletion');
+              return;
+            }
+            
+            if (productsFailed === 0) {
+              console.log(`✅ All ${productsCreated} products created successfully for reservation ${reservationId}`);
+              res.json({ 
+                id: reservationId,
+                numer_rezerwacji: finalNumber,
+                message: 'Reservation and all products added successfully',
+                productsCreated: productsCreated,
+                success: true
+              });
+            } else {
+              console.log(`⚠️ Reservation created but ${productsFailed} products failed to create`);
+              res.status(500).json({ 
+                id: reservationId,
+                numer_rezerwacji: finalNumber,
+                error: `Reservation created but ${productsFailed} products failed to create`,
+                productsCreated: productsCreated,
+                productsFailed: productsFailed
+              });
+            }
+          }
+        }
+      }
+    );
+  };
+  
+      if (!numer_rezerwacji) {
+        // Генерируем номер резервации: R001_день_месяц_год (глобальная нумерация)
+        console.log(`🔢 Generating reservation number for date: ${reservationDate}`);
+        getNextReservationNumber(reservationDate, (err, nextNumberString, maxNumber) => {
+          if (err) {
+            console.error('❌ Error finding max reservation number:', err);
+            return res.status(500).json({ error: err.message });
+          }
+          numer_rezerwacji = nextNumberString;
+          console.log(`✅ Generated reservation number: ${numer_rezerwacji} (max number was: ${maxNumber}, next: ${maxNumber + 1})`);
+          createReservation(numer_rezerwacji);
+        });
+      } else {
+        // Проверяем уникальность переданного номера
+        db.get('SELECT id FROM reservations WHERE numer_rezerwacji = ?', [numer_rezerwacji], (err, existing) => {
+          if (err) {
+            console.error('❌ Error checking reservation number uniqueness:', err);
+            return res.status(500).json({ error: err.message });
+          }
+          
+          if (existing) {
+            console.log(`❌ Reservation number ${numer_rezerwacji} already exists`);
+            return res.status(400).json({ error: `Reservation number ${numer_rezerwacji} already exists` });
+          }
+          
+        createReservation(numer_rezerwacji);
+        });
+      }
+    })
+    .catch((error) => {
+      // Обрабатываем ошибки доступности
+      // Promise.all отклоняется с первой ошибкой
+      console.log('❌ Availability check failed for reservation');
+      
+      if (error.error === 'Insufficient quantity') {
+        const { kod, nazwa, ilosc, available, reserved, total } = error;
+        console.log(`❌ Product ${kod} (${nazwa}) - requested: ${ilosc}, available: ${available}, reserved: ${reserved}, total: ${total}`);
+        res.status(400).json({ 
+          error: 'Insufficient quantity',
+          details: {
+            kod,
+            nazwa,
+            requested: ilosc,
+            available: available,
+            reserved: reserved,
+            total: total,
+            message: `Niewystarczająca ilość produktu "${nazwa}" (kod: ${kod}). Zapytano: ${ilosc}, dostępne: ${available} (łącznie: ${total}, zarezerwowane: ${reserved})`
+          }
+        });
+      } else if (error.error === 'Product not found in working_sheets') {
+        const { kod, nazwa } = error;
+        console.log(`❌ Product ${kod} (${nazwa}) not found in working_sheets`);
+        res.status(400).json({ 
+          error: 'Product not found',
+          details: {
+            kod,
+            nazwa,
+            message: `Produkt "${nazwa}" (kod: ${kod}) nie został znaleziony w systemie`
+          }
+        });
+      } else {
+        console.log(`❌ Database error checking availability:`, error);
+        res.status(500).json({ 
+          error: 'Database error during availability check',
+          details: {
+            kod: error.kod || 'unknown',
+            message: `Błąd bazy danych podczas sprawdzania dostępności produktu ${error.kod || 'unknown'}`
+          }
+        });
+      }
     });
-    yPosition -= 40;
+});
+
+// ===== RESERVATIONS ROUTES =====
+// Endpoint для получения только числовой части следующего номера резервации (без даты)
+// ВАЖНО: Регистрируем ПЕРВЫМ среди маршрутов резерваций, чтобы не перехватывался другими
+console.log('🔧 Registering GET /api/reservations/next-number-only endpoint (PRIORITY)');
+app.get('/api/reservations/next-number-only', (req, res) => {
+  console.log('🔢 GET /api/reservations/next-number-only - Generating next reservation number (without date)');
+  
+  // Получаем все номера резерваций для поиска максимального номера
+  db.all('SELECT numer_rezerwacji FROM reservations WHERE numer_rezerwacji LIKE ?', ['R%'], (err, allRows) => {
+    if (err) {
+      console.error('❌ Error finding max reservation number:', err);
+      return res.status(500).json({ error: err.message });
+    }
     
-    // Дата генерации (день, месяц, год)
-    const now = new Date();
-    const day = String(now.getDate()).padStart(2, '0');
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const year = now.getFullYear();
-    const dateStr = `${day}.${month}.${year}`;
-    currentPage.drawText(dateStr, {
-      x: margin,
-      y: yPosition,
-      size: 9,
-      font: soraFont,
-      color: colors.text,
+    console.log(`📋 Found ${allRows.length} reservations with R% pattern`);
+    if (allRows.length > 0) {
+      console.log('📋 Reservation numbers:', allRows.map(r => r.numer_rezerwacji).join(', '));
+    }
+    
+    // Извлекаем числовую часть из каждого номера и находим максимум
+    let maxNumber = 0;
+    const numbers = [];
+    allRows.forEach(row => {
+      const match = row.numer_rezerwacji.match(/^R(\d+)/);
+      if (match) {
+        const num = parseInt(match[1], 10);
+        numbers.push(num);
+        if (num > maxNumber) {
+          maxNumber = num;
+        }
+      }
     });
-    yPosition -= 30;
     
-    // Заголовки таблицы
-    const tableStartY = yPosition;
-    const colWidths = {
-      nazwa: 300,
-      sprzedawca: 150,
-      objetosc: 60,
-      typ: 100,
-      ilosc: 35
-    };
-    const colX = {
-      nazwa: margin,
-      sprzedawca: margin + colWidths.nazwa,
-      objetosc: margin + colWidths.nazwa + colWidths.sprzedawca,
-      typ: margin + colWidths.nazwa + colWidths.sprzedawca + colWidths.objetosc,
-      ilosc: margin + colWidths.nazwa + colWidths.sprzedawca + colWidths.objetosc + colWidths.typ
-    };
+    console.log(`📊 Extracted numbers: [${numbers.sort((a,b) => a-b).join(', ')}], max: ${maxNumber}`);
     
-    // Рисуем заголовки (soraFont для поддержки польских символов)
-    currentPage.drawText('Nazwa', {
-      x: colX.nazwa,
-      y: yPosition,
-      size: 9,
-      font: soraFont,
-      color: colors.textDark,
-    });
-    currentPage.drawText('Sprzedawca', {
-      x: colX.sprzedawca,
-      y: yPosition,
-      size: 9,
-      font: soraFont,
-      color: colors.textDark,
+    const nextNumber = maxNumber + 1;
+    const numer_rezerwacji_only = `R${nextNumber.toString().padStart(3, '0')}`;
+    console.log(`✅ Generated next reservation number (without date): ${numer_rezerwacji_only} (max number was: ${maxNumber}, next: ${nextNumber})`);
+    res.json({ numer_rezerwacji: numer_rezerwacji_only });
+  });
+});
+
+// Получение всех товаров из резерваций (активных и реализованных - для истории)
+// Группирует товары по product_kod и суммирует количество
+app.get('/api/reservations/active-products', (req, res) => {
+  console.log('📋 GET /api/reservations/active-products - Fetching reservation products history (grouped by product)');
+
+  // Сначала получаем сгруппированные данные по товарам
+  db.all(`
+    SELECT 
+      rp.product_kod,
+      MAX(rp.product_nazwa) as product_nazwa,
+      SUM(COALESCE(rp.ilosc, 0)) as ilosc,
+      SUM(COALESCE(rp.ilosc_wydane, 0)) as ilosc_wydane
+    FROM reservations r
+    INNER JOIN reservation_products rp ON rp.reservation_id = r.id
+    WHERE LOWER(TRIM(r.status)) IN ('aktywna', 'aktywny', 'zrealizowana')
+    GROUP BY rp.product_kod
+    ORDER BY rp.product_nazwa ASC
+  `, (err, groupedRows) => {
+    if (err) {
+      console.error('❌ Database error fetching reservation products:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    // Для каждого уникального товара собираем информацию о клиентах и заказах
+    const processedRows = groupedRows.map(groupedRow => {
+      return new Promise((resolve) => {
+        if (!groupedRow.product_kod) {
+          resolve({ ...groupedRow, klienci: [], zamowienia_z_iloscia: [] });
+          return;
+        }
+
+        // Получаем список клиентов для этого товара (из активных и реализованных резерваций)
+        db.all(`
+          SELECT DISTINCT
+            c.nazwa as klient,
+            rp.ilosc as ilosc_per_client
+          FROM reservations r
+          INNER JOIN reservation_products rp ON rp.reservation_id = r.id
+          LEFT JOIN clients c ON r.client_id = c.id
+          WHERE LOWER(TRIM(r.status)) IN ('aktywna', 'aktywny', 'zrealizowana')
+            AND rp.product_kod = ?
+          ORDER BY c.nazwa ASC
+        `, [groupedRow.product_kod], (err, clientRows) => {
+          if (err) {
+            console.error(`❌ Error fetching clients for product ${groupedRow.product_kod}:`, err);
+            resolve({ ...groupedRow, klienci: [], zamowienia_z_iloscia: [] });
+            return;
+          }
+
+          // Получаем все заказы для этого товара из всех резерваций (активных и реализованных)
+          db.all(`
+            SELECT 
+              o.numer_zamowienia,
+              SUM(rof.quantity) as ilosc_wydane_w_zamowieniu
+            FROM reservation_order_fulfillments rof
+            INNER JOIN orders o ON rof.order_id = o.id
+            INNER JOIN reservation_products rp ON rof.reservation_product_id = rp.id
+            INNER JOIN reservations r ON rp.reservation_id = r.id
+            WHERE LOWER(TRIM(r.status)) IN ('aktywna', 'aktywny', 'zrealizowana')
+              AND rp.product_kod = ?
+            GROUP BY o.numer_zamowienia
+            ORDER BY o.data_utworzenia DESC
+          `, [groupedRow.product_kod], (err, orderRows) => {
+            if (err) {
+              console.error(`❌ Error fetching orders for product ${groupedRow.product_kod}:`, err);
+              resolve({ 
+                ...groupedRow, 
+                klienci: clientRows.map(cr => ({ klient: cr.klient, ilosc: cr.ilosc_per_client })),
+                zamowienia_z_iloscia: [] 
+              });
+              return;
+            }
+
+            resolve({
+              product_kod: groupedRow.product_kod,
+              product_nazwa: groupedRow.product_nazwa,
+              ilosc: groupedRow.ilosc || 0,
+              ilosc_wydane: groupedRow.ilosc_wydane || 0,
+              klienci: clientRows.map(cr => ({ klient: cr.klient, ilosc: cr.ilosc_per_client })),
+              zamowienia_z_iloscia: orderRows.map(or => ({
+                numer_zamowienia: or.numer_zamowienia,
+                ilosc: or.ilosc_wydane_w_zamowieniu || 0
+              }))
+            });
+          });
+        });
+      });
     });
-    currentPage.drawText('Objętość', {
-      x: colX.objetosc,
-      y: yPosition,
-      size: 9,
-      font: soraFont,
-      color: colors.textDark,
+
+    Promise.all(processedRows).then(results => {
+      console.log(`✅ Found ${results.length} unique products in reservations (history)`);
+      res.json(results);
     });
-    currentPage.drawText('Typ', {
-      x: colX.typ,
-      y: yPosition,
-      size: 9,
-      font: soraFont,
-      color: colors.textDark,
+  });
+});
+
+// ===== UŻYTKOWNICY I LOGOWANIE =====
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+// В production сервер работает за HTTPS — cookie только с флагом Secure
+const SESSION_COOKIE_SECURE = process.env.NODE_ENV === 'production';
+const loginThrottle = createLoginThrottle();
+
+// Первый запуск: при пустой таблице users создаём admin (ADMIN_LOGIN / ADMIN_PASSWORD из .env,
+// иначе случайный пароль — выводится в лог один раз)
+async function ensureInitialAdmin() {
+  try {
+    const { count } = await dbGetAsync('SELECT COUNT(*) AS count FROM users');
+    if (count > 0) return;
+    const login = process.env.ADMIN_LOGIN || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+    await dbRunAsync(
+      'INSERT INTO users (login, imie_nazwisko, rola, password_hash) VALUES (?, ?, ?, ?)',
+      [login, 'Administrator', ROLES.ADMIN, hashPassword(password)]
+    );
+    if (process.env.ADMIN_PASSWORD) {
+      console.log(`🔐 Created initial admin account "${login}" (password from ADMIN_PASSWORD)`);
+    } else {
+      console.log(`🔐 Created initial admin account "${login}" with password: ${password} — change it after first login`);
+    }
+  } catch (err) {
+    console.error('❌ Error creating initial admin account:', err);
+  }
+}
+
+async function countActiveAdmins(excludeUserId = null) {
+  const row = await dbGetAsync(
+    'SELECT COUNT(*) AS count FROM users WHERE rola = ? AND aktywny = 1 AND id != ?',
+    [ROLES.ADMIN, excludeUserId || 0]
+  );
+  return row.count;
+}
+
+app.post('/api/auth/login', async (req, res) => {
+  const login = String(req.body.login || '').trim();
+  const haslo = String(req.body.haslo || '');
+  if (!login || !haslo) {
+    return res.status(400).json({ error: 'Podaj login i hasło' });
+  }
+  const throttleKey = loginThrottleKey(login, req.ip);
+  if (loginThrottle.isBlocked(throttleKey)) {
+    return res.status(429).json({ error: 'Zbyt wiele nieudanych prób logowania — spróbuj ponownie za kilkanaście minut' });
+  }
+
+  try {
+    const user = await dbGetAsync('SELECT * FROM users WHERE login = ? AND aktywny = 1', [login]);
+    if (!user || !verifyPassword(haslo, user.password_hash)) {
+      loginThrottle.registerFailure(throttleKey);
+      console.log(`🔐 Failed login attempt for "${login}" from ${req.ip}`);
+      return res.status(401).json({ error: 'Nieprawidłowy login lub hasło' });
+    }
+    loginThrottle.reset(throttleKey);
+
+    const token = generateSessionToken();
+    await dbRunAsync(`DELETE FROM user_sessions WHERE expires_at <= datetime('now')`);
+    await dbRunAsync(
+      `INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES (?, ?, datetime('now', ?))`,
+      [user.id, hashSessionToken(token), `+${SESSION_TTL_HOURS} hours`]
+    );
+    res.setHeader('Set-Cookie', buildSessionCookie(token, SESSION_TTL_HOURS * 3600, SESSION_COOKIE_SECURE));
+    console.log(`🔐 User "${user.login}" logged in`);
+    res.json({ token, user: publicUser(user) });
+  } catch (err) {
+    console.error('❌ Error during login:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await dbRunAsync('DELETE FROM user_sessions WHERE token_hash = ?', [req.sessionTokenHash]);
+    res.setHeader('Set-Cookie', buildSessionCookie('', 0, SESSION_COOKIE_SECURE));
+    res.json({ message: 'Wylogowano' });
+  } catch (err) {
+    console.error('❌ Error during logout:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: publicUser(req.user), company_id: req.companyId });
+});
+
+// Przełączenie aktywnej firmy bieżącej sesji
+app.put('/api/auth/company', async (req, res) => {
+  const companyId = Number(req.body && req.body.company_id);
+  try {
+    const company = companyId
+      ? await dbGetAsync('SELECT id, nazwa FROM companies WHERE id = ? AND aktywna = 1', [companyId])
+      : null;
+    if (!company) {
+      return res.status(404).json({ error: 'Firma nie istnieje lub jest nieaktywna' });
+    }
+    await dbRunAsync('UPDATE user_sessions SET company_id = ? WHERE token_hash = ?', [company.id, req.sessionTokenHash]);
+    console.log(`🏢 User "${req.user.login}" switched to company ${company.nazwa}`);
+    res.json({ company_id: company.id });
+  } catch (err) {
+    console.error('❌ Error switching company:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Смена собственного пароля; остальные сессии пользователя закрываются
+app.post('/api/auth/password', async (req, res) => {
+  const { stare_haslo, nowe_haslo } = req.body;
+  const weakness = validatePasswordStrength(nowe_haslo);
+  if (weakness) {
+    return res.status(400).json({ error: weakness });
+  }
+  try {
+    const user = await dbGetAsync('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (!user || !verifyPassword(stare_haslo || '', user.password_hash)) {
+      return res.status(400).json({ error: 'Aktualne hasło jest nieprawidłowe' });
+    }
+    await runInTransaction(async () => {
+      await dbRunAsync('UPDATE users SET password_hash = ? WHERE id = ?', [hashPassword(nowe_haslo), user.id]);
+      await dbRunAsync('DELETE FROM user_sessions WHERE user_id = ? AND token_hash != ?', [user.id, req.sessionTokenHash]);
     });
-    currentPage.drawText('Ilość', {
-      x: colX.ilosc,
-      y: yPosition,
-      size: 9,
-      font: soraFont,
-      color: colors.textDark,
+    res.json({ message: 'Hasło zostało zmienione' });
+  } catch (err) {
+    console.error('❌ Error changing password:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Zarządzanie kontami — tylko admin (uprawnienia grupy /api/users)
+app.get('/api/users', async (req, res) => {
+  try {
+    const users = await dbAllAsync(
+      'SELECT id, login, imie_nazwisko, rola, aktywny, created_at FROM users ORDER BY login'
+    );
+    res.json(users);
+  } catch (err) {
+    console.error('❌ Error fetching users:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/users', async (req, res) => {
+  const login = String(req.body.login || '').trim();
+  const { imie_nazwisko, rola, haslo } = req.body;
+  if (!login) {
+    return res.status(400).json({ error: 'Login jest wymagany' });
+  }
+  if (!ALL_ROLES.includes(rola)) {
+    return res.status(400).json({ error: `Rola musi być jedną z: ${ALL_ROLES.join(', ')}` });
+  }
+  const weakness = validatePasswordStrength(haslo);
+  if (weakness) {
+    return res.status(400).json({ error: weakness });
+  }
+  try {
+    const { lastID } = await dbRunAsync(
+      'INSERT INTO users (login, imie_nazwisko, rola, password_hash) VALUES (?, ?, ?, ?)',
+      [login, imie_nazwisko || null, rola, hashPassword(haslo)]
+    );
+    console.log(`✅ User created: ${login} (${rola})`);
+    res.json({ id: lastID, message: 'Użytkownik został dodany' });
+  } catch (err) {
+    if (String(err.message).includes('UNIQUE')) {
+      return res.status(409).json({ error: 'Użytkownik o takim loginie już istnieje' });
+    }
+    console.error('❌ Error creating user:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Изменение роли/активности и сброс пароля; при блокировке или смене пароля сессии закрываются
+app.put('/api/users/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  const { imie_nazwisko, rola, aktywny, haslo } = req.body;
+  if (!ALL_ROLES.includes(rola)) {
+    return res.status(400).json({ error: `Rola musi być jedną z: ${ALL_ROLES.join(', ')}` });
+  }
+  if (haslo) {
+    const weakness = validatePasswordStrength(haslo);
+    if (weakness) {
+      return res.status(400).json({ error: weakness });
+    }
+  }
+  const isActive = aktywny === undefined ? true : Boolean(aktywny);
+
+  try {
+    const user = await dbGetAsync('SELECT * FROM users WHERE id = ?', [id]);
+    if (!user) {
+      return res.status(404).json({ error: 'Użytkownik nie istnieje' });
+    }
+    const losesAdmin = user.rola === ROLES.ADMIN && (rola !== ROLES.ADMIN || !isActive);
+    if (losesAdmin && (await countActiveAdmins(id)) === 0) {
+      return res.status(409).json({ error: 'Musi pozostać co najmniej jeden aktywny administrator' });
+    }
+
+    await runInTransaction(async () => {
+      await dbRunAsync(
+        'UPDATE users SET imie_nazwisko = ?, rola = ?, aktywny = ?, password_hash = ? WHERE id = ?',
+        [imie_nazwisko || null, rola, isActive ? 1 : 0, haslo ? hashPassword(haslo) : user.password_hash, id]
+      );
+      if (!isActive || haslo) {
+        await dbRunAsync('DELETE FROM user_sessions WHERE user_id = ?', [id]);
+      }
     });
+    console.log(`✅ User ${user.login} updated`);
+    res.json({ message: 'Użytkownik został zaktualizowany' });
+  } catch (err) {
+    console.error('❌ Error updating user:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/users/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (id === req.user.id) {
+    return res.status(409).json({ error: 'Nie można usunąć własnego konta' });
+  }
+  try {
+    const user = await dbGetAsync('SELECT * FROM users WHERE id = ?', [id]);
+    if (!user) {
+      return res.status(404).json({ error: 'Użytkownik nie istnieje' });
+    }
+    if (user.rola === ROLES.ADMIN && (await countActiveAdmins(id)) === 0) {
+      return res.status(409).json({ error: 'Musi pozostać co najmniej jeden aktywny administrator' });
+    }
+    await dbRunAsync('DELETE FROM users WHERE id = ?', [id]);
+    console.log(`🗑️ User ${user.login} deleted`);
+    res.json({ message: 'Użytkownik został usunięty' });
+  } catch (err) {
+    console.error('❌ Error deleting user:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API Routes
+app.get('/api/health', (req, res) => {
+  console.log('🏥 Health check requested');
+  res.json({ 
+    status: 'OK', 
+    message: 'EnoTerra ERP Server is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Test endpoint для проверки путей
+app.get('/api/test-paths', (req, res) => {
+  const uploadsDir = path.join(__dirname, 'uploads');
+  let dirContents = [];
+  let exists = false;
+
+  try {
+    exists = fs.existsSync(uploadsDir);
+    if (exists) {
+      dirContents = fs.readdirSync(uploadsDir);
+    }
+  } catch (error) {
+    console.error('Error checking uploads directory:', error);
+  }
+
+  res.json({
+    cwd: process.cwd(),
+    __dirname: __dirname,
+    uploadsDir: uploadsDir,
+    dirContents: dirContents,
+    exists: exists,
+    error: exists ? null : 'Directory not found'
+  });
+});
+
+// API для получения списка файлов
+app.get('/api/original-sheets', (req, res) => {
+  console.log('📄 GET /api/original-sheets - Fetching original sheets');
+  db.all('SELECT * FROM original_sheets', (err, rows) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
     
-    // Линия под заголовками
-    yPosition -= 5;
-    const tableTopY = yPosition;
-    const tableLeftX = margin;
-    const tableRightX = width - margin;
+    // Преобразуем данные в нужный формат
+    const sheets = rows.map(row => ({
+      id: row.id,
+      fileName: row.file_name,
+      data: JSON.parse(row.data),
+      created_at: row.created_at
+    }));
     
-    // Верхняя линия таблицы
-    currentPage.drawLine({
-      start: { x: tableLeftX, y: yPosition },
+    console.log(`✅ Found ${sheets.length} original sheets`);
+    res.json(sheets);
+  });
+});
+
+// API для проверки существования файла
+app.get('/api/check_file/:fileName', (req, res) => {
+  const { fileName } = req.params;
+  console.log(`🔍 GET /api/check_file/${fileName} - Checking file existence`);
+  
+  db.get('SELECT COUNT(*) as count FROM original_sheets WHERE file_name = ?', [fileName], (err, row) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    const exists = row.count > 0;
+    console.log(`✅ File ${fileName} exists: ${exists}`);
+    res.json({ exists });
+  });
+});
+
+// Products API
+app.get('/api/products', (req, res) => {
+  console.log('📦 GET /api/products - Fetching all products');
+  db.all('SELECT * FROM products ORDER BY nazwa', (err, rows) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    console.log(`✅ Found ${rows.length} products`);
+    res.json(rows || []);
+  });
+});
+
+app.post('/api/products', requireCompanyKods((req) => [req.body.kod]), stockTransaction, (req, res) => {
+  const { kod, nazwa, kod_kreskowy, cena, cena_sprzedazy, ilosc, data_waznosci } = req.body;
+  console.log('📦 POST /api/products - Creating new product:', { kod, nazwa });
+  
+  if (!kod || !nazwa) {
+    console.log('❌ Validation failed: kod and nazwa are required');
+    return res.status(400).json({ error: 'Kod and nazwa are required' });
+  }
+  
+  db.run(
+    'INSERT INTO products (kod, nazwa, kod_kreskowy, cena, cena_sprzedazy, ilosc, ilosc_aktualna, data_waznosci) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [kod, nazwa, kod_kreskowy, cena || 0, cena_sprzedazy || 0, ilosc || 0, ilosc || 0, normalizeExpiryDate(data_waznosci)],
+    function(err) {
+      if (err) {
+        console.error('❌ Database error:', err);
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      console.log(`✅ Product created with ID: ${this.lastID}`);
+      req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.CORRECTION, this.lastID);
+      req.stockMovements.batch(kod, this.lastID, ilosc || 0);
+      res.json({ id: this.lastID, message: 'Product added successfully' });
+    }
+  );
+});
+
+app.get('/api/products/search', (req, res) => {
+  const { query } = req.query;
+  console.log(`🔍 GET /api/products/search - Searching products with query: "${query}"`);
+  
+  if (!query) {
+    console.log('❌ Validation failed: query parameter is required');
+    return res.status(400).json({ error: 'Query parameter is required' });
+  }
+  
+  db.all(
+    'SELECT * FROM products WHERE nazwa LIKE ? OR kod LIKE ? ORDER BY nazwa LIMIT 10',
+    [`%${query}%`, `%${query}%`],
+    (err, rows) => {
+      if (err) {
+        console.error('❌ Database error:', err);
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      console.log(`✅ Found ${rows.length} products matching "${query}"`);
+      res.json({
+        products: rows || [],
+        query: query,
+        count: rows.length,
+        timestamp: new Date().toISOString()
+      });
+    }
+  );
+});
+
+// Получение количества samples для каждого товара
+app.get('/api/products/samples-count', (req, res) => {
+  console.log('📦 GET /api/products/samples-count - Fetching samples count');
+  db.all(
+    `SELECT kod, SUM(ilosc_aktualna) as total_ilosc 
+     FROM products 
+     WHERE status = 'samples' 
+     GROUP BY kod`,
+    [],
+    (err, rows) => {
+      if (err) {
+        console.error('❌ Database error:', err);
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      console.log(`✅ Found samples count for ${rows.length} products`);
+      res.json(rows || []);
+    }
+  );
+});
+
+// Получение количества товаров в активных резервациях (невыданное количество)
+app.get('/api/products/reservations-count', (req, res) => {
+  console.log('📦 GET /api/products/reservations-count - Fetching reservations count');
+  db.all(
+    `SELECT 
+      rp.product_kod as kod,
+      SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as total_ilosc
+     FROM reservation_products rp
+     INNER JOIN reservations r ON rp.reservation_id = r.id
+     WHERE r.status = 'aktywna'
+     GROUP BY rp.product_kod`,
+    [],
+    (err, rows) => {
+      if (err) {
+        console.error('❌ Database error:', err);
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      console.log(`✅ Found reservations count for ${rows.length} products`);
+      res.json(rows || []);
+    }
+  );
+});
+
+// Получение стоимости товаров (ilosc * cena для каждого kod из working_sheets)
+app.get('/api/products/wartosc-towaru', locationFilter, (req, res) => {
+  console.log('📦 GET /api/products/wartosc-towaru - Fetching product values from working_sheets');
+  const ilosc = locationIloscSql(req.locationId);
+  db.all(
+    `SELECT kod, (${ilosc.sql} * cena) as wartosc 
+     FROM working_sheets 
+     WHERE (archived = 0 OR archived IS NULL) AND company_id = ?`,
+    [...ilosc.params, req.companyId],
+    (err, rows) => {
+      if (err) {
+        console.error('❌ Database error:', err);
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      console.log(`✅ Found wartosc for ${rows.length} products from working_sheets`);
+      res.json(rows || []);
+    }
+  );
+});
+
+// Получение самой старой даты created_at из products для каждого kod (для расчёта среднего потребления)
+app.get('/api/products/oldest-date', (req, res) => {
+  console.log('📦 GET /api/products/oldest-date - Fetching oldest created_at for each kod');
+  db.all(
+    `SELECT kod, MIN(created_at) as oldest_created_at 
+     FROM products 
+     GROUP BY kod`,
+    [],
+    (err, rows) => {
+      if (err) {
+        console.error('❌ Database error:', err);
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      console.log(`✅ Found oldest dates for ${rows.length} products`);
+      res.json(rows || []);
+    }
+  );
+});
+
+// Получение информации о конкретном товаре по ID
+app.get('/api/products/:id', (req, res) => {
+  const { id } = req.params;
+  console.log(`📦 GET /api/products/${id} - Fetching product details`);
+  
+  db.get('SELECT * FROM products WHERE id = ?', [id], (err, row) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    if (!row) {
+      console.log(`❌ Product with ID ${id} not found`);
+      res.status(404).json({ error: 'Product not found' });
+      return;
+    }
+    
+    console.log(`✅ Found product: ${row.nazwa} (${row.kod})`);
+    res.json({
+      product: row,
+      selected: true,
+      timestamp: new Date().toISOString()
+    });
+  });
+});
+
+// Функция для проверки и обновления истекших резерваций
+function checkExpiredReservations() {
+  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+  
+  db.run(`
+    UPDATE reservations 
+    SET status = 'wygasła' 
+    WHERE status = 'aktywna' 
+      AND date(data_zakonczenia) < date(?)
+  `, [today], function(err) {
+    if (err) {
+      console.error('❌ Error checking expired reservations:', err);
+    } else if (this.changes > 0) {
+      console.log(`✅ ${this.changes} reservation(s) marked as 'wygasła'`);
+    }
+  });
+}
+
+// Запускаем проверку истекших резерваций при старте сервера
+setTimeout(() => {
+  checkExpiredReservations();
+}, 2000);
+
+// Запускаем проверку каждый час
+setInterval(() => {
+  checkExpiredReservations();
+}, 60 * 60 * 1000);
+
+// Функция для проверки и обновления статуса резервации на 'zrealizowana' или обратно на 'aktywna'
+function checkAndUpdateReservationStatus(reservationId) {
+  // Проверяем, все ли товары в резервации полностью выданы
+  db.get(`
+    SELECT 
+      COUNT(*) as total_products,
+      SUM(CASE WHEN COALESCE(ilosc_wydane, 0) >= ilosc THEN 1 ELSE 0 END) as completed_products
+    FROM reservation_products 
+    WHERE reservation_id = ?
+  `, [reservationId], (err, row) => {
+    if (err) {
+      console.error(`❌ Error checking reservation ${reservationId} status:`, err);
+      return;
+    }
+    
+    if (row && row.total_products > 0 && row.total_products === row.completed_products) {
+      // Все товары выданы - меняем статус на 'zrealizowana'
+      db.run(
+        'UPDATE reservations SET status = ? WHERE id = ? AND status = ?',
+        ['zrealizowana', reservationId, 'aktywna'],
+        function(updateErr) {
+          if (updateErr) {
+            console.error(`❌ Error updating reservation ${reservationId} status:`, updateErr);
+          } else if (this.changes > 0) {
+            console.log(`✅ Reservation ${reservationId} status changed to 'zrealizowana'`);
+          }
+        }
+      );
+    } else if (row && row.total_products > 0 && row.completed_products < row.total_products) {
+      // Не все товары выданы - если статус 'zrealizowana', возвращаем на 'aktywna'
+      db.run(
+        'UPDATE reservations SET status = ? WHERE id = ? AND status = ?',
+        ['aktywna', reservationId, 'zrealizowana'],
+        function(updateErr) {
+          if (updateErr) {
+            console.error(`❌ Error reverting reservation ${reservationId} status:`, updateErr);
+          } else if (this.changes > 0) {
+            console.log(`✅ Reservation ${reservationId} status reverted to 'aktywna' (not all products fulfilled)`);
+          }
+        }
+      );
+    }
+  });
+}
+
+// Вспомогательная функция для разбивки текста на строки по ширине
+function wrapText(text, font, fontSize, maxWidth) {
+  const words = text.split(' ');
+  const lines = [];
+  let currentLine = '';
+
+  words.forEach(word => {
+    const testLine = currentLine ? `${currentLine} ${word}` : word;
+    const testWidth = font.widthOfTextAtSize(testLine, fontSize);
+    
+    if (testWidth > maxWidth && currentLine) {
+      lines.push(currentLine);
+      currentLine = word;
+    } else {
+      currentLine = testLine;
+    }
+  });
+  
+  if (currentLine) {
+    lines.push(currentLine);
+  }
+  
+  return lines;
+}
+
+// Функция генерации PDF заказа
+async function generateOrderPDF(order, products, res) {
+  try {
+    const { PDFDocument, rgb, StandardFonts } = await import('pdf-lib');
+    const fs = await import('fs');
+    const path = await import('path');
+    
+    // Регистрируем fontkit для поддержки пользовательских шрифтов
+    let fontkit;
+    try {
+      fontkit = require('@pdf-lib/fontkit');
+    } catch (fkErr) {
+      try {
+        fontkit = (await import('@pdf-lib/fontkit')).default;
+      } catch {
+        fontkit = null;
+      }
+    }
+    
+    // Создаем новый PDF документ
+    const pdfDoc = await PDFDocument.create();
+    
+    if (fontkit) {
+      pdfDoc.registerFontkit(fontkit);
+    }
+    
+    const page = pdfDoc.addPage([595.28, 841.89]); // A4 размер
+    
+    // Получаем стандартные шрифты с поддержкой Unicode
+    const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    
+    // Встраиваем пользовательский шрифт с поддержкой Unicode
+    let soraFont;
+    try {
+      const soraPath = path.join(__dirname, 'fonts', 'Sora-Regular.ttf');
+      const soraBytes = fs.readFileSync(soraPath);
+      soraFont = await pdfDoc.embedFont(soraBytes, { subset: false });
+      console.log('✅ Sora font embedded');
+    } catch (fontErr) {
+      console.warn('⚠️ Could not embed Sora font, falling back to Helvetica:', fontErr?.message || fontErr);
+      soraFont = helveticaFont;
+    }
+    
+    const { width, height } = page.getSize();
+    const margin = 50;
+    let yPosition = height - margin;
+    
+    // Цвета для текста
+    const colors = {
+      white: rgb(1, 1, 1), // white
+      border: rgb(0.82, 0.82, 0.82), // #d1d5db
+      text: rgb(0.22, 0.22, 0.22), // #374151
+      textDark: rgb(0.12, 0.12, 0.12), // #1f2937
+      textLight: rgb(0.61, 0.64, 0.69), // #9ca3af
+    };
+    
+    // Белый фон страницы (без контейнеров и теней)
+    page.drawRectangle({
+      x: 0,
+      y: 0,
+      width: width,
+      height: height,
+      color: rgb(1, 1, 1)
+    });
+    
+    const containerMargin = 24;
+    
+    // Рамка вверху страницы (опущена на 1 см = ~28 пикселей)
+    const headerHeight = 80;
+    const headerY = height - containerMargin - headerHeight - 28;
+    
+    // Внешняя рамка (тонкая, той же длины что и блоки ниже)
+    page.drawRectangle({
+      x: containerMargin,
+      y: headerY,
+      width: width - 2 * containerMargin,
+      height: headerHeight,
+      borderColor: rgb(0, 0, 0),
+      borderWidth: 0.5
+    });
+    
+    // Вертикальная линия посередине
+    const middleX = width / 2;
+    page.drawLine({
+      start: { x: middleX, y: headerY },
+      end: { x: middleX, y: headerY + headerHeight },
+      thickness: 0.5,
+      color: rgb(0, 0, 0)
+    });
+    
+    // Левая половина: логотип firmy zamówienia (без своего — zam_pdf_logo.jpg)
+    try {
+      const logoImage = await embedCompanyLogo(pdfDoc, order.company_id);
+
+      if (logoImage) {
+        // Масштабируем логотип чтобы поместился в левую половину (увеличено на 20%)
+        const maxLogoWidth = (width / 2 - 2 * containerMargin) * 0.8 * 1.2;
+        const maxLogoHeight = headerHeight * 0.7 * 1.2;
+        const scaleFactor = Math.min(maxLogoWidth / logoImage.width, maxLogoHeight / logoImage.height, 1);
+        const logoDims = logoImage.scale(scaleFactor);
+
+        console.log('✅ logo embedded dims:', logoDims.width, logoDims.height);
+
+        // Центрируем логотип в левой половине
+        const logoX = containerMargin + (middleX - containerMargin - logoDims.width) / 2;
+        const logoY = headerY + (headerHeight - logoDims.height) / 2;
+
+        // Рисуем логотип
+        page.drawImage(logoImage, {
+          x: logoX,
+          y: logoY,
+          width: logoDims.width,
+          height: logoDims.height
+        });
+      }
+    } catch (e) {
+      console.warn('⚠️ Logo not embedded:', e?.message || e);
+    }
+    
+    // Правая половина: номер заказа (жирным шрифтом)
+    const orderNumber = order.numer_zamowienia || order.id || '';
+    const textWidth = helveticaBold.widthOfTextAtSize(orderNumber, 14);
+    const textX = middleX + (width - middleX - containerMargin - textWidth) / 2;
+    const textY = headerY + headerHeight / 2 - 7;
+    
+    page.drawText(orderNumber, {
+      x: textX,
+      y: textY,
+        size: 14,
+        font: helveticaBold,
+        color: colors.textDark
+      });
+    
+    yPosition = headerY - 30; // Уменьшен отступ от рамки с номером заказа
+    
+    // Блок с информацией о клиенте
+    const clientBlockHeight = 60;
+    const clientBlockY = yPosition - clientBlockHeight;
+    const clientBlockBg = rgb(0.98, 0.88, 0.88); // Более бледный розовый цвет
+    
+    // Фон блока с рамкой
+          page.drawRectangle({
+      x: containerMargin,
+      y: clientBlockY,
+      width: width - 2 * containerMargin,
+      height: clientBlockHeight,
+      color: clientBlockBg,
+      borderColor: rgb(0, 0, 0),
+      borderWidth: 0.5
+    });
+    
+    // Информация о клиенте - двухколоночная верстка
+    const clientTextX = containerMargin + 15;
+    const clientRightX = middleX + 10;
+    let clientY = clientBlockY + clientBlockHeight - 15;
+    
+    // Первая строка: klient слева, firma справа (метки жирным)
+    const clientName = order.client_name || order.klient || '-';
+    // klient: жирным
+    const klientLabelWidth = helveticaBold.widthOfTextAtSize('klient:', 9);
+    page.drawText('klient:', {
+      x: clientTextX,
+      y: clientY,
+          size: 9,
+      font: helveticaBold,
+      color: rgb(0, 0, 0)
+        });
+    page.drawText(` ${clientName}`, {
+      x: clientTextX + klientLabelWidth,
+      y: clientY,
+          size: 9,
+      font: soraFont,
+      color: rgb(0, 0, 0)
+        });
+        
+    if (order.firma) {
+      // firma: жирным
+      const firmaLabelWidth = helveticaBold.widthOfTextAtSize('firma:', 9);
+      page.drawText('firma:', {
+        x: clientRightX,
+        y: clientY,
+          size: 9,
+        font: helveticaBold,
+        color: rgb(0, 0, 0)
+        });
+      page.drawText(` ${order.firma}`, {
+        x: clientRightX + firmaLabelWidth,
+        y: clientY,
+          size: 9,
+        font: soraFont,
+        color: rgb(0, 0, 0)
+      });
+    }
+    
+    clientY -= 22; // Увеличен межстрочный интервал с 18 до 22
+    
+    // Вторая строка: adres слева, czas dostawy справа (метки жирным)
+    if (order.adres) {
+      const adresLabelWidth = helveticaBold.widthOfTextAtSize('adres:', 9);
+      page.drawText('adres:', {
+        x: clientTextX,
+        y: clientY,
+        size: 9,
+        font: helveticaBold,
+        color: rgb(0, 0, 0)
+      });
+      page.drawText(` ${order.adres}`, {
+        x: clientTextX + adresLabelWidth,
+        y: clientY,
+        size: 9,
+        font: soraFont,
+        color: rgb(0, 0, 0)
+      });
+    }
+    
+    if (order.czas_dostawy) {
+      const czasLabelWidth = helveticaBold.widthOfTextAtSize('czas dostawy:', 9);
+      page.drawText('czas dostawy:', {
+        x: clientRightX,
+        y: clientY,
+        size: 9,
+           font: helveticaBold,
+           color: rgb(0, 0, 0)
+         });
+      page.drawText(` ${order.czas_dostawy}`, {
+        x: clientRightX + czasLabelWidth,
+        y: clientY,
+        size: 9,
+        font: soraFont,
+           color: rgb(0, 0, 0)
+         });
+    }
+    
+    yPosition = clientBlockY - 58; // Увеличен отступ на 1 см (28 пикселей дополнительно)
+
+    // Таблица товаров
+    const tableX = containerMargin + 10;
+    const tableYTop = yPosition;
+    const colWidths = [100, 260, 140, 30]; // Kod, Nazwa, Kod kreskowy, Ilość
+    const headers = ['Kod', 'Nazwa', 'Kod kreskowy', 'Ilość'];
+    let cursorX = tableX;
+    headers.forEach((h, idx) => {
+      page.drawText(h, { x: cursorX + 2, y: tableYTop, size: 10, font: soraFont, color: colors.text });
+      cursorX += colWidths[idx];
+    });
+
+    let rowY = tableYTop - 28; // Увеличен отступ после линии (0.5 см = ~14 пикселей дополнительно)
+    
+    // Линия под заголовками
+    page.drawLine({
+      start: { x: containerMargin, y: tableYTop - 4 },
+      end: { x: width - containerMargin, y: tableYTop - 4 },
+      thickness: 0.5,
+             color: rgb(0, 0, 0)
+           });
+
+    console.log(`🧾 PDF(main) products count: ${products?.length || 0}`);
+    let currentPage = page;
+    (products || []).forEach((p, index) => {
+      const kod = p.kod || '-';
+      const name = p.nazwa || p.product_name || '-';
+      const barcode = p.kod_kreskowy || '-';
+      const qty = Number(p.ilosc || p.qty || 0);
+
+      // Разбиваем название на строки если оно слишком длинное (ширина колонки Nazwa = 210)
+      const nameLines = wrapText(name, soraFont, 10, colWidths[1] - 4);
+      const rowHeight = nameLines.length * 12; // Высота строки товара зависит от количества строк в названии
+      
+      // Проверка: если строка не помещается, создаём новую страницу
+      if (rowY - rowHeight < containerMargin + 60) {
+        currentPage = pdfDoc.addPage([595.28, 841.89]);
+        rowY = height - containerMargin - 40;
+        
+        // Рисуем заголовки на новой странице
+        let cursorX = tableX;
+        headers.forEach((h, idx) => {
+          currentPage.drawText(h, { x: cursorX + 2, y: rowY, size: 10, font: soraFont, color: colors.text });
+          cursorX += colWidths[idx];
+        });
+        
+        // Линия под заголовками
+        currentPage.drawLine({
+          start: { x: containerMargin, y: rowY - 4 },
+          end: { x: width - containerMargin, y: rowY - 4 },
+          thickness: 0.5,
+             color: rgb(0, 0, 0)
+           });
+        
+        rowY -= 28;
+      }
+      
+      // Рисуем kod (первая колонка)
+      currentPage.drawText(kod, { 
+        x: tableX + 2, 
+        y: rowY, 
+        size: 10, 
+        font: soraFont, 
+        color: colors.text 
+      });
+      
+      // Рисуем название (может быть многострочным, вторая колонка)
+      let nameY = rowY;
+      nameLines.forEach((line, lineIdx) => {
+        currentPage.drawText(line, { 
+          x: tableX + colWidths[0] + 2, 
+          y: nameY - (lineIdx * 12), 
+              size: 10,
+          font: soraFont, 
+          color: colors.text 
+            });
+          });
+      
+      // Рисуем код крескowy (третья колонка)
+      currentPage.drawText(barcode, { 
+        x: tableX + colWidths[0] + colWidths[1] + 2, 
+        y: rowY, 
+        size: 10, 
+        font: soraFont, 
+        color: colors.text 
+      });
+      
+      // Рисуем количество (четвёртая колонка)
+      currentPage.drawText(String(qty), { 
+        x: tableX + colWidths[0] + colWidths[1] + colWidths[2] + 2, 
+        y: rowY, 
+        size: 10, 
+        font: soraFont, 
+        color: colors.text 
+      });
+      
+      rowY -= rowHeight + 6; // Переходим к следующему товару с учетом высоты + отступ
+    });
+    
+    // Линия под всеми товарами (на последней странице) - сразу после последнего товара
+    const lineY = rowY + 14; // Небольшой отступ как сверху (14 пикселей)
+    currentPage.drawLine({
+      start: { x: containerMargin, y: lineY },
+      end: { x: width - containerMargin, y: lineY },
+      thickness: 0.5,
+              color: rgb(0, 0, 0)
+            });
+            
+    // Итого - Razem под линией (на последней странице)
+    yPosition = lineY - 18;
+    
+    // Метка Razem с двоеточием
+    currentPage.drawText('Razem:', {
+      x: tableX + colWidths[0] + colWidths[1] + colWidths[2] - 55,
+              y: yPosition,
+      size: 10,
+      font: soraFont,
+      color: colors.textDark
+    });
+    
+    // Значение выровнено с колонкой Ilość, жирным шрифтом
+    const razemValueX = tableX + colWidths[0] + colWidths[1] + colWidths[2] + 2; // Точное выравнивание с колонкой Ilość
+    const razemValue = String(order.laczna_ilosc || 0);
+    
+    currentPage.drawText(razemValue, {
+      x: razemValueX,
+             y: yPosition,
+      size: 9,
+             font: helveticaBold,
+      color: colors.textDark
+    });
+
+    // Убрали подписи снизу
+        
+        const pdfBytes = await pdfDoc.save();
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="order_${order.numer_zamowienia}.pdf"`);
+        res.send(Buffer.from(pdfBytes));
+  } catch (error) {
+    console.error('Error generating PDF:', error);
+    
+    // Если ошибка связана с кодировкой, не используем старую разметку
+    if (error.message && error.message.includes('WinAnsi cannot encode')) {
+      console.error('PDF unicode encoding failed (WinAnsi). Fallback disabled.');
+      return res.status(500).json({ error: 'PDF unicode encoding failed' });
+    }
+    
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+}
+
+function formatInvoicePdfDate(dateStr) {
+  const match = String(dateStr || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return String(dateStr || '-');
+  return `${match[3]}.${match[2]}.${match[1]}`;
+}
+
+function formatInvoicePdfMoney(value) {
+  const fixed = (Number(value) || 0).toFixed(2);
+  const [intPart, decPart] = fixed.split('.');
+  return `${intPart.replace(/\B(?=(\d{3})+(?!\d))/g, ' ')},${decPart}`;
+}
+
+function formatInvoicePdfQty(value) {
+  const n = Number(value) || 0;
+  return Number.isInteger(n) ? String(n) : n.toFixed(2).replace('.', ',');
+}
+
+// Функция генерации PDF фактуры VAT (тот же pdf-lib + Sora, что и в generateOrderPDF)
+async function generateInvoicePDF(invoice, products, buyer, res) {
+  try {
+    const { PDFDocument, rgb, StandardFonts } = await import('pdf-lib');
+
+    let fontkit;
+    try {
+      fontkit = require('@pdf-lib/fontkit');
+    } catch (fkErr) {
+      try {
+        fontkit = (await import('@pdf-lib/fontkit')).default;
+      } catch {
+        fontkit = null;
+      }
+    }
+
+    const pdfDoc = await PDFDocument.create();
+    if (fontkit) {
+      pdfDoc.registerFontkit(fontkit);
+    }
+
+    const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+    // Польские символы (ą, ł, ż…) — только через Sora; Helvetica (WinAnsi) их не кодирует
+    let soraFont;
+    try {
+      const soraBytes = fs.readFileSync(path.join(__dirname, 'fonts', 'Sora-Regular.ttf'));
+      soraFont = await pdfDoc.embedFont(soraBytes, { subset: false });
+    } catch (fontErr) {
+      console.warn('⚠️ Could not embed Sora font, falling back to Helvetica:', fontErr?.message || fontErr);
+      soraFont = helveticaFont;
+    }
+    // Жирный шрифт только для ASCII-текста, иначе Sora
+    const boldFor = (text) => (/^[\x20-\x7E]*$/.test(String(text)) ? helveticaBold : soraFont);
+
+    const pageSize = [595.28, 841.89]; // A4
+    let page = pdfDoc.addPage(pageSize);
+    const { width, height } = page.getSize();
+    const margin = 24;
+    const black = rgb(0, 0, 0);
+    const textColor = rgb(0.12, 0.12, 0.12);
+    const headerBg = rgb(0.93, 0.93, 0.93);
+
+    const drawText = (text, x, y, { size = 8, bold = false, target = page } = {}) => {
+      const value = String(text == null ? '' : text);
+      target.drawText(value, { x, y, size, font: bold ? boldFor(value) : soraFont, color: textColor });
+    };
+    const drawTextRight = (text, rightX, y, opts = {}) => {
+      const value = String(text == null ? '' : text);
+      const size = opts.size || 8;
+      const font = opts.bold ? boldFor(value) : soraFont;
+      drawText(value, rightX - font.widthOfTextAtSize(value, size), y, opts);
+    };
+
+    // Заголовок: логотип слева, номер фактуры справа
+    const headerHeight = 70;
+    const headerY = height - margin - headerHeight - 10;
+    const middleX = width / 2;
+    try {
+      const logoImage = await embedCompanyLogo(pdfDoc, invoice.company_id);
+      if (logoImage) {
+        const scale = Math.min((middleX - 2 * margin) / logoImage.width, (headerHeight * 0.8) / logoImage.height, 1);
+        const dims = logoImage.scale(scale);
+        page.drawImage(logoImage, {
+          x: margin,
+          y: headerY + (headerHeight - dims.height) / 2,
+          width: dims.width,
+          height: dims.height,
+        });
+      }
+    } catch (e) {
+      console.warn('⚠️ Logo not embedded:', e?.message || e);
+    }
+
+    const isKorekta = invoice.typ_dokumentu === 'korekta';
+    drawTextRight(isKorekta ? 'Faktura korygująca' : 'Faktura VAT', width - margin, headerY + headerHeight - 18, { size: 14, bold: true });
+    drawTextRight(`nr ${invoice.numer_faktury || invoice.id}`, width - margin, headerY + headerHeight - 36, { size: 11, bold: true });
+
+    const seller = await getCompanySellerDetails(invoice.company_id);
+    let y = headerY - 16;
+    const datesLines = [
+      ['Data wystawienia:', formatInvoicePdfDate(invoice.data_faktury)],
+      ['Data sprzedaży:', formatInvoicePdfDate(invoice.data_sprzedazy || invoice.data_faktury)],
+    ];
+    if (seller.miejsce) datesLines.push(['Miejsce wystawienia:', seller.miejsce]);
+    if (isKorekta && invoice.korygowana_numer) {
+      datesLines.push(['Dotyczy faktury:', `${invoice.korygowana_numer} z dnia ${formatInvoicePdfDate(invoice.korygowana_data)}`]);
+    }
+    datesLines.forEach(([label, value]) => {
+      drawTextRight(`${label} ${value}`, width - margin, y, { size: 8 });
+      y -= 12;
+    });
+
+    // Блоки Sprzedawca / Nabywca
+    y -= 8;
+    const partyWidth = (width - 2 * margin - 12) / 2;
+    const partyLines = (party) => [
+      party.nazwa,
+      ...String(party.adres || '').split(/\r?\n/),
+      party.nip ? `NIP: ${party.nip}` : '',
+      party.vatUe ? `VAT UE: ${party.vatUe}` : '',
+    ].filter((line) => String(line || '').trim());
+    const sellerLines = partyLines(seller).flatMap((l) => wrapText(l, soraFont, 8, partyWidth - 12));
+    const buyerLines = partyLines(buyer).flatMap((l) => wrapText(l, soraFont, 8, partyWidth - 12));
+    const partyHeight = 24 + Math.max(sellerLines.length, buyerLines.length, 1) * 11;
+    [
+      ['Sprzedawca', sellerLines, margin],
+      ['Nabywca', buyerLines, margin + partyWidth + 12],
+    ].forEach(([title, lines, x]) => {
+      page.drawRectangle({ x, y: y - partyHeight, width: partyWidth, height: partyHeight, borderColor: black, borderWidth: 0.5 });
+      drawText(title, x + 6, y - 12, { size: 9, bold: true });
+      lines.forEach((line, idx) => drawText(line, x + 6, y - 26 - idx * 11, { size: 8 }));
+    });
+    y -= partyHeight + 20;
+
+    if (invoice.adres_dostawy) {
+      wrapText(`Adres dostawy: ${invoice.adres_dostawy}`, soraFont, 8, width - 2 * margin).forEach((line) => {
+        drawText(line, margin, y, { size: 8 });
+        y -= 11;
+      });
+      y -= 8;
+    }
+
+    if (isKorekta && invoice.przyczyna_korekty) {
+      wrapText(`Przyczyna korekty: ${invoice.przyczyna_korekty}`, soraFont, 8, width - 2 * margin).forEach((line) => {
+        drawText(line, margin, y, { size: 8 });
+        y -= 11;
+      });
+      y -= 8;
+    }
+
+    // Таблица позиций (для korekty — разницы по позициям)
+    const columns = [
+      { title: 'Lp.', width: 22, align: 'left' },
+      { title: 'Nazwa', width: 200, align: 'left' },
+      { title: 'Ilość', width: 32, align: 'right' },
+      { title: 'J.m.', width: 24, align: 'left' },
+      { title: 'Cena netto', width: 50, align: 'right' },
+      { title: 'Rabat', width: 30, align: 'right' },
+      { title: 'Wart. netto', width: 56, align: 'right' },
+      { title: 'VAT', width: 28, align: 'right' },
+      { title: 'Kwota VAT', width: 50, align: 'right' },
+      { title: 'Wart. brutto', width: 55.28, align: 'right' },
+    ];
+    const drawRowCells = (cells, rowTop, rowHeight, opts = {}) => {
+      let x = margin;
+      cells.forEach((cell, idx) => {
+        const col = columns[idx];
+        const lines = Array.isArray(cell) ? cell : [cell];
+        lines.forEach((line, lineIdx) => {
+          const lineY = rowTop - 10 - lineIdx * 10;
+          if (col.align === 'right') {
+            drawTextRight(line, x + col.width - 3, lineY, opts);
+          } else {
+            drawText(line, x + 3, lineY, opts);
+          }
+        });
+        page.drawRectangle({ x, y: rowTop - rowHeight, width: col.width, height: rowHeight, borderColor: black, borderWidth: 0.5 });
+        x += col.width;
+      });
+    };
+    const drawTableHeader = () => {
+      page.drawRectangle({ x: margin, y: y - 16, width: width - 2 * margin, height: 16, color: headerBg });
+      drawRowCells(columns.map((c) => c.title), y, 16, { size: 7, bold: true });
+      y -= 16;
+    };
+    drawTableHeader();
+
+    (products || []).forEach((p, index) => {
+      const nameLines = wrapText(String(p.nazwa || p.kod || '-'), soraFont, 7.5, columns[1].width - 6);
+      const rowHeight = Math.max(14, nameLines.length * 10 + 4);
+      if (y - rowHeight < margin + 40) {
+        page = pdfDoc.addPage(pageSize);
+        y = height - margin - 10;
+        drawTableHeader();
+      }
+      drawRowCells([
+        String(index + 1),
+        nameLines,
+        formatInvoicePdfQty(p.ilosc),
+        p.jednostka || 'szt.',
+        formatInvoicePdfMoney(p.cena_netto),
+        `${formatInvoicePdfQty(p.rabat)}%`,
+        formatInvoicePdfMoney(p.wartosc_netto),
+        `${p.vat_stawka}%`,
+        formatInvoicePdfMoney(p.wartosc_vat),
+        formatInvoicePdfMoney(p.wartosc_brutto),
+      ], y, rowHeight, { size: 7.5 });
+      y -= rowHeight;
+    });
+
+    // Zestawienie VAT по ставкам
+    const vatRows = summarizeVatByRate(products);
+    const summaryHeight = 24 + (vatRows.length + 1) * 12 + 90;
+    if (y - summaryHeight < margin) {
+      page = pdfDoc.addPage(pageSize);
+      y = height - margin - 10;
+    }
+    y -= 18;
+    const summaryX = width - margin - 260;
+    const summaryCols = [60, 66, 66, 68];
+    const drawSummaryRow = (cells, opts = {}) => {
+      let x = summaryX;
+      cells.forEach((cell, idx) => {
+        if (idx === 0) drawText(cell, x + 3, y, opts);
+        else drawTextRight(cell, x + summaryCols[idx] - 3, y, opts);
+        x += summaryCols[idx];
+      });
+      y -= 12;
+    };
+    drawSummaryRow(['Stawka VAT', 'Netto', 'VAT', 'Brutto'], { size: 8, bold: true });
+    page.drawLine({ start: { x: summaryX, y: y + 8 }, end: { x: width - margin, y: y + 8 }, thickness: 0.5, color: black });
+    vatRows.forEach((r) => drawSummaryRow([
+      `${r.stawka}%`,
+      formatInvoicePdfMoney(r.netto),
+      formatInvoicePdfMoney(r.vat),
+      formatInvoicePdfMoney(r.brutto),
+    ], { size: 8 }));
+    page.drawLine({ start: { x: summaryX, y: y + 8 }, end: { x: width - margin, y: y + 8 }, thickness: 0.5, color: black });
+    drawSummaryRow([
+      'Razem',
+      formatInvoicePdfMoney(invoice.suma_netto),
+      formatInvoicePdfMoney(invoice.suma_vat),
+      formatInvoicePdfMoney(invoice.suma_brutto),
+    ], { size: 8, bold: true });
+
+    // Do zapłaty, słownie, płatność
+    y -= 14;
+    const doZwrotu = Number(invoice.suma_brutto) < 0;
+    drawText(
+      `${doZwrotu ? 'Do zwrotu' : 'Do zapłaty'}: ${formatInvoicePdfMoney(Math.abs(Number(invoice.suma_brutto) || 0))} PLN`,
+      margin,
+      y,
+      { size: 11, bold: true }
+    );
+    y -= 14;
+    const slownieLines = wrapText(`Słownie: ${amountInWordsPln(Math.abs(Number(invoice.suma_brutto) || 0))}`, soraFont, 8, width - 2 * margin);
+    slownieLines.forEach((line) => {
+      drawText(line, margin, y, { size: 8 });
+      y -= 11;
+    });
+    if (!isKorekta && Number(invoice.rabat_suma) > 0) {
+      drawText(`W tym udzielony rabat: ${formatInvoicePdfMoney(invoice.rabat_suma)} PLN`, margin, y, { size: 8 });
+      y -= 11;
+    }
+    y -= 4;
+    drawText(`Forma płatności: ${invoice.forma_platnosci || 'przelew'}`, margin, y, { size: 8 });
+    y -= 11;
+    drawText(`Termin płatności: ${invoice.termin_platnosci ? formatInvoicePdfDate(invoice.termin_platnosci) : '-'}`, margin, y, { size: 8 });
+    y -= 11;
+    if (seller.konto) {
+      drawText(`Nr konta: ${seller.konto}${seller.bank ? ` (${seller.bank})` : ''}`, margin, y, { size: 8 });
+      y -= 11;
+    }
+    if (invoice.numer_zamowienia) {
+      drawText(`Dotyczy zamówienia: ${invoice.numer_zamowienia}`, margin, y, { size: 8 });
+    }
+
+    const pdfBytes = await pdfDoc.save();
+    const safeNumer = String(invoice.numer_faktury || invoice.id).replace(/[\\/]/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="faktura_${safeNumer}.pdf"`);
+    res.send(Buffer.from(pdfBytes));
+  } catch (error) {
+    console.error('Error generating invoice PDF:', error);
+    res.status(500).json({ error: 'Failed to generate invoice PDF' });
+  }
+}
+
+// Orders API
+app.get('/api/orders', (req, res) => {
+  console.log('📋 GET /api/orders - Fetching all orders');
+  db.all(
+    `SELECT o.*, COALESCE(c.nazwa, o.klient) AS klient_resolved ${ORDER_WITH_CLIENT_JOIN}
+     WHERE o.company_id = ? ORDER BY o.data_utworzenia DESC`,
+    [req.companyId],
+    (err, orderRows) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    console.log(`✅ Found ${orderRows.length} orders`);
+    
+    if (orderRows.length === 0) {
+      return res.json([]);
+    }
+    
+    // Для каждого заказа получаем продукты
+    let ordersProcessed = 0;
+    const ordersWithProducts = [];
+    
+    orderRows.forEach((order) => {
+      const resolvedOrder = withResolvedOrderKlient(order);
+      console.log(`🔍 Fetching products for order ${resolvedOrder.id} (${resolvedOrder.numer_zamowienia})`);
+      db.all('SELECT * FROM order_products WHERE orderId = ? ORDER BY id', [resolvedOrder.id], (err, productRows) => {
+        if (err) {
+          console.error(`❌ Error fetching products for order ${resolvedOrder.id}:`, err);
+          console.error(`❌ Error details:`, err.message);
+          ordersWithProducts.push({
+            ...resolvedOrder,
+            products: []
+          });
+        } else {
+          attachReservationAmountsToProducts(resolvedOrder.id, productRows || [], (attachErr, productsWithReservation) => {
+            if (attachErr) {
+              console.error(`❌ Error fetching reservation fulfillments for order ${resolvedOrder.id}:`, attachErr);
+              ordersWithProducts.push({
+                ...resolvedOrder,
+                products: productRows || []
+              });
+            } else {
+              console.log(`✅ Found ${productsWithReservation.length} products for order ${resolvedOrder.id}`);
+              ordersWithProducts.push({
+                ...resolvedOrder,
+                products: productsWithReservation
+              });
+            }
+
+            ordersProcessed++;
+            if (ordersProcessed === orderRows.length) {
+              console.log(`✅ All ${ordersProcessed} orders processed with products`);
+              res.json(ordersWithProducts);
+            }
+          });
+          return;
+        }
+        
+        ordersProcessed++;
+        
+        // Когда все заказы обработаны, отправляем ответ
+        if (ordersProcessed === orderRows.length) {
+          console.log(`✅ All ${ordersProcessed} orders processed with products`);
+          res.json(ordersWithProducts);
+        }
+      });
+    });
+  });
+});
+
+// Поиск заказов по номеру для возврата (частичный поиск)
+app.get('/api/orders/search', (req, res) => {
+  const { numer_zamowienia } = req.query;
+  console.log(`🔍 GET /api/orders/search - Searching orders by number: ${numer_zamowienia}`);
+  
+  if (!numer_zamowienia) {
+    console.log('❌ Validation failed: numer_zamowienia is required');
+    return res.status(400).json({ error: 'Order number is required' });
+  }
+  
+  // Поиск заказов по частичному совпадению номера
+  const searchPattern = `%${numer_zamowienia}%`;
+  db.all(
+    `SELECT o.*, COALESCE(c.nazwa, o.klient) AS klient_resolved ${ORDER_WITH_CLIENT_JOIN} WHERE o.numer_zamowienia LIKE ? ORDER BY o.data_utworzenia DESC LIMIT 10`,
+    [searchPattern],
+    (err, orderRows) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    if (!orderRows || orderRows.length === 0) {
+      console.log(`❌ No orders found matching pattern: ${searchPattern}`);
+      return res.json([]);
+    }
+    
+    console.log(`✅ Found ${orderRows.length} orders matching pattern: ${searchPattern}`);
+    
+    // Для каждого заказа получаем продукты
+    let ordersProcessed = 0;
+    const ordersWithProducts = [];
+    
+    orderRows.forEach((order) => {
+      const resolvedOrder = withResolvedOrderKlient(order);
+      db.all('SELECT * FROM order_products WHERE orderId = ? ORDER BY id', [resolvedOrder.id], (err, productRows) => {
+        if (err) {
+          console.error(`❌ Error fetching products for order ${resolvedOrder.id}:`, err);
+          ordersWithProducts.push({
+            id: resolvedOrder.id,
+            numer_zamowienia: resolvedOrder.numer_zamowienia,
+            klient: resolvedOrder.klient,
+            client_id: resolvedOrder.client_id || null,
+            klient_firma: '',
+            klient_adres: '',
+            klient_kontakt: '',
+            data_utworzenia: resolvedOrder.data_utworzenia,
+            products: []
+          });
+        } else {
+          attachReservationAmountsToProducts(resolvedOrder.id, productRows || [], (attachErr, productsWithReservation) => {
+            ordersWithProducts.push({
+              id: resolvedOrder.id,
+              numer_zamowienia: resolvedOrder.numer_zamowienia,
+              klient: resolvedOrder.klient,
+              client_id: resolvedOrder.client_id || null,
+              klient_firma: '',
+              klient_adres: '',
+              klient_kontakt: '',
+              data_utworzenia: resolvedOrder.data_utworzenia,
+              products: attachErr ? (productRows || []) : productsWithReservation
+            });
+
+            ordersProcessed++;
+            if (ordersProcessed === orderRows.length) {
+              console.log(`✅ All ${ordersProcessed} orders processed with products`);
+              res.json(ordersWithProducts);
+            }
+          });
+          return;
+        }
+        
+        ordersProcessed++;
+        
+        // Когда все заказы обработаны, отправляем ответ
+        if (ordersProcessed === orderRows.length) {
+          console.log(`✅ All ${ordersProcessed} orders processed with products`);
+          res.json(ordersWithProducts);
+        }
+      });
+    });
+  });
+});
+
+// PDF Generation API для отчёта по остаткам
+async function generateInventoryReportPDF(items, res, location = null, company = null) {
+  try {
+    const { PDFDocument, rgb, StandardFonts } = await import('pdf-lib');
+    const fs = await import('fs');
+    const path = await import('path');
+    
+    // Регистрируем fontkit для поддержки пользовательских шрифтов
+    let fontkit;
+    try {
+      fontkit = require('@pdf-lib/fontkit');
+    } catch (fkErr) {
+      try {
+        fontkit = (await import('@pdf-lib/fontkit')).default;
+      } catch {
+        fontkit = null;
+      }
+    }
+    
+    // Создаем новый PDF документ
+    const pdfDoc = await PDFDocument.create();
+    
+    if (fontkit) {
+      pdfDoc.registerFontkit(fontkit);
+    }
+    
+    let currentPage = pdfDoc.addPage([792, 1224]); // Таблоид формат (11" × 17" = 792 × 1224 точек)
+    
+    // Получаем стандартные шрифты
+    const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    
+    // Встраиваем пользовательский шрифт с поддержкой Unicode
+    let soraFont;
+    try {
+      const soraPath = path.join(__dirname, 'fonts', 'Sora-Regular.ttf');
+      const soraBytes = fs.readFileSync(soraPath);
+      soraFont = await pdfDoc.embedFont(soraBytes, { subset: false });
+    } catch (fontErr) {
+      soraFont = helveticaFont;
+    }
+    
+    const { width, height } = currentPage.getSize();
+    const margin = 50;
+    let yPosition = height - margin;
+    
+    // Цвета
+    const colors = {
+      text: rgb(0.22, 0.22, 0.22),
+      textDark: rgb(0.12, 0.12, 0.12),
+      border: rgb(0.82, 0.82, 0.82),
+    };
+    
+    // Цвета и метки для типов товаров (соответствуют TYPY_TOWARU из фронтенда)
+    const typConfigs = {
+      'czerwone': { label: 'Czerwone', bg: rgb(0.996, 0.886, 0.886), text: rgb(0.6, 0.106, 0.106), border: rgb(0.996, 0.792, 0.792) },
+      'biale': { label: 'Białe', bg: rgb(0.953, 0.957, 0.969), text: rgb(0.122, 0.161, 0.216), border: rgb(0.898, 0.906, 0.922) },
+      'musujace': { label: 'Musujące', bg: rgb(1.0, 0.984, 0.922), text: rgb(0.792, 0.541, 0.016), border: rgb(0.996, 0.953, 0.780) },
+      'bezalkoholowe': { label: 'Bezalkoholowe', bg: rgb(0.863, 0.988, 0.906), text: rgb(0.086, 0.396, 0.204), border: rgb(0.733, 0.969, 0.816) },
+      'ferment': { label: 'Ferment', bg: rgb(1.0, 0.929, 0.835), text: rgb(0.604, 0.204, 0.071), border: rgb(0.996, 0.843, 0.667) },
+      'rozowe': { label: 'Różowe', bg: rgb(0.988, 0.906, 0.953), text: rgb(0.616, 0.090, 0.302), border: rgb(0.984, 0.812, 0.910) },
+      'slodkie': { label: 'Słodkie', bg: rgb(0.953, 0.910, 1.0), text: rgb(0.420, 0.129, 0.659), border: rgb(0.914, 0.835, 1.0) },
+      'aksesoria': { label: 'Aksesoria', bg: rgb(0.878, 0.906, 1.0), text: rgb(0.216, 0.188, 0.639), border: rgb(0.780, 0.824, 0.996) },
+      'amber': { label: 'Amber', bg: rgb(0.996, 0.953, 0.780), text: rgb(0.573, 0.251, 0.055), border: rgb(0.992, 0.902, 0.541) }
+    };
+    
+    // Функция для получения конфигурации типа
+    const getTypConfig = (typ) => {
+      return typConfigs[typ] || { label: typ || '-', bg: rgb(0.953, 0.957, 0.969), text: rgb(0.122, 0.161, 0.216), border: rgb(0.898, 0.906, 0.922) };
+    };
+    
+    // Заголовок
+    currentPage.drawText('Raport stanów magazynowych', {
+      x: margin,
+      y: yPosition,
+      size: 19,
+      font: soraFont,
+      color: colors.textDark,
+    });
+    // Firma (nagłówek aktywnej firmy) — справа от заголовка
+    if (company && company.nazwa) {
+      const firmaText = company.nip ? `${company.nazwa}, NIP ${company.nip}` : company.nazwa;
+      currentPage.drawText(firmaText, {
+        x: width - margin - soraFont.widthOfTextAtSize(firmaText, 9),
+        y: yPosition + 4,
+        size: 9,
+        font: soraFont,
+        color: colors.text,
+      });
+    }
+    yPosition -= 40;
+    
+    // Дата генерации (день, месяц, год)
+    const now = new Date();
+    const day = String(now.getDate()).padStart(2, '0');
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const year = now.getFullYear();
+    const dateStr = `${day}.${month}.${year}`;
+    currentPage.drawText(location ? `${dateStr}, lokalizacja: ${location.nazwa}` : dateStr, {
+      x: margin,
+      y: yPosition,
+      size: 9,
+      font: soraFont,
+      color: colors.text,
+    });
+    yPosition -= 30;
+    
+    // Заголовки таблицы
+    const tableStartY = yPosition;
+    const colWidths = {
+      nazwa: 300,
+      sprzedawca: 150,
+      objetosc: 60,
+      typ: 100,
+      ilosc: 35
+    };
+    const colX = {
+      nazwa: margin,
+      sprzedawca: margin + colWidths.nazwa,
+      objetosc: margin + colWidths.nazwa + colWidths.sprzedawca,
+      typ: margin + colWidths.nazwa + colWidths.sprzedawca + colWidths.objetosc,
+      ilosc: margin + colWidths.nazwa + colWidths.sprzedawca + colWidths.objetosc + colWidths.typ
+    };
+    
+    // Рисуем заголовки (soraFont для поддержки польских символов)
+    currentPage.drawText('Nazwa', {
+      x: colX.nazwa,
+      y: yPosition,
+      size: 9,
+      font: soraFont,
+      color: colors.textDark,
+    });
+    currentPage.drawText('Sprzedawca', {
+      x: colX.sprzedawca,
+      y: yPosition,
+      size: 9,
+      font: soraFont,
+      color: colors.textDark,
+    });
+    currentPage.drawText('Objętość', {
+      x: colX.objetosc,
+      y: yPosition,
+      size: 9,
+      font: soraFont,
+      color: colors.textDark,
+    });
+    currentPage.drawText('Typ', {
+      x: colX.typ,
+      y: yPosition,
+      size: 9,
+      font: soraFont,
+      color: colors.textDark,
+    });
+    currentPage.drawText('Ilość', {
+      x: colX.ilosc,
+      y: yPosition,
+      size: 9,
+      font: soraFont,
+      color: colors.textDark,
+    });
+    
+    // Линия под заголовками
+    yPosition -= 5;
+    const tableTopY = yPosition;
+    const tableLeftX = margin;
+    const tableRightX = width - margin;
+    
+    // Верхняя линия таблицы
+    currentPage.drawLine({
+      start: { x: tableLeftX, y: yPosition },
       end: { x: tableRightX, y: yPosition },
       thickness: 1,
       color: colors.border,
@@ -3223,19 +5507,24 @@ const inventoryReportOrderClause = `
          ilosc DESC,
          nazwa`;
 
-app.get('/api/inventory/report/pdf', async (req, res) => {
+app.get('/api/inventory/report/pdf', locationFilter, async (req, res) => {
   console.log('📊 GET /api/inventory/report/pdf - Generating inventory report');
   
   try {
     // Получаем данные из working_sheets с фильтрами: ilosc > 0 и typ != 'aksesoria'
+    const ilosc = locationIloscSql(req.locationId);
     db.all(
       `SELECT nazwa, sprzedawca, ilosc, typ, objetosc 
-       FROM working_sheets 
+       FROM (
+         SELECT nazwa, sprzedawca, ${ilosc.sql} AS ilosc, typ, objetosc, archived, company_id
+         FROM working_sheets
+       )
        WHERE (archived = 0 OR archived IS NULL) 
+         AND company_id = ?
          AND ilosc > 0 
          AND (typ IS NULL OR typ != 'aksesoria')
        ${inventoryReportOrderClause}`,
-      [],
+      [...ilosc.params, req.companyId],
       async (err, rows) => {
         if (err) {
           console.error('❌ Database error:', err);
@@ -3244,7 +5533,7 @@ app.get('/api/inventory/report/pdf', async (req, res) => {
         
         console.log(`✅ Found ${rows.length} items for report`);
         try {
-          await generateInventoryReportPDF(rows || [], res);
+          await generateInventoryReportPDF(rows || [], res, req.location, await getCompanySellerDetails(req.companyId));
         } catch (pdfError) {
           console.error('❌ Error generating PDF:', pdfError);
           if (!res.headersSent) {
@@ -3262,7 +5551,7 @@ app.get('/api/inventory/report/pdf', async (req, res) => {
 });
 
 // Raport tylko dla zaznaczonych na stronie stanów (te same kolumny i filtry co GET)
-app.post('/api/inventory/report/pdf', async (req, res) => {
+app.post('/api/inventory/report/pdf', locationFilter, async (req, res) => {
   console.log('📊 POST /api/inventory/report/pdf - Generating inventory report (selected ids)');
   try {
     const rawIds = req.body?.ids;
@@ -3281,15 +5570,20 @@ app.post('/api/inventory/report/pdf', async (req, res) => {
       return res.status(400).json({ error: 'Too many ids' });
     }
     const placeholders = ids.map(() => '?').join(',');
+    const ilosc = locationIloscSql(req.locationId);
     db.all(
       `SELECT nazwa, sprzedawca, ilosc, typ, objetosc 
-       FROM working_sheets 
+       FROM (
+         SELECT id, nazwa, sprzedawca, ${ilosc.sql} AS ilosc, typ, objetosc, archived, company_id
+         FROM working_sheets
+       )
        WHERE (archived = 0 OR archived IS NULL) 
+         AND company_id = ?
          AND ilosc > 0 
          AND (typ IS NULL OR typ != 'aksesoria')
          AND id IN (${placeholders})
        ${inventoryReportOrderClause}`,
-      ids,
+      [...ilosc.params, req.companyId, ...ids],
       async (err, rows) => {
         if (err) {
           console.error('❌ Database error:', err);
@@ -3303,7 +5597,7 @@ app.post('/api/inventory/report/pdf', async (req, res) => {
           });
         }
         try {
-          await generateInventoryReportPDF(rows || [], res);
+          await generateInventoryReportPDF(rows || [], res, req.location, await getCompanySellerDetails(req.companyId));
         } catch (pdfError) {
           console.error('❌ Error generating PDF:', pdfError);
           if (!res.headersSent) {
@@ -3418,7 +5712,7 @@ app.get('/api/orders/:id', (req, res) => {
   });
 });
 
-app.post('/api/orders', (req, res) => {
+app.post('/api/orders', requireCompanyKods(bodyProductKods()), requireAlcoholLicence(orderLicenceRequest), auditTrail('order', loadOrderAuditSnapshot), stockTransaction, (req, res) => {
   const { client_id, clientName, order_number, products } = req.body;
   console.log('📋 POST /api/orders - Creating new order:', { client_id, clientName, order_number, productsCount: products?.length || 0 });
   
@@ -3574,8 +5868,8 @@ app.post('/api/orders', (req, res) => {
       
       // Создаем заказ
       db.run(
-        'INSERT INTO orders (client_id, klient, numer_zamowienia, laczna_ilosc) VALUES (?, ?, ?, ?)',
-        [clientId, klientName, order_number, laczna_ilosc],
+        'INSERT INTO orders (client_id, klient, numer_zamowienia, laczna_ilosc, company_id) VALUES (?, ?, ?, ?, ?)',
+        [clientId, klientName, order_number, laczna_ilosc, req.companyId],
         function(err) {
           if (err) {
             console.error('❌ Database error creating order:', err);
@@ -3585,6 +5879,7 @@ app.post('/api/orders', (req, res) => {
           
           const orderId = this.lastID;
           console.log(`✅ Order created with ID: ${orderId}`);
+          req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.ORDER, orderId);
           
           const remainingReservationByKod = new Map();
           results.forEach((r) => {
@@ -3596,6 +5891,7 @@ app.post('/api/orders', (req, res) => {
           // Создаем записи для каждого продукта и обновляем working_sheets
           let productsCreated = 0;
           let productsFailed = 0;
+          let productsSettled = 0;
           let workingSheetsUpdated = 0;
           
           products.forEach((product, index) => {
@@ -3646,7 +5942,7 @@ app.post('/api/orders', (req, res) => {
                         const itemStatus = (nazwa || '').includes('(samples)') ? 'samples' : null;
                         // Теперь списываем по FIFO из products с отслеживанием
                     // Списываем всё количество заказа (фактическая отгрузка)
-                        consumeFromProducts(kod, ilosc, itemStatus)
+                        consumeFromProducts(kod, ilosc, itemStatus, req.stockMovements)
                           .then(({ consumed, remaining, consumptions }) => {
                             console.log(`🎯 FIFO consumption for ${kod}: ${consumed} szt. consumed`);
                             // Записываем списания партий в order_consumptions
@@ -3680,12 +5976,13 @@ app.post('/api/orders', (req, res) => {
                     kod,
                     ilosc,
                     { numerZamowienia: order_number },
-                    function(updateErr) {
+                    function(updateErr, changes) {
                       if (updateErr) {
                         console.error(`❌ Error updating working_sheets for product ${kod}:`, updateErr);
                         checkCompletion();
                       } else {
                         console.log(`✅ Updated working_sheets: ${kod} (quantity reduced by ${ilosc})`);
+                        if (changes) req.stockMovements.sheet(kod, -ilosc);
                         workingSheetsUpdated++;
                         
                         // Если товар берется из резервации, увеличиваем ilosc_wydane
@@ -3713,7 +6010,13 @@ app.post('/api/orders', (req, res) => {
                               let reservationsUpdated = 0;
                               
                               reservationProducts.forEach((rp) => {
-                                if (remainingToFulfill <= 0) return;
+                                if (remainingToFulfill <= 0) {
+                                  reservationsUpdated++;
+                                  if (reservationsUpdated === reservationProducts.length) {
+                                    proceedWithFIFO();
+                                  }
+                                  return;
+                                }
                                 
                                 const toFulfill = Math.min(remainingToFulfill, rp.available);
                                 
@@ -3765,8 +6068,11 @@ app.post('/api/orders', (req, res) => {
             );
           });
           
+          // Вызывается ровно один раз на позицию — после всей цепочки (склад, резервации, FIFO),
+          // чтобы ответ (и COMMIT транзакции) не ушёл раньше последнего списания
           function checkCompletion() {
-            if (productsCreated + productsFailed === products.length) {
+            productsSettled++;
+            if (productsSettled === products.length) {
               if (res.headersSent) {
                 console.log('⚠️ Response already sent, skipping checkCompletion');
                 return;
@@ -3905,7 +6211,7 @@ app.get('/api/reservations/next-number', (req, res) => {
 });
 
 // Endpoint для анулирования резервации
-app.put('/api/reservations/:id/cancel', (req, res) => {
+app.put('/api/reservations/:id/cancel', auditTrail('reservation', loadReservationAuditSnapshot, { action: AUDIT_ACTIONS.CANCEL }), (req, res) => {
   const { id } = req.params;
   console.log(`📋 PUT /api/reservations/${id}/cancel - Cancelling reservation`);
   
@@ -3946,7 +6252,7 @@ app.put('/api/reservations/:id/cancel', (req, res) => {
 });
 
 // Endpoint для обновления резервации
-app.put('/api/reservations/:id', (req, res) => {
+app.put('/api/reservations/:id', requireCompanyKods(bodyProductKods('product_kod')), auditTrail('reservation', loadReservationAuditSnapshot), (req, res) => {
   const { id } = req.params;
   const { klient, numer_rezerwacji, data_utworzenia, data_zakonczenia, status, komentarz, products } = req.body;
   console.log(`📋 PUT /api/reservations/${id} - Updating reservation`);
@@ -4277,8 +6583,9 @@ app.get('/api/reservations-with-products', (req, res) => {
       c.firma as klient_firma
     FROM reservations r
     LEFT JOIN clients c ON r.client_id = c.id
+    WHERE r.company_id = ?
     ORDER BY r.data_utworzenia DESC
-  `, (err, reservations) => {
+  `, [req.companyId], (err, reservations) => {
     if (err) {
       console.error('❌ Database error fetching reservations:', err);
       res.status(500).json({ error: err.message });
@@ -4335,7 +6642,11 @@ app.get('/api/reservations-with-products', (req, res) => {
 });
 
 // Endpoint для создания возвратов
-app.post('/api/returns', (req, res) => {
+app.post('/api/returns', requireCompanyKods(async (req) => (req.body.orderId
+  ? (await dbAllAsync('SELECT kod FROM order_products WHERE orderId = ?', [req.body.orderId])).map((row) => row.kod)
+  : [])), auditTrail('order', loadOrderAuditSnapshot, {
+  resolveIds: (req, body) => body && body.returnId,
+}), stockTransaction, (req, res) => {
   const { klient, data_zwrotu, products, orderId: originalOrderId } = req.body;
   console.log('📦 POST /api/returns - Creating new return:', { klient, data_zwrotu, productsCount: products?.length || 0, originalOrderId });
   
@@ -4373,8 +6684,8 @@ app.post('/api/returns', (req, res) => {
     
     const createReturnOrder = (clientId, klientName) => {
     db.run(
-      'INSERT INTO orders (client_id, klient, numer_zamowienia, laczna_ilosc, typ, numer_zwrotu, data_utworzenia) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [clientId, klientName, returnNumber, laczna_ilosc, 'zwrot', numer_zwrotu, data_zwrotu],
+      'INSERT INTO orders (client_id, klient, numer_zamowienia, laczna_ilosc, typ, numer_zwrotu, data_utworzenia, company_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [clientId, klientName, returnNumber, laczna_ilosc, 'zwrot', numer_zwrotu, data_zwrotu, req.companyId],
       function(err) {
         if (err) {
           console.error('❌ Database error creating return:', err);
@@ -4384,10 +6695,12 @@ app.post('/api/returns', (req, res) => {
         
         const returnId = this.lastID;
         console.log(`✅ Return created with ID: ${returnId}`);
+        req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.RETURN, returnId);
         
         // Создаем записи для каждого продукта
         let productsCreated = 0;
         let productsFailed = 0;
+        let quantitiesRestored = !originalOrderId;
         
         products.forEach((product, index) => {
           const { nazwa, ilosc, powod_zwrotu } = product;
@@ -4412,13 +6725,15 @@ app.post('/api/returns', (req, res) => {
         
         // Восстанавливаем количество товара на склад в соответствующие партии
         if (originalOrderId) {
-          restoreProductQuantitiesFromOrder(originalOrderId, products, () => {
+          restoreProductQuantitiesFromOrder(originalOrderId, products, req.stockMovements, () => {
             console.log(`✅ Product quantities restored for return ${returnId}`);
+            quantitiesRestored = true;
+            checkCompletion();
           });
         }
         
         function checkCompletion() {
-          if (productsCreated + productsFailed === products.length) {
+          if (productsCreated + productsFailed === products.length && quantitiesRestored) {
             if (res.headersSent) {
               console.log('⚠️ Response already sent, skipping checkCompletion');
               return;
@@ -4482,7 +6797,8 @@ app.post('/api/returns', (req, res) => {
 });
 
 // Функция для восстановления количества товара из заказа в соответствующие партии
-function restoreProductQuantitiesFromOrder(orderId, products, callback) {
+// movements — req.stockMovements документа возврата; callback вызывается после всех записей
+function restoreProductQuantitiesFromOrder(orderId, products, movements, callback) {
   console.log(`🔄 Restoring product quantities from order ${orderId}`);
   
   // Получаем информацию о потреблении для этого заказа
@@ -4527,11 +6843,11 @@ function restoreProductQuantitiesFromOrder(orderId, products, callback) {
       productConsumptions.sort((a, b) => a.batch_id - b.batch_id);
       
       let remainingQuantity = product.ilosc;
-      let consumptionsProcessed = 0;
+      // Шаги позиции: восстановление каждой партии + обновление working_sheets
+      let pendingSteps = productConsumptions.length + 1;
       
       productConsumptions.forEach(consumption => {
         if (remainingQuantity <= 0) {
-          consumptionsProcessed++;
           checkProductCompletion();
           return;
         }
@@ -4539,15 +6855,13 @@ function restoreProductQuantitiesFromOrder(orderId, products, callback) {
         const quantityToRestore = Math.min(remainingQuantity, consumption.quantity);
         
         // Восстанавливаем количество в products (FIFO)
-        restoreToProducts(product.kod, quantityToRestore)
+        restoreToProducts(product.kod, quantityToRestore, movements)
           .then(({ restored }) => {
             console.log(`✅ Restored ${restored} units in products for ${product.kod}`);
-            consumptionsProcessed++;
             checkProductCompletion();
           })
           .catch((err) => {
             console.error(`❌ Error restoring quantity in products for ${product.kod}:`, err);
-            consumptionsProcessed++;
             checkProductCompletion();
           });
         
@@ -4559,11 +6873,13 @@ function restoreProductQuantitiesFromOrder(orderId, products, callback) {
       db.get('SELECT kod FROM working_sheets WHERE nazwa = ?', [product.nazwa], (err, row) => {
         if (err) {
           console.error(`❌ Error finding kod for product ${product.nazwa}:`, err);
+          checkProductCompletion();
           return;
         }
         
         if (!row) {
           console.error(`❌ Product ${product.nazwa} not found in working_sheets`);
+          checkProductCompletion();
           return;
         }
         
@@ -4575,14 +6891,17 @@ function restoreProductQuantitiesFromOrder(orderId, products, callback) {
             if (err) {
               console.error(`❌ Error updating working_sheets for product ${product.nazwa}:`, err);
                   } else {
+              if (this.changes) movements.sheet(row.kod, product.ilosc);
               console.log(`✅ Updated working_sheets: ${product.nazwa} (kod: ${row.kod}, quantity increased by ${product.ilosc})`);
             }
+            checkProductCompletion();
           }
         );
       });
       
       function checkProductCompletion() {
-        if (consumptionsProcessed === productConsumptions.length) {
+        pendingSteps--;
+        if (pendingSteps === 0) {
           productsProcessed++;
           checkCompletion();
             }
@@ -4598,192 +6917,906 @@ function restoreProductQuantitiesFromOrder(orderId, products, callback) {
   });
 }
 
+// Следующий номер документа вида PREFIX001 среди orders с данным typ (RW — odpisanie, PW — przychod)
+async function findNextOrderDocumentNumber(typ, prefix) {
+  const rows = await dbAllAsync('SELECT numer_zamowienia FROM orders WHERE typ = ? AND numer_zamowienia LIKE ?', [typ, `${prefix}%`]);
+  const pattern = new RegExp(`^${prefix}(\\d+)`);
+  const maxNumber = rows.reduce((max, row) => {
+    const match = String(row.numer_zamowienia || '').match(pattern);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+  return `${prefix}${(maxNumber + 1).toString().padStart(3, '0')}`;
+}
+
 // Endpoint для получения следующего номера списания
-app.get('/api/writeoffs/next-number-only', (req, res) => {
+app.get('/api/writeoffs/next-number-only', async (req, res) => {
   console.log('🔢 GET /api/writeoffs/next-number-only - Generating next write-off number');
-  
-  // Получаем все номера списаний для поиска максимального номера (префикс RW)
-  db.all('SELECT numer_zamowienia FROM orders WHERE typ = ? AND numer_zamowienia LIKE ?', ['odpisanie', 'RW%'], (err, allRows) => {
-    if (err) {
-      console.error('❌ Error finding max write-off number:', err);
-      return res.status(500).json({ error: err.message });
+  try {
+    const numer_odpisania_only = await findNextOrderDocumentNumber('odpisanie', 'RW');
+    console.log(`✅ Generated next write-off number: ${numer_odpisania_only}`);
+    res.json({ numer_odpisania: numer_odpisania_only });
+  } catch (err) {
+    console.error('❌ Error finding max write-off number:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Endpoint для получения следующего номера przychodu
+app.get('/api/przychod/next-number-only', async (req, res) => {
+  console.log('🔢 GET /api/przychod/next-number-only - Generating next przychód number');
+  try {
+    const numer_przychodu_only = await findNextOrderDocumentNumber('przychod', 'PW');
+    console.log(`✅ Generated next przychód number: ${numer_przychodu_only}`);
+    res.json({ numer_przychodu: numer_przychodu_only });
+  } catch (err) {
+    console.error('❌ Error finding max przychód number:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===== INVOICES ROUTES =====
+// Список всех фактур (для вкладки Faktury)
+app.get('/api/invoices', (req, res) => {
+  console.log('📋 GET /api/invoices - Fetching all invoices');
+  db.all(
+    `SELECT i.id, i.numer_faktury, i.data_faktury, i.termin_platnosci, i.klient_nazwa, i.suma_netto, i.suma_vat,
+            i.suma_brutto, i.rabat_suma, COALESCE(i.typ_dokumentu, 'faktura') AS typ_dokumentu,
+            i.korygowana_faktura_id, orig.numer_faktury AS korygowana_faktura_numer,
+            (SELECT COUNT(*) FROM invoices k WHERE k.korygowana_faktura_id = i.id) AS liczba_korekt,
+            ${INVOICE_RECEIVABLE_COLUMNS}
+     FROM invoices i
+     LEFT JOIN invoices orig ON orig.id = i.korygowana_faktura_id
+     WHERE i.company_id = ?
+     ORDER BY i.data_faktury DESC, i.id DESC`,
+    [req.companyId],
+    (err, rows) => {
+      if (err) {
+        console.error('❌ Error fetching invoices:', err);
+        return res.status(500).json({ error: err.message });
+      }
+      const today = getTodayDateString();
+      res.json((rows || []).map((row) => withPaymentStatus(row, today)));
     }
-    
-    console.log(`📋 Found ${allRows.length} write-offs with RW% pattern`);
-    
-    // Извлекаем числовую часть из каждого номера и находим максимум
-    let maxNumber = 0;
-    const numbers = [];
-    allRows.forEach(row => {
-      const match = row.numer_zamowienia.match(/^RW(\d+)/);
-      if (match) {
-        const num = parseInt(match[1], 10);
-        numbers.push(num);
-        if (num > maxNumber) {
-          maxNumber = num;
+  );
+});
+
+// Следующий номер в серии faktur или korekt firmy (seria_faktur / seria_korekt, напр. FS/n/mm/yyyy).
+// Серия определяется по data_faktury (не по data utworzenia / created_at).
+// → { numer, maxNum }
+async function getNextInvoiceNumber(typDokumentu, companyId, dataFaktury) {
+  const company = await dbGetAsync(
+    'SELECT seria_faktur, seria_korekt FROM companies WHERE id = COALESCE(?, (SELECT MIN(id) FROM companies))',
+    [companyId || null]
+  );
+  const seria = typDokumentu === 'korekta'
+    ? (company && company.seria_korekt) || 'KOR'
+    : (company && company.seria_faktur) || 'FS';
+  const rows = await dbAllAsync('SELECT numer_faktury, data_faktury FROM invoices WHERE company_id = ?', [companyId]);
+  return nextInvoiceNumber(rows, seria, dataFaktury);
+}
+
+app.get('/api/invoices/next-number-only', async (req, res) => {
+  console.log('🔢 GET /api/invoices/next-number-only - Next invoice number', req.query);
+  try {
+    const { numer, maxNum } = await getNextInvoiceNumber('faktura', req.companyId, req.query.data_faktury);
+    console.log(`✅ Next invoice number: ${numer} (max was: ${maxNum})`);
+    res.json({ numer_faktury: numer });
+  } catch (err) {
+    console.error('❌ Error getting next invoice number:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/invoices/korekty/next-number-only', async (req, res) => {
+  console.log('🔢 GET /api/invoices/korekty/next-number-only - Next correction number', req.query);
+  try {
+    const { numer, maxNum } = await getNextInvoiceNumber('korekta', req.companyId, req.query.data_faktury);
+    console.log(`✅ Next correction number: ${numer} (max was: ${maxNum})`);
+    res.json({ numer_faktury: numer });
+  } catch (err) {
+    console.error('❌ Error getting next correction number:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Получение деталей конкретной фактуры с продуктами
+app.get('/api/invoices/:id', (req, res) => {
+  const { id } = req.params;
+  console.log(`📋 GET /api/invoices/${id} - Fetching invoice details`);
+  
+  // Получаем данные фактуры
+  db.get(
+    'SELECT * FROM invoices WHERE id = ?',
+    [id],
+    (err, invoice) => {
+      if (err) {
+        console.error(`❌ Error fetching invoice ${id}:`, err);
+        return res.status(500).json({ error: err.message });
+      }
+      
+      if (!invoice) {
+        console.log(`❌ Invoice ${id} not found`);
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+      
+      // Получаем продукты фактуры
+      db.all(
+        'SELECT * FROM invoice_products WHERE invoice_id = ? ORDER BY id',
+        [id],
+        (err, products) => {
+          if (err) {
+            console.error(`❌ Error fetching products for invoice ${id}:`, err);
+            return res.status(500).json({ error: err.message });
+          }
+          
+          console.log(`✅ Invoice ${id} fetched with ${products?.length || 0} products`);
+          attachCorrectionInfo(invoice)
+            .then((correctionInfo) => {
+              res.json({
+                ...invoice,
+                products: products || [],
+                ...correctionInfo
+              });
+            })
+            .catch((corrErr) => {
+              console.error(`❌ Error fetching corrections for invoice ${id}:`, corrErr);
+              res.status(500).json({ error: corrErr.message });
+            });
         }
+      );
+    }
+  );
+});
+
+// PDF фактуры VAT
+app.get('/api/invoices/:id/pdf', (req, res) => {
+  const { id } = req.params;
+  console.log(`🧾 GET /api/invoices/${id}/pdf - Generating invoice PDF`);
+
+  db.get(
+    `SELECT i.*, c.nazwa AS client_nazwa, c.firma AS client_firma, c.adres AS client_adres, c.nip AS client_nip,
+       c.vat_ue AS client_vat_ue, orig.numer_faktury AS korygowana_numer, orig.data_faktury AS korygowana_data
+     FROM invoices i
+     LEFT JOIN clients c ON c.id = i.client_id
+     LEFT JOIN invoices orig ON orig.id = i.korygowana_faktura_id
+     WHERE i.id = ?`,
+    [id],
+    (err, invoice) => {
+      if (err) {
+        console.error(`❌ Error fetching invoice ${id} for PDF:`, err);
+        return res.status(500).json({ error: err.message });
       }
-    });
-    
-    console.log(`📊 Extracted numbers: [${numbers.sort((a,b) => a-b).join(', ')}], max: ${maxNumber}`);
-    
-    const nextNumber = maxNumber + 1;
-    const numer_odpisania_only = `RW${nextNumber.toString().padStart(3, '0')}`;
-    console.log(`✅ Generated next write-off number: ${numer_odpisania_only}`);
-    res.json({ numer_odpisania: numer_odpisania_only });
+      if (!invoice) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+
+      db.all('SELECT * FROM invoice_products WHERE invoice_id = ? ORDER BY id', [id], (prodErr, products) => {
+        if (prodErr) {
+          console.error(`❌ Error fetching products for invoice ${id} PDF:`, prodErr);
+          return res.status(500).json({ error: prodErr.message });
+        }
+
+        const buyer = invoiceBuyer(invoice);
+        if (!buyer.nazwa) buyer.nazwa = invoice.client_nazwa || '';
+        generateInvoicePDF(invoice, products || [], buyer, res);
+      });
+    }
+  );
+});
+
+// ===== JPK (JPK_FA, JPK_V7M) =====
+
+// Faktury i korekty firmy за месяц вместе с позициями и данными nabywcy.
+// Dane sprzedawcy (вместе с kodem urzędu и адресными полями) — из kartoteki firmy
+async function loadJpkInvoices(companyId, dataOd, dataDo) {
+  const invoices = await dbAllAsync(
+    `SELECT i.id, i.numer_faktury, i.data_faktury, i.klient_nazwa,
+            i.klient_firma, i.klient_nip, i.klient_vat_ue, i.klient_adres,
+            COALESCE(i.typ_dokumentu, 'faktura') AS typ_dokumentu, i.przyczyna_korekty,
+            orig.numer_faktury AS korygowana_numer, orig.data_faktury AS korygowana_data,
+            c.firma AS client_firma, c.adres AS client_adres, c.nip AS client_nip, c.vat_ue AS client_vat_ue
+     FROM invoices i
+     LEFT JOIN clients c ON c.id = i.client_id
+     LEFT JOIN invoices orig ON orig.id = i.korygowana_faktura_id
+     WHERE i.company_id = ? AND date(i.data_faktury) BETWEEN date(?) AND date(?)
+     ORDER BY i.data_faktury ASC, i.id ASC`,
+    [companyId, dataOd, dataDo]
+  );
+  const products = invoices.length
+    ? await dbAllAsync(
+      `SELECT * FROM invoice_products WHERE invoice_id IN (${invoices.map(() => '?').join(',')}) ORDER BY id`,
+      invoices.map((inv) => inv.id)
+    )
+    : [];
+
+  return invoices.map((inv) => ({
+    ...inv,
+    nabywca: invoiceBuyer(inv),
+    products: products.filter((p) => p.invoice_id === inv.id),
+  }));
+}
+
+// GET /api/jpk/fa?rok=2026&miesiac=9, GET /api/jpk/v7m?rok=2026&miesiac=9
+app.get('/api/jpk/:rodzaj', async (req, res) => {
+  const { rodzaj } = req.params;
+  const rok = parseInt(req.query.rok, 10);
+  const miesiac = parseInt(req.query.miesiac, 10);
+  console.log(`🧾 GET /api/jpk/${rodzaj}`, { rok, miesiac });
+
+  if (rodzaj !== 'fa' && rodzaj !== 'v7m') {
+    return res.status(404).json({ error: 'Nieznany rodzaj JPK (dozwolone: fa, v7m)' });
+  }
+  if (!Number.isInteger(rok) || !Number.isInteger(miesiac) || miesiac < 1 || miesiac > 12) {
+    return res.status(400).json({ error: 'Wymagane parametry rok i miesiac (1–12)' });
+  }
+
+  const mm = String(miesiac).padStart(2, '0');
+  const dataOd = `${rok}-${mm}-01`;
+  const dataDo = `${rok}-${mm}-${String(new Date(rok, miesiac, 0).getDate()).padStart(2, '0')}`;
+
+  try {
+    const seller = await getCompanySellerDetails(req.companyId);
+    const invoices = await loadJpkInvoices(req.companyId, dataOd, dataDo);
+    const errors = validateJpkData({ seller, invoices }, rodzaj);
+    if (errors.length > 0) {
+      console.log(`⚠️ JPK ${rodzaj} ${rok}-${mm}: ${errors.length} validation errors`);
+      return res.status(422).json({ error: 'Dane nie przeszły walidacji JPK', errors });
+    }
+
+    const xml = rodzaj === 'fa'
+      ? buildJpkFa({ seller, invoices, dataOd, dataDo })
+      : buildJpkV7mSprzedaz({ seller, invoices, rok, miesiac });
+    const fileName = `${rodzaj === 'fa' ? 'JPK_FA' : 'JPK_V7M'}_${rok}_${mm}.xml`;
+
+    console.log(`✅ JPK ${rodzaj} ${rok}-${mm} generated: ${invoices.length} invoices`);
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(xml);
+  } catch (err) {
+    console.error(`❌ Error generating JPK ${rodzaj}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===== KSeF (FA (2)) =====
+
+// Статусы, при которых документ уже ушёл (или уходит) в KSeF
+const KSEF_ACTIVE_STATUSES = [KSEF_STATUS.DO_WYSLANIA, KSEF_STATUS.WYSLANA, KSEF_STATUS.PRZYJETA];
+
+function getKsefTransport() {
+  const name = process.env.KSEF_TRANSPORT || 'http';
+  return createKsefTransport(name, {
+    url: process.env.KSEF_API_URL,
+    token: process.env.KSEF_TOKEN,
   });
+}
+
+// FA (2) XML для фактуры; errors — список проблем валидации (тогда xml = null)
+async function buildInvoiceKsefXml(invoiceId) {
+  const invoice = await dbGetAsync(
+    `SELECT i.*, c.firma AS client_firma, c.adres AS client_adres, c.nip AS client_nip, c.vat_ue AS client_vat_ue,
+            orig.numer_faktury AS korygowana_numer, orig.data_faktury AS korygowana_data,
+            (SELECT s.numer_ksef FROM ksef_submissions s
+             WHERE s.invoice_id = orig.id AND s.status = ?
+             ORDER BY s.id DESC LIMIT 1) AS korygowana_numer_ksef
+     FROM invoices i
+     LEFT JOIN clients c ON c.id = i.client_id
+     LEFT JOIN invoices orig ON orig.id = i.korygowana_faktura_id
+     WHERE i.id = ?`,
+    [KSEF_STATUS.PRZYJETA, invoiceId]
+  );
+  if (!invoice) return null;
+
+  const [products, correctionLines] = await Promise.all([
+    dbAllAsync('SELECT * FROM invoice_products WHERE invoice_id = ? ORDER BY id', [invoiceId]),
+    dbAllAsync('SELECT * FROM invoice_correction_lines WHERE correction_id = ? ORDER BY id', [invoiceId]),
+  ]);
+  const seller = await getCompanySellerDetails(invoice.company_id);
+  const buyer = invoiceBuyer(invoice);
+
+  const errors = validateFa2Data({ seller, invoice, products, buyer });
+  const xml = errors.length === 0
+    ? buildFa2Xml({ seller, invoice, products, correctionLines, buyer })
+    : null;
+  return { invoice, xml, errors };
+}
+
+let ksefQueueRunning = false;
+
+// Отправляет документы do_wysłania и опрашивает статус wysłanych.
+// Ошибка транспорта не отклоняет документ — он остаётся в очереди до следующей попытки.
+async function processKsefQueue() {
+  if (ksefQueueRunning) {
+    return { skipped: true };
+  }
+  ksefQueueRunning = true;
+  const summary = { wyslane: 0, przyjete: 0, odrzucone: 0, bledy: 0 };
+  try {
+    const transport = getKsefTransport();
+
+    const pending = await dbAllAsync(
+      `SELECT s.id, s.xml, i.numer_faktury FROM ksef_submissions s
+       JOIN invoices i ON i.id = s.invoice_id
+       WHERE s.status = ? ORDER BY s.id`,
+      [KSEF_STATUS.DO_WYSLANIA]
+    );
+    for (const item of pending) {
+      try {
+        const { referenceNumber } = await transport.send(item.xml, { numerFaktury: item.numer_faktury });
+        await dbRunAsync(
+          `UPDATE ksef_submissions
+           SET status = ?, numer_referencyjny = ?, transport = ?, blad = NULL, proby = proby + 1,
+               wyslano_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [KSEF_STATUS.WYSLANA, referenceNumber, transport.name, item.id]
+        );
+        summary.wyslane += 1;
+        console.log(`📤 KSeF: ${item.numer_faktury} sent, ref ${referenceNumber}`);
+      } catch (sendErr) {
+        await dbRunAsync(
+          'UPDATE ksef_submissions SET blad = ?, proby = proby + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [sendErr.message, item.id]
+        );
+        summary.bledy += 1;
+        console.error(`❌ KSeF: error sending ${item.numer_faktury}:`, sendErr.message);
+      }
+    }
+
+    const sent = await dbAllAsync(
+      'SELECT id, numer_referencyjny FROM ksef_submissions WHERE status = ? ORDER BY id',
+      [KSEF_STATUS.WYSLANA]
+    );
+    for (const item of sent) {
+      try {
+        const result = await transport.checkStatus(item.numer_referencyjny);
+        if (result.status === KSEF_STATUS.WYSLANA) continue;
+        await dbRunAsync(
+          'UPDATE ksef_submissions SET status = ?, numer_ksef = ?, blad = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [result.status, result.numerKsef, result.message, item.id]
+        );
+        if (result.status === KSEF_STATUS.PRZYJETA) summary.przyjete += 1;
+        if (result.status === KSEF_STATUS.ODRZUCONA) summary.odrzucone += 1;
+      } catch (statusErr) {
+        summary.bledy += 1;
+        console.error(`❌ KSeF: error checking ${item.numer_referencyjny}:`, statusErr.message);
+      }
+    }
+    return summary;
+  } finally {
+    ksefQueueRunning = false;
+  }
+}
+
+app.get('/api/invoices/:id/ksef/xml', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await buildInvoiceKsefXml(id);
+    if (!result) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (result.errors.length > 0) {
+      return res.status(422).json({ error: 'Faktura nie przeszła walidacji FA (2)', errors: result.errors });
+    }
+    const fileName = `${result.invoice.numer_faktury.replace(/\//g, '_')}_FA2.xml`;
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(result.xml);
+  } catch (err) {
+    console.error(`❌ Error generating FA (2) XML for invoice ${id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/invoices/:id/ksef', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const submissions = await dbAllAsync(
+      `SELECT id, invoice_id, status, transport, numer_referencyjny, numer_ksef, blad, proby, wyslano_at, created_at, updated_at
+       FROM ksef_submissions WHERE invoice_id = ? ORDER BY id DESC`,
+      [id]
+    );
+    res.json(submissions);
+  } catch (err) {
+    console.error(`❌ Error fetching KSeF submissions for invoice ${id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Постановка фактуры в очередь KSeF
+app.post('/api/invoices/:id/ksef', async (req, res) => {
+  const { id } = req.params;
+  console.log(`📨 POST /api/invoices/${id}/ksef - Queueing invoice for KSeF`);
+  try {
+    const active = await dbGetAsync(
+      `SELECT id, status FROM ksef_submissions
+       WHERE invoice_id = ? AND status IN (${KSEF_ACTIVE_STATUSES.map(() => '?').join(',')})
+       LIMIT 1`,
+      [id, ...KSEF_ACTIVE_STATUSES]
+    );
+    if (active) {
+      return res.status(409).json({ error: `Faktura jest już w KSeF (status: ${active.status})` });
+    }
+
+    const result = await buildInvoiceKsefXml(id);
+    if (!result) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (result.errors.length > 0) {
+      return res.status(422).json({ error: 'Faktura nie przeszła walidacji FA (2)', errors: result.errors });
+    }
+
+    const { lastID } = await dbRunAsync(
+      'INSERT INTO ksef_submissions (invoice_id, status, xml) VALUES (?, ?, ?)',
+      [id, KSEF_STATUS.DO_WYSLANIA, result.xml]
+    );
+    console.log(`✅ Invoice ${result.invoice.numer_faktury} queued for KSeF (submission ${lastID})`);
+    res.json({ id: lastID, invoice_id: Number(id), status: KSEF_STATUS.DO_WYSLANIA });
+  } catch (err) {
+    console.error(`❌ Error queueing invoice ${id} for KSeF:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/ksef/queue', async (req, res) => {
+  const { status } = req.query;
+  try {
+    const rows = await dbAllAsync(
+      `SELECT s.id, s.invoice_id, s.status, s.transport, s.numer_referencyjny, s.numer_ksef, s.blad, s.proby,
+              s.wyslano_at, s.created_at, s.updated_at, i.numer_faktury, i.klient_nazwa, i.data_faktury
+       FROM ksef_submissions s
+       JOIN invoices i ON i.id = s.invoice_id
+       ${status ? 'WHERE s.status = ?' : ''}
+       ORDER BY s.id DESC`,
+      status ? [status] : []
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Error fetching KSeF queue:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Endpoint для получения следующего номера przychodu
-app.get('/api/przychod/next-number-only', (req, res) => {
-  console.log('🔢 GET /api/przychod/next-number-only - Generating next przychód number');
-  
-  // Получаем все номера przychodów для поиска максимального номера (префикс PW)
-  db.all('SELECT numer_zamowienia FROM orders WHERE typ = ? AND numer_zamowienia LIKE ?', ['przychod', 'PW%'], (err, allRows) => {
-    if (err) {
-      console.error('❌ Error finding max przychód number:', err);
-      return res.status(500).json({ error: err.message });
+app.post('/api/ksef/queue/process', async (req, res) => {
+  console.log('📨 POST /api/ksef/queue/process');
+  try {
+    const summary = await processKsefQueue();
+    if (summary.skipped) {
+      return res.status(409).json({ error: 'Kolejka KSeF jest właśnie przetwarzana' });
     }
-    
-    console.log(`📋 Found ${allRows.length} przychodów with PW% pattern`);
-    
-    // Извлекаем числовую часть из каждого номера и находим максимум
-    let maxNumber = 0;
-    const numbers = [];
-    allRows.forEach(row => {
-      const match = row.numer_zamowienia.match(/^PW(\d+)/);
-      if (match) {
-        const num = parseInt(match[1], 10);
-        numbers.push(num);
-        if (num > maxNumber) {
-          maxNumber = num;
-        }
-      }
-    });
-    
-    console.log(`📊 Extracted numbers: [${numbers.sort((a,b) => a-b).join(', ')}], max: ${maxNumber}`);
-    
-    const nextNumber = maxNumber + 1;
-    const numer_przychodu_only = `PW${nextNumber.toString().padStart(3, '0')}`;
-    console.log(`✅ Generated next przychód number: ${numer_przychodu_only}`);
-    res.json({ numer_przychodu: numer_przychodu_only });
-  });
+    res.json(summary);
+  } catch (err) {
+    console.error('❌ Error processing KSeF queue:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// ===== INVOICES ROUTES =====
-// Список всех фактур (для вкладки Faktury)
-app.get('/api/invoices', (req, res) => {
-  console.log('📋 GET /api/invoices - Fetching all invoices');
-  db.all(
-    'SELECT id, numer_faktury, data_faktury, termin_platnosci, klient_nazwa, suma_netto, suma_vat, suma_brutto, rabat_suma FROM invoices ORDER BY data_faktury DESC, id DESC',
-    (err, rows) => {
-      if (err) {
-        console.error('❌ Error fetching invoices:', err);
-        return res.status(500).json({ error: err.message });
-      }
-      res.json(rows || []);
+// Повторная отправка odrzuconej faktury — XML собирается заново (данные могли быть исправлены)
+app.post('/api/ksef/queue/:id/retry', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const submission = await dbGetAsync('SELECT * FROM ksef_submissions WHERE id = ?', [id]);
+    if (!submission) {
+      return res.status(404).json({ error: 'Wysyłka KSeF nie znaleziona' });
     }
-  );
+    if (submission.status !== KSEF_STATUS.ODRZUCONA) {
+      return res.status(409).json({ error: 'Ponowić można tylko odrzuconą wysyłkę' });
+    }
+    const result = await buildInvoiceKsefXml(submission.invoice_id);
+    if (!result) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (result.errors.length > 0) {
+      return res.status(422).json({ error: 'Faktura nie przeszła walidacji FA (2)', errors: result.errors });
+    }
+    await dbRunAsync(
+      `UPDATE ksef_submissions
+       SET status = ?, xml = ?, numer_referencyjny = NULL, numer_ksef = NULL, blad = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [KSEF_STATUS.DO_WYSLANIA, result.xml, id]
+    );
+    res.json({ id: Number(id), status: KSEF_STATUS.DO_WYSLANIA });
+  } catch (err) {
+    console.error(`❌ Error retrying KSeF submission ${id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Следующий номер faktury: серия по data_faktury (не по data utworzenia / created_at).
-app.get('/api/invoices/next-number-only', (req, res) => {
-  console.log('🔢 GET /api/invoices/next-number-only - Next invoice number', req.query);
-  db.all('SELECT numer_faktury, data_faktury FROM invoices', (err, rows) => {
-    if (err) {
-      console.error('❌ Error getting next invoice number:', err);
-      return res.status(500).json({ error: err.message });
+// Автоматическая обработка очереди, если задан KSEF_QUEUE_INTERVAL_MINUTES
+const ksefQueueIntervalMinutes = parseInt(process.env.KSEF_QUEUE_INTERVAL_MINUTES, 10);
+if (ksefQueueIntervalMinutes > 0) {
+  setInterval(() => {
+    processKsefQueue().catch((err) => console.error('❌ KSeF queue error:', err.message));
+  }, ksefQueueIntervalMinutes * 60 * 1000);
+}
+
+// ===== FAKTURY KORYGUJĄCE =====
+
+// Текущее состояние позиций faktury с учётом всех korekt: позиции "po" последней
+// korekty в цепочке или, если korekt нет, позиции самой faktury.
+async function getInvoiceEffectiveLines(invoiceId) {
+  const lastCorrection = await dbGetAsync(
+    `SELECT id FROM invoices
+     WHERE korygowana_faktura_id = ? AND typ_dokumentu = 'korekta'
+     ORDER BY id DESC LIMIT 1`,
+    [invoiceId]
+  );
+
+  if (!lastCorrection) {
+    const products = await dbAllAsync('SELECT * FROM invoice_products WHERE invoice_id = ? ORDER BY id', [invoiceId]);
+    return products.map((p) => ({
+      pozycja: `p${p.id}`,
+      kod: p.kod || '',
+      nazwa: p.nazwa || '',
+      ilosc: p.ilosc || 0,
+      cena_netto: p.cena_netto || 0,
+      rabat: p.rabat || 0,
+      vat_stawka: p.vat_stawka,
+      jednostka: p.jednostka || 'szt.',
+      wartosc_netto: p.wartosc_netto || 0,
+      wartosc_vat: p.wartosc_vat || 0,
+      wartosc_brutto: p.wartosc_brutto || 0,
+    }));
+  }
+
+  const lines = await dbAllAsync(
+    'SELECT * FROM invoice_correction_lines WHERE correction_id = ? AND ilosc_po != 0 ORDER BY id',
+    [lastCorrection.id]
+  );
+  return lines.map((l) => ({
+    pozycja: l.pozycja,
+    kod: l.kod || '',
+    nazwa: l.nazwa || '',
+    ilosc: l.ilosc_po,
+    cena_netto: l.cena_netto_po,
+    rabat: l.rabat_po,
+    vat_stawka: l.vat_stawka_po,
+    jednostka: l.jednostka || 'szt.',
+    wartosc_netto: l.wartosc_netto_po,
+    wartosc_vat: l.wartosc_vat_po,
+    wartosc_brutto: l.wartosc_brutto_po,
+  }));
+}
+
+// Цепочка korekt к фактуре (в порядке выставления)
+function getInvoiceCorrectionChain(invoiceId) {
+  return dbAllAsync(
+    `SELECT id, numer_faktury, data_faktury, przyczyna_korekty, suma_netto, suma_vat, suma_brutto
+     FROM invoices
+     WHERE korygowana_faktura_id = ? AND typ_dokumentu = 'korekta'
+     ORDER BY id ASC`,
+    [invoiceId]
+  );
+}
+
+// Данные о цепочке korekt для GET /api/invoices/:id: для faktury — список korekt,
+// для korekty — korygowana faktura, вся цепочка и позиции przed/po.
+async function attachCorrectionInfo(invoice) {
+  if (invoice.typ_dokumentu === 'korekta' && invoice.korygowana_faktura_id) {
+    const [korygowana, korekty, correctionLines] = await Promise.all([
+      dbGetAsync('SELECT id, numer_faktury, data_faktury FROM invoices WHERE id = ?', [invoice.korygowana_faktura_id]),
+      getInvoiceCorrectionChain(invoice.korygowana_faktura_id),
+      dbAllAsync('SELECT * FROM invoice_correction_lines WHERE correction_id = ? ORDER BY id', [invoice.id]),
+    ]);
+    return { korygowana_faktura: korygowana || null, korekty, correction_lines: correctionLines };
+  }
+  const korekty = await getInvoiceCorrectionChain(invoice.id);
+  return { korygowana_faktura: null, korekty, correction_lines: [] };
+}
+
+// Стан pozycji faktury po wszystkich korektach (podstawa do kolejnej korekty)
+app.get('/api/invoices/:id/stan-po-korektach', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const invoice = await dbGetAsync('SELECT id, typ_dokumentu FROM invoices WHERE id = ?', [id]);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
     }
+    const lines = await getInvoiceEffectiveLines(invoice.id);
+    res.json({ invoice_id: invoice.id, products: lines });
+  } catch (err) {
+    console.error(`❌ Error fetching effective lines for invoice ${id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const parseDateParts = (dateStr) => {
-      const match = String(dateStr || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
-      if (!match) return null;
-      return { year: parseInt(match[1], 10), month: parseInt(match[2], 10) };
-    };
+// Wystawienie faktury korygującej do faktury :id.
+// products — stan pozycji PO korekcie; pozycja wskazuje korygowaną pozycję,
+// pozycje bez klucza są nowe, a pozycje pominięte — zerowane (ilość po = 0).
+app.post('/api/invoices/:id/korekty', auditTrail('invoice', loadInvoiceAuditSnapshot, {
+  resolveIds: (req, body) => body && body.id,
+}), async (req, res) => {
+  const { id } = req.params;
+  const { data_faktury, numer_faktury, przyczyna_korekty, products } = req.body;
+  console.log(`🧾 POST /api/invoices/${id}/korekty - Creating correction invoice`);
+
+  if (!data_faktury || !String(przyczyna_korekty || '').trim() || !Array.isArray(products)) {
+    return res.status(400).json({ error: 'Wymagane: data_faktury, przyczyna_korekty i tablica products' });
+  }
 
-    // Месяц/год целевой серии — из data_faktury в запросе (поле «Data faktury» в форме)
-    let targetMonth;
-    let targetYear;
-    const dataFakturyParam = req.query.data_faktury;
-    const targetParts = dataFakturyParam ? parseDateParts(dataFakturyParam) : null;
-    if (targetParts) {
-      targetYear = targetParts.year;
-      targetMonth = targetParts.month;
+  try {
+    const original = await dbGetAsync('SELECT * FROM invoices WHERE id = ?', [id]);
+    if (!original) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (original.typ_dokumentu === 'korekta') {
+      return res.status(400).json({ error: 'Korektę wystawia się do faktury pierwotnej, nie do korekty' });
     }
-    if (!targetMonth || !targetYear) {
-      const now = new Date();
-      targetMonth = now.getMonth() + 1;
-      targetYear = now.getFullYear();
+
+    const before = await getInvoiceEffectiveLines(original.id);
+    const lines = planInvoiceCorrection(before, products);
+    if (!lines.some(isCorrectionLineChanged)) {
+      return res.status(400).json({ error: 'Korekta nie zawiera żadnych zmian' });
     }
 
-    // Максимальный порядковый номер среди faktur с той же data_faktury (mm/yyyy)
-    let maxNum = 0;
-    (rows || []).forEach((r) => {
-      const str = (r.numer_faktury || '').trim();
-      const numMatch = str.match(/^FS\/(\d+)\/(\d{2})\/(\d{4})$/i);
-      if (!numMatch) return;
+    const sum = (field) => roundMoney(lines.reduce((acc, line) => acc + line.delta[field], 0));
+    const numer = String(numer_faktury || '').trim()
+      || (await getNextInvoiceNumber('korekta', original.company_id, data_faktury)).numer;
+
+    const correctionId = await runInTransaction(async () => {
+      const { lastID } = await dbRunAsync(
+        `INSERT INTO invoices (
+          numer_faktury, data_faktury, order_id, numer_zamowienia, termin_platnosci, client_id,
+          klient_nazwa, klient_firma, klient_nip, klient_vat_ue, klient_adres, adres_dostawy,
+          suma_netto, suma_vat, suma_brutto, rabat_suma, forma_platnosci,
+          typ_dokumentu, korygowana_faktura_id, przyczyna_korekty, company_id
+        ) VALUES (?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'korekta', ?, ?, ?)`,
+        [
+          numer,
+          data_faktury,
+          original.numer_zamowienia || null,
+          original.termin_platnosci || null,
+          original.client_id,
+          original.klient_nazwa,
+          original.klient_firma,
+          original.klient_nip || null,
+          original.klient_vat_ue || null,
+          original.klient_adres || null,
+          original.adres_dostawy || null,
+          sum('wartosc_netto'),
+          sum('wartosc_vat'),
+          sum('wartosc_brutto'),
+          sum('rabat_kwota'),
+          original.forma_platnosci || 'przelew',
+          original.id,
+          String(przyczyna_korekty).trim(),
+          original.company_id,
+        ]
+      );
 
-      const seq = parseInt(numMatch[1], 10);
-      const dateParts = parseDateParts(r.data_faktury);
-      const invoiceMonth = dateParts ? dateParts.month : parseInt(numMatch[2], 10);
-      const invoiceYear = dateParts ? dateParts.year : parseInt(numMatch[3], 10);
+      for (const line of assignCorrectionPozycje(lines, lastID)) {
+        await dbRunAsync(
+          `INSERT INTO invoice_correction_lines (
+            correction_id, pozycja, kod, nazwa, jednostka,
+            ilosc_przed, cena_netto_przed, rabat_przed, vat_stawka_przed,
+            wartosc_netto_przed, wartosc_vat_przed, wartosc_brutto_przed,
+            ilosc_po, cena_netto_po, rabat_po, vat_stawka_po,
+            wartosc_netto_po, wartosc_vat_po, wartosc_brutto_po,
+            ilosc_roznica, cena_netto_roznica, wartosc_netto_roznica, wartosc_vat_roznica, wartosc_brutto_roznica
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            lastID, line.pozycja, line.kod, line.nazwa, line.jednostka,
+            line.before.ilosc || 0, line.before.cena_netto || 0, line.before.rabat || 0, line.before.vat_stawka ?? line.after.vat_stawka,
+            line.before.wartosc_netto || 0, line.before.wartosc_vat || 0, line.before.wartosc_brutto || 0,
+            line.after.ilosc, line.after.cena_netto, line.after.rabat, line.after.vat_stawka,
+            line.after.wartosc_netto, line.after.wartosc_vat, line.after.wartosc_brutto,
+            line.delta.ilosc, line.delta.cena_netto, line.delta.wartosc_netto, line.delta.wartosc_vat, line.delta.wartosc_brutto,
+          ]
+        );
 
-      if (invoiceYear === targetYear && invoiceMonth === targetMonth && seq > maxNum) {
-        maxNum = seq;
+        // В invoice_products korekty — только разницы, чтобы суммы продаж по фактурам
+        // (sales-by-invoices, списки) оставались корректными без учёта цепочки.
+        if (!isCorrectionLineChanged(line)) continue;
+        // Для usuniętej pozycji (ilość po = 0) цена/ставка берутся из состояния przed
+        const priceSource = line.after.ilosc !== 0 ? line.after : line.before;
+        await dbRunAsync(
+          `INSERT INTO invoice_products (
+            invoice_id, kod, nazwa, ilosc, cena_netto, rabat, vat_stawka,
+            wartosc_netto, wartosc_vat, wartosc_brutto, order_product_id, jednostka
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?)`,
+          [
+            lastID, line.kod, line.nazwa, line.delta.ilosc, priceSource.cena_netto || 0, priceSource.rabat || 0, priceSource.vat_stawka,
+            line.delta.wartosc_netto, line.delta.wartosc_vat, line.delta.wartosc_brutto, line.jednostka,
+          ]
+        );
       }
+      return lastID;
     });
 
-    const nextNum = maxNum + 1;
-    const mm = targetMonth.toString().padStart(2, '0');
-    const numer_faktury = `FS/${nextNum}/${mm}/${targetYear}`;
-    console.log(`✅ Next invoice number: ${numer_faktury} (data_faktury month: ${mm}/${targetYear}, max was: ${maxNum})`);
-    res.json({ numer_faktury });
+    console.log(`✅ Correction invoice created: id=${correctionId} ${numer} → ${original.numer_faktury}`);
+    res.json({ id: correctionId, numer_faktury: numer, korygowana_faktura_id: original.id });
+  } catch (err) {
+    console.error(`❌ Error creating correction for invoice ${id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===== PŁATNOŚCI I NALEŻNOŚCI =====
+
+// Należność faktury = brutto + suma korekt; zapłacono = suma wpłat.
+const INVOICE_RECEIVABLE_COLUMNS = `
+  i.suma_brutto + COALESCE(
+    (SELECT SUM(k.suma_brutto) FROM invoices k WHERE k.korygowana_faktura_id = i.id), 0
+  ) AS naleznosc,
+  COALESCE((SELECT SUM(p.kwota) FROM invoice_payments p WHERE p.invoice_id = i.id), 0) AS zaplacono
+`;
+
+function withPaymentStatus(row, today = getTodayDateString()) {
+  if (row.typ_dokumentu === 'korekta') {
+    return { ...row, status_platnosci: null, naleznosc: null, zaplacono: null, pozostalo: null };
+  }
+  const status = computePaymentStatus({
+    naleznosc: row.naleznosc,
+    zaplacono: row.zaplacono,
+    terminPlatnosci: row.termin_platnosci,
+    today,
   });
+  return {
+    ...row,
+    status_platnosci: status.status,
+    naleznosc: status.naleznosc,
+    zaplacono: status.zaplacono,
+    pozostalo: status.pozostalo,
+    dni_po_terminie: status.pozostalo > 0 ? daysPastDue(row.termin_platnosci, today) : 0,
+  };
+}
+
+// Faktury pierwotne z należnością i statusem płatności (opcjonalnie dla jednego klienta)
+async function fetchReceivables(companyId, clientId) {
+  const params = [companyId];
+  let where = "i.company_id = ? AND COALESCE(i.typ_dokumentu, 'faktura') <> 'korekta'";
+  if (clientId) {
+    where += ' AND i.client_id = ?';
+    params.push(clientId);
+  }
+  const rows = await dbAllAsync(
+    `SELECT i.id, i.numer_faktury, i.data_faktury, i.termin_platnosci, i.client_id, i.klient_nazwa,
+            i.suma_brutto, COALESCE(i.typ_dokumentu, 'faktura') AS typ_dokumentu,
+            ${INVOICE_RECEIVABLE_COLUMNS}
+     FROM invoices i
+     WHERE ${where}
+     ORDER BY i.termin_platnosci ASC, i.id ASC`,
+    params
+  );
+  const today = getTodayDateString();
+  return rows.map((row) => withPaymentStatus(row, today));
+}
+
+// Faktura, do której księgujemy wpłatę: dla korekty — faktura pierwotna
+async function resolvePaymentInvoice(invoiceId) {
+  const invoice = await dbGetAsync('SELECT id, typ_dokumentu, korygowana_faktura_id FROM invoices WHERE id = ?', [invoiceId]);
+  if (!invoice) return null;
+  if (invoice.typ_dokumentu === 'korekta' && invoice.korygowana_faktura_id) {
+    return invoice.korygowana_faktura_id;
+  }
+  return invoice.id;
+}
+
+async function getInvoicePaymentSummary(invoiceId) {
+  const [row, payments] = await Promise.all([
+    dbGetAsync(
+      `SELECT i.id, i.termin_platnosci, COALESCE(i.typ_dokumentu, 'faktura') AS typ_dokumentu, ${INVOICE_RECEIVABLE_COLUMNS}
+       FROM invoices i WHERE i.id = ?`,
+      [invoiceId]
+    ),
+    dbAllAsync('SELECT * FROM invoice_payments WHERE invoice_id = ? ORDER BY data_platnosci ASC, id ASC', [invoiceId]),
+  ]);
+  const summary = withPaymentStatus(row);
+  return {
+    invoice_id: invoiceId,
+    status_platnosci: summary.status_platnosci,
+    naleznosc: summary.naleznosc,
+    zaplacono: summary.zaplacono,
+    pozostalo: summary.pozostalo,
+    payments,
+  };
+}
+
+app.get('/api/invoices/:id/payments', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const paymentInvoiceId = await resolvePaymentInvoice(id);
+    if (!paymentInvoiceId) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    res.json(await getInvoicePaymentSummary(paymentInvoiceId));
+  } catch (err) {
+    console.error(`❌ Error fetching payments for invoice ${id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Получение деталей конкретной фактуры с продуктами
-app.get('/api/invoices/:id', (req, res) => {
+app.post('/api/invoices/:id/payments', auditTrail('invoice', loadInvoiceAuditSnapshot, { action: AUDIT_ACTIONS.PAYMENT }), async (req, res) => {
   const { id } = req.params;
-  console.log(`📋 GET /api/invoices/${id} - Fetching invoice details`);
-  
-  // Получаем данные фактуры
-  db.get(
-    'SELECT * FROM invoices WHERE id = ?',
-    [id],
-    (err, invoice) => {
-      if (err) {
-        console.error(`❌ Error fetching invoice ${id}:`, err);
-        return res.status(500).json({ error: err.message });
-      }
-      
-      if (!invoice) {
-        console.log(`❌ Invoice ${id} not found`);
-        return res.status(404).json({ error: 'Invoice not found' });
-      }
-      
-      // Получаем продукты фактуры
-      db.all(
-        'SELECT * FROM invoice_products WHERE invoice_id = ? ORDER BY id',
-        [id],
-        (err, products) => {
-          if (err) {
-            console.error(`❌ Error fetching products for invoice ${id}:`, err);
-            return res.status(500).json({ error: err.message });
-          }
-          
-          console.log(`✅ Invoice ${id} fetched with ${products?.length || 0} products`);
-          res.json({
-            ...invoice,
-            products: products || []
-          });
-        }
-      );
+  const { kwota, data_platnosci, metoda, uwagi } = req.body;
+  console.log(`💳 POST /api/invoices/${id}/payments`, { kwota, data_platnosci, metoda });
+
+  const amount = roundMoney(parseFloat(String(kwota == null ? '' : kwota).replace(',', '.')));
+  if (!Number.isFinite(amount) || amount === 0) {
+    return res.status(400).json({ error: 'Kwota płatności musi być liczbą różną od zera' });
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data_platnosci || ''))) {
+    return res.status(400).json({ error: 'Wymagana data_platnosci w formacie RRRR-MM-DD' });
+  }
+  const method = String(metoda || 'przelew').trim().toLowerCase();
+  if (!PAYMENT_METHODS.includes(method)) {
+    return res.status(400).json({ error: `Nieznana metoda płatności. Dozwolone: ${PAYMENT_METHODS.join(', ')}` });
+  }
+
+  try {
+    const paymentInvoiceId = await resolvePaymentInvoice(id);
+    if (!paymentInvoiceId) {
+      return res.status(404).json({ error: 'Invoice not found' });
     }
-  );
+    const { lastID } = await dbRunAsync(
+      'INSERT INTO invoice_payments (invoice_id, kwota, data_platnosci, metoda, uwagi) VALUES (?, ?, ?, ?, ?)',
+      [paymentInvoiceId, amount, data_platnosci, method, uwagi || null]
+    );
+    console.log(`✅ Payment ${lastID} recorded for invoice ${paymentInvoiceId}: ${amount} zł`);
+    res.json({ id: lastID, ...(await getInvoicePaymentSummary(paymentInvoiceId)) });
+  } catch (err) {
+    console.error(`❌ Error recording payment for invoice ${id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/invoice-payments/:id', auditTrail('invoice', loadInvoiceAuditSnapshot, {
+  action: AUDIT_ACTIONS.PAYMENT,
+  resolveIds: findPaymentInvoiceAuditId,
+}), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const payment = await dbGetAsync('SELECT invoice_id FROM invoice_payments WHERE id = ?', [id]);
+    if (!payment) {
+      return res.status(404).json({ error: 'Płatność nie znaleziona' });
+    }
+    await dbRunAsync('DELETE FROM invoice_payments WHERE id = ?', [id]);
+    console.log(`✅ Payment ${id} deleted (invoice ${payment.invoice_id})`);
+    res.json(await getInvoicePaymentSummary(payment.invoice_id));
+  } catch (err) {
+    console.error(`❌ Error deleting payment ${id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Przeterminowane należności pogrupowane po klientach
+app.get('/api/receivables/overdue', async (req, res) => {
+  const clientId = parseClientId(req.query.client_id);
+  try {
+    const overdue = (await fetchReceivables(req.companyId, clientId))
+      .filter((inv) => inv.status_platnosci === PAYMENT_STATUS.PO_TERMINIE);
+
+    const byClient = new Map();
+    overdue.forEach((inv) => {
+      const key = inv.client_id != null ? `id:${inv.client_id}` : `n:${inv.klient_nazwa || ''}`;
+      if (!byClient.has(key)) {
+        byClient.set(key, { client_id: inv.client_id, klient_nazwa: inv.klient_nazwa, pozostalo: 0, invoices: [] });
+      }
+      const group = byClient.get(key);
+      group.pozostalo = roundMoney(group.pozostalo + inv.pozostalo);
+      group.invoices.push(inv);
+    });
+
+    res.json(Array.from(byClient.values()).sort((a, b) => b.pozostalo - a.pozostalo));
+  } catch (err) {
+    console.error('❌ Error fetching overdue receivables:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Wiekowanie należności: 0–30 / 31–60 / 61–90 / 90+ dni po terminie
+app.get('/api/receivables/aging', async (req, res) => {
+  const clientId = parseClientId(req.query.client_id);
+  try {
+    const receivables = await fetchReceivables(req.companyId, clientId);
+    res.json(buildAgingReport(receivables, getTodayDateString()));
+  } catch (err) {
+    console.error('❌ Error building aging report:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Создание фактуры и позиций
-app.post('/api/invoices', (req, res) => {
+app.post('/api/invoices', requireAlcoholLicence(invoiceLicenceRequest), auditTrail('invoice', loadInvoiceAuditSnapshot), (req, res) => {
   const {
     data_faktury,
     numer_faktury,
@@ -4791,13 +7824,15 @@ app.post('/api/invoices', (req, res) => {
     order_id,
     numer_zamowienia,
     termin_platnosci,
+    adres_dostawy,
     products,
     przesuniecie_products,
     komis_deductions,
     suma_netto,
     suma_vat,
     total: suma_brutto,
-    rabat_suma
+    rabat_suma,
+    forma_platnosci
   } = req.body;
 
   if (!data_faktury || !numer_faktury || !klient || !products || !Array.isArray(products) || products.length === 0) {
@@ -4811,6 +7846,10 @@ app.post('/api/invoices', (req, res) => {
   if (isNaN(totalBrutto) || isNaN(totalNetto) || isNaN(totalVat)) {
     return res.status(400).json({ error: 'suma_netto, suma_vat i total muszą być liczbami' });
   }
+  const formaPlatnosci = String(forma_platnosci || 'przelew').trim().toLowerCase();
+  if (!PAYMENT_METHODS.includes(formaPlatnosci)) {
+    return res.status(400).json({ error: `Nieznana forma płatności. Dozwolone: ${PAYMENT_METHODS.join(', ')}` });
+  }
 
   resolveInvoiceClient({ order_id, klient }, (lookupErr, clientResult) => {
     if (lookupErr) {
@@ -4824,6 +7863,8 @@ app.post('/api/invoices', (req, res) => {
     const client_id = clientResult.clientId;
     const klient_nazwa = clientResult.klientName;
     const klient_firma = clientResult.klientFirma;
+    // Termin płatności по умолчанию — из карточки клиента
+    const terminPlatnosci = termin_platnosci || addDaysToDateString(data_faktury, clientResult.terminPlatnosciDni);
     console.log(
       `🔍 Invoice client resolved${order_id ? ` from order ${order_id}` : ' by name'}: client_id=${client_id}, klient="${klient_nazwa}"`
     );
@@ -4831,21 +7872,28 @@ app.post('/api/invoices', (req, res) => {
     db.run(
       `INSERT INTO invoices (
         numer_faktury, data_faktury, order_id, numer_zamowienia, termin_platnosci, client_id,
-        klient_nazwa, klient_firma, suma_netto, suma_vat, suma_brutto, rabat_suma
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        klient_nazwa, klient_firma, klient_nip, klient_vat_ue, klient_adres, adres_dostawy,
+        suma_netto, suma_vat, suma_brutto, rabat_suma, forma_platnosci, company_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         numer_faktury,
         data_faktury,
         order_id || null,
         numer_zamowienia || null,
-        termin_platnosci || null,
+        terminPlatnosci || null,
         client_id,
         klient_nazwa,
         klient_firma,
+        clientResult.klientNip,
+        clientResult.klientVatUe,
+        clientResult.klientAdres,
+        adres_dostawy || clientResult.adresDostawy,
         totalNetto,
         totalVat,
         totalBrutto,
-        totalRabat
+        totalRabat,
+        formaPlatnosci,
+        req.companyId
       ],
       function (runErr) {
         if (runErr) {
@@ -4874,8 +7922,8 @@ app.post('/api/invoices', (req, res) => {
           db.run(
             `INSERT INTO invoice_products (
               invoice_id, kod, nazwa, ilosc, cena_netto, rabat, vat_stawka,
-              wartosc_netto, wartosc_vat, wartosc_brutto, order_product_id
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+              wartosc_netto, wartosc_vat, wartosc_brutto, order_product_id, jednostka
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
               invoiceId,
               p.kod || '',
@@ -4887,7 +7935,8 @@ app.post('/api/invoices', (req, res) => {
               Math.round(wartosc_netto * 100) / 100,
               Math.round(wartosc_vat * 100) / 100,
               Math.round(wartosc_brutto * 100) / 100,
-              null
+              null,
+              String(p.jednostka || '').trim() || 'szt.'
             ],
             (prodErr) => {
               if (hasError) return;
@@ -4996,8 +8045,8 @@ app.post('/api/invoices', (req, res) => {
         const laczna = items.reduce((s, p) => s + Math.round(parseFloat(p.ilosc) || 0), 0);
         const dataUtworzenia = (data_faktury || '').trim() ? `${data_faktury} 00:00:00` : null;
         db.run(
-          `INSERT INTO orders (client_id, klient, numer_zamowienia, data_utworzenia, laczna_ilosc, typ) VALUES (?, ?, ?, COALESCE(?, datetime('now')), ?, 'przesuniecie')`,
-          [resolvedClientId, resolvedKlient, numer_ps, dataUtworzenia, laczna],
+          `INSERT INTO orders (client_id, klient, numer_zamowienia, data_utworzenia, laczna_ilosc, typ, company_id) VALUES (?, ?, ?, COALESCE(?, datetime('now')), ?, 'przesuniecie', ?)`,
+          [resolvedClientId, resolvedKlient, numer_ps, dataUtworzenia, laczna, req.companyId],
           function (runOrderErr) {
             if (runOrderErr) {
               console.error('❌ Error inserting Przesunięcie order:', runOrderErr);
@@ -5025,206 +8074,55 @@ app.post('/api/invoices', (req, res) => {
                   }
                   pend -= 1;
                   if (pend === 0) {
-                    console.log(`✅ Przesunięcie created: ${numer_ps}, orderId=${psOrderId}`);
-                    res.json({ id: invoiceId, numer_faktury });
-                  }
-                }
-              );
-            });
-          }
-        );
-      }
-    );
-  }
-});
-
-// Endpoint для обновления фактуры
-app.put('/api/invoices/:id', (req, res) => {
-  const { id } = req.params;
-  const {
-    data_faktury,
-    numer_faktury,
-    klient,
-    termin_platnosci,
-    products,
-    suma_netto,
-    suma_vat,
-    suma_brutto,
-    rabat_suma
-  } = req.body;
-
-  console.log(`📝 PUT /api/invoices/${id} - Updating invoice`);
-
-  if (!data_faktury || !numer_faktury || !klient || !products || !Array.isArray(products) || products.length === 0) {
-    return res.status(400).json({ error: 'Wymagane: data_faktury, numer_faktury, klient i niepusta tablica products' });
-  }
-
-  const totalBrutto = parseFloat(suma_brutto);
-  const totalNetto = parseFloat(suma_netto);
-  const totalVat = parseFloat(suma_vat);
-  const totalRabat = parseFloat(rabat_suma) || 0;
-  
-  if (isNaN(totalBrutto) || isNaN(totalNetto) || isNaN(totalVat)) {
-    return res.status(400).json({ error: 'suma_netto, suma_vat i suma_brutto muszą być liczbami' });
-  }
-
-  db.get('SELECT order_id FROM invoices WHERE id = ?', [id], (invoiceErr, invoiceRow) => {
-    if (invoiceErr) {
-      console.error('❌ Error fetching invoice for update:', invoiceErr);
-      return res.status(500).json({ error: invoiceErr.message });
-    }
-    if (!invoiceRow) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-
-    resolveInvoiceClient({ order_id: invoiceRow.order_id, klient }, (lookupErr, clientResult) => {
-      if (lookupErr) {
-        console.error('❌ Error resolving invoice client:', lookupErr);
-        return res.status(500).json({ error: lookupErr.message });
-      }
-      if (clientResult?.error) {
-        return res.status(clientResult.status || 400).json({ error: clientResult.error });
-      }
-
-      const client_id = clientResult.clientId;
-      const klient_nazwa = clientResult.klientName;
-      const klient_firma = clientResult.klientFirma;
-
-    db.run(
-      `UPDATE invoices 
-       SET numer_faktury = ?, data_faktury = ?, termin_platnosci = ?, client_id = ?,
-           klient_nazwa = ?, klient_firma = ?, suma_netto = ?, suma_vat = ?, suma_brutto = ?, rabat_suma = ?
-       WHERE id = ?`,
-      [
-        numer_faktury,
-        data_faktury,
-        termin_platnosci || null,
-        client_id,
-        klient_nazwa,
-        klient_firma,
-        totalNetto,
-        totalVat,
-        totalBrutto,
-        totalRabat,
-        id
-      ],
-      function (updateErr) {
-        if (updateErr) {
-          console.error('❌ Error updating invoice:', updateErr);
-          return res.status(500).json({ error: updateErr.message });
-        }
-
-        // Удаляем старые продукты
-        db.run('DELETE FROM invoice_products WHERE invoice_id = ?', [id], (delErr) => {
-          if (delErr) {
-            console.error('❌ Error deleting old products:', delErr);
-            return res.status(500).json({ error: delErr.message });
-          }
-
-          // Вставляем новые продукты
-          let pending = products.length;
-          let hasError = false;
-
-          products.forEach((p) => {
-            const ilosc = parseFloat(p.ilosc) || 0;
-            const cena_netto = parseFloat(p.cena_netto) || 0;
-            const rabat = parseFloat(p.rabat) || 0;
-            const vat = parseInt(p.vat, 10) || 23;
-            const wartosc_netto = ilosc * cena_netto * (1 - rabat / 100);
-            const wartosc_vat = wartosc_netto * (vat / 100);
-            const wartosc_brutto = wartosc_netto + wartosc_vat;
-
-            db.run(
-              `INSERT INTO invoice_products (
-                invoice_id, kod, nazwa, ilosc, cena_netto, rabat, vat_stawka,
-                wartosc_netto, wartosc_vat, wartosc_brutto, order_product_id
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-              [
-                id,
-                p.kod || '',
-                p.nazwa || '',
-                ilosc,
-                cena_netto,
-                rabat,
-                vat,
-                Math.round(wartosc_netto * 100) / 100,
-                Math.round(wartosc_vat * 100) / 100,
-                Math.round(wartosc_brutto * 100) / 100,
-                null
-              ],
-              (prodErr) => {
-                if (hasError) return;
-                if (prodErr) {
-                  hasError = true;
-                  console.error('❌ Error inserting invoice product:', prodErr);
-                  return res.status(500).json({ error: prodErr.message });
-                }
-                pending -= 1;
-                if (pending === 0) {
-                  console.log(`✅ Invoice updated: id=${id} ${numer_faktury}, ${products.length} positions`);
-                  res.json({ id: parseInt(id), numer_faktury });
+                    console.log(`✅ Przesunięcie created: ${numer_ps}, orderId=${psOrderId}`);
+                    res.json({ id: invoiceId, numer_faktury });
+                  }
                 }
-              }
-            );
-          });
-        });
+              );
+            });
+          }
+        );
       }
     );
-    });
-  });
+  }
 });
 
-// Endpoint для удаления фактуры
-app.delete('/api/invoices/:id', (req, res) => {
-  const { id } = req.params;
-  console.log(`🗑️ DELETE /api/invoices/${id} - Deleting invoice`);
-
-  db.get('SELECT * FROM invoices WHERE id = ?', [id], (err, invoice) => {
-    if (err) {
-      console.error('❌ Error fetching invoice:', err);
-      return res.status(500).json({ error: err.message });
-    }
+// Wystawiona faktura (i korekta) nie jest ani nadpisywana, ani usuwana — każda zmiana,
+// łącznie z anulowaniem do zera, idzie fakturą korygującą do faktury pierwotnej.
+async function rejectIssuedInvoiceChange(req, res, message) {
+  try {
+    const invoice = await dbGetAsync(
+      'SELECT id, numer_faktury, typ_dokumentu, korygowana_faktura_id FROM invoices WHERE id = ? AND company_id = ?',
+      [req.params.id, req.companyId]
+    );
     if (!invoice) {
       return res.status(404).json({ error: 'Faktura nie znaleziona' });
     }
-
-    const psOrderId = invoice.przesuniecie_order_id;
-
-    // Удаляем фактуру (invoice_products удалятся каскадом через FK ON DELETE CASCADE)
-    db.run('DELETE FROM invoices WHERE id = ?', [id], function(delErr) {
-      if (delErr) {
-        console.error('❌ Error deleting invoice:', delErr);
-        return res.status(500).json({ error: delErr.message });
-      }
-      console.log(`✅ Invoice ${id} (${invoice.numer_faktury}) deleted`);
-
-      if (!psOrderId) {
-        return res.json({ message: 'Faktura usunięta', numer_faktury: invoice.numer_faktury });
-      }
-
-      // Удаляем связанный przesunięcie-заказ
-      db.run('DELETE FROM order_products WHERE orderId = ?', [psOrderId], (opErr) => {
-        if (opErr) console.error('❌ Error deleting PS order_products:', opErr);
-        db.run('DELETE FROM orders WHERE id = ?', [psOrderId], (oErr) => {
-          if (oErr) console.error('❌ Error deleting PS order:', oErr);
-          else console.log(`✅ Przesunięcie order ${psOrderId} deleted`);
-          res.json({ message: 'Faktura i przesunięcie usunięte', numer_faktury: invoice.numer_faktury });
-        });
-      });
+    const originalId = invoice.typ_dokumentu === 'korekta' ? invoice.korygowana_faktura_id : invoice.id;
+    return res.status(409).json({
+      error: `${message} ${invoice.numer_faktury} — zmiany wprowadź fakturą korygującą`,
+      korekta_url: `/api/invoices/${originalId}/korekty`,
     });
-  });
+  } catch (err) {
+    console.error('❌ Error fetching invoice:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+app.put('/api/invoices/:id', (req, res) => {
+  console.log(`📝 PUT /api/invoices/${req.params.id} - rejected, issued invoices are corrected by korekta`);
+  return rejectIssuedInvoiceChange(req, res, 'Nie można edytować wystawionej faktury');
 });
 
-// Endpoint для создания przychodu (прихода товара)
-app.post('/api/przychod', (req, res) => {
-  const { data_przychodu, numer_przychodu, products } = req.body;
-  console.log('📦 POST /api/przychod - Creating new przychód:', { data_przychodu, numer_przychodu, productsCount: products?.length || 0 });
-  
-  if (!data_przychodu || !numer_przychodu || !products || !Array.isArray(products) || products.length === 0) {
-    console.log('❌ Validation failed: data_przychodu, numer_przychodu and products array are required');
-    return res.status(400).json({ error: 'Date, number and products array are required' });
-  }
+app.delete('/api/invoices/:id', (req, res) => {
+  console.log(`🗑️ DELETE /api/invoices/${req.params.id} - rejected, issued invoices are corrected by korekta`);
+  return rejectIssuedInvoiceChange(req, res, 'Nie można usunąć wystawionej faktury');
+});
 
+// Документ przychodu (orders.typ = 'przychod'): позиции в order_products и приход в working_sheets.
+// Используется маршрутом /api/przychod и проведением inwentaryzacji (nadwyżki).
+// callback(err, { przychodId, productsCreated, productsFailed, workingSheetsUpdated })
+function createPrzychodDocument({ data_przychodu, numer_przychodu, products, company_id }, movements, callback) {
   // Вычисляем общее количество товаров
   const laczna_ilosc = products.reduce((total, product) => total + (product.ilosc || 0), 0);
 
@@ -5254,24 +8152,26 @@ app.post('/api/przychod', (req, res) => {
   resolveClientIdByKlient('VEIS', (clientLookupErr, veisClientId) => {
     if (clientLookupErr) {
       console.error('❌ Database error finding VEIS client for przychód:', clientLookupErr);
-      return res.status(500).json({ error: clientLookupErr.message });
+      return callback(clientLookupErr);
     }
 
   db.run(
-    `INSERT INTO orders (client_id, klient, numer_zamowienia, data_utworzenia, laczna_ilosc, typ) VALUES (?, ?, ?, ?, ?, ?)`,
-    [veisClientId, 'VEIS', numer_przychodu, dataUtworzenia, laczna_ilosc, 'przychod'],
+    `INSERT INTO orders (client_id, klient, numer_zamowienia, data_utworzenia, laczna_ilosc, typ, company_id) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [veisClientId, 'VEIS', numer_przychodu, dataUtworzenia, laczna_ilosc, 'przychod', company_id],
     function(err) {
       if (err) {
         console.error('❌ Database error creating przychód:', err);
-        return res.status(500).json({ error: err.message });
+        return callback(err);
       }
 
       const przychodId = this.lastID;
       console.log(`✅ Przychód created with ID: ${przychodId}, number: ${numer_przychodu}`);
+      movements.setDocument(STOCK_DOCUMENT_TYPES.PRZYCHOD, przychodId);
 
       // Добавляем продукты przychodu в order_products
       let productsCreated = 0;
       let productsFailed = 0;
+      let productsSettled = 0;
       let workingSheetsUpdated = 0;
 
       products.forEach((product, index) => {
@@ -5291,15 +8191,16 @@ app.post('/api/przychod', (req, res) => {
               productsCreated++;
               console.log(`✅ Przychód product ${index + 1} created for przychód ${przychodId}`);
               
-              // Увеличиваем количество в working_sheets (ПРИХОД товара)
+              // Увеличиваем количество в working_sheets (ПРИХОД товара) — только kartoteki firmy
               if (kod) {
                 db.run(
-                  'UPDATE working_sheets SET ilosc = ilosc + ? WHERE kod = ?',
-                  [ilosc, kod],
+                  'UPDATE working_sheets SET ilosc = ilosc + ? WHERE kod = ? AND company_id = ?',
+                  [ilosc, kod, company_id],
                   function(updateErr) {
                     if (updateErr) {
                       console.error(`❌ Error updating working_sheets for product ${kod}:`, updateErr);
                     } else {
+                      if (this.changes) movements.sheet(kod, ilosc);
                       workingSheetsUpdated++;
                       console.log(`✅ working_sheets updated for ${kod}: increased by ${ilosc}`);
                     }
@@ -5314,45 +8215,61 @@ app.post('/api/przychod', (req, res) => {
         );
       });
 
+      // Один вызов на позицию — после обновления working_sheets
       function checkCompletion() {
-        if (productsCreated + productsFailed === products.length) {
-          if (productsFailed > 0) {
-            console.log(`⚠️ Przychód created with ${productsFailed} failed products`);
-            res.status(207).json({ 
-              message: 'Przychód created with some failed products',
-              przychodId,
-              productsCreated,
-              productsFailed,
-              workingSheetsUpdated,
-              numer_przychodu
-            });
-          } else {
-            console.log(`✅ Przychód ${przychodId} completed successfully`);
-            res.json({ 
-              message: 'Przychód created successfully',
-              przychodId,
-              productsCreated,
-              workingSheetsUpdated,
-              numer_przychodu
-            });
-          }
+        productsSettled++;
+        if (productsSettled === products.length) {
+          callback(null, { przychodId, productsCreated, productsFailed, workingSheetsUpdated });
         }
       }
     }
   );
   });
-});
+}
 
-// Endpoint для создания списаний товаров (добавляем как заказ с типом 'odpisanie')
-app.post('/api/writeoffs', (req, res) => {
-  const { data_odpisania, numer_odpisania, products } = req.body;
-  console.log('📦 POST /api/writeoffs - Creating new write-off:', { data_odpisania, numer_odpisania, productsCount: products?.length || 0 });
+// Endpoint для создания przychodu (прихода товара)
+app.post('/api/przychod', requireCompanyKods(bodyProductKods()), stockTransaction, (req, res) => {
+  const { data_przychodu, numer_przychodu, products } = req.body;
+  console.log('📦 POST /api/przychod - Creating new przychód:', { data_przychodu, numer_przychodu, productsCount: products?.length || 0 });
   
-  if (!data_odpisania || !numer_odpisania || !products || !Array.isArray(products) || products.length === 0) {
-    console.log('❌ Validation failed: data_odpisania, numer_odpisania and products array are required');
+  if (!data_przychodu || !numer_przychodu || !products || !Array.isArray(products) || products.length === 0) {
+    console.log('❌ Validation failed: data_przychodu, numer_przychodu and products array are required');
     return res.status(400).json({ error: 'Date, number and products array are required' });
   }
 
+  createPrzychodDocument({ data_przychodu, numer_przychodu, products, company_id: req.companyId }, req.stockMovements, (err, result) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    const { przychodId, productsCreated, productsFailed, workingSheetsUpdated } = result;
+    if (productsFailed > 0) {
+      console.log(`⚠️ Przychód created with ${productsFailed} failed products`);
+      res.status(207).json({ 
+        message: 'Przychód created with some failed products',
+        przychodId,
+        productsCreated,
+        productsFailed,
+        workingSheetsUpdated,
+        numer_przychodu
+      });
+    } else {
+      console.log(`✅ Przychód ${przychodId} completed successfully`);
+      res.json({ 
+        message: 'Przychód created successfully',
+        przychodId,
+        productsCreated,
+        workingSheetsUpdated,
+        numer_przychodu
+      });
+    }
+  });
+});
+
+// Документ списания (orders.typ = 'odpisanie'): позиции в order_products, FIFO-списание партий
+// в order_consumptions и уменьшение working_sheets. Наличие товара проверяет вызывающий код.
+// Используется маршрутом /api/writeoffs и проведением inwentaryzacji (niedobory).
+// callback(err, { writeoffId, productsCreated, productsFailed, workingSheetsUpdated })
+function createWriteoffDocument({ data_odpisania, numer_odpisania, products, company_id }, movements, callback) {
   // Вычисляем общее количество списанных товаров
   const laczna_ilosc = products.reduce((total, product) => total + (product.ilosc || 0), 0);
 
@@ -5379,6 +8296,132 @@ app.post('/api/writeoffs', (req, res) => {
     dataUtworzenia = `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
   }
 
+  // Создаем запись в таблице orders с типом 'odpisanie'
+  resolveClientIdByKlient('VEIS', (clientLookupErr, veisClientId) => {
+    if (clientLookupErr) {
+      console.error('❌ Database error finding VEIS client for write-off:', clientLookupErr);
+      return callback(clientLookupErr);
+    }
+
+  db.run(
+    `INSERT INTO orders (client_id, klient, numer_zamowienia, data_utworzenia, laczna_ilosc, typ, company_id) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [veisClientId, 'VEIS', numer_odpisania, dataUtworzenia, laczna_ilosc, 'odpisanie', company_id],
+    function(err) {
+      if (err) {
+        console.error('❌ Database error creating write-off:', err);
+        return callback(err);
+      }
+
+      const writeoffId = this.lastID;
+      console.log(`✅ Write-off created with ID: ${writeoffId}, number: ${numer_odpisania}`);
+      movements.setDocument(STOCK_DOCUMENT_TYPES.WRITEOFF, writeoffId);
+
+      // Добавляем продукты списания в order_products
+      let productsCreated = 0;
+      let productsFailed = 0;
+      let productsSettled = 0;
+      let workingSheetsUpdated = 0;
+
+      products.forEach((product, index) => {
+        const { kod, nazwa, ilosc, powod } = product;
+        
+        // Создаем запись в order_products (записываем powod в поле typ)
+        console.log(`📝 Creating order_products record for write-off: ${kod} (writeoffId: ${writeoffId})`);
+        db.run(
+          `INSERT INTO order_products (orderId, kod, nazwa, ilosc, typ) VALUES (?, ?, ?, ?, ?)`,
+          [writeoffId, kod || '', nazwa, ilosc, powod || ''],
+          function(err) {
+            if (err) {
+              console.error(`❌ Error creating write-off product ${index + 1}:`, err);
+              productsFailed++;
+              checkCompletion();
+            } else {
+              productsCreated++;
+              console.log(`✅ Write-off product ${index + 1} created for write-off ${writeoffId}`);
+              
+              // FIFO списание через consumeFromProducts (как при создании заказа)
+              if (kod) {
+                const itemStatus = (nazwa || '').includes('(samples)') ? 'samples' : null;
+                consumeFromProducts(kod, ilosc, itemStatus, movements)
+                  .then(({ consumed, remaining, consumptions }) => {
+                    console.log(`🎯 FIFO consumption for ${kod}: ${consumed} szt. consumed`);
+                    
+                    // Записываем списания партий в order_consumptions
+                    if (consumptions && consumptions.length > 0) {
+                      const placeholders = consumptions.map(() => '(?, ?, ?, ?, ?)').join(', ');
+                      const values = consumptions.flatMap(c => [writeoffId, kod, c.batchId, c.qty, c.cena || 0]);
+                      db.run(
+                        `INSERT INTO order_consumptions (order_id, product_kod, batch_id, quantity, batch_price) VALUES ${placeholders}`,
+                        values,
+                        (consErr) => {
+                          if (consErr) {
+                            console.error('❌ Error saving order_consumptions for write-off:', consErr);
+                          } else {
+                            console.log(`✅ Saved ${consumptions.length} consumption rows for write-off ${writeoffId}`);
+                          }
+                          
+                          // Обновляем working_sheets (как при создании заказа)
+                          updateWorkingSheets();
+                        }
+                      );
+                    } else {
+                      // Обновляем working_sheets даже если нет записей в order_consumptions
+                      updateWorkingSheets();
+                    }
+                  })
+                  .catch(fifoErr => {
+                    console.error(`❌ Error in FIFO consumption for ${kod}:`, fifoErr);
+                    // Всё равно обновляем working_sheets
+                    updateWorkingSheets();
+                  });
+              } else {
+                checkCompletion();
+              }
+              
+              function updateWorkingSheets() {
+                runWorkingSheetsDecrease(
+                  kod,
+                  ilosc,
+                  { numerZamowienia: numer_odpisania },
+                  function(updateErr, changes) {
+                    if (updateErr) {
+                      console.error(`❌ Error updating working_sheets for product ${kod}:`, updateErr);
+                    } else {
+                      if (changes) movements.sheet(kod, -ilosc);
+                      workingSheetsUpdated++;
+                      console.log(`✅ working_sheets updated for ${kod}: reduced by ${ilosc}`);
+                    }
+                    checkCompletion();
+                  }
+                );
+              }
+            }
+          }
+        );
+      });
+
+      // Один вызов на позицию — после FIFO-списания и обновления working_sheets
+      function checkCompletion() {
+        productsSettled++;
+        if (productsSettled === products.length) {
+          callback(null, { writeoffId, productsCreated, productsFailed, workingSheetsUpdated });
+        }
+      }
+    }
+  );
+  });
+}
+
+// Endpoint для создания списаний товаров (добавляем как заказ с типом 'odpisanie')
+app.post('/api/writeoffs', requireCompanyKods(bodyProductKods()), stockTransaction, (req, res) => {
+  const { data_odpisania, numer_odpisania, products } = req.body;
+  console.log('📦 POST /api/writeoffs - Creating new write-off:', { data_odpisania, numer_odpisania, productsCount: products?.length || 0 });
+  
+  if (!data_odpisania || !numer_odpisania || !products || !Array.isArray(products) || products.length === 0) {
+    console.log('❌ Validation failed: data_odpisania, numer_odpisania and products array are required');
+    return res.status(400).json({ error: 'Date, number and products array are required' });
+  }
+
   // 1. Проверяем доступность товаров (как при создании заказа)
   console.log('🔍 Checking product availability for write-off...');
   
@@ -5427,133 +8470,32 @@ app.post('/api/writeoffs', (req, res) => {
     .then((results) => {
       console.log('✅ All products are available for write-off');
       
-      // 2. Создаем запись в таблице orders с типом 'odpisanie'
-      resolveClientIdByKlient('VEIS', (clientLookupErr, veisClientId) => {
-        if (clientLookupErr) {
-          console.error('❌ Database error finding VEIS client for write-off:', clientLookupErr);
-          return res.status(500).json({ error: clientLookupErr.message });
+      // 2. Создаем документ списания
+      createWriteoffDocument({ data_odpisania, numer_odpisania, products, company_id: req.companyId }, req.stockMovements, (err, result) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
         }
-
-      db.run(
-        `INSERT INTO orders (client_id, klient, numer_zamowienia, data_utworzenia, laczna_ilosc, typ) VALUES (?, ?, ?, ?, ?, ?)`,
-        [veisClientId, 'VEIS', numer_odpisania, dataUtworzenia, laczna_ilosc, 'odpisanie'],
-        function(err) {
-          if (err) {
-            console.error('❌ Database error creating write-off:', err);
-            return res.status(500).json({ error: err.message });
-          }
-
-          const writeoffId = this.lastID;
-          console.log(`✅ Write-off created with ID: ${writeoffId}, number: ${numer_odpisania}`);
-
-          // 3. Добавляем продукты списания в order_products
-          let productsCreated = 0;
-          let productsFailed = 0;
-          let workingSheetsUpdated = 0;
-
-          products.forEach((product, index) => {
-            const { kod, nazwa, ilosc, powod } = product;
-            
-            // Создаем запись в order_products (записываем powod в поле typ)
-            console.log(`📝 Creating order_products record for write-off: ${kod} (writeoffId: ${writeoffId})`);
-            db.run(
-              `INSERT INTO order_products (orderId, kod, nazwa, ilosc, typ) VALUES (?, ?, ?, ?, ?)`,
-              [writeoffId, kod || '', nazwa, ilosc, powod || ''],
-              function(err) {
-                if (err) {
-                  console.error(`❌ Error creating write-off product ${index + 1}:`, err);
-                  productsFailed++;
-                  checkCompletion();
-                } else {
-                  productsCreated++;
-                  console.log(`✅ Write-off product ${index + 1} created for write-off ${writeoffId}`);
-                  
-                  // 4. FIFO списание через consumeFromProducts (как при создании заказа)
-                  if (kod) {
-                    const itemStatus = (nazwa || '').includes('(samples)') ? 'samples' : null;
-                    consumeFromProducts(kod, ilosc, itemStatus)
-                      .then(({ consumed, remaining, consumptions }) => {
-                        console.log(`🎯 FIFO consumption for ${kod}: ${consumed} szt. consumed`);
-                        
-                        // 5. Записываем списания партий в order_consumptions
-                        if (consumptions && consumptions.length > 0) {
-                          const placeholders = consumptions.map(() => '(?, ?, ?, ?, ?)').join(', ');
-                          const values = consumptions.flatMap(c => [writeoffId, kod, c.batchId, c.qty, c.cena || 0]);
-                          db.run(
-                            `INSERT INTO order_consumptions (order_id, product_kod, batch_id, quantity, batch_price) VALUES ${placeholders}`,
-                            values,
-                            (consErr) => {
-                              if (consErr) {
-                                console.error('❌ Error saving order_consumptions for write-off:', consErr);
-                              } else {
-                                console.log(`✅ Saved ${consumptions.length} consumption rows for write-off ${writeoffId}`);
-                              }
-                              
-                              // 6. Обновляем working_sheets (как при создании заказа)
-                              updateWorkingSheets();
-                            }
-                          );
-                        } else {
-                          // Обновляем working_sheets даже если нет записей в order_consumptions
-                          updateWorkingSheets();
-                        }
-                      })
-                      .catch(fifoErr => {
-                        console.error(`❌ Error in FIFO consumption for ${kod}:`, fifoErr);
-                        // Всё равно обновляем working_sheets
-                        updateWorkingSheets();
-                      });
-                  } else {
-                    checkCompletion();
-                  }
-                  
-                  function updateWorkingSheets() {
-                    runWorkingSheetsDecrease(
-                      kod,
-                      ilosc,
-                      { numerZamowienia: numer_odpisania },
-                      function(updateErr) {
-                        if (updateErr) {
-                          console.error(`❌ Error updating working_sheets for product ${kod}:`, updateErr);
-                        } else {
-                          workingSheetsUpdated++;
-                          console.log(`✅ working_sheets updated for ${kod}: reduced by ${ilosc}`);
-                        }
-                        checkCompletion();
-                      }
-                    );
-                  }
-                }
-              }
-            );
+        const { writeoffId, productsCreated, productsFailed, workingSheetsUpdated } = result;
+        if (productsFailed > 0) {
+          console.log(`⚠️ Write-off created with ${productsFailed} failed products`);
+          res.status(207).json({ 
+            message: 'Write-off created with some failed products',
+            writeoffId,
+            productsCreated,
+            productsFailed,
+            workingSheetsUpdated,
+            numer_odpisania
+          });
+        } else {
+          console.log(`✅ Write-off ${writeoffId} completed successfully`);
+          res.json({ 
+            message: 'Write-off created successfully',
+            writeoffId,
+            productsCreated,
+            workingSheetsUpdated,
+            numer_odpisania
           });
-
-          function checkCompletion() {
-            if (productsCreated + productsFailed === products.length) {
-              if (productsFailed > 0) {
-                console.log(`⚠️ Write-off created with ${productsFailed} failed products`);
-                res.status(207).json({ 
-                  message: 'Write-off created with some failed products',
-                  writeoffId,
-                  productsCreated,
-                  productsFailed,
-                  workingSheetsUpdated,
-                  numer_odpisania
-                });
-              } else {
-                console.log(`✅ Write-off ${writeoffId} completed successfully`);
-                res.json({ 
-                  message: 'Write-off created successfully',
-                  writeoffId,
-                  productsCreated,
-                  workingSheetsUpdated,
-                  numer_odpisania
-                });
-              }
-            }
-          }
         }
-      );
       });
     })
     .catch((failedProduct) => {
@@ -5568,7 +8510,7 @@ app.post('/api/writeoffs', (req, res) => {
     });
 });
 
-app.put('/api/orders/:id', (req, res) => {
+app.put('/api/orders/:id', requireCompanyKods(bodyProductKods()), auditTrail('order', loadOrderAuditSnapshot), stockTransaction, (req, res) => {
   const { id } = req.params;
   let { client_id, klient, numer_zamowienia, products } = req.body;
   console.log(`📋 PUT /api/orders/${id} - Updating order:`, { client_id, klient, numer_zamowienia, productsCount: products?.length || 0 });
@@ -5625,7 +8567,7 @@ app.put('/api/orders/:id', (req, res) => {
     }
 
   // Сначала проверяем тип заказа (для списаний клиент всегда VEIS)
-  db.get('SELECT typ FROM orders WHERE id = ?', [id], (err, orderRow) => {
+  db.get('SELECT typ, z_location_id, wms_status FROM orders WHERE id = ?', [id], (err, orderRow) => {
     if (err) {
       console.error('❌ Database error fetching order type:', err);
       res.status(500).json({ error: err.message });
@@ -5636,6 +8578,18 @@ app.put('/api/orders/:id', (req, res) => {
       console.log(`❌ Order ${id} not found`);
       return res.status(404).json({ error: 'Order not found' });
     }
+    // Позиции przesunięcia между lokalizacjami разложены по партиям (stock_transfer_items)
+    if (orderRow.z_location_id) {
+      return res.status(409).json({
+        error: 'Przesunięcia między lokalizacjami nie można edytować — usuń je i utwórz ponownie',
+      });
+    }
+    if (WMS_LOCKED_STATUSES.includes(orderRow.wms_status)) {
+      return res.status(409).json({
+        error: `Zamówienie jest już w WMS (status: ${orderRow.wms_status}) — edycja niedostępna`,
+      });
+    }
+    req.stockMovements.setDocument(stockDocumentTypeForOrder(orderRow.typ), id);
     
     // Для списаний и przychodów принудительно устанавливаем клиента VEIS
     if (orderRow.typ === 'odpisanie' || orderRow.typ === 'przychod') {
@@ -5848,12 +8802,13 @@ app.put('/api/orders/:id', (req, res) => {
         kod,
         quantity,
         { numerZamowienia: numer_zamowienia },
-        function(updateErr) {
+        function(updateErr, changes) {
           if (updateErr) {
             console.error(`❌ Error updating working_sheets for ${kod}:`, updateErr);
             callback();
             return;
           }
+          if (changes) req.stockMovements.sheet(kod, -quantity);
           console.log(`✅ Updated working_sheets: ${kod} (quantity reduced by ${quantity})`);
           
           // 2. Проверяем, есть ли у клиента резервация
@@ -5950,7 +8905,7 @@ app.put('/api/orders/:id', (req, res) => {
           function proceedWithFIFO() {
             // 3. FIFO списание из партий
             const itemStatus = (nazwa || '').includes('(samples)') ? 'samples' : null;
-            consumeFromProducts(kod, quantity, itemStatus)
+            consumeFromProducts(kod, quantity, itemStatus, req.stockMovements)
               .then(({ consumed, remaining, consumptions }) => {
                 console.log(`🎯 FIFO consumption for ${kod}: ${consumed} szt. consumed`);
                 if (consumptions && consumptions.length > 0) {
@@ -5999,6 +8954,7 @@ app.put('/api/orders/:id', (req, res) => {
           if (updateErr) {
             console.error(`❌ Error updating working_sheets for ${kod}:`, updateErr);
           } else {
+            if (this.changes) req.stockMovements.sheet(kod, quantity);
             console.log(`✅ Updated working_sheets: ${kod} (quantity increased by ${quantity})`);
           }
           callback();
@@ -6014,10 +8970,11 @@ app.put('/api/orders/:id', (req, res) => {
         kod,
         quantity,
         { affectsConsumptionMetrics: false },
-        function(updateErr) {
+        function(updateErr, changes) {
           if (updateErr) {
             console.error(`❌ Error updating working_sheets for ${kod}:`, updateErr);
           } else {
+            if (changes) req.stockMovements.sheet(kod, -quantity);
             console.log(`✅ Updated working_sheets: ${kod} (quantity decreased by ${quantity})`);
           }
           callback();
@@ -6694,6 +9651,7 @@ app.put('/api/orders/:id', (req, res) => {
               if (updateErr) {
                 console.error(`❌ Error updating working_sheets for ${productKod}:`, updateErr);
               } else {
+                if (this.changes) req.stockMovements.sheet(productKod, quantityDiff);
                 console.log(`✅ Updated working_sheets: ${productKod} (quantity restored by ${quantityDiff})`);
               }
               callback();
@@ -6742,6 +9700,7 @@ app.put('/api/orders/:id', (req, res) => {
                     if (restoreErr) {
                       console.error(`❌ Error restoring to batch ${consumption.batch_id}:`, restoreErr);
                     } else {
+                      if (this.changes) req.stockMovements.batch(productKod, consumption.batch_id, quantityToRestore);
                       console.log(`✅ Restored ${quantityToRestore} to batch ${consumption.batch_id} for ${productKod}`);
                     }
                     consumptionsProcessed++;
@@ -6770,6 +9729,7 @@ app.put('/api/orders/:id', (req, res) => {
                     if (restoreErr) {
                       console.error(`❌ Error restoring to batch ${consumption.batch_id}:`, restoreErr);
                     } else {
+                      if (this.changes) req.stockMovements.batch(productKod, consumption.batch_id, quantityToRestore);
                       console.log(`✅ Restored ${quantityToRestore} to batch ${consumption.batch_id} for ${productKod}`);
                     }
                     consumptionsProcessed++;
@@ -6793,6 +9753,7 @@ app.put('/api/orders/:id', (req, res) => {
                 if (updateErr) {
                   console.error(`❌ Error updating working_sheets for ${productKod}:`, updateErr);
                 } else {
+                  if (this.changes) req.stockMovements.sheet(productKod, quantityDiff);
                   console.log(`✅ Updated working_sheets: ${productKod} (quantity restored by ${quantityDiff})`);
                 }
                 callback();
@@ -6806,7 +9767,7 @@ app.put('/api/orders/:id', (req, res) => {
   }); // db.get invoice check
 });
 
-app.delete('/api/orders/:id', (req, res) => {
+app.delete('/api/orders/:id', auditTrail('order', loadOrderAuditSnapshot), stockTransaction, (req, res) => {
   const { id } = req.params;
   console.log(`📋 DELETE /api/orders/${id} - Deleting order`);
 
@@ -6819,17 +9780,38 @@ app.delete('/api/orders/:id', (req, res) => {
     if (invoice) {
       console.log(`🚫 Cannot delete order ${id}: invoice ${invoice.numer_faktury} exists`);
       return res.status(409).json({
-        error: `Nie można usunąć zamówienia, ponieważ na jego podstawie została wystawiona faktura ${invoice.numer_faktury}. Najpierw usuń fakturę.`
+        error: `Nie można usunąć zamówienia, ponieważ na jego podstawie została wystawiona faktura ${invoice.numer_faktury}.`
       });
     }
 
-  db.get('SELECT typ FROM orders WHERE id = ?', [id], (err, orderRow) => {
+  db.get('SELECT typ, z_location_id, wms_status FROM orders WHERE id = ?', [id], (err, orderRow) => {
     if (err) {
       console.error('❌ Database error fetching order type:', err);
       return res.status(500).json({ error: err.message });
     }
+    if (orderRow && WMS_LOCKED_STATUSES.includes(orderRow.wms_status)) {
+      return res.status(409).json({
+        error: `Zamówienie jest już w WMS (status: ${orderRow.wms_status}) — usunięcie niedostępne`,
+      });
+    }
     const orderType = orderRow ? orderRow.typ : null;
     console.log(`🔍 Order ${id} type: ${orderType}`);
+    req.stockMovements.setDocument(stockDocumentTypeForOrder(orderType), id);
+
+    if (orderRow && orderRow.z_location_id) {
+      deleteStockTransfer(id, req.stockMovements)
+        .then(({ restored }) => res.json({
+          message: 'Order deleted successfully',
+          workingSheetsRestored: 0,
+          productsRestored: restored,
+          reservationFulfillmentsRestored: 0,
+        }))
+        .catch((transferErr) => {
+          console.error('❌ Error deleting stock transfer:', transferErr);
+          res.status(transferErr.statusCode || 500).json({ error: transferErr.message });
+        });
+      return;
+    }
 
   // Сначала получаем продукты заказа для восстановления количества
   db.all('SELECT * FROM order_products WHERE orderId = ?', [id], (err, orderProducts) => {
@@ -6950,6 +9932,7 @@ app.delete('/api/orders/:id', (req, res) => {
                           if (restoreErr) {
                             console.error(`❌ Error restoring quantity in working_sheets for product ${product.kod}:`, restoreErr);
                           } else {
+                            if (this.changes) req.stockMovements.sheet(product.kod, product.ilosc);
                             console.log(`✅ Restored quantity in working_sheets for product ${product.kod}: +${product.ilosc}`);
                           }
                           
@@ -6985,6 +9968,7 @@ app.delete('/api/orders/:id', (req, res) => {
                   if (restoreErr) {
                     console.error(`❌ Error restoring quantity in products for batch ${consumption.batch_id}:`, restoreErr);
                   } else {
+                    if (this.changes) req.stockMovements.batch(consumption.product_kod, consumption.batch_id, consumption.quantity);
                     console.log(`✅ Restored ${consumption.quantity} units to batch ${consumption.batch_id} (product: ${consumption.product_kod})`);
                   }
                   
@@ -7119,7 +10103,9 @@ app.get('/api/orders-with-products', (req, res) => {
   
   // Сначала получаем все заказы
   db.all(
-    `SELECT o.*, COALESCE(c.nazwa, o.klient) AS klient_resolved ${ORDER_WITH_CLIENT_JOIN} ORDER BY o.data_utworzenia DESC`,
+    `SELECT o.*, COALESCE(c.nazwa, o.klient) AS klient_resolved ${ORDER_WITH_CLIENT_JOIN}
+     WHERE o.company_id = ? ORDER BY o.data_utworzenia DESC`,
+    [req.companyId],
     (err, orders) => {
     if (err) {
       console.error('❌ Database error fetching orders:', err);
@@ -7160,6 +10146,9 @@ app.get('/api/orders-with-products', (req, res) => {
             typ: resolvedOrder.typ || 'zamowienie',
             numer_zwrotu: resolvedOrder.numer_zwrotu || null,
             numer_faktury: (errInv || !invRow) ? null : invRow.numer_faktury,
+            wms_status: resolvedOrder.wms_status || null,
+            wms_shipment_id: resolvedOrder.wms_shipment_id || null,
+            wms_blad: resolvedOrder.wms_blad || null,
             products: products || []
           };
           
@@ -7394,7 +10383,10 @@ app.get('/api/analiza-wydan/:kod', (req, res) => {
   });
 });
 
-app.post('/api/order-products', (req, res) => {
+app.post('/api/order-products', auditTrail('order', loadOrderAuditSnapshot, {
+  action: AUDIT_ACTIONS.UPDATE,
+  resolveIds: (req) => req.body && req.body.orderId,
+}), (req, res) => {
   const { orderId, kod, nazwa, ilosc, typ } = req.body;
   console.log('📋 POST /api/order-products - Adding product to order:', { orderId, kod, nazwa, ilosc });
   
@@ -7419,17 +10411,99 @@ app.post('/api/order-products', (req, res) => {
 });
 
 // Clients API
-app.get('/api/clients', (req, res) => {
+// Проверка и нормализация данных контрагента; errors — список для ответа 422
+function parseClientMasterData(body) {
+  const errors = [];
+  const text = (value) => {
+    const trimmed = String(value == null ? '' : value).trim();
+    return trimmed || null;
+  };
+
+  const nip = text(body.nip);
+  if (nip && !isValidNip(nip)) errors.push('Nieprawidłowy NIP (błędna suma kontrolna)');
+  const vatUe = text(body.vat_ue);
+  if (vatUe && !isValidVatUe(vatUe)) errors.push('Nieprawidłowy numer VAT UE');
+  const email = text(body.email);
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('Nieprawidłowy adres e-mail');
+
+  const terminRaw = text(body.termin_platnosci_dni);
+  const termin = terminRaw == null ? null : Number(terminRaw);
+  if (termin != null && (!Number.isInteger(termin) || termin < 0 || termin > 365)) {
+    errors.push('Termin płatności musi być liczbą dni od 0 do 365');
+  }
+  const rabatRaw = text(body.rabat_domyslny);
+  const rabat = rabatRaw == null ? null : Number(String(rabatRaw).replace(',', '.'));
+  if (rabat != null && (!Number.isFinite(rabat) || rabat < 0 || rabat > 100)) {
+    errors.push('Rabat domyślny musi mieścić się w przedziale 0–100%');
+  }
+
+  // undefined — адреса доставки не меняются
+  let adresyDostawy;
+  if (Array.isArray(body.adresy_dostawy)) {
+    adresyDostawy = body.adresy_dostawy
+      .map((item) => ({ nazwa: text(item && item.nazwa), adres: text(item && item.adres), domyslny: Boolean(item && item.domyslny) }))
+      .filter((item) => item.nazwa || item.adres);
+    if (adresyDostawy.some((item) => !item.adres)) errors.push('Każdy adres dostawy musi mieć wypełniony adres');
+    // Ровно один адрес по умолчанию
+    if (adresyDostawy.length > 0 && !adresyDostawy.some((item) => item.domyslny)) adresyDostawy[0].domyslny = true;
+    let defaultSeen = false;
+    adresyDostawy.forEach((item) => {
+      if (item.domyslny && defaultSeen) item.domyslny = false;
+      if (item.domyslny) defaultSeen = true;
+    });
+  }
+
+  return {
+    errors,
+    values: {
+      nip: nip ? normalizeNip(nip) : null,
+      vat_ue: vatUe ? normalizeVatUe(vatUe) : null,
+      email,
+      telefon: text(body.telefon),
+      termin_platnosci_dni: termin,
+      rabat_domyslny: rabat,
+      // undefined — флаг не меняется
+      zezwolenie_niewymagane: body.zezwolenie_niewymagane === undefined ? undefined : (body.zezwolenie_niewymagane ? 1 : 0),
+    },
+    adresyDostawy,
+  };
+}
+
+async function replaceClientDeliveryAddresses(clientId, adresyDostawy) {
+  await dbRunAsync('DELETE FROM client_delivery_addresses WHERE client_id = ?', [clientId]);
+  for (const item of adresyDostawy) {
+    await dbRunAsync(
+      'INSERT INTO client_delivery_addresses (client_id, nazwa, adres, domyslny) VALUES (?, ?, ?, ?)',
+      [clientId, item.nazwa, item.adres, item.domyslny ? 1 : 0]
+    );
+  }
+}
+
+// clients + adresy_dostawy (domyślny первым)
+async function attachClientDeliveryAddresses(clients) {
+  if (clients.length === 0) return clients;
+  const rows = await dbAllAsync(
+    `SELECT id, client_id, nazwa, adres, domyslny FROM client_delivery_addresses
+     WHERE client_id IN (${clients.map(() => '?').join(',')})
+     ORDER BY domyslny DESC, id`,
+    clients.map((client) => client.id)
+  );
+  return clients.map((client) => ({
+    ...client,
+    adresy_dostawy: rows.filter((row) => row.client_id === client.id),
+  }));
+}
+
+app.get('/api/clients', async (req, res) => {
   console.log('👥 GET /api/clients - Fetching all clients');
-  db.all('SELECT * FROM clients ORDER BY nazwa', (err, rows) => {
-    if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    console.log(`✅ Found ${rows.length} clients`);
-    res.json(rows || []);
-  });
+  try {
+    const rows = await attachClientDeliveryAddresses(await dbAllAsync('SELECT * FROM clients ORDER BY nazwa'));
+    console.log(`✅ Found ${rows.length} clients`);
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Database error:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 app.get('/api/clients/search', (req, res) => {
@@ -7441,19 +10515,16 @@ app.get('/api/clients/search', (req, res) => {
     return res.status(400).json({ error: 'Query parameter is required' });
   }
   
-  db.all(
-    'SELECT * FROM clients WHERE nazwa LIKE ? OR firma LIKE ? ORDER BY nazwa LIMIT 10',
-    [`%${q}%`, `%${q}%`],
-    (err, rows) => {
-      if (err) {
-        console.error('❌ Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
-      }
+  dbAllAsync('SELECT * FROM clients WHERE nazwa LIKE ? OR firma LIKE ? ORDER BY nazwa LIMIT 10', [`%${q}%`, `%${q}%`])
+    .then(attachClientDeliveryAddresses)
+    .then((rows) => {
       console.log(`✅ Found ${rows.length} clients matching "${q}"`);
-      res.json(rows || []);
-    }
-  );
+      res.json(rows);
+    })
+    .catch((err) => {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+    });
 });
 
 // Sprzedaż klientom: sumy z nagłówków faktur + pozycje win
@@ -7523,26 +10594,26 @@ app.get('/api/clients/sales-by-invoices', (req, res) => {
   });
 });
 
-app.get('/api/clients/:id', (req, res) => {
+app.get('/api/clients/:id', async (req, res) => {
   const { id } = req.params;
   console.log(`👥 GET /api/clients/${id} - Fetching client by ID`);
-  
-  db.get('SELECT * FROM clients WHERE id = ?', [id], (err, row) => {
-    if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
-    }
+
+  try {
+    const row = await dbGetAsync('SELECT * FROM clients WHERE id = ?', [id]);
     if (!row) {
       console.log(`❌ Client with ID ${id} not found`);
       return res.status(404).json({ error: 'Client not found' });
     }
+    const [client] = await attachClientDeliveryAddresses([row]);
     console.log(`✅ Found client: ${row.nazwa}`);
-    res.json(row);
-  });
+    res.json(client);
+  } catch (err) {
+    console.error('❌ Database error:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.post('/api/clients', (req, res) => {
+app.post('/api/clients', auditTrail('client', loadClientAuditSnapshot), async (req, res) => {
   const { nazwa, firma, adres, kontakt, czasDostawy, czas_dostawy } = req.body;
   // Поддерживаем оба варианта названия поля
   const czasDostawyValue = czasDostawy || czas_dostawy;
@@ -7553,65 +10624,85 @@ app.post('/api/clients', (req, res) => {
     console.log('❌ Validation failed: nazwa is required');
     return res.status(400).json({ error: 'Nazwa is required' });
   }
-  
-  db.run(
-    'INSERT INTO clients (nazwa, firma, adres, kontakt, czas_dostawy) VALUES (?, ?, ?, ?, ?)',
-    [nazwa, firma, adres, kontakt, czasDostawyValue],
-    function(err) {
-      if (err) {
-        console.error('❌ Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      console.log(`✅ Client created with ID: ${this.lastID}`);
-      res.json({ id: this.lastID, message: 'Client added successfully' });
-    }
-  );
+
+  const { errors, values, adresyDostawy } = parseClientMasterData(req.body);
+  if (errors.length > 0) {
+    return res.status(422).json({ error: 'Dane klienta są nieprawidłowe', errors });
+  }
+
+  try {
+    const clientId = await runInTransaction(async () => {
+      const { lastID } = await dbRunAsync(
+        `INSERT INTO clients (
+          nazwa, firma, adres, kontakt, czas_dostawy,
+          nip, vat_ue, email, telefon, termin_platnosci_dni, rabat_domyslny, zezwolenie_niewymagane
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          nazwa, firma, adres, kontakt, czasDostawyValue,
+          values.nip, values.vat_ue, values.email, values.telefon, values.termin_platnosci_dni, values.rabat_domyslny,
+          values.zezwolenie_niewymagane || 0,
+        ]
+      );
+      if (adresyDostawy) await replaceClientDeliveryAddresses(lastID, adresyDostawy);
+      return lastID;
+    });
+    console.log(`✅ Client created with ID: ${clientId}`);
+    res.json({ id: clientId, message: 'Client added successfully' });
+  } catch (err) {
+    console.error('❌ Database error:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.put('/api/clients/:id', (req, res) => {
+app.put('/api/clients/:id', auditTrail('client', loadClientAuditSnapshot), async (req, res) => {
   const { id } = req.params;
   const { nazwa, firma, adres, kontakt, czas_dostawy } = req.body;
   console.log(`👥 PUT /api/clients/${id} - Updating client:`, { nazwa, firma });
-  
-  // Сначала получаем старое значение nazwa клиента
-  db.get('SELECT nazwa FROM clients WHERE id = ?', [id], (err, oldClient) => {
-    if (err) {
-      console.error('❌ Database error getting old client:', err);
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
+
+  const { errors, values, adresyDostawy } = parseClientMasterData(req.body);
+  if (errors.length > 0) {
+    return res.status(422).json({ error: 'Dane klienta są nieprawidłowe', errors });
+  }
+
+  try {
+    // Сначала получаем старое значение nazwa клиента
+    const oldClient = await dbGetAsync('SELECT nazwa FROM clients WHERE id = ?', [id]);
     if (!oldClient) {
-      res.status(404).json({ error: 'Client not found' });
-      return;
+      return res.status(404).json({ error: 'Client not found' });
     }
-    
-    // Обновляем клиента
-    db.run(
-      'UPDATE clients SET nazwa = ?, firma = ?, adres = ?, kontakt = ?, czas_dostawy = ? WHERE id = ?',
-      [nazwa, firma, adres, kontakt, czas_dostawy, id],
-      function(err) {
-        if (err) {
-          console.error('❌ Database error updating client:', err);
-          res.status(500).json({ error: err.message });
-          return;
-        }
 
-        cascadeClientRename(id, oldClient.nazwa, nazwa, (cascadeErr) => {
-          if (cascadeErr) {
-            res.status(500).json({ error: cascadeErr.message });
-            return;
-          }
-          console.log(`✅ Client ${id} updated successfully`);
-          res.json({ message: 'Client updated successfully' });
-        });
+    await runInTransaction(async () => {
+      await dbRunAsync(
+        `UPDATE clients
+         SET nazwa = ?, firma = ?, adres = ?, kontakt = ?, czas_dostawy = ?,
+             nip = ?, vat_ue = ?, email = ?, telefon = ?, termin_platnosci_dni = ?, rabat_domyslny = ?,
+             zezwolenie_niewymagane = COALESCE(?, zezwolenie_niewymagane)
+         WHERE id = ?`,
+        [
+          nazwa, firma, adres, kontakt, czas_dostawy,
+          values.nip, values.vat_ue, values.email, values.telefon, values.termin_platnosci_dni, values.rabat_domyslny,
+          values.zezwolenie_niewymagane ?? null,
+          id,
+        ]
+      );
+      if (adresyDostawy) await replaceClientDeliveryAddresses(id, adresyDostawy);
+    });
+
+    cascadeClientRename(id, oldClient.nazwa, nazwa, (cascadeErr) => {
+      if (cascadeErr) {
+        res.status(500).json({ error: cascadeErr.message });
+        return;
       }
-    );
-  });
+      console.log(`✅ Client ${id} updated successfully`);
+      res.json({ message: 'Client updated successfully' });
+    });
+  } catch (err) {
+    console.error('❌ Database error updating client:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.delete('/api/clients/:id', (req, res) => {
+app.delete('/api/clients/:id', auditTrail('client', loadClientAuditSnapshot), (req, res) => {
   const { id } = req.params;
   console.log(`👥 DELETE /api/clients/${id} - Deleting client`);
   
@@ -7629,7 +10720,7 @@ app.delete('/api/clients/:id', (req, res) => {
 // Product Receipts API
 app.get('/api/product-receipts', (req, res) => {
   console.log('📦 GET /api/product-receipts - Fetching all product receipts');
-  db.all('SELECT * FROM product_receipts ORDER BY dataPrzyjecia DESC', (err, rows) => {
+  db.all('SELECT * FROM product_receipts WHERE company_id = ? ORDER BY dataPrzyjecia DESC', [req.companyId], (err, rows) => {
     if (err) {
       console.error('❌ Database error:', err);
       res.status(500).json({ error: err.message });
@@ -7673,10 +10764,133 @@ app.get('/api/product-receipts/:id', (req, res) => {
   });
 });
 
-app.post('/api/product-receipts', upload.fields([
+// ===== KURSY WALUT NBP =====
+
+const NBP_WALUTY = ['EUR', 'DKK'];
+
+function getRatesProvider() {
+  const name = process.env.EXCHANGE_RATES_PROVIDER || 'nbp';
+  return createRatesProvider(name, {
+    url: process.env.EXCHANGE_RATES_URL || undefined,
+    path: process.env.EXCHANGE_RATES_FILE,
+  });
+}
+
+// Окна дат, уже запрошенные у провайдера в этом процессе (чтобы не ходить в NBP повторно)
+const syncedRateWindows = new Set();
+
+async function syncExchangeRates(dateFrom, dateTo) {
+  const provider = getRatesProvider();
+  const tables = await provider.fetchTables(dateFrom, dateTo);
+  // Без BEGIN: синхронизация вызывается и перед транзакцией приёмки, а upsert идемпотентен
+  for (const table of tables) {
+    for (const rate of table.rates) {
+      if (!NBP_WALUTY.includes(rate.code)) continue;
+      await dbRunAsync(
+        `INSERT INTO exchange_rates (data_tabeli, numer_tabeli, waluta, kurs, zrodlo)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(data_tabeli, waluta) DO UPDATE SET
+           numer_tabeli = excluded.numer_tabeli, kurs = excluded.kurs, zrodlo = excluded.zrodlo`,
+        [table.effectiveDate, table.no, rate.code, Number(rate.mid), provider.name]
+      );
+    }
+  }
+  console.log(`💱 Exchange rates synced ${dateFrom}..${dateTo}: ${tables.length} tables (${provider.name})`);
+}
+
+async function findLocalRatesTableBefore(dateString) {
+  const { dateFrom } = getLookupWindow(dateString);
+  const table = await dbGetAsync(
+    `SELECT data_tabeli, numer_tabeli FROM exchange_rates
+     WHERE waluta = 'EUR' AND data_tabeli < ? AND data_tabeli >= ?
+     ORDER BY data_tabeli DESC LIMIT 1`,
+    [dateString, dateFrom]
+  );
+  if (!table) return null;
+  const rows = await dbAllAsync('SELECT waluta, kurs FROM exchange_rates WHERE data_tabeli = ?', [table.data_tabeli]);
+  return {
+    dataTabeli: table.data_tabeli,
+    numerTabeli: table.numer_tabeli,
+    rates: Object.fromEntries(rows.map((r) => [r.waluta, r.kurs])),
+  };
+}
+
+// Таблица NBP z ostatniego dnia roboczego przed dateString. Локальная таблица
+// досинхронизируется, если в ней нет таблицы за предыдущий день; при недоступности
+// провайдера используем то, что уже есть в базе.
+async function getNbpRatesTableBefore(dateString) {
+  const { dateFrom, dateTo } = getLookupWindow(dateString);
+  let table = await findLocalRatesTableBefore(dateString);
+  const windowKey = `${dateFrom}|${dateTo}`;
+  if ((!table || table.dataTabeli !== dateTo) && !syncedRateWindows.has(windowKey)) {
+    try {
+      await syncExchangeRates(dateFrom, dateTo);
+      syncedRateWindows.add(windowKey);
+      table = await findLocalRatesTableBefore(dateString);
+    } catch (err) {
+      console.error(`❌ Error syncing exchange rates for ${dateString}:`, err.message);
+      if (!table) throw err;
+    }
+  }
+  return table;
+}
+
+// Курсы приёмки по NBP; null — курса на дату нет
+async function getReceiptKursNbp(dateString, waluta) {
+  const table = await getNbpRatesTableBefore(dateString);
+  if (!table) return null;
+  const kursy = computeReceiptKursy(normalizeWalutaFaktury(waluta), table.rates);
+  if (!kursy) return null;
+  return { ...kursy, dataTabeli: table.dataTabeli, numerTabeli: table.numerTabeli };
+}
+
+// Метаданные курса для записи приёмки: ошибка провайдера не блокирует сохранение документа
+async function resolveReceiptKursMeta(dateString, waluta, aktualnyKursForDb, kursFaktury) {
+  try {
+    const nbp = await getReceiptKursNbp(dateString, waluta);
+    if (!nbp) return { kursNbpTabela: null, kursNbpData: null, kursReczny: null };
+    const differs = (a, b) => Math.abs(Number(a) - Number(b)) > 0.001;
+    const normalized = normalizeWalutaFaktury(waluta);
+    const isManual = (normalized !== 'PLN' && differs(aktualnyKursForDb, nbp.aktualnyKurs))
+      || (normalized !== 'EUR' && differs(kursFaktury, nbp.kursFaktury));
+    return { kursNbpTabela: nbp.numerTabeli, kursNbpData: nbp.dataTabeli, kursReczny: isManual ? 1 : 0 };
+  } catch (err) {
+    console.error('❌ Error resolving NBP rate for receipt:', err.message);
+    return { kursNbpTabela: null, kursNbpData: null, kursReczny: null };
+  }
+}
+
+// Курсы для формы приёмки: ?data=RRRR-MM-DD&waluta=EUR|PLN|DKK
+app.get('/api/exchange-rates/receipt', async (req, res) => {
+  const data = String(req.query.data || '');
+  const waluta = normalizeWalutaFaktury(req.query.waluta);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data)) {
+    return res.status(400).json({ error: 'Wymagana data w formacie RRRR-MM-DD' });
+  }
+
+  try {
+    const nbp = await getReceiptKursNbp(data, waluta);
+    if (!nbp) {
+      return res.status(404).json({ error: `Brak kursu NBP przed ${data}` });
+    }
+    res.json({
+      data,
+      waluta,
+      aktualny_kurs: nbp.aktualnyKurs,
+      kurs_faktury: nbp.kursFaktury,
+      data_tabeli: nbp.dataTabeli,
+      numer_tabeli: nbp.numerTabeli,
+    });
+  } catch (err) {
+    console.error('❌ Error fetching NBP rate:', err);
+    res.status(502).json({ error: `Nie udało się pobrać kursu NBP: ${err.message}` });
+  }
+});
+
+app.post('/api/product-receipts', auditTrail('product_receipt', loadProductReceiptAuditSnapshot), upload.fields([
   { name: 'productInvoice', maxCount: 1 },
   { name: 'transportInvoice', maxCount: 1 }
-]), (req, res) => {
+]), requireValidBarcodes(receiptProductBarcodes), stockTransaction, (req, res) => {
   console.log('📦 POST /api/product-receipts - Request received');
   console.log('📦 Request body:', req.body);
   console.log('📦 Request files:', req.files);
@@ -7693,13 +10907,15 @@ app.post('/api/product-receipts', upload.fields([
     filesCount: req.files ? Object.keys(req.files).length : 0
   });
   
-  let date, sprzedawca, wartosc, kosztDostawy, products, productInvoice, transportInvoice, aktualnyKurs, podatekAkcyzowy, rabat, walutaFaktury, kursFaktury;
+  let date, sprzedawca, wartosc, kosztDostawy, products, productInvoice, transportInvoice, aktualnyKurs, podatekAkcyzowy, rabat, walutaFaktury, kursFaktury, purchaseOrderId, supplierId, banderole;
   
   // Проверяем, есть ли файлы (FormData) или это JSON
   if (req.files && (req.files.productInvoice || req.files.transportInvoice)) {
     console.log('📎 Processing FormData request');
     try {
       const jsonData = JSON.parse(req.body.data);
+      purchaseOrderId = jsonData.purchaseOrderId;
+      supplierId = jsonData.supplierId;
       date = jsonData.date;
       sprzedawca = jsonData.sprzedawca;
       wartosc = jsonData.wartosc;
@@ -7710,6 +10926,7 @@ app.post('/api/product-receipts', upload.fields([
       rabat = jsonData.rabat;
       walutaFaktury = jsonData.walutaFaktury;
       kursFaktury = jsonData.kursFaktury;
+      banderole = jsonData.banderole;
       productInvoice = req.files.productInvoice ? req.files.productInvoice[0].filename : null;
       transportInvoice = req.files.transportInvoice ? req.files.transportInvoice[0].filename : null;
       console.log('📎 Files processed:', { productInvoice, transportInvoice });
@@ -7719,6 +10936,8 @@ app.post('/api/product-receipts', upload.fields([
     }
   } else {
     console.log('📄 Processing JSON request');
+    purchaseOrderId = req.body.purchaseOrderId;
+    supplierId = req.body.supplierId;
     date = req.body.date;
     sprzedawca = req.body.sprzedawca;
     wartosc = req.body.wartosc;
@@ -7729,6 +10948,7 @@ app.post('/api/product-receipts', upload.fields([
     rabat = req.body.rabat;
     walutaFaktury = req.body.walutaFaktury;
     kursFaktury = req.body.kursFaktury;
+    banderole = req.body.banderole;
     productInvoice = req.body.productInvoice;
     transportInvoice = req.body.transportInvoice;
   }
@@ -7768,6 +10988,9 @@ app.post('/api/product-receipts', upload.fields([
   if (products.some((p) => !p.kod)) {
     return res.status(400).json({ error: 'Kod produktu nie może być pusty' });
   }
+  if (products.some((p) => Number.isNaN(p.zawartosc_alkoholu))) {
+    return res.status(400).json({ error: 'Zawartość alkoholu musi być liczbą od 0 do 100 (% obj.)' });
+  }
 
   const kursEurPln = getKursEurPln(walutaFaktury, aktualnyKurs, kursFaktury);
   const aktualnyKursForDb = normalizeWalutaFaktury(walutaFaktury) === 'PLN' ? 1 : parseKursValue(aktualnyKurs);
@@ -7796,30 +11019,55 @@ app.post('/api/product-receipts', upload.fields([
   console.log(`📊 Kurs EUR/PLN: ${kursEurPln}, kurs faktury: ${kursFaktury}, netto: ${calculatedNetto}, Razem(wartosc): ${wartosc}`);
   
   // Вся операция (создание документа приёмки + партии products + working_sheets)
-  // выполняется в ОДНОЙ транзакции, чтобы при любом сбое откатывался и сам
-  // документ product_receipts, а не оставался "призраком" без склада за ним.
+  // выполняется в ОДНОЙ транзакции stockTransaction, чтобы при любом сбое откатывался
+  // и сам документ product_receipts, а не оставался "призраком" без склада за ним.
   const createReceiptWithProducts = async () => {
     const startTime = Date.now();
     console.log(`⏱️ Starting product processing at ${new Date().toISOString()}`);
 
-    // Начинаем транзакцию для обеспечения консистентности (включая создание самой приёмки)
-    await new Promise((resolve, reject) => {
-      db.run('BEGIN TRANSACTION', (err) => {
-        if (err) {
-          console.error('❌ Error starting transaction:', err);
-          reject(err);
-        } else {
-          console.log('🔄 Transaction started');
-          resolve();
+    try {
+      // Przyjęcie z zamówienia zakupu: zamówienie должно существовать и не быть zamknięte
+      let purchaseOrder = null;
+      if (purchaseOrderId) {
+        purchaseOrder = await dbGetAsync(
+          'SELECT id, numer, zamkniete FROM purchase_orders WHERE id = ? AND company_id = ?',
+          [purchaseOrderId, req.companyId]
+        );
+        if (!purchaseOrder) {
+          return res.status(404).json({ error: 'Zamówienie zakupu nie istnieje' });
         }
-      });
-    });
+        if (purchaseOrder.zamkniete) {
+          return res.status(409).json({ error: `Zamówienie ${purchaseOrder.numer} jest zamknięte` });
+        }
+      }
 
-    try {
+      const foreignError = await foreignCompanyKodError(productsInternal.map((p) => p.kod), req.companyId);
+      if (foreignError) {
+        return res.status(409).json(foreignError);
+      }
+
+      // Wyroby powyżej 22% alkoholu przyjmujemy только с przydzielonymi banderolami
+      const { plan: stampPlan, bezZawartosci } = await planCompanyReceiptStamps(productsInternal, banderole, req.companyId);
+      if (bezZawartosci.length > 0) {
+        return res.status(422).json(receiptAlcoholContentError(bezZawartosci));
+      }
+      if (stampPlan.braki.length > 0 || stampPlan.errors.length > 0) {
+        console.log(`❌ Excise stamps missing: ${[...stampPlan.braki.map((brak) => `${brak.kod} (${brak.brakuje})`), ...stampPlan.errors].join('; ')}`);
+        return res.status(422).json(receiptStampsError(stampPlan));
+      }
+
+      // Dostawca z kartoteki: wybrany w formularzu или найденный / созданный по тексту sprzedawca
+      const { supplier, error: supplierError } = await resolveDocumentSupplier(supplierId, sprzedawca);
+      if (supplierError) {
+        return res.status(404).json({ error: supplierError });
+      }
+      sprzedawca = supplier ? supplier.nazwa : '';
+
+      const kursMeta = await resolveReceiptKursMeta(date, walutaFaktury, aktualnyKursForDb, kursFaktury);
       const receiptId = await new Promise((resolve, reject) => {
         db.run(
-          'INSERT INTO product_receipts (dataPrzyjecia, sprzedawca, wartosc, kosztDostawy, aktualny_kurs, podatek_akcyzowy, rabat, waluta_faktury, kurs_faktury, products, productInvoice, transportInvoice, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-          [date, sprzedawca || '', wartosc || 0, kosztDostawy || 0, aktualnyKursForDb, (parseFloat(String(podatekAkcyzowy||'').replace(',', '.'))||0), (parseFloat(String(rabat||'').replace(',', '.'))||0), walutaFaktury, kursFaktury, JSON.stringify(productsForJson), productInvoice || null, transportInvoice || null, date],
+          'INSERT INTO product_receipts (dataPrzyjecia, sprzedawca, wartosc, kosztDostawy, aktualny_kurs, podatek_akcyzowy, rabat, waluta_faktury, kurs_faktury, kurs_nbp_tabela, kurs_nbp_data, kurs_reczny, products, productInvoice, transportInvoice, created_at, purchase_order_id, supplier_id, company_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [date, sprzedawca || '', wartosc || 0, kosztDostawy || 0, aktualnyKursForDb, (parseFloat(String(podatekAkcyzowy||'').replace(',', '.'))||0), (parseFloat(String(rabat||'').replace(',', '.'))||0), walutaFaktury, kursFaktury, kursMeta.kursNbpTabela, kursMeta.kursNbpData, kursMeta.kursReczny, JSON.stringify(productsForJson), productInvoice || null, transportInvoice || null, date, purchaseOrder ? purchaseOrder.id : null, supplier ? supplier.id : null, req.companyId],
           function(err) {
             if (err) {
               reject(err);
@@ -7830,6 +11078,7 @@ app.post('/api/product-receipts', upload.fields([
         );
       });
       console.log('✅ Product receipt saved with ID:', receiptId);
+      req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.RECEIPT, receiptId);
 
       // Автоматически добавляем товары в working_sheets
       let processedCount = 0;
@@ -7856,7 +11105,7 @@ app.post('/api/product-receipts', upload.fields([
               console.log(`➕ Creating new product record: ${product.kod} (ilosc: ${product.ilosc})`);
             await new Promise((resolve, reject) => {
               db.run(
-                  'INSERT INTO products (kod, nazwa, kod_kreskowy, cena, ilosc, ilosc_aktualna, receipt_id, status, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                  'INSERT INTO products (kod, nazwa, kod_kreskowy, cena, ilosc, ilosc_aktualna, receipt_id, status, created_at, data_waznosci) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
                 [
                   product.kod, 
                   product.nazwa, 
@@ -7866,7 +11115,8 @@ app.post('/api/product-receipts', upload.fields([
                   product.ilosc, // ilosc_aktualna
                     receiptId,
                     (product.cena || 0) === 0 ? 'samples' : null,
-                    date // created_at = data zakupu, а не текущая дата создания записи
+                    date, // created_at = data zakupu, а не текущая дата создания записи
+                    normalizeExpiryDate(product.dataWaznosci)
                 ],
                 function(err) {
                   if (err) {
@@ -7874,6 +11124,7 @@ app.post('/api/product-receipts', upload.fields([
                     reject(err);
                                       } else {
                       console.log(`✅ Created new product record: ${product.kod} with ID: ${this.lastID}`);
+                      req.stockMovements.batch(product.kod, this.lastID, product.ilosc);
                       productsInserted++;
                       resolve();
                     }
@@ -8024,6 +11275,7 @@ app.post('/api/product-receipts', upload.fields([
                           reject(err);
                         } else {
                           console.log(`✅ Updated working_sheets: ${productCode}${isZeroStock ? ' (created_at reset)' : ''}`);
+                          if (this.changes) req.stockMovements.sheet(productCode, summedQuantity);
                           workingSheetsUpdated++;
                           resolve();
                         }
@@ -8066,7 +11318,7 @@ app.post('/api/product-receipts', upload.fields([
                   console.log(`  - koszt_wlasny: ${finalKosztWlasny} (type: ${typeof finalKosztWlasny})`);
                   
                   db.run(
-                    'INSERT INTO working_sheets (kod, nazwa, ilosc, kod_kreskowy, typ, sprzedawca, cena, data_waznosci, objetosc, koszt_dostawy_per_unit, podatek_akcyzowy, koszt_wlasny, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    'INSERT INTO working_sheets (kod, nazwa, ilosc, kod_kreskowy, typ, sprzedawca, cena, data_waznosci, objetosc, koszt_dostawy_per_unit, podatek_akcyzowy, koszt_wlasny, created_at, company_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
                     [
                       productCode, 
                       mainProduct.nazwa, 
@@ -8080,7 +11332,8 @@ app.post('/api/product-receipts', upload.fields([
                       finalKosztDostawy,
                       finalPodatek,
                       finalKosztWlasny,
-                      date // created_at = data zakupu, а не текущая дата создания записи
+                      date, // created_at = data zakupu, а не текущая дата создания записи
+                      req.companyId
                     ],
                     function(err) {
                       if (err) {
@@ -8088,6 +11341,7 @@ app.post('/api/product-receipts', upload.fields([
                         reject(err);
                       } else {
                         console.log(`✅ Created new working_sheets record: ${productCode}`);
+                        req.stockMovements.sheet(productCode, summedQuantity);
                         workingSheetsInserted++;
                         
                         resolve();
@@ -8100,21 +11354,12 @@ app.post('/api/product-receipts', upload.fields([
             
             processedCount++;
           }
+
+          await linkWorkingSheetsToSupplier(Object.keys(productsByCode), supplier);
+          await saveReceiptAlcoholContent(productsInternal, req.companyId);
+          await insertReceiptStamps(stampPlan.przydzialy, receiptId, date);
           
-          // Коммитим транзакцию
-          await new Promise((resolve, reject) => {
-            db.run('COMMIT', (err) => {
-              if (err) {
-                console.error('❌ Error committing transaction:', err);
-                reject(err);
-              } else {
-                console.log('✅ Transaction committed successfully');
-                resolve();
-              }
-            });
-          });
-          
-          // Отправляем ответ
+          // Отправляем ответ (COMMIT вместе с движениями — в stockTransaction)
           const endTime = Date.now();
           const processingTime = endTime - startTime;
           console.log(`🎉 Processing complete in ${processingTime}ms: ${workingSheetsUpdated} working_sheets updated, ${workingSheetsInserted} working_sheets inserted, ${productsInserted} products created`);
@@ -8130,24 +11375,7 @@ app.post('/api/product-receipts', upload.fields([
         } catch (error) {
           console.error('❌ Error during product processing:', error);
           
-          // Откатываем транзакцию
-          try {
-            await new Promise((resolve, reject) => {
-              db.run('ROLLBACK', (rollbackErr) => {
-                if (rollbackErr) {
-                  console.error('❌ Error rolling back transaction:', rollbackErr);
-                  reject(rollbackErr);
-                } else {
-                  console.log('🔄 Transaction rolled back');
-                  resolve();
-                }
-              });
-            });
-          } catch (rollbackError) {
-            console.error('❌ Failed to rollback transaction:', rollbackError);
-          }
-          
-          // Если ответ ещё не отправлен, отправляем ошибку
+          // Если ответ ещё не отправлен, отправляем ошибку (ответ 500 откатывает транзакцию)
           if (!res.headersSent) {
             res.status(500).json({ error: 'Failed to process products: ' + error.message });
           }
@@ -8158,10 +11386,10 @@ app.post('/api/product-receipts', upload.fields([
   createReceiptWithProducts();
 });
 
-app.put('/api/product-receipts/:id', upload.fields([
+app.put('/api/product-receipts/:id', auditTrail('product_receipt', loadProductReceiptAuditSnapshot), upload.fields([
   { name: 'productInvoice', maxCount: 1 },
   { name: 'transportInvoice', maxCount: 1 }
-]), (req, res) => {
+]), requireValidBarcodes(receiptProductBarcodes), stockTransaction, (req, res) => {
   const { id } = req.params;
   console.log(`📦 PUT /api/product-receipts/${id} - Request received`);
   console.log('📦 Request body:', req.body);
@@ -8174,7 +11402,7 @@ app.put('/api/product-receipts/:id', upload.fields([
     transportInvoiceFile: req.files?.transportInvoice
   });
   
-  let date, sprzedawca, wartosc, kosztDostawy, products, productInvoice, transportInvoice, aktualnyKurs, podatekAkcyzowy, rabat, walutaFaktury, kursFaktury;
+  let date, sprzedawca, wartosc, kosztDostawy, products, productInvoice, transportInvoice, aktualnyKurs, podatekAkcyzowy, rabat, walutaFaktury, kursFaktury, supplierId, banderole;
   
   // Проверяем, есть ли файлы (FormData) или это JSON
   if (req.files && (req.files.productInvoice || req.files.transportInvoice)) {
@@ -8183,6 +11411,7 @@ app.put('/api/product-receipts/:id', upload.fields([
       const jsonData = JSON.parse(req.body.data);
       date = jsonData.date;
       sprzedawca = jsonData.sprzedawca;
+      supplierId = jsonData.supplierId;
       wartosc = jsonData.wartosc;
       kosztDostawy = jsonData.kosztDostawy;
       products = jsonData.products;
@@ -8191,6 +11420,7 @@ app.put('/api/product-receipts/:id', upload.fields([
       rabat = jsonData.rabat;
       walutaFaktury = jsonData.walutaFaktury;
       kursFaktury = jsonData.kursFaktury;
+      banderole = jsonData.banderole;
       productInvoice = req.files.productInvoice ? req.files.productInvoice[0].filename : null;
       transportInvoice = req.files.transportInvoice ? req.files.transportInvoice[0].filename : null;
       console.log('📎 Files processed (PUT):', { productInvoice, transportInvoice });
@@ -8202,6 +11432,7 @@ app.put('/api/product-receipts/:id', upload.fields([
     console.log('📄 Processing JSON request (PUT)');
     date = req.body.date;
     sprzedawca = req.body.sprzedawca;
+    supplierId = req.body.supplierId;
     wartosc = req.body.wartosc;
     kosztDostawy = req.body.kosztDostawy;
     products = req.body.products;
@@ -8210,6 +11441,7 @@ app.put('/api/product-receipts/:id', upload.fields([
     rabat = req.body.rabat;
     walutaFaktury = req.body.walutaFaktury;
     kursFaktury = req.body.kursFaktury;
+    banderole = req.body.banderole;
     productInvoice = req.body.productInvoice;
     transportInvoice = req.body.transportInvoice;
   }
@@ -8240,6 +11472,9 @@ app.put('/api/product-receipts/:id', upload.fields([
   if (products.some((p) => !p.kod)) {
     return res.status(400).json({ error: 'Kod produktu nie może być pusty' });
   }
+  if (products.some((p) => Number.isNaN(p.zawartosc_alkoholu))) {
+    return res.status(400).json({ error: 'Zawartość alkoholu musi być liczbą od 0 do 100 (% obj.)' });
+  }
 
   const kursEurPln = getKursEurPln(walutaFaktury, aktualnyKurs, kursFaktury);
   const aktualnyKursForDb = normalizeWalutaFaktury(walutaFaktury) === 'PLN' ? 1 : parseKursValue(aktualnyKurs);
@@ -8255,25 +11490,16 @@ app.put('/api/product-receipts/:id', upload.fields([
   wartosc = clientRazem > 0 ? clientRazem : calculatedNetto;
   
   // Вся операция обновления приёмки (документ product_receipts + партии products +
-  // working_sheets) выполняется в ОДНОЙ транзакции, чтобы документ и склад не могли
-  // рассинхронизироваться при частичном сбое на любом из шагов.
+  // working_sheets) выполняется в ОДНОЙ транзакции stockTransaction, чтобы документ и
+  // склад не могли рассинхронизироваться при частичном сбое на любом из шагов.
   const updateReceiptWithProducts = async () => {
-    await new Promise((resolve, reject) => {
-      db.run('BEGIN TRANSACTION', (err) => {
-        if (err) {
-          console.error('❌ Error starting transaction (PUT):', err);
-          reject(err);
-        } else {
-          console.log('🔄 Transaction started (PUT)');
-          resolve();
-        }
-      });
-    });
+    req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.RECEIPT, id);
 
     try {
+      const kursMeta = await resolveReceiptKursMeta(date, walutaFaktury, aktualnyKursForDb, kursFaktury);
       // Сначала получаем старые данные для сравнения
       const oldReceipt = await new Promise((resolve, reject) => {
-        db.get('SELECT dataPrzyjecia, products, productInvoice, transportInvoice, podatek_akcyzowy, aktualny_kurs, kurs_faktury, waluta_faktury, kosztDostawy FROM product_receipts WHERE id = ?', [id], (err, row) => {
+        db.get('SELECT dataPrzyjecia, products, productInvoice, transportInvoice, podatek_akcyzowy, aktualny_kurs, kurs_faktury, waluta_faktury, kosztDostawy, company_id FROM product_receipts WHERE id = ?', [id], (err, row) => {
           if (err) reject(err);
           else resolve(row);
         });
@@ -8284,6 +11510,11 @@ app.put('/api/product-receipts/:id', upload.fields([
         throw Object.assign(new Error('Product receipt not found'), { statusCode: 404 });
       }
 
+      const foreignError = await foreignCompanyKodError(products.map((p) => normalizeProductKod(p.kod)), oldReceipt.company_id);
+      if (foreignError) {
+        throw Object.assign(new Error(foreignError.error), { statusCode: 409 });
+      }
+
       const oldProducts = JSON.parse(oldReceipt.products || '[]');
       const oldPodatekAkcyzowy = parseFloat(String(oldReceipt.podatek_akcyzowy || '0').replace(',', '.')) || 0;
       const newPodatekAkcyzowy = parseFloat(String(podatekAkcyzowy || '0').replace(',', '.')) || 0;
@@ -8345,7 +11576,7 @@ app.put('/api/product-receipts/:id', upload.fields([
               payload: {
                 error: 'kod_change_blocked',
                 message:
-                  'Nie można zmienić lub usunąć kodu: istnieją dokumenty (zamówienia / rozchody / zwroty / przychody) z tym kodem',
+                  'Nie można zmienić lub usunąć kodu: istnieją dokumenty (zamówienia / rozchody / zwroty / przychody / przesunięcia) z tym kodem',
                 conflicts,
               },
             });
@@ -8353,6 +11584,17 @@ app.put('/api/product-receipts/:id', upload.fields([
         }
       }
       
+      // Banderole: zakresy убранных pozycji zwalniamy, nowe / zwiększone pozycje powyżej 22%
+      // wymagają przydziału banderol jak przy przyjęciu
+      const { plan: stampPlan, released: releasedStamps, bezZawartosci } = await planCompanyReceiptStamps(products, banderole, oldReceipt.company_id, id);
+      if (bezZawartosci.length > 0) {
+        throw Object.assign(new Error('Alcohol content missing'), { statusCode: 422, payload: receiptAlcoholContentError(bezZawartosci) });
+      }
+      if (stampPlan.braki.length > 0 || stampPlan.errors.length > 0) {
+        console.log(`❌ Excise stamps missing (PUT): ${[...stampPlan.braki.map((brak) => `${brak.kod} (${brak.brakuje})`), ...stampPlan.errors].join('; ')}`);
+        throw Object.assign(new Error('Excise stamps missing'), { statusCode: 422, payload: receiptStampsError(stampPlan) });
+      }
+
       // Сохраняем существующие файлы, если новые не загружены
       const finalProductInvoice = productInvoice || oldReceipt.productInvoice;
       const finalTransportInvoice = transportInvoice || oldReceipt.transportInvoice;
@@ -8366,14 +11608,20 @@ app.put('/api/product-receipts/:id', upload.fields([
         oldTransportInvoice: oldReceipt.transportInvoice
       });
       
+      const { supplier, error: supplierError } = await resolveDocumentSupplier(supplierId, sprzedawca);
+      if (supplierError) {
+        return res.status(404).json({ error: supplierError });
+      }
+      sprzedawca = supplier ? supplier.nazwa : '';
+
       // Вычисляем курс для обновления записи (парсим с заменой запятой на точку)
       const podatekAkcyzowyParsed = parseFloat(String(podatekAkcyzowy || '0').replace(',', '.')) || 0;
       const rabatParsed = parseFloat(String(rabat || '0').replace(',', '.')) || 0;
 
       await new Promise((resolve, reject) => {
         db.run(
-          'UPDATE product_receipts SET dataPrzyjecia = ?, sprzedawca = ?, wartosc = ?, kosztDostawy = ?, aktualny_kurs = ?, podatek_akcyzowy = ?, rabat = ?, waluta_faktury = ?, kurs_faktury = ?, products = ?, productInvoice = ?, transportInvoice = ?, created_at = ? WHERE id = ?',
-          [date, sprzedawca || '', wartosc || 0, kosztDostawy || 0, aktualnyKursForDb, podatekAkcyzowyParsed, rabatParsed, walutaFaktury, kursFaktury, JSON.stringify(productsForJson), finalProductInvoice, finalTransportInvoice, date, id],
+          'UPDATE product_receipts SET dataPrzyjecia = ?, sprzedawca = ?, wartosc = ?, kosztDostawy = ?, aktualny_kurs = ?, podatek_akcyzowy = ?, rabat = ?, waluta_faktury = ?, kurs_faktury = ?, kurs_nbp_tabela = ?, kurs_nbp_data = ?, kurs_reczny = ?, products = ?, productInvoice = ?, transportInvoice = ?, created_at = ?, supplier_id = ? WHERE id = ?',
+          [date, sprzedawca || '', wartosc || 0, kosztDostawy || 0, aktualnyKursForDb, podatekAkcyzowyParsed, rabatParsed, walutaFaktury, kursFaktury, kursMeta.kursNbpTabela, kursMeta.kursNbpData, kursMeta.kursReczny, JSON.stringify(productsForJson), finalProductInvoice, finalTransportInvoice, date, supplier ? supplier.id : null, id],
           function(err) {
             if (err) reject(err);
             else resolve();
@@ -8415,6 +11663,8 @@ app.put('/api/product-receipts/:id', upload.fields([
                 }
               });
             });
+            const stockKods = [...oldProductsFromDb.map((p) => p.kod), ...products.map((p) => p.kod)];
+            const stockBefore = await snapshotStockLevels(stockKods);
             
             // Если изменилась дата закупки (data zakupu) — синхронизируем created_at
             // в products для этой приемки, даже если состав/количество товаров не менялись
@@ -8497,8 +11747,8 @@ app.put('/api/product-receipts/:id', upload.fields([
                 for (const item of newProduct.items) {
               await new Promise((resolve, reject) => {
                     db.run(
-                      'INSERT INTO products (kod, nazwa, kod_kreskowy, cena, ilosc, ilosc_aktualna, receipt_id, status, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-                      [item.kod, item.nazwa, item.kod_kreskowy || null, item.cena || 0, item.ilosc, item.ilosc, id, (item.cena || 0) === 0 ? 'samples' : null, date],
+                      'INSERT INTO products (kod, nazwa, kod_kreskowy, cena, ilosc, ilosc_aktualna, receipt_id, status, created_at, data_waznosci) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                      [item.kod, item.nazwa, item.kod_kreskowy || null, item.cena || 0, item.ilosc, item.ilosc, id, (item.cena || 0) === 0 ? 'samples' : null, date, normalizeExpiryDate(item.dataWaznosci)],
                       function(err) {
                   if (err) {
                           console.error(`❌ Error inserting new product ${productCode}:`, err);
@@ -8555,6 +11805,17 @@ app.put('/api/product-receipts/:id', upload.fields([
                 if (changes.ilosc) {
                   console.log(`🔄 Quantity changed for ${productCode}: ${oldProduct.ilosc} → ${newProduct.ilosc}`);
 
+                  // Партии пересоздаются в magazynie głównym — части, перенесённые
+                  // przesunięciem в другие lokalizacje, потерялись бы
+                  if (oldProduct.records.some((r) => (r.location_id || DEFAULT_LOCATION_ID) !== DEFAULT_LOCATION_ID)) {
+                    throw Object.assign(new Error('Quantity change blocked by stock transfer'), {
+                      statusCode: 409,
+                      payload: {
+                        error: `Nie można zmienić ilości ${productCode}: część partii przesunięto do innej lokalizacji. Najpierw usuń przesunięcie.`,
+                      },
+                    });
+                  }
+
                   // ВАЖНО: нельзя просто пересоздать партию с ilosc_aktualna = новое ilosc —
                   // это стёрло бы информацию о том, сколько из старой партии уже продано через
                   // FIFO-списание (products.ilosc_aktualna). Вместо этого переносим дельту:
@@ -8607,8 +11868,8 @@ app.put('/api/product-receipts/:id', upload.fields([
 
                     await new Promise((resolve, reject) => {
                     db.run(
-                        'INSERT INTO products (kod, nazwa, kod_kreskowy, cena, ilosc, ilosc_aktualna, receipt_id, status, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-                        [item.kod, item.nazwa, item.kod_kreskowy || null, item.cena || 0, item.ilosc, itemIloscAktualna, id, (item.cena || 0) === 0 ? 'samples' : null, date],
+                        'INSERT INTO products (kod, nazwa, kod_kreskowy, cena, ilosc, ilosc_aktualna, receipt_id, status, created_at, data_waznosci) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                        [item.kod, item.nazwa, item.kod_kreskowy || null, item.cena || 0, item.ilosc, itemIloscAktualna, id, (item.cena || 0) === 0 ? 'samples' : null, date, normalizeExpiryDate(item.dataWaznosci)],
                       function(err) {
                         if (err) {
                             console.error(`❌ Error inserting updated product ${productCode}:`, err);
@@ -8641,6 +11902,10 @@ app.put('/api/product-receipts/:id', upload.fields([
                     updateFields.push('cena = ?');
                     updateValues.push(newProduct.cena || 0);
                   }
+                  if (changes.dataWaznosci) {
+                    updateFields.push('data_waznosci = ?');
+                    updateValues.push(normalizeExpiryDate(newProduct.dataWaznosci));
+                  }
                   
                   if (updateFields.length > 0) {
                     updateValues.push(id, productCode);
@@ -8731,8 +11996,8 @@ app.put('/api/product-receipts/:id', upload.fields([
                   }
 
                   db.run(
-                    'INSERT INTO working_sheets (kod, nazwa, ilosc, kod_kreskowy, typ, sprzedawca, cena, data_waznosci, objetosc, koszt_dostawy_per_unit, podatek_akcyzowy, koszt_wlasny, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-                    [normalizedCode, sourceProduct.nazwa, totalQuantityResult, sourceProduct.kod_kreskowy || null, sourceProduct.typ || null, sprzedawca || null, maxCena, sourceProduct.dataWaznosci || null, sourceProduct.objetosc || null, kosztDostawyPerUnitForProduct, podatekValue, kosztWlasnyValue, date],
+                    'INSERT INTO working_sheets (kod, nazwa, ilosc, kod_kreskowy, typ, sprzedawca, cena, data_waznosci, objetosc, koszt_dostawy_per_unit, podatek_akcyzowy, koszt_wlasny, created_at, company_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    [normalizedCode, sourceProduct.nazwa, totalQuantityResult, sourceProduct.kod_kreskowy || null, sourceProduct.typ || null, sprzedawca || null, maxCena, sourceProduct.dataWaznosci || null, sourceProduct.objetosc || null, kosztDostawyPerUnitForProduct, podatekValue, kosztWlasnyValue, date, oldReceipt.company_id],
                     function (err) {
                       if (err) {
                         console.error(`❌ Error creating working_sheets for ${normalizedCode}:`, err);
@@ -8825,8 +12090,8 @@ app.put('/api/product-receipts/:id', upload.fields([
                   
               await new Promise((resolve, reject) => {
                         db.run(
-                      'INSERT INTO working_sheets (kod, nazwa, ilosc, kod_kreskowy, typ, sprzedawca, cena, data_waznosci, objetosc, koszt_dostawy_per_unit, podatek_akcyzowy, koszt_wlasny, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-                      [productCode, sourceProduct.nazwa, totalQuantityResult, sourceProduct.kod_kreskowy || null, sourceProduct.typ || null, sprzedawca || null, maxCena, sourceProduct.dataWaznosci || null, sourceProduct.objetosc || null, kosztDostawyPerUnitForProduct, podatekValue, kosztWlasnyValue, date],
+                      'INSERT INTO working_sheets (kod, nazwa, ilosc, kod_kreskowy, typ, sprzedawca, cena, data_waznosci, objetosc, koszt_dostawy_per_unit, podatek_akcyzowy, koszt_wlasny, created_at, company_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                      [productCode, sourceProduct.nazwa, totalQuantityResult, sourceProduct.kod_kreskowy || null, sourceProduct.typ || null, sprzedawca || null, maxCena, sourceProduct.dataWaznosci || null, sourceProduct.objetosc || null, kosztDostawyPerUnitForProduct, podatekValue, kosztWlasnyValue, date, oldReceipt.company_id],
                           function(err) {
                   if (err) {
                           console.error(`❌ Error creating working_sheets for ${productCode}:`, err);
@@ -9099,2391 +12364,5672 @@ app.put('/api/product-receipts/:id', upload.fields([
                   updateFields.push('koszt_wlasny = ?');
                   updateValues.push(kosztWlasnyValue);
                 }
-                
-                // Обновляем sprzedawca, если он изменился
-                if ((workingSheetRecord.sprzedawca || '') !== (sprzedawca || '')) {
-                  updateFields.push('sprzedawca = ?');
-                  updateValues.push(sprzedawca || null);
+                
+                // Обновляем sprzedawca, если он изменился
+                if ((workingSheetRecord.sprzedawca || '') !== (sprzedawca || '')) {
+                  updateFields.push('sprzedawca = ?');
+                  updateValues.push(sprzedawca || null);
+            }
+                
+                // Обновляем koszt_dostawy_per_unit, если изменился kosztDostawy или kurs
+                const kosztDostawyPerUnitValue = Math.round((((kosztDostawy || 0) / (totalBottles || 1)) * kurs) * 100) / 100;
+                // Для aksesoria транспорт не распределяется
+                const sourceProduct = newProduct.items[0];
+                const kosztDostawyPerUnitForProduct = sourceProduct.typ === 'aksesoria' ? 0 : kosztDostawyPerUnitValue;
+                const kosztDostawyPerUnitChanged = Math.abs((workingSheetRecord.koszt_dostawy_per_unit || 0) - kosztDostawyPerUnitForProduct) > 0.01;
+                
+                // Обновляем, если значение изменилось ИЛИ если изменился курс или kosztDostawy в приемке
+                if (kosztDostawyPerUnitChanged || kursChanged || kosztDostawyChanged) {
+                  updateFields.push('koszt_dostawy_per_unit = ?');
+                  updateValues.push(kosztDostawyPerUnitForProduct);
+                  
+                  // Пересчитываем koszt_wlasny, используя ТЕКУЩЕЕ значение podatek_akcyzowy из БД
+                  const maxCena = Math.max(...newProduct.items.map(p => parseFloat(p.cena || 0)));
+                  const currentPodatekAkcyzowy = workingSheetRecord.podatek_akcyzowy || 0;
+                  const maxCenaOryginalna = Math.max(...newProduct.items.map(p => parseFloat(p.cenaOryginalna ?? p.cena ?? 0)));
+                  const kosztWlasnyValue = computeKosztWlasny(walutaFaktury, maxCena, maxCenaOryginalna, kurs, kosztDostawyPerUnitForProduct, currentPodatekAkcyzowy);
+                  
+                  // Удаляем старое значение koszt_wlasny, если оно уже есть
+                  const kosztWlasnyIndex = updateFields.indexOf('koszt_wlasny = ?');
+                  if (kosztWlasnyIndex !== -1) {
+                    updateValues.splice(kosztWlasnyIndex, 1);
+                    updateFields.splice(kosztWlasnyIndex, 1);
+                  }
+                  
+                  updateFields.push('koszt_wlasny = ?');
+                  updateValues.push(kosztWlasnyValue);
+                }
+                
+                // Синхронизируем created_at с новой датой приемки, но только если её выставила именно эта приёмка
+                if (shouldSyncCreatedAt) {
+                  updateFields.push('created_at = ?');
+                  updateValues.push(date);
+                }
+                
+                if (updateFields.length > 0) {
+                  updateValues.push(productCode);
+                  await new Promise((resolve, reject) => {
+                    db.run(
+                      `UPDATE working_sheets SET ${updateFields.join(', ')} WHERE kod = ?`,
+                      updateValues,
+                      function(err) {
+                        if (err) {
+                          console.error(`❌ Error updating working_sheets for ${productCode}:`, err);
+                          reject(err);
+                        } else {
+                          console.log(`✅ Updated working_sheets for ${productCode}, fields: ${updateFields.join(', ')}`);
+                          workingSheetsUpdated++;
+                          resolve();
+              }
+            }
+                    );
+                  });
+                }
+              }
+            }
+            
+            recordStockLevelChanges(req.stockMovements, stockBefore, await snapshotStockLevels(stockKods));
+      }
+
+      await linkWorkingSheetsToSupplier([...new Set(products.map((p) => normalizeProductKod(p.kod)).filter(Boolean))], supplier);
+      await saveReceiptAlcoholContent(products, oldReceipt.company_id);
+
+      for (const usage of releasedStamps) {
+        await dbRunAsync('DELETE FROM excise_stamp_usages WHERE id = ?', [usage.id]);
+      }
+      if (releasedStamps.length > 0) {
+        console.log(`🏷️ Receipt ${id}: excise stamps of removed items released (${releasedStamps.map((usage) => usage.kod).join(', ')})`);
+      }
+      await insertReceiptStamps(stampPlan.przydzialy, id, date);
+      // data naklejenia = data przyjęcia (miesięczne rozliczenie banderol)
+      await dbRunAsync(
+        'UPDATE excise_stamp_usages SET data = ? WHERE receipt_id = ? AND rodzaj = ?',
+        [date, id, RODZAJE_UZYCIA.NAKLEJONA]
+      );
+
+      // Шаг 4: Отправляем ответ (COMMIT вместе с движениями — в stockTransaction)
+
+      console.log(`🎉 Update processing complete: ${workingSheetsUpdated} working_sheets updated, ${productsUpdated} products updated, ${productsInserted} products created, ${productsDeleted} products deleted`);
+
+      res.json({
+        message: 'Product receipt updated successfully',
+        workingSheetsUpdated: workingSheetsUpdated,
+        productsUpdated: productsUpdated,
+        productsCreated: productsInserted,
+        productsDeleted: productsDeleted
+      });
+
+    } catch (error) {
+      console.error('❌ Error during product processing (PUT):', error);
+
+      // Ответ с ошибкой откатывает транзакцию — документ и склад останутся ровно
+      // в том состоянии, в котором были до начала PUT-запроса
+      if (!res.headersSent) {
+        const statusCode = error.statusCode || 500;
+        if (error.payload) {
+          res.status(statusCode).json(error.payload);
+        } else {
+          res.status(statusCode).json({
+            error: statusCode === 404 ? 'Product receipt not found' : 'Failed to update working sheets: ' + error.message
+          });
+        }
+      }
+    }
+  };
+
+  // Запускаем обновление приёмки (документ + products + working_sheets — всё в одной транзакции)
+  updateReceiptWithProducts();
+});
+
+app.delete('/api/product-receipts/:id', auditTrail('product_receipt', loadProductReceiptAuditSnapshot), stockTransaction, async (req, res) => {
+  const { id } = req.params;
+  console.log(`📦 DELETE /api/product-receipts/${id} - Deleting product receipt`);
+
+  // Вся операция удаления приёмки (products + working_sheets + history + сам документ)
+  // выполняется в ОДНОЙ транзакции stockTransaction, чтобы при сбое на любом шаге
+  // склад не остался в наполовину удалённом/пересчитанном состоянии.
+  req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.RECEIPT, id);
+
+  try {
+    // 1) Считываем строку приёмки вместе с товарами и датой
+    const receiptRow = await new Promise((resolve, reject) => {
+      db.get('SELECT products, dataPrzyjecia FROM product_receipts WHERE id = ?', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!receiptRow) {
+      console.log(`❌ Receipt ${id} not found`);
+      throw Object.assign(new Error('Product receipt not found'), { statusCode: 404 });
+    }
+
+    const products = JSON.parse(receiptRow.products || '[]');
+    const receiptDate = receiptRow.dataPrzyjecia;
+    const receiptDateOnly = (receiptDate || '').toString().substring(0,10);
+    console.log(`🔍 ${products.length} product rows, date=${receiptDateOnly}`);
+
+    const receiptBatches = await dbAllAsync('SELECT kod FROM products WHERE receipt_id = ?', [id]);
+    const stockKods = [...products.map((p) => p.kod), ...receiptBatches.map((p) => p.kod)];
+    const stockBefore = await snapshotStockLevels(stockKods);
+
+    // 2) Удаляем связанные строки из products
+    const deletedProductsCount = await new Promise((resolve, reject) => {
+      db.run('DELETE FROM products WHERE receipt_id = ?', [id], function (prodErr) {
+        if (prodErr) reject(prodErr);
+        else resolve(this.changes);
+      });
+    });
+    console.log(`✅ Deleted ${deletedProductsCount} product rows`);
+
+    // 3) Пересчитываем working_sheets для каждого товара (последовательно, а не параллельно,
+    // чтобы не полагаться на порядок выполнения независимых callback'ов)
+    let wsDeleted = 0;
+    let wsUpdated = 0;
+    const restoredSuppliers = [];
+
+    for (const product of products) {
+      const productKod = normalizeProductKod(product.kod);
+
+      const wsRow = await new Promise((resolve) => {
+        db.get('SELECT * FROM working_sheets WHERE kod = ?', [productKod], (wsErr, row) => {
+          if (wsErr) {
+            console.error('❌ working_sheets read error:', wsErr);
+            resolve(null);
+          } else {
+            resolve(row);
+          }
+        });
+      });
+
+      if (!wsRow) continue;
+
+      const cntRow = await new Promise((resolve) => {
+        db.get('SELECT COUNT(*) as cnt FROM products WHERE kod = ?', [productKod], (cntErr, row) => {
+          if (cntErr) {
+            console.error('❌ count error:', cntErr);
+            resolve({ cnt: 0 });
+          } else {
+            resolve(row || { cnt: 0 });
+          }
+        });
+      });
+
+      const leftReceipts = cntRow.cnt || 0;
+
+      if (leftReceipts === 0) {
+        console.log(`🔍 Looking for snapshot before receipt ${id} for product ${productKod}`);
+        const snapshot = await new Promise((resolve) => {
+          db.get(
+            `SELECT * FROM working_sheets_history
+             WHERE kod = ? AND action = 'before_receipt' AND receipt_id = ?
+             ORDER BY created_at DESC LIMIT 1`,
+            [productKod, id],
+            (snapshotErr, row) => {
+              if (snapshotErr) {
+                console.error(`❌ Error finding snapshot for ${productKod}:`, snapshotErr);
+                resolve(null);
+              } else {
+                resolve(row);
+              }
+            }
+          );
+        });
+
+        if (snapshot) {
+          console.log(`🔄 Restoring ${productKod} from snapshot (receipt_id: ${id})`);
+          await new Promise((resolve) => {
+            db.run(
+              `UPDATE working_sheets SET
+                nazwa = ?,
+                ilosc = ?,
+                kod_kreskowy = ?,
+                typ = ?,
+                sprzedawca = ?,
+                cena = ?,
+                data_waznosci = ?,
+                objetosc = ?,
+                koszt_dostawy_per_unit = ?
+              WHERE kod = ?`,
+              [
+                snapshot.nazwa,
+                snapshot.ilosc,
+                snapshot.kod_kreskowy,
+                snapshot.typ,
+                snapshot.sprzedawca,
+                snapshot.cena,
+                snapshot.data_waznosci,
+                snapshot.objetosc,
+                snapshot.koszt_dostawy_per_unit,
+                productKod,
+              ],
+              function (restoreErr) {
+                if (restoreErr) {
+                  console.error(`❌ Error restoring ${productKod}:`, restoreErr);
+                } else {
+                  console.log(`✅ Restored ${productKod} to state before receipt ${id}`);
+                  wsUpdated++;
+                  restoredSuppliers.push({ kod: productKod, sprzedawca: snapshot.sprzedawca });
+                }
+                resolve();
+              }
+            );
+          });
+        } else {
+          console.log(`🗑️ No snapshot found for ${productKod}, deleting from working_sheets`);
+          await new Promise((resolve) => {
+            db.run('DELETE FROM working_sheets WHERE kod = ?', [productKod], function (delErr) {
+              if (!delErr) wsDeleted++;
+              resolve();
+            });
+          });
+        }
+      } else {
+        // Есть другие партии этого kod — пересчитываем ilosc/cena из остатков.
+        // Nazwa и прочие поля: если текущее состояние в working_sheets совпадает
+        // с тем, что записала удаляемая przyjęcie, откатываем метаданные
+        // к snapshot before_receipt (иначе оставляем — их уже перезаписала более новая przyjęcie).
+        const sumRow = await new Promise((resolve) => {
+          db.get(
+            'SELECT SUM(ilosc_aktualna) as total_ilosc, MAX(cena) as max_cena FROM products WHERE kod = ?',
+            [productKod],
+            (sumErr, row) => {
+              if (sumErr) resolve(null);
+              else resolve(row);
             }
-                
-                // Обновляем koszt_dostawy_per_unit, если изменился kosztDostawy или kurs
-                const kosztDostawyPerUnitValue = Math.round((((kosztDostawy || 0) / (totalBottles || 1)) * kurs) * 100) / 100;
-                // Для aksesoria транспорт не распределяется
-                const sourceProduct = newProduct.items[0];
-                const kosztDostawyPerUnitForProduct = sourceProduct.typ === 'aksesoria' ? 0 : kosztDostawyPerUnitValue;
-                const kosztDostawyPerUnitChanged = Math.abs((workingSheetRecord.koszt_dostawy_per_unit || 0) - kosztDostawyPerUnitForProduct) > 0.01;
-                
-                // Обновляем, если значение изменилось ИЛИ если изменился курс или kosztDostawy в приемке
-                if (kosztDostawyPerUnitChanged || kursChanged || kosztDostawyChanged) {
-                  updateFields.push('koszt_dostawy_per_unit = ?');
-                  updateValues.push(kosztDostawyPerUnitForProduct);
-                  
-                  // Пересчитываем koszt_wlasny, используя ТЕКУЩЕЕ значение podatek_akcyzowy из БД
-                  const maxCena = Math.max(...newProduct.items.map(p => parseFloat(p.cena || 0)));
-                  const currentPodatekAkcyzowy = workingSheetRecord.podatek_akcyzowy || 0;
-                  const maxCenaOryginalna = Math.max(...newProduct.items.map(p => parseFloat(p.cenaOryginalna ?? p.cena ?? 0)));
-                  const kosztWlasnyValue = computeKosztWlasny(walutaFaktury, maxCena, maxCenaOryginalna, kurs, kosztDostawyPerUnitForProduct, currentPodatekAkcyzowy);
-                  
-                  // Удаляем старое значение koszt_wlasny, если оно уже есть
-                  const kosztWlasnyIndex = updateFields.indexOf('koszt_wlasny = ?');
-                  if (kosztWlasnyIndex !== -1) {
-                    updateValues.splice(kosztWlasnyIndex, 1);
-                    updateFields.splice(kosztWlasnyIndex, 1);
-                  }
-                  
-                  updateFields.push('koszt_wlasny = ?');
-                  updateValues.push(kosztWlasnyValue);
+          );
+        });
+
+        if (!sumRow) continue;
+
+        const qty = sumRow.total_ilosc || 0;
+        const price = sumRow.max_cena || 0;
+        const deletedNazwa = (product.nazwa || '').trim();
+        const currentNazwa = (wsRow.nazwa || '').trim();
+        const shouldRestoreMeta =
+          deletedNazwa.length > 0 && currentNazwa === deletedNazwa;
+
+        let snapshot = null;
+        if (shouldRestoreMeta) {
+          snapshot = await new Promise((resolve) => {
+            db.get(
+              `SELECT * FROM working_sheets_history
+               WHERE kod = ? AND action = 'before_receipt' AND receipt_id = ?
+               ORDER BY created_at DESC LIMIT 1`,
+              [productKod, id],
+              (snapshotErr, row) => {
+                if (snapshotErr) {
+                  console.error(`❌ Error finding snapshot for ${productKod}:`, snapshotErr);
+                  resolve(null);
+                } else {
+                  resolve(row);
                 }
-                
-                // Синхронизируем created_at с новой датой приемки, но только если её выставила именно эта приёмка
-                if (shouldSyncCreatedAt) {
-                  updateFields.push('created_at = ?');
-                  updateValues.push(date);
+              }
+            );
+          });
+        }
+
+        if (snapshot) {
+          console.log(
+            `🔄 Restoring metadata for ${productKod} from snapshot (receipt ${id}), qty from remaining batches`
+          );
+          await new Promise((resolve) => {
+            db.run(
+              `UPDATE working_sheets SET
+                nazwa = ?,
+                ilosc = ?,
+                kod_kreskowy = ?,
+                typ = ?,
+                sprzedawca = ?,
+                cena = ?,
+                data_waznosci = ?,
+                objetosc = ?,
+                koszt_dostawy_per_unit = ?
+              WHERE kod = ?`,
+              [
+                snapshot.nazwa,
+                qty,
+                snapshot.kod_kreskowy,
+                snapshot.typ,
+                snapshot.sprzedawca,
+                price,
+                snapshot.data_waznosci,
+                snapshot.objetosc,
+                snapshot.koszt_dostawy_per_unit,
+                productKod,
+              ],
+              function (restoreErr) {
+                if (restoreErr) {
+                  console.error(`❌ Error restoring metadata for ${productKod}:`, restoreErr);
+                } else {
+                  console.log(
+                    `✅ Restored ${productKod}: nazwa="${snapshot.nazwa}", ilosc=${qty}, cena=${price}`
+                  );
+                  wsUpdated++;
+                  restoredSuppliers.push({ kod: productKod, sprzedawca: snapshot.sprzedawca });
                 }
-                
-                if (updateFields.length > 0) {
-                  updateValues.push(productCode);
-                  await new Promise((resolve, reject) => {
-                    db.run(
-                      `UPDATE working_sheets SET ${updateFields.join(', ')} WHERE kod = ?`,
-                      updateValues,
-                      function(err) {
-                        if (err) {
-                          console.error(`❌ Error updating working_sheets for ${productCode}:`, err);
-                          reject(err);
-                        } else {
-                          console.log(`✅ Updated working_sheets for ${productCode}, fields: ${updateFields.join(', ')}`);
-                          workingSheetsUpdated++;
-                          resolve();
+                resolve();
               }
-            }
-                    );
-                  });
-                }
+            );
+          });
+        } else {
+          await new Promise((resolve) => {
+            db.run(
+              'UPDATE working_sheets SET ilosc = ?, cena = ? WHERE kod = ?',
+              [qty, price, productKod],
+              function (upErr) {
+                if (!upErr) wsUpdated++;
+                resolve();
               }
-            }
-            
+            );
+          });
+        }
       }
+    }
+
+    // 4) Удаляем историю working_sheets, относящуюся к этой приёмке
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM working_sheets_history WHERE receipt_id = ?', [id], (historyErr) => {
+        if (historyErr) reject(historyErr);
+        else resolve();
+      });
+    });
+    console.log(`🗑️ Deleted working_sheets_history for receipt ${id}`);
+
+    // Banderole, naklejone na partie przyjęcia, возвращаются в zapas
+    const stampsReleased = await dbRunAsync(
+      'DELETE FROM excise_stamp_usages WHERE receipt_id = ? AND rodzaj = ?',
+      [id, RODZAJE_UZYCIA.NAKLEJONA]
+    );
+    if (stampsReleased.changes > 0) {
+      console.log(`🏷️ Released ${stampsReleased.changes} excise stamp ranges of receipt ${id}`);
+    }
+
+    // 5) Удаляем сам документ приёмки (после того, как все связанные записи уже удалены)
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM product_receipts WHERE id = ?', [id], function (recErr) {
+        if (recErr) reject(recErr);
+        else resolve();
+      });
+    });
+    console.log('✅ Product receipt row deleted');
+
+    // Восстановленный из истории sprzedawca → dostawca kartoteki для этих pozycji
+    for (const { kod, sprzedawca } of restoredSuppliers) {
+      const supplier = await findOrCreateSupplier(sprzedawca);
+      await dbRunAsync('UPDATE working_sheets SET supplier_id = ? WHERE kod = ?', [supplier ? supplier.id : null, kod]);
+    }
+
+    // 6) Записываем движения и отправляем ответ (COMMIT — в stockTransaction)
+    recordStockLevelChanges(req.stockMovements, stockBefore, await snapshotStockLevels(stockKods));
+
+    res.json({
+      message: 'Product receipt deleted successfully',
+      workingSheetsDeleted: wsDeleted,
+      workingSheetsUpdated: wsUpdated,
+      priceHistoryDeleted: 0,
+    });
+
+  } catch (error) {
+    console.error('❌ Error during receipt deletion:', error);
+
+    // Ответ с ошибкой откатывает транзакцию — ни документ, ни products, ни
+    // working_sheets не должны измениться при сбое на любом из шагов
+    if (!res.headersSent) {
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        error: statusCode === 404 ? 'Product receipt not found' : error.message
+      });
+    }
+  }
+});
+
+
+// ===== KODY KRESKOWE (skaner) =====
+
+const BARCODE_SHEET_FIELDS = 'id, kod, nazwa, kod_kreskowy, ilosc, typ, objetosc, zawartosc_alkoholu, sprzedawca, cena_sprzedazy, archived';
+
+// Товар firmy по kodowi kreskowemu: сначала working_sheets, затем партии products
+// (kod_kreskowy мог быть заведён только в przyjęciu). Активные записи важнее архивных.
+async function findSheetsByBarcode(ean, companyId) {
+  let sheets = await dbAllAsync(
+    `SELECT ${BARCODE_SHEET_FIELDS} FROM working_sheets WHERE kod_kreskowy = ? AND company_id = ? ORDER BY id`,
+    [ean, companyId]
+  );
+  if (sheets.length === 0) {
+    sheets = await dbAllAsync(
+      `SELECT ${BARCODE_SHEET_FIELDS} FROM working_sheets
+       WHERE kod IN (SELECT DISTINCT kod FROM products WHERE kod_kreskowy = ?) AND company_id = ?
+       ORDER BY id`,
+      [ean, companyId]
+    );
+  }
+  const active = sheets.filter((sheet) => !sheet.archived);
+  return active.length > 0 ? active : sheets;
+}
+
+app.get('/api/working-sheets/by-barcode/:ean', async (req, res) => {
+  const ean = normalizeBarcode(req.params.ean);
+  console.log(`🔍 GET /api/working-sheets/by-barcode/${ean}`);
+
+  if (!ean) {
+    return res.status(400).json({ error: 'Kod kreskowy jest wymagany' });
+  }
+
+  try {
+    const sheets = await findSheetsByBarcode(ean, req.companyId);
+    if (sheets.length === 0) {
+      return res.status(404).json({
+        error: `Nieznany kod kreskowy ${ean}`,
+        kod_kreskowy: ean,
+        poprawny: barcodeError(ean) === null,
+      });
+    }
+    if (sheets.length > 1) {
+      return res.status(409).json({
+        error: `Kod kreskowy ${ean} jest przypisany do kilku produktów: ${sheets.map((sheet) => sheet.kod).join(', ')}`,
+        kody: sheets.map((sheet) => sheet.kod),
+      });
+    }
+    res.json(sheets[0]);
+  } catch (error) {
+    console.error('❌ Error looking up barcode:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Powiązanie kodu kreskowego z kodem produktu (dialog skanera dla nieznanego EAN)
+app.put('/api/working-sheets/by-barcode/:ean', auditTrail('working_sheet', loadWorkingSheetAuditSnapshot, {
+  resolveIds: async (req) => {
+    const sheet = await dbGetAsync(
+      'SELECT id FROM working_sheets WHERE kod = ? AND company_id = ?',
+      [normalizeProductKod(req.body && req.body.kod), req.companyId]
+    );
+    return sheet ? sheet.id : null;
+  },
+}), async (req, res) => {
+  const ean = normalizeBarcode(req.params.ean);
+  const kod = normalizeProductKod(req.body && req.body.kod);
+  console.log(`🔗 PUT /api/working-sheets/by-barcode/${ean} - Linking to ${kod}`);
+
+  if (!kod) {
+    return res.status(400).json({ error: 'Kod produktu jest wymagany' });
+  }
+  const validationError = barcodeError(ean);
+  if (!ean || validationError) {
+    return res.status(400).json({ error: validationError || 'Kod kreskowy jest wymagany' });
+  }
+
+  try {
+    const sheet = await dbGetAsync('SELECT id FROM working_sheets WHERE kod = ? AND company_id = ?', [kod, req.companyId]);
+    if (!sheet) {
+      return res.status(404).json({ error: `Produkt o kodzie "${kod}" nie istnieje` });
+    }
+    const linked = (await findSheetsByBarcode(ean, req.companyId)).filter((row) => row.kod !== kod);
+    if (linked.length > 0) {
+      return res.status(409).json({
+        error: `Kod kreskowy ${ean} jest już przypisany do produktu ${linked.map((row) => row.kod).join(', ')}`,
+        kody: linked.map((row) => row.kod),
+      });
+    }
+
+    await dbRunAsync('UPDATE working_sheets SET kod_kreskowy = ? WHERE id = ?', [ean, sheet.id]);
+    console.log(`✅ Barcode ${ean} linked to ${kod}`);
+    res.json(await dbGetAsync(`SELECT ${BARCODE_SHEET_FIELDS} FROM working_sheets WHERE id = ?`, [sheet.id]));
+  } catch (error) {
+    console.error('❌ Error linking barcode:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Получить архивированные записи
+app.get('/api/working-sheets/archived', (req, res) => {
+  console.log('📦 GET /api/working-sheets/archived - Fetching archived working sheets');
+  
+  if (!db) {
+    console.error('❌ Database not available');
+    return res.status(500).json({ error: 'Database not available' });
+  }
+  
+  db.all('SELECT * FROM working_sheets WHERE archived = 1 AND company_id = ? ORDER BY archived_at DESC', [req.companyId], (err, rows) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    console.log(`✅ Found ${rows.length} archived working sheets`);
+    res.json(rows || []);
+  });
+});
+
+// Working Sheets API
+app.get('/api/working-sheets', locationFilter, (req, res) => {
+  console.log('📝 GET /api/working-sheets - Fetching all working sheets');
+  
+  // Проверяем, что база данных доступна
+  if (!db) {
+    console.error('❌ Database not available');
+    return res.status(500).json({ error: 'Database not available' });
+  }
+  
+  // С ?location_id= ilosc — остаток партий этой lokalizacji
+  const ilosc = locationIloscSql(req.locationId);
+  db.all(
+    `SELECT working_sheets.*, ${ilosc.sql} AS ilosc FROM working_sheets
+     WHERE (archived = 0 OR archived IS NULL) AND company_id = ? ORDER BY id DESC`,
+    [...ilosc.params, req.companyId],
+    (err, rows) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    console.log(`✅ Found ${rows.length} working sheets`);
+    res.json(rows || []);
+  });
+});
+
+// Simple search working sheets for invoices (includes products with zero stock)
+app.get('/api/working-sheets/search-simple', (req, res) => {
+  const { query } = req.query;
+  console.log(`🔍 GET /api/working-sheets/search-simple - Simple search with query: "${query}"`);
+  
+  if (query === undefined || query === null || query.trim() === '') {
+    return res.status(400).json({ error: 'Query parameter is required' });
+  }
+  
+  const searchQuery = `%${query}%`;
+  
+  db.all(`
+    SELECT DISTINCT kod, nazwa, cena_sprzedazy
+    FROM working_sheets 
+    WHERE (archived = 0 OR archived IS NULL) AND company_id = ?
+      AND (kod LIKE ? OR nazwa LIKE ? OR kod_kreskowy LIKE ?)
+    ORDER BY 
+      CASE 
+        WHEN kod LIKE ? THEN 0
+        WHEN nazwa LIKE ? THEN 1
+        ELSE 2
+      END,
+      kod
+    LIMIT 50
+  `, [req.companyId, searchQuery, searchQuery, searchQuery, searchQuery, searchQuery], (err, rows) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      return res.status(500).json({ error: err.message });
+    }
+    console.log(`✅ Found ${rows.length} products (simple search)`);
+    res.json(rows || []);
+  });
+});
+
+// Search working sheets
+app.get('/api/working-sheets/search', (req, res) => {
+  const { query, client_id, include_zero_stock, for_reservation, order_id, codes } = req.query;
+  console.log(`🔍 GET /api/working-sheets/search - Searching working sheets with query: "${query}"${client_id ? `, client_id: ${client_id}` : ''}${order_id ? `, order_id: ${order_id}` : ''}${include_zero_stock ? ', include_zero_stock: true' : ''}${for_reservation ? ', for_reservation: true' : ''}${codes ? `, codes: ${codes}` : ''}`);
+
+  // Батч-режим: инфо сразу по списку кодов (?codes=kod1,kod2,...) — один запрос вместо N.
+  // Считает 3 агрегата ОДИН раз по WHERE kod IN (...) (равенство → работает индекс),
+  // без LIKE '%...%'-сканов в цикле. Используется при открытии EditOrderModal.
+  if (codes !== undefined) {
+    // Не триммим коды: в БД встречаются kod с ведущим/хвостовым пробелом
+    // (напр. " ER23R/12B"), а фронт шлёт их как есть и затем фильтрует product.kod === kod.
+    const codeList = String(codes)
+      .split(',')
+      .filter((c) => c.length > 0);
+
+    if (codeList.length === 0) {
+      return res.json([]);
+    }
+
+    const includeZeroBatch = include_zero_stock === 'true';
+    const placeholders = codeList.map(() => '?').join(', ');
+
+    const wsPromiseB = new Promise((resolve, reject) => {
+      db.all(
+        `SELECT w.kod, MAX(w.nazwa) as nazwa, MAX(w.sprzedawca) as sprzedawca, SUM(w.ilosc) as ilosc_main
+         FROM working_sheets w
+         WHERE w.kod IN (${placeholders})
+         GROUP BY w.kod`,
+        codeList,
+        (err, rows) => err ? reject(err) : resolve(rows || [])
+      );
+    });
+
+    const samplesPromiseB = new Promise((resolve, reject) => {
+      db.all(
+        `SELECT kod, MAX(nazwa) as nazwa, SUM(ilosc_aktualna) as ilosc_samples
+         FROM products
+         WHERE kod IN (${placeholders}) AND status = 'samples'
+         GROUP BY kod
+         HAVING SUM(ilosc_aktualna) > 0`,
+        codeList,
+        (err, rows) => err ? reject(err) : resolve(rows || [])
+      );
+    });
+
+    const reservationsPromiseB = new Promise((resolve, reject) => {
+      db.all(
+        `SELECT rp.product_kod as kod,
+                SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as ilosc_reserved,
+                SUM(CASE WHEN r.client_id = ? THEN rp.ilosc - COALESCE(rp.ilosc_wydane, 0) ELSE 0 END) as ilosc_client_reserved,
+                SUM(CASE WHEN r.client_id = ? THEN rp.ilosc ELSE 0 END) as ilosc_client_reserved_total
+         FROM reservation_products rp
+         INNER JOIN reservations r ON rp.reservation_id = r.id
+         WHERE r.status = 'aktywna' AND rp.product_kod IN (${placeholders})
+         GROUP BY rp.product_kod`,
+        [client_id || 0, client_id || 0, ...codeList],
+        (err, rows) => err ? reject(err) : resolve(rows || [])
+      );
+    });
+
+    Promise.all([wsPromiseB, samplesPromiseB, reservationsPromiseB])
+      .then(([wsRows, samplesRows, reservationsRows]) => {
+        const samplesByKod = new Map();
+        samplesRows.forEach(r => samplesByKod.set(r.kod, r.ilosc_samples || 0));
 
-      // Шаг 4: Коммитим транзакцию и отправляем ответ
-      await new Promise((resolve, reject) => {
-        db.run('COMMIT', (err) => {
-          if (err) {
-            console.error('❌ Error committing transaction (PUT):', err);
-            reject(err);
-          } else {
-            console.log('✅ Transaction committed successfully (PUT)');
-            resolve();
+        const reservationsByKod = new Map();
+        reservationsRows.forEach(r => reservationsByKod.set(r.kod, {
+          ilosc_reserved: r.ilosc_reserved || 0,
+          ilosc_client_reserved: r.ilosc_client_reserved || 0,
+          ilosc_client_reserved_total: r.ilosc_client_reserved_total || 0
+        }));
+
+        const wsMainByKod = new Map(wsRows.map(r => [r.kod, r.ilosc_main || 0]));
+        const sprzedawcaByKod = new Map(wsRows.map(r => [r.kod, r.sprzedawca || '']));
+
+        const result = [];
+
+        // Основные строки — working_sheets
+        wsRows.forEach(ws => {
+          const samplesQty = samplesByKod.get(ws.kod) || 0;
+          const mainOnly = (ws.ilosc_main || 0) - samplesQty;
+          if (!includeZeroBatch && mainOnly <= 0) return;
+
+          const reserved = reservationsByKod.get(ws.kod) || { ilosc_reserved: 0, ilosc_client_reserved: 0, ilosc_client_reserved_total: 0 };
+          const row = {
+            kod: ws.kod,
+            nazwa: ws.nazwa,
+            sprzedawca: ws.sprzedawca || '',
+            ilosc: mainOnly,
+            ilosc_reserved: reserved.ilosc_reserved,
+            status: null
+          };
+          if (client_id) {
+            row.ilosc_client_reserved = reserved.ilosc_client_reserved;
+            row.ilosc_client_reserved_total = reserved.ilosc_client_reserved_total;
+          }
+          result.push(row);
+        });
+
+        // Строки семплов
+        samplesRows.forEach(sp => {
+          const sampleQty = sp.ilosc_samples || 0;
+          if (sampleQty <= 0) return;
+          const wsMain = wsMainByKod.get(sp.kod) || 0;
+          if (wsMain <= 0) return;
+          const effectiveSampleQty = Math.min(sampleQty, wsMain);
+          if (effectiveSampleQty <= 0) return;
+
+          const reserved = reservationsByKod.get(sp.kod) || { ilosc_reserved: 0, ilosc_client_reserved: 0, ilosc_client_reserved_total: 0 };
+          const row = {
+            kod: sp.kod,
+            nazwa: `${sp.nazwa} (samples)`,
+            sprzedawca: sprzedawcaByKod.get(sp.kod) || '',
+            ilosc: effectiveSampleQty,
+            ilosc_reserved: reserved.ilosc_reserved,
+            status: 'samples'
+          };
+          if (client_id) {
+            row.ilosc_client_reserved = reserved.ilosc_client_reserved;
+            row.ilosc_client_reserved_total = reserved.ilosc_client_reserved_total;
+          }
+          result.push(row);
+        });
+
+        enrichSearchRowsWithOrderReservation(order_id, result, (enrichErr, enrichedRows) => {
+          if (enrichErr) {
+            console.error('❌ Error enriching batch rows with order reservation:', enrichErr);
+            return res.status(500).json({ error: enrichErr.message });
           }
+          console.log(`✅ Batch search: ${enrichedRows.length} rows for ${codeList.length} codes`);
+          res.json(enrichedRows);
         });
+      })
+      .catch(err => {
+        console.error('❌ Database error (batch):', err);
+        res.status(500).json({ error: err.message });
       });
+    return;
+  }
 
-      console.log(`🎉 Update processing complete: ${workingSheetsUpdated} working_sheets updated, ${productsUpdated} products updated, ${productsInserted} products created, ${productsDeleted} products deleted`);
+  if (query === undefined || query === null) {
+    console.log('❌ Validation failed: query parameter is required');
+    return res.status(400).json({ error: 'Query parameter is required' });
+  }
+  
+  // Если query пустой, используем '%' для поиска всех
+  const searchQuery = query.trim() === '' ? '%' : `%${query}%`;
+  const startsWithQuery = query.trim() === '' ? '%' : `${query}%`;
 
-      res.json({
-        message: 'Product receipt updated successfully',
-        workingSheetsUpdated: workingSheetsUpdated,
-        productsUpdated: productsUpdated,
-        productsCreated: productsInserted,
-        productsDeleted: productsDeleted
+  // Режим для резервации: одна строка на товар с суммарным остатком (основной + семплы)
+  if (for_reservation === 'true') {
+    const reservationQuery = client_id ? `
+      WITH ws_products AS (
+        SELECT w.kod, MAX(w.nazwa) as nazwa, SUM(w.ilosc) as ilosc_main
+        FROM working_sheets w
+        WHERE w.company_id = ? AND (w.kod LIKE ? OR w.nazwa LIKE ? OR w.kod_kreskowy LIKE ?)
+        GROUP BY w.kod
+      ),
+      reserved_products AS (
+        SELECT rp.product_kod as kod,
+          SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as ilosc_reserved
+        FROM reservation_products rp
+        INNER JOIN reservations r ON rp.reservation_id = r.id
+        WHERE r.status = 'aktywna'
+        GROUP BY rp.product_kod
+      ),
+      client_reservations AS (
+        SELECT rp.product_kod as kod,
+          SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as ilosc_client_reserved
+        FROM reservation_products rp
+        INNER JOIN reservations r ON rp.reservation_id = r.id
+        WHERE r.status = 'aktywna' AND r.client_id = ?
+        GROUP BY rp.product_kod
+      )
+      SELECT ws.kod, ws.nazwa,
+        COALESCE(ws.ilosc_main, 0) as ilosc,
+        COALESCE(rp.ilosc_reserved, 0) as ilosc_reserved,
+        COALESCE(cr.ilosc_client_reserved, 0) as ilosc_client_reserved,
+        NULL as status,
+        CASE WHEN ws.kod LIKE ? THEN 0 WHEN ws.nazwa LIKE ? THEN 1 ELSE 2 END as match_priority
+      FROM ws_products ws
+      LEFT JOIN reserved_products rp ON ws.kod = rp.kod
+      LEFT JOIN client_reservations cr ON ws.kod = cr.kod
+      WHERE COALESCE(ws.ilosc_main, 0) > 0
+      ORDER BY match_priority, ws.kod, ws.nazwa
+      LIMIT ${query.trim() === '' ? 500 : 50}
+    ` : `
+      WITH ws_products AS (
+        SELECT w.kod, MAX(w.nazwa) as nazwa, SUM(w.ilosc) as ilosc_main
+        FROM working_sheets w
+        WHERE w.company_id = ? AND (w.kod LIKE ? OR w.nazwa LIKE ? OR w.kod_kreskowy LIKE ?)
+        GROUP BY w.kod
+      ),
+      reserved_products AS (
+        SELECT rp.product_kod as kod,
+          SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as ilosc_reserved
+        FROM reservation_products rp
+        INNER JOIN reservations r ON rp.reservation_id = r.id
+        WHERE r.status = 'aktywna'
+        GROUP BY rp.product_kod
+      )
+      SELECT ws.kod, ws.nazwa,
+        COALESCE(ws.ilosc_main, 0) as ilosc,
+        COALESCE(rp.ilosc_reserved, 0) as ilosc_reserved,
+        NULL as status,
+        CASE WHEN ws.kod LIKE ? THEN 0 WHEN ws.nazwa LIKE ? THEN 1 ELSE 2 END as match_priority
+      FROM ws_products ws
+      LEFT JOIN reserved_products rp ON ws.kod = rp.kod
+      WHERE COALESCE(ws.ilosc_main, 0) > 0
+      ORDER BY match_priority, ws.kod, ws.nazwa
+      LIMIT ${query.trim() === '' ? 500 : 50}
+    `;
+
+    const reservationParams = client_id
+      ? [req.companyId, searchQuery, searchQuery, searchQuery, client_id, startsWithQuery, searchQuery]
+      : [req.companyId, searchQuery, searchQuery, searchQuery, startsWithQuery, searchQuery];
+
+    db.all(reservationQuery, reservationParams, (err, rows) => {
+      if (err) {
+        console.error('❌ Database error (for_reservation):', err);
+        return res.status(500).json({ error: err.message });
+      }
+      console.log(`✅ Found ${rows.length} products (for_reservation) matching "${query}"`);
+      res.json(rows || []);
+    });
+    return;
+  }
+
+  // Упрощённая логика поиска: запускаем 3 простых запроса параллельно и объединяем в JS.
+  // 1) working_sheets — основной товар (суммарно по kod)
+  // 2) products (status='samples') — семплы
+  // 3) reservation_products + reservations — все активные резервации (общие и по клиенту)
+  const includeZero = include_zero_stock === 'true';
+  const limitRows = query.trim() === '' ? 500 : 50;
+
+  const wsPromise = new Promise((resolve, reject) => {
+    db.all(
+      `SELECT w.kod, MAX(w.nazwa) as nazwa, MAX(w.sprzedawca) as sprzedawca, SUM(w.ilosc) as ilosc_main
+       FROM working_sheets w
+       WHERE w.company_id = ? AND (w.kod LIKE ? OR w.nazwa LIKE ? OR w.kod_kreskowy LIKE ?)
+       GROUP BY w.kod`,
+      [req.companyId, searchQuery, searchQuery, searchQuery],
+      (err, rows) => err ? reject(err) : resolve(rows || [])
+    );
+  });
+
+  const samplesPromise = new Promise((resolve, reject) => {
+    db.all(
+      `SELECT kod, MAX(nazwa) as nazwa, SUM(ilosc_aktualna) as ilosc_samples
+       FROM products
+       WHERE (kod LIKE ? OR nazwa LIKE ? OR kod_kreskowy LIKE ?)
+         AND status = 'samples'
+       GROUP BY kod
+       HAVING SUM(ilosc_aktualna) > 0`,
+      [searchQuery, searchQuery, searchQuery],
+      (err, rows) => err ? reject(err) : resolve(rows || [])
+    );
+  });
+
+  const reservationsPromise = new Promise((resolve, reject) => {
+    db.all(
+      `SELECT rp.product_kod as kod,
+              SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as ilosc_reserved,
+              SUM(CASE WHEN r.client_id = ? THEN rp.ilosc - COALESCE(rp.ilosc_wydane, 0) ELSE 0 END) as ilosc_client_reserved,
+              SUM(CASE WHEN r.client_id = ? THEN rp.ilosc ELSE 0 END) as ilosc_client_reserved_total
+       FROM reservation_products rp
+       INNER JOIN reservations r ON rp.reservation_id = r.id
+       WHERE r.status = 'aktywna'
+       GROUP BY rp.product_kod`,
+      [client_id || 0, client_id || 0],
+      (err, rows) => err ? reject(err) : resolve(rows || [])
+    );
+  });
+
+  Promise.all([wsPromise, samplesPromise, reservationsPromise])
+    .then(([wsRows, samplesRows, reservationsRows]) => {
+      // Маппы для быстрого поиска
+      const samplesByKod = new Map();
+      samplesRows.forEach(r => samplesByKod.set(r.kod, r.ilosc_samples || 0));
+
+      const reservationsByKod = new Map();
+      reservationsRows.forEach(r => reservationsByKod.set(r.kod, {
+        ilosc_reserved: r.ilosc_reserved || 0,
+        ilosc_client_reserved: r.ilosc_client_reserved || 0,
+        ilosc_client_reserved_total: r.ilosc_client_reserved_total || 0
+      }));
+
+      // Все коды товаров, которые есть в working_sheets
+      const wsCodes = new Set(wsRows.map(r => r.kod));
+      // Карта: kod → ilosc_main (для проверки остатка при отображении семплов)
+      const wsMainByKod = new Map(wsRows.map(r => [r.kod, r.ilosc_main || 0]));
+      const sprzedawcaByKod = new Map(wsRows.map(r => [r.kod, r.sprzedawca || '']));
+
+      // Сортировка: точное/префиксное совпадение по kod в начале, далее по nazwa
+      const matchPriority = (kod, nazwa) => {
+        const q = query.trim().toLowerCase();
+        if (!q) return 2;
+        if ((kod || '').toLowerCase().startsWith(q)) return 0;
+        if ((nazwa || '').toLowerCase().includes(q)) return 1;
+        return 2;
+      };
+
+      const result = [];
+
+      // Основные строки — working_sheets
+      wsRows.forEach(ws => {
+        const samplesQty = samplesByKod.get(ws.kod) || 0;
+        const mainOnly = (ws.ilosc_main || 0) - samplesQty;
+        if (!includeZero && mainOnly <= 0) return;
+
+        const reserved = reservationsByKod.get(ws.kod) || { ilosc_reserved: 0, ilosc_client_reserved: 0, ilosc_client_reserved_total: 0 };
+        const row = {
+          kod: ws.kod,
+          nazwa: ws.nazwa,
+          sprzedawca: ws.sprzedawca || '',
+          ilosc: mainOnly,
+          ilosc_reserved: reserved.ilosc_reserved,
+          status: null,
+          _sort_priority: matchPriority(ws.kod, ws.nazwa)
+        };
+        if (client_id) {
+          row.ilosc_client_reserved = reserved.ilosc_client_reserved;
+          row.ilosc_client_reserved_total = reserved.ilosc_client_reserved_total;
+        }
+        result.push(row);
       });
 
-    } catch (error) {
-      console.error('❌ Error during product processing (PUT):', error);
-
-      // Откатываем транзакцию — документ и склад останутся ровно в том состоянии,
-      // в котором были до начала PUT-запроса
-      try {
-        await new Promise((resolve, reject) => {
-          db.run('ROLLBACK', (rollbackErr) => {
-            if (rollbackErr) {
-              console.error('❌ Error rolling back transaction (PUT):', rollbackErr);
-              reject(rollbackErr);
-            } else {
-              console.log('🔄 Transaction rolled back (PUT)');
-              resolve();
-            }
-          });
-        });
-      } catch (rollbackError) {
-        console.error('❌ Failed to rollback transaction (PUT):', rollbackError);
-      }
+      // Строки семплов
+      samplesRows.forEach(sp => {
+        const sampleQty = sp.ilosc_samples || 0;
+        if (sampleQty <= 0) return;
 
-      if (!res.headersSent) {
-        const statusCode = error.statusCode || 500;
-        if (statusCode === 409 && error.payload) {
-          res.status(409).json(error.payload);
-        } else {
-          res.status(statusCode).json({
-            error: statusCode === 404 ? 'Product receipt not found' : 'Failed to update working sheets: ' + error.message
-          });
-        }
-      }
-    }
-  };
+        // Не показываем семплы если в working_sheets остаток <= 0
+        const wsMain = wsMainByKod.get(sp.kod) || 0;
+        if (wsMain <= 0) return;
 
-  // Запускаем обновление приёмки (документ + products + working_sheets — всё в одной транзакции)
-  updateReceiptWithProducts();
-});
+        // Показываем не больше, чем есть в working_sheets
+        const effectiveSampleQty = Math.min(sampleQty, wsMain);
+        if (effectiveSampleQty <= 0) return;
 
-app.delete('/api/product-receipts/:id', async (req, res) => {
-  const { id } = req.params;
-  console.log(`📦 DELETE /api/product-receipts/${id} - Deleting product receipt`);
+        const q = query.trim().toLowerCase();
+        const matchesSearch = !q
+          || (sp.kod || '').toLowerCase().includes(q)
+          || (sp.nazwa || '').toLowerCase().includes(q);
+        // Показываем семплы, если есть основная строка по kod ИЛИ если они подходят под поиск
+        if (!wsCodes.has(sp.kod) && !matchesSearch) return;
 
-  // Вся операция удаления приёмки (products + working_sheets + history + сам документ)
-  // выполняется в ОДНОЙ транзакции, чтобы при сбое на любом шаге склад не остался
-  // в наполовину удалённом/пересчитанном состоянии.
-  await new Promise((resolve, reject) => {
-    db.run('BEGIN TRANSACTION', (err) => {
-      if (err) {
-        console.error('❌ Error starting transaction (DELETE):', err);
-        reject(err);
-      } else {
-        console.log('🔄 Transaction started (DELETE)');
-        resolve();
-      }
-    });
-  });
+        const reserved = reservationsByKod.get(sp.kod) || { ilosc_reserved: 0, ilosc_client_reserved: 0, ilosc_client_reserved_total: 0 };
+        const row = {
+          kod: sp.kod,
+          nazwa: `${sp.nazwa} (samples)`,
+          sprzedawca: sprzedawcaByKod.get(sp.kod) || '',
+          ilosc: effectiveSampleQty,
+          ilosc_reserved: reserved.ilosc_reserved,
+          status: 'samples',
+          _sort_priority: matchPriority(sp.kod, sp.nazwa)
+        };
+        if (client_id) {
+          row.ilosc_client_reserved = reserved.ilosc_client_reserved;
+          row.ilosc_client_reserved_total = reserved.ilosc_client_reserved_total;
+        }
+        result.push(row);
+      });
 
-  try {
-    // 1) Считываем строку приёмки вместе с товарами и датой
-    const receiptRow = await new Promise((resolve, reject) => {
-      db.get('SELECT products, dataPrzyjecia FROM product_receipts WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
+      // Сортировка
+      result.sort((a, b) => {
+        if (a._sort_priority !== b._sort_priority) return a._sort_priority - b._sort_priority;
+        if (a.kod !== b.kod) return a.kod.localeCompare(b.kod);
+        // в рамках одного kod: основной (status=null) до семплов
+        if ((a.status || '') !== (b.status || '')) return (a.status || '').localeCompare(b.status || '');
+        return (a.nazwa || '').localeCompare(b.nazwa || '');
       });
-    });
 
-    if (!receiptRow) {
-      console.log(`❌ Receipt ${id} not found`);
-      throw Object.assign(new Error('Product receipt not found'), { statusCode: 404 });
-    }
+      // Удаляем служебное поле и применяем лимит
+      const finalRows = result.slice(0, limitRows).map(({ _sort_priority, ...rest }) => rest);
 
-    const products = JSON.parse(receiptRow.products || '[]');
-    const receiptDate = receiptRow.dataPrzyjecia;
-    const receiptDateOnly = (receiptDate || '').toString().substring(0,10);
-    console.log(`🔍 ${products.length} product rows, date=${receiptDateOnly}`);
+      enrichSearchRowsWithOrderReservation(order_id, finalRows, (enrichErr, enrichedRows) => {
+        if (enrichErr) {
+          console.error('❌ Error enriching search rows with order reservation:', enrichErr);
+          return res.status(500).json({ error: enrichErr.message });
+        }
 
-    // 2) Удаляем связанные строки из products
-    const deletedProductsCount = await new Promise((resolve, reject) => {
-      db.run('DELETE FROM products WHERE receipt_id = ?', [id], function (prodErr) {
-        if (prodErr) reject(prodErr);
-        else resolve(this.changes);
+        console.log(`✅ Found ${enrichedRows.length} products matching "${query}"`);
+        res.json(enrichedRows);
       });
+    })
+    .catch(err => {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
     });
-    console.log(`✅ Deleted ${deletedProductsCount} product rows`);
+});
 
-    // 3) Пересчитываем working_sheets для каждого товара (последовательно, а не параллельно,
-    // чтобы не полагаться на порядок выполнения независимых callback'ов)
-    let wsDeleted = 0;
-    let wsUpdated = 0;
+app.post('/api/working-sheets', requireCompanyKods((req) => [req.body.kod]), auditTrail('working_sheet', loadWorkingSheetAuditSnapshot), stockTransaction, (req, res) => {
+  const { data, produkt_id, kod, nazwa, ilosc, typ } = req.body;
+  const normalizedKod = normalizeProductKod(kod);
+  console.log('📝 POST /api/working-sheets - Creating new working sheet:', { kod: normalizedKod, nazwa, ilosc, typ });
 
-    for (const product of products) {
-      const productKod = normalizeProductKod(product.kod);
+  if (!data || !normalizedKod || !nazwa || !ilosc) {
+    console.log('❌ Validation failed: kod, nazwa, and ilosc are required');
+    return res.status(400).json({ error: 'Kod, nazwa, and ilosc are required' });
+  }
 
-      const wsRow = await new Promise((resolve) => {
-        db.get('SELECT * FROM working_sheets WHERE kod = ?', [productKod], (wsErr, row) => {
-          if (wsErr) {
-            console.error('❌ working_sheets read error:', wsErr);
-            resolve(null);
-          } else {
-            resolve(row);
-          }
-        });
-      });
+  db.get(
+    'SELECT id FROM working_sheets WHERE kod = ?',
+    [normalizedKod],
+    (findErr, existing) => {
+      if (findErr) {
+        console.error('❌ Database error:', findErr);
+        return res.status(500).json({ error: findErr.message });
+      }
 
-      if (!wsRow) continue;
+      if (existing) {
+        return res.status(409).json({
+          error: `Produkt o kodzie "${normalizedKod}" już istnieje w working_sheets (id: ${existing.id})`,
+        });
+      }
 
-      const cntRow = await new Promise((resolve) => {
-        db.get('SELECT COUNT(*) as cnt FROM products WHERE kod = ?', [productKod], (cntErr, row) => {
-          if (cntErr) {
-            console.error('❌ count error:', cntErr);
-            resolve({ cnt: 0 });
-          } else {
-            resolve(row || { cnt: 0 });
+      db.run(
+        'INSERT INTO working_sheets (kod, nazwa, ilosc, typ, company_id) VALUES (?, ?, ?, ?, ?)',
+        [normalizedKod, nazwa, ilosc, typ || 'sprzedaz', req.companyId],
+        function(err) {
+          if (err) {
+            console.error('❌ Database error:', err);
+            res.status(500).json({ error: err.message });
+            return;
           }
-        });
+          console.log(`✅ Working sheet created with ID: ${this.lastID}`);
+          req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.CORRECTION, this.lastID);
+          req.stockMovements.sheet(normalizedKod, ilosc);
+          res.json({ id: this.lastID, message: 'Working sheet added successfully' });
+        }
+      );
+    }
+  );
+});
+
+// Добавляем endpoint для удаления working sheet
+app.delete('/api/working-sheets/:id', auditTrail('working_sheet', loadWorkingSheetAuditSnapshot), stockTransaction, (req, res) => {
+  const { id } = req.params;
+  console.log(`📝 DELETE /api/working-sheets/${id} - Deleting working sheet`);
+  
+  // Сначала проверяем, существует ли запись
+  db.get('SELECT * FROM working_sheets WHERE id = ?', [id], (err, existingRecord) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    if (!existingRecord) {
+      console.log(`❌ Working sheet with ID ${id} not found`);
+      return res.status(404).json({ error: 'Working sheet not found' });
+    }
+    
+    console.log(`🔄 Found existing record: ${existingRecord.kod} (ilosc: ${existingRecord.ilosc})`);
+    
+    // Удаляем запись
+    db.run('DELETE FROM working_sheets WHERE id = ?', [id], function(err) {
+      if (err) {
+        console.error('❌ Database error:', err);
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      
+      console.log(`✅ Working sheet ${id} (${existingRecord.kod}) deleted successfully`);
+      req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.CORRECTION, id);
+      req.stockMovements.sheet(existingRecord.kod, -existingRecord.ilosc);
+      res.json({ 
+        message: 'Working sheet deleted successfully',
+        id: id,
+        kod: existingRecord.kod,
+        nazwa: existingRecord.nazwa
       });
+    });
+  });
+});
 
-      const leftReceipts = cntRow.cnt || 0;
+// Endpoint для получения курса валюты по коду товара
+app.get('/api/working-sheets/kurs/:kod', (req, res) => {
+  const kod = normalizeProductKod(req.params.kod);
+  console.log(`💰 GET /api/working-sheets/kurs/${kod} - Fetching exchange rate for product`);
+  
+  // Получаем курс из последней приемки для данного товара
+  db.get(
+    `SELECT pr.aktualny_kurs 
+     FROM products p
+     JOIN product_receipts pr ON p.receipt_id = pr.id
+     WHERE p.kod = ? AND p.receipt_id IS NOT NULL
+     ORDER BY pr.id DESC
+     LIMIT 1`,
+    [kod],
+    (err, result) => {
+      if (err) {
+        console.error('❌ Database error:', err);
+        return res.status(500).json({ error: err.message });
+      }
+      
+      const kurs = result && result.aktualny_kurs ? result.aktualny_kurs : 4.25;
+      console.log(`✅ Exchange rate for ${kod}: ${kurs}`);
+      res.json({ kurs });
+    }
+  );
+});
 
-      if (leftReceipts === 0) {
-        console.log(`🔍 Looking for snapshot before receipt ${id} for product ${productKod}`);
-        const snapshot = await new Promise((resolve) => {
-          db.get(
-            `SELECT * FROM working_sheets_history
-             WHERE kod = ? AND action = 'before_receipt' AND receipt_id = ?
-             ORDER BY created_at DESC LIMIT 1`,
-            [productKod, id],
-            (snapshotErr, row) => {
-              if (snapshotErr) {
-                console.error(`❌ Error finding snapshot for ${productKod}:`, snapshotErr);
-                resolve(null);
+app.put('/api/working-sheets/update', requireCompanyKods((req) => workingSheetKods([req.body.id], [req.body.kod])), requireValidBarcodes((req) => [req.body.kod_kreskowy]), auditTrail('working_sheet', loadWorkingSheetAuditSnapshot, {
+  resolveIds: (req) => req.body && req.body.id,
+}), stockTransaction, linkSheetSuppliers, (req, res) => {
+  const { id, kod, nazwa, ilosc, typ, kod_kreskowy, data_waznosci, rezerwacje, objetosc, sprzedawca, cena, cena_sprzedazy, koszt_dostawy_per_unit, podatek_akcyzowy, kurs, zawartosc_alkoholu } = req.body;
+  const normalizedKod = kod !== undefined && kod !== null ? normalizeProductKod(kod) : undefined;
+  console.log(`📝 PUT /api/working-sheets/update - Updating working sheet:`, { 
+    id, 
+    kod: normalizedKod, 
+    nazwa, 
+    ilosc, 
+    typ 
+  });
+  
+  if (!id) {
+    console.log('❌ Validation failed: ID is required');
+    return res.status(400).json({ error: 'ID is required' });
+  }
+
+  // zawartosc_alkoholu не передана — не меняем; '' / null — очищаем (kategoria по typ)
+  const zawartoscAlkoholu = zawartosc_alkoholu === undefined ? undefined : parseZawartoscAlkoholu(zawartosc_alkoholu);
+  if (Number.isNaN(zawartoscAlkoholu)) {
+    return res.status(400).json({ error: 'Zawartość alkoholu musi być liczbą od 0 do 100 (% obj.)' });
+  }
+  
+  // Сначала проверяем, существует ли запись
+  db.get('SELECT * FROM working_sheets WHERE id = ?', [id], (err, existingRecord) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    if (!existingRecord) {
+      console.log(`❌ Working sheet with ID ${id} not found`);
+      return res.status(404).json({ error: 'Working sheet not found' });
+    }
+    
+    console.log(`🔄 Found existing record: ${existingRecord.kod} (current ilosc: ${existingRecord.ilosc})`);
+    
+    // Получаем тип товара (из запроса или из существующей записи)
+    const finalTyp = typ !== undefined ? typ : existingRecord.typ;
+    
+    // Получаем значения для расчета
+    const finalCena = cena !== undefined ? cena : existingRecord.cena;
+    let finalKosztDostawyPerUnit = koszt_dostawy_per_unit !== undefined ? koszt_dostawy_per_unit : existingRecord.koszt_dostawy_per_unit;
+    let finalPodatekAkcyzowy = podatek_akcyzowy !== undefined ? podatek_akcyzowy : existingRecord.podatek_akcyzowy;
+    
+    // Для bezalkoholowe, ferment и aksesoria акциз всегда 0
+    const isBezalkoholoweOrFermentOrAksesoria = finalTyp === 'bezalkoholowe' || finalTyp === 'ferment' || finalTyp === 'aksesoria';
+    if (isBezalkoholoweOrFermentOrAksesoria) {
+      finalPodatekAkcyzowy = 0;
+      console.log(`🔍 Product type is ${finalTyp}, setting podatek_akcyzowy to 0`);
+    }
+    
+    // Для aksesoria транспорт не распределяется
+    if (finalTyp === 'aksesoria') {
+      finalKosztDostawyPerUnit = 0;
+      console.log(`🔍 Product type is aksesoria, setting koszt_dostawy_per_unit to 0`);
+    }
+    
+    // Используем переданный курс из формы или пытаемся получить из связанного receipt'а
+    const productKod = normalizedKod !== undefined ? normalizedKod : normalizeProductKod(existingRecord.kod);
+    
+    if (!productKod) {
+      return res.status(400).json({ error: 'Kod produktu nie może być pusty' });
+    }
+    // Если курс передан из формы, используем его напрямую
+    if (kurs !== undefined) {
+      const finalKursValue = parseFloat(kurs) || 4.25;
+      console.log(`💰 Kurs from form: ${finalKursValue}`);
+      
+      // Рассчитываем koszt_wlasny: cena * kurs + koszt_dostawy_per_unit + podatek_akcyzowy
+      const kosztWlasny = parseFloat((finalCena * finalKursValue + finalKosztDostawyPerUnit + finalPodatekAkcyzowy).toFixed(2));
+      console.log(`📊 Calculated koszt_wlasny: ${finalCena} * ${finalKursValue} + ${finalKosztDostawyPerUnit} + ${finalPodatekAkcyzowy} = ${kosztWlasny}`);
+    
+    // Обновляем запись
+    db.run(
+          'UPDATE working_sheets SET kod = ?, nazwa = ?, ilosc = ?, typ = ?, kod_kreskowy = ?, data_waznosci = ?, rezerwacje = ?, objetosc = ?, sprzedawca = ?, cena = ?, cena_sprzedazy = ?, koszt_dostawy_per_unit = ?, podatek_akcyzowy = ?, koszt_wlasny = ?, zawartosc_alkoholu = ? WHERE id = ?',
+      [
+        productKod,
+        nazwa || existingRecord.nazwa,
+        ilosc || existingRecord.ilosc,
+        typ || existingRecord.typ,
+        kod_kreskowy || existingRecord.kod_kreskowy,
+        data_waznosci || existingRecord.data_waznosci,
+        rezerwacje || existingRecord.rezerwacje,
+        objetosc || existingRecord.objetosc,
+        sprzedawca || existingRecord.sprzedawca,
+            finalCena,
+            cena_sprzedazy !== undefined ? cena_sprzedazy : existingRecord.cena_sprzedazy,
+            finalKosztDostawyPerUnit,
+            finalPodatekAkcyzowy,
+            kosztWlasny,
+            zawartoscAlkoholu !== undefined ? zawartoscAlkoholu : existingRecord.zawartosc_alkoholu,
+        id
+      ],
+      function(err) {
+        if (err) {
+          console.error('❌ Database error:', err);
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        
+        console.log(`✅ Working sheet ${id} updated successfully`);
+        console.log(`📊 Changes: kod=${productKod}, nazwa=${nazwa || existingRecord.nazwa}, ilosc=${ilosc || existingRecord.ilosc}`);
+        req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.CORRECTION, id);
+        req.stockMovements.sheet(existingRecord.kod, -existingRecord.ilosc);
+        req.stockMovements.sheet(productKod, ilosc || existingRecord.ilosc);
+        
+        // Если изменилась цена, обновляем её в products для записей с receipt_id = NULL
+        const updatedCena = cena || existingRecord.cena;
+        if (cena && cena !== existingRecord.cena) {
+          console.log(`💰 Price changed for ${productKod}: ${existingRecord.cena} → ${cena}`);
+          console.log(`🔄 Updating price in products table for records with receipt_id = NULL`);
+          
+          db.run(
+            'UPDATE products SET cena = ? WHERE kod = ? AND receipt_id IS NULL',
+            [cena, productKod],
+            function(updateErr) {
+              if (updateErr) {
+                console.error(`❌ Error updating products table:`, updateErr);
+              } else if (this.changes > 0) {
+                console.log(`✅ Updated ${this.changes} record(s) in products table`);
               } else {
-                resolve(row);
+                console.log(`ℹ️ No records with receipt_id = NULL found in products for ${productKod}`);
               }
             }
           );
-        });
-
-        if (snapshot) {
-          console.log(`🔄 Restoring ${productKod} from snapshot (receipt_id: ${id})`);
-          await new Promise((resolve) => {
-            db.run(
-              `UPDATE working_sheets SET
-                nazwa = ?,
-                ilosc = ?,
-                kod_kreskowy = ?,
-                typ = ?,
-                sprzedawca = ?,
-                cena = ?,
-                data_waznosci = ?,
-                objetosc = ?,
-                koszt_dostawy_per_unit = ?
-              WHERE kod = ?`,
-              [
-                snapshot.nazwa,
-                snapshot.ilosc,
-                snapshot.kod_kreskowy,
-                snapshot.typ,
-                snapshot.sprzedawca,
-                snapshot.cena,
-                snapshot.data_waznosci,
-                snapshot.objetosc,
-                snapshot.koszt_dostawy_per_unit,
-                productKod,
-              ],
-              function (restoreErr) {
-                if (restoreErr) {
-                  console.error(`❌ Error restoring ${productKod}:`, restoreErr);
-                } else {
-                  console.log(`✅ Restored ${productKod} to state before receipt ${id}`);
-                  wsUpdated++;
-                }
-                resolve();
-              }
-            );
-          });
-        } else {
-          console.log(`🗑️ No snapshot found for ${productKod}, deleting from working_sheets`);
-          await new Promise((resolve) => {
-            db.run('DELETE FROM working_sheets WHERE kod = ?', [productKod], function (delErr) {
-              if (!delErr) wsDeleted++;
-              resolve();
-            });
-          });
         }
-      } else {
-        // Есть другие партии этого kod — пересчитываем ilosc/cena из остатков.
-        // Nazwa и прочие поля: если текущее состояние в working_sheets совпадает
-        // с тем, что записала удаляемая przyjęcie, откатываем метаданные
-        // к snapshot before_receipt (иначе оставляем — их уже перезаписала более новая przyjęcie).
-        const sumRow = await new Promise((resolve) => {
-          db.get(
-            'SELECT SUM(ilosc_aktualna) as total_ilosc, MAX(cena) as max_cena FROM products WHERE kod = ?',
-            [productKod],
-            (sumErr, row) => {
-              if (sumErr) resolve(null);
-              else resolve(row);
-            }
-          );
+        
+        res.json({ 
+          message: 'Working sheet updated successfully',
+          id: id,
+          changes: {
+            kod: productKod,
+            nazwa: nazwa || existingRecord.nazwa,
+            ilosc: ilosc || existingRecord.ilosc,
+            typ: typ || existingRecord.typ
+          }
         });
-
-        if (!sumRow) continue;
-
-        const qty = sumRow.total_ilosc || 0;
-        const price = sumRow.max_cena || 0;
-        const deletedNazwa = (product.nazwa || '').trim();
-        const currentNazwa = (wsRow.nazwa || '').trim();
-        const shouldRestoreMeta =
-          deletedNazwa.length > 0 && currentNazwa === deletedNazwa;
-
-        let snapshot = null;
-        if (shouldRestoreMeta) {
-          snapshot = await new Promise((resolve) => {
-            db.get(
-              `SELECT * FROM working_sheets_history
-               WHERE kod = ? AND action = 'before_receipt' AND receipt_id = ?
-               ORDER BY created_at DESC LIMIT 1`,
-              [productKod, id],
-              (snapshotErr, row) => {
-                if (snapshotErr) {
-                  console.error(`❌ Error finding snapshot for ${productKod}:`, snapshotErr);
-                  resolve(null);
-                } else {
-                  resolve(row);
-                }
+      }
+    );
+    } else {
+      // Если курс не передан, пытаемся получить из связанного receipt'а
+      db.get(
+        `SELECT pr.aktualny_kurs 
+         FROM products p
+         JOIN product_receipts pr ON p.receipt_id = pr.id
+         WHERE p.kod = ? AND p.receipt_id IS NOT NULL
+         ORDER BY pr.id DESC
+         LIMIT 1`,
+        [productKod],
+        (kursErr, kursResult) => {
+          const kursValue = kursResult && kursResult.aktualny_kurs ? kursResult.aktualny_kurs : 4.25;
+          console.log(`💰 Kurs from database: ${kursValue}`);
+          
+          // Рассчитываем koszt_wlasny: cena * kurs + koszt_dostawy_per_unit + podatek_akcyzowy
+          const kosztWlasny = parseFloat((finalCena * kursValue + finalKosztDostawyPerUnit + finalPodatekAkcyzowy).toFixed(2));
+          console.log(`📊 Calculated koszt_wlasny: ${finalCena} * ${kursValue} + ${finalKosztDostawyPerUnit} + ${finalPodatekAkcyzowy} = ${kosztWlasny}`);
+          
+          // Обновляем запись
+          db.run(
+            'UPDATE working_sheets SET kod = ?, nazwa = ?, ilosc = ?, typ = ?, kod_kreskowy = ?, data_waznosci = ?, rezerwacje = ?, objetosc = ?, sprzedawca = ?, cena = ?, cena_sprzedazy = ?, koszt_dostawy_per_unit = ?, podatek_akcyzowy = ?, koszt_wlasny = ?, zawartosc_alkoholu = ? WHERE id = ?',
+            [
+              productKod,
+              nazwa || existingRecord.nazwa,
+              ilosc || existingRecord.ilosc,
+              typ || existingRecord.typ,
+              kod_kreskowy || existingRecord.kod_kreskowy,
+              data_waznosci || existingRecord.data_waznosci,
+              rezerwacje || existingRecord.rezerwacje,
+              objetosc || existingRecord.objetosc,
+              sprzedawca || existingRecord.sprzedawca,
+              finalCena,
+              cena_sprzedazy !== undefined ? cena_sprzedazy : existingRecord.cena_sprzedazy,
+              finalKosztDostawyPerUnit,
+              finalPodatekAkcyzowy,
+              kosztWlasny,
+              zawartoscAlkoholu !== undefined ? zawartoscAlkoholu : existingRecord.zawartosc_alkoholu,
+              id
+            ],
+            function(err) {
+              if (err) {
+                console.error('❌ Database error:', err);
+                res.status(500).json({ error: err.message });
+                return;
+              }
+              
+              console.log(`✅ Working sheet ${id} updated successfully`);
+              console.log(`📊 Changes: kod=${productKod}, nazwa=${nazwa || existingRecord.nazwa}, ilosc=${ilosc || existingRecord.ilosc}`);
+              req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.CORRECTION, id);
+              req.stockMovements.sheet(existingRecord.kod, -existingRecord.ilosc);
+              req.stockMovements.sheet(productKod, ilosc || existingRecord.ilosc);
+              
+              // Если изменилась цена, обновляем её в products для записей с receipt_id = NULL
+              const updatedCena = cena || existingRecord.cena;
+              if (cena && cena !== existingRecord.cena) {
+                console.log(`💰 Price changed for ${productKod}: ${existingRecord.cena} → ${cena}`);
+                console.log(`🔄 Updating price in products table for records with receipt_id = NULL`);
+                
+                db.run(
+                  'UPDATE products SET cena = ? WHERE kod = ? AND receipt_id IS NULL',
+                  [cena, productKod],
+                  function(updateErr) {
+                    if (updateErr) {
+                      console.error(`❌ Error updating products table:`, updateErr);
+                    } else if (this.changes > 0) {
+                      console.log(`✅ Updated ${this.changes} record(s) in products table`);
+                    } else {
+                      console.log(`ℹ️ No records with receipt_id = NULL found in products for ${productKod}`);
+                    }
+                  }
+                );
               }
-            );
-          });
+              
+              res.json({ 
+                message: 'Working sheet updated successfully',
+                id: id,
+                changes: {
+                  kod: productKod,
+                  nazwa: nazwa || existingRecord.nazwa,
+                  ilosc: ilosc || existingRecord.ilosc,
+                  typ: typ || existingRecord.typ
+                }
+              });
+            }
+          );
         }
+      );
+    }
+  });
+});
 
-        if (snapshot) {
-          console.log(
-            `🔄 Restoring metadata for ${productKod} from snapshot (receipt ${id}), qty from remaining batches`
-          );
-          await new Promise((resolve) => {
-            db.run(
-              `UPDATE working_sheets SET
-                nazwa = ?,
-                ilosc = ?,
-                kod_kreskowy = ?,
-                typ = ?,
-                sprzedawca = ?,
-                cena = ?,
-                data_waznosci = ?,
-                objetosc = ?,
-                koszt_dostawy_per_unit = ?
-              WHERE kod = ?`,
-              [
-                snapshot.nazwa,
-                qty,
-                snapshot.kod_kreskowy,
-                snapshot.typ,
-                snapshot.sprzedawca,
-                price,
-                snapshot.data_waznosci,
-                snapshot.objetosc,
-                snapshot.koszt_dostawy_per_unit,
-                productKod,
-              ],
-              function (restoreErr) {
-                if (restoreErr) {
-                  console.error(`❌ Error restoring metadata for ${productKod}:`, restoreErr);
-                } else {
-                  console.log(
-                    `✅ Restored ${productKod}: nazwa="${snapshot.nazwa}", ilosc=${qty}, cena=${price}`
-                  );
-                  wsUpdated++;
-                }
-                resolve();
-              }
-            );
-          });
-        } else {
-          await new Promise((resolve) => {
-            db.run(
-              'UPDATE working_sheets SET ilosc = ?, cena = ? WHERE kod = ?',
-              [qty, price, productKod],
-              function (upErr) {
-                if (!upErr) wsUpdated++;
-                resolve();
-              }
-            );
-          });
+// Добавляем новый endpoint для обновления количества товара
+app.patch('/api/working-sheets/:id/quantity', auditTrail('working_sheet', loadWorkingSheetAuditSnapshot), stockTransaction, (req, res) => {
+  const { id } = req.params;
+  const { ilosc, operation = 'set' } = req.body; // operation: 'set', 'add', 'subtract'
+  console.log(`📝 PATCH /api/working-sheets/${id}/quantity - Updating quantity:`, { ilosc, operation });
+  
+  if (!ilosc && ilosc !== 0) {
+    console.log('❌ Validation failed: ilosc is required');
+    return res.status(400).json({ error: 'ilosc is required' });
+  }
+  
+  // Сначала получаем текущую запись
+  db.get('SELECT * FROM working_sheets WHERE id = ?', [id], (err, existingRecord) => {
+    if (err) {
+      console.error('❌ Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    if (!existingRecord) {
+      console.log(`❌ Working sheet with ID ${id} not found`);
+      return res.status(404).json({ error: 'Working sheet not found' });
+    }
+    
+    console.log(`🔄 Found existing record: ${existingRecord.kod} (current ilosc: ${existingRecord.ilosc})`);
+    
+    // Вычисляем новое количество
+    let newQuantity;
+    switch (operation) {
+      case 'add':
+        newQuantity = existingRecord.ilosc + ilosc;
+        console.log(`➕ Adding ${ilosc} to current quantity ${existingRecord.ilosc} = ${newQuantity}`);
+        break;
+      case 'subtract':
+        newQuantity = existingRecord.ilosc - ilosc;
+        console.log(`➖ Subtracting ${ilosc} from current quantity ${existingRecord.ilosc} = ${newQuantity}`);
+        break;
+      case 'set':
+      default:
+        newQuantity = ilosc;
+        console.log(`🔄 Setting quantity from ${existingRecord.ilosc} to ${newQuantity}`);
+        break;
+    }
+    
+    // Проверяем, что количество не отрицательное
+    if (newQuantity < 0) {
+      console.log(`❌ Invalid quantity: ${newQuantity} (cannot be negative)`);
+      return res.status(400).json({ error: 'Quantity cannot be negative' });
+    }
+    
+    // Обновляем количество
+    db.run(
+      'UPDATE working_sheets SET ilosc = ? WHERE id = ?',
+      [newQuantity, id],
+      function(err) {
+        if (err) {
+          console.error('❌ Database error:', err);
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        
+        console.log(`✅ Working sheet ${id} quantity updated: ${existingRecord.ilosc} → ${newQuantity}`);
+        req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.CORRECTION, id);
+        req.stockMovements.sheet(existingRecord.kod, newQuantity - existingRecord.ilosc);
+        
+        res.json({ 
+          message: 'Working sheet quantity updated successfully',
+          id: id,
+          kod: existingRecord.kod,
+          oldQuantity: existingRecord.ilosc,
+          newQuantity: newQuantity,
+          operation: operation
+        });
+      }
+    );
+  });
+});
+
+// Добавляем endpoint для массового обновления working_sheets
+app.post('/api/working-sheets/bulk-update', requireCompanyKods((req) => {
+  const updates = Array.isArray(req.body.updates) ? req.body.updates.filter(Boolean) : [];
+  return workingSheetKods(updates.map((update) => update.id), updates.map((update) => update.kod));
+}), requireValidBarcodes((req) => (
+  Array.isArray(req.body.updates) ? req.body.updates.map((update) => update && update.kod_kreskowy) : []
+)), auditTrail('working_sheet', loadWorkingSheetAuditSnapshot, {
+  action: AUDIT_ACTIONS.UPDATE,
+  resolveIds: (req) => (Array.isArray(req.body && req.body.updates) ? req.body.updates.map((u) => u.id) : []),
+}), stockTransaction, linkSheetSuppliers, (req, res) => {
+  const { updates } = req.body; // массив объектов { id, ilosc, nazwa, typ, etc. }
+  console.log(`📝 POST /api/working-sheets/bulk-update - Bulk updating ${updates?.length || 0} records`);
+  
+  if (!updates || !Array.isArray(updates) || updates.length === 0) {
+    console.log('❌ Validation failed: updates array is required');
+    return res.status(400).json({ error: 'updates array is required' });
+  }
+  req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.CORRECTION, null);
+  
+  let processedCount = 0;
+  let successCount = 0;
+  let errorCount = 0;
+  const results = [];
+  
+  updates.forEach((update, index) => {
+    console.log(`🔄 Processing update ${index + 1}/${updates.length}:`, update);
+    
+    if (!update.id) {
+      console.log(`❌ Update ${index + 1} failed: ID is required`);
+      errorCount++;
+      results.push({ id: update.id, success: false, error: 'ID is required' });
+      processedCount++;
+      checkCompletion();
+      return;
+    }
+    
+    // Обновляем запись
+    const updateFields = [];
+    const updateValues = [];
+    
+    if (update.ilosc !== undefined) {
+      updateFields.push('ilosc = ?');
+      updateValues.push(update.ilosc);
+    }
+    if (update.nazwa !== undefined) {
+      updateFields.push('nazwa = ?');
+      updateValues.push(update.nazwa);
+    }
+    if (update.typ !== undefined) {
+      updateFields.push('typ = ?');
+      updateValues.push(update.typ);
+    }
+    if (update.kod_kreskowy !== undefined) {
+      updateFields.push('kod_kreskowy = ?');
+      updateValues.push(update.kod_kreskowy);
+    }
+    if (update.data_waznosci !== undefined) {
+      updateFields.push('data_waznosci = ?');
+      updateValues.push(update.data_waznosci);
+    }
+    if (update.rezerwacje !== undefined) {
+      updateFields.push('rezerwacje = ?');
+      updateValues.push(update.rezerwacje);
+    }
+    if (update.objetosc !== undefined) {
+      updateFields.push('objetosc = ?');
+      updateValues.push(update.objetosc);
+    }
+    if (update.sprzedawca !== undefined) {
+      updateFields.push('sprzedawca = ?');
+      updateValues.push(update.sprzedawca);
+    }
+    if (update.cena !== undefined) {
+      updateFields.push('cena = ?');
+      updateValues.push(update.cena);
+    }
+    if (update.cena_sprzedazy !== undefined) {
+      updateFields.push('cena_sprzedazy = ?');
+      updateValues.push(update.cena_sprzedazy);
+    }
+    
+    if (updateFields.length === 0) {
+      console.log(`⚠️ Update ${index + 1} skipped: no fields to update`);
+      results.push({ id: update.id, success: true, message: 'No fields to update' });
+      successCount++;
+      processedCount++;
+      checkCompletion();
+      return;
+    }
+    
+    updateValues.push(update.id);
+    
+    // Прежний остаток нужен для записи корректировки в журнал движений
+    db.get('SELECT kod, ilosc FROM working_sheets WHERE id = ?', [update.id], (findErr, previous) => {
+      db.run(
+        `UPDATE working_sheets SET ${updateFields.join(', ')} WHERE id = ?`,
+        updateValues,
+        function(err) {
+          if (err) {
+            console.error(`❌ Error updating working sheet ${update.id}:`, err);
+            errorCount++;
+            results.push({ id: update.id, success: false, error: err.message });
+          } else {
+            console.log(`✅ Working sheet ${update.id} updated successfully`);
+            if (previous && update.ilosc !== undefined) {
+              req.stockMovements.sheet(previous.kod, update.ilosc - previous.ilosc);
+            }
+            successCount++;
+            results.push({ id: update.id, success: true, changes: updateFields.length });
+          }
+          processedCount++;
+          checkCompletion();
         }
+      );
+    });
+  });
+  
+  function checkCompletion() {
+    if (processedCount === updates.length) {
+      if (res.headersSent) {
+        console.log('⚠️ Response already sent, skipping checkCompletion');
+        return;
+      }
+      
+      console.log(`🎉 Bulk update complete: ${successCount} successful, ${errorCount} failed`);
+      res.json({ 
+        message: 'Bulk update completed',
+        total: updates.length,
+        successful: successCount,
+        failed: errorCount,
+        results: results
+      });
+    }
+  }
+});
+
+// Original Sheets API
+app.get('/api/original-sheets', (req, res) => {
+  db.all('SELECT * FROM original_sheets ORDER BY created_at DESC', (err, rows) => {
+    if (err) {
+      console.error('Database error:', err);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    // Преобразуем данные в формат, ожидаемый фронтендом
+    const processedRows = rows.map(row => ({
+      id: row.id,
+      fileName: row.file_name,
+      data: row.data ? JSON.parse(row.data) : { headers: [], rows: [] },
+      created_at: row.created_at
+    }));
+    
+    res.json(processedRows || []);
+  });
+});
+
+app.post('/api/original-sheets', (req, res) => {
+  const { file_name, data } = req.body;
+  
+  if (!file_name) {
+    return res.status(400).json({ error: 'File name is required' });
+  }
+  
+  db.run(
+    'INSERT INTO original_sheets (file_name, data) VALUES (?, ?)',
+    [file_name, data],
+    function(err) {
+      if (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: err.message });
+        return;
       }
+      res.json({ id: this.lastID, message: 'Original sheet added successfully' });
     }
+  );
+});
 
-    // 4) Удаляем историю working_sheets, относящуюся к этой приёмке
-    await new Promise((resolve, reject) => {
-      db.run('DELETE FROM working_sheets_history WHERE receipt_id = ?', [id], (historyErr) => {
-        if (historyErr) reject(historyErr);
-        else resolve();
-      });
-    });
-    console.log(`🗑️ Deleted working_sheets_history for receipt ${id}`);
 
-    // 5) Удаляем сам документ приёмки (после того, как все связанные записи уже удалены)
-    await new Promise((resolve, reject) => {
-      db.run('DELETE FROM product_receipts WHERE id = ?', [id], function (recErr) {
-        if (recErr) reject(recErr);
-        else resolve();
-      });
-    });
-    console.log('✅ Product receipt row deleted');
 
-    // 6) Коммитим транзакцию и отправляем ответ
-    await new Promise((resolve, reject) => {
-      db.run('COMMIT', (err) => {
-        if (err) {
-          console.error('❌ Error committing transaction (DELETE):', err);
-          reject(err);
-        } else {
-          console.log('✅ Transaction committed successfully (DELETE)');
-          resolve();
-        }
-      });
-    });
 
-    res.json({
-      message: 'Product receipt deleted successfully',
-      workingSheetsDeleted: wsDeleted,
-      workingSheetsUpdated: wsUpdated,
-      priceHistoryDeleted: 0,
-    });
+// DUPLICATE price-history endpoint - REMOVED
 
-  } catch (error) {
-    console.error('❌ Error during receipt deletion:', error);
 
-    // Откатываем транзакцию — ни документ, ни products, ни working_sheets
-    // не должны измениться при сбое на любом из шагов
-    try {
-      await new Promise((resolve, reject) => {
-        db.run('ROLLBACK', (rollbackErr) => {
-          if (rollbackErr) {
-            console.error('❌ Error rolling back transaction (DELETE):', rollbackErr);
-            reject(rollbackErr);
-          } else {
-            console.log('🔄 Transaction rolled back (DELETE)');
-            resolve();
-          }
-        });
-      });
-    } catch (rollbackError) {
-      console.error('❌ Failed to rollback transaction (DELETE):', rollbackError);
-    }
+// File Upload API
+app.post('/api/upload', upload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  res.json({
+    message: 'File uploaded successfully',
+    filename: req.file.filename,
+    originalname: req.file.originalname
+  });
+});
 
-    if (!res.headersSent) {
-      const statusCode = error.statusCode || 500;
-      res.status(statusCode).json({
-        error: statusCode === 404 ? 'Product receipt not found' : error.message
-      });
-    }
+// File Management API
+app.get('/api/check_file/:fileName', (req, res) => {
+  const { fileName } = req.params;
+  const filePath = path.join(__dirname, 'uploads', fileName);
+  
+  if (fs.existsSync(filePath)) {
+    res.json({ exists: true, path: filePath });
+  } else {
+    res.json({ exists: false });
   }
 });
 
 
 
-// Получить архивированные записи
-app.get('/api/working-sheets/archived', (req, res) => {
-  console.log('📦 GET /api/working-sheets/archived - Fetching archived working sheets');
-  
-  if (!db) {
-    console.error('❌ Database not available');
-    return res.status(500).json({ error: 'Database not available' });
-  }
+// Download file API
+app.get('/api/download_file/:fileName', (req, res) => {
+  const { fileName } = req.params;
   
-  db.all('SELECT * FROM working_sheets WHERE archived = 1 ORDER BY archived_at DESC', (err, rows) => {
+  // Ищем файл в базе данных
+  db.get('SELECT * FROM original_sheets WHERE file_name = ?', [fileName], (err, row) => {
     if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
+      console.error('Database error:', err);
+      res.status(500).json({ error: 'Database error' });
+      return;
+    }
+    
+    if (!row) {
+      res.status(404).json({ error: 'File not found' });
       return;
     }
-    console.log(`✅ Found ${rows.length} archived working sheets`);
-    res.json(rows || []);
+    
+    try {
+      const data = JSON.parse(row.data);
+      
+             // Создаем HTML страницу с таблицей в стиле модального окна
+       const htmlContent = `
+         <!DOCTYPE html>
+         <html>
+         <head>
+           <meta charset="UTF-8">
+           <title>${fileName}</title>
+           <link href="https://fonts.googleapis.com/css2?family=Sora:wght@400;500;600;700&display=swap" rel="stylesheet">
+           <style>
+             * {
+               margin: 0;
+               padding: 0;
+               box-sizing: border-box;
+             }
+             
+             body { 
+               font-family: 'Sora', sans-serif; 
+               margin: 0;
+               padding: 24px;
+               background-color: #f9fafb;
+               color: #374151;
+               line-height: 1.5;
+             }
+             
+             .container {
+               max-width: 1200px;
+               margin: 0 auto;
+               background: white;
+               border-radius: 0.5rem;
+               box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+               overflow: hidden;
+             }
+             
+             .header {
+               padding: 24px;
+               border-bottom: 1px solid #e5e7eb;
+               background: white;
+             }
+             
+             .header h1 {
+               font-size: 1rem;
+               font-weight: 600;
+               color: #1f2937;
+               margin: 0;
+             }
+             
+             .content {
+               padding: 24px;
+               overflow-x: auto;
+             }
+             
+             table { 
+               border-collapse: collapse; 
+               width: 100%; 
+               font-size: 0.75rem;
+               font-family: 'Sora', sans-serif;
+             }
+             
+             th, td { 
+               border: 1px solid #d1d5db; 
+               padding: 6px 12px; 
+               text-align: left; 
+               vertical-align: top;
+             }
+             
+             th { 
+               background-color: #f3f4f6; 
+               font-weight: 600;
+               color: #374151;
+               font-size: 0.75rem;
+               text-transform: uppercase;
+               letter-spacing: 0.05em;
+             }
+             
+             tr:nth-child(even) { 
+               background-color: #f9fafb; 
+             }
+             
+             tr:hover {
+               background-color: #f3f4f6;
+             }
+             
+             td {
+               color: #374151;
+               font-size: 0.75rem;
+             }
+             
+             .empty-cell {
+               color: #9ca3af;
+               font-style: italic;
+             }
+             
+             @media (max-width: 768px) {
+               body {
+                 padding: 12px;
+               }
+               
+               .container {
+                 border-radius: 0.375rem;
+               }
+               
+               .header, .content {
+                 padding: 16px;
+               }
+               
+               table {
+                 font-size: 0.625rem;
+               }
+               
+               th, td {
+                 padding: 4px 8px;
+               }
+             }
+           </style>
+         </head>
+         <body>
+           <div class="container">
+             <div class="header">
+               <h1>${fileName}</h1>
+             </div>
+             <div class="content">
+               <table>
+                 <thead>
+                   <tr>
+                     ${data.headers.map(header => `<th>${header || ''}</th>`).join('')}
+                   </tr>
+                 </thead>
+                 <tbody>
+                   ${data.rows.map(row => 
+                     `<tr>${row.map(cell => `<td class="${!cell ? 'empty-cell' : ''}">${cell || ''}</td>`).join('')}</tr>`
+                   ).join('')}
+                 </tbody>
+               </table>
+             </div>
+           </div>
+         </body>
+         </html>
+       `;
+      
+      // Отправляем HTML страницу
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.send(htmlContent);
+    } catch (error) {
+      console.error('Error generating HTML:', error);
+      res.status(500).json({ error: 'Error generating HTML' });
+    }
   });
 });
 
-// Working Sheets API
-app.get('/api/working-sheets', (req, res) => {
-  console.log('📝 GET /api/working-sheets - Fetching all working sheets');
+// Sheets API
+app.post('/api/sheets', stockTransaction, (req, res) => {
+  const { fileName, data } = req.body;
   
-  // Проверяем, что база данных доступна
-  if (!db) {
-    console.error('❌ Database not available');
-    return res.status(500).json({ error: 'Database not available' });
+  if (!fileName) {
+    return res.status(400).json({ error: 'File name is required' });
   }
   
-  db.all('SELECT * FROM working_sheets WHERE archived = 0 OR archived IS NULL ORDER BY id DESC', (err, rows) => {
+  // Проверяем, есть ли уже файл в системе
+  db.get('SELECT COUNT(*) as count FROM original_sheets', (err, row) => {
     if (err) {
-      console.error('❌ Database error:', err);
+      console.error('Database error:', err);
       res.status(500).json({ error: err.message });
       return;
     }
-    console.log(`✅ Found ${rows.length} working sheets`);
-    res.json(rows || []);
-  });
-});
-
-// Simple search working sheets for invoices (includes products with zero stock)
-app.get('/api/working-sheets/search-simple', (req, res) => {
-  const { query } = req.query;
-  console.log(`🔍 GET /api/working-sheets/search-simple - Simple search with query: "${query}"`);
-  
-  if (query === undefined || query === null || query.trim() === '') {
-    return res.status(400).json({ error: 'Query parameter is required' });
-  }
-  
-  const searchQuery = `%${query}%`;
-  
-  db.all(`
-    SELECT DISTINCT kod, nazwa, cena_sprzedazy
-    FROM working_sheets 
-    WHERE (archived = 0 OR archived IS NULL)
-      AND (kod LIKE ? OR nazwa LIKE ? OR kod_kreskowy LIKE ?)
-    ORDER BY 
-      CASE 
-        WHEN kod LIKE ? THEN 0
-        WHEN nazwa LIKE ? THEN 1
-        ELSE 2
-      END,
-      kod
-    LIMIT 50
-  `, [searchQuery, searchQuery, searchQuery, searchQuery, searchQuery], (err, rows) => {
-    if (err) {
-      console.error('❌ Database error:', err);
-      return res.status(500).json({ error: err.message });
+    
+    if (row.count > 0) {
+      return res.status(409).json({ error: 'Only one Excel file can be uploaded at a time. Please delete the existing file first.' });
     }
-    console.log(`✅ Found ${rows.length} products (simple search)`);
-    res.json(rows || []);
-  });
-});
-
-// Search working sheets
-app.get('/api/working-sheets/search', (req, res) => {
-  const { query, client_id, include_zero_stock, for_reservation, order_id, codes } = req.query;
-  console.log(`🔍 GET /api/working-sheets/search - Searching working sheets with query: "${query}"${client_id ? `, client_id: ${client_id}` : ''}${order_id ? `, order_id: ${order_id}` : ''}${include_zero_stock ? ', include_zero_stock: true' : ''}${for_reservation ? ', for_reservation: true' : ''}${codes ? `, codes: ${codes}` : ''}`);
-
-  // Батч-режим: инфо сразу по списку кодов (?codes=kod1,kod2,...) — один запрос вместо N.
-  // Считает 3 агрегата ОДИН раз по WHERE kod IN (...) (равенство → работает индекс),
-  // без LIKE '%...%'-сканов в цикле. Используется при открытии EditOrderModal.
-  if (codes !== undefined) {
-    // Не триммим коды: в БД встречаются kod с ведущим/хвостовым пробелом
-    // (напр. " ER23R/12B"), а фронт шлёт их как есть и затем фильтрует product.kod === kod.
-    const codeList = String(codes)
-      .split(',')
-      .filter((c) => c.length > 0);
+    
+    // Сохраняем данные в таблицу original_sheets
+  db.run(
+    'INSERT INTO original_sheets (file_name, data) VALUES (?, ?)',
+    [fileName, JSON.stringify(data)],
+    function(err) {
+      if (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      
+      const originalSheetId = this.lastID;
+      req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.CORRECTION, originalSheetId);
+      let workingSheetsInsertStarted = false;
+      
+      // Преобразуем Excel данные в формат working_sheets и сохраняем
+      try {
+        const { headers, rows } = data;
+        
+        console.log('=== ПАРСИНГ EXCEL ФАЙЛА ===');
+        console.log('fileName:', fileName);
+        console.log('headers:', headers);
+        console.log('rows count:', rows.length);
+        
+        // Ищем индексы нужных колонок
+        const kodIndex = headers.findIndex(h => 
+          h && h.toLowerCase().includes('kod') || 
+          h && h.toLowerCase().includes('код') ||
+          h && h.toLowerCase().includes('code')
+        );
+        const nazwaIndex = headers.findIndex(h => 
+          h && h.toLowerCase().includes('nazwa') || 
+          h && h.toLowerCase().includes('название') ||
+          h && h.toLowerCase().includes('name') ||
+          h && h.toLowerCase().includes('product')
+        );
+        const iloscIndex = headers.findIndex(h => 
+          h && h.toLowerCase().includes('ilosc') || 
+          h && h.toLowerCase().includes('количество') ||
+          h && h.toLowerCase().includes('quantity') ||
+          h && h.toLowerCase().includes('amount')
+        );
+        const dataIndex = headers.findIndex(h => 
+          h && h.toLowerCase().includes('data') || 
+          h && h.toLowerCase().includes('дата') ||
+          h && h.toLowerCase().includes('date')
+        );
+        
+        console.log('Найденные индексы:');
+        console.log('- kodIndex:', kodIndex, '(поиск: kod, код, code)');
+        console.log('- nazwaIndex:', nazwaIndex, '(поиск: nazwa, название, name, product)');
+        console.log('- iloscIndex:', iloscIndex, '(поиск: ilosc, количество, quantity, amount)');
+        console.log('- dataIndex:', dataIndex, '(поиск: data, дата, date)');
+        
+        // Если не нашли нужные колонки, используем первые доступные
+        const finalKodIndex = kodIndex >= 0 ? kodIndex : 0;
+        const finalNazwaIndex = nazwaIndex >= 0 ? nazwaIndex : (kodIndex >= 0 ? 1 : 0);
+        const finalIloscIndex = iloscIndex >= 0 ? iloscIndex : (nazwaIndex >= 0 ? 2 : 1);
+        const finalDataIndex = dataIndex >= 0 ? dataIndex : (iloscIndex >= 0 ? 3 : 2);
+        
+        console.log('Финальные индексы:');
+        console.log('- finalKodIndex:', finalKodIndex);
+        console.log('- finalNazwaIndex:', finalNazwaIndex);
+        console.log('- finalIloscIndex:', finalIloscIndex);
+        console.log('- finalDataIndex:', finalDataIndex);
+        
+        // Получаем текущую дату для записей без даты
+        const currentDate = new Date().toISOString().split('T')[0];
+        
+        // Подготавливаем данные для вставки в working_sheets
+        const workingSheetData = rows.map((row, index) => {
+          // Функция для проверки пустых значений
+          const getValueOrNull = (value) => {
+            if (value === undefined || value === null || value === '' || value === 'undefined' || value === 'null') {
+              return null;
+            }
+            return value.toString().trim();
+          };
+          
+          const getNumberOrNull = (value) => {
+            if (value === undefined || value === null || value === '' || value === 'undefined' || value === 'null') {
+              return null;
+            }
+            const num = parseInt(value);
+            return isNaN(num) ? null : num;
+          };
+          
+          const kod = normalizeProductKod(getValueOrNull(row[finalKodIndex]));
+          const nazwa = getValueOrNull(row[finalNazwaIndex]);
+          const ilosc = getNumberOrNull(row[finalIloscIndex]);
+          
+          // Ищем только kod_kreskowy в заголовках
+          const kodKreskowyIndex = headers.findIndex(h => 
+            h && h.toLowerCase().includes('kreskowy') || 
+            h && h.toLowerCase().includes('штрих') ||
+            h && h.toLowerCase().includes('barcode')
+          );
+          
+          return {
+            kod: kod,
+            nazwa: nazwa,
+            ilosc: ilosc,
+            typ: null, // не копируем из Excel
+            kod_kreskowy: kodKreskowyIndex >= 0 ? getValueOrNull(row[kodKreskowyIndex]) : null,
+            data_waznosci: null, // не копируем из Excel
+            rezerwacje: null, // не копируем из Excel
+            objetosc: null, // не копируем из Excel
+            sprzedawca: null // не копируем из Excel
+          };
+        });
+        
+        console.log('Обработано строк:', workingSheetData.length);
+        
+        // Фильтруем пустые записи
+        const filteredData = workingSheetData.filter(item => item.kod && item.nazwa && item.ilosc && item.ilosc > 0);
+        
+        console.log('После фильтрации:', filteredData.length, 'строк');
+        console.log('Отфильтровано:', workingSheetData.length - filteredData.length, 'строк');
+        
+        // Показываем причины фильтрации
+        const filteredOut = workingSheetData.filter(item => !item.kod || !item.nazwa || !item.ilosc || item.ilosc <= 0);
+        if (filteredOut.length > 0) {
+          console.log('Причины фильтрации:');
+          filteredOut.forEach((item, index) => {
+            const reasons = [];
+            if (!item.kod) reasons.push('пустой код');
+            if (!item.nazwa) reasons.push('пустое название');
+            if (!item.ilosc || item.ilosc <= 0) reasons.push('количество <= 0 или null');
+            console.log(`- Строка ${index + 1}: ${reasons.join(', ')}`);
+          });
+        }
+        
+        // Вставляем данные в working_sheets
+        if (filteredData.length > 0) {
+          const placeholders = filteredData.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+          const values = filteredData.flatMap(item => [
+            item.kod, item.nazwa, item.ilosc, item.kod_kreskowy, item.data_waznosci, 
+            item.rezerwacje, item.objetosc, item.typ, item.sprzedawca, // sprzedawca
+            null, // cena (по умолчанию null)
+            null, // cena_sprzedazy (по умолчанию null)
+            null, // produkt_id
+            req.companyId
+          ]);
+          
+          workingSheetsInsertStarted = true;
+          db.run(
+            `INSERT INTO working_sheets (kod, nazwa, ilosc, kod_kreskowy, data_waznosci, rezerwacje, objetosc, typ, sprzedawca, cena, cena_sprzedazy, produkt_id, company_id) VALUES ${placeholders}`,
+            values,
+            function(err) {
+              if (err) {
+                console.error('Error inserting into working_sheets:', err);
+                // Не возвращаем ошибку, так как original_sheets уже сохранен
+              } else {
+                console.log(`✅ Copied ${filteredData.length} records from original_sheets to working_sheets`);
+                filteredData.forEach((item) => req.stockMovements.sheet(item.kod, item.ilosc));
+              }
+              sendSavedResponse();
+            }
+          );
+        }
+        
+      } catch (error) {
+        console.error('Error processing data for working_sheets:', error);
+        // Не возвращаем ошибку, так как original_sheets уже сохранен
+      }
+      
+      // Ответ — после вставки в working_sheets, чтобы она попала в ту же транзакцию
+      if (!workingSheetsInsertStarted) sendSavedResponse();
 
-    if (codeList.length === 0) {
-      return res.json([]);
+      function sendSavedResponse() {
+        res.json({ 
+          id: originalSheetId, 
+          message: 'Sheet data saved successfully and copied to working sheets',
+          fileName: fileName
+        });
+      }
     }
+  );
+});
 
-    const includeZeroBatch = include_zero_stock === 'true';
-    const placeholders = codeList.map(() => '?').join(', ');
 
-    const wsPromiseB = new Promise((resolve, reject) => {
-      db.all(
-        `SELECT w.kod, MAX(w.nazwa) as nazwa, MAX(w.sprzedawca) as sprzedawca, SUM(w.ilosc) as ilosc_main
-         FROM working_sheets w
-         WHERE w.kod IN (${placeholders})
-         GROUP BY w.kod`,
-        codeList,
-        (err, rows) => err ? reject(err) : resolve(rows || [])
-      );
-    });
 
-    const samplesPromiseB = new Promise((resolve, reject) => {
-      db.all(
-        `SELECT kod, MAX(nazwa) as nazwa, SUM(ilosc_aktualna) as ilosc_samples
-         FROM products
-         WHERE kod IN (${placeholders}) AND status = 'samples'
-         GROUP BY kod
-         HAVING SUM(ilosc_aktualna) > 0`,
-        codeList,
-        (err, rows) => err ? reject(err) : resolve(rows || [])
-      );
-    });
 
-    const reservationsPromiseB = new Promise((resolve, reject) => {
-      db.all(
-        `SELECT rp.product_kod as kod,
-                SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as ilosc_reserved,
-                SUM(CASE WHEN r.client_id = ? THEN rp.ilosc - COALESCE(rp.ilosc_wydane, 0) ELSE 0 END) as ilosc_client_reserved,
-                SUM(CASE WHEN r.client_id = ? THEN rp.ilosc ELSE 0 END) as ilosc_client_reserved_total
-         FROM reservation_products rp
-         INNER JOIN reservations r ON rp.reservation_id = r.id
-         WHERE r.status = 'aktywna' AND rp.product_kod IN (${placeholders})
-         GROUP BY rp.product_kod`,
-        [client_id || 0, client_id || 0, ...codeList],
-        (err, rows) => err ? reject(err) : resolve(rows || [])
-      );
-    });
 
-    Promise.all([wsPromiseB, samplesPromiseB, reservationsPromiseB])
-      .then(([wsRows, samplesRows, reservationsRows]) => {
-        const samplesByKod = new Map();
-        samplesRows.forEach(r => samplesByKod.set(r.kod, r.ilosc_samples || 0));
 
-        const reservationsByKod = new Map();
-        reservationsRows.forEach(r => reservationsByKod.set(r.kod, {
-          ilosc_reserved: r.ilosc_reserved || 0,
-          ilosc_client_reserved: r.ilosc_client_reserved || 0,
-          ilosc_client_reserved_total: r.ilosc_client_reserved_total || 0
-        }));
 
-        const wsMainByKod = new Map(wsRows.map(r => [r.kod, r.ilosc_main || 0]));
-        const sprzedawcaByKod = new Map(wsRows.map(r => [r.kod, r.sprzedawca || '']));
+}); // Закрываем блок db.serialize
 
-        const result = [];
+// Test endpoints - только для разработки и тестирования
+if (process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test') {
+  try {
+    const { setupTestEndpoints } = require('./test-endpoints');
+    setupTestEndpoints(app, db);
+    console.log('🧪 Test endpoints enabled for development/test environment');
+  } catch (error) {
+    console.log('⚠️ Could not load test endpoints:', error.message);
+  }
+} else {
+  console.log('🚀 Production mode - test endpoints disabled');
+}
 
-        // Основные строки — working_sheets
-        wsRows.forEach(ws => {
-          const samplesQty = samplesByKod.get(ws.kod) || 0;
-          const mainOnly = (ws.ilosc_main || 0) - samplesQty;
-          if (!includeZeroBatch && mainOnly <= 0) return;
+// Favicon lives in server/assets
+const faviconSvgPath = path.join(__dirname, 'assets', 'favicon.svg');
+const faviconIcoPath = path.join(__dirname, 'assets', 'favicon.ico');
 
-          const reserved = reservationsByKod.get(ws.kod) || { ilosc_reserved: 0, ilosc_client_reserved: 0, ilosc_client_reserved_total: 0 };
-          const row = {
-            kod: ws.kod,
-            nazwa: ws.nazwa,
-            sprzedawca: ws.sprzedawca || '',
-            ilosc: mainOnly,
-            ilosc_reserved: reserved.ilosc_reserved,
-            status: null
-          };
-          if (client_id) {
-            row.ilosc_client_reserved = reserved.ilosc_client_reserved;
-            row.ilosc_client_reserved_total = reserved.ilosc_client_reserved_total;
-          }
-          result.push(row);
-        });
+const sendFaviconSvg = (req, res) => {
+  if (!fs.existsSync(faviconSvgPath)) {
+    return res.status(404).end();
+  }
+  res.type('image/svg+xml');
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.sendFile(faviconSvgPath);
+};
 
-        // Строки семплов
-        samplesRows.forEach(sp => {
-          const sampleQty = sp.ilosc_samples || 0;
-          if (sampleQty <= 0) return;
-          const wsMain = wsMainByKod.get(sp.kod) || 0;
-          if (wsMain <= 0) return;
-          const effectiveSampleQty = Math.min(sampleQty, wsMain);
-          if (effectiveSampleQty <= 0) return;
+const sendFaviconIco = (req, res) => {
+  if (!fs.existsSync(faviconIcoPath)) {
+    return res.status(404).end();
+  }
+  res.type('image/x-icon');
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.sendFile(faviconIcoPath);
+};
 
-          const reserved = reservationsByKod.get(sp.kod) || { ilosc_reserved: 0, ilosc_client_reserved: 0, ilosc_client_reserved_total: 0 };
-          const row = {
-            kod: sp.kod,
-            nazwa: `${sp.nazwa} (samples)`,
-            sprzedawca: sprzedawcaByKod.get(sp.kod) || '',
-            ilosc: effectiveSampleQty,
-            ilosc_reserved: reserved.ilosc_reserved,
-            status: 'samples'
-          };
-          if (client_id) {
-            row.ilosc_client_reserved = reserved.ilosc_client_reserved;
-            row.ilosc_client_reserved_total = reserved.ilosc_client_reserved_total;
-          }
-          result.push(row);
-        });
+app.get('/server/assets/favicon.svg', sendFaviconSvg);
+app.get('/server/assets/favicon.ico', sendFaviconIco);
+app.get('/favicon.svg', sendFaviconSvg);
+app.get('/favicon.ico', sendFaviconIco);
 
-        enrichSearchRowsWithOrderReservation(order_id, result, (enrichErr, enrichedRows) => {
-          if (enrichErr) {
-            console.error('❌ Error enriching batch rows with order reservation:', enrichErr);
-            return res.status(500).json({ error: enrichErr.message });
-          }
-          console.log(`✅ Batch search: ${enrichedRows.length} rows for ${codeList.length} codes`);
-          res.json(enrichedRows);
-        });
-      })
-      .catch(err => {
-        console.error('❌ Database error (batch):', err);
-        res.status(500).json({ error: err.message });
-      });
-    return;
-  }
+// === KOMIS API routes ===
+// ВАЖНО: регистрируем ДО production SPA catch-all ниже, иначе /api/komis/* перехватывается
+// fallback-роутом app.get('*') и возвращает 404. Таблица komis и syncKomisProduct — ниже по файлу.
 
-  if (query === undefined || query === null) {
-    console.log('❌ Validation failed: query parameter is required');
-    return res.status(400).json({ error: 'Query parameter is required' });
-  }
-  
-  // Если query пустой, используем '%' для поиска всех
-  const searchQuery = query.trim() === '' ? '%' : `%${query}%`;
-  const startsWithQuery = query.trim() === '' ? '%' : `${query}%`;
+// GET /api/komis/summary — сводка из таблицы komis
+app.get('/api/komis/summary', (req, res) => {
+  console.log('📦 GET /api/komis/summary - Fetching komis summary by client');
 
-  // Режим для резервации: одна строка на товар с суммарным остатком (основной + семплы)
-  if (for_reservation === 'true') {
-    const reservationQuery = client_id ? `
-      WITH ws_products AS (
-        SELECT w.kod, MAX(w.nazwa) as nazwa, SUM(w.ilosc) as ilosc_main
-        FROM working_sheets w
-        WHERE (w.kod LIKE ? OR w.nazwa LIKE ? OR w.kod_kreskowy LIKE ?)
-        GROUP BY w.kod
-      ),
-      reserved_products AS (
-        SELECT rp.product_kod as kod,
-          SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as ilosc_reserved
-        FROM reservation_products rp
-        INNER JOIN reservations r ON rp.reservation_id = r.id
-        WHERE r.status = 'aktywna'
-        GROUP BY rp.product_kod
-      ),
-      client_reservations AS (
-        SELECT rp.product_kod as kod,
-          SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as ilosc_client_reserved
-        FROM reservation_products rp
-        INNER JOIN reservations r ON rp.reservation_id = r.id
-        WHERE r.status = 'aktywna' AND r.client_id = ?
-        GROUP BY rp.product_kod
-      )
-      SELECT ws.kod, ws.nazwa,
-        COALESCE(ws.ilosc_main, 0) as ilosc,
-        COALESCE(rp.ilosc_reserved, 0) as ilosc_reserved,
-        COALESCE(cr.ilosc_client_reserved, 0) as ilosc_client_reserved,
-        NULL as status,
-        CASE WHEN ws.kod LIKE ? THEN 0 WHEN ws.nazwa LIKE ? THEN 1 ELSE 2 END as match_priority
-      FROM ws_products ws
-      LEFT JOIN reserved_products rp ON ws.kod = rp.kod
-      LEFT JOIN client_reservations cr ON ws.kod = cr.kod
-      WHERE COALESCE(ws.ilosc_main, 0) > 0
-      ORDER BY match_priority, ws.kod, ws.nazwa
-      LIMIT ${query.trim() === '' ? 500 : 50}
-    ` : `
-      WITH ws_products AS (
-        SELECT w.kod, MAX(w.nazwa) as nazwa, SUM(w.ilosc) as ilosc_main
-        FROM working_sheets w
-        WHERE (w.kod LIKE ? OR w.nazwa LIKE ? OR w.kod_kreskowy LIKE ?)
-        GROUP BY w.kod
-      ),
-      reserved_products AS (
-        SELECT rp.product_kod as kod,
-          SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as ilosc_reserved
-        FROM reservation_products rp
-        INNER JOIN reservations r ON rp.reservation_id = r.id
-        WHERE r.status = 'aktywna'
-        GROUP BY rp.product_kod
-      )
-      SELECT ws.kod, ws.nazwa,
-        COALESCE(ws.ilosc_main, 0) as ilosc,
-        COALESCE(rp.ilosc_reserved, 0) as ilosc_reserved,
-        NULL as status,
-        CASE WHEN ws.kod LIKE ? THEN 0 WHEN ws.nazwa LIKE ? THEN 1 ELSE 2 END as match_priority
-      FROM ws_products ws
-      LEFT JOIN reserved_products rp ON ws.kod = rp.kod
-      WHERE COALESCE(ws.ilosc_main, 0) > 0
-      ORDER BY match_priority, ws.kod, ws.nazwa
-      LIMIT ${query.trim() === '' ? 500 : 50}
-    `;
+  db.all(`
+    SELECT
+      k.client_id,
+      COALESCE(c.nazwa, k.klient) AS klient,
+      k.kod,
+      k.nazwa,
+      k.ilosc
+    FROM komis k
+    LEFT JOIN clients c ON c.id = k.client_id
+    ORDER BY klient, k.kod
+  `, [], (err, rows) => {
+    if (err) {
+      console.error('❌ Error fetching komis summary:', err);
+      return res.status(500).json({ error: err.message });
+    }
+
+    const groupedByClient = {};
+    (rows || []).forEach(row => {
+      const groupKey = row.client_id ? `id:${row.client_id}` : `name:${row.klient}`;
+      if (!groupedByClient[groupKey]) {
+        groupedByClient[groupKey] = {
+          klient: row.klient,
+          client_id: row.client_id || null,
+          products: [],
+          total_ilosc: 0
+        };
+      }
+      groupedByClient[groupKey].products.push({ kod: row.kod, nazwa: row.nazwa, ilosc: row.ilosc });
+      groupedByClient[groupKey].total_ilosc += row.ilosc;
+    });
 
-    const reservationParams = client_id
-      ? [searchQuery, searchQuery, searchQuery, client_id, startsWithQuery, searchQuery]
-      : [searchQuery, searchQuery, searchQuery, startsWithQuery, searchQuery];
+    const result = Object.values(groupedByClient);
+    console.log(`✅ Found ${result.length} clients with komis products`);
+    res.json(result);
+  });
+});
 
-    db.all(reservationQuery, reservationParams, (err, rows) => {
+// GET /api/komis/client/:klient — данные по одному клиенту из таблицы komis (+ цена)
+app.get('/api/komis/client/:klient', (req, res) => {
+  const klient = decodeURIComponent(req.params.klient);
+  const includeZero = req.query.include_zero === '1';
+  console.log(`📦 GET /api/komis/client/${klient}`);
+
+  db.all(`
+    SELECT
+      k.client_id,
+      COALESCE(c.nazwa, k.klient) AS klient_resolved,
+      k.kod,
+      k.nazwa,
+      k.ilosc,
+      ws.cena_sprzedazy
+    FROM komis k
+    LEFT JOIN clients c ON c.id = k.client_id
+    LEFT JOIN working_sheets ws ON k.kod = ws.kod
+    WHERE LOWER(TRIM(COALESCE(c.nazwa, k.klient))) = LOWER(TRIM(?))
+       OR LOWER(TRIM(k.klient)) = LOWER(TRIM(?))
+    ORDER BY k.kod
+  `, [klient, klient], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const products = (rows || [])
+      .filter(row => includeZero || row.ilosc > 0)
+      .map(row => ({
+      kod: row.kod,
+      nazwa: row.nazwa,
+      ilosc: row.ilosc,
+      cena_sprzedazy: row.cena_sprzedazy || null
+    }));
+    const total_ilosc = products.reduce((sum, p) => sum + p.ilosc, 0);
+    const resolvedKlient = rows && rows.length > 0 ? rows[0].klient_resolved : klient;
+    const client_id = rows && rows.length > 0 ? rows[0].client_id : null;
+
+    res.json({ klient: resolvedKlient, client_id, products, total_ilosc });
+  });
+});
+
+// PUT /api/komis — сохранить ручную корректировку количества
+app.put('/api/komis', auditTrail('komis', loadKomisAuditSnapshot, { resolveIds: findKomisAuditId }), (req, res) => {
+  const { klient, kod, nazwa, ilosc } = req.body;
+  console.log(`✏️ PUT /api/komis - Updating komis: klient=${klient}, kod=${kod}, ilosc=${ilosc}`);
+
+  if (!klient || !kod || ilosc === undefined) {
+    return res.status(400).json({ error: 'klient, kod i ilosc są wymagane' });
+  }
+
+  resolveClientIdByKlient(klient, (lookupErr, clientId) => {
+    if (lookupErr) {
+      console.error('❌ Error looking up client for komis:', lookupErr);
+      return res.status(500).json({ error: lookupErr.message });
+    }
+
+  db.run(
+    `INSERT INTO komis (client_id, klient, kod, nazwa, ilosc, updated_at)
+     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(klient, kod) DO UPDATE SET
+       ilosc = excluded.ilosc,
+       nazwa = excluded.nazwa,
+       client_id = COALESCE(excluded.client_id, komis.client_id),
+       updated_at = CURRENT_TIMESTAMP`,
+    [clientId, klient, kod, nazwa || '', ilosc],
+    function(err) {
       if (err) {
-        console.error('❌ Database error (for_reservation):', err);
+        console.error('❌ Error updating komis:', err);
         return res.status(500).json({ error: err.message });
       }
-      console.log(`✅ Found ${rows.length} products (for_reservation) matching "${query}"`);
-      res.json(rows || []);
-    });
-    return;
-  }
+      console.log(`✅ Komis updated: klient=${klient}, kod=${kod}, ilosc=${ilosc}`);
+      res.json({ success: true });
+    }
+  );
+  });
+});
 
-  // Упрощённая логика поиска: запускаем 3 простых запроса параллельно и объединяем в JS.
-  // 1) working_sheets — основной товар (суммарно по kod)
-  // 2) products (status='samples') — семплы
-  // 3) reservation_products + reservations — все активные резервации (общие и по клиенту)
-  const includeZero = include_zero_stock === 'true';
-  const limitRows = query.trim() === '' ? 500 : 50;
+// DELETE /api/komis — сбросить корректировку (вернуть к расчётному значению)
+app.delete('/api/komis', auditTrail('komis', loadKomisAuditSnapshot, { resolveIds: findKomisAuditId }), (req, res) => {
+  const { klient, kod } = req.body;
+  console.log(`🗑️ DELETE /api/komis - Resetting override: klient=${klient}, kod=${kod}`);
 
-  const wsPromise = new Promise((resolve, reject) => {
-    db.all(
-      `SELECT w.kod, MAX(w.nazwa) as nazwa, MAX(w.sprzedawca) as sprzedawca, SUM(w.ilosc) as ilosc_main
-       FROM working_sheets w
-       WHERE (w.kod LIKE ? OR w.nazwa LIKE ? OR w.kod_kreskowy LIKE ?)
-       GROUP BY w.kod`,
-      [searchQuery, searchQuery, searchQuery],
-      (err, rows) => err ? reject(err) : resolve(rows || [])
-    );
+  db.run('DELETE FROM komis WHERE klient = ? AND kod = ?', [klient, kod], function(err) {
+    if (err) {
+      console.error('❌ Error deleting komis override:', err);
+      return res.status(500).json({ error: err.message });
+    }
+    console.log(`✅ Komis override reset: klient=${klient}, kod=${kod}`);
+    res.json({ success: true });
   });
+});
 
-  const samplesPromise = new Promise((resolve, reject) => {
-    db.all(
-      `SELECT kod, MAX(nazwa) as nazwa, SUM(ilosc_aktualna) as ilosc_samples
-       FROM products
-       WHERE (kod LIKE ? OR nazwa LIKE ? OR kod_kreskowy LIKE ?)
-         AND status = 'samples'
-       GROUP BY kod
-       HAVING SUM(ilosc_aktualna) > 0`,
-      [searchQuery, searchQuery, searchQuery],
-      (err, rows) => err ? reject(err) : resolve(rows || [])
-    );
+// Serve static files from parent directory (frontend)
+// В dev режиме фронт работает на Vite (порт 3000), поэтому сервер на 3001 не должен обслуживать статику
+// В production режиме обслуживаем статические файлы из dist
+// ВАЖНО: В dev режиме (когда фронт на Vite) НЕ обслуживаем статику, чтобы не перехватывать API запросы
+const isProduction = process.env.NODE_ENV === 'production';
+console.log(`🔧 Server mode: ${isProduction ? 'PRODUCTION' : 'DEVELOPMENT'}`);
+
+if (isProduction) {
+  // Явно исключаем /api из статических файлов
+  app.use((req, res, next) => {
+    // КРИТИЧЕСКИ ВАЖНО: Пропускаем все API запросы - они должны обрабатываться роутами выше
+    if (req.path.startsWith('/api/')) {
+      console.log(`🔵 API request bypassing static middleware: ${req.method} ${req.path}`);
+      return next();
+    }
+    // Для остальных запросов обслуживаем статические файлы
+    console.log(`📁 Static file request: ${req.method} ${req.path}`);
+    express.static(path.join(__dirname, '..'))(req, res, next);
   });
 
-  const reservationsPromise = new Promise((resolve, reject) => {
-    db.all(
-      `SELECT rp.product_kod as kod,
-              SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) as ilosc_reserved,
-              SUM(CASE WHEN r.client_id = ? THEN rp.ilosc - COALESCE(rp.ilosc_wydane, 0) ELSE 0 END) as ilosc_client_reserved,
-              SUM(CASE WHEN r.client_id = ? THEN rp.ilosc ELSE 0 END) as ilosc_client_reserved_total
-       FROM reservation_products rp
-       INNER JOIN reservations r ON rp.reservation_id = r.id
-       WHERE r.status = 'aktywna'
-       GROUP BY rp.product_kod`,
-      [client_id || 0, client_id || 0],
-      (err, rows) => err ? reject(err) : resolve(rows || [])
-    );
+// ВАЖНО: SPA Fallback маршрут ДОЛЖЕН БЫТЬ ПОСЛЕДНИМ!
+  // Но он не должен перехватывать API запросы
+app.get('*', (req, res) => {
+    // Если это API запрос, возвращаем 404
+    if (req.path.startsWith('/api/')) {
+      return res.status(404).json({ error: 'API endpoint not found' });
+    }
+    const indexPath = path.join(__dirname, '../index.html');
+  console.log('Serving SPA fallback:', indexPath);
+  res.sendFile(indexPath);
+});
+} else {
+  // В dev режиме только API, статические файлы не обслуживаем (они на Vite на порту 3000)
+  console.log('🔧 Development mode: static files served by Vite on port 3000');
+  console.log('🔧 API requests will be handled by routes above, no static middleware');
+  // НЕ добавляем никаких middleware для статических файлов в dev режиме
+  // API роуты обрабатываются выше, а для несуществующих API endpoints Express вернет 404 автоматически
+}
+
+// Migration endpoint (only in development)
+if (process.env.NODE_ENV !== 'production') {
+  app.post('/api/migrate/add-working-sheets-history', (req, res) => {
+    console.log('🔄 Starting migration: Add working_sheets_history table...');
+    
+    const createHistoryTable = `
+      CREATE TABLE IF NOT EXISTS working_sheets_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kod TEXT NOT NULL,
+        nazwa TEXT,
+        ilosc INTEGER,
+        kod_kreskowy TEXT,
+        typ TEXT,
+        sprzedawca TEXT,
+        cena REAL,
+        data_waznosci TEXT,
+        objetosc REAL,
+        koszt_dostawy_per_unit REAL DEFAULT 0,
+        podatek_akcyzowy REAL DEFAULT 0,
+        koszt_wlasny REAL DEFAULT 0,
+        action TEXT NOT NULL,
+        receipt_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (receipt_id) REFERENCES product_receipts (id)
+      );
+    `;
+    
+    db.run(createHistoryTable, (err) => {
+      if (err) {
+        console.error('❌ Error creating working_sheets_history table:', err.message);
+        return res.status(500).json({ error: err.message });
+      }
+      
+      // Создаем индексы
+      const createIndexes = `
+        CREATE INDEX IF NOT EXISTS idx_working_sheets_history_kod ON working_sheets_history(kod);
+        CREATE INDEX IF NOT EXISTS idx_working_sheets_history_receipt_id ON working_sheets_history(receipt_id);
+        CREATE INDEX IF NOT EXISTS idx_working_sheets_history_action ON working_sheets_history(action);
+      `;
+      
+      db.run(createIndexes, (err) => {
+        if (err) {
+          console.error('❌ Error creating indexes:', err.message);
+          return res.status(500).json({ error: err.message });
+        }
+        
+        console.log('✅ Migration completed successfully!');
+        res.json({ message: 'Migration completed successfully' });
+      });
+    });
   });
+}
 
-  Promise.all([wsPromise, samplesPromise, reservationsPromise])
-    .then(([wsRows, samplesRows, reservationsRows]) => {
-      // Маппы для быстрого поиска
-      const samplesByKod = new Map();
-      samplesRows.forEach(r => samplesByKod.set(r.kod, r.ilosc_samples || 0));
+// ===== WMS (wysyłki zamówień do operatora logistycznego) =====
 
-      const reservationsByKod = new Map();
-      reservationsRows.forEach(r => reservationsByKod.set(r.kod, {
-        ilosc_reserved: r.ilosc_reserved || 0,
-        ilosc_client_reserved: r.ilosc_client_reserved || 0,
-        ilosc_client_reserved_total: r.ilosc_client_reserved_total || 0
-      }));
+function getWmsTransport() {
+  const name = process.env.WMS_TRANSPORT || 'http';
+  return createWmsTransport(name, {
+    url: process.env.WMS_API_URL,
+    login: process.env.WMS_LOGIN,
+    password: process.env.WMS_PASSWORD,
+    companyId: process.env.WMS_COMPANY_ID,
+  });
+}
 
-      // Все коды товаров, которые есть в working_sheets
-      const wsCodes = new Set(wsRows.map(r => r.kod));
-      // Карта: kod → ilosc_main (для проверки остатка при отображении семплов)
-      const wsMainByKod = new Map(wsRows.map(r => [r.kod, r.ilosc_main || 0]));
-      const sprzedawcaByKod = new Map(wsRows.map(r => [r.kod, r.sprzedawca || '']));
+// Позиции zamówienia для WMS; EAN — из позиции, иначе из kartoteki (working_sheets)
+async function buildOrderShipmentItems(orderId) {
+  const products = await dbAllAsync(
+    `SELECT op.kod, op.ilosc,
+            COALESCE(NULLIF(op.kod_kreskowy, ''),
+                     (SELECT ws.kod_kreskowy FROM working_sheets ws
+                      WHERE ws.kod = op.kod AND ws.kod_kreskowy IS NOT NULL AND ws.kod_kreskowy <> ''
+                      LIMIT 1)) AS kod_kreskowy
+     FROM order_products op
+     WHERE op.orderId = ?
+     ORDER BY op.id`,
+    [orderId]
+  );
+  return buildShipmentItems(products);
+}
 
-      // Сортировка: точное/префиксное совпадение по kod в начале, далее по nazwa
-      const matchPriority = (kod, nazwa) => {
-        const q = query.trim().toLowerCase();
-        if (!q) return 2;
-        if ((kod || '').toLowerCase().startsWith(q)) return 0;
-        if ((nazwa || '').toLowerCase().includes(q)) return 1;
-        return 2;
-      };
+// Отправлять можно zamówienie, которое ещё не в WMS или было odrzucone
+function wmsSendBlocker(order) {
+  if ((order.typ || 'zamowienie') !== 'zamowienie') {
+    return 'Do WMS wysyłane są tylko zamówienia';
+  }
+  if (order.wms_status && order.wms_status !== WMS_STATUS.ODRZUCONA) {
+    return `Zamówienie jest już w WMS (status: ${order.wms_status})`;
+  }
+  return null;
+}
 
-      const result = [];
+// Заявки, которые сейчас отправляются (очередь и ручная отправка не дублируют друг друга)
+const wmsSending = new Set();
 
-      // Основные строки — working_sheets
-      wsRows.forEach(ws => {
-        const samplesQty = samplesByKod.get(ws.kod) || 0;
-        const mainOnly = (ws.ilosc_main || 0) - samplesQty;
-        if (!includeZero && mainOnly <= 0) return;
+// Одна попытка отправки zamówienia do_wysłania. Ошибка транспорта оставляет заявку в очереди
+// с паузой nextRetryDelayMinutes; после WMS_MAX_PROBY попыток — odrzucona.
+// → { status, shipmentId?, blad? } или null (заявка уже не ждёт отправки)
+async function sendWmsShipment(orderId, transport) {
+  if (wmsSending.has(orderId)) return null;
+  wmsSending.add(orderId);
+  try {
+    const order = await dbGetAsync('SELECT * FROM orders WHERE id = ?', [orderId]);
+    if (!order || order.wms_status !== WMS_STATUS.DO_WYSLANIA) return null;
+
+    // Позиции собираются в момент отправки: zamówienie могли изменить, пока оно ждало в очереди
+    const { items, errors } = await buildOrderShipmentItems(orderId);
+    if (errors.length > 0) {
+      const blad = rejectedShipmentMessage(errors.join('; '));
+      await dbRunAsync(
+        'UPDATE orders SET wms_status = ?, wms_blad = ?, wms_nastepna_proba = NULL, wms_updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [WMS_STATUS.ODRZUCONA, blad, orderId]
+      );
+      return { status: WMS_STATUS.ODRZUCONA, blad };
+    }
 
-        const reserved = reservationsByKod.get(ws.kod) || { ilosc_reserved: 0, ilosc_client_reserved: 0, ilosc_client_reserved_total: 0 };
-        const row = {
-          kod: ws.kod,
-          nazwa: ws.nazwa,
-          sprzedawca: ws.sprzedawca || '',
-          ilosc: mainOnly,
-          ilosc_reserved: reserved.ilosc_reserved,
-          status: null,
-          _sort_priority: matchPriority(ws.kod, ws.nazwa)
-        };
-        if (client_id) {
-          row.ilosc_client_reserved = reserved.ilosc_client_reserved;
-          row.ilosc_client_reserved_total = reserved.ilosc_client_reserved_total;
+    try {
+      const result = await transport.send(buildShipmentPayload(order, items));
+      const status = result.status === WMS_STATUS.ODRZUCONA ? WMS_STATUS.ODRZUCONA : WMS_STATUS.PRZYJETA;
+      const blad = status === WMS_STATUS.ODRZUCONA ? rejectedShipmentMessage('WMS odrzucił wysyłkę') : null;
+      // Снимок позиций и статус — вместе: заявка не может остаться przyjęta без позиций
+      await runInTransaction(async () => {
+        await dbRunAsync('DELETE FROM wms_shipment_items WHERE order_id = ?', [orderId]);
+        for (const item of items) {
+          await dbRunAsync(
+            'INSERT INTO wms_shipment_items (order_id, kod, ean, ilosc) VALUES (?, ?, ?, ?)',
+            [orderId, item.kod, item.ean, item.ilosc]
+          );
         }
-        result.push(row);
+        await dbRunAsync(
+          `UPDATE orders
+           SET wms_status = ?, wms_shipment_id = ?, wms_blad = ?, wms_proby = wms_proby + 1,
+               wms_nastepna_proba = NULL, wms_updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [status, result.shipmentId, blad, orderId]
+        );
       });
+      console.log(`📤 WMS: ${order.numer_zamowienia} sent, shipment ${result.shipmentId} (${status})`);
+      return { status, shipmentId: result.shipmentId, blad };
+    } catch (sendErr) {
+      const proby = (order.wms_proby || 0) + 1;
+      console.error(`❌ WMS: error sending ${order.numer_zamowienia} (attempt ${proby}):`, sendErr.message);
+      if (proby >= WMS_MAX_PROBY) {
+        const blad = rejectedShipmentMessage(`Przekroczono limit prób wysyłki (${WMS_MAX_PROBY}): ${sendErr.message}`);
+        await dbRunAsync(
+          `UPDATE orders
+           SET wms_status = ?, wms_blad = ?, wms_proby = ?, wms_nastepna_proba = NULL, wms_updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [WMS_STATUS.ODRZUCONA, blad, proby, orderId]
+        );
+        return { status: WMS_STATUS.ODRZUCONA, blad };
+      }
+      await dbRunAsync(
+        `UPDATE orders
+         SET wms_blad = ?, wms_proby = ?, wms_nastepna_proba = datetime('now', ?), wms_updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [sendErr.message, proby, `+${nextRetryDelayMinutes(proby)} minutes`, orderId]
+      );
+      return { status: WMS_STATUS.DO_WYSLANIA, blad: sendErr.message };
+    }
+  } finally {
+    wmsSending.delete(orderId);
+  }
+}
 
-      // Строки семплов
-      samplesRows.forEach(sp => {
-        const sampleQty = sp.ilosc_samples || 0;
-        if (sampleQty <= 0) return;
+// Korekta magazynowa по расхождениям wydania: przychód (PW) недовыданного и rozchód (RW)
+// сверх zamówienia — как при проведении inwentaryzacji. Вызывается внутри транзакции.
+// → номера созданных документов
+async function postWmsShipmentCorrection(order, roznice) {
+  const nazwy = new Map((await dbAllAsync('SELECT kod, nazwa FROM order_products WHERE orderId = ?', [order.id]))
+    .map((row) => [row.kod, row.nazwa]));
+  // WMS может подтвердить kod spoza zamówienia — stan towaru чужой firmy не korygujemy
+  const foreignError = await foreignCompanyKodError(roznice.map((row) => row.kod), order.company_id);
+  const obce = new Set(foreignError ? foreignError.kody : []);
+  const { nadwyzki, niedobory } = buildShipmentCorrections(
+    order.numer_zamowienia,
+    roznice.filter((row) => !obce.has(row.kod)),
+    nazwy
+  );
+  const data = getTodayDateString();
+  const numery = [];
+  const movements = [];
+
+  if (nadwyzki.length > 0) {
+    const numer_przychodu = await findNextOrderDocumentNumber('przychod', 'PW');
+    const collector = createStockMovementCollector();
+    const result = await new Promise((resolve, reject) => {
+      createPrzychodDocument({ data_przychodu: data, numer_przychodu, products: nadwyzki, company_id: order.company_id }, collector,
+        (err, created) => (err ? reject(err) : resolve(created)));
+    });
+    if (result.productsFailed > 0) throw new Error(`Nie udało się zapisać przychodu ${numer_przychodu}`);
+    numery.push(numer_przychodu);
+    movements.push(...collector.toRows());
+  }
 
-        // Не показываем семплы если в working_sheets остаток <= 0
-        const wsMain = wsMainByKod.get(sp.kod) || 0;
-        if (wsMain <= 0) return;
+  if (niedobory.length > 0) {
+    const numer_odpisania = await findNextOrderDocumentNumber('odpisanie', 'RW');
+    const collector = createStockMovementCollector();
+    const result = await new Promise((resolve, reject) => {
+      createWriteoffDocument({ data_odpisania: data, numer_odpisania, products: niedobory, company_id: order.company_id }, collector,
+        (err, created) => (err ? reject(err) : resolve(created)));
+    });
+    if (result.productsFailed > 0) throw new Error(`Nie udało się zapisać rozchodu ${numer_odpisania}`);
+    numery.push(numer_odpisania);
+    movements.push(...collector.toRows());
+  }
 
-        // Показываем не больше, чем есть в working_sheets
-        const effectiveSampleQty = Math.min(sampleQty, wsMain);
-        if (effectiveSampleQty <= 0) return;
+  await insertStockMovements(movements);
+  if (obce.size > 0) numery.push(`pominięto towary innej firmy: ${[...obce].join(', ')}`);
+  return numery;
+}
 
-        const q = query.trim().toLowerCase();
-        const matchesSearch = !q
-          || (sp.kod || '').toLowerCase().includes(q)
-          || (sp.nazwa || '').toLowerCase().includes(q);
-        // Показываем семплы, если есть основная строка по kod ИЛИ если они подходят под поиск
-        if (!wsCodes.has(sp.kod) && !matchesSearch) return;
+// Смена статуса из опроса или webhooka (только вперёд). На wysłana WMS подтверждает
+// фактически wydane ilości: они пишутся в wms_shipment_items, а расхождение с остатком
+// ERP (списан при создании zamówienia) проводится korektą PW / RW в той же транзакции;
+// номера korekt — в wms_blad. Na odrzucona остаток не возвращаем — wms_blad говорит,
+// что towar nadal zdjęty (rejectedShipmentMessage). order — { id, numer_zamowienia, wms_status, company_id }.
+// → true, если статус изменён
+async function applyWmsStatus(order, { status, message, items }) {
+  if (!isWmsStatusAdvance(order.wms_status, status)) return false;
+
+  const result = await runInTransaction(async () => {
+    let blad = status === WMS_STATUS.ODRZUCONA ? rejectedShipmentMessage(message) : null;
+    const shipped = status === WMS_STATUS.WYSLANA ? summarizeShippedItems(items) : null;
+    const sentItems = shipped
+      ? await dbAllAsync('SELECT id, kod, ilosc FROM wms_shipment_items WHERE order_id = ?', [order.id])
+      : [];
+
+    // Условие по старому статусу — webhook и опрос могут обрабатывать заявку одновременно
+    const { changes } = await dbRunAsync(
+      'UPDATE orders SET wms_status = ?, wms_blad = ?, wms_updated_at = CURRENT_TIMESTAMP WHERE id = ? AND wms_status = ?',
+      [status, blad, order.id, order.wms_status]
+    );
+    if (!changes) return null;
+    for (const item of sentItems) {
+      await dbRunAsync(
+        'UPDATE wms_shipment_items SET ilosc_potwierdzona = ? WHERE id = ?',
+        [shipped.get(item.kod) || 0, item.id]
+      );
+    }
 
-        const reserved = reservationsByKod.get(sp.kod) || { ilosc_reserved: 0, ilosc_client_reserved: 0, ilosc_client_reserved_total: 0 };
-        const row = {
-          kod: sp.kod,
-          nazwa: `${sp.nazwa} (samples)`,
-          sprzedawca: sprzedawcaByKod.get(sp.kod) || '',
-          ilosc: effectiveSampleQty,
-          ilosc_reserved: reserved.ilosc_reserved,
-          status: 'samples',
-          _sort_priority: matchPriority(sp.kod, sp.nazwa)
-        };
-        if (client_id) {
-          row.ilosc_client_reserved = reserved.ilosc_client_reserved;
-          row.ilosc_client_reserved_total = reserved.ilosc_client_reserved_total;
-        }
-        result.push(row);
-      });
+    const roznice = shipped ? findShipmentDiscrepancies(sentItems, shipped) : [];
+    if (roznice.length > 0) {
+      const korekty = await postWmsShipmentCorrection(order, roznice);
+      blad = `Rozbieżność wydania (wydano/zamówiono): ${roznice
+        .map((row) => `${row.kod} ${row.ilosc_potwierdzona}/${row.ilosc}`)
+        .join(', ')} — korekta: ${korekty.join(', ')}`;
+      await dbRunAsync('UPDATE orders SET wms_blad = ? WHERE id = ?', [blad, order.id]);
+    }
+    return { blad };
+  });
+  if (!result) return false;
+  console.log(`📦 WMS: ${order.numer_zamowienia} → ${status}${result.blad ? ` (${result.blad})` : ''}`);
+  return true;
+}
 
-      // Сортировка
-      result.sort((a, b) => {
-        if (a._sort_priority !== b._sort_priority) return a._sort_priority - b._sort_priority;
-        if (a.kod !== b.kod) return a.kod.localeCompare(b.kod);
-        // в рамках одного kod: основной (status=null) до семплов
-        if ((a.status || '') !== (b.status || '')) return (a.status || '').localeCompare(b.status || '');
-        return (a.nazwa || '').localeCompare(b.nazwa || '');
-      });
+let wmsQueueRunning = false;
 
-      // Удаляем служебное поле и применяем лимит
-      const finalRows = result.slice(0, limitRows).map(({ _sort_priority, ...rest }) => rest);
+// Отправляет заявки do_wysłania, у которых подошло время попытки, и опрашивает статус
+// заявок, ещё не дошедших до wysłana
+async function processWmsQueue() {
+  if (wmsQueueRunning) {
+    return { skipped: true };
+  }
+  wmsQueueRunning = true;
+  const summary = { wyslane: 0, zmiany: 0, odrzucone: 0, bledy: 0 };
+  try {
+    const transport = getWmsTransport();
 
-      enrichSearchRowsWithOrderReservation(order_id, finalRows, (enrichErr, enrichedRows) => {
-        if (enrichErr) {
-          console.error('❌ Error enriching search rows with order reservation:', enrichErr);
-          return res.status(500).json({ error: enrichErr.message });
+    const pending = await dbAllAsync(
+      `SELECT id FROM orders
+       WHERE wms_status = ? AND (wms_nastepna_proba IS NULL OR wms_nastepna_proba <= datetime('now'))
+       ORDER BY id`,
+      [WMS_STATUS.DO_WYSLANIA]
+    );
+    for (const { id } of pending) {
+      const result = await sendWmsShipment(id, transport);
+      if (!result) continue;
+      if (result.status === WMS_STATUS.PRZYJETA) summary.wyslane += 1;
+      else if (result.status === WMS_STATUS.ODRZUCONA) summary.odrzucone += 1;
+      else summary.bledy += 1;
+    }
+
+    const active = await dbAllAsync(
+      `SELECT id, numer_zamowienia, wms_status, wms_shipment_id, company_id FROM orders
+       WHERE wms_status IN (?, ?) AND wms_shipment_id IS NOT NULL
+       ORDER BY id`,
+      [WMS_STATUS.PRZYJETA, WMS_STATUS.SKOMPLETOWANA]
+    );
+    for (const order of active) {
+      try {
+        const result = await transport.checkStatus(order.wms_shipment_id);
+        if (await applyWmsStatus(order, result)) {
+          summary.zmiany += 1;
+          if (result.status === WMS_STATUS.ODRZUCONA) summary.odrzucone += 1;
         }
+      } catch (statusErr) {
+        summary.bledy += 1;
+        console.error(`❌ WMS: error checking ${order.wms_shipment_id}:`, statusErr.message);
+      }
+    }
+    return summary;
+  } finally {
+    wmsQueueRunning = false;
+  }
+}
 
-        console.log(`✅ Found ${enrichedRows.length} products matching "${query}"`);
-        res.json(enrichedRows);
-      });
-    })
-    .catch(err => {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
+// Постановка zamówienia в очередь WMS и немедленная первая попытка отправки.
+// 202 — WMS недоступен, заявка ждёт повторной попытки в очереди
+app.post('/api/wms/send-shipment', async (req, res) => {
+  const orderId = Number(req.body?.orderId);
+  console.log(`📨 POST /api/wms/send-shipment - order ${req.body?.orderId}`);
+  if (!Number.isInteger(orderId) || orderId <= 0) {
+    return res.status(400).json({ error: 'Niepoprawny identyfikator zamówienia' });
+  }
+  try {
+    const order = await dbGetAsync('SELECT * FROM orders WHERE id = ?', [orderId]);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const blocker = wmsSendBlocker(order);
+    if (blocker) {
+      return res.status(409).json({ error: blocker });
+    }
+    const { errors } = await buildOrderShipmentItems(orderId);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Zamówienie nie może zostać wysłane do WMS', errors });
+    }
+    const transport = getWmsTransport();
+
+    // Условие по статусу — два одновременных запроса не поставят zamówienie в очередь дважды
+    const { changes } = await dbRunAsync(
+      `UPDATE orders
+       SET wms_status = ?, wms_shipment_id = NULL, wms_blad = NULL, wms_proby = 0,
+           wms_nastepna_proba = NULL, wms_updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND (wms_status IS NULL OR wms_status = ?)`,
+      [WMS_STATUS.DO_WYSLANIA, orderId, WMS_STATUS.ODRZUCONA]
+    );
+    if (!changes) {
+      return res.status(409).json({ error: 'Zamówienie jest już w WMS' });
+    }
+    const result = await sendWmsShipment(orderId, transport) || { status: WMS_STATUS.DO_WYSLANIA };
+    res.status(result.status === WMS_STATUS.DO_WYSLANIA ? 202 : 200).json({
+      orderId,
+      status: result.status,
+      wmsShipmentId: result.shipmentId || null,
+      blad: result.blad || null,
     });
+  } catch (err) {
+    console.error(`❌ Error sending order ${orderId} to WMS:`, err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.post('/api/working-sheets', (req, res) => {
-  const { data, produkt_id, kod, nazwa, ilosc, typ } = req.body;
-  const normalizedKod = normalizeProductKod(kod);
-  console.log('📝 POST /api/working-sheets - Creating new working sheet:', { kod: normalizedKod, nazwa, ilosc, typ });
+app.get('/api/wms/queue', async (req, res) => {
+  const { status } = req.query;
+  try {
+    const rows = await dbAllAsync(
+      `SELECT o.id, o.numer_zamowienia, o.klient, o.data_utworzenia, o.wms_status, o.wms_shipment_id,
+              o.wms_blad, o.wms_proby, o.wms_nastepna_proba, o.wms_updated_at,
+              (SELECT COUNT(*) FROM wms_shipment_items i
+               WHERE i.order_id = o.id AND i.ilosc_potwierdzona IS NOT NULL AND i.ilosc_potwierdzona <> i.ilosc) AS rozbieznosci
+       FROM orders o
+       WHERE o.wms_status IS NOT NULL ${status ? 'AND o.wms_status = ?' : ''}
+       ORDER BY o.wms_updated_at DESC, o.id DESC`,
+      status ? [status] : []
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Error fetching WMS queue:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  if (!data || !normalizedKod || !nazwa || !ilosc) {
-    console.log('❌ Validation failed: kod, nazwa, and ilosc are required');
-    return res.status(400).json({ error: 'Kod, nazwa, and ilosc are required' });
+app.get('/api/wms/shipments/:orderId', async (req, res) => {
+  const { orderId } = req.params;
+  try {
+    const order = await dbGetAsync(
+      `SELECT id, numer_zamowienia, wms_status, wms_shipment_id, wms_blad, wms_proby, wms_nastepna_proba, wms_updated_at
+       FROM orders WHERE id = ?`,
+      [orderId]
+    );
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const items = await dbAllAsync(
+      'SELECT kod, ean, ilosc, ilosc_potwierdzona FROM wms_shipment_items WHERE order_id = ? ORDER BY id',
+      [orderId]
+    );
+    res.json({ ...order, items });
+  } catch (err) {
+    console.error(`❌ Error fetching WMS shipment for order ${orderId}:`, err);
+    res.status(500).json({ error: err.message });
   }
+});
 
-  db.get(
-    'SELECT id FROM working_sheets WHERE kod = ?',
-    [normalizedKod],
-    (findErr, existing) => {
-      if (findErr) {
-        console.error('❌ Database error:', findErr);
-        return res.status(500).json({ error: findErr.message });
-      }
+app.post('/api/wms/queue/process', async (req, res) => {
+  console.log('📨 POST /api/wms/queue/process');
+  try {
+    const summary = await processWmsQueue();
+    if (summary.skipped) {
+      return res.status(409).json({ error: 'Kolejka WMS jest właśnie przetwarzana' });
+    }
+    res.json(summary);
+  } catch (err) {
+    console.error('❌ Error processing WMS queue:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      if (existing) {
-        return res.status(409).json({
-          error: `Produkt o kodzie "${normalizedKod}" już istnieje w working_sheets (id: ${existing.id})`,
-        });
-      }
+// Webhook WMS: { shipmentId, status: accepted|picked|shipped|rejected, message?, items? }.
+// Без сессии (publicPaths) — авторизация заголовком X-WMS-Token = WMS_WEBHOOK_TOKEN
+app.post('/api/wms/webhook', async (req, res) => {
+  if (!isValidWebhookToken(process.env.WMS_WEBHOOK_TOKEN, req.get('X-WMS-Token'))) {
+    return res.status(401).json({ error: 'Nieprawidłowy token webhooka WMS' });
+  }
+  const { shipmentId, status, message, items } = req.body || {};
+  const mapped = mapWmsStatus(status);
+  if (!shipmentId || !mapped) {
+    return res.status(400).json({ error: 'Wymagane pola: shipmentId, status (accepted, picked, shipped, rejected)' });
+  }
+  try {
+    const order = await dbGetAsync(
+      'SELECT id, numer_zamowienia, wms_status, wms_shipment_id, company_id FROM orders WHERE wms_shipment_id = ?',
+      [String(shipmentId)]
+    );
+    if (!order) {
+      return res.status(404).json({ error: 'Nieznana wysyłka WMS' });
+    }
+    const changed = await applyWmsStatus(order, { status: mapped, message, items });
+    res.json({ orderId: order.id, status: changed ? mapped : order.wms_status, changed });
+  } catch (err) {
+    console.error(`❌ Error handling WMS webhook for ${shipmentId}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      db.run(
-        'INSERT INTO working_sheets (kod, nazwa, ilosc, typ) VALUES (?, ?, ?, ?)',
-        [normalizedKod, nazwa, ilosc, typ || 'sprzedaz'],
-        function(err) {
-          if (err) {
-            console.error('❌ Database error:', err);
-            res.status(500).json({ error: err.message });
-            return;
-          }
-          console.log(`✅ Working sheet created with ID: ${this.lastID}`);
-          res.json({ id: this.lastID, message: 'Working sheet added successfully' });
-        }
-      );
+// Автоматическая обработка очереди, если задан WMS_QUEUE_INTERVAL_MINUTES
+const wmsQueueIntervalMinutes = parseInt(process.env.WMS_QUEUE_INTERVAL_MINUTES, 10);
+if (wmsQueueIntervalMinutes > 0) {
+  setInterval(() => {
+    processWmsQueue().catch((err) => console.error('❌ WMS queue error:', err.message));
+  }, wmsQueueIntervalMinutes * 60 * 1000);
+}
+
+// OCR — rozpoznawanie faktury zakupu z PDF
+// Dostawca z rozpoznanego dokumentu → kartoteka (NIP / VAT UE, затем то же написание названия;
+// частичное совпадение не связывает). Найден — sprzedawca заменяется на suppliers.nazwa,
+// исходный текст — в sprzedawca_dokument
+async function matchKnownSupplier(sprzedawca, nip = '') {
+  const suppliers = await dbAllAsync('SELECT id, nazwa, nip, vat_ue, waluta FROM suppliers WHERE aktywny = 1');
+  const { supplier, dopasowanie } = createSupplierMatcher(suppliers)({ nazwa: sprzedawca, nip, vat_ue: nip }, { partial: false });
+  if (!supplier) {
+    return { supplier_id: null, dopasowanie_dostawcy: null };
+  }
+  return {
+    sprzedawca: supplier.nazwa,
+    sprzedawca_dokument: sprzedawca || '',
+    supplier_id: supplier.id,
+    dopasowanie_dostawcy: dopasowanie,
+  };
+}
+
+app.post('/api/ocr/purchase-invoice', ocrUpload.single('pdf'), async (req, res) => {
+  try {
+    if (!req.file || !req.file.buffer) {
+      return res.status(400).json({ error: 'Brak pliku PDF' });
     }
-  );
+
+    console.log('📄 OCR purchase invoice:', req.file.originalname, req.file.size, 'bytes');
+    const result = await parsePurchaseInvoicePdf(req.file.buffer, { buyerNames: await loadCompanyBuyerNames() });
+
+    if (!result.success) {
+      return res.status(422).json(result);
+    }
+
+    Object.assign(result.data, await matchKnownSupplier(result.data.sprzedawca, result.data.sprzedawca_nip));
+    res.json(result);
+  } catch (error) {
+    console.error('❌ OCR purchase invoice error:', error);
+    res.status(500).json({
+      error: error.message || 'Błąd rozpoznawania faktury zakupu',
+    });
+  }
 });
 
-// Добавляем endpoint для удаления working sheet
-app.delete('/api/working-sheets/:id', (req, res) => {
-  const { id } = req.params;
-  console.log(`📝 DELETE /api/working-sheets/${id} - Deleting working sheet`);
-  
-  // Сначала проверяем, существует ли запись
-  db.get('SELECT * FROM working_sheets WHERE id = ?', [id], (err, existingRecord) => {
-    if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
+// Import awizo dostawy (ASN) → szkic przyjęcia do sprawdzenia w AddProductModal.
+// Plik — pole "asn" (CSV / JSON); WMS может прислать JSON телом запроса.
+// Позиции сопоставляются с kartoteką по EAN, kod или названию; ничего не записывается
+app.post('/api/product-receipts/asn-import', asnUpload.single('asn'), async (req, res) => {
+  try {
+    let text;
+    let fileName = '';
+    if (req.file && req.file.buffer) {
+      text = req.file.buffer.toString('utf8');
+      fileName = req.file.originalname;
+      console.log('📄 ASN import:', fileName, req.file.size, 'bytes');
+    } else if (req.is('application/json') && req.body && typeof req.body === 'object') {
+      text = JSON.stringify(req.body);
+      console.log('📄 ASN import: JSON body');
+    } else {
+      return res.status(400).json({ success: false, error: 'Brak pliku awizo (CSV lub JSON)' });
     }
-    
-    if (!existingRecord) {
-      console.log(`❌ Working sheet with ID ${id} not found`);
-      return res.status(404).json({ error: 'Working sheet not found' });
+
+    const parsed = parseAsn(text, fileName);
+    if (parsed.error) {
+      return res.status(422).json({ success: false, error: parsed.error, errors: parsed.errors || [] });
     }
-    
-    console.log(`🔄 Found existing record: ${existingRecord.kod} (ilosc: ${existingRecord.ilosc})`);
-    
-    // Удаляем запись
-    db.run('DELETE FROM working_sheets WHERE id = ?', [id], function(err) {
-      if (err) {
-        console.error('❌ Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      
-      console.log(`✅ Working sheet ${id} (${existingRecord.kod}) deleted successfully`);
-      res.json({ 
-        message: 'Working sheet deleted successfully',
-        id: id,
-        kod: existingRecord.kod,
-        nazwa: existingRecord.nazwa
-      });
+    const sheets = await dbAllAsync(
+      // Zarchiwizowane kartoteki тоже сопоставляются, но активные идут первыми
+      `SELECT kod, nazwa, kod_kreskowy, typ, objetosc FROM working_sheets
+       ORDER BY COALESCE(archived, 0), id`
+    );
+    const draft = buildAsnReceiptDraft(parsed.value, sheets);
+    Object.assign(draft, await matchKnownSupplier(draft.sprzedawca));
+    console.log(`✅ ASN import: ${draft.podsumowanie.dopasowane}/${draft.podsumowanie.pozycje} matched`);
+    res.json({ success: true, data: draft });
+  } catch (error) {
+    console.error('❌ ASN import error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Błąd importu awizo' });
+  }
+});
+
+// ===== DZIENNIK RUCHÓW MAGAZYNOWYCH (stock_movements) =====
+
+app.get('/api/stock-movements', async (req, res) => {
+  const { kod, batch_id: batchId, document_type: documentType, document_id: documentId } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+  // Журнал без company_id: движения firmy — по kodom её kartoteki
+  const where = ['kod IN (SELECT kod FROM working_sheets WHERE company_id = ?)'];
+  const params = [req.companyId];
+  if (kod) {
+    where.push('kod = ?');
+    params.push(normalizeProductKod(kod));
+  }
+  if (batchId) {
+    where.push('batch_id = ?');
+    params.push(batchId);
+  }
+  if (documentType) {
+    where.push('document_type = ?');
+    params.push(documentType);
+  }
+  if (documentId) {
+    where.push('document_id = ?');
+    params.push(String(documentId));
+  }
+
+  try {
+    const rows = await dbAllAsync(
+      `SELECT * FROM stock_movements WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+      [...params, limit]
+    );
+    res.json(rows);
+  } catch (error) {
+    console.error('❌ Error loading stock movements:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Остатки, выведенные из журнала, рядом с working_sheets.ilosc и products.ilosc_aktualna
+app.get('/api/stock-movements/balance', async (req, res) => {
+  const kod = normalizeProductKod(req.query.kod);
+  if (!kod) {
+    return res.status(400).json({ error: 'Parametr kod jest wymagany' });
+  }
+
+  try {
+    if (await foreignCompanyKodError([kod], req.companyId)) {
+      return res.status(404).json({ error: `Produkt ${kod} nie istnieje` });
+    }
+    const [ledger, sheet, ledgerBatches, productBatches] = await Promise.all([
+      dbGetAsync('SELECT COALESCE(SUM(quantity), 0) AS ilosc FROM stock_movements WHERE kod = ?', [kod]),
+      dbGetAsync('SELECT SUM(ilosc) AS ilosc FROM working_sheets WHERE kod = ?', [kod]),
+      dbAllAsync(
+        'SELECT batch_id, SUM(quantity) AS ilosc FROM stock_movements WHERE kod = ? AND batch_id IS NOT NULL GROUP BY batch_id',
+        [kod]
+      ),
+      dbAllAsync('SELECT id, ilosc_aktualna FROM products WHERE kod = ?', [kod]),
+    ]);
+
+    const partieById = new Map();
+    ledgerBatches.forEach((b) => {
+      partieById.set(b.batch_id, { batch_id: b.batch_id, ilosc_z_dziennika: b.ilosc, ilosc_aktualna: 0 });
     });
-  });
+    productBatches.forEach((p) => {
+      const entry = partieById.get(p.id) || { batch_id: p.id, ilosc_z_dziennika: 0, ilosc_aktualna: 0 };
+      entry.ilosc_aktualna = p.ilosc_aktualna || 0;
+      partieById.set(p.id, entry);
+    });
+    const partie = [...partieById.values()]
+      .filter((b) => b.ilosc_z_dziennika !== 0 || b.ilosc_aktualna !== 0)
+      .sort((a, b) => a.batch_id - b.batch_id)
+      .map((b) => ({ ...b, zgodne: b.ilosc_z_dziennika === b.ilosc_aktualna }));
+    const iloscWorkingSheets = sheet?.ilosc ?? 0;
+
+    res.json({
+      kod,
+      ilosc_z_dziennika: ledger.ilosc,
+      ilosc_working_sheets: iloscWorkingSheets,
+      zgodne: ledger.ilosc === iloscWorkingSheets && partie.every((b) => b.zgodne),
+      partie,
+    });
+  } catch (error) {
+    console.error('❌ Error computing stock balance from ledger:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Endpoint для получения курса валюты по коду товара
-app.get('/api/working-sheets/kurs/:kod', (req, res) => {
-  const kod = normalizeProductKod(req.params.kod);
-  console.log(`💰 GET /api/working-sheets/kurs/${kod} - Fetching exchange rate for product`);
-  
-  // Получаем курс из последней приемки для данного товара
-  db.get(
-    `SELECT pr.aktualny_kurs 
-     FROM products p
-     JOIN product_receipts pr ON p.receipt_id = pr.id
-     WHERE p.kod = ? AND p.receipt_id IS NOT NULL
-     ORDER BY pr.id DESC
-     LIMIT 1`,
-    [kod],
-    (err, result) => {
-      if (err) {
-        console.error('❌ Database error:', err);
-        return res.status(500).json({ error: err.message });
-      }
-      
-      const kurs = result && result.aktualny_kurs ? result.aktualny_kurs : 4.25;
-      console.log(`✅ Exchange rate for ${kod}: ${kurs}`);
-      res.json({ kurs });
-    }
-  );
+// ===== UZGODNIENIE STANÓW (working_sheets / products / order_consumptions) =====
+
+// Источники для stockReconcile.js: kody kartoteki firmy companyId; kody — ограничение
+// по kod (null — весь склад firmy)
+async function loadReconcileSources(companyId, kody = null) {
+  const filter = (column) => [
+    `${column} IN (SELECT kod FROM working_sheets WHERE company_id = ?)`,
+    ...(kody ? [`${column} IN (${kody.map(() => '?').join(', ')})`] : []),
+  ].join(' AND ');
+  const params = [companyId, ...(kody || [])];
+  const [sheets, batches, consumptions, returns, ledger, ledgerBatches] = await Promise.all([
+    dbAllAsync(`SELECT kod, nazwa, typ, COALESCE(ilosc, 0) AS ilosc FROM working_sheets WHERE ${filter('kod')}`, params),
+    dbAllAsync(
+      `SELECT id, kod, nazwa, COALESCE(ilosc, 0) AS ilosc, COALESCE(ilosc_aktualna, 0) AS ilosc_aktualna, status, created_at, data_waznosci, location_id
+       FROM products WHERE ${filter('kod')}`,
+      params
+    ),
+    dbAllAsync(
+      `SELECT oc.product_kod AS kod, p.status, SUM(oc.quantity) AS quantity
+       FROM order_consumptions oc
+       LEFT JOIN products p ON p.id = oc.batch_id
+       WHERE ${filter('oc.product_kod')}
+       GROUP BY oc.product_kod, p.status`,
+      params
+    ),
+    dbAllAsync(
+      `SELECT COALESCE(op.kod, op.product_kod) AS kod, SUM(op.ilosc) AS ilosc
+       FROM order_products op
+       JOIN orders o ON o.id = op.orderId
+       WHERE o.typ = 'zwrot' AND ${filter('COALESCE(op.kod, op.product_kod)')}
+       GROUP BY COALESCE(op.kod, op.product_kod)`,
+      params
+    ),
+    dbAllAsync(`SELECT kod, SUM(quantity) AS ilosc FROM stock_movements WHERE ${filter('kod')} GROUP BY kod`, params),
+    dbAllAsync(
+      `SELECT kod, batch_id, SUM(quantity) AS ilosc FROM stock_movements
+       WHERE batch_id IS NOT NULL AND ${filter('kod')} GROUP BY kod, batch_id`,
+      params
+    ),
+  ]);
+  return { sheets, batches, consumptions, returns, ledger, ledgerBatches, fefoTypes: FEFO_TYPES };
+}
+
+// Список kod, где working_sheets, сумма партий, netto z wydań или журнал расходятся
+app.get('/api/inventory/reconcile', async (req, res) => {
+  const wszystkie = req.query.wszystkie === '1' || req.query.wszystkie === 'true';
+  try {
+    const rows = buildReconcileReport(await loadReconcileSources(req.companyId));
+    const pozycje = wszystkie ? rows : rows.filter((row) => !row.zgodne);
+    res.json({
+      pozycje,
+      podsumowanie: {
+        sprawdzone: rows.length,
+        niezgodne: rows.filter((row) => !row.zgodne).length,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error building stock reconciliation report:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.put('/api/working-sheets/update', (req, res) => {
-  const { id, kod, nazwa, ilosc, typ, kod_kreskowy, data_waznosci, rezerwacje, objetosc, sprzedawca, cena, cena_sprzedazy, koszt_dostawy_per_unit, podatek_akcyzowy, kurs } = req.body;
-  const normalizedKod = kod !== undefined && kod !== null ? normalizeProductKod(kod) : undefined;
-  console.log(`📝 PUT /api/working-sheets/update - Updating working sheet:`, { 
-    id, 
-    kod: normalizedKod, 
-    nazwa, 
-    ilosc, 
-    typ 
-  });
-  
-  if (!id) {
-    console.log('❌ Validation failed: ID is required');
-    return res.status(400).json({ error: 'ID is required' });
+// Пересчёт производных остатков (только admin): ilosc_aktualna партий — FIFO/FEFO-повтор
+// списаний order_consumptions, working_sheets.ilosc — сумма партий; журнал получает
+// документ «uzgodnienie». dry_run (по умолчанию) — только план, без записи.
+app.post('/api/inventory/reconcile/repair', stockTransaction, async (req, res) => {
+  const dryRun = req.body?.dry_run !== false;
+  const kody = Array.isArray(req.body?.kody)
+    ? [...new Set(req.body.kody.map(normalizeProductKod).filter(Boolean))]
+    : null;
+  if (kody && kody.length === 0) {
+    return res.status(400).json({ error: 'Lista kodów jest pusta' });
   }
-  
-  // Сначала проверяем, существует ли запись
-  db.get('SELECT * FROM working_sheets WHERE id = ?', [id], (err, existingRecord) => {
-    if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    if (!existingRecord) {
-      console.log(`❌ Working sheet with ID ${id} not found`);
-      return res.status(404).json({ error: 'Working sheet not found' });
-    }
-    
-    console.log(`🔄 Found existing record: ${existingRecord.kod} (current ilosc: ${existingRecord.ilosc})`);
-    
-    // Получаем тип товара (из запроса или из существующей записи)
-    const finalTyp = typ !== undefined ? typ : existingRecord.typ;
-    
-    // Получаем значения для расчета
-    const finalCena = cena !== undefined ? cena : existingRecord.cena;
-    let finalKosztDostawyPerUnit = koszt_dostawy_per_unit !== undefined ? koszt_dostawy_per_unit : existingRecord.koszt_dostawy_per_unit;
-    let finalPodatekAkcyzowy = podatek_akcyzowy !== undefined ? podatek_akcyzowy : existingRecord.podatek_akcyzowy;
-    
-    // Для bezalkoholowe, ferment и aksesoria акциз всегда 0
-    const isBezalkoholoweOrFermentOrAksesoria = finalTyp === 'bezalkoholowe' || finalTyp === 'ferment' || finalTyp === 'aksesoria';
-    if (isBezalkoholoweOrFermentOrAksesoria) {
-      finalPodatekAkcyzowy = 0;
-      console.log(`🔍 Product type is ${finalTyp}, setting podatek_akcyzowy to 0`);
-    }
-    
-    // Для aksesoria транспорт не распределяется
-    if (finalTyp === 'aksesoria') {
-      finalKosztDostawyPerUnit = 0;
-      console.log(`🔍 Product type is aksesoria, setting koszt_dostawy_per_unit to 0`);
-    }
-    
-    // Используем переданный курс из формы или пытаемся получить из связанного receipt'а
-    const productKod = normalizedKod !== undefined ? normalizedKod : normalizeProductKod(existingRecord.kod);
-    
-    if (!productKod) {
-      return res.status(400).json({ error: 'Kod produktu nie może być pusty' });
+
+  try {
+    const plan = planStockRepair(await loadReconcileSources(req.companyId, kody), kody);
+    if (dryRun) {
+      return res.json({ dry_run: true, ...plan });
     }
-    // Если курс передан из формы, используем его напрямую
-    if (kurs !== undefined) {
-      const finalKursValue = parseFloat(kurs) || 4.25;
-      console.log(`💰 Kurs from form: ${finalKursValue}`);
-      
-      // Рассчитываем koszt_wlasny: cena * kurs + koszt_dostawy_per_unit + podatek_akcyzowy
-      const kosztWlasny = parseFloat((finalCena * finalKursValue + finalKosztDostawyPerUnit + finalPodatekAkcyzowy).toFixed(2));
-      console.log(`📊 Calculated koszt_wlasny: ${finalCena} * ${finalKursValue} + ${finalKosztDostawyPerUnit} + ${finalPodatekAkcyzowy} = ${kosztWlasny}`);
-    
-    // Обновляем запись
-    db.run(
-          'UPDATE working_sheets SET kod = ?, nazwa = ?, ilosc = ?, typ = ?, kod_kreskowy = ?, data_waznosci = ?, rezerwacje = ?, objetosc = ?, sprzedawca = ?, cena = ?, cena_sprzedazy = ?, koszt_dostawy_per_unit = ?, podatek_akcyzowy = ?, koszt_wlasny = ? WHERE id = ?',
-      [
-        productKod,
-        nazwa || existingRecord.nazwa,
-        ilosc || existingRecord.ilosc,
-        typ || existingRecord.typ,
-        kod_kreskowy || existingRecord.kod_kreskowy,
-        data_waznosci || existingRecord.data_waznosci,
-        rezerwacje || existingRecord.rezerwacje,
-        objetosc || existingRecord.objetosc,
-        sprzedawca || existingRecord.sprzedawca,
-            finalCena,
-            cena_sprzedazy !== undefined ? cena_sprzedazy : existingRecord.cena_sprzedazy,
-            finalKosztDostawyPerUnit,
-            finalPodatekAkcyzowy,
-            kosztWlasny,
-        id
-      ],
-      function(err) {
-        if (err) {
-          console.error('❌ Database error:', err);
-          res.status(500).json({ error: err.message });
-          return;
-        }
-        
-        console.log(`✅ Working sheet ${id} updated successfully`);
-        console.log(`📊 Changes: kod=${productKod}, nazwa=${nazwa || existingRecord.nazwa}, ilosc=${ilosc || existingRecord.ilosc}`);
-        
-        // Если изменилась цена, обновляем её в products для записей с receipt_id = NULL
-        const updatedCena = cena || existingRecord.cena;
-        if (cena && cena !== existingRecord.cena) {
-          console.log(`💰 Price changed for ${productKod}: ${existingRecord.cena} → ${cena}`);
-          console.log(`🔄 Updating price in products table for records with receipt_id = NULL`);
-          
-          db.run(
-            'UPDATE products SET cena = ? WHERE kod = ? AND receipt_id IS NULL',
-            [cena, productKod],
-            function(updateErr) {
-              if (updateErr) {
-                console.error(`❌ Error updating products table:`, updateErr);
-              } else if (this.changes > 0) {
-                console.log(`✅ Updated ${this.changes} record(s) in products table`);
-              } else {
-                console.log(`ℹ️ No records with receipt_id = NULL found in products for ${productKod}`);
-              }
-            }
-          );
-        }
-        
-        res.json({ 
-          message: 'Working sheet updated successfully',
-          id: id,
-          changes: {
-            kod: productKod,
-            nazwa: nazwa || existingRecord.nazwa,
-            ilosc: ilosc || existingRecord.ilosc,
-            typ: typ || existingRecord.typ
-          }
-        });
-      }
-    );
-    } else {
-      // Если курс не передан, пытаемся получить из связанного receipt'а
-      db.get(
-        `SELECT pr.aktualny_kurs 
-         FROM products p
-         JOIN product_receipts pr ON p.receipt_id = pr.id
-         WHERE p.kod = ? AND p.receipt_id IS NOT NULL
-         ORDER BY pr.id DESC
-         LIMIT 1`,
-        [productKod],
-        (kursErr, kursResult) => {
-          const kursValue = kursResult && kursResult.aktualny_kurs ? kursResult.aktualny_kurs : 4.25;
-          console.log(`💰 Kurs from database: ${kursValue}`);
-          
-          // Рассчитываем koszt_wlasny: cena * kurs + koszt_dostawy_per_unit + podatek_akcyzowy
-          const kosztWlasny = parseFloat((finalCena * kursValue + finalKosztDostawyPerUnit + finalPodatekAkcyzowy).toFixed(2));
-          console.log(`📊 Calculated koszt_wlasny: ${finalCena} * ${kursValue} + ${finalKosztDostawyPerUnit} + ${finalPodatekAkcyzowy} = ${kosztWlasny}`);
-          
-          // Обновляем запись
-          db.run(
-            'UPDATE working_sheets SET kod = ?, nazwa = ?, ilosc = ?, typ = ?, kod_kreskowy = ?, data_waznosci = ?, rezerwacje = ?, objetosc = ?, sprzedawca = ?, cena = ?, cena_sprzedazy = ?, koszt_dostawy_per_unit = ?, podatek_akcyzowy = ?, koszt_wlasny = ? WHERE id = ?',
-            [
-              productKod,
-              nazwa || existingRecord.nazwa,
-              ilosc || existingRecord.ilosc,
-              typ || existingRecord.typ,
-              kod_kreskowy || existingRecord.kod_kreskowy,
-              data_waznosci || existingRecord.data_waznosci,
-              rezerwacje || existingRecord.rezerwacje,
-              objetosc || existingRecord.objetosc,
-              sprzedawca || existingRecord.sprzedawca,
-              finalCena,
-              cena_sprzedazy !== undefined ? cena_sprzedazy : existingRecord.cena_sprzedazy,
-              finalKosztDostawyPerUnit,
-              finalPodatekAkcyzowy,
-              kosztWlasny,
-              id
-            ],
-            function(err) {
-              if (err) {
-                console.error('❌ Database error:', err);
-                res.status(500).json({ error: err.message });
-                return;
-              }
-              
-              console.log(`✅ Working sheet ${id} updated successfully`);
-              console.log(`📊 Changes: kod=${productKod}, nazwa=${nazwa || existingRecord.nazwa}, ilosc=${ilosc || existingRecord.ilosc}`);
-              
-              // Если изменилась цена, обновляем её в products для записей с receipt_id = NULL
-              const updatedCena = cena || existingRecord.cena;
-              if (cena && cena !== existingRecord.cena) {
-                console.log(`💰 Price changed for ${productKod}: ${existingRecord.cena} → ${cena}`);
-                console.log(`🔄 Updating price in products table for records with receipt_id = NULL`);
-                
-                db.run(
-                  'UPDATE products SET cena = ? WHERE kod = ? AND receipt_id IS NULL',
-                  [cena, productKod],
-                  function(updateErr) {
-                    if (updateErr) {
-                      console.error(`❌ Error updating products table:`, updateErr);
-                    } else if (this.changes > 0) {
-                      console.log(`✅ Updated ${this.changes} record(s) in products table`);
-                    } else {
-                      console.log(`ℹ️ No records with receipt_id = NULL found in products for ${productKod}`);
-                    }
-                  }
-                );
-              }
-              
-              res.json({ 
-                message: 'Working sheet updated successfully',
-                id: id,
-                changes: {
-                  kod: productKod,
-                  nazwa: nazwa || existingRecord.nazwa,
-                  ilosc: ilosc || existingRecord.ilosc,
-                  typ: typ || existingRecord.typ
-                }
-              });
-            }
-          );
-        }
+
+    for (const batch of plan.partie) {
+      await dbRunAsync('UPDATE products SET ilosc_aktualna = ? WHERE id = ?', [batch.nowa_ilosc, batch.batch_id]);
+    }
+    for (const sheet of plan.working_sheets) {
+      await dbRunAsync('UPDATE working_sheets SET ilosc = ? WHERE kod = ? AND company_id = ?', [sheet.nowa_ilosc, sheet.kod, req.companyId]);
+    }
+    // Журнал выравниваем напрямую: строки плана уже разложены по партиям
+    if (plan.dziennik.length > 0) {
+      await insertStockMovements(plan.dziennik.map((row) => ({
+        ...row,
+        document_type: STOCK_DOCUMENT_TYPES.RECONCILE,
+        document_id: null,
+      })));
+    }
+
+    console.log(
+      `🧮 Stock reconcile repair: ${plan.partie.length} batches, ${plan.working_sheets.length} working sheets, ${plan.dziennik.length} ledger rows`
+    );
+    res.json({ dry_run: false, ...plan });
+  } catch (error) {
+    console.error('❌ Error repairing stock levels:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== TERMINY WAŻNOŚCI PARTII =====
+
+// Raport «kończy się termin»: партии с остатком, срок которых истекает в ближайшие
+// dni дней (по умолчанию 30); уже просроченные тоже попадают в отчёт
+app.get('/api/inventory/expiring', async (req, res) => {
+  const dni = req.query.dni === undefined ? 30 : Number(req.query.dni);
+  if (!Number.isInteger(dni) || dni < 0 || dni > 3650) {
+    return res.status(400).json({ error: 'Liczba dni musi być liczbą całkowitą od 0 do 3650' });
+  }
+
+  try {
+    const batches = await dbAllAsync(
+      `SELECT p.id, p.kod, COALESCE(ws.nazwa, p.nazwa) AS nazwa, ws.typ, p.ilosc_aktualna,
+              p.data_waznosci, p.created_at, p.receipt_id, pr.sprzedawca
+       FROM products p
+       LEFT JOIN working_sheets ws ON ws.kod = p.kod
+       LEFT JOIN product_receipts pr ON pr.id = p.receipt_id
+       WHERE p.ilosc_aktualna > 0 AND p.data_waznosci IS NOT NULL AND p.data_waznosci != ''
+         AND ws.company_id = ?`,
+      [req.companyId]
+    );
+    const report = buildExpiryReport(batches, getTodayDateString(), dni);
+    report.pozycje = report.pozycje.map((batch) => ({
+      ...batch,
+      tryb_wydania: consumptionModeForTyp(batch.typ, FEFO_TYPES),
+    }));
+    res.json({ dni, ...report });
+  } catch (error) {
+    console.error('❌ Error building expiring batches report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== LOKALIZACJE MAGAZYNOWE (locations) I PRZESUNIĘCIA =====
+
+// ?location_id=N → req.locationId / req.location; без параметра — все lokalizacje (null)
+async function locationFilter(req, res, next) {
+  const locationId = parseLocationId(req.query.location_id);
+  if (Number.isNaN(locationId)) {
+    return res.status(400).json({ error: 'Niepoprawny identyfikator lokalizacji' });
+  }
+  let location = null;
+  if (locationId !== null) {
+    try {
+      location = await dbGetAsync('SELECT * FROM locations WHERE id = ?', [locationId]);
+    } catch (error) {
+      console.error('❌ Error loading location:', error);
+      return res.status(500).json({ error: error.message });
+    }
+    if (!location) {
+      return res.status(404).json({ error: 'Lokalizacja nie istnieje' });
+    }
+  }
+  req.locationId = locationId;
+  req.location = location;
+  next();
+}
+
+// Выражение остатка kod для выборок из working_sheets: с фильтром — сумма партий
+// lokalizacji, без него — working_sheets.ilosc
+function locationIloscSql(locationId) {
+  if (locationId === null) return { sql: 'working_sheets.ilosc', params: [] };
+  return {
+    sql: `COALESCE((SELECT SUM(lp.ilosc_aktualna) FROM products lp
+           WHERE lp.kod = working_sheets.kod AND lp.location_id = ?), 0)`,
+    params: [locationId],
+  };
+}
+
+// Lokalizacje с остатком: ilosc — сумма партий, partie — партии с остатком
+app.get('/api/locations', async (req, res) => {
+  try {
+    const rows = await dbAllAsync(
+      `SELECT l.*, c.nazwa AS klient,
+              COALESCE(SUM(p.ilosc_aktualna), 0) AS ilosc,
+              COALESCE(SUM(CASE WHEN p.ilosc_aktualna > 0 THEN 1 ELSE 0 END), 0) AS partie
+       FROM locations l
+       LEFT JOIN clients c ON c.id = l.client_id
+       LEFT JOIN products p ON p.location_id = l.id
+       GROUP BY l.id
+       ORDER BY l.id = ? DESC, l.aktywna DESC, l.nazwa`,
+      [DEFAULT_LOCATION_ID]
+    );
+    res.json(rows);
+  } catch (error) {
+    console.error('❌ Error fetching locations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/locations', async (req, res) => {
+  const { value, error } = validateLocationInput(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { lastID } = await dbRunAsync(
+      'INSERT INTO locations (kod, nazwa, typ, client_id, aktywna) VALUES (?, ?, ?, ?, ?)',
+      [value.kod, value.nazwa, value.typ, value.client_id, value.aktywna]
+    );
+    console.log(`✅ Location created: ${value.kod} (${lastID})`);
+    res.status(201).json(await dbGetAsync('SELECT * FROM locations WHERE id = ?', [lastID]));
+  } catch (err) {
+    if (String(err.message).includes('UNIQUE')) {
+      return res.status(409).json({ error: `Lokalizacja o kodzie ${value.kod} już istnieje` });
+    }
+    console.error('❌ Error creating location:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/locations/:id', async (req, res) => {
+  const id = parseLocationId(req.params.id);
+  const { value, error } = validateLocationInput(req.body);
+  if (!id) return res.status(400).json({ error: 'Niepoprawny identyfikator lokalizacji' });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const location = await dbGetAsync('SELECT id FROM locations WHERE id = ?', [id]);
+    if (!location) return res.status(404).json({ error: 'Lokalizacja nie istnieje' });
+
+    if (!value.aktywna) {
+      if (id === DEFAULT_LOCATION_ID) {
+        return res.status(409).json({ error: 'Magazynu głównego nie można dezaktywować' });
+      }
+      const stock = await dbGetAsync(
+        'SELECT COALESCE(SUM(ilosc_aktualna), 0) AS ilosc FROM products WHERE location_id = ?',
+        [id]
       );
+      if (stock.ilosc > 0) {
+        return res.status(409).json({
+          error: `W lokalizacji jest jeszcze ${stock.ilosc} szt. — przesuń towar przed dezaktywacją`,
+        });
+      }
     }
-  });
+
+    await dbRunAsync(
+      'UPDATE locations SET kod = ?, nazwa = ?, typ = ?, client_id = ?, aktywna = ? WHERE id = ?',
+      [value.kod, value.nazwa, value.typ, value.client_id, value.aktywna, id]
+    );
+    console.log(`✅ Location updated: ${value.kod} (${id})`);
+    res.json(await dbGetAsync('SELECT * FROM locations WHERE id = ?', [id]));
+  } catch (err) {
+    if (String(err.message).includes('UNIQUE')) {
+      return res.status(409).json({ error: `Lokalizacja o kodzie ${value.kod} już istnieje` });
+    }
+    console.error('❌ Error updating location:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Добавляем новый endpoint для обновления количества товара
-app.patch('/api/working-sheets/:id/quantity', (req, res) => {
-  const { id } = req.params;
-  const { ilosc, operation = 'set' } = req.body; // operation: 'set', 'add', 'subtract'
-  console.log(`📝 PATCH /api/working-sheets/${id}/quantity - Updating quantity:`, { ilosc, operation });
-  
-  if (!ilosc && ilosc !== 0) {
-    console.log('❌ Validation failed: ilosc is required');
-    return res.status(400).json({ error: 'ilosc is required' });
+// Przesunięcie między lokalizacjami: dokument orders typ 'przesuniecie' (numer PS…)
+// с z_location_id / do_location_id. Остаток партий источника делится: перенесённая
+// часть становится партией-копией в целевой lokalizacji (server/locations.js).
+// Итог по kod не меняется, в журнале — пара движений по партиям.
+app.post('/api/stock-transfers', requireCompanyKods(bodyProductKods()), stockTransaction, async (req, res) => {
+  const zLocationId = parseLocationId(req.body?.z_location_id);
+  const doLocationId = parseLocationId(req.body?.do_location_id);
+  if (!zLocationId || !doLocationId) {
+    return res.status(400).json({ error: 'Wybierz lokalizację źródłową i docelową' });
   }
-  
-  // Сначала получаем текущую запись
-  db.get('SELECT * FROM working_sheets WHERE id = ?', [id], (err, existingRecord) => {
-    if (err) {
-      console.error('❌ Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
+  if (zLocationId === doLocationId) {
+    return res.status(400).json({ error: 'Lokalizacja źródłowa i docelowa muszą być różne' });
+  }
+  const { items, error } = normalizeTransferItems(req.body?.products);
+  if (error) return res.status(400).json({ error });
+  const data = normalizeExpiryDate(req.body?.data) || getTodayDateString();
+
+  try {
+    const locations = await dbAllAsync('SELECT * FROM locations WHERE id IN (?, ?)', [zLocationId, doLocationId]);
+    const zLocation = locations.find((location) => location.id === zLocationId);
+    const doLocation = locations.find((location) => location.id === doLocationId);
+    if (!zLocation || !doLocation) {
+      return res.status(404).json({ error: 'Lokalizacja nie istnieje' });
     }
-    
-    if (!existingRecord) {
-      console.log(`❌ Working sheet with ID ${id} not found`);
-      return res.status(404).json({ error: 'Working sheet not found' });
+    if (!doLocation.aktywna) {
+      return res.status(409).json({ error: `Lokalizacja ${doLocation.nazwa} jest nieaktywna` });
     }
-    
-    console.log(`🔄 Found existing record: ${existingRecord.kod} (current ilosc: ${existingRecord.ilosc})`);
-    
-    // Вычисляем новое количество
-    let newQuantity;
-    switch (operation) {
-      case 'add':
-        newQuantity = existingRecord.ilosc + ilosc;
-        console.log(`➕ Adding ${ilosc} to current quantity ${existingRecord.ilosc} = ${newQuantity}`);
-        break;
-      case 'subtract':
-        newQuantity = existingRecord.ilosc - ilosc;
-        console.log(`➖ Subtracting ${ilosc} from current quantity ${existingRecord.ilosc} = ${newQuantity}`);
-        break;
-      case 'set':
-      default:
-        newQuantity = ilosc;
-        console.log(`🔄 Setting quantity from ${existingRecord.ilosc} to ${newQuantity}`);
-        break;
+
+    // Сначала раскладка по партиям для всех позиций — без записи, если чего-то не хватает
+    const plans = [];
+    const braki = [];
+    for (const item of items) {
+      const sheet = await dbGetAsync('SELECT nazwa, typ FROM working_sheets WHERE kod = ?', [item.kod]);
+      const batches = await dbAllAsync(
+        'SELECT * FROM products WHERE kod = ? AND location_id = ? AND ilosc_aktualna > 0',
+        [item.kod, zLocationId]
+      );
+      const compareBatches = compareBatchesForConsumption(consumptionModeForTyp(sheet && sheet.typ, FEFO_TYPES));
+      const { allocations, brak } = planTransferAllocation(batches, item.ilosc, compareBatches);
+      if (brak > 0) {
+        braki.push({ kod: item.kod, ilosc: item.ilosc, dostepne: item.ilosc - brak });
+      }
+      plans.push({ ...item, nazwa: (sheet && sheet.nazwa) || item.nazwa, allocations });
     }
-    
-    // Проверяем, что количество не отрицательное
-    if (newQuantity < 0) {
-      console.log(`❌ Invalid quantity: ${newQuantity} (cannot be negative)`);
-      return res.status(400).json({ error: 'Quantity cannot be negative' });
+    if (braki.length > 0) {
+      return res.status(409).json({
+        error: `Brak wystarczającego stanu w lokalizacji ${zLocation.nazwa}: ${braki
+          .map((brak) => `${brak.kod} (dostępne ${brak.dostepne}, potrzeba ${brak.ilosc})`)
+          .join(', ')}`,
+        braki,
+      });
     }
-    
-    // Обновляем количество
-    db.run(
-      'UPDATE working_sheets SET ilosc = ? WHERE id = ?',
-      [newQuantity, id],
-      function(err) {
-        if (err) {
-          console.error('❌ Database error:', err);
-          res.status(500).json({ error: err.message });
-          return;
-        }
-        
-        console.log(`✅ Working sheet ${id} quantity updated: ${existingRecord.ilosc} → ${newQuantity}`);
-        
-        res.json({ 
-          message: 'Working sheet quantity updated successfully',
-          id: id,
-          kod: existingRecord.kod,
-          oldQuantity: existingRecord.ilosc,
-          newQuantity: newQuantity,
-          operation: operation
-        });
+
+    const [year, month, day] = data.split('-');
+    const numer = `${await findNextOrderDocumentNumber('przesuniecie', 'PS')}_${day}_${month}_${year}`;
+    const laczna = plans.reduce((sum, plan) => sum + plan.ilosc, 0);
+    const { lastID: orderId } = await dbRunAsync(
+      `INSERT INTO orders (klient, numer_zamowienia, data_utworzenia, laczna_ilosc, typ, z_location_id, do_location_id, company_id)
+       VALUES (?, ?, ?, ?, 'przesuniecie', ?, ?, ?)`,
+      [`${zLocation.nazwa} → ${doLocation.nazwa}`, numer, `${data} 00:00:00`, laczna, zLocationId, doLocationId, req.companyId]
+    );
+    req.stockMovements.setDocument(STOCK_DOCUMENT_TYPES.TRANSFER, orderId);
+
+    for (const plan of plans) {
+      await dbRunAsync(
+        'INSERT INTO order_products (orderId, kod, nazwa, ilosc, typ) VALUES (?, ?, ?, ?, ?)',
+        [orderId, plan.kod, plan.nazwa, plan.ilosc, 'przesuniecie']
+      );
+      for (const { batch, ilosc } of plan.allocations) {
+        await dbRunAsync(
+          'UPDATE products SET ilosc = ilosc - ?, ilosc_aktualna = ilosc_aktualna - ? WHERE id = ?',
+          [ilosc, ilosc, batch.id]
+        );
+        const { lastID: newBatchId } = await dbRunAsync(
+          `INSERT INTO products (kod, nazwa, kod_kreskowy, cena, ilosc, ilosc_aktualna, receipt_id, status, created_at, data_waznosci, location_id)
+           SELECT kod, nazwa, kod_kreskowy, cena, ?, ?, receipt_id, status, created_at, data_waznosci, ?
+           FROM products WHERE id = ?`,
+          [ilosc, ilosc, doLocationId, batch.id]
+        );
+        await dbRunAsync(
+          'INSERT INTO stock_transfer_items (order_id, kod, z_batch_id, do_batch_id, ilosc) VALUES (?, ?, ?, ?, ?)',
+          [orderId, plan.kod, batch.id, newBatchId, ilosc]
+        );
+        req.stockMovements.batch(plan.kod, batch.id, -ilosc);
+        req.stockMovements.batch(plan.kod, newBatchId, ilosc);
       }
+    }
+
+    console.log(`🔀 Stock transfer ${numer}: ${zLocation.kod} → ${doLocation.kod}, ${laczna} szt.`);
+    res.status(201).json({ id: orderId, numer_zamowienia: numer, laczna_ilosc: laczna });
+  } catch (err) {
+    console.error('❌ Error creating stock transfer:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Удаление przesunięcia: перенесённое возвращается в исходные партии. Если из
+// партии-копии уже что-то wydano, вернуть нельзя — 409
+async function deleteStockTransfer(orderId, movements) {
+  const items = await dbAllAsync(
+    `SELECT sti.*, p.ilosc_aktualna AS do_ilosc_aktualna
+     FROM stock_transfer_items sti
+     LEFT JOIN products p ON p.id = sti.do_batch_id
+     WHERE sti.order_id = ?`,
+    [orderId]
+  );
+  const consumed = items.filter((item) => (Number(item.do_ilosc_aktualna) || 0) < item.ilosc);
+  if (consumed.length > 0) {
+    throw Object.assign(
+      new Error(`Nie można usunąć przesunięcia: towar został już wydany z lokalizacji docelowej (${[
+        ...new Set(consumed.map((item) => item.kod)),
+      ].join(', ')})`),
+      { statusCode: 409 }
+    );
+  }
+
+  for (const item of items) {
+    await dbRunAsync(
+      'UPDATE products SET ilosc = ilosc - ?, ilosc_aktualna = ilosc_aktualna - ? WHERE id = ?',
+      [item.ilosc, item.ilosc, item.do_batch_id]
+    );
+    await dbRunAsync(
+      'UPDATE products SET ilosc = ilosc + ?, ilosc_aktualna = ilosc_aktualna + ? WHERE id = ?',
+      [item.ilosc, item.ilosc, item.z_batch_id]
     );
+    // Пустая партия-копия без wydań больше не нужна
+    await dbRunAsync(
+      `DELETE FROM products WHERE id = ? AND ilosc = 0
+         AND NOT EXISTS (SELECT 1 FROM order_consumptions WHERE batch_id = ?)`,
+      [item.do_batch_id, item.do_batch_id]
+    );
+    movements.batch(item.kod, item.do_batch_id, -item.ilosc);
+    movements.batch(item.kod, item.z_batch_id, item.ilosc);
+  }
+
+  await dbRunAsync('DELETE FROM stock_transfer_items WHERE order_id = ?', [orderId]);
+  await dbRunAsync('DELETE FROM order_products WHERE orderId = ?', [orderId]);
+  await dbRunAsync('DELETE FROM orders WHERE id = ?', [orderId]);
+  console.log(`✅ Stock transfer ${orderId} deleted, ${items.length} batch moves reverted`);
+  return { restored: items.length };
+}
+
+// ===== INWENTARYZACJA (stocktake_sessions / stocktake_items) =====
+
+// Arkusz spisowy / protokół inwentaryzacji (A4). Для otwartej сессии колонка
+// «Stan policzony» пустая для записи от руки; zamknięta — с różnicami и dokumentami PW/RW
+async function generateStocktakePDF(stocktake, res, company = null) {
+  const { PDFDocument, rgb, StandardFonts } = await import('pdf-lib');
+
+  let fontkit;
+  try {
+    fontkit = require('@pdf-lib/fontkit');
+  } catch (fkErr) {
+    try {
+      fontkit = (await import('@pdf-lib/fontkit')).default;
+    } catch {
+      fontkit = null;
+    }
+  }
+
+  const pdfDoc = await PDFDocument.create();
+  if (fontkit) {
+    pdfDoc.registerFontkit(fontkit);
+  }
+
+  let soraFont;
+  try {
+    const soraBytes = fs.readFileSync(path.join(__dirname, 'fonts', 'Sora-Regular.ttf'));
+    soraFont = await pdfDoc.embedFont(soraBytes, { subset: false });
+  } catch (fontErr) {
+    console.warn('⚠️ Could not embed Sora font, falling back to Helvetica:', fontErr?.message || fontErr);
+    soraFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  }
+
+  const pageSize = [595.28, 841.89]; // A4
+  let page = pdfDoc.addPage(pageSize);
+  const { width, height } = page.getSize();
+  const margin = 32;
+  const black = rgb(0, 0, 0);
+  const textColor = rgb(0.12, 0.12, 0.12);
+  const headerBg = rgb(0.93, 0.93, 0.93);
+  let y = height - margin - 10;
+
+  const drawText = (text, x, textY, { size = 8 } = {}) => {
+    page.drawText(String(text == null ? '' : text), { x, y: textY, size, font: soraFont, color: textColor });
+  };
+  const drawTextRight = (text, rightX, textY, opts = {}) => {
+    const value = String(text == null ? '' : text);
+    drawText(value, rightX - soraFont.widthOfTextAtSize(value, opts.size || 8), textY, opts);
+  };
+
+  const isClosed = stocktake.status === STOCKTAKE_STATUS.CLOSED;
+  drawText(isClosed ? 'Protokół inwentaryzacji' : 'Arkusz spisu z natury', margin, y, { size: 16 });
+  drawTextRight(`nr ${stocktake.numer}`, width - margin, y, { size: 12 });
+  y -= 24;
+
+  const infoLines = [
+    `Rozpoczęta: ${formatInvoicePdfDate(stocktake.created_at)}${stocktake.utworzyl ? ` (${stocktake.utworzyl})` : ''}`,
+  ];
+  if (company && company.nazwa) {
+    infoLines.unshift(`Firma: ${company.nazwa}${company.nip ? `, NIP ${company.nip}` : ''}`);
+  }
+  if (isClosed) {
+    infoLines.push(`Zamknięta: ${formatInvoicePdfDate(stocktake.closed_at)}${stocktake.zamknal ? ` (${stocktake.zamknal})` : ''}`);
+    infoLines.push(`Przychód wewnętrzny (nadwyżki): ${stocktake.numer_przychodu || '—'}`);
+    infoLines.push(`Rozchód wewnętrzny (niedobory): ${stocktake.numer_odpisania || '—'}`);
+  }
+  if (stocktake.opis) infoLines.push(`Opis: ${stocktake.opis}`);
+  infoLines.forEach((line) => {
+    drawText(line, margin, y, { size: 9 });
+    y -= 13;
+  });
+  y -= 8;
+
+  const columns = [
+    { title: 'Lp.', width: 28, align: 'left' },
+    { title: 'Kod', width: 90, align: 'left' },
+    { title: 'Nazwa', width: 217.28, align: 'left' },
+    { title: 'Stan księgowy', width: 65, align: 'right' },
+    { title: 'Stan policzony', width: 65, align: 'right' },
+    { title: 'Różnica', width: 66, align: 'right' },
+  ];
+  const drawRowCells = (cells, rowTop, rowHeight, opts = {}) => {
+    let x = margin;
+    cells.forEach((cell, idx) => {
+      const col = columns[idx];
+      const lines = Array.isArray(cell) ? cell : [cell];
+      lines.forEach((line, lineIdx) => {
+        const lineY = rowTop - 10 - lineIdx * 10;
+        if (col.align === 'right') {
+          drawTextRight(line, x + col.width - 3, lineY, opts);
+        } else {
+          drawText(line, x + 3, lineY, opts);
+        }
+      });
+      page.drawRectangle({ x, y: rowTop - rowHeight, width: col.width, height: rowHeight, borderColor: black, borderWidth: 0.5 });
+      x += col.width;
+    });
+  };
+  const drawTableHeader = () => {
+    page.drawRectangle({ x: margin, y: y - 16, width: width - 2 * margin, height: 16, color: headerBg });
+    drawRowCells(columns.map((c) => c.title), y, 16, { size: 7 });
+    y -= 16;
+  };
+  drawTableHeader();
+
+  stocktake.pozycje.forEach((item, index) => {
+    const nameLines = wrapText(String(item.nazwa || '-'), soraFont, 7.5, columns[2].width - 6);
+    const rowHeight = Math.max(16, nameLines.length * 10 + 4);
+    if (y - rowHeight < margin + 40) {
+      page = pdfDoc.addPage(pageSize);
+      y = height - margin - 10;
+      drawTableHeader();
+    }
+    const roznica = item.roznica == null ? '' : item.roznica > 0 ? `+${item.roznica}` : String(item.roznica);
+    drawRowCells([
+      String(index + 1),
+      item.kod,
+      nameLines,
+      String(item.ilosc_ksiegowa),
+      item.ilosc_policzona == null ? '' : String(item.ilosc_policzona),
+      roznica,
+    ], y, rowHeight, { size: 7.5 });
+    y -= rowHeight;
+  });
+
+  // Podsumowanie и подписи komisji
+  if (y - 110 < margin) {
+    page = pdfDoc.addPage(pageSize);
+    y = height - margin - 10;
+  }
+  y -= 20;
+  const { podsumowanie } = stocktake;
+  drawText(
+    `Pozycji: ${podsumowanie.pozycje}, policzonych: ${podsumowanie.policzone}, nadwyżek: ${podsumowanie.nadwyzki}, niedoborów: ${podsumowanie.niedobory}`,
+    margin,
+    y,
+    { size: 9 }
+  );
+  y -= 60;
+  const signatureWidth = 160;
+  [['Komisja inwentaryzacyjna', margin], ['Osoba materialnie odpowiedzialna', width - margin - signatureWidth]].forEach(([label, x]) => {
+    page.drawLine({ start: { x, y }, end: { x: x + signatureWidth, y }, thickness: 0.5, color: black });
+    drawText(label, x, y - 11, { size: 7.5 });
   });
+
+  const pdfBytes = await pdfDoc.save();
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="inwentaryzacja_${stocktake.numer}.pdf"`);
+  res.send(Buffer.from(pdfBytes));
+}
+
+async function loadStocktake(id) {
+  const session = await dbGetAsync('SELECT * FROM stocktake_sessions WHERE id = ?', [id]);
+  if (!session) return null;
+  const items = await dbAllAsync(
+    'SELECT * FROM stocktake_items WHERE session_id = ? ORDER BY nazwa COLLATE NOCASE, kod',
+    [id]
+  );
+  return { ...session, ...summarizeStocktake(items) };
+}
+
+// Загружает сессию для изменения: 404 — нет, 409 — уже проведена
+async function loadOpenStocktake(id, res) {
+  const session = await dbGetAsync('SELECT * FROM stocktake_sessions WHERE id = ?', [id]);
+  if (!session) {
+    res.status(404).json({ error: 'Inwentaryzacja nie istnieje' });
+    return null;
+  }
+  if (session.status !== STOCKTAKE_STATUS.OPEN) {
+    res.status(409).json({ error: `Inwentaryzacja ${session.numer} jest już zamknięta` });
+    return null;
+  }
+  return session;
+}
+
+app.get('/api/stocktakes', async (req, res) => {
+  try {
+    const rows = await dbAllAsync(
+      `SELECT s.*,
+              COUNT(i.id) AS liczba_pozycji,
+              COALESCE(SUM(CASE WHEN i.ilosc_policzona IS NOT NULL THEN 1 ELSE 0 END), 0) AS policzone,
+              COALESCE(SUM(CASE WHEN i.ilosc_policzona IS NOT NULL AND i.ilosc_policzona != i.ilosc_ksiegowa THEN 1 ELSE 0 END), 0) AS z_roznica
+       FROM stocktake_sessions s
+       LEFT JOIN stocktake_items i ON i.session_id = s.id
+       WHERE s.company_id = ?
+       GROUP BY s.id
+       ORDER BY s.id DESC`,
+      [req.companyId]
+    );
+    res.json(rows);
+  } catch (error) {
+    console.error('❌ Error loading stocktakes:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Добавляем endpoint для массового обновления working_sheets
-app.post('/api/working-sheets/bulk-update', (req, res) => {
-  const { updates } = req.body; // массив объектов { id, ilosc, nazwa, typ, etc. }
-  console.log(`📝 POST /api/working-sheets/bulk-update - Bulk updating ${updates?.length || 0} records`);
-  
-  if (!updates || !Array.isArray(updates) || updates.length === 0) {
-    console.log('❌ Validation failed: updates array is required');
-    return res.status(400).json({ error: 'updates array is required' });
+app.get('/api/stocktakes/:id', async (req, res) => {
+  try {
+    const stocktake = await loadStocktake(req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Inwentaryzacja nie istnieje' });
+    }
+    res.json(stocktake);
+  } catch (error) {
+    console.error('❌ Error loading stocktake:', error);
+    res.status(500).json({ error: error.message });
   }
-  
-  let processedCount = 0;
-  let successCount = 0;
-  let errorCount = 0;
-  const results = [];
-  
-  updates.forEach((update, index) => {
-    console.log(`🔄 Processing update ${index + 1}/${updates.length}:`, update);
-    
-    if (!update.id) {
-      console.log(`❌ Update ${index + 1} failed: ID is required`);
-      errorCount++;
-      results.push({ id: update.id, success: false, error: 'ID is required' });
-      processedCount++;
-      checkCompletion();
-      return;
+});
+
+// Открытие сессии: замораживаем stan księgowy всех niezarchiwizowanych pozycji firmy
+// (и zarchiwizowanych с ненулевым остатком). В firmie одновременно открыта только одна сессия.
+app.post('/api/stocktakes', async (req, res) => {
+  const opis = String(req.body?.opis || '').trim() || null;
+  try {
+    const sessionId = await runInTransaction(async () => {
+      const open = await dbGetAsync(
+        'SELECT numer FROM stocktake_sessions WHERE status = ? AND company_id = ?',
+        [STOCKTAKE_STATUS.OPEN, req.companyId]
+      );
+      if (open) {
+        const error = new Error(`Najpierw zamknij otwartą inwentaryzację ${open.numer}`);
+        error.status = 409;
+        throw error;
+      }
+      const numbers = await dbAllAsync("SELECT numer FROM stocktake_sessions WHERE numer LIKE 'INW%'");
+      const maxNumber = numbers.reduce((max, row) => {
+        const match = String(row.numer).match(/^INW(\d+)/);
+        return match ? Math.max(max, parseInt(match[1], 10)) : max;
+      }, 0);
+      const numer = `INW${(maxNumber + 1).toString().padStart(3, '0')}`;
+
+      const result = await dbRunAsync(
+        'INSERT INTO stocktake_sessions (numer, status, opis, utworzyl, company_id) VALUES (?, ?, ?, ?, ?)',
+        [numer, STOCKTAKE_STATUS.OPEN, opis, req.user?.login || null, req.companyId]
+      );
+      await dbRunAsync(
+        `INSERT INTO stocktake_items (session_id, kod, nazwa, kod_kreskowy, ilosc_ksiegowa)
+         SELECT ?, kod, nazwa, kod_kreskowy, COALESCE(ilosc, 0)
+         FROM working_sheets
+         WHERE company_id = ? AND (archived = 0 OR archived IS NULL OR COALESCE(ilosc, 0) != 0)`,
+        [result.lastID, req.companyId]
+      );
+      return result.lastID;
+    });
+
+    const stocktake = await loadStocktake(sessionId);
+    console.log(`📋 Stocktake ${stocktake.numer} opened: ${stocktake.pozycje.length} items`);
+    res.status(201).json(stocktake);
+  } catch (error) {
+    console.error('❌ Error opening stocktake:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Ręczne wpisanie stanów: { pozycje: [{ kod, ilosc_policzona }] }, null — wyczyść
+app.put('/api/stocktakes/:id/items', async (req, res) => {
+  const pozycje = req.body?.pozycje;
+  if (!Array.isArray(pozycje) || pozycje.length === 0) {
+    return res.status(400).json({ error: 'Lista pozycji jest wymagana' });
+  }
+  const updates = [];
+  for (const pozycja of pozycje) {
+    const kod = normalizeProductKod(pozycja?.kod);
+    const parsed = parseCountedQuantity(pozycja?.ilosc_policzona);
+    if (!kod || parsed.error) {
+      return res.status(400).json({ error: parsed.error || 'Kod pozycji jest wymagany', kod });
+    }
+    updates.push({ kod, ilosc: parsed.value });
+  }
+
+  try {
+    const session = await loadOpenStocktake(req.params.id, res);
+    if (!session) return;
+    await runInTransaction(async () => {
+      const notFound = [];
+      for (const { kod, ilosc } of updates) {
+        const result = await dbRunAsync(
+          'UPDATE stocktake_items SET ilosc_policzona = ?, updated_at = CURRENT_TIMESTAMP WHERE session_id = ? AND kod = ?',
+          [ilosc, session.id, kod]
+        );
+        if (result.changes === 0) notFound.push(kod);
+      }
+      if (notFound.length > 0) {
+        const error = new Error(`Kody spoza inwentaryzacji: ${notFound.join(', ')}`);
+        error.status = 404;
+        throw error;
+      }
+    });
+    res.json(await loadStocktake(session.id));
+  } catch (error) {
+    console.error('❌ Error saving stocktake counts:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Skan czytnikiem: { kod_kreskowy, ilosc = 1 } — прибавляет к policzonej ilości позиции
+// с этим kod_kreskowy (или kod, если этикетка без EAN)
+app.post('/api/stocktakes/:id/scan', async (req, res) => {
+  const code = String(req.body?.kod_kreskowy || '').trim();
+  const parsed = parseCountedQuantity(req.body?.ilosc ?? 1);
+  if (!code) {
+    return res.status(400).json({ error: 'Kod kreskowy jest wymagany' });
+  }
+  if (parsed.error || !parsed.value) {
+    return res.status(400).json({ error: parsed.error || 'Ilość musi być większa od 0' });
+  }
+
+  try {
+    const session = await loadOpenStocktake(req.params.id, res);
+    if (!session) return;
+    let matches = await dbAllAsync(
+      'SELECT * FROM stocktake_items WHERE session_id = ? AND (kod_kreskowy = ? OR kod = ?)',
+      [session.id, code, code]
+    );
+    if (matches.length === 0) {
+      // Kod kreskowy mógł zostać powiązany już po otwarciu inwentaryzacji
+      const sheets = await findSheetsByBarcode(normalizeBarcode(code), req.companyId);
+      if (sheets.length === 1) {
+        matches = await dbAllAsync('SELECT * FROM stocktake_items WHERE session_id = ? AND kod = ?', [session.id, sheets[0].kod]);
+      } else if (sheets.length === 0) {
+        return res.status(404).json({
+          error: `Nieznany kod kreskowy ${code}`,
+          kod_kreskowy: normalizeBarcode(code),
+          poprawny: barcodeError(code) === null,
+        });
+      }
     }
-    
-    // Обновляем запись
-    const updateFields = [];
-    const updateValues = [];
-    
-    if (update.ilosc !== undefined) {
-      updateFields.push('ilosc = ?');
-      updateValues.push(update.ilosc);
+    if (matches.length === 0) {
+      return res.status(404).json({ error: `Kod ${code} nie należy do inwentaryzacji ${session.numer}` });
     }
-    if (update.nazwa !== undefined) {
-      updateFields.push('nazwa = ?');
-      updateValues.push(update.nazwa);
+    if (matches.length > 1) {
+      return res.status(409).json({
+        error: `Kod ${code} pasuje do kilku pozycji — wpisz ilość ręcznie`,
+        kody: matches.map((item) => item.kod),
+      });
     }
-    if (update.typ !== undefined) {
-      updateFields.push('typ = ?');
-      updateValues.push(update.typ);
+    await dbRunAsync(
+      `UPDATE stocktake_items SET ilosc_policzona = COALESCE(ilosc_policzona, 0) + ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [parsed.value, matches[0].id]
+    );
+    const item = await dbGetAsync('SELECT * FROM stocktake_items WHERE id = ?', [matches[0].id]);
+    res.json(summarizeStocktake([item]).pozycje[0]);
+  } catch (error) {
+    console.error('❌ Error scanning stocktake item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Проведение różnic: nadwyżki → przychód (PW), niedobory → odpisanie (RW) через те же
+// функции, что /api/przychod и /api/writeoffs; сессия закрывается в той же транзакции.
+// { niepoliczone_jako_zero } — непосчитанные позиции считаются нулём (иначе пропускаются)
+app.post('/api/stocktakes/:id/post', stockTransaction, async (req, res) => {
+  const niepoliczoneJakoZero = req.body?.niepoliczone_jako_zero === true;
+  try {
+    const session = await loadOpenStocktake(req.params.id, res);
+    if (!session) return;
+    const frozenItems = await dbAllAsync('SELECT * FROM stocktake_items WHERE session_id = ? ORDER BY id', [session.id]);
+    // Stan zamrożony при открытии мог измениться (sprzedaż, przyjęcia) — różnice считаем от текущего stanu
+    const [stockRows, movedRows] = await Promise.all([
+      dbAllAsync(
+        `SELECT kod, COALESCE(SUM(ilosc), 0) AS ilosc FROM working_sheets
+         WHERE company_id = ? AND kod IN (SELECT kod FROM stocktake_items WHERE session_id = ?)
+         GROUP BY kod`,
+        [req.companyId, session.id]
+      ),
+      dbAllAsync(
+        `SELECT i.kod, COALESCE(SUM(m.quantity), 0) AS ilosc
+         FROM stocktake_items i
+         JOIN stock_movements m ON m.kod = i.kod AND m.created_at > i.updated_at
+         WHERE i.session_id = ? AND i.ilosc_policzona IS NOT NULL
+         GROUP BY i.kod`,
+        [session.id]
+      ),
+    ]);
+    const items = rebaseStocktakeItems(
+      frozenItems,
+      new Map(stockRows.map((row) => [row.kod, row.ilosc])),
+      new Map(movedRows.map((row) => [row.kod, row.ilosc]))
+    );
+    // Protokół должен совпадать с проведёнными PW/RW
+    const rebased = items.filter((item, index) => item.ilosc_ksiegowa !== frozenItems[index].ilosc_ksiegowa);
+    for (const item of rebased) {
+      await dbRunAsync('UPDATE stocktake_items SET ilosc_ksiegowa = ? WHERE id = ?', [item.ilosc_ksiegowa, item.id]);
     }
-    if (update.kod_kreskowy !== undefined) {
-      updateFields.push('kod_kreskowy = ?');
-      updateValues.push(update.kod_kreskowy);
+    if (rebased.length > 0) {
+      console.log(`🔄 Stocktake ${session.numer}: stan księgowy zmienił się dla ${rebased.map((item) => item.kod).join(', ')}`);
     }
-    if (update.data_waznosci !== undefined) {
-      updateFields.push('data_waznosci = ?');
-      updateValues.push(update.data_waznosci);
+    const { nadwyzki, niedobory } = buildStocktakePostings(session, items, { niepoliczoneJakoZero });
+    const data = getTodayDateString();
+    const documents = { przychod: null, odpisanie: null };
+    const movements = [];
+
+    if (nadwyzki.length > 0) {
+      const numer_przychodu = await findNextOrderDocumentNumber('przychod', 'PW');
+      const collector = createStockMovementCollector();
+      const result = await new Promise((resolve, reject) => {
+        createPrzychodDocument({ data_przychodu: data, numer_przychodu, products: nadwyzki, company_id: req.companyId }, collector,
+          (err, created) => (err ? reject(err) : resolve(created)));
+      });
+      if (result.productsFailed > 0) throw new Error(`Nie udało się zapisać przychodu ${numer_przychodu}`);
+      documents.przychod = { id: result.przychodId, numer: numer_przychodu };
+      movements.push(...collector.toRows());
     }
-    if (update.rezerwacje !== undefined) {
-      updateFields.push('rezerwacje = ?');
-      updateValues.push(update.rezerwacje);
+
+    if (niedobory.length > 0) {
+      const numer_odpisania = await findNextOrderDocumentNumber('odpisanie', 'RW');
+      const collector = createStockMovementCollector();
+      const result = await new Promise((resolve, reject) => {
+        createWriteoffDocument({ data_odpisania: data, numer_odpisania, products: niedobory, company_id: req.companyId }, collector,
+          (err, created) => (err ? reject(err) : resolve(created)));
+      });
+      if (result.productsFailed > 0) throw new Error(`Nie udało się zapisać rozchodu ${numer_odpisania}`);
+      documents.odpisanie = { id: result.writeoffId, numer: numer_odpisania };
+      movements.push(...collector.toRows());
     }
-    if (update.objetosc !== undefined) {
-      updateFields.push('objetosc = ?');
-      updateValues.push(update.objetosc);
+
+    // Движения пишем под документами PW/RW, а не под одним документом запроса
+    await insertStockMovements(movements);
+    await dbRunAsync(
+      `UPDATE stocktake_sessions
+       SET status = ?, zamknal = ?, closed_at = CURRENT_TIMESTAMP,
+           przychod_order_id = ?, numer_przychodu = ?, odpisanie_order_id = ?, numer_odpisania = ?
+       WHERE id = ?`,
+      [
+        STOCKTAKE_STATUS.CLOSED,
+        req.user?.login || null,
+        documents.przychod?.id || null,
+        documents.przychod?.numer || null,
+        documents.odpisanie?.id || null,
+        documents.odpisanie?.numer || null,
+        session.id,
+      ]
+    );
+
+    console.log(
+      `✅ Stocktake ${session.numer} posted: ${nadwyzki.length} surpluses, ${niedobory.length} shortages`
+    );
+    res.json(await loadStocktake(session.id));
+  } catch (error) {
+    console.error('❌ Error posting stocktake:', error);
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+});
+
+// Otwartą inwentaryzację можно отменить; zamknięte остаются как protokoły
+app.delete('/api/stocktakes/:id', async (req, res) => {
+  try {
+    const session = await loadOpenStocktake(req.params.id, res);
+    if (!session) return;
+    await runInTransaction(async () => {
+      await dbRunAsync('DELETE FROM stocktake_items WHERE session_id = ?', [session.id]);
+      await dbRunAsync('DELETE FROM stocktake_sessions WHERE id = ?', [session.id]);
+    });
+    console.log(`🗑️ Stocktake ${session.numer} cancelled`);
+    res.json({ message: 'Inwentaryzacja anulowana', numer: session.numer });
+  } catch (error) {
+    console.error('❌ Error cancelling stocktake:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Arkusz spisowy (otwarta) или protokół z różnicami (zamknięta)
+app.get('/api/stocktakes/:id/pdf', async (req, res) => {
+  try {
+    const stocktake = await loadStocktake(req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Inwentaryzacja nie istnieje' });
     }
-    if (update.sprzedawca !== undefined) {
-      updateFields.push('sprzedawca = ?');
-      updateValues.push(update.sprzedawca);
+    await generateStocktakePDF(stocktake, res, await getCompanySellerDetails(req.companyId));
+  } catch (error) {
+    console.error('❌ Error generating stocktake PDF:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to generate stocktake PDF' });
+  }
+});
+
+// ===== ZEZWOLENIA NA OBRÓT ALKOHOLEM (client_licences) =====
+
+const LICENCE_MODE = parseLicenceMode(process.env.ZEZWOLENIA_TRYB);
+
+// Naruszenia zezwoleń klienta для позиций документа на дату data
+async function findClientLicenceViolations({ clientId, kody, data }) {
+  const client = await dbGetAsync('SELECT id, zezwolenie_niewymagane FROM clients WHERE id = ?', [clientId]);
+  if (!client || client.zezwolenie_niewymagane) return [];
+  const uniqueKody = [...new Set(kody.map((kod) => String(kod || '').trim()).filter(Boolean))];
+  if (uniqueKody.length === 0) return [];
+
+  const sheets = await dbAllAsync(
+    `SELECT kod, nazwa, typ, zawartosc_alkoholu FROM working_sheets WHERE kod IN (${uniqueKody.map(() => '?').join(', ')})`,
+    uniqueKody
+  );
+  const lines = sheets
+    .map((sheet) => ({ kod: sheet.kod, nazwa: sheet.nazwa, kategoria: alcoholCategory(sheet) }))
+    .filter((line) => line.kategoria);
+  if (lines.length === 0) return [];
+
+  const licences = await dbAllAsync(
+    'SELECT numer, kategorie, data_od, data_do FROM client_licences WHERE client_id = ?',
+    [client.id]
+  );
+  return findLicenceViolations(lines, licences, data);
+}
+
+// Kontrola zezwoleń перед POST /api/orders и /api/invoices.
+// resolveRequest(req) → { clientId, kody, data } или null (klienta не удалось определить —
+// ошибку вернёт сам обработчик). Naruszenia → 409; в trybie ostrzeżenia (ZEZWOLENIA_TRYB)
+// документ проходит, если пользователь подтвердил: zezwolenie_potwierdzone: true
+function requireAlcoholLicence(resolveRequest) {
+  return async (req, res, next) => {
+    let naruszenia;
+    try {
+      const request = await resolveRequest(req);
+      naruszenia = request && request.clientId ? await findClientLicenceViolations(request) : [];
+    } catch (error) {
+      console.error('❌ Error checking client licences:', error);
+      return res.status(500).json({ error: error.message });
     }
-    if (update.cena !== undefined) {
-      updateFields.push('cena = ?');
-      updateValues.push(update.cena);
+    if (naruszenia.length === 0) return next();
+
+    const moznaPotwierdzic = LICENCE_MODE === LICENCE_MODES.OSTRZEZENIE;
+    if (moznaPotwierdzic && req.body.zezwolenie_potwierdzone === true) {
+      console.warn(`⚠️ Licence check confirmed by "${req.user.login}": ${naruszenia.map((item) => item.komunikat).join('; ')}`);
+      return next();
     }
-    if (update.cena_sprzedazy !== undefined) {
-      updateFields.push('cena_sprzedazy = ?');
-      updateValues.push(update.cena_sprzedazy);
+    console.log(`❌ Licence check failed: ${naruszenia.map((item) => item.komunikat).join('; ')}`);
+    res.status(409).json({
+      error: 'Klient nie ma ważnego zezwolenia na sprzedaż tych towarów',
+      naruszenia,
+      mozna_potwierdzic: moznaPotwierdzic,
+    });
+  };
+}
+
+const resolveOrderClientAsync = (body) => new Promise((resolve, reject) => {
+  resolveOrderClientFromBody(body, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+const resolveInvoiceClientAsync = (body) => new Promise((resolve, reject) => {
+  resolveInvoiceClient(body, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+const productKody = (products) => (Array.isArray(products) ? products.map((product) => product && product.kod) : []);
+
+async function orderLicenceRequest(req) {
+  const { client_id, clientName, products } = req.body;
+  const client = await resolveOrderClientAsync({ client_id, clientName });
+  if (!client || client.error) return null;
+  return { clientId: client.clientId, kody: productKody(products), data: getTodayDateString() };
+}
+
+async function invoiceLicenceRequest(req) {
+  const { order_id, klient, products, data_faktury } = req.body;
+  if (!klient && !order_id) return null;
+  const client = await resolveInvoiceClientAsync({ order_id, klient });
+  if (!client || client.error) return null;
+  return { clientId: client.clientId, kody: productKody(products), data: data_faktury || getTodayDateString() };
+}
+
+const CLIENT_LICENCE_COLUMNS = ['numer', 'rodzaj', 'kategorie', 'data_od', 'data_do', 'uwagi'];
+
+async function loadClientLicence(id) {
+  return dbGetAsync(
+    `SELECT l.*, c.nazwa AS klient
+     FROM client_licences l
+     JOIN clients c ON c.id = l.client_id
+     WHERE l.id = ?`,
+    [id]
+  );
+}
+
+const withLicenceStatus = (licence, today) => ({ ...licence, status: licenceStatus(licence, today) });
+
+// Skan zezwolenia лежит в uploads; при замене / удалении старый файл удаляется
+function removeLicenceScan(filename) {
+  if (!filename) return;
+  fs.unlink(path.join(__dirname, 'uploads', path.basename(filename)), (err) => {
+    if (err && err.code !== 'ENOENT') console.error(`❌ Error removing licence scan ${filename}:`, err);
+  });
+}
+
+// Zezwolenia klienta (?client_id=) lub wszystkie
+app.get('/api/client-licences', async (req, res) => {
+  const clientId = req.query.client_id ? parseClientId(req.query.client_id) : null;
+  if (req.query.client_id && !clientId) {
+    return res.status(400).json({ error: 'Niepoprawny identyfikator klienta' });
+  }
+  try {
+    const rows = await dbAllAsync(
+      `SELECT l.*, c.nazwa AS klient
+       FROM client_licences l
+       JOIN clients c ON c.id = l.client_id
+       ${clientId ? 'WHERE l.client_id = ?' : ''}
+       ORDER BY c.nazwa, l.data_do DESC, l.id DESC`,
+      clientId ? [clientId] : []
+    );
+    const today = getTodayDateString();
+    res.json(rows.map((row) => withLicenceStatus(row, today)));
+  } catch (error) {
+    console.error('❌ Error loading client licences:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Wygasające zezwolenia: wygasłe i kończące się w ciągu ?dni= (domyślnie 60)
+app.get('/api/client-licences/expiring', async (req, res) => {
+  const dni = req.query.dni === undefined ? 60 : Number(req.query.dni);
+  if (!Number.isInteger(dni) || dni < 0 || dni > 3650) {
+    return res.status(400).json({ error: 'Liczba dni musi być liczbą całkowitą od 0 do 3650' });
+  }
+  try {
+    const rows = await dbAllAsync(
+      `SELECT l.id, l.client_id, c.nazwa AS klient, c.email, c.telefon,
+              l.numer, l.rodzaj, l.kategorie, l.data_od, l.data_do, l.skan, l.skan_nazwa
+       FROM client_licences l
+       JOIN clients c ON c.id = l.client_id
+       WHERE COALESCE(c.zezwolenie_niewymagane, 0) = 0`
+    );
+    res.json({ dni, ...buildExpiringLicencesReport(rows, getTodayDateString(), dni) });
+  } catch (error) {
+    console.error('❌ Error building expiring licences report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// JSON или multipart (pole pliku "skan")
+app.post('/api/client-licences', upload.single('skan'), auditTrail('client_licence', loadClientLicenceAuditSnapshot), async (req, res) => {
+  const clientId = parseClientId(req.body.client_id);
+  const { value, error, errors } = validateLicenceInput(req.body);
+  if (!clientId || error) {
+    if (req.file) removeLicenceScan(req.file.filename);
+    if (!clientId) return res.status(400).json({ error: 'client_id is required' });
+    return res.status(422).json({ error, errors });
+  }
+
+  try {
+    const client = await dbGetAsync('SELECT id, nazwa FROM clients WHERE id = ?', [clientId]);
+    if (!client) {
+      if (req.file) removeLicenceScan(req.file.filename);
+      return res.status(404).json({ error: 'Client not found' });
     }
-    
-    if (updateFields.length === 0) {
-      console.log(`⚠️ Update ${index + 1} skipped: no fields to update`);
-      results.push({ id: update.id, success: true, message: 'No fields to update' });
-      successCount++;
-      processedCount++;
-      checkCompletion();
-      return;
+    const { lastID } = await dbRunAsync(
+      `INSERT INTO client_licences (client_id, ${CLIENT_LICENCE_COLUMNS.join(', ')}, skan, skan_nazwa)
+       VALUES (?, ${CLIENT_LICENCE_COLUMNS.map(() => '?').join(', ')}, ?, ?)`,
+      [
+        client.id,
+        ...CLIENT_LICENCE_COLUMNS.map((column) => value[column]),
+        req.file ? req.file.filename : null,
+        req.file ? req.file.originalname : null,
+      ]
+    );
+    console.log(`📜 Licence ${value.numer} (${value.kategorie}) added for client ${client.nazwa}`);
+    res.status(201).json(withLicenceStatus(await loadClientLicence(lastID), getTodayDateString()));
+  } catch (err) {
+    if (req.file) removeLicenceScan(req.file.filename);
+    console.error('❌ Error creating client licence:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Новый plik "skan" заменяет прежний
+app.put('/api/client-licences/:id', upload.single('skan'), auditTrail('client_licence', loadClientLicenceAuditSnapshot), async (req, res) => {
+  const { value, error, errors } = validateLicenceInput(req.body);
+  if (error) {
+    if (req.file) removeLicenceScan(req.file.filename);
+    return res.status(422).json({ error, errors });
+  }
+
+  try {
+    const existing = await dbGetAsync('SELECT id, skan FROM client_licences WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      if (req.file) removeLicenceScan(req.file.filename);
+      return res.status(404).json({ error: 'Zezwolenie nie istnieje' });
     }
-    
-    updateValues.push(update.id);
-    
-    db.run(
-      `UPDATE working_sheets SET ${updateFields.join(', ')} WHERE id = ?`,
-      updateValues,
-      function(err) {
-        if (err) {
-          console.error(`❌ Error updating working sheet ${update.id}:`, err);
-          errorCount++;
-          results.push({ id: update.id, success: false, error: err.message });
-        } else {
-          console.log(`✅ Working sheet ${update.id} updated successfully`);
-          successCount++;
-          results.push({ id: update.id, success: true, changes: updateFields.length });
-        }
-        processedCount++;
-        checkCompletion();
-      }
+    await dbRunAsync(
+      `UPDATE client_licences
+       SET ${CLIENT_LICENCE_COLUMNS.map((column) => `${column} = ?`).join(', ')},
+           skan = COALESCE(?, skan), skan_nazwa = COALESCE(?, skan_nazwa), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        ...CLIENT_LICENCE_COLUMNS.map((column) => value[column]),
+        req.file ? req.file.filename : null,
+        req.file ? req.file.originalname : null,
+        existing.id,
+      ]
     );
-  });
-  
-  function checkCompletion() {
-    if (processedCount === updates.length) {
-      if (res.headersSent) {
-        console.log('⚠️ Response already sent, skipping checkCompletion');
-        return;
-      }
-      
-      console.log(`🎉 Bulk update complete: ${successCount} successful, ${errorCount} failed`);
-      res.json({ 
-        message: 'Bulk update completed',
-        total: updates.length,
-        successful: successCount,
-        failed: errorCount,
-        results: results
-      });
+    if (req.file) removeLicenceScan(existing.skan);
+    res.json(withLicenceStatus(await loadClientLicence(existing.id), getTodayDateString()));
+  } catch (err) {
+    if (req.file) removeLicenceScan(req.file.filename);
+    console.error('❌ Error updating client licence:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/client-licences/:id', auditTrail('client_licence', loadClientLicenceAuditSnapshot), async (req, res) => {
+  try {
+    const existing = await dbGetAsync('SELECT id, numer, skan FROM client_licences WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Zezwolenie nie istnieje' });
     }
+    await dbRunAsync('DELETE FROM client_licences WHERE id = ?', [existing.id]);
+    removeLicenceScan(existing.skan);
+    console.log(`🗑️ Licence ${existing.numer} deleted`);
+    res.json({ message: 'Zezwolenie usunięte', numer: existing.numer });
+  } catch (err) {
+    console.error('❌ Error deleting client licence:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Original Sheets API
-app.get('/api/original-sheets', (req, res) => {
-  db.all('SELECT * FROM original_sheets ORDER BY created_at DESC', (err, rows) => {
-    if (err) {
-      console.error('Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
+// Zawartość alkoholu produktu (% obj.) — kategoria zezwolenia; null — według typu towaru
+app.put('/api/working-sheets/alkohol/:kod', auditTrail('working_sheet', loadWorkingSheetAuditSnapshot, {
+  resolveIds: async (req) => {
+    const sheet = await dbGetAsync(
+      'SELECT id FROM working_sheets WHERE kod = ? AND company_id = ?',
+      [normalizeProductKod(req.params.kod), req.companyId]
+    );
+    return sheet ? sheet.id : null;
+  },
+}), async (req, res) => {
+  const zawartosc = parseZawartoscAlkoholu(req.body.zawartosc_alkoholu);
+  if (Number.isNaN(zawartosc)) {
+    return res.status(400).json({ error: 'Zawartość alkoholu musi być liczbą od 0 do 100 (% obj.)' });
+  }
+  try {
+    const kod = normalizeProductKod(req.params.kod);
+    const sheet = await dbGetAsync('SELECT id, typ FROM working_sheets WHERE kod = ? AND company_id = ?', [kod, req.companyId]);
+    if (!sheet) {
+      return res.status(404).json({ error: `Produkt ${kod} nie istnieje` });
     }
-    
-    // Преобразуем данные в формат, ожидаемый фронтендом
-    const processedRows = rows.map(row => ({
-      id: row.id,
-      fileName: row.file_name,
-      data: row.data ? JSON.parse(row.data) : { headers: [], rows: [] },
-      created_at: row.created_at
-    }));
-    
-    res.json(processedRows || []);
-  });
+    await dbRunAsync('UPDATE working_sheets SET zawartosc_alkoholu = ? WHERE id = ?', [zawartosc, sheet.id]);
+    const kategoria = alcoholCategory({ typ: sheet.typ, zawartosc_alkoholu: zawartosc });
+    res.json({
+      kod,
+      zawartosc_alkoholu: zawartosc,
+      kategoria,
+      kategoria_opis: kategoria ? KATEGORIE_ALKOHOLU_LABELS[kategoria] : null,
+    });
+  } catch (err) {
+    console.error('❌ Error saving alcohol content:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.post('/api/original-sheets', (req, res) => {
-  const { file_name, data } = req.body;
-  
-  if (!file_name) {
-    return res.status(400).json({ error: 'File name is required' });
+// ===== SPRAWOZDANIE Z OBROTU HURTOWEGO NAPOJAMI ALKOHOLOWYMI =====
+
+// Wydania (sprzedaż) и zwroty klientów за rok rok → отчёт buildAlcoholTurnoverReport
+async function loadAlcoholTurnoverReport(companyId, rok) {
+  const rows = await dbAllAsync(
+    `SELECT o.client_id, c.zezwolenie_niewymagane, o.typ AS dokument,
+            o.numer_zamowienia, o.data_utworzenia, op.created_at,
+            COALESCE(NULLIF(TRIM(op.kod), ''), ws.kod) AS kod,
+            COALESCE(ws.nazwa, op.nazwa) AS nazwa,
+            ws.typ, ws.zawartosc_alkoholu, ws.objetosc, op.ilosc
+     ${ANALIZA_WYDAN_BASE_JOIN}
+     LEFT JOIN clients c ON c.id = o.client_id
+     WHERE o.company_id = ?
+       AND ws.kod IS NOT NULL
+       AND (
+         (COALESCE(o.typ, 'zamowienie') = 'zamowienie' AND COALESCE(NULLIF(TRIM(op.typ), ''), 'sprzedaz') = 'sprzedaz')
+         OR o.typ = 'zwrot'
+       )`,
+    [companyId]
+  );
+  const lines = rows
+    .map((row) => {
+      const saleDate = getOrderProductSaleDate(row);
+      return {
+        ...row,
+        data: saleDate ? saleDate.toLocaleDateString('en-CA') : null,
+        ilosc: row.dokument === 'zwrot' ? -(Number(row.ilosc) || 0) : Number(row.ilosc) || 0,
+      };
+    })
+    .filter((line) => line.data && line.data.startsWith(`${rok}-`));
+  const licences = await dbAllAsync('SELECT client_id, rodzaj, kategorie, data_od, data_do FROM client_licences');
+  return buildAlcoholTurnoverReport(rok, lines, licences);
+}
+
+// Układ formularza: dane przedsiębiorcy, tabela odbiorcy × kategorie (litry), wykaz towarów, podpis
+async function generateAlcoholTurnoverPDF(report, res, company = null) {
+  const { PDFDocument, rgb, StandardFonts } = await import('pdf-lib');
+
+  let fontkit;
+  try {
+    fontkit = require('@pdf-lib/fontkit');
+  } catch (fkErr) {
+    try {
+      fontkit = (await import('@pdf-lib/fontkit')).default;
+    } catch {
+      fontkit = null;
+    }
+  }
+
+  const pdfDoc = await PDFDocument.create();
+  if (fontkit) {
+    pdfDoc.registerFontkit(fontkit);
+  }
+
+  let soraFont;
+  try {
+    const soraBytes = fs.readFileSync(path.join(__dirname, 'fonts', 'Sora-Regular.ttf'));
+    soraFont = await pdfDoc.embedFont(soraBytes, { subset: false });
+  } catch (fontErr) {
+    console.warn('⚠️ Could not embed Sora font, falling back to Helvetica:', fontErr?.message || fontErr);
+    soraFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  }
+
+  const pageSize = [595.28, 841.89]; // A4
+  let page = pdfDoc.addPage(pageSize);
+  const { width, height } = page.getSize();
+  const margin = 32;
+  const black = rgb(0, 0, 0);
+  const textColor = rgb(0.12, 0.12, 0.12);
+  const headerBg = rgb(0.93, 0.93, 0.93);
+  let y = height - margin - 10;
+
+  const drawText = (text, x, textY, { size = 8 } = {}) => {
+    page.drawText(String(text == null ? '' : text), { x, y: textY, size, font: soraFont, color: textColor });
+  };
+  const drawTextRight = (text, rightX, textY, opts = {}) => {
+    const value = String(text == null ? '' : text);
+    drawText(value, rightX - soraFont.widthOfTextAtSize(value, opts.size || 8), textY, opts);
+  };
+  const newPageIfNeeded = (needed) => {
+    if (y - needed >= margin) return false;
+    page = pdfDoc.addPage(pageSize);
+    y = height - margin - 10;
+    return true;
+  };
+
+  // Ячейки строки: строка или массив строк (перенос); высота — по самой длинной
+  const drawTable = (columns, rows, { size = 7.5, headerSize = 7 } = {}) => {
+    const cellLines = (cells, fontSize) => cells.map((cell, idx) => (
+      wrapText(String(cell == null ? '' : cell), soraFont, fontSize, columns[idx].width - 6)
+    ));
+    const drawRow = (cells, fontSize, fill) => {
+      const lines = cellLines(cells, fontSize);
+      const rowHeight = Math.max(16, Math.max(...lines.map((cell) => cell.length)) * 10 + 4);
+      const isHeader = Boolean(fill);
+      if (newPageIfNeeded(rowHeight) && !isHeader) drawRow(columns.map((c) => c.title), headerSize, headerBg);
+      let x = margin;
+      lines.forEach((cell, idx) => {
+        const col = columns[idx];
+        if (fill) page.drawRectangle({ x, y: y - rowHeight, width: col.width, height: rowHeight, color: fill });
+        cell.forEach((line, lineIdx) => {
+          const lineY = y - 10 - lineIdx * 10;
+          if (col.align === 'right' && !isHeader) drawTextRight(line, x + col.width - 3, lineY, { size: fontSize });
+          else drawText(line, x + 3, lineY, { size: fontSize });
+        });
+        page.drawRectangle({ x, y: y - rowHeight, width: col.width, height: rowHeight, borderColor: black, borderWidth: 0.5 });
+        x += col.width;
+      });
+      y -= rowHeight;
+    };
+    drawRow(columns.map((c) => c.title), headerSize, headerBg);
+    rows.forEach((cells) => drawRow(cells, size));
+  };
+
+  drawText('Informacja o ilości napojów alkoholowych', margin, y, { size: 14 });
+  y -= 18;
+  drawText(`sprzedanych w obrocie hurtowym w roku ${report.rok}`, margin, y, { size: 14 });
+  y -= 24;
+
+  const infoLines = [
+    `Przedsiębiorca: ${(company && company.nazwa) || '—'}`,
+    `Adres: ${(company && company.adres) || '—'}`,
+    `NIP: ${(company && company.nip) || '—'}`,
+  ];
+  infoLines.forEach((line) => {
+    drawText(line, margin, y, { size: 9 });
+    y -= 13;
+  });
+  y -= 8;
+
+  drawText('Ilość sprzedanych napojów alkoholowych (w litrach)', margin, y, { size: 10 });
+  y -= 8;
+  drawTable(
+    [
+      { title: 'Wyszczególnienie', width: 196.28, align: 'left' },
+      ...report.kategorie.map((item) => ({ title: `${item.kategoria} — ${item.opis}`, width: 85, align: 'right' })),
+      { title: 'Razem', width: 80, align: 'right' },
+    ],
+    [
+      ...report.wiersze.map((row) => [
+        row.opis,
+        ...report.kategorie.map((item) => formatInvoicePdfMoney(row[item.kategoria])),
+        formatInvoicePdfMoney(row.razem),
+      ]),
+      [
+        'Razem',
+        ...report.kategorie.map((item) => formatInvoicePdfMoney(report.razem[item.kategoria])),
+        formatInvoicePdfMoney(report.razem.razem),
+      ],
+    ]
+  );
+
+  if (report.pozycje.length > 0) {
+    y -= 20;
+    newPageIfNeeded(60);
+    drawText('Wykaz towarów', margin, y, { size: 10 });
+    y -= 8;
+    drawTable(
+      [
+        { title: 'Lp.', width: 28, align: 'left' },
+        { title: 'Kod', width: 80, align: 'left' },
+        { title: 'Nazwa', width: 203.28, align: 'left' },
+        { title: 'Kat.', width: 30, align: 'left' },
+        { title: '% obj.', width: 40, align: 'right' },
+        { title: 'Poj. (l)', width: 40, align: 'right' },
+        { title: 'Sztuki', width: 45, align: 'right' },
+        { title: 'Litry', width: 65, align: 'right' },
+      ],
+      report.pozycje.map((towar, index) => [
+        String(index + 1),
+        towar.kod,
+        towar.nazwa || '-',
+        towar.kategoria,
+        towar.zawartosc_alkoholu == null ? '' : formatInvoicePdfQty(towar.zawartosc_alkoholu),
+        formatInvoicePdfQty(towar.objetosc),
+        String(towar.sztuki),
+        formatInvoicePdfMoney(towar.litry),
+      ])
+    );
+  }
+
+  if (report.bez_objetosci.length > 0) {
+    y -= 16;
+    newPageIfNeeded(30);
+    const lines = wrapText(
+      `Nie ujęto (brak objętości w kartotece): ${report.bez_objetosci.map((brak) => `${brak.kod} (${brak.sztuki} szt.)`).join(', ')}`,
+      soraFont,
+      8,
+      width - 2 * margin
+    );
+    lines.forEach((line) => {
+      newPageIfNeeded(12);
+      drawText(line, margin, y, { size: 8 });
+      y -= 11;
+    });
+  }
+
+  newPageIfNeeded(80);
+  y -= 60;
+  const signatureWidth = 180;
+  const signatureX = width - margin - signatureWidth;
+  page.drawLine({ start: { x: signatureX, y }, end: { x: signatureX + signatureWidth, y }, thickness: 0.5, color: black });
+  drawText('Data i podpis przedsiębiorcy', signatureX, y - 11, { size: 7.5 });
+
+  const pdfBytes = await pdfDoc.save();
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="obrot_alkoholem_${report.rok}.pdf"`);
+  res.send(Buffer.from(pdfBytes));
+}
+
+// Sprawozdanie за ?rok= (по умолчанию — poprzedni rok)
+app.get('/api/alcohol-turnover', async (req, res) => {
+  const rok = parseReportYear(req.query.rok, getTodayDateString());
+  if (rok === null) return res.status(400).json({ error: 'Niepoprawny rok sprawozdania' });
+
+  try {
+    res.json(await loadAlcoholTurnoverReport(req.companyId, rok));
+  } catch (error) {
+    console.error('❌ Error building alcohol turnover report:', error);
+    res.status(500).json({ error: error.message });
   }
-  
-  db.run(
-    'INSERT INTO original_sheets (file_name, data) VALUES (?, ?)',
-    [file_name, data],
-    function(err) {
-      if (err) {
-        console.error('Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      res.json({ id: this.lastID, message: 'Original sheet added successfully' });
-    }
-  );
 });
 
+app.get('/api/alcohol-turnover/xlsx', async (req, res) => {
+  const rok = parseReportYear(req.query.rok, getTodayDateString());
+  if (rok === null) return res.status(400).json({ error: 'Niepoprawny rok sprawozdania' });
 
+  try {
+    const report = await loadAlcoholTurnoverReport(req.companyId, rok);
+    const { sprawozdanie, towary } = alcoholTurnoverSheets(report, await getCompanySellerDetails(req.companyId));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sprawozdanie), 'Sprawozdanie');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(towary), 'Towary');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    const filename = `obrot_alkoholem_${rok}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('❌ Error exporting alcohol turnover report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+app.get('/api/alcohol-turnover/pdf', async (req, res) => {
+  const rok = parseReportYear(req.query.rok, getTodayDateString());
+  if (rok === null) return res.status(400).json({ error: 'Niepoprawny rok sprawozdania' });
 
-// DUPLICATE price-history endpoint - REMOVED
+  try {
+    const report = await loadAlcoholTurnoverReport(req.companyId, rok);
+    await generateAlcoholTurnoverPDF(report, res, await getCompanySellerDetails(req.companyId));
+  } catch (error) {
+    console.error('❌ Error generating alcohol turnover PDF:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to generate alcohol turnover PDF' });
+  }
+});
 
+// ===== REJESTR AKCYZY (excise_payments) =====
+
+async function loadExciseRegister(companyId, range) {
+  const [receipts, payments, batches] = await Promise.all([
+    dbAllAsync(
+      'SELECT id, dataPrzyjecia, sprzedawca, podatek_akcyzowy, products FROM product_receipts WHERE company_id = ?',
+      [companyId]
+    ),
+    dbAllAsync(
+      'SELECT id, okres, data_zaplaty, kwota, dokument, uwagi FROM excise_payments WHERE company_id = ?',
+      [companyId]
+    ),
+    dbAllAsync(
+      `SELECT p.kod, COALESCE(ws.nazwa, p.nazwa) AS nazwa, p.receipt_id, p.ilosc_aktualna,
+              ws.podatek_akcyzowy AS ws_podatek_akcyzowy
+       FROM products p
+       JOIN working_sheets ws ON ws.kod = p.kod
+       WHERE p.ilosc_aktualna > 0 AND ws.company_id = ?`,
+      [companyId]
+    ),
+  ]);
+  return buildExciseRegister({ receipts, payments, batches, range });
+}
 
-// File Upload API
-app.post('/api/upload', upload.single('file'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+// Rejestr: ?od=&do= (RRRR-MM-DD) — akcyza naliczona w przyjęciach, zapłacona, w zapasie
+app.get('/api/excise/register', async (req, res) => {
+  const range = parseRegisterRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  try {
+    res.json(await loadExciseRegister(req.companyId, range));
+  } catch (error) {
+    console.error('❌ Error building excise register:', error);
+    res.status(500).json({ error: error.message });
   }
-  
-  res.json({
-    message: 'File uploaded successfully',
-    filename: req.file.filename,
-    originalname: req.file.originalname
-  });
 });
 
-// File Management API
-app.get('/api/check_file/:fileName', (req, res) => {
-  const { fileName } = req.params;
-  const filePath = path.join(__dirname, 'uploads', fileName);
-  
-  if (fs.existsSync(filePath)) {
-    res.json({ exists: true, path: filePath });
-  } else {
-    res.json({ exists: false });
+app.get('/api/excise/register/xlsx', async (req, res) => {
+  const range = parseRegisterRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  try {
+    const register = await loadExciseRegister(req.companyId, range);
+    const workbook = XLSX.utils.book_new();
+    Object.entries(exciseRegisterSheets(register)).forEach(([name, rows]) => {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), name);
+    });
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    const filename = `rejestr_akcyzy_${range.od || 'poczatek'}_${range.do || getTodayDateString()}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('❌ Error exporting excise register:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
+app.post('/api/excise/payments', auditTrail('excise_payment', loadExcisePaymentAuditSnapshot), async (req, res) => {
+  const { value, error, errors } = validateExcisePaymentInput(req.body);
+  if (error) return res.status(422).json({ error, errors });
 
+  try {
+    const { lastID } = await dbRunAsync(
+      'INSERT INTO excise_payments (okres, data_zaplaty, kwota, dokument, uwagi, company_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [value.okres, value.data_zaplaty, value.kwota, value.dokument, value.uwagi, req.companyId]
+    );
+    console.log(`✅ Excise payment ${lastID} recorded for ${value.okres}: ${value.kwota} zł`);
+    res.status(201).json({ id: lastID, ...value });
+  } catch (err) {
+    console.error('❌ Error recording excise payment:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// Download file API
-app.get('/api/download_file/:fileName', (req, res) => {
-  const { fileName } = req.params;
-  
-  // Ищем файл в базе данных
-  db.get('SELECT * FROM original_sheets WHERE file_name = ?', [fileName], (err, row) => {
-    if (err) {
-      console.error('Database error:', err);
-      res.status(500).json({ error: 'Database error' });
-      return;
-    }
-    
-    if (!row) {
-      res.status(404).json({ error: 'File not found' });
-      return;
+app.delete('/api/excise/payments/:id', auditTrail('excise_payment', loadExcisePaymentAuditSnapshot), async (req, res) => {
+  try {
+    const payment = await dbGetAsync(
+      'SELECT id, okres FROM excise_payments WHERE id = ? AND company_id = ?',
+      [req.params.id, req.companyId]
+    );
+    if (!payment) {
+      return res.status(404).json({ error: 'Płatność akcyzy nie istnieje' });
     }
-    
-    try {
-      const data = JSON.parse(row.data);
-      
-             // Создаем HTML страницу с таблицей в стиле модального окна
-       const htmlContent = `
-         <!DOCTYPE html>
-         <html>
-         <head>
-           <meta charset="UTF-8">
-           <title>${fileName}</title>
-           <link href="https://fonts.googleapis.com/css2?family=Sora:wght@400;500;600;700&display=swap" rel="stylesheet">
-           <style>
-             * {
-               margin: 0;
-               padding: 0;
-               box-sizing: border-box;
-             }
-             
-             body { 
-               font-family: 'Sora', sans-serif; 
-               margin: 0;
-               padding: 24px;
-               background-color: #f9fafb;
-               color: #374151;
-               line-height: 1.5;
-             }
-             
-             .container {
-               max-width: 1200px;
-               margin: 0 auto;
-               background: white;
-               border-radius: 0.5rem;
-               box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
-               overflow: hidden;
-             }
-             
-             .header {
-               padding: 24px;
-               border-bottom: 1px solid #e5e7eb;
-               background: white;
-             }
-             
-             .header h1 {
-               font-size: 1rem;
-               font-weight: 600;
-               color: #1f2937;
-               margin: 0;
-             }
-             
-             .content {
-               padding: 24px;
-               overflow-x: auto;
-             }
-             
-             table { 
-               border-collapse: collapse; 
-               width: 100%; 
-               font-size: 0.75rem;
-               font-family: 'Sora', sans-serif;
-             }
-             
-             th, td { 
-               border: 1px solid #d1d5db; 
-               padding: 6px 12px; 
-               text-align: left; 
-               vertical-align: top;
-             }
-             
-             th { 
-               background-color: #f3f4f6; 
-               font-weight: 600;
-               color: #374151;
-               font-size: 0.75rem;
-               text-transform: uppercase;
-               letter-spacing: 0.05em;
-             }
-             
-             tr:nth-child(even) { 
-               background-color: #f9fafb; 
-             }
-             
-             tr:hover {
-               background-color: #f3f4f6;
-             }
-             
-             td {
-               color: #374151;
-               font-size: 0.75rem;
-             }
-             
-             .empty-cell {
-               color: #9ca3af;
-               font-style: italic;
-             }
-             
-             @media (max-width: 768px) {
-               body {
-                 padding: 12px;
-               }
-               
-               .container {
-                 border-radius: 0.375rem;
-               }
-               
-               .header, .content {
-                 padding: 16px;
-               }
-               
-               table {
-                 font-size: 0.625rem;
-               }
-               
-               th, td {
-                 padding: 4px 8px;
-               }
-             }
-           </style>
-         </head>
-         <body>
-           <div class="container">
-             <div class="header">
-               <h1>${fileName}</h1>
-             </div>
-             <div class="content">
-               <table>
-                 <thead>
-                   <tr>
-                     ${data.headers.map(header => `<th>${header || ''}</th>`).join('')}
-                   </tr>
-                 </thead>
-                 <tbody>
-                   ${data.rows.map(row => 
-                     `<tr>${row.map(cell => `<td class="${!cell ? 'empty-cell' : ''}">${cell || ''}</td>`).join('')}</tr>`
-                   ).join('')}
-                 </tbody>
-               </table>
-             </div>
-           </div>
-         </body>
-         </html>
-       `;
-      
-      // Отправляем HTML страницу
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.send(htmlContent);
-    } catch (error) {
-      console.error('Error generating HTML:', error);
-      res.status(500).json({ error: 'Error generating HTML' });
+    await dbRunAsync('DELETE FROM excise_payments WHERE id = ?', [payment.id]);
+    console.log(`🗑️ Excise payment ${payment.id} (${payment.okres}) deleted`);
+    res.json({ message: 'Płatność akcyzy usunięta', id: payment.id });
+  } catch (err) {
+    console.error('❌ Error deleting excise payment:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===== BANDEROLE (excise_stamp_rolls, excise_stamp_usages) =====
+
+// Rolki firmy; numery banderol уникальны globalnie, но zapas — у каждой firmy свой
+async function loadStampRolls(companyId) {
+  return dbAllAsync(
+    'SELECT id, seria, numer_od, numer_do, data_przyjecia, dokument, uwagi FROM excise_stamp_rolls WHERE company_id = ?',
+    [companyId]
+  );
+}
+
+async function loadStampUsages(companyId) {
+  return dbAllAsync(
+    `SELECT u.id, u.roll_id, u.rodzaj, u.numer_od, u.numer_do, u.ilosc, u.data, u.receipt_id, u.kod, u.uwagi
+     FROM excise_stamp_usages u
+     JOIN excise_stamp_rolls r ON r.id = u.roll_id
+     WHERE r.company_id = ?`,
+    [companyId]
+  );
+}
+
+// Kartoteka (typ, zawartosc_alkoholu) для kodów pozycji przyjęcia; % z pozycji przyjęcia
+// ma pierwszeństwo (stampRequirements)
+async function loadStampSheets(kody) {
+  const unique = [...new Set(kody.map((kod) => String(kod || '').trim()).filter(Boolean))];
+  if (unique.length === 0) return [];
+  return dbAllAsync(
+    `SELECT kod, nazwa, typ, zawartosc_alkoholu FROM working_sheets WHERE kod IN (${unique.map(() => '?').join(', ')})`,
+    unique
+  );
+}
+
+// Pozycje przyjęcia [{ kod, ilosc, typ, zawartosc_alkoholu }] + banderole z formularza → plan
+// (server/exciseStamps.js). receiptId — edycja przyjęcia: его naklejone banderole засчитываются
+// (kept) или, для убранных pozycji, zwalniane (released — удаляет вызывающий код).
+// bezZawartosci — kody napojów alkoholowych bez % (przyjęcie odrzucamy)
+async function planCompanyReceiptStamps(lines, banderole, companyId, receiptId = null) {
+  const [sheets, rolls, allUsages] = await Promise.all([
+    loadStampSheets(lines.map((line) => line.kod)),
+    loadStampRolls(companyId),
+    loadStampUsages(companyId),
+  ]);
+  const existing = receiptId
+    ? allUsages.filter((usage) => usage.receipt_id === Number(receiptId) && usage.rodzaj === RODZAJE_UZYCIA.NAKLEJONA)
+    : [];
+  const { kept, released } = splitReceiptStamps(existing, lines, sheets);
+  const usages = allUsages.filter((usage) => !released.includes(usage));
+  return {
+    plan: planReceiptStamps({ lines, sheets, banderole, rolls, usages, assigned: kept }),
+    bezZawartosci: findLinesWithoutAlcoholContent(lines, sheets),
+    rolls,
+    usages,
+    released,
+  };
+}
+
+const receiptAlcoholContentError = (kody) => ({
+  error: `Podaj zawartość alkoholu (% obj.) dla pozycji: ${kody.join(', ')}`,
+  kody,
+});
+
+// % alkoholu z pozycji przyjęcia → kartoteka (kategoria zezwolenia, banderole)
+async function saveReceiptAlcoholContent(lines, companyId) {
+  for (const line of lines) {
+    if (line.zawartosc_alkoholu == null) continue;
+    await dbRunAsync(
+      'UPDATE working_sheets SET zawartosc_alkoholu = ? WHERE kod = ? AND company_id = ?',
+      [line.zawartosc_alkoholu, normalizeProductKod(line.kod), companyId]
+    );
+  }
+}
+
+const receiptStampsError = (plan) => ({
+  error: `Przyjęcie wyrobów powyżej ${PROG_BANDEROLI}% alkoholu wymaga przydzielenia banderol`,
+  braki: plan.braki,
+  errors: plan.errors,
+});
+
+// Naklejone banderole przyjęcia — в его транзакции
+async function insertReceiptStamps(przydzialy, receiptId, date) {
+  for (const przydzial of przydzialy) {
+    await dbRunAsync(
+      'INSERT INTO excise_stamp_usages (roll_id, rodzaj, numer_od, numer_do, ilosc, data, receipt_id, kod) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [przydzial.roll_id, RODZAJE_UZYCIA.NAKLEJONA, przydzial.numer_od, przydzial.numer_do, przydzial.ilosc, date, receiptId, przydzial.kod]
+    );
+  }
+  if (przydzialy.length > 0) {
+    console.log(`🏷️ Receipt ${receiptId}: ${przydzialy.map(formatStampRange).join(', ')} assigned`);
+  }
+}
+
+const parseReceiptLines = (products) => {
+  try {
+    const lines = JSON.parse(products || '[]');
+    return Array.isArray(lines) ? lines : [];
+  } catch {
+    return [];
+  }
+};
+
+// Banderole partii przyjęcia: pozycje wymagające banderol z przydzielonymi zakresami
+async function loadReceiptStamps(receiptId, companyId) {
+  const receipt = await dbGetAsync(
+    'SELECT id, dataPrzyjecia, products FROM product_receipts WHERE id = ? AND company_id = ?',
+    [receiptId, companyId]
+  );
+  if (!receipt) return null;
+  const lines = parseReceiptLines(receipt.products);
+  const required = stampRequirements(lines, await loadStampSheets(lines.map((line) => line.kod)));
+  const usages = await dbAllAsync(
+    `SELECT u.id, r.seria, u.numer_od, u.numer_do, u.ilosc, u.kod
+     FROM excise_stamp_usages u
+     JOIN excise_stamp_rolls r ON r.id = u.roll_id
+     WHERE u.receipt_id = ? AND u.rodzaj = ?
+     ORDER BY r.seria, u.numer_od`,
+    [receipt.id, RODZAJE_UZYCIA.NAKLEJONA]
+  );
+  // Zakresy kodów, usuniętych z przyjęcia — тоже показываем, чтобы их можно было zwolnić
+  usages.forEach((usage) => {
+    if (!required.has(usage.kod)) {
+      required.set(usage.kod, { kod: usage.kod, nazwa: '', zawartosc_alkoholu: null, ilosc: 0, przydzielone: 0 });
     }
   });
+  return {
+    receipt_id: receipt.id,
+    data: String(receipt.dataPrzyjecia || '').slice(0, 10),
+    pozycje: [...required.values()].map((pozycja) => {
+      const zakresy = usages.filter((usage) => usage.kod === pozycja.kod);
+      const przydzielone = zakresy.reduce((sum, usage) => sum + usage.ilosc, 0);
+      return { ...pozycja, przydzielone, brakuje: Math.max(pozycja.ilosc - przydzielone, 0), zakresy };
+    }),
+  };
+}
+
+async function loadStampUsageReport(companyId, okres) {
+  const [rolls, usages, receipts] = await Promise.all([
+    loadStampRolls(companyId),
+    loadStampUsages(companyId),
+    dbAllAsync(
+      "SELECT id, dataPrzyjecia, sprzedawca, products FROM product_receipts WHERE company_id = ? AND substr(dataPrzyjecia, 1, 7) = ?",
+      [companyId, okres]
+    ),
+  ]);
+  const sheets = await loadStampSheets(receipts.flatMap((receipt) => parseReceiptLines(receipt.products).map((line) => line.kod)));
+  const braki = findReceiptStampShortages(
+    receipts,
+    sheets,
+    usages.filter((usage) => usage.rodzaj === RODZAJE_UZYCIA.NAKLEJONA)
+  );
+  return buildStampUsageReport(okres, rolls, usages, braki);
+}
+
+// Zapas banderol: rolki z wolnymi zakresami
+app.get('/api/excise-stamps/rolls', async (req, res) => {
+  try {
+    const [rolls, usages] = await Promise.all([loadStampRolls(req.companyId), loadStampUsages(req.companyId)]);
+    res.json(buildStampStock(rolls, usages));
+  } catch (error) {
+    console.error('❌ Error loading excise stamp rolls:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Sheets API
-app.post('/api/sheets', (req, res) => {
-  const { fileName, data } = req.body;
-  
-  if (!fileName) {
-    return res.status(400).json({ error: 'File name is required' });
+app.post('/api/excise-stamps/rolls', auditTrail('excise_stamp_roll', loadExciseStampRollAuditSnapshot), async (req, res) => {
+  const { value, error, errors } = validateRollInput(req.body);
+  if (error) return res.status(422).json({ error, errors });
+
+  try {
+    const sameSeria = await dbAllAsync(
+      'SELECT id, seria, numer_od, numer_do FROM excise_stamp_rolls WHERE seria = ?',
+      [value.seria]
+    );
+    const overlapError = findRollOverlap(value, sameSeria);
+    if (overlapError) return res.status(409).json({ error: overlapError });
+
+    const { lastID } = await dbRunAsync(
+      'INSERT INTO excise_stamp_rolls (seria, numer_od, numer_do, data_przyjecia, dokument, uwagi, company_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [value.seria, value.numer_od, value.numer_do, value.data_przyjecia, value.dokument, value.uwagi, req.companyId]
+    );
+    console.log(`🏷️ Excise stamp roll ${formatStampRange(value)} received`);
+    res.status(201).json({ id: lastID, ...value });
+  } catch (err) {
+    console.error('❌ Error creating excise stamp roll:', err);
+    res.status(500).json({ error: err.message });
   }
-  
-  // Проверяем, есть ли уже файл в системе
-  db.get('SELECT COUNT(*) as count FROM original_sheets', (err, row) => {
-    if (err) {
-      console.error('Database error:', err);
-      res.status(500).json({ error: err.message });
-      return;
+});
+
+app.delete('/api/excise-stamps/rolls/:id', auditTrail('excise_stamp_roll', loadExciseStampRollAuditSnapshot), async (req, res) => {
+  try {
+    const roll = await dbGetAsync(
+      `SELECT r.id, r.seria, r.numer_od, r.numer_do,
+              (SELECT COUNT(*) FROM excise_stamp_usages u WHERE u.roll_id = r.id) AS wykorzystania
+       FROM excise_stamp_rolls r
+       WHERE r.id = ? AND r.company_id = ?`,
+      [req.params.id, req.companyId]
+    );
+    if (!roll) {
+      return res.status(404).json({ error: 'Rolka banderol nie istnieje' });
     }
-    
-    if (row.count > 0) {
-      return res.status(409).json({ error: 'Only one Excel file can be uploaded at a time. Please delete the existing file first.' });
+    if (roll.wykorzystania > 0) {
+      return res.status(409).json({ error: 'Rolka ma wykorzystane banderole — najpierw usuń ich wykorzystanie' });
     }
-    
-    // Сохраняем данные в таблицу original_sheets
-  db.run(
-    'INSERT INTO original_sheets (file_name, data) VALUES (?, ?)',
-    [fileName, JSON.stringify(data)],
-    function(err) {
-      if (err) {
-        console.error('Database error:', err);
-        res.status(500).json({ error: err.message });
-        return;
+    await dbRunAsync('DELETE FROM excise_stamp_rolls WHERE id = ?', [roll.id]);
+    console.log(`🗑️ Excise stamp roll ${formatStampRange(roll)} deleted`);
+    res.json({ message: 'Rolka banderol usunięta', id: roll.id });
+  } catch (err) {
+    console.error('❌ Error deleting excise stamp roll:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Wykorzystanie banderol: naklejone na partię przyjęcia (receipt_id + kod), uszkodzone, zwrócone
+app.post('/api/excise-stamps/usages', auditTrail('excise_stamp_usage', loadExciseStampUsageAuditSnapshot), async (req, res) => {
+  const { value, error, errors } = validateUsageInput(req.body);
+  if (error) return res.status(422).json({ error, errors });
+
+  try {
+    if (value.rodzaj === RODZAJE_UZYCIA.NAKLEJONA) {
+      const receiptStamps = await loadReceiptStamps(value.receipt_id, req.companyId);
+      if (!receiptStamps) {
+        return res.status(404).json({ error: 'Przyjęcie nie istnieje' });
       }
-      
-      const originalSheetId = this.lastID;
-      
-      // Преобразуем Excel данные в формат working_sheets и сохраняем
-      try {
-        const { headers, rows } = data;
-        
-        console.log('=== ПАРСИНГ EXCEL ФАЙЛА ===');
-        console.log('fileName:', fileName);
-        console.log('headers:', headers);
-        console.log('rows count:', rows.length);
-        
-        // Ищем индексы нужных колонок
-        const kodIndex = headers.findIndex(h => 
-          h && h.toLowerCase().includes('kod') || 
-          h && h.toLowerCase().includes('код') ||
-          h && h.toLowerCase().includes('code')
-        );
-        const nazwaIndex = headers.findIndex(h => 
-          h && h.toLowerCase().includes('nazwa') || 
-          h && h.toLowerCase().includes('название') ||
-          h && h.toLowerCase().includes('name') ||
-          h && h.toLowerCase().includes('product')
-        );
-        const iloscIndex = headers.findIndex(h => 
-          h && h.toLowerCase().includes('ilosc') || 
-          h && h.toLowerCase().includes('количество') ||
-          h && h.toLowerCase().includes('quantity') ||
-          h && h.toLowerCase().includes('amount')
-        );
-        const dataIndex = headers.findIndex(h => 
-          h && h.toLowerCase().includes('data') || 
-          h && h.toLowerCase().includes('дата') ||
-          h && h.toLowerCase().includes('date')
-        );
-        
-        console.log('Найденные индексы:');
-        console.log('- kodIndex:', kodIndex, '(поиск: kod, код, code)');
-        console.log('- nazwaIndex:', nazwaIndex, '(поиск: nazwa, название, name, product)');
-        console.log('- iloscIndex:', iloscIndex, '(поиск: ilosc, количество, quantity, amount)');
-        console.log('- dataIndex:', dataIndex, '(поиск: data, дата, date)');
-        
-        // Если не нашли нужные колонки, используем первые доступные
-        const finalKodIndex = kodIndex >= 0 ? kodIndex : 0;
-        const finalNazwaIndex = nazwaIndex >= 0 ? nazwaIndex : (kodIndex >= 0 ? 1 : 0);
-        const finalIloscIndex = iloscIndex >= 0 ? iloscIndex : (nazwaIndex >= 0 ? 2 : 1);
-        const finalDataIndex = dataIndex >= 0 ? dataIndex : (iloscIndex >= 0 ? 3 : 2);
-        
-        console.log('Финальные индексы:');
-        console.log('- finalKodIndex:', finalKodIndex);
-        console.log('- finalNazwaIndex:', finalNazwaIndex);
-        console.log('- finalIloscIndex:', finalIloscIndex);
-        console.log('- finalDataIndex:', finalDataIndex);
-        
-        // Получаем текущую дату для записей без даты
-        const currentDate = new Date().toISOString().split('T')[0];
-        
-        // Подготавливаем данные для вставки в working_sheets
-        const workingSheetData = rows.map((row, index) => {
-          // Функция для проверки пустых значений
-          const getValueOrNull = (value) => {
-            if (value === undefined || value === null || value === '' || value === 'undefined' || value === 'null') {
-              return null;
-            }
-            return value.toString().trim();
-          };
-          
-          const getNumberOrNull = (value) => {
-            if (value === undefined || value === null || value === '' || value === 'undefined' || value === 'null') {
-              return null;
-            }
-            const num = parseInt(value);
-            return isNaN(num) ? null : num;
-          };
-          
-          const kod = normalizeProductKod(getValueOrNull(row[finalKodIndex]));
-          const nazwa = getValueOrNull(row[finalNazwaIndex]);
-          const ilosc = getNumberOrNull(row[finalIloscIndex]);
-          
-          // Ищем только kod_kreskowy в заголовках
-          const kodKreskowyIndex = headers.findIndex(h => 
-            h && h.toLowerCase().includes('kreskowy') || 
-            h && h.toLowerCase().includes('штрих') ||
-            h && h.toLowerCase().includes('barcode')
-          );
-          
-          return {
-            kod: kod,
-            nazwa: nazwa,
-            ilosc: ilosc,
-            typ: null, // не копируем из Excel
-            kod_kreskowy: kodKreskowyIndex >= 0 ? getValueOrNull(row[kodKreskowyIndex]) : null,
-            data_waznosci: null, // не копируем из Excel
-            rezerwacje: null, // не копируем из Excel
-            objetosc: null, // не копируем из Excel
-            sprzedawca: null // не копируем из Excel
-          };
+      const pozycja = receiptStamps.pozycje.find((item) => item.kod === value.kod);
+      if (!pozycja || pozycja.ilosc === 0) {
+        return res.status(422).json({ error: `Towar ${value.kod} w tym przyjęciu nie wymaga banderol` });
+      }
+      if (value.ilosc > pozycja.brakuje) {
+        return res.status(409).json({
+          error: `Towar ${value.kod}: brakuje ${pozycja.brakuje} banderol, zakres obejmuje ${value.ilosc}`,
         });
-        
-        console.log('Обработано строк:', workingSheetData.length);
-        
-        // Фильтруем пустые записи
-        const filteredData = workingSheetData.filter(item => item.kod && item.nazwa && item.ilosc && item.ilosc > 0);
-        
-        console.log('После фильтрации:', filteredData.length, 'строк');
-        console.log('Отфильтровано:', workingSheetData.length - filteredData.length, 'строк');
-        
-        // Показываем причины фильтрации
-        const filteredOut = workingSheetData.filter(item => !item.kod || !item.nazwa || !item.ilosc || item.ilosc <= 0);
-        if (filteredOut.length > 0) {
-          console.log('Причины фильтрации:');
-          filteredOut.forEach((item, index) => {
-            const reasons = [];
-            if (!item.kod) reasons.push('пустой код');
-            if (!item.nazwa) reasons.push('пустое название');
-            if (!item.ilosc || item.ilosc <= 0) reasons.push('количество <= 0 или null');
-            console.log(`- Строка ${index + 1}: ${reasons.join(', ')}`);
-          });
-        }
-        
-        // Вставляем данные в working_sheets
-        if (filteredData.length > 0) {
-          const placeholders = filteredData.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
-          const values = filteredData.flatMap(item => [
-            item.kod, item.nazwa, item.ilosc, item.kod_kreskowy, item.data_waznosci, 
-            item.rezerwacje, item.objetosc, item.typ, item.sprzedawca, // sprzedawca
-            null, // cena (по умолчанию null)
-            null, // cena_sprzedazy (по умолчанию null)
-            null // produkt_id
-          ]);
-          
-          db.run(
-            `INSERT INTO working_sheets (kod, nazwa, ilosc, kod_kreskowy, data_waznosci, rezerwacje, objetosc, typ, sprzedawca, cena, cena_sprzedazy, produkt_id) VALUES ${placeholders}`,
-            values,
-            function(err) {
-              if (err) {
-                console.error('Error inserting into working_sheets:', err);
-                // Не возвращаем ошибку, так как original_sheets уже сохранен
-              } else {
-                console.log(`✅ Copied ${filteredData.length} records from original_sheets to working_sheets`);
-              }
-            }
-          );
-        }
-        
-      } catch (error) {
-        console.error('Error processing data for working_sheets:', error);
-        // Не возвращаем ошибку, так как original_sheets уже сохранен
       }
-      
-      res.json({ 
-        id: originalSheetId, 
-        message: 'Sheet data saved successfully and copied to working sheets',
-        fileName: fileName
-      });
+      value.data = value.data || receiptStamps.data;
+    }
+
+    const [rolls, usages] = await Promise.all([loadStampRolls(req.companyId), loadStampUsages(req.companyId)]);
+    const { roll, error: rangeError } = locateStampRange(value, rolls, usages);
+    if (rangeError) return res.status(409).json({ error: rangeError });
+
+    const { lastID } = await dbRunAsync(
+      'INSERT INTO excise_stamp_usages (roll_id, rodzaj, numer_od, numer_do, ilosc, data, receipt_id, kod, uwagi) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [roll.id, value.rodzaj, value.numer_od, value.numer_do, value.ilosc, value.data, value.receipt_id, value.kod, value.uwagi]
+    );
+    console.log(`🏷️ Excise stamps ${formatStampRange(value)}: ${value.rodzaj}${value.receipt_id ? ` (receipt ${value.receipt_id}, ${value.kod})` : ''}`);
+    res.status(201).json({ id: lastID, roll_id: roll.id, ...value });
+  } catch (err) {
+    console.error('❌ Error recording excise stamp usage:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/excise-stamps/usages/:id', auditTrail('excise_stamp_usage', loadExciseStampUsageAuditSnapshot), async (req, res) => {
+  try {
+    const usage = await dbGetAsync(
+      `SELECT u.id, u.rodzaj, r.seria, u.numer_od, u.numer_do
+       FROM excise_stamp_usages u
+       JOIN excise_stamp_rolls r ON r.id = u.roll_id
+       WHERE u.id = ? AND r.company_id = ?`,
+      [req.params.id, req.companyId]
+    );
+    if (!usage) {
+      return res.status(404).json({ error: 'Wpis banderol nie istnieje' });
     }
+    await dbRunAsync('DELETE FROM excise_stamp_usages WHERE id = ?', [usage.id]);
+    console.log(`🗑️ Excise stamps ${formatStampRange(usage)} (${usage.rodzaj}) returned to stock`);
+    res.json({ message: 'Banderole wróciły do zapasu', id: usage.id });
+  } catch (err) {
+    console.error('❌ Error deleting excise stamp usage:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/excise-stamps/receipts/:id', async (req, res) => {
+  try {
+    const receiptStamps = await loadReceiptStamps(req.params.id, req.companyId);
+    if (!receiptStamps) {
+      return res.status(404).json({ error: 'Przyjęcie nie istnieje' });
+    }
+    res.json(receiptStamps);
+  } catch (error) {
+    console.error('❌ Error loading receipt excise stamps:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Formularz przyjęcia: które pozycje wymagają banderol, czy wpisane zakresy są wolne,
+// и podpowiedź wolnych zakresów (FIFO) для brakujących. Ничего не записывает
+app.post('/api/excise-stamps/check', async (req, res) => {
+  const products = normalizeReceiptProducts(Array.isArray(req.body.products) ? req.body.products : []);
+  try {
+    const { plan, rolls, usages, bezZawartosci } = await planCompanyReceiptStamps(products, req.body.banderole, req.companyId, req.body.receipt_id);
+    const taken = plan.przydzialy.map((przydzial) => ({ ...przydzial, rodzaj: RODZAJE_UZYCIA.NAKLEJONA }));
+    const podpowiedzi = {};
+    plan.braki.forEach((brak) => {
+      const { zakresy } = suggestStampRanges(brak.brakuje, rolls, usages, { taken });
+      podpowiedzi[brak.kod] = zakresy;
+      taken.push(...zakresy);
+    });
+    res.json({ ...plan, bez_zawartosci: bezZawartosci, podpowiedzi });
+  } catch (error) {
+    console.error('❌ Error checking receipt excise stamps:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Miesięczne rozliczenie banderol: ?okres=RRRR-MM
+app.get('/api/excise-stamps/report', async (req, res) => {
+  const okres = parseReportMonth(req.query.okres, getTodayDateString());
+  if (!okres) return res.status(400).json({ error: 'Okres w formacie RRRR-MM, nie późniejszy niż bieżący miesiąc' });
+
+  try {
+    res.json(await loadStampUsageReport(req.companyId, okres));
+  } catch (error) {
+    console.error('❌ Error building excise stamp report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/excise-stamps/report/xlsx', async (req, res) => {
+  const okres = parseReportMonth(req.query.okres, getTodayDateString());
+  if (!okres) return res.status(400).json({ error: 'Okres w formacie RRRR-MM, nie późniejszy niż bieżący miesiąc' });
+
+  try {
+    const report = await loadStampUsageReport(req.companyId, okres);
+    const workbook = XLSX.utils.book_new();
+    Object.entries(stampUsageSheets(report)).forEach(([name, rows]) => {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), name);
+    });
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    const filename = `banderole_${okres}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('❌ Error exporting excise stamp report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== FIRMY (companies) =====
+
+// Firmy с числом документов (для удаления) и признаком logo; сам BLOB — только через /logo
+async function loadCompanies() {
+  return dbAllAsync(
+    `SELECT c.id, ${COMPANY_COLUMNS.map((column) => `c.${column}`).join(', ')}, c.logo_typ,
+            (c.logo IS NOT NULL) AS ma_logo,
+            ${COMPANY_SCOPED_TABLES.map((table) => `(SELECT COUNT(*) FROM ${table} t WHERE t.company_id = c.id)`).join(' + ')} AS dokumenty_liczba
+     FROM companies c
+     ORDER BY c.id`
   );
-});
+}
 
+async function loadCompany(id) {
+  return (await loadCompanies()).find((company) => company.id === Number(id)) || null;
+}
 
+// Dane sprzedawcy firmy (PDF faktury, JPK, KSeF); companyId пустой — firma domyślna
+async function getCompanySellerDetails(companyId) {
+  const company = await dbGetAsync(
+    'SELECT * FROM companies WHERE id = COALESCE(?, (SELECT MIN(id) FROM companies))',
+    [companyId || null]
+  );
+  return companySellerDetails(company);
+}
 
+// Logo firmy для nagłówka PDF: { bytes, typ } или стандартный zam_pdf_logo.jpg
+async function getCompanyLogo(companyId) {
+  const company = await dbGetAsync(
+    'SELECT logo, logo_typ FROM companies WHERE id = COALESCE(?, (SELECT MIN(id) FROM companies))',
+    [companyId || null]
+  );
+  if (company && company.logo) {
+    return { bytes: company.logo, typ: company.logo_typ };
+  }
+  const logoPath = path.join(__dirname, 'assets', 'zam_pdf_logo.jpg');
+  return fs.existsSync(logoPath) ? { bytes: fs.readFileSync(logoPath), typ: 'image/jpeg' } : null;
+}
 
+async function embedCompanyLogo(pdfDoc, companyId) {
+  const logo = await getCompanyLogo(companyId);
+  if (!logo) return null;
+  return logo.typ === 'image/png' ? pdfDoc.embedPng(logo.bytes) : pdfDoc.embedJpg(logo.bytes);
+}
 
+// Kod towaru należy do jednej firmy (working_sheets.kod уникален): przyjęcie, zamówienie,
+// rozchód или przesunięcie kodu чужой firmy → { error, kody } для ответа 409, иначе null
+async function foreignCompanyKodError(kods, companyId) {
+  const unique = [...new Set(kods.filter(Boolean))];
+  if (unique.length === 0) return null;
+  const owners = await dbAllAsync(
+    `SELECT w.kod, w.company_id, c.nazwa AS firma
+     FROM working_sheets w
+     LEFT JOIN companies c ON c.id = w.company_id
+     WHERE w.kod IN (${unique.map(() => '?').join(', ')})`,
+    unique
+  );
+  return foreignKodConflict(unique, owners, companyId);
+}
 
+// Названия всех firm — OCR не должен принимать их за dostawcę
+async function loadCompanyBuyerNames() {
+  return companyBuyerNames(await dbAllAsync('SELECT nazwa, skrot, aliasy FROM companies'));
+}
 
-}); // Закрываем блок db.serialize
+const companyLogoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: COMPANY_LOGO_MAX_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (COMPANY_LOGO_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Logo musi być plikiem JPG lub PNG'));
+    }
+  },
+});
 
-// Test endpoints - только для разработки и тестирования
-if (process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test') {
+app.get('/api/companies', async (req, res) => {
   try {
-    const { setupTestEndpoints } = require('./test-endpoints');
-    setupTestEndpoints(app, db);
-    console.log('🧪 Test endpoints enabled for development/test environment');
+    const companies = await loadCompanies();
+    res.json(companies.filter((company) => company.aktywna || req.user.rola === ROLES.ADMIN));
   } catch (error) {
-    console.log('⚠️ Could not load test endpoints:', error.message);
+    console.error('❌ Error loading companies:', error);
+    res.status(500).json({ error: error.message });
   }
-} else {
-  console.log('🚀 Production mode - test endpoints disabled');
-}
+});
 
-// Favicon lives in server/assets
-const faviconSvgPath = path.join(__dirname, 'assets', 'favicon.svg');
-const faviconIcoPath = path.join(__dirname, 'assets', 'favicon.ico');
+app.get('/api/companies/:id/logo', async (req, res) => {
+  try {
+    const company = await dbGetAsync('SELECT logo, logo_typ FROM companies WHERE id = ?', [req.params.id]);
+    if (!company || !company.logo) {
+      return res.status(404).json({ error: 'Firma nie ma logo' });
+    }
+    res.setHeader('Content-Type', company.logo_typ);
+    res.send(company.logo);
+  } catch (error) {
+    console.error('❌ Error loading company logo:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-const sendFaviconSvg = (req, res) => {
-  if (!fs.existsSync(faviconSvgPath)) {
-    return res.status(404).end();
+app.post('/api/companies', auditTrail('company', loadCompanyAuditSnapshot), async (req, res) => {
+  const { value, error, errors } = validateCompanyInput(req.body);
+  if (error) return res.status(422).json({ error, errors });
+
+  try {
+    const { lastID } = await dbRunAsync(
+      `INSERT INTO companies (${COMPANY_COLUMNS.join(', ')}) VALUES (${COMPANY_COLUMNS.map(() => '?').join(', ')})`,
+      COMPANY_COLUMNS.map((column) => value[column])
+    );
+    console.log(`🏢 Company created: ${value.nazwa} (ID: ${lastID})`);
+    res.status(201).json(await loadCompany(lastID));
+  } catch (err) {
+    console.error('❌ Error creating company:', err);
+    res.status(500).json({ error: err.message });
   }
-  res.type('image/svg+xml');
-  res.setHeader('Cache-Control', 'public, max-age=86400');
-  res.sendFile(faviconSvgPath);
-};
+});
 
-const sendFaviconIco = (req, res) => {
-  if (!fs.existsSync(faviconIcoPath)) {
-    return res.status(404).end();
+app.put('/api/companies/:id', auditTrail('company', loadCompanyAuditSnapshot), async (req, res) => {
+  const { value, error, errors } = validateCompanyInput(req.body);
+  if (error) return res.status(422).json({ error, errors });
+
+  try {
+    const existing = await dbGetAsync('SELECT id FROM companies WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Firma nie istnieje' });
+    }
+    if (!value.aktywna) {
+      const others = await dbGetAsync('SELECT COUNT(*) AS liczba FROM companies WHERE aktywna = 1 AND id != ?', [existing.id]);
+      if (others.liczba === 0) {
+        return res.status(409).json({ error: 'Co najmniej jedna firma musi pozostać aktywna' });
+      }
+    }
+    await dbRunAsync(
+      `UPDATE companies SET ${COMPANY_COLUMNS.map((column) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...COMPANY_COLUMNS.map((column) => value[column]), existing.id]
+    );
+    res.json(await loadCompany(existing.id));
+  } catch (err) {
+    console.error('❌ Error updating company:', err);
+    res.status(500).json({ error: err.message });
   }
-  res.type('image/x-icon');
-  res.setHeader('Cache-Control', 'public, max-age=86400');
-  res.sendFile(faviconIcoPath);
-};
+});
 
-app.get('/server/assets/favicon.svg', sendFaviconSvg);
-app.get('/server/assets/favicon.ico', sendFaviconIco);
-app.get('/favicon.svg', sendFaviconSvg);
-app.get('/favicon.ico', sendFaviconIco);
+// Logo: pole "logo" (JPG / PNG do 1 MB); DELETE — powrót do logo domyślnego
+app.put('/api/companies/:id/logo', auditTrail('company', loadCompanyAuditSnapshot), companyLogoUpload.single('logo'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Brak pliku logo' });
+  }
+  try {
+    const { changes } = await dbRunAsync(
+      'UPDATE companies SET logo = ?, logo_typ = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [req.file.buffer, req.file.mimetype, req.params.id]
+    );
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Firma nie istnieje' });
+    }
+    console.log(`🖼 Logo updated for company ${req.params.id} (${req.file.size} bytes)`);
+    res.json(await loadCompany(req.params.id));
+  } catch (err) {
+    console.error('❌ Error saving company logo:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// === KOMIS API routes ===
-// ВАЖНО: регистрируем ДО production SPA catch-all ниже, иначе /api/komis/* перехватывается
-// fallback-роутом app.get('*') и возвращает 404. Таблица komis и syncKomisProduct — ниже по файлу.
+app.delete('/api/companies/:id/logo', auditTrail('company', loadCompanyAuditSnapshot), async (req, res) => {
+  try {
+    const { changes } = await dbRunAsync(
+      'UPDATE companies SET logo = NULL, logo_typ = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [req.params.id]
+    );
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Firma nie istnieje' });
+    }
+    res.json(await loadCompany(req.params.id));
+  } catch (err) {
+    console.error('❌ Error removing company logo:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// GET /api/komis/summary — сводка из таблицы komis
-app.get('/api/komis/summary', (req, res) => {
-  console.log('📦 GET /api/komis/summary - Fetching komis summary by client');
+// Usunąć можно только firmę без dokumentów; иначе — oznaczyć jako nieaktywną
+app.delete('/api/companies/:id', auditTrail('company', loadCompanyAuditSnapshot), async (req, res) => {
+  try {
+    const company = await loadCompany(req.params.id);
+    if (!company) {
+      return res.status(404).json({ error: 'Firma nie istnieje' });
+    }
+    if (company.dokumenty_liczba > 0) {
+      return res.status(409).json({ error: `Firma ${company.nazwa} ma dokumenty lub towary — oznacz ją jako nieaktywną zamiast usuwać` });
+    }
+    const others = await dbGetAsync('SELECT COUNT(*) AS liczba FROM companies WHERE aktywna = 1 AND id != ?', [company.id]);
+    if (others.liczba === 0) {
+      return res.status(409).json({ error: 'Nie można usunąć ostatniej aktywnej firmy' });
+    }
+    await runInTransaction(async () => {
+      await dbRunAsync('UPDATE user_sessions SET company_id = NULL WHERE company_id = ?', [company.id]);
+      await dbRunAsync('DELETE FROM companies WHERE id = ?', [company.id]);
+    });
+    console.log(`🗑️ Company ${company.nazwa} deleted`);
+    res.json({ message: 'Firma usunięta', nazwa: company.nazwa });
+  } catch (err) {
+    console.error('❌ Error deleting company:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  db.all(`
-    SELECT
-      k.client_id,
-      COALESCE(c.nazwa, k.klient) AS klient,
-      k.kod,
-      k.nazwa,
-      k.ilosc
-    FROM komis k
-    LEFT JOIN clients c ON c.id = k.client_id
-    ORDER BY klient, k.kod
-  `, [], (err, rows) => {
-    if (err) {
-      console.error('❌ Error fetching komis summary:', err);
-      return res.status(500).json({ error: err.message });
+// ===== DOSTAWCY (suppliers) =====
+
+// Dostawca по тексту sprzedawca: точное название, затем тот же ключ названия
+// (без регистра, пробелов, точек и диакритики; forma prawna различается);
+// нет — создаётся новая запись kartoteki.
+// null — пустой sprzedawca
+async function findOrCreateSupplier(sprzedawca) {
+  const nazwa = String(sprzedawca || '').replace(/\s+/g, ' ').trim().slice(0, 120);
+  if (!nazwa) return null;
+  const suppliers = await dbAllAsync('SELECT * FROM suppliers ORDER BY id');
+  const exact = suppliers.find((supplier) => supplier.nazwa === nazwa);
+  if (exact) return exact;
+  const { supplier } = createSupplierMatcher(suppliers)({ nazwa }, { partial: false });
+  if (supplier) return supplier;
+  const { lastID } = await dbRunAsync('INSERT INTO suppliers (nazwa) VALUES (?)', [nazwa]);
+  console.log(`🏭 Supplier created from sprzedawca: ${nazwa} (ID: ${lastID})`);
+  return dbGetAsync('SELECT * FROM suppliers WHERE id = ?', [lastID]);
+}
+
+// Dostawca dokumentu (przyjęcie, zamówienie): supplierId из формы или текст sprzedawca.
+// → { supplier } (null — без dostawcy) или { error } — supplierId не существует
+async function resolveDocumentSupplier(supplierId, sprzedawca) {
+  if (supplierId) {
+    const supplier = await dbGetAsync('SELECT * FROM suppliers WHERE id = ?', [supplierId]);
+    return supplier ? { supplier } : { error: 'Dostawca nie istnieje' };
+  }
+  return { supplier: await findOrCreateSupplier(sprzedawca) };
+}
+
+const SUPPLIER_LINKED_TABLES = ['product_receipts', 'working_sheets', 'purchase_orders'];
+
+// Jednorazowa migracja старых текстовых sprzedawca: строки без supplier_id связываются
+// с dostawcą того же написания (ключ supplierNameKey — регистр, пробелы, точки и
+// диакритика; forma prawna различается) или с новой записью kartoteki.
+// Текст sprzedawca в документах не меняется. → число связанных строк
+async function linkLegacySupplierTexts() {
+  let linked = 0;
+  const entries = [];
+  for (const table of SUPPLIER_LINKED_TABLES) {
+    entries.push(...await dbAllAsync(
+      `SELECT sprzedawca, COUNT(*) AS liczba FROM ${table}
+       WHERE supplier_id IS NULL AND TRIM(COALESCE(sprzedawca, '')) != ''
+       GROUP BY sprzedawca`
+    ));
+  }
+
+  for (const group of groupSupplierNames(entries)) {
+    const supplier = await findOrCreateSupplier(group.nazwa);
+    for (const table of SUPPLIER_LINKED_TABLES) {
+      const { changes } = await dbRunAsync(
+        `UPDATE ${table} SET supplier_id = ?
+         WHERE supplier_id IS NULL AND sprzedawca IN (${group.teksty.map(() => '?').join(', ')})`,
+        [supplier.id, ...group.teksty]
+      );
+      linked += changes;
     }
+  }
+  return linked;
+}
 
-    const groupedByClient = {};
-    (rows || []).forEach(row => {
-      const groupKey = row.client_id ? `id:${row.client_id}` : `name:${row.klient}`;
-      if (!groupedByClient[groupKey]) {
-        groupedByClient[groupKey] = {
-          klient: row.klient,
-          client_id: row.client_id || null,
-          products: [],
-          total_ilosc: 0
-        };
+// Правка working_sheets с полем sprzedawca (одна запись или { updates: [...] }):
+// supplier_id из формы → sprzedawca = suppliers.nazwa; текст без supplier_id → dostawca
+// того же написания (или новый). supplier_id пишется после успешного ответа — до COMMIT
+// транзакции stockTransaction, только для изменённых pozycji.
+function linkSheetSuppliers(req, res, next) {
+  const targets = (Array.isArray(req.body && req.body.updates) ? req.body.updates : [req.body])
+    .filter((target) => target && target.id && (target.supplier_id || target.sprzedawca !== undefined));
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    res.json = originalJson;
+    if (res.statusCode >= 400) return originalJson(body);
+    (async () => {
+      for (const target of targets) {
+        const supplier = target.supplier_id
+          ? { id: target.supplier_id }
+          : await findOrCreateSupplier(target.sprzedawca);
+        await dbRunAsync('UPDATE working_sheets SET supplier_id = ? WHERE id = ?', [supplier ? supplier.id : null, target.id]);
       }
-      groupedByClient[groupKey].products.push({ kod: row.kod, nazwa: row.nazwa, ilosc: row.ilosc });
-      groupedByClient[groupKey].total_ilosc += row.ilosc;
+    })()
+      .then(() => originalJson(body))
+      .catch((error) => {
+        console.error('❌ Error linking suppliers:', error);
+        res.status(500);
+        originalJson({ error: `Błąd powiązania z kartoteką dostawców: ${error.message}` });
+      });
+    return res;
+  };
+
+  Promise.all(targets.filter((target) => target.supplier_id).map(async (target) => {
+    const supplier = await dbGetAsync('SELECT nazwa FROM suppliers WHERE id = ?', [target.supplier_id]);
+    if (supplier) target.sprzedawca = supplier.nazwa;
+    return supplier;
+  }))
+    .then((suppliers) => {
+      if (suppliers.some((supplier) => !supplier)) {
+        return res.status(404).json({ error: 'Dostawca nie istnieje' });
+      }
+      next();
+    })
+    .catch((error) => {
+      console.error('❌ Error resolving supplier:', error);
+      res.status(500).json({ error: error.message });
     });
+}
 
-    const result = Object.values(groupedByClient);
-    console.log(`✅ Found ${result.length} clients with komis products`);
-    res.json(result);
-  });
-});
+// Pozycje kartoteki z przyjęcia → dostawca przyjęcia (sprzedawca в них уже записан)
+async function linkWorkingSheetsToSupplier(kods, supplier) {
+  if (!supplier || kods.length === 0) return;
+  await dbRunAsync(
+    `UPDATE working_sheets SET supplier_id = ? WHERE sprzedawca = ? AND kod IN (${kods.map(() => '?').join(', ')})`,
+    [supplier.id, supplier.nazwa, ...kods]
+  );
+}
 
-// GET /api/komis/client/:klient — данные по одному клиенту из таблицы komis (+ цена)
-app.get('/api/komis/client/:klient', (req, res) => {
-  const klient = decodeURIComponent(req.params.klient);
-  const includeZero = req.query.include_zero === '1';
-  console.log(`📦 GET /api/komis/client/${klient}`);
+// Kartoteka + liczniki powiązanych dokumentów
+async function loadSuppliers() {
+  return dbAllAsync(
+    `SELECT s.*,
+       (SELECT COUNT(*) FROM product_receipts r WHERE r.supplier_id = s.id) AS przyjecia_liczba,
+       (SELECT MAX(r.dataPrzyjecia) FROM product_receipts r WHERE r.supplier_id = s.id) AS ostatnia_dostawa,
+       (SELECT COUNT(*) FROM working_sheets w WHERE w.supplier_id = s.id) AS produkty_liczba,
+       (SELECT COUNT(*) FROM purchase_orders o WHERE o.supplier_id = s.id) AS zamowienia_liczba
+     FROM suppliers s
+     ORDER BY s.nazwa COLLATE NOCASE`
+  );
+}
 
-  db.all(`
-    SELECT
-      k.client_id,
-      COALESCE(c.nazwa, k.klient) AS klient_resolved,
-      k.kod,
-      k.nazwa,
-      k.ilosc,
-      ws.cena_sprzedazy
-    FROM komis k
-    LEFT JOIN clients c ON c.id = k.client_id
-    LEFT JOIN working_sheets ws ON k.kod = ws.kod
-    WHERE LOWER(TRIM(COALESCE(c.nazwa, k.klient))) = LOWER(TRIM(?))
-       OR LOWER(TRIM(k.klient)) = LOWER(TRIM(?))
-    ORDER BY k.kod
-  `, [klient, klient], (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
+// ?aktywni=1 — без nieaktywnych; ?q= — фрагмент названия, NIP или VAT UE
+app.get('/api/suppliers', async (req, res) => {
+  const q = String(req.query.q || '').trim().toLowerCase();
+  try {
+    const suppliers = (await loadSuppliers()).filter((supplier) => (
+      (req.query.aktywni !== '1' || supplier.aktywny)
+      && (!q || [supplier.nazwa, supplier.nip, supplier.vat_ue].some((field) => String(field || '').toLowerCase().includes(q)))
+    ));
+    res.json(suppliers);
+  } catch (error) {
+    console.error('❌ Error loading suppliers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const products = (rows || [])
-      .filter(row => includeZero || row.ilosc > 0)
-      .map(row => ({
-      kod: row.kod,
-      nazwa: row.nazwa,
-      ilosc: row.ilosc,
-      cena_sprzedazy: row.cena_sprzedazy || null
+// Analiza zakupów по dostawcom (server/suppliers.js); ?od= / ?do= — по дате przyjęcia
+app.get('/api/suppliers/analysis', async (req, res) => {
+  const od = req.query.od ? normalizeExpiryDate(req.query.od) : null;
+  const doDaty = req.query.do ? normalizeExpiryDate(req.query.do) : null;
+  if ((req.query.od && !od) || (req.query.do && !doDaty)) {
+    return res.status(400).json({ error: 'Niepoprawny zakres dat (RRRR-MM-DD)' });
+  }
+
+  try {
+    const where = ['company_id = ?'];
+    const params = [req.companyId];
+    if (od) {
+      where.push('dataPrzyjecia >= ?');
+      params.push(od);
+    }
+    if (doDaty) {
+      where.push('dataPrzyjecia <= ?');
+      params.push(doDaty);
+    }
+    const receipts = (await dbAllAsync(
+      `SELECT id, supplier_id, sprzedawca, dataPrzyjecia, products, rabat, waluta_faktury, aktualny_kurs, kurs_faktury
+       FROM product_receipts WHERE ${where.join(' AND ')}
+       ORDER BY dataPrzyjecia, id`,
+      params
+    )).map((receipt) => ({
+      ...receipt,
+      kurs_eur_pln: getKursEurPln(receipt.waluta_faktury, receipt.aktualny_kurs, receipt.kurs_faktury),
     }));
-    const total_ilosc = products.reduce((sum, p) => sum + p.ilosc, 0);
-    const resolvedKlient = rows && rows.length > 0 ? rows[0].klient_resolved : klient;
-    const client_id = rows && rows.length > 0 ? rows[0].client_id : null;
+    const suppliers = await dbAllAsync('SELECT id, nazwa, kraj, waluta FROM suppliers');
+    res.json(buildSupplierPurchaseAnalysis(receipts, suppliers));
+  } catch (error) {
+    console.error('❌ Error building supplier purchase analysis:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({ klient: resolvedKlient, client_id, products, total_ilosc });
-  });
+app.get('/api/suppliers/:id', async (req, res) => {
+  try {
+    const supplier = (await loadSuppliers()).find((row) => row.id === Number(req.params.id));
+    if (!supplier) {
+      return res.status(404).json({ error: 'Dostawca nie istnieje' });
+    }
+    res.json(supplier);
+  } catch (error) {
+    console.error('❌ Error loading supplier:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// PUT /api/komis — сохранить ручную корректировку количества
-app.put('/api/komis', (req, res) => {
-  const { klient, kod, nazwa, ilosc } = req.body;
-  console.log(`✏️ PUT /api/komis - Updating komis: klient=${klient}, kod=${kod}, ilosc=${ilosc}`);
+// Ten sam dostawca под другим написанием → 409 (дубли объединяются через /merge)
+async function findDuplicateSupplier(value, excludeId = null) {
+  const others = await dbAllAsync('SELECT * FROM suppliers WHERE id != ?', [excludeId || 0]);
+  const { supplier, dopasowanie } = createSupplierMatcher(others)(value, { partial: false });
+  return supplier ? { supplier, dopasowanie } : null;
+}
 
-  if (!klient || !kod || ilosc === undefined) {
-    return res.status(400).json({ error: 'klient, kod i ilosc są wymagane' });
-  }
+const SUPPLIER_COLUMNS = [
+  'nazwa', 'nip', 'vat_ue', 'kraj', 'waluta', 'termin_platnosci_dni', 'czas_dostawy_dni',
+  'osoba_kontaktowa', 'email', 'telefon', 'adres', 'uwagi', 'aktywny',
+];
 
-  resolveClientIdByKlient(klient, (lookupErr, clientId) => {
-    if (lookupErr) {
-      console.error('❌ Error looking up client for komis:', lookupErr);
-      return res.status(500).json({ error: lookupErr.message });
+app.post('/api/suppliers', auditTrail('supplier', loadSupplierAuditSnapshot), async (req, res) => {
+  const { value, error, errors } = validateSupplierInput(req.body);
+  if (error) return res.status(422).json({ error, errors });
+
+  try {
+    const duplicate = await findDuplicateSupplier(value);
+    if (duplicate) {
+      return res.status(409).json({
+        error: `Dostawca już istnieje w kartotece: ${duplicate.supplier.nazwa}`,
+        supplier_id: duplicate.supplier.id,
+      });
     }
+    const { lastID } = await dbRunAsync(
+      `INSERT INTO suppliers (${SUPPLIER_COLUMNS.join(', ')}) VALUES (${SUPPLIER_COLUMNS.map(() => '?').join(', ')})`,
+      SUPPLIER_COLUMNS.map((column) => value[column])
+    );
+    console.log(`🏭 Supplier created: ${value.nazwa} (ID: ${lastID})`);
+    res.status(201).json((await loadSuppliers()).find((row) => row.id === lastID));
+  } catch (err) {
+    console.error('❌ Error creating supplier:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  db.run(
-    `INSERT INTO komis (client_id, klient, kod, nazwa, ilosc, updated_at)
-     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-     ON CONFLICT(klient, kod) DO UPDATE SET
-       ilosc = excluded.ilosc,
-       nazwa = excluded.nazwa,
-       client_id = COALESCE(excluded.client_id, komis.client_id),
-       updated_at = CURRENT_TIMESTAMP`,
-    [clientId, klient, kod, nazwa || '', ilosc],
-    function(err) {
-      if (err) {
-        console.error('❌ Error updating komis:', err);
-        return res.status(500).json({ error: err.message });
-      }
-      console.log(`✅ Komis updated: klient=${klient}, kod=${kod}, ilosc=${ilosc}`);
-      res.json({ success: true });
+// Переименование переносится в sprzedawca всех powiązanych dokumentów
+app.put('/api/suppliers/:id', auditTrail('supplier', loadSupplierAuditSnapshot), async (req, res) => {
+  const { value, error, errors } = validateSupplierInput(req.body);
+  if (error) return res.status(422).json({ error, errors });
+
+  try {
+    const existing = await dbGetAsync('SELECT id, nazwa FROM suppliers WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Dostawca nie istnieje' });
     }
-  );
-  });
+    const duplicate = await findDuplicateSupplier(value, existing.id);
+    if (duplicate) {
+      return res.status(409).json({
+        error: `Dostawca już istnieje w kartotece: ${duplicate.supplier.nazwa}`,
+        supplier_id: duplicate.supplier.id,
+      });
+    }
+    await runInTransaction(async () => {
+      await dbRunAsync(
+        `UPDATE suppliers SET ${SUPPLIER_COLUMNS.map((column) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...SUPPLIER_COLUMNS.map((column) => value[column]), existing.id]
+      );
+      // Dokumenty сохраняют sprzedawca в написании документа; меняется только kartoteka towarów
+      if (value.nazwa !== existing.nazwa) {
+        await dbRunAsync('UPDATE working_sheets SET sprzedawca = ? WHERE supplier_id = ?', [value.nazwa, existing.id]);
+        console.log(`✅ Cascaded supplier rename ${existing.nazwa} → ${value.nazwa} to working sheets`);
+      }
+    });
+    res.json((await loadSuppliers()).find((row) => row.id === existing.id));
+  } catch (err) {
+    console.error('❌ Error updating supplier:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// DELETE /api/komis — сбросить корректировку (вернуть к расчётному значению)
-app.delete('/api/komis', (req, res) => {
-  const { klient, kod } = req.body;
-  console.log(`🗑️ DELETE /api/komis - Resetting override: klient=${klient}, kod=${kod}`);
+// Scalenie duplikatu: dokumenty dostawcy :id переходят к { target_id }, :id удаляется
+app.post('/api/suppliers/:id/merge', auditTrail('supplier', loadSupplierAuditSnapshot, { action: AUDIT_ACTIONS.DELETE }), async (req, res) => {
+  const targetId = Number(req.body?.target_id);
+  try {
+    const source = await dbGetAsync('SELECT id, nazwa FROM suppliers WHERE id = ?', [req.params.id]);
+    const target = targetId ? await dbGetAsync('SELECT id, nazwa FROM suppliers WHERE id = ?', [targetId]) : null;
+    if (!source || !target) {
+      return res.status(404).json({ error: 'Dostawca nie istnieje' });
+    }
+    if (source.id === target.id) {
+      return res.status(400).json({ error: 'Nie można scalić dostawcy z samym sobą' });
+    }
+    await runInTransaction(async () => {
+      await dbRunAsync('UPDATE working_sheets SET sprzedawca = ? WHERE supplier_id = ?', [target.nazwa, source.id]);
+      for (const table of SUPPLIER_LINKED_TABLES) {
+        await dbRunAsync(`UPDATE ${table} SET supplier_id = ? WHERE supplier_id = ?`, [target.id, source.id]);
+      }
+      await dbRunAsync('DELETE FROM suppliers WHERE id = ?', [source.id]);
+    });
+    console.log(`🔗 Supplier ${source.nazwa} merged into ${target.nazwa}`);
+    res.json((await loadSuppliers()).find((row) => row.id === target.id));
+  } catch (err) {
+    console.error('❌ Error merging suppliers:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  db.run('DELETE FROM komis WHERE klient = ? AND kod = ?', [klient, kod], function(err) {
-    if (err) {
-      console.error('❌ Error deleting komis override:', err);
-      return res.status(500).json({ error: err.message });
+// Usunąć можно только dostawcę без dokumentów; иначе — oznaczyć jako nieaktywny
+app.delete('/api/suppliers/:id', auditTrail('supplier', loadSupplierAuditSnapshot), async (req, res) => {
+  try {
+    const supplier = (await loadSuppliers()).find((row) => row.id === Number(req.params.id));
+    if (!supplier) {
+      return res.status(404).json({ error: 'Dostawca nie istnieje' });
     }
-    console.log(`✅ Komis override reset: klient=${klient}, kod=${kod}`);
-    res.json({ success: true });
-  });
+    if (supplier.przyjecia_liczba > 0 || supplier.produkty_liczba > 0 || supplier.zamowienia_liczba > 0) {
+      return res.status(409).json({ error: `Dostawca ${supplier.nazwa} ma powiązane dokumenty — oznacz go jako nieaktywnego zamiast usuwać` });
+    }
+    await dbRunAsync('DELETE FROM suppliers WHERE id = ?', [supplier.id]);
+    console.log(`🗑️ Supplier ${supplier.nazwa} deleted`);
+    res.json({ message: 'Dostawca usunięty', nazwa: supplier.nazwa });
+  } catch (err) {
+    console.error('❌ Error deleting supplier:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Serve static files from parent directory (frontend)
-// В dev режиме фронт работает на Vite (порт 3000), поэтому сервер на 3001 не должен обслуживать статику
-// В production режиме обслуживаем статические файлы из dist
-// ВАЖНО: В dev режиме (когда фронт на Vite) НЕ обслуживаем статику, чтобы не перехватывать API запросы
-const isProduction = process.env.NODE_ENV === 'production';
-console.log(`🔧 Server mode: ${isProduction ? 'PRODUCTION' : 'DEVELOPMENT'}`);
+// ===== ZAMÓWIENIA ZAKUPU (purchase_orders) =====
 
-if (isProduction) {
-  // Явно исключаем /api из статических файлов
-  app.use((req, res, next) => {
-    // КРИТИЧЕСКИ ВАЖНО: Пропускаем все API запросы - они должны обрабатываться роутами выше
-    if (req.path.startsWith('/api/')) {
-      console.log(`🔵 API request bypassing static middleware: ${req.method} ${req.path}`);
-      return next();
-    }
-    // Для остальных запросов обслуживаем статические файлы
-    console.log(`📁 Static file request: ${req.method} ${req.path}`);
-    express.static(path.join(__dirname, '..'))(req, res, next);
+// Zamówienie с позициями и realizacją по powiązanym przyjęciom (server/purchaseOrders.js);
+// null — zamówienie не существует
+async function loadPurchaseOrder(id) {
+  const order = await dbGetAsync('SELECT * FROM purchase_orders WHERE id = ?', [id]);
+  if (!order) return null;
+  const items = await dbAllAsync(
+    'SELECT id, kod, nazwa, kod_kreskowy, ilosc, cena FROM purchase_order_items WHERE purchase_order_id = ? ORDER BY id',
+    [id]
+  );
+  const receipts = await dbAllAsync(
+    `SELECT id, dataPrzyjecia, wartosc, waluta_faktury, products
+     FROM product_receipts WHERE purchase_order_id = ? ORDER BY dataPrzyjecia, id`,
+    [id]
+  );
+  const progress = buildPurchaseOrderProgress(order, items, receipts);
+  progress.przyjecia = receipts.map(({ products, ...receipt }) => receipt);
+  return progress;
+}
+
+// Все zamówienia firmy одним проходом: позиции и przyjęcia группируются по purchase_order_id
+async function loadPurchaseOrders(companyId) {
+  const orders = await dbAllAsync(
+    'SELECT * FROM purchase_orders WHERE company_id = ? ORDER BY data_zamowienia DESC, id DESC',
+    [companyId]
+  );
+  const items = await dbAllAsync(
+    'SELECT id, purchase_order_id, kod, nazwa, kod_kreskowy, ilosc, cena FROM purchase_order_items ORDER BY id'
+  );
+  const receipts = await dbAllAsync(
+    'SELECT id, purchase_order_id, products FROM product_receipts WHERE purchase_order_id IS NOT NULL'
+  );
+  const groupBy = (rows) => rows.reduce((map, row) => {
+    map.set(row.purchase_order_id, [...(map.get(row.purchase_order_id) || []), row]);
+    return map;
+  }, new Map());
+  const itemsByOrder = groupBy(items);
+  const receiptsByOrder = groupBy(receipts);
+  return orders.map((order) => {
+    const progress = buildPurchaseOrderProgress(
+      order,
+      (itemsByOrder.get(order.id) || []).map(({ purchase_order_id, ...item }) => item),
+      receiptsByOrder.get(order.id) || []
+    );
+    progress.przyjecia_liczba = (receiptsByOrder.get(order.id) || []).length;
+    return progress;
   });
+}
 
-// ВАЖНО: SPA Fallback маршрут ДОЛЖЕН БЫТЬ ПОСЛЕДНИМ!
-  // Но он не должен перехватывать API запросы
-app.get('*', (req, res) => {
-    // Если это API запрос, возвращаем 404
-    if (req.path.startsWith('/api/')) {
-      return res.status(404).json({ error: 'API endpoint not found' });
-    }
-    const indexPath = path.join(__dirname, '../index.html');
-  console.log('Serving SPA fallback:', indexPath);
-  res.sendFile(indexPath);
-});
-} else {
-  // В dev режиме только API, статические файлы не обслуживаем (они на Vite на порту 3000)
-  console.log('🔧 Development mode: static files served by Vite on port 3000');
-  console.log('🔧 API requests will be handled by routes above, no static middleware');
-  // НЕ добавляем никаких middleware для статических файлов в dev режиме
-  // API роуты обрабатываются выше, а для несуществующих API endpoints Express вернет 404 автоматически
+async function insertPurchaseOrderItems(orderId, items) {
+  for (const item of items) {
+    await dbRunAsync(
+      'INSERT INTO purchase_order_items (purchase_order_id, kod, nazwa, kod_kreskowy, ilosc, cena) VALUES (?, ?, ?, ?, ?, ?)',
+      [orderId, normalizeProductKod(item.kod), item.nazwa, item.kod_kreskowy, item.ilosc, item.cena]
+    );
+  }
 }
 
-// Migration endpoint (only in development)
-if (process.env.NODE_ENV !== 'production') {
-  app.post('/api/migrate/add-working-sheets-history', (req, res) => {
-    console.log('🔄 Starting migration: Add working_sheets_history table...');
-    
-    const createHistoryTable = `
-      CREATE TABLE IF NOT EXISTS working_sheets_history (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        kod TEXT NOT NULL,
-        nazwa TEXT,
-        ilosc INTEGER,
-        kod_kreskowy TEXT,
-        typ TEXT,
-        sprzedawca TEXT,
-        cena REAL,
-        data_waznosci TEXT,
-        objetosc REAL,
-        koszt_dostawy_per_unit REAL DEFAULT 0,
-        podatek_akcyzowy REAL DEFAULT 0,
-        koszt_wlasny REAL DEFAULT 0,
-        action TEXT NOT NULL,
-        receipt_id INTEGER,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (receipt_id) REFERENCES product_receipts (id)
-      );
-    `;
-    
-    db.run(createHistoryTable, (err) => {
-      if (err) {
-        console.error('❌ Error creating working_sheets_history table:', err.message);
-        return res.status(500).json({ error: err.message });
+// ?status= — один из PURCHASE_ORDER_STATUS; 'oczekujace' — otwarte и częściowo przyjęte
+app.get('/api/purchase-orders', async (req, res) => {
+  const status = String(req.query.status || '').trim();
+  const sprzedawca = String(req.query.sprzedawca || '').trim().toLowerCase();
+  const supplierId = Number(req.query.supplier_id) || null;
+  try {
+    const orders = (await loadPurchaseOrders(req.companyId)).filter((order) => {
+      if (sprzedawca && !order.sprzedawca.toLowerCase().includes(sprzedawca)) return false;
+      if (supplierId && order.supplier_id !== supplierId) return false;
+      if (status === 'oczekujace') {
+        return order.status === PURCHASE_ORDER_STATUS.OTWARTE || order.status === PURCHASE_ORDER_STATUS.CZESCIOWO;
       }
-      
-      // Создаем индексы
-      const createIndexes = `
-        CREATE INDEX IF NOT EXISTS idx_working_sheets_history_kod ON working_sheets_history(kod);
-        CREATE INDEX IF NOT EXISTS idx_working_sheets_history_receipt_id ON working_sheets_history(receipt_id);
-        CREATE INDEX IF NOT EXISTS idx_working_sheets_history_action ON working_sheets_history(action);
-      `;
-      
-      db.run(createIndexes, (err) => {
-        if (err) {
-          console.error('❌ Error creating indexes:', err.message);
-          return res.status(500).json({ error: err.message });
-        }
-        
-        console.log('✅ Migration completed successfully!');
-        res.json({ message: 'Migration completed successfully' });
-      });
+      return !status || order.status === status;
     });
-  });
-}
+    res.json(orders);
+  } catch (error) {
+    console.error('❌ Error loading purchase orders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// WMS Integration API
-const WMS_BASE_URLS = [
-  'http://wms.veis.pl',           // Основной адрес
-  'http://wms.veis.pl:8080',      // Альтернативный порт
-  'http://wms.veis.pl:5000',      // Другой порт
-  'http://api.wms.veis.pl',       // API поддомен
-  'http://dataconnect.wms.veis.pl' // DataConnect поддомен
-];
-const WMS_API_URL = WMS_BASE_URLS[0]; // Используем первый по умолчанию
-const WMS_LOGIN = 'enoterra';
-const WMS_PASSWORD = 'enoterra';
-const WMS_COMPANY_ID = 'enoterra';
-
-// Возможные пути к API (попробуем по очереди)
-const POSSIBLE_API_PATHS = [
-  '/authorize',                           // Базовый путь из документации
-  '/api/authorize',                       // С префиксом /api
-  '/api/auth',                            // Сокращённое
-  '/api/login',                           // Альтернативное название
-  '/dataconnect/authorize',               // DataConnect модуль
-  '/dataconnect/api/authorize',           // DataConnect с /api
-  '/dc/authorize',                        // Сокращённое название
-  '/integration/authorize',               // Интеграция
-  '/integration/api/authorize',           // Интеграция с /api
-  '/external/authorize',                  // Внешний API
-  '/rest/authorize',                      // REST API
-  '/rest/api/authorize',                  // REST с /api
-  '/webapi/authorize',                    // Web API
-  '/services/authorize',                  // Сервисы
-  '/ws/authorize',                        // Web Service
-  '/api/v6/authorize',                    // С версией
-  '/api/v6.0.0/authorize',                // Полная версия
-  '/v6/authorize',                        // Только версия
-  '/company/enoterra/authorize',          // С companyId в пути
-  '/enoterra/authorize',                  // Только companyId
-  '/ExpertWMS/api/authorize',             // С названием продукта
-  '/expertwms/api/authorize',             // Lowercase
-  '/DC.Expert/api/authorize',             // Полное название
-  '/DataConnect/authorize',               // С большой буквы
-  '/Authorize',                           // С большой буквы
-  '/API/Authorize'                        // Всё с большой буквы
-];
+// Odchylenia cen: cena z zamówienia vs cena z przyjęcia (po rabacie, в walucie zamówienia).
+// ?purchase_order_id=, ?sprzedawca=, ?od= / ?do= — по дате przyjęcia
+app.get('/api/purchase-orders/price-variance', async (req, res) => {
+  const purchaseOrderId = req.query.purchase_order_id ? Number(req.query.purchase_order_id) : null;
+  const sprzedawca = String(req.query.sprzedawca || '').trim().toLowerCase();
+  const od = req.query.od ? normalizeExpiryDate(req.query.od) : null;
+  const doDaty = req.query.do ? normalizeExpiryDate(req.query.do) : null;
+  if ((req.query.od && !od) || (req.query.do && !doDaty)) {
+    return res.status(400).json({ error: 'Niepoprawny zakres dat (RRRR-MM-DD)' });
+  }
 
-// Авторизация в WMS (пробуем разные пути)
-async function authenticateWMS() {
-  const FormData = require('form-data');
-  const fetch = require('node-fetch');
-  
-  // Пробуем разные комбинации параметров
-  const paramVariants = [
-    { username: 'Username', password: 'Password' },       // Из документации
-    { username: 'username', password: 'password' },       // Lowercase
-    { username: 'login', password: 'password' },          // Альтернативное название
-    { username: 'user', password: 'pass' }                // Сокращённое
-  ];
+  try {
+    const orders = (await loadPurchaseOrders(req.companyId)).filter((order) => (
+      (!purchaseOrderId || order.id === purchaseOrderId)
+      && (!sprzedawca || order.sprzedawca.toLowerCase().includes(sprzedawca))
+    ));
+    const where = ['purchase_order_id IS NOT NULL'];
+    const params = [];
+    if (od) {
+      where.push('dataPrzyjecia >= ?');
+      params.push(od);
+    }
+    if (doDaty) {
+      where.push('dataPrzyjecia <= ?');
+      params.push(doDaty);
+    }
+    const receipts = (await dbAllAsync(
+      `SELECT id, purchase_order_id, dataPrzyjecia, products, rabat, waluta_faktury, aktualny_kurs, kurs_faktury
+       FROM product_receipts WHERE ${where.join(' AND ')} ORDER BY dataPrzyjecia, id`,
+      params
+    )).map((receipt) => ({
+      ...receipt,
+      kurs_eur_pln: getKursEurPln(receipt.waluta_faktury, receipt.aktualny_kurs, receipt.kurs_faktury),
+    }));
+    res.json(buildPriceVarianceReport(orders, receipts));
+  } catch (error) {
+    console.error('❌ Error building price variance report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  // Пробуем разные пути к API
-  for (const apiPath of POSSIBLE_API_PATHS) {
-    for (const params of paramVariants) {
-      try {
-        const formData = new FormData();
-        formData.append(params.username, WMS_LOGIN);
-        formData.append(params.password, WMS_PASSWORD);
+app.get('/api/purchase-orders/:id', async (req, res) => {
+  try {
+    const order = await loadPurchaseOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Zamówienie zakupu nie istnieje' });
+    }
+    res.json(order);
+  } catch (error) {
+    console.error('❌ Error loading purchase order:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        const url = `${WMS_API_URL}${apiPath}`;
-        console.log(`🔐 Попытка: ${url} с параметрами ${params.username}/${params.password}`);
-        
-        const response = await fetch(url, {
-          method: 'POST',
-          body: formData
-        });
+// Szkic przyjęcia z pozostałych ilości — для AddProductModal
+app.get('/api/purchase-orders/:id/receipt-draft', async (req, res) => {
+  try {
+    const order = await loadPurchaseOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Zamówienie zakupu nie istnieje' });
+    }
+    if (order.zamkniete) {
+      return res.status(409).json({ error: `Zamówienie ${order.numer} jest zamknięte` });
+    }
+    const sheets = await dbAllAsync(
+      `SELECT kod, kod_kreskowy, typ, objetosc FROM working_sheets
+       WHERE kod IN (${order.pozycje.map(() => '?').join(', ')})`,
+      order.pozycje.map((item) => item.kod)
+    );
+    const draft = buildPurchaseOrderReceiptDraft(order, sheets);
+    if (draft.products.length === 0) {
+      return res.status(409).json({ error: `Zamówienie ${order.numer} zostało już w całości przyjęte` });
+    }
+    res.json(draft);
+  } catch (error) {
+    console.error('❌ Error building purchase order receipt draft:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        console.log(`📡 Ответ (${apiPath}):`, response.status);
+app.post('/api/purchase-orders', auditTrail('purchase_order', loadPurchaseOrderAuditSnapshot), async (req, res) => {
+  const { value, error } = validatePurchaseOrderInput(req.body);
+  if (error) return res.status(400).json({ error });
 
-        const responseText = await response.text();
-        
-        // Если 404, пробуем следующий путь
-        if (response.status === 404) {
-          continue;
-        }
+  try {
+    const created = await runInTransaction(async () => {
+      const { supplier, error: supplierError } = await resolveDocumentSupplier(value.supplier_id, value.sprzedawca);
+      if (supplierError) return { error: supplierError };
+      const numbers = await dbAllAsync("SELECT numer FROM purchase_orders WHERE numer LIKE 'ZZ%'");
+      const maxNumber = numbers.reduce((max, row) => {
+        const match = String(row.numer).match(/^ZZ(\d+)/);
+        return match ? Math.max(max, parseInt(match[1], 10)) : max;
+      }, 0);
+      const [year, month, day] = value.data_zamowienia.split('-');
+      const numer = `ZZ${(maxNumber + 1).toString().padStart(3, '0')}_${day}_${month}_${year}`;
+
+      const { lastID } = await dbRunAsync(
+        `INSERT INTO purchase_orders (numer, sprzedawca, supplier_id, waluta, data_zamowienia, data_dostawy, uwagi, utworzyl, company_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [numer, supplier.nazwa, supplier.id, value.waluta, value.data_zamowienia, value.data_dostawy, value.uwagi, req.user?.login || null, req.companyId]
+      );
+      await insertPurchaseOrderItems(lastID, value.items);
+      return { orderId: lastID };
+    });
+    if (created.error) {
+      return res.status(404).json({ error: created.error });
+    }
 
-        if (!response.ok) {
-          console.log(`❌ ${response.status} на ${apiPath}`);
-          continue;
-        }
+    const order = await loadPurchaseOrder(created.orderId);
+    console.log(`🧾 Purchase order ${order.numer} created: ${order.sprzedawca}, ${order.pozycje.length} items`);
+    res.status(201).json(order);
+  } catch (err) {
+    console.error('❌ Error creating purchase order:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-        console.log('📄 Тело ответа:', responseText.substring(0, 200));
+// Правка zamówienia: позиции заменяются целиком; przyjęte ilości пересчитываются по kod
+app.put('/api/purchase-orders/:id', auditTrail('purchase_order', loadPurchaseOrderAuditSnapshot), async (req, res) => {
+  const { value, error } = validatePurchaseOrderInput(req.body);
+  if (error) return res.status(400).json({ error });
 
-        const data = JSON.parse(responseText);
-        console.log('✅ Данные авторизации:', data);
-        
-        const token = data.token || data.access_token || data.Token || data.AccessToken || null;
-        
-        if (token) {
-          console.log(`✅ Успешная авторизация: ${url} с ${params.username}/${params.password}`);
-          return token;
-        }
-      } catch (error) {
-        // Продолжаем пробовать другие варианты
-      }
+  try {
+    const existing = await dbGetAsync('SELECT id, numer, zamkniete FROM purchase_orders WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Zamówienie zakupu nie istnieje' });
+    }
+    if (existing.zamkniete) {
+      return res.status(409).json({ error: `Zamówienie ${existing.numer} jest zamknięte` });
+    }
+
+    const supplierError = await runInTransaction(async () => {
+      const { supplier, error: resolveError } = await resolveDocumentSupplier(value.supplier_id, value.sprzedawca);
+      if (resolveError) return resolveError;
+      await dbRunAsync(
+        `UPDATE purchase_orders
+         SET sprzedawca = ?, supplier_id = ?, waluta = ?, data_zamowienia = ?, data_dostawy = ?, uwagi = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [supplier.nazwa, supplier.id, value.waluta, value.data_zamowienia, value.data_dostawy, value.uwagi, existing.id]
+      );
+      await dbRunAsync('DELETE FROM purchase_order_items WHERE purchase_order_id = ?', [existing.id]);
+      await insertPurchaseOrderItems(existing.id, value.items);
+      return null;
+    });
+    if (supplierError) {
+      return res.status(404).json({ error: supplierError });
     }
+
+    console.log(`✅ Purchase order ${existing.numer} updated`);
+    res.json(await loadPurchaseOrder(existing.id));
+  } catch (err) {
+    console.error('❌ Error updating purchase order:', err);
+    res.status(500).json({ error: err.message });
   }
-  
-  throw new Error('Не удалось авторизоваться ни по одному из путей API');
-}
+});
 
-// Отправка заявки в WMS
-app.post('/api/wms/send-shipment', async (req, res) => {
+// Zamknięcie: reszta nie będzie dostarczona. { zamkniete: false } — ponowne otwarcie
+app.put('/api/purchase-orders/:id/close', auditTrail('purchase_order', loadPurchaseOrderAuditSnapshot), async (req, res) => {
+  const zamkniete = req.body?.zamkniete === false ? 0 : 1;
   try {
-    const { orderId } = req.body;
-    
-    console.log('📦 Запрос на отправку заявки в WMS, orderId:', orderId);
+    const { changes } = await dbRunAsync(
+      'UPDATE purchase_orders SET zamkniete = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [zamkniete, req.params.id]
+    );
+    if (!changes) {
+      return res.status(404).json({ error: 'Zamówienie zakupu nie istnieje' });
+    }
+    const order = await loadPurchaseOrder(req.params.id);
+    console.log(`🔒 Purchase order ${order.numer} ${zamkniete ? 'closed' : 'reopened'} (${order.status})`);
+    res.json(order);
+  } catch (err) {
+    console.error('❌ Error closing purchase order:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Получаем данные заявки из БД
-    db.get('SELECT * FROM orders WHERE id = ?', [orderId], async (err, order) => {
-      if (err) {
-        console.error('❌ Ошибка БД:', err);
-        return res.status(500).json({ error: 'Ошибка получения заявки из БД' });
-      }
+// Usunąć можно только zamówienie без przyjęć; с przyjęciami — zamknąć
+app.delete('/api/purchase-orders/:id', auditTrail('purchase_order', loadPurchaseOrderAuditSnapshot), async (req, res) => {
+  try {
+    const order = await dbGetAsync('SELECT id, numer FROM purchase_orders WHERE id = ?', [req.params.id]);
+    if (!order) {
+      return res.status(404).json({ error: 'Zamówienie zakupu nie istnieje' });
+    }
+    const receipt = await dbGetAsync('SELECT id FROM product_receipts WHERE purchase_order_id = ? LIMIT 1', [order.id]);
+    if (receipt) {
+      return res.status(409).json({ error: `Do zamówienia ${order.numer} są już przyjęcia — zamknij je zamiast usuwać` });
+    }
+    await runInTransaction(async () => {
+      await dbRunAsync('DELETE FROM purchase_order_items WHERE purchase_order_id = ?', [order.id]);
+      await dbRunAsync('DELETE FROM purchase_orders WHERE id = ?', [order.id]);
+    });
+    console.log(`🗑️ Purchase order ${order.numer} deleted`);
+    res.json({ message: 'Zamówienie zakupu usunięte', numer: order.numer });
+  } catch (err) {
+    console.error('❌ Error deleting purchase order:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      if (!order) {
-        return res.status(404).json({ error: 'Заявка не найдена' });
-      }
+// ===== UZUPEŁNIANIE ZAPASÓW (replenishment) =====
 
-      try {
-        // Шаг 1: Авторизация
-        const token = await authenticateWMS();
-        if (!token) {
-          throw new Error('Не удалось получить токен авторизации');
-        }
-
-        // Шаг 2: Подготовка данных
-        const shipmentData = {
-          type: 'PWM-K',
-          state: 1,
-          status: 0,
-          activeDate: order.data_utworzenia || new Date().toISOString(),
-          items: []
-        };
+// Średnie zużycie — как в Stanie magazynu: продажи текущего периода (с
+// working_sheets.created_at) до сегодня, при нулевом остатке — до последней продажи;
+// без продаж в периоде — zamrozone_srednie_zuzycie прошлого периода
+function replenishmentAverageConsumption(sheet, rows, now) {
+  const startDate = sheet.created_at ? new Date(sheet.created_at) : null;
+  let lastSaleDate = null;
+  for (const row of rows) {
+    const d = getOrderProductSaleDate(row);
+    if (!d || (startDate && d < startDate)) continue;
+    if (!lastSaleDate || d > lastSaleDate) lastSaleDate = d;
+  }
+  if (lastSaleDate) {
+    return computeAverageConsumptionFromRows(rows, startDate, sheet.ilosc > 0 ? now : lastSaleDate);
+  }
+  return sheet.zamrozone_srednie_zuzycie || 0;
+}
 
-        console.log('📤 Отправка заявки в WMS:', shipmentData);
-
-        // Шаг 3: Отправка заявки
-        const fetch = require('node-fetch');
-        const response = await fetch(`${WMS_API_URL}/company/${WMS_COMPANY_ID}/shipments`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(shipmentData)
-        });
+// Данные для server/replenishment.js: kartoteka produktów + sprzedaż, rezerwacje,
+// komis, pozostałe ilości otwartych zamówień и ostatnie ceny zakupu
+async function loadReplenishmentProducts(companyId, supplierId = null) {
+  const sheets = await dbAllAsync(
+    `SELECT kod, nazwa, kod_kreskowy, ilosc, supplier_id, created_at, zamrozone_srednie_zuzycie,
+       czas_dostawy_dni, zapas_bezpieczenstwa
+     FROM working_sheets
+     WHERE COALESCE(archived, 0) = 0 AND company_id = ? ${supplierId ? 'AND supplier_id = ?' : ''}`,
+    supplierId ? [companyId, supplierId] : [companyId]
+  );
+  const suppliersById = new Map(
+    (await dbAllAsync('SELECT id, nazwa, waluta, czas_dostawy_dni FROM suppliers')).map((supplier) => [supplier.id, supplier])
+  );
+  const salesByKod = new Map();
+  (await dbAllAsync(
+    `SELECT op.kod, op.ilosc, op.created_at, o.numer_zamowienia, o.data_utworzenia
+     FROM order_products op
+     JOIN orders o ON o.id = op.orderId`
+  )).forEach((row) => salesByKod.set(row.kod, [...(salesByKod.get(row.kod) || []), row]));
+  const reservedByKod = new Map((await dbAllAsync(
+    `SELECT rp.product_kod AS kod, SUM(rp.ilosc - COALESCE(rp.ilosc_wydane, 0)) AS ilosc
+     FROM reservation_products rp
+     INNER JOIN reservations r ON rp.reservation_id = r.id
+     WHERE r.status = 'aktywna'
+     GROUP BY rp.product_kod`
+  )).map((row) => [row.kod, Math.max(row.ilosc || 0, 0)]));
+  const komisByKod = new Map((await dbAllAsync(
+    'SELECT kod, SUM(ilosc) AS ilosc FROM komis WHERE ilosc > 0 GROUP BY kod'
+  )).map((row) => [row.kod, row.ilosc || 0]));
+  const orderedByKod = new Map();
+  (await loadPurchaseOrders(companyId))
+    .filter((order) => order.status === PURCHASE_ORDER_STATUS.OTWARTE || order.status === PURCHASE_ORDER_STATUS.CZESCIOWO)
+    .forEach((order) => order.pozycje.forEach((item) => {
+      orderedByKod.set(item.kod, (orderedByKod.get(item.kod) || 0) + item.ilosc_pozostala);
+    }));
+  const lastPrices = collectLastPurchasePrices((await dbAllAsync(
+    `SELECT id, dataPrzyjecia, products, rabat, waluta_faktury, aktualny_kurs, kurs_faktury
+     FROM product_receipts ORDER BY dataPrzyjecia, id`
+  )).map((receipt) => ({
+    ...receipt,
+    kurs_eur_pln: getKursEurPln(receipt.waluta_faktury, receipt.aktualny_kurs, receipt.kurs_faktury),
+  })));
+
+  const now = new Date();
+  return sheets.map((sheet) => ({
+    kod: sheet.kod,
+    nazwa: sheet.nazwa,
+    kod_kreskowy: sheet.kod_kreskowy,
+    ilosc: sheet.ilosc || 0,
+    zarezerwowane: reservedByKod.get(sheet.kod) || 0,
+    komis: komisByKod.get(sheet.kod) || 0,
+    zamowione: orderedByKod.get(sheet.kod) || 0,
+    srednie_zuzycie: replenishmentAverageConsumption(sheet, salesByKod.get(sheet.kod) || [], now),
+    czas_dostawy_dni: sheet.czas_dostawy_dni,
+    zapas_bezpieczenstwa: sheet.zapas_bezpieczenstwa,
+    supplier: suppliersById.get(sheet.supplier_id) || null,
+    ostatnia_cena: lastPrices.get(sheet.kod) || null,
+  }));
+}
 
-        const responseText = await response.text();
-        console.log('📡 Ответ WMS shipments:', response.status, responseText);
+// Query → { okresPokryciaDni, supplierId, wszystkie } или { error }
+function parseReplenishmentQuery(query) {
+  const okresPokryciaDni = parseOkresPokrycia(query.okres);
+  if (okresPokryciaDni === null) {
+    return { error: 'Okres pokrycia musi być liczbą dni od 1 do 365' };
+  }
+  const supplierId = query.supplier_id ? Number(query.supplier_id) : null;
+  if (supplierId !== null && (!Number.isInteger(supplierId) || supplierId <= 0)) {
+    return { error: 'Niepoprawny identyfikator dostawcy' };
+  }
+  return { okresPokryciaDni, supplierId, wszystkie: query.wszystkie === '1' };
+}
 
-        if (!response.ok) {
-          throw new Error(`WMS вернул ошибку: ${response.status} - ${responseText}`);
-        }
+async function loadReplenishmentSuggestions(companyId, { okresPokryciaDni, supplierId, wszystkie }) {
+  const products = await loadReplenishmentProducts(companyId, supplierId);
+  return buildReplenishmentSuggestions(products, { okresPokryciaDni, today: getTodayDateString(), wszystkie });
+}
 
-        const result = JSON.parse(responseText);
-        console.log('✅ Заявка успешно отправлена в WMS:', result);
+// Sugerowane zamówienia по dostawcom. ?okres= — дни pokrycia после dostawy (по умолчанию 30),
+// ?supplier_id=, ?wszystkie=1 — также produkty, которые пока не нужно zamawiać
+app.get('/api/replenishment/suggestions', async (req, res) => {
+  const params = parseReplenishmentQuery(req.query);
+  if (params.error) return res.status(400).json({ error: params.error });
 
-        res.json({ 
-          success: true, 
-          wmsShipmentId: result.id,
-          message: 'Заявка успешно отправлена в WMS'
-        });
-      } catch (error) {
-        console.error('❌ Ошибка отправки в WMS:', error);
-        res.status(500).json({ 
-          error: error.message || 'Ошибка отправки в WMS' 
-        });
-      }
-    });
+  try {
+    res.json(await loadReplenishmentSuggestions(req.companyId, params));
   } catch (error) {
-    console.error('❌ Ошибка обработки запроса:', error);
+    console.error('❌ Error building replenishment suggestions:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// OCR — rozpoznawanie faktury zakupu z PDF
-app.post('/api/ocr/purchase-invoice', ocrUpload.single('pdf'), async (req, res) => {
+// Те же предложения листом XLSX (только pozycje do zamówienia)
+app.get('/api/replenishment/suggestions/xlsx', async (req, res) => {
+  const params = parseReplenishmentQuery(req.query);
+  if (params.error) return res.status(400).json({ error: params.error });
+
   try {
-    if (!req.file || !req.file.buffer) {
-      return res.status(400).json({ error: 'Brak pliku PDF' });
-    }
+    const suggestions = await loadReplenishmentSuggestions(req.companyId, { ...params, wszystkie: false });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(replenishmentSheetRows(suggestions)), 'Zamówienia');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    const filename = `sugerowane_zamowienia_${suggestions.parametry.data}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('❌ Error exporting replenishment suggestions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log('📄 OCR purchase invoice:', req.file.originalname, req.file.size, 'bytes');
-    const result = await parsePurchaseInvoicePdf(req.file.buffer);
+// Czas dostawy и zapas bezpieczeństwa produktu; null — wartość domyślna (dostawcy / 14 dni, 0)
+app.put('/api/replenishment/settings/:kod', auditTrail('working_sheet', loadWorkingSheetAuditSnapshot, {
+  resolveIds: async (req) => {
+    const sheet = await dbGetAsync(
+      'SELECT id FROM working_sheets WHERE kod = ? AND company_id = ?',
+      [normalizeProductKod(req.params.kod), req.companyId]
+    );
+    return sheet ? sheet.id : null;
+  },
+}), async (req, res) => {
+  const { value, error } = validateReplenishmentSettings(req.body);
+  if (error) return res.status(400).json({ error });
 
-    if (!result.success) {
-      return res.status(422).json(result);
+  try {
+    const kod = normalizeProductKod(req.params.kod);
+    const sheet = await dbGetAsync('SELECT id FROM working_sheets WHERE kod = ? AND company_id = ?', [kod, req.companyId]);
+    if (!sheet) {
+      return res.status(404).json({ error: `Produkt ${kod} nie istnieje` });
     }
-
-    res.json(result);
-  } catch (error) {
-    console.error('❌ OCR purchase invoice error:', error);
-    res.status(500).json({
-      error: error.message || 'Błąd rozpoznawania faktury zakupu',
-    });
+    const columns = Object.keys(value);
+    await dbRunAsync(
+      `UPDATE working_sheets SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map((column) => value[column]), sheet.id]
+    );
+    console.log(`📦 Replenishment settings for ${kod}:`, value);
+    res.json(await dbGetAsync('SELECT kod, czas_dostawy_dni, zapas_bezpieczenstwa FROM working_sheets WHERE id = ?', [sheet.id]));
+  } catch (err) {
+    console.error('❌ Error saving replenishment settings:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// ===== NEW CONSUME FROM PRODUCTS (FIFO) =====
+// ===== NEW CONSUME FROM PRODUCTS (FIFO / FEFO) =====
+// Типы товара (working_sheets.typ), которые списываются с партии с ближайшим сроком (FEFO)
+const FEFO_TYPES = parseFefoTypes(process.env.FEFO_TYPY);
+
 // status: 'samples' — списываем только из партий семплов
 //         null/'main' — списываем только из обычных партий (status IS NULL)
-function consumeFromProducts(productKod, quantity, status = null) {
+// movements — req.stockMovements: каждое списание с партии попадает в журнал
+// Порядок партий: FEFO для typ из FEFO_TYPES, иначе FIFO по дате прихода; сначала
+// партии magazynu głównego, другие lokalizacje — только при нехватке (preferLocation)
+function consumeFromProducts(productKod, quantity, status = null, movements = null) {
   return new Promise((resolve, reject) => {
     const isSamples = status === 'samples';
-    const sql = isSamples
-      ? `SELECT * FROM products WHERE kod = ? AND ilosc_aktualna > 0 AND status = 'samples' ORDER BY created_at ASC, id ASC`
-      : `SELECT * FROM products WHERE kod = ? AND ilosc_aktualna > 0 AND (status IS NULL OR status != 'samples') ORDER BY created_at ASC, id ASC`;
-    db.all(
-      sql,
-      [productKod],
-      (err, batches) => {
-        if (err) return reject(err);
-        if (batches.length === 0) return resolve({ consumed: 0, remaining: quantity, consumptions: [] });
+    db.get('SELECT typ FROM working_sheets WHERE kod = ?', [productKod], (typErr, sheet) => {
+      if (typErr) return reject(typErr);
+      const compareBatches = preferLocation(compareBatchesForConsumption(consumptionModeForTyp(sheet && sheet.typ, FEFO_TYPES)));
+      const sql = isSamples
+        ? `SELECT * FROM products WHERE kod = ? AND ilosc_aktualna > 0 AND status = 'samples'`
+        : `SELECT * FROM products WHERE kod = ? AND ilosc_aktualna > 0 AND (status IS NULL OR status != 'samples')`;
+      db.all(
+        sql,
+        [productKod],
+        (err, rows) => {
+          if (err) return reject(err);
+          if (rows.length === 0) return resolve({ consumed: 0, remaining: quantity, consumptions: [] });
 
-        let remaining = quantity;
-        const consumptions = [];
+          const batches = rows.sort(compareBatches);
 
-        const next = () => {
-          if (remaining <= 0 || batches.length === 0) {
-            return resolve({ consumed: quantity - remaining, remaining, consumptions });
-          }
+          let remaining = quantity;
+          const consumptions = [];
 
-          const batch = batches.shift();
-          const take = Math.min(batch.ilosc_aktualna, remaining);
-          const newLeft = batch.ilosc_aktualna - take;
+          const next = () => {
+            if (remaining <= 0 || batches.length === 0) {
+              return resolve({ consumed: quantity - remaining, remaining, consumptions });
+            }
 
-          db.run('UPDATE products SET ilosc_aktualna = ? WHERE id = ?', [newLeft, batch.id], function (upErr) {
-            if (upErr) return reject(upErr);
-            consumptions.push({ batchId: batch.id, qty: take, cena: batch.cena || 0 });
-            remaining -= take;
-            next();
-          });
-        };
-        next();
-      }
-    );
+            const batch = batches.shift();
+            const take = Math.min(batch.ilosc_aktualna, remaining);
+            const newLeft = batch.ilosc_aktualna - take;
+
+            db.run('UPDATE products SET ilosc_aktualna = ? WHERE id = ?', [newLeft, batch.id], function (upErr) {
+              if (upErr) return reject(upErr);
+              if (movements) movements.batch(productKod, batch.id, -take);
+              if ((batch.location_id || DEFAULT_LOCATION_ID) !== DEFAULT_LOCATION_ID) {
+                console.warn(`⚠️ ${productKod}: brak w magazynie głównym, ${take} szt. wydano z lokalizacji ${batch.location_id}`);
+              }
+              consumptions.push({ batchId: batch.id, qty: take, cena: batch.cena || 0 });
+              remaining -= take;
+              next();
+            });
+          };
+          next();
+        }
+      );
+    });
   });
 }
 
@@ -11500,12 +18046,12 @@ if (process.env.NODE_ENV !== 'production') {
   });
 }
 
-// Helper: restore quantity back to newest batch
-const restoreToProducts = (productKod, quantity) => {
+// Helper: restore quantity back to newest batch (в magazynie głównym, если там есть партия kod)
+const restoreToProducts = (productKod, quantity, movements = null) => {
   return new Promise((resolve, reject) => {
     db.get(
-      'SELECT * FROM products WHERE kod = ? ORDER BY created_at DESC, id DESC LIMIT 1',
-      [productKod],
+      'SELECT * FROM products WHERE kod = ? ORDER BY COALESCE(location_id, ?) = ? DESC, created_at DESC, id DESC LIMIT 1',
+      [productKod, DEFAULT_LOCATION_ID, DEFAULT_LOCATION_ID],
       (err, batch) => {
         if (err) return reject(err);
         if (!batch) return resolve({ restored: 0 });
@@ -11514,7 +18060,11 @@ const restoreToProducts = (productKod, quantity) => {
         db.run(
           'UPDATE products SET ilosc_aktualna = ? WHERE id = ?',
           [newQty, batch.id],
-          upErr => (upErr ? reject(upErr) : resolve({ restored: quantity, batchId: batch.id }))
+          (upErr) => {
+            if (upErr) return reject(upErr);
+            if (movements) movements.batch(productKod, batch.id, quantity);
+            resolve({ restored: quantity, batchId: batch.id });
+          }
         );
       }
     );
@@ -0,0 +1,126 @@
+const { roundMoney } = require('./invoiceTotals');
+
+// ─── Faktury korygujące ─────────────────────────────────────────────────────
+
+// Korekta всегда описывает полный стан позиций "po": позиции из products с ключом
+// pozycja заменяют позиции текущего стану, позиции без ключа — новые, а позиции
+// стану, которых нет в products, зануляются (ilość po = 0).
+
+function computeInvoiceLineValues({ ilosc, cena_netto, rabat, vat }) {
+  const qty = parseFloat(ilosc) || 0;
+  const cena = parseFloat(cena_netto) || 0;
+  const rabatPct = parseFloat(rabat) || 0;
+  const stawka = Number.isFinite(parseInt(vat, 10)) ? parseInt(vat, 10) : 23;
+  const wartoscNetto = qty * cena * (1 - rabatPct / 100);
+  const wartoscVat = wartoscNetto * (stawka / 100);
+  return {
+    ilosc: qty,
+    cena_netto: cena,
+    rabat: rabatPct,
+    vat_stawka: stawka,
+    wartosc_netto: roundMoney(wartoscNetto),
+    wartosc_vat: roundMoney(wartoscVat),
+    wartosc_brutto: roundMoney(wartoscNetto + wartoscVat),
+    rabat_kwota: roundMoney(qty * cena * (rabatPct / 100)),
+  };
+}
+
+// before — текущий стан позиций (getInvoiceEffectiveLines), products — стан "po" из formularza.
+// → [{ pozycja, kod, nazwa, jednostka, before, after, delta }]; pozycja null — новая позиция
+function planInvoiceCorrection(before, products) {
+  const beforeByPozycja = new Map(before.map((line) => [line.pozycja, line]));
+  const usedPozycje = new Set();
+
+  const pairs = [];
+  products.forEach((p) => {
+    const after = computeInvoiceLineValues({
+      ilosc: p.ilosc,
+      cena_netto: p.cena_netto,
+      rabat: p.rabat,
+      vat: p.vat ?? p.vat_stawka,
+    });
+    const prev = p.pozycja ? beforeByPozycja.get(p.pozycja) : null;
+    if (prev && !usedPozycje.has(p.pozycja)) {
+      usedPozycje.add(p.pozycja);
+      pairs.push({
+        pozycja: p.pozycja, kod: p.kod || prev.kod, nazwa: p.nazwa || prev.nazwa,
+        jednostka: p.jednostka || prev.jednostka, before: prev, after,
+      });
+    } else if (after.ilosc !== 0) {
+      pairs.push({ pozycja: null, kod: p.kod || '', nazwa: p.nazwa || '', jednostka: p.jednostka || 'szt.', before: null, after });
+    }
+  });
+  before.forEach((prev) => {
+    if (usedPozycje.has(prev.pozycja)) return;
+    pairs.push({
+      pozycja: prev.pozycja,
+      kod: prev.kod,
+      nazwa: prev.nazwa,
+      jednostka: prev.jednostka,
+      before: prev,
+      after: computeInvoiceLineValues({ ilosc: 0, cena_netto: 0, rabat: 0, vat: prev.vat_stawka }),
+    });
+  });
+
+  const emptyLine = computeInvoiceLineValues({ ilosc: 0, cena_netto: 0, rabat: 0, vat: 23 });
+  return pairs.map((pair) => {
+    const prev = pair.before
+      ? { ...pair.before, rabat_kwota: computeInvoiceLineValues({ ...pair.before, vat: pair.before.vat_stawka }).rabat_kwota }
+      : emptyLine;
+    const after = pair.after;
+    return {
+      ...pair,
+      before: prev,
+      delta: {
+        ilosc: after.ilosc - (prev.ilosc || 0),
+        cena_netto: roundMoney(after.cena_netto - (prev.cena_netto || 0)),
+        wartosc_netto: roundMoney(after.wartosc_netto - (prev.wartosc_netto || 0)),
+        wartosc_vat: roundMoney(after.wartosc_vat - (prev.wartosc_vat || 0)),
+        wartosc_brutto: roundMoney(after.wartosc_brutto - (prev.wartosc_brutto || 0)),
+        rabat_kwota: roundMoney(after.rabat_kwota - (prev.rabat_kwota || 0)),
+      },
+    };
+  });
+}
+
+function isCorrectionLineChanged(line) {
+  return line.delta.ilosc !== 0
+    || line.delta.wartosc_netto !== 0
+    || line.delta.wartosc_vat !== 0
+    || line.after.cena_netto !== (line.before.cena_netto || 0)
+    || line.after.rabat !== (line.before.rabat || 0)
+    || line.after.vat_stawka !== line.before.vat_stawka;
+}
+
+// Ключи новых позиций korekty: k<id_korekty>_<n> (позиции стану сохраняют свой ключ)
+function assignCorrectionPozycje(lines, correctionId) {
+  let newIndex = 0;
+  return lines.map((line) => ({ ...line, pozycja: line.pozycja || `k${correctionId}_${++newIndex}` }));
+}
+
+// Стан позиций после korekty (как getInvoiceEffectiveLines по invoice_correction_lines)
+function effectiveLinesAfterCorrection(lines) {
+  return lines
+    .filter((line) => line.after.ilosc !== 0)
+    .map((line) => ({
+      pozycja: line.pozycja,
+      kod: line.kod || '',
+      nazwa: line.nazwa || '',
+      ilosc: line.after.ilosc,
+      cena_netto: line.after.cena_netto,
+      rabat: line.after.rabat,
+      vat_stawka: line.after.vat_stawka,
+      jednostka: line.jednostka || 'szt.',
+      wartosc_netto: line.after.wartosc_netto,
+      wartosc_vat: line.after.wartosc_vat,
+      wartosc_brutto: line.after.wartosc_brutto,
+    }));
+}
+
+module.exports = {
+  computeInvoiceLineValues,
+  planInvoiceCorrection,
+  isCorrectionLineChanged,
+  assignCorrectionPozycje,
+  effectiveLinesAfterCorrection,
+};
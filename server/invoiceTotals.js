@@ -0,0 +1,104 @@
+// ─── Суммы фактуры ──────────────────────────────────────────────────────────
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+// Разбивка сумм фактуры по ставкам VAT (для PDF, JPK и KSeF).
+// Возвращает массив { stawka, netto, vat, brutto }, отсортированный по убыванию ставки.
+function summarizeVatByRate(products) {
+  const byRate = new Map();
+  (products || []).forEach((p) => {
+    const stawka = Number.isFinite(Number(p.vat_stawka)) ? Number(p.vat_stawka) : 23;
+    const current = byRate.get(stawka) || { stawka, netto: 0, vat: 0, brutto: 0 };
+    current.netto += Number(p.wartosc_netto) || 0;
+    current.vat += Number(p.wartosc_vat) || 0;
+    current.brutto += Number(p.wartosc_brutto) || 0;
+    byRate.set(stawka, current);
+  });
+  return Array.from(byRate.values())
+    .map((r) => ({
+      stawka: r.stawka,
+      netto: roundMoney(r.netto),
+      vat: roundMoney(r.vat),
+      brutto: roundMoney(r.brutto),
+    }))
+    .sort((a, b) => b.stawka - a.stawka);
+}
+
+// ─── Kwota słownie ──────────────────────────────────────────────────────────
+
+const JEDNOSCI = ['', 'jeden', 'dwa', 'trzy', 'cztery', 'pięć', 'sześć', 'siedem', 'osiem', 'dziewięć'];
+const NASCIE = ['dziesięć', 'jedenaście', 'dwanaście', 'trzynaście', 'czternaście', 'piętnaście',
+  'szesnaście', 'siedemnaście', 'osiemnaście', 'dziewiętnaście'];
+const DZIESIATKI = ['', '', 'dwadzieścia', 'trzydzieści', 'czterdzieści', 'pięćdziesiąt',
+  'sześćdziesiąt', 'siedemdziesiąt', 'osiemdziesiąt', 'dziewięćdziesiąt'];
+const SETKI = ['', 'sto', 'dwieście', 'trzysta', 'czterysta', 'pięćset',
+  'sześćset', 'siedemset', 'osiemset', 'dziewięćset'];
+// Формы [1, 2–4, 5+] для разрядов: единицы, тысячи, миллионы, миллиарды
+const RZEDY = [
+  ['', '', ''],
+  ['tysiąc', 'tysiące', 'tysięcy'],
+  ['milion', 'miliony', 'milionów'],
+  ['miliard', 'miliardy', 'miliardów'],
+];
+
+// Индекс формы числительного: 0 → «1», 1 → «2–4» (кроме 12–14), 2 → остальные.
+function pluralFormIndex(n) {
+  if (n === 1) return 0;
+  const lastTwo = n % 100;
+  const last = n % 10;
+  if (last >= 2 && last <= 4 && (lastTwo < 12 || lastTwo > 14)) return 1;
+  return 2;
+}
+
+function tripletToWords(n) {
+  const words = [];
+  const s = Math.floor(n / 100);
+  const rest = n % 100;
+  if (s) words.push(SETKI[s]);
+  if (rest >= 10 && rest < 20) {
+    words.push(NASCIE[rest - 10]);
+  } else {
+    const d = Math.floor(rest / 10);
+    const j = rest % 10;
+    if (d) words.push(DZIESIATKI[d]);
+    if (j) words.push(JEDNOSCI[j]);
+  }
+  return words;
+}
+
+function integerToWordsPl(value) {
+  let n = Math.floor(Math.abs(value));
+  if (n === 0) return 'zero';
+  const parts = [];
+  let rzad = 0;
+  while (n > 0 && rzad < RZEDY.length) {
+    const triplet = n % 1000;
+    if (triplet) {
+      const words = rzad > 0 && triplet === 1 ? [] : tripletToWords(triplet);
+      if (rzad > 0) words.push(RZEDY[rzad][pluralFormIndex(triplet)]);
+      parts.unshift(words.join(' '));
+    }
+    n = Math.floor(n / 1000);
+    rzad += 1;
+  }
+  return parts.join(' ');
+}
+
+// Сумма к оплате прописью (kwota słownie), напр. 1234.56 →
+// «tysiąc dwieście trzydzieści cztery złote 56/100».
+function amountInWordsPln(amount) {
+  const totalGrosze = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const zlote = Math.floor(totalGrosze / 100);
+  const grosze = totalGrosze % 100;
+  const zloteForm = ['złoty', 'złote', 'złotych'][pluralFormIndex(zlote)];
+  const prefix = Number(amount) < 0 ? 'minus ' : '';
+  return `${prefix}${integerToWordsPl(zlote)} ${zloteForm} ${String(grosze).padStart(2, '0')}/100`;
+}
+
+module.exports = {
+  roundMoney,
+  summarizeVatByRate,
+  amountInWordsPln,
+};
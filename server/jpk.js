@@ -0,0 +1,366 @@
+const { roundMoney, summarizeVatByRate } = require('./invoiceTotals');
+const { normalizeNip, isValidNip, normalizeVatUe, isValidVatUe } = require('./taxIds');
+
+// ─── XML ────────────────────────────────────────────────────────────────────
+
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Узел XML: content — строка/число (текст) или массив дочерних узлов.
+// null/undefined/false среди детей пропускаются, что удобно для необязательных полей.
+function xmlNode(name, content, attrs = {}) {
+  return { name, content, attrs };
+}
+
+function renderXmlNode(node, depth) {
+  const pad = '  '.repeat(depth);
+  const attrs = Object.entries(node.attrs || {})
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  if (Array.isArray(node.content)) {
+    const children = node.content.filter(Boolean);
+    if (children.length === 0) return `${pad}<${node.name}${attrs}/>`;
+    return [
+      `${pad}<${node.name}${attrs}>`,
+      ...children.map((child) => renderXmlNode(child, depth + 1)),
+      `${pad}</${node.name}>`,
+    ].join('\n');
+  }
+  return `${pad}<${node.name}${attrs}>${escapeXml(node.content)}</${node.name}>`;
+}
+
+function renderXmlDocument(root) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderXmlNode(root, 0)}\n`;
+}
+
+function formatXmlAmount(value) {
+  return roundMoney(value).toFixed(2);
+}
+
+function formatXmlQuantity(value) {
+  const n = Number(value) || 0;
+  return Number.isInteger(n) ? String(n) : String(Math.round(n * 1e6) / 1e6);
+}
+
+function formatXmlDateTime(date) {
+  // Без миллисекунд и зоны: 2026-10-19T12:30:00
+  return date.toISOString().replace(/\.\d{3}Z$/, '');
+}
+
+// ─── Dane podmiotu ──────────────────────────────────────────────────────────
+
+// "ul. Winna 12/3, 00-001 Warszawa" → { ulica, nrDomu, nrLokalu, kodPocztowy, miejscowosc }
+function parsePolishAddress(adres) {
+  const text = String(adres || '').trim();
+  const postal = text.match(/(\d{2}-\d{3})\s+(.+)$/);
+  const streetPart = (postal ? text.slice(0, postal.index) : text).replace(/[,\s]+$/, '');
+  const street = streetPart.match(/^(?:ul\.\s*)?(.*?)\s+(\d+[A-Za-z]?)(?:\s*\/\s*(\w+))?$/);
+  return {
+    ulica: street ? street[1] : streetPart,
+    nrDomu: street ? street[2] : '',
+    nrLokalu: street && street[3] ? street[3] : '',
+    kodPocztowy: postal ? postal[1] : '',
+    miejscowosc: postal ? postal[2].trim() : '',
+  };
+}
+
+// ─── Stawki VAT ─────────────────────────────────────────────────────────────
+
+// Ставка → суффиксы полей P_13_x/P_14_x (JPK_FA) и K_xx (JPK_V7M)
+const VAT_RATE_FIELDS = {
+  23: { fa: '1', v7Netto: 'K_19', v7Vat: 'K_20' },
+  22: { fa: '1', v7Netto: 'K_19', v7Vat: 'K_20' },
+  8: { fa: '2', v7Netto: 'K_17', v7Vat: 'K_18' },
+  7: { fa: '2', v7Netto: 'K_17', v7Vat: 'K_18' },
+  5: { fa: '3', v7Netto: 'K_15', v7Vat: 'K_16' },
+  0: { fa: '6_1', v7Netto: 'K_13', v7Vat: null },
+};
+
+function vatRateFields(stawka) {
+  return VAT_RATE_FIELDS[Number(stawka)] || null;
+}
+
+// Суммы по полям для одной фактуры: { P_13_1: 100, P_14_1: 23, ... }
+function sumByRateFields(products, kind) {
+  const totals = {};
+  summarizeVatByRate(products).forEach(({ stawka, netto, vat }) => {
+    const fields = vatRateFields(stawka);
+    if (!fields) return;
+    const add = (key, value) => {
+      if (!key) return;
+      totals[key] = roundMoney((totals[key] || 0) + value);
+    };
+    if (kind === 'fa') {
+      add(`P_13_${fields.fa}`, netto);
+      if (fields.fa !== '6_1') add(`P_14_${fields.fa}`, vat);
+    } else {
+      add(fields.v7Netto, netto);
+      add(fields.v7Vat, vat);
+    }
+  });
+  return totals;
+}
+
+// ─── Nabywca ────────────────────────────────────────────────────────────────
+
+// Prefiks VAT UE → kod kraju ISO (Grecja w VIES — EL)
+const VAT_UE_COUNTRY_CODES = { EL: 'GR' };
+
+// Identyfikator podatkowy nabywcy:
+//   { kraj: 'PL', numer: NIP } — polski nabywca (NIP проверяется контрольной суммой),
+//   { kraj: 'DE', numer: '123456789' } — nabywca z UE (numer VAT UE без префикса),
+//   { kraj: null, numer: 'brak' } — osoba prywatna / nabywca bez NIP (B2C).
+// "DE123456789" в поле NIP тоже считается numerem VAT UE
+function resolveBuyerTaxId(nabywca) {
+  const nip = String((nabywca && nabywca.nip) || '').trim();
+  const foreignNip = /^[A-Z]{2}/i.test(nip) && !/^PL/i.test(nip);
+  if (nip && !foreignNip) {
+    return { kraj: 'PL', numer: normalizeNip(nip), poprawny: isValidNip(nip) };
+  }
+  const vatUe = normalizeVatUe(foreignNip ? nip : nabywca && nabywca.vatUe);
+  if (vatUe) {
+    const prefix = vatUe.slice(0, 2);
+    if (prefix === 'PL') {
+      return { kraj: 'PL', numer: normalizeNip(vatUe), poprawny: isValidNip(vatUe) };
+    }
+    return { kraj: VAT_UE_COUNTRY_CODES[prefix] || prefix, numer: vatUe.slice(2), poprawny: isValidVatUe(vatUe) };
+  }
+  return { kraj: null, numer: 'brak', poprawny: true };
+}
+
+// ─── Walidacja ──────────────────────────────────────────────────────────────
+
+// Возвращает список ошибок; пустой список — можно генерировать XML.
+function validateJpkData({ seller, invoices }, kind) {
+  const errors = [];
+  const address = parsePolishAddress(seller.adres);
+
+  if (!seller.nazwa) errors.push('Sprzedawca: brak nazwy (dane firmy: nazwa)');
+  if (!isValidNip(seller.nip)) errors.push('Sprzedawca: nieprawidłowy NIP (dane firmy: NIP)');
+  if (!seller.kodUrzedu) errors.push('Sprzedawca: brak kodu urzędu skarbowego (dane firmy: kod urzędu)');
+  if (kind === 'fa') {
+    if (!seller.wojewodztwo || !seller.powiat || !seller.gmina) {
+      errors.push('Sprzedawca: brak województwa, powiatu lub gminy (dane firmy)');
+    }
+    if (!address.nrDomu || !address.kodPocztowy || !address.miejscowosc) {
+      errors.push('Sprzedawca: adres musi mieć postać "ul. Ulica 1/2, 00-000 Miejscowość" (dane firmy: adres)');
+    }
+  }
+  if (kind === 'v7m' && !seller.email) errors.push('Sprzedawca: brak adresu e-mail (dane firmy: e-mail)');
+
+  if (invoices.length === 0) errors.push('Brak faktur w wybranym okresie');
+
+  invoices.forEach((inv) => {
+    const label = inv.numer_faktury || `#${inv.id}`;
+    if (!inv.numer_faktury) errors.push(`${label}: brak numeru faktury`);
+    if (!inv.data_faktury) errors.push(`${label}: brak daty wystawienia`);
+    if (!inv.nabywca.nazwa) errors.push(`${label}: brak nazwy nabywcy`);
+    const taxId = resolveBuyerTaxId(inv.nabywca);
+    if (!taxId.poprawny) {
+      errors.push(taxId.kraj === 'PL'
+        ? `${label}: nieprawidłowy NIP nabywcy (${inv.nabywca.nazwa || 'nieznany klient'})`
+        : `${label}: nieprawidłowy numer VAT UE nabywcy (${inv.nabywca.nazwa || 'nieznany klient'})`);
+    }
+    if (kind === 'fa' && !inv.nabywca.adres) errors.push(`${label}: brak adresu nabywcy`);
+    if (!inv.products || inv.products.length === 0) errors.push(`${label}: faktura bez pozycji`);
+    (inv.products || []).forEach((p) => {
+      if (!vatRateFields(p.vat_stawka)) {
+        errors.push(`${label}: nieobsługiwana stawka VAT ${p.vat_stawka}% (${p.nazwa})`);
+      }
+    });
+    if (inv.typ_dokumentu === 'korekta' && !inv.korygowana_numer) {
+      errors.push(`${label}: korekta bez faktury korygowanej`);
+    }
+  });
+
+  return errors;
+}
+
+// ─── JPK_FA (4) ─────────────────────────────────────────────────────────────
+
+const JPK_FA_NS = 'http://jpk.mf.gov.pl/wzor/2022/02/17/02171/';
+const JPK_FA_ETD_NS = 'http://crd.gov.pl/xml/schematy/dziedzinowe/mf/2018/08/24/eD/DefinicjeTypy/';
+
+function buildFakturaNode(inv, seller) {
+  const isKorekta = inv.typ_dokumentu === 'korekta';
+  const rateTotals = sumByRateFields(inv.products, 'fa');
+  const brutto = roundMoney(inv.products.reduce((sum, p) => sum + (Number(p.wartosc_brutto) || 0), 0));
+  const taxId = resolveBuyerTaxId(inv.nabywca);
+
+  return xmlNode('tns:Faktura', [
+    xmlNode('tns:KodWaluty', 'PLN'),
+    xmlNode('tns:P_1', inv.data_faktury),
+    xmlNode('tns:P_2A', inv.numer_faktury),
+    xmlNode('tns:P_3A', inv.nabywca.nazwa),
+    xmlNode('tns:P_3B', inv.nabywca.adres),
+    xmlNode('tns:P_3C', seller.nazwa),
+    xmlNode('tns:P_3D', seller.adres),
+    xmlNode('tns:P_4A', 'PL'),
+    xmlNode('tns:P_4B', normalizeNip(seller.nip)),
+    // P_5A — только для nabywcy z UE; B2C — bez numeru nabywcy
+    taxId.kraj && taxId.kraj !== 'PL' && xmlNode('tns:P_5A', taxId.kraj),
+    taxId.kraj && xmlNode('tns:P_5B', taxId.numer),
+    ...Object.keys(rateTotals).sort().map((key) => xmlNode(`tns:${key}`, formatXmlAmount(rateTotals[key]))),
+    xmlNode('tns:P_15', formatXmlAmount(brutto)),
+    xmlNode('tns:P_16', 'false'),
+    xmlNode('tns:P_17', 'false'),
+    xmlNode('tns:P_18', 'false'),
+    xmlNode('tns:P_18A', 'false'),
+    xmlNode('tns:Zwolnienie', [xmlNode('tns:P_19N', 'true')]),
+    xmlNode('tns:NoweSrodkiTransportu', [xmlNode('tns:P_22N', 'true')]),
+    xmlNode('tns:P_23', 'false'),
+    xmlNode('tns:PMarzy', [xmlNode('tns:P_PMarzyN', 'true')]),
+    xmlNode('tns:RodzajFaktury', isKorekta ? 'KOREKTA' : 'VAT'),
+    isKorekta && xmlNode('tns:PrzyczynaKorekty', inv.przyczyna_korekty || 'Korekta'),
+    isKorekta && xmlNode('tns:NrFaKorygowanej', inv.korygowana_numer),
+    isKorekta && xmlNode('tns:OkresFaKorygowanej', String(inv.korygowana_data || '').slice(0, 7)),
+  ]);
+}
+
+function buildFakturaWierszNode(inv, product) {
+  const ilosc = Number(product.ilosc) || 0;
+  const cena = Number(product.cena_netto) || 0;
+  const rabatKwota = roundMoney(cena * ilosc - (Number(product.wartosc_netto) || 0));
+  return xmlNode('tns:FakturaWiersz', [
+    xmlNode('tns:P_2B', inv.numer_faktury),
+    xmlNode('tns:P_7', product.nazwa || product.kod),
+    xmlNode('tns:P_8A', product.jednostka || 'szt.'),
+    xmlNode('tns:P_8B', formatXmlQuantity(ilosc)),
+    xmlNode('tns:P_9A', formatXmlAmount(cena)),
+    rabatKwota > 0 && xmlNode('tns:P_10', formatXmlAmount(rabatKwota)),
+    xmlNode('tns:P_11', formatXmlAmount(product.wartosc_netto)),
+    xmlNode('tns:P_12', String(Number(product.vat_stawka))),
+  ]);
+}
+
+function buildJpkFa({ seller, invoices, dataOd, dataDo, now = new Date() }) {
+  const address = parsePolishAddress(seller.adres);
+  const wiersze = invoices.flatMap((inv) => inv.products.map((p) => ({ inv, p })));
+  const wartoscFaktur = invoices.reduce(
+    (sum, inv) => sum + inv.products.reduce((s, p) => s + (Number(p.wartosc_brutto) || 0), 0),
+    0
+  );
+  const wartoscWierszy = wiersze.reduce((sum, { p }) => sum + (Number(p.wartosc_netto) || 0), 0);
+
+  const root = xmlNode('tns:JPK', [
+    xmlNode('tns:Naglowek', [
+      xmlNode('tns:KodFormularza', 'JPK_FA', { kodSystemowy: 'JPK_FA (4)', wersjaSchemy: '1-0' }),
+      xmlNode('tns:WariantFormularza', '4'),
+      xmlNode('tns:DataWytworzeniaJPK', formatXmlDateTime(now)),
+      xmlNode('tns:DataOd', dataOd),
+      xmlNode('tns:DataDo', dataDo),
+      xmlNode('tns:KodUrzedu', seller.kodUrzedu),
+    ]),
+    xmlNode('tns:Podmiot1', [
+      xmlNode('tns:IdentyfikatorPodmiotu', [
+        xmlNode('etd:NIP', normalizeNip(seller.nip)),
+        xmlNode('etd:PelnaNazwa', seller.nazwa),
+      ]),
+      xmlNode('tns:AdresPodmiotu', [
+        xmlNode('tns:AdresPol', [
+          xmlNode('etd:KodKraju', 'PL'),
+          xmlNode('etd:Wojewodztwo', seller.wojewodztwo),
+          xmlNode('etd:Powiat', seller.powiat),
+          xmlNode('etd:Gmina', seller.gmina),
+          address.ulica && xmlNode('etd:Ulica', address.ulica),
+          xmlNode('etd:NrDomu', address.nrDomu),
+          address.nrLokalu && xmlNode('etd:NrLokalu', address.nrLokalu),
+          xmlNode('etd:Miejscowosc', address.miejscowosc),
+          xmlNode('etd:KodPocztowy', address.kodPocztowy),
+        ]),
+      ]),
+    ]),
+    ...invoices.map((inv) => buildFakturaNode(inv, seller)),
+    xmlNode('tns:FakturaCtrl', [
+      xmlNode('tns:LiczbaFaktur', String(invoices.length)),
+      xmlNode('tns:WartoscFaktur', formatXmlAmount(wartoscFaktur)),
+    ]),
+    ...wiersze.map(({ inv, p }) => buildFakturaWierszNode(inv, p)),
+    xmlNode('tns:FakturaWierszCtrl', [
+      xmlNode('tns:LiczbaWierszyFaktur', String(wiersze.length)),
+      xmlNode('tns:WartoscWierszyFaktur', formatXmlAmount(wartoscWierszy)),
+    ]),
+  ], { 'xmlns:tns': JPK_FA_NS, 'xmlns:etd': JPK_FA_ETD_NS });
+
+  return renderXmlDocument(root);
+}
+
+// ─── JPK_V7M (2) — część ewidencyjna sprzedaży ──────────────────────────────
+
+// Формируется только ewidencja sprzedaży; zakupy i część deklaracyjną
+// księgowa uzupełnia w swoim programie.
+const JPK_V7M_NS = 'http://crd.gov.pl/wzor/2021/12/27/11148/';
+const JPK_V7M_ETD_NS = 'http://crd.gov.pl/xml/schematy/dziedzinowe/mf/2021/06/08/eD/DefinicjeTypy/';
+const V7M_VAT_FIELDS = ['K_16', 'K_18', 'K_20'];
+
+function buildJpkV7mSprzedaz({ seller, invoices, rok, miesiac, now = new Date() }) {
+  let podatekNalezny = 0;
+
+  const wiersze = invoices.map((inv, idx) => {
+    const totals = sumByRateFields(inv.products, 'v7m');
+    V7M_VAT_FIELDS.forEach((key) => {
+      podatekNalezny += totals[key] || 0;
+    });
+    const taxId = resolveBuyerTaxId(inv.nabywca);
+    return xmlNode('tns:SprzedazWiersz', [
+      xmlNode('tns:LpSprzedazy', String(idx + 1)),
+      taxId.kraj && xmlNode('tns:KodKrajuNadaniaTIN', taxId.kraj),
+      xmlNode('tns:NrKontrahenta', taxId.numer),
+      xmlNode('tns:NazwaKontrahenta', inv.nabywca.nazwa),
+      xmlNode('tns:DowodSprzedazy', inv.numer_faktury),
+      xmlNode('tns:DataWystawienia', inv.data_faktury),
+      ...Object.keys(totals)
+        .sort((a, b) => Number(a.slice(2)) - Number(b.slice(2)))
+        .map((key) => xmlNode(`tns:${key}`, formatXmlAmount(totals[key]))),
+    ]);
+  });
+
+  const root = xmlNode('tns:JPK', [
+    xmlNode('tns:Naglowek', [
+      xmlNode('tns:KodFormularza', 'JPK_VAT', { kodSystemowy: 'JPK_V7M (2)', wersjaSchemy: '1-0E' }),
+      xmlNode('tns:WariantFormularza', '2'),
+      xmlNode('tns:DataWytworzeniaJPK', formatXmlDateTime(now)),
+      xmlNode('tns:NazwaSystemu', 'Enoterra ERP'),
+      xmlNode('tns:CelZlozenia', '1', { poz: 'P_7' }),
+      xmlNode('tns:KodUrzedu', seller.kodUrzedu),
+      xmlNode('tns:Rok', String(rok)),
+      xmlNode('tns:Miesiac', String(Number(miesiac))),
+    ]),
+    xmlNode('tns:Podmiot1', [
+      xmlNode('tns:OsobaNiefizyczna', [
+        xmlNode('tns:NIP', normalizeNip(seller.nip)),
+        xmlNode('tns:PelnaNazwa', seller.nazwa),
+        xmlNode('tns:Email', seller.email),
+      ]),
+    ], { rola: 'Podatnik' }),
+    xmlNode('tns:Ewidencja', [
+      ...wiersze,
+      xmlNode('tns:SprzedazCtrl', [
+        xmlNode('tns:LiczbaWierszySprzedazy', String(wiersze.length)),
+        xmlNode('tns:PodatekNalezny', formatXmlAmount(podatekNalezny)),
+      ]),
+    ]),
+  ], { 'xmlns:tns': JPK_V7M_NS, 'xmlns:etd': JPK_V7M_ETD_NS });
+
+  return renderXmlDocument(root);
+}
+
+module.exports = {
+  escapeXml,
+  xmlNode,
+  renderXmlDocument,
+  formatXmlAmount,
+  formatXmlQuantity,
+  formatXmlDateTime,
+  parsePolishAddress,
+  resolveBuyerTaxId,
+  validateJpkData,
+  buildJpkFa,
+  buildJpkV7mSprzedaz,
+};
@@ -0,0 +1,272 @@
+const { roundMoney, summarizeVatByRate } = require('./invoiceTotals');
+const {
+  xmlNode,
+  renderXmlDocument,
+  formatXmlAmount,
+  formatXmlQuantity,
+} = require('./jpk');
+const { normalizeNip, isValidNip } = require('./taxIds');
+
+// ─── Statusy kolejki KSeF ───────────────────────────────────────────────────
+
+const KSEF_STATUS = {
+  DO_WYSLANIA: 'do_wysłania',
+  WYSLANA: 'wysłana',
+  PRZYJETA: 'przyjęta',
+  ODRZUCONA: 'odrzucona',
+};
+
+// ─── FA (2) ─────────────────────────────────────────────────────────────────
+
+const FA2_NS = 'http://crd.gov.pl/wzor/2023/06/29/12648/';
+const FA2_ETD_NS = 'http://crd.gov.pl/xml/schematy/dziedzinowe/mf/2022/01/05/eD/DefinicjeTypy/';
+
+// Ставка → суффикс полей P_13_x / P_14_x
+const FA2_RATE_SUFFIX = { 23: '1', 22: '1', 8: '2', 7: '2', 5: '3', 0: '6_1' };
+
+// Forma płatności faktury → kod FormaPlatnosci; без кода (kompensata) — PlatnoscInna + opis
+const FA2_PAYMENT_CODES = { 'gotówka': '1', karta: '2', przelew: '6' };
+
+function buildPaymentMethodNodes(formaPlatnosci) {
+  const forma = formaPlatnosci || 'przelew';
+  const code = FA2_PAYMENT_CODES[forma];
+  if (code) return [xmlNode('FormaPlatnosci', code)];
+  return [xmlNode('PlatnoscInna', '1'), xmlNode('OpisPlatnosci', forma)];
+}
+
+// "ul. Winna 12/3, 00-950 Warszawa" → AdresL1 / AdresL2 (до и после последней запятой)
+function splitAddressLines(adres) {
+  const text = String(adres || '').trim();
+  const idx = text.lastIndexOf(',');
+  if (idx === -1) return [text, ''];
+  return [text.slice(0, idx).trim(), text.slice(idx + 1).trim()];
+}
+
+function buildAddressNode(adres) {
+  const [l1, l2] = splitAddressLines(adres);
+  return xmlNode('Adres', [
+    xmlNode('KodKraju', 'PL'),
+    xmlNode('AdresL1', l1),
+    l2 && xmlNode('AdresL2', l2),
+  ]);
+}
+
+function validateFa2Data({ seller, invoice, products, buyer }) {
+  const errors = [];
+  if (!seller.nazwa) errors.push('Sprzedawca: brak nazwy (dane firmy: nazwa)');
+  if (!isValidNip(seller.nip)) errors.push('Sprzedawca: nieprawidłowy NIP (dane firmy: NIP)');
+  if (!seller.adres) errors.push('Sprzedawca: brak adresu (dane firmy: adres)');
+  if (!buyer.nazwa) errors.push('Nabywca: brak nazwy');
+  if (!isValidNip(buyer.nip)) errors.push('Nabywca: brak lub nieprawidłowy NIP');
+  if (!buyer.adres) errors.push('Nabywca: brak adresu');
+  if (!invoice.numer_faktury) errors.push('Brak numeru faktury');
+  if (!invoice.data_faktury) errors.push('Brak daty wystawienia');
+  if (!products || products.length === 0) errors.push('Faktura bez pozycji');
+  (products || []).forEach((p) => {
+    if (FA2_RATE_SUFFIX[Number(p.vat_stawka)] === undefined) {
+      errors.push(`Nieobsługiwana stawka VAT ${p.vat_stawka}% (${p.nazwa})`);
+    }
+  });
+  if (invoice.typ_dokumentu === 'korekta' && !invoice.korygowana_numer) {
+    errors.push('Korekta bez faktury korygowanej');
+  }
+  return errors;
+}
+
+function buildFaWiersz(nr, line, stanPrzed) {
+  const ilosc = Number(line.ilosc) || 0;
+  const cena = Number(line.cena_netto) || 0;
+  const rabatKwota = roundMoney(cena * ilosc - (Number(line.wartosc_netto) || 0));
+  return xmlNode('FaWiersz', [
+    xmlNode('NrWierszaFa', String(nr)),
+    xmlNode('P_7', line.nazwa || line.kod),
+    line.kod && xmlNode('Indeks', line.kod),
+    xmlNode('P_8A', line.jednostka || 'szt.'),
+    xmlNode('P_8B', formatXmlQuantity(ilosc)),
+    xmlNode('P_9A', formatXmlAmount(cena)),
+    rabatKwota > 0 && xmlNode('P_10', formatXmlAmount(rabatKwota)),
+    xmlNode('P_11', formatXmlAmount(line.wartosc_netto)),
+    xmlNode('P_12', String(Number(line.vat_stawka))),
+    stanPrzed && xmlNode('StanPrzed', '1'),
+  ]);
+}
+
+// Строки FaWiersz: для korekty — пары "przed" (StanPrzed=1) / "po" по изменённым позициям,
+// для обычной фактуры — позиции invoice_products.
+function buildFaWiersze(products, correctionLines) {
+  if (!correctionLines || correctionLines.length === 0) {
+    return products.map((p, idx) => buildFaWiersz(idx + 1, p, false));
+  }
+  const rows = [];
+  correctionLines.forEach((line) => {
+    const przed = {
+      kod: line.kod, nazwa: line.nazwa, jednostka: line.jednostka, ilosc: line.ilosc_przed, cena_netto: line.cena_netto_przed,
+      wartosc_netto: line.wartosc_netto_przed, vat_stawka: line.vat_stawka_przed,
+    };
+    const po = {
+      kod: line.kod, nazwa: line.nazwa, jednostka: line.jednostka, ilosc: line.ilosc_po, cena_netto: line.cena_netto_po,
+      wartosc_netto: line.wartosc_netto_po, vat_stawka: line.vat_stawka_po,
+    };
+    if (Number(line.ilosc_przed) !== 0) rows.push(buildFaWiersz(rows.length + 1, przed, true));
+    if (Number(line.ilosc_po) !== 0) rows.push(buildFaWiersz(rows.length + 1, po, false));
+  });
+  return rows;
+}
+
+// Netto и VAT по суффиксу P_13_x / P_14_x: ставки одного суффикса (23% и 22%, 8% и 7%)
+// суммируются в одно поле. → [{ suffix, netto, vat }] в порядке полей схемы
+function sumByRateSuffix(products) {
+  const totals = new Map();
+  summarizeVatByRate(products).forEach(({ stawka, netto, vat }) => {
+    const suffix = FA2_RATE_SUFFIX[stawka];
+    const total = totals.get(suffix) || { suffix, netto: 0, vat: 0 };
+    total.netto = roundMoney(total.netto + netto);
+    total.vat = roundMoney(total.vat + vat);
+    totals.set(suffix, total);
+  });
+  return [...totals.values()].sort((a, b) => a.suffix.localeCompare(b.suffix));
+}
+
+// invoice — строка invoices (+ korygowana_numer, korygowana_data, korygowana_numer_ksef),
+// products — invoice_products (для korekty — разницы), correctionLines — invoice_correction_lines.
+function buildFa2Xml({ seller, invoice, products, correctionLines, buyer, now = new Date() }) {
+  const isKorekta = invoice.typ_dokumentu === 'korekta';
+  const rateFields = sumByRateSuffix(products).flatMap(({ suffix, netto, vat }) => [
+    xmlNode(`P_13_${suffix}`, formatXmlAmount(netto)),
+    suffix !== '6_1' && xmlNode(`P_14_${suffix}`, formatXmlAmount(vat)),
+  ]);
+  const brutto = products.reduce((sum, p) => sum + (Number(p.wartosc_brutto) || 0), 0);
+
+  const root = xmlNode('Faktura', [
+    xmlNode('Naglowek', [
+      xmlNode('KodFormularza', 'FA', { kodSystemowy: 'FA (2)', wersjaSchemy: '1-0E' }),
+      xmlNode('WariantFormularza', '2'),
+      xmlNode('DataWytworzeniaFa', now.toISOString().replace(/\.\d{3}Z$/, 'Z')),
+      xmlNode('SystemInfo', 'Enoterra ERP'),
+    ]),
+    xmlNode('Podmiot1', [
+      xmlNode('DaneIdentyfikacyjne', [
+        xmlNode('NIP', normalizeNip(seller.nip)),
+        xmlNode('Nazwa', seller.nazwa),
+      ]),
+      buildAddressNode(seller.adres),
+    ]),
+    xmlNode('Podmiot2', [
+      xmlNode('DaneIdentyfikacyjne', [
+        xmlNode('NIP', normalizeNip(buyer.nip)),
+        xmlNode('Nazwa', buyer.nazwa),
+      ]),
+      buildAddressNode(buyer.adres),
+    ]),
+    xmlNode('Fa', [
+      xmlNode('KodWaluty', 'PLN'),
+      xmlNode('P_1', invoice.data_faktury),
+      seller.miejsce && xmlNode('P_1M', seller.miejsce),
+      xmlNode('P_2', invoice.numer_faktury),
+      ...rateFields,
+      xmlNode('P_15', formatXmlAmount(brutto)),
+      xmlNode('Adnotacje', [
+        xmlNode('P_16', '2'),
+        xmlNode('P_17', '2'),
+        xmlNode('P_18', '2'),
+        xmlNode('P_18A', '2'),
+        xmlNode('Zwolnienie', [xmlNode('P_19N', '1')]),
+        xmlNode('NoweSrodkiTransportu', [xmlNode('P_22N', '1')]),
+        xmlNode('P_23', '2'),
+        xmlNode('PMarzy', [xmlNode('P_PMarzyN', '1')]),
+      ]),
+      xmlNode('RodzajFaktury', isKorekta ? 'KOR' : 'VAT'),
+      isKorekta && invoice.przyczyna_korekty && xmlNode('PrzyczynaKorekty', invoice.przyczyna_korekty),
+      isKorekta && xmlNode('DaneFaKorygowanej', [
+        xmlNode('DataWystFaKorygowanej', invoice.korygowana_data),
+        xmlNode('NrFaKorygowanej', invoice.korygowana_numer),
+        ...(invoice.korygowana_numer_ksef
+          ? [xmlNode('NrKSeF', '1'), xmlNode('NrKSeFFaKorygowanej', invoice.korygowana_numer_ksef)]
+          : [xmlNode('NrKSeFN', '1')]),
+      ]),
+      ...buildFaWiersze(products, isKorekta ? correctionLines : null),
+      !isKorekta && xmlNode('Platnosc', [
+        invoice.termin_platnosci && xmlNode('TerminPlatnosci', [xmlNode('Termin', invoice.termin_platnosci)]),
+        ...buildPaymentMethodNodes(invoice.forma_platnosci),
+        seller.konto && xmlNode('RachunekBankowy', [
+          xmlNode('NrRB', String(seller.konto).replace(/\s/g, '')),
+          seller.bank && xmlNode('NazwaBanku', seller.bank),
+        ]),
+      ]),
+    ]),
+  ], { xmlns: FA2_NS, 'xmlns:etd': FA2_ETD_NS });
+
+  return renderXmlDocument(root);
+}
+
+// ─── Transport ──────────────────────────────────────────────────────────────
+
+// Транспорт — объект { name, send(xml, meta), checkStatus(referenceNumber) }.
+// send → { referenceNumber }, checkStatus → { status, numerKsef?, message? },
+// где status — одно из KSEF_STATUS.WYSLANA / PRZYJETA / ODRZUCONA.
+const transportFactories = new Map();
+
+function registerKsefTransport(name, factory) {
+  transportFactories.set(name, factory);
+}
+
+function createKsefTransport(name, options = {}) {
+  const factory = transportFactories.get(name);
+  if (!factory) {
+    throw new Error(`Nieznany transport KSeF: ${name}`);
+  }
+  return factory(options);
+}
+
+// HTTP: POST {url}/invoices (XML) → { referenceNumber };
+// GET {url}/invoices/:ref → { status: processing|accepted|rejected, ksefNumber, message }.
+// Под этот контракт сделан локальный mock (ksefMockServer.js) и шлюз к KSeF.
+registerKsefTransport('http', ({ url, token }) => {
+  if (!url) {
+    throw new Error('Brak adresu KSeF (KSEF_API_URL)');
+  }
+  const baseUrl = url.replace(/\/+$/, '');
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+  const readJson = async (response) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || data.message || `KSeF HTTP ${response.status}`);
+    }
+    return data;
+  };
+
+  return {
+    name: 'http',
+    async send(xml, meta = {}) {
+      const response = await fetch(`${baseUrl}/invoices`, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/xml', 'X-Invoice-Number': meta.numerFaktury || '' },
+        body: xml,
+      });
+      const data = await readJson(response);
+      if (!data.referenceNumber) {
+        throw new Error('KSeF nie zwrócił numeru referencyjnego');
+      }
+      return { referenceNumber: data.referenceNumber };
+    },
+    async checkStatus(referenceNumber) {
+      const response = await fetch(`${baseUrl}/invoices/${encodeURIComponent(referenceNumber)}`, { headers });
+      const data = await readJson(response);
+      const status = {
+        accepted: KSEF_STATUS.PRZYJETA,
+        rejected: KSEF_STATUS.ODRZUCONA,
+      }[data.status] || KSEF_STATUS.WYSLANA;
+      return { status, numerKsef: data.ksefNumber || null, message: data.message || null };
+    },
+  };
+});
+
+module.exports = {
+  KSEF_STATUS,
+  validateFa2Data,
+  sumByRateSuffix,
+  buildFa2Xml,
+  registerKsefTransport,
+  createKsefTransport,
+};
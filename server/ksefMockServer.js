@@ -0,0 +1,59 @@
+// Локальный mock KSeF для проверки очереди отправки без настоящего сервиса.
+// Запуск: npm run ksef-mock, затем в .env: KSEF_TRANSPORT=http, KSEF_API_URL=http://localhost:3101
+const express = require('express');
+const crypto = require('crypto');
+
+// ─── Mock ───────────────────────────────────────────────────────────────────
+
+function createKsefMockApp() {
+  const app = express();
+  const submissions = new Map();
+
+  app.use(express.text({ type: ['application/xml', 'text/xml'], limit: '10mb' }));
+
+  app.post('/invoices', (req, res) => {
+    const xml = typeof req.body === 'string' ? req.body : '';
+    const referenceNumber = `MOCK-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+    // Минимальная проверка: FA (2) с NIP sprzedawcy и nabywcy
+    const nips = xml.match(/<NIP>\d{10}<\/NIP>/g) || [];
+    const valid = xml.includes('kodSystemowy="FA (2)"') && nips.length >= 2;
+
+    submissions.set(referenceNumber, {
+      checks: 0,
+      status: valid ? 'accepted' : 'rejected',
+      message: valid ? null : 'Nieprawidłowa struktura FA (2) lub brak NIP',
+      ksefNumber: valid ? `${nips[0].replace(/\D/g, '')}-${Date.now()}-MOCK` : null,
+    });
+    console.log(`📨 [KSeF mock] ${req.get('X-Invoice-Number') || '?'} → ${referenceNumber}`);
+    res.status(202).json({ referenceNumber });
+  });
+
+  // Первая проверка статуса — "processing", как у настоящего сервиса
+  app.get('/invoices/:ref', (req, res) => {
+    const submission = submissions.get(req.params.ref);
+    if (!submission) {
+      return res.status(404).json({ error: 'Nieznany numer referencyjny' });
+    }
+    submission.checks += 1;
+    if (submission.checks === 1) {
+      return res.json({ status: 'processing' });
+    }
+    res.json({
+      status: submission.status,
+      ksefNumber: submission.ksefNumber,
+      message: submission.message,
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.KSEF_MOCK_PORT || 3101;
+  createKsefMockApp().listen(port, () => {
+    console.log(`🧪 KSeF mock running on port ${port}`);
+  });
+}
+
+module.exports = { createKsefMockApp };
@@ -0,0 +1,112 @@
+// ─── Lokalizacje magazynowe i przesunięcia między nimi ──────────────────────
+
+// Партия products лежит в одной lokalizacji (products.location_id). Итог по kod
+// (working_sheets.ilosc) общий для всех lokalizacji, остаток в lokalizacji — сумма
+// её партий. Przesunięcie делит партию: часть остатка уходит в новую партию-копию
+// (те же receipt_id, cena, created_at, data_waznosci) в целевой lokalizacji, поэтому
+// сумма прихода (products.ilosc) по kod не меняется и FIFO/FEFO-повтор в
+// stockReconcile.js сходится. Wydania (zamówienia, odpisania) списывают сначала партии
+// magazynu głównego и только при нехватке — партии других lokalizacji (preferLocation);
+// zwroty wracают в magazyn główny.
+
+const DEFAULT_LOCATION_ID = 1;
+
+const LOCATION_TYPES = {
+  MAGAZYN: 'magazyn',
+  WMS: 'wms',
+  KOMIS: 'komis',
+};
+
+// ?location_id= из запроса → null (фильтр не задан), id или NaN (ошибка)
+function parseLocationId(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+// Тело POST / PUT /api/locations → { value } или { error }
+function validateLocationInput(body = {}) {
+  const kod = String(body.kod || '').trim().toUpperCase();
+  const nazwa = String(body.nazwa || '').trim();
+  const typ = String(body.typ || LOCATION_TYPES.MAGAZYN).trim().toLowerCase();
+  if (!kod || !/^[A-Z0-9_-]{1,20}$/.test(kod)) {
+    return { error: 'Kod lokalizacji: 1–20 znaków (litery, cyfry, "-", "_")' };
+  }
+  if (!nazwa) {
+    return { error: 'Nazwa lokalizacji jest wymagana' };
+  }
+  if (!Object.values(LOCATION_TYPES).includes(typ)) {
+    return { error: `Nieznany typ lokalizacji: ${typ}` };
+  }
+  const clientId = body.client_id === undefined || body.client_id === null || body.client_id === ''
+    ? null
+    : Number(body.client_id);
+  if (clientId !== null && (!Number.isInteger(clientId) || clientId <= 0)) {
+    return { error: 'Niepoprawny klient lokalizacji' };
+  }
+  return {
+    value: {
+      kod,
+      nazwa,
+      typ,
+      client_id: typ === LOCATION_TYPES.KOMIS ? clientId : null,
+      aktywna: body.aktywna === false || body.aktywna === 0 ? 0 : 1,
+    },
+  };
+}
+
+// Pozycje przesunięcia [{kod, ilosc}] → сведённые по kod { items } или { error }
+function normalizeTransferItems(products) {
+  if (!Array.isArray(products) || products.length === 0) {
+    return { error: 'Przesunięcie musi zawierać co najmniej jedną pozycję' };
+  }
+  const byKod = new Map();
+  for (const product of products) {
+    const kod = String((product && product.kod) || '').trim();
+    const ilosc = Number(product && product.ilosc);
+    if (!kod) return { error: 'Pozycja przesunięcia bez kodu produktu' };
+    if (!Number.isInteger(ilosc) || ilosc <= 0) {
+      return { error: `Ilość dla ${kod} musi być dodatnią liczbą całkowitą` };
+    }
+    const entry = byKod.get(kod) || { kod, nazwa: product.nazwa || '', ilosc: 0 };
+    entry.ilosc += ilosc;
+    byKod.set(kod, entry);
+  }
+  return { items: [...byKod.values()] };
+}
+
+// Какие партии источника и сколько переносить: в порядке списания compareBatches
+// (FIFO/FEFO), чтобы в lokalizacji-источнике оставались партии, идущие в wydanie позже.
+// → { allocations: [{batch, ilosc}], brak } — brak: не хватает остатка в источнике
+function planTransferAllocation(batches, quantity, compareBatches) {
+  let remaining = quantity;
+  const allocations = [];
+  [...batches].sort(compareBatches).forEach((batch) => {
+    const available = Number(batch.ilosc_aktualna) || 0;
+    if (remaining <= 0 || available <= 0) return;
+    const ilosc = Math.min(available, remaining);
+    allocations.push({ batch, ilosc });
+    remaining -= ilosc;
+  });
+  return { allocations, brak: remaining };
+}
+
+// Порядок партий при wydaniu: партии lokalizacji locationId идут первыми, внутри
+// групп — compareBatches (FIFO/FEFO). Партии без location_id лежат в magazynie głównym.
+function preferLocation(compareBatches, locationId = DEFAULT_LOCATION_ID) {
+  const inLocation = (batch) => (Number(batch.location_id) || DEFAULT_LOCATION_ID) === locationId;
+  return (a, b) => {
+    if (inLocation(a) !== inLocation(b)) return inLocation(a) ? -1 : 1;
+    return compareBatches(a, b);
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCATION_ID,
+  LOCATION_TYPES,
+  parseLocationId,
+  validateLocationInput,
+  normalizeTransferItems,
+  planTransferAllocation,
+  preferLocation,
+};
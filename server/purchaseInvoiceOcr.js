@@ -1,4 +1,6 @@
 ﻿const { PDFParse } = require('pdf-parse');
+const { cleanSupplierName } = require('./suppliers');
+const { isCompanyName } = require('./companies');
 
 // ─── PDF text extraction ─────────────────────────────────────────────────────
 
@@ -14,7 +16,8 @@ async function extractTextFromPdfBuffer(buffer) {
 
 // ─── Groq parser ─────────────────────────────────────────────────────────────
 
-async function parseWithGroq(text) {
+// buyerNames — названия наших firm (kartoteka companies): они всегда nabywca, не sprzedawca
+async function parseWithGroq(text, buyerNames = []) {
   const apiKey = process.env.GROQ_API_KEY;
   if (!apiKey) throw new Error('GROQ_API_KEY nie jest ustawiony na serwerze');
 
@@ -29,6 +32,7 @@ async function parseWithGroq(text) {
 Return ONLY valid JSON (no markdown, no explanation):
 {
   "sprzedawca": "supplier company name",
+  "sprzedawca_nip": "IT01234567890",
   "waluta": "EUR",
   "suma_netto": "1150,50",
   "suma_vat": "264,62",
@@ -74,12 +78,13 @@ How to find seller by language:
 - FR: branding/logo company (e.g. "CHAMPAGNE Chavost")
 
 NEVER return as sprzedawca (these are ALWAYS the buyer):
-- Win Experience, WIN EXPERIENCE, Win Experience Spółka z o.o.
-- ENOTERRA, ENOTERRA POLAND
+${buyerNames.map((name) => `- ${name}`).join('\n')}
 - Any name under: Nabywca, Acquirente, Destinatario, Recipient, Kupujący,
   Bill to, Sold to, Company Data (recipient block)
 
 Return only company trade name — no address, NIP/VAT, phone.
+Put the seller's tax number (NIP / VAT / P.IVA / CVR / Org.nr) separately in sprzedawca_nip,
+as printed, with the country prefix if present. Never the buyer's number. "" if not found.
 
 Clean sprzedawca name — remove legal entity form AND everything after it:
 Keep only the trade/brand name before the legal form suffix.
@@ -240,7 +245,7 @@ FERAL S.R.L. invoice — CRITICAL (columns left to right):
 === CRITICAL RULES ===
 1. Join multi-line PDF rows into one product BEFORE extracting fields (see MULTI-LINE ROWS)
 2. Never assign one row's quantity/price to a different row
-3. Win Experience / ENOTERRA is never the supplier
+3. ${buyerNames.length > 0 ? buyerNames.join(' / ') : 'The buyer'} is never the supplier
 4. When unsure, prefer the column labeled quantity/ilość/antal/qty for ilosc
 
 Invoice text:
@@ -293,20 +298,6 @@ function formatPrice(value) {
   return (Math.round(value * 100) / 100).toFixed(2).replace('.', ',');
 }
 
-/** Strip legal entity suffix and everything after it from supplier name */
-function cleanSupplierName(name) {
-  let s = String(name || '').trim();
-  if (!s) return '';
-
-  s = s.replace(/,.*$/, '').trim();
-
-  const legalFormPattern =
-    /\s+(?:spółka z ograniczoną odpowiedzialnością|spolka z ograniczona odpowiedzialnoscia|societ[aà]\s+benefit|sp\.\s*z\.?\s*o\.?\s*o\.?|s\.\s*p\.\s*a\.?|s\.\s*r\.\s*l\.?|sp\.\s*j\.?|sp\.\s*k\.?|s\.?\s*a\.?\s*s\.?|sarl|sas|eurl|snc|gmbh|ag|aps|a\/s|asa|\bas\b|a\.?\s*s\.?|oy|ab|nv|bv|ltd\.?|limited|llc|inc\.?|corp\.?|co\.?|spa|srl)(?:\s.*)?$/i;
-
-  s = s.replace(legalFormPattern, '').trim();
-  return s.replace(/\s+/g, ' ').trim().slice(0, 120);
-}
-
 /** Catalog unit net before line-total division */
 function unitNetFromCatalog(product, discountOverride) {
   const catalog = parseNumber(
@@ -489,7 +480,7 @@ function mapProduct(product, waluta = 'EUR') {
 
 // ─── Main entry point ────────────────────────────────────────────────────────
 
-async function parsePurchaseInvoicePdf(buffer) {
+async function parsePurchaseInvoicePdf(buffer, { buyerNames = [] } = {}) {
   let text = '';
   try {
     text = await extractTextFromPdfBuffer(buffer);
@@ -502,7 +493,12 @@ async function parsePurchaseInvoicePdf(buffer) {
   }
 
   try {
-    const parsed = await parseWithGroq(text);
+    const parsed = await parseWithGroq(text, buyerNames);
+    // Модель всё же вернула нашу firmę — sprzedawca не распознан
+    if (parsed && isCompanyName(parsed.sprzedawca, buyerNames)) {
+      parsed.sprzedawca = '';
+      parsed.sprzedawca_nip = '';
+    }
 
     if (!parsed || (!parsed.sprzedawca && (!parsed.products || parsed.products.length === 0))) {
       return { success: false, error: 'Nie udało się rozpoznać danych faktury.', data: null };
@@ -514,6 +510,7 @@ async function parsePurchaseInvoicePdf(buffer) {
       success: true,
       data: {
         sprzedawca: cleanSupplierName(parsed.sprzedawca),
+        sprzedawca_nip: String(parsed.sprzedawca_nip || '').trim(),
         waluta,
         suma_netto: formatPrice(parseNumber(parsed.suma_netto)),
         suma_vat: formatPrice(parseNumber(parsed.suma_vat)),
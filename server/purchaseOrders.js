@@ -0,0 +1,281 @@
+const { normalizeBarcode } = require('./barcodes');
+const { normalizeExpiryDate } = require('./batchExpiry');
+
+// ─── Zamówienia zakupu u dostawców (purchase_orders / purchase_order_items) ──
+
+// Ceny pozycji zamówienia — w walucie dostawcy (purchase_orders.waluta), как в
+// JSON przyjęcia (product_receipts.products). Przyjęcia, созданные из zamówienia,
+// ссылаются на него через product_receipts.purchase_order_id; przyjęta ilość
+// считается по их позициям, поэтому правка или удаление przyjęcia сразу
+// отражается на pozostałej ilości и статусе.
+
+const PURCHASE_ORDER_STATUS = {
+  OTWARTE: 'otwarte',
+  CZESCIOWO: 'częściowo_przyjęte',
+  PRZYJETE: 'przyjęte',
+  ZAMKNIETE: 'zamknięte',
+  ANULOWANE: 'anulowane',
+};
+
+const PURCHASE_ORDER_WALUTY = ['EUR', 'PLN', 'DKK'];
+
+// "12,50" / 12.5 → число; null — пусто или не число
+function parsePrice(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const n = parseFloat(String(value).replace(/\s/g, '').replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Тело POST / PUT /api/purchase-orders → { value } или { error }
+function validatePurchaseOrderInput(body = {}) {
+  const sprzedawca = String(body.sprzedawca || '').trim();
+  const supplierId = body.supplier_id ? Number(body.supplier_id) : null;
+  const waluta = String(body.waluta || 'EUR').trim().toUpperCase();
+  const dataZamowienia = normalizeExpiryDate(body.data_zamowienia);
+  const dataDostawy = body.data_dostawy ? normalizeExpiryDate(body.data_dostawy) : null;
+  if (!sprzedawca && !supplierId) {
+    return { error: 'Dostawca jest wymagany' };
+  }
+  if (supplierId !== null && (!Number.isInteger(supplierId) || supplierId <= 0)) {
+    return { error: 'Niepoprawny identyfikator dostawcy' };
+  }
+  if (!PURCHASE_ORDER_WALUTY.includes(waluta)) {
+    return { error: `Nieobsługiwana waluta zamówienia: ${waluta}` };
+  }
+  if (!dataZamowienia) {
+    return { error: 'Data zamówienia jest wymagana (RRRR-MM-DD)' };
+  }
+  if (body.data_dostawy && !dataDostawy) {
+    return { error: 'Niepoprawna oczekiwana data dostawy (RRRR-MM-DD)' };
+  }
+  if (dataDostawy && dataDostawy < dataZamowienia) {
+    return { error: 'Oczekiwana data dostawy nie może być wcześniejsza niż data zamówienia' };
+  }
+  if (!Array.isArray(body.pozycje) || body.pozycje.length === 0) {
+    return { error: 'Zamówienie musi zawierać co najmniej jedną pozycję' };
+  }
+
+  const items = [];
+  for (const [idx, raw] of body.pozycje.entries()) {
+    const nr = idx + 1;
+    const kod = String((raw && raw.kod) || '').trim();
+    const nazwa = String((raw && raw.nazwa) || '').trim();
+    const ilosc = Number(raw && raw.ilosc);
+    const cena = parsePrice(raw && raw.cena);
+    if (!kod || !nazwa) {
+      return { error: `Pozycja ${nr}: kod i nazwa są wymagane` };
+    }
+    if (items.some((item) => item.kod === kod)) {
+      return { error: `Produkt ${kod} występuje w zamówieniu więcej niż raz` };
+    }
+    if (!Number.isInteger(ilosc) || ilosc <= 0) {
+      return { error: `Pozycja ${nr} (${kod}): ilość musi być dodatnią liczbą całkowitą` };
+    }
+    if (cena === null || cena < 0) {
+      return { error: `Pozycja ${nr} (${kod}): cena musi być liczbą nie mniejszą niż 0` };
+    }
+    items.push({
+      kod,
+      nazwa,
+      kod_kreskowy: normalizeBarcode(raw.kod_kreskowy) || null,
+      ilosc,
+      cena: round2(cena),
+    });
+  }
+
+  return {
+    value: {
+      sprzedawca,
+      supplier_id: supplierId,
+      waluta,
+      data_zamowienia: dataZamowienia,
+      data_dostawy: dataDostawy,
+      uwagi: String(body.uwagi || '').trim() || null,
+      items,
+    },
+  };
+}
+
+// ─── Realizacja ─────────────────────────────────────────────────────────────
+
+// Позиции przyjęć [{ products: JSON }] → Map kod → przyjęta ilość
+function summarizeReceivedQuantities(receipts) {
+  const byKod = new Map();
+  receipts.forEach((receipt) => {
+    parseReceiptProducts(receipt.products).forEach((product) => {
+      const kod = String(product.kod || '').trim();
+      if (!kod) return;
+      byKod.set(kod, (byKod.get(kod) || 0) + (Number(product.ilosc) || 0));
+    });
+  });
+  return byKod;
+}
+
+function parseReceiptProducts(products) {
+  if (Array.isArray(products)) return products;
+  try {
+    const parsed = JSON.parse(products || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// Статус выводится из realizacji: zamknięcie вручную фиксирует недопоставку
+// (zamknięte) или отмену, если ничего не пришло (anulowane)
+function purchaseOrderStatus(zamkniete, pozycje) {
+  const przyjeto = pozycje.some((item) => item.ilosc_przyjeta > 0);
+  if (zamkniete) {
+    return przyjeto ? PURCHASE_ORDER_STATUS.ZAMKNIETE : PURCHASE_ORDER_STATUS.ANULOWANE;
+  }
+  if (pozycje.every((item) => item.ilosc_pozostala === 0)) return PURCHASE_ORDER_STATUS.PRZYJETE;
+  return przyjeto ? PURCHASE_ORDER_STATUS.CZESCIOWO : PURCHASE_ORDER_STATUS.OTWARTE;
+}
+
+// Zamówienie + pozycje + powiązane przyjęcia → pozycje z ilosc_przyjeta / ilosc_pozostala,
+// статус и towary spoza zamówienia (пришли в przyjęciu, но не заказывались)
+function buildPurchaseOrderProgress(order, items, receipts) {
+  const received = summarizeReceivedQuantities(receipts);
+  const pozycje = items.map((item) => {
+    const iloscPrzyjeta = received.get(item.kod) || 0;
+    return {
+      ...item,
+      ilosc_przyjeta: iloscPrzyjeta,
+      ilosc_pozostala: Math.max(item.ilosc - iloscPrzyjeta, 0),
+    };
+  });
+  const zamowione = new Set(items.map((item) => item.kod));
+  const pozaZamowieniem = [...received.entries()]
+    .filter(([kod]) => !zamowione.has(kod))
+    .map(([kod, ilosc]) => ({ kod, ilosc }));
+  return {
+    ...order,
+    status: purchaseOrderStatus(order.zamkniete, pozycje),
+    pozycje,
+    poza_zamowieniem: pozaZamowieniem,
+    podsumowanie: {
+      pozycje: pozycje.length,
+      ilosc: pozycje.reduce((sum, item) => sum + item.ilosc, 0),
+      ilosc_przyjeta: pozycje.reduce((sum, item) => sum + Math.min(item.ilosc_przyjeta, item.ilosc), 0),
+      ilosc_pozostala: pozycje.reduce((sum, item) => sum + item.ilosc_pozostala, 0),
+      wartosc: round2(pozycje.reduce((sum, item) => sum + item.ilosc * item.cena, 0)),
+    },
+  };
+}
+
+// Szkic przyjęcia dla AddProductModal: только pozostałe ilości, цены из zamówienia;
+// typ, objętość и brakujący EAN — из kartoteki (sheets: [{kod, kod_kreskowy, typ, objetosc}])
+function buildPurchaseOrderReceiptDraft(progress, sheets = []) {
+  const sheetsByKod = new Map(sheets.map((sheet) => [sheet.kod, sheet]));
+  return {
+    purchase_order_id: progress.id,
+    numer: progress.numer,
+    sprzedawca: progress.sprzedawca,
+    supplier_id: progress.supplier_id || null,
+    waluta: progress.waluta,
+    products: progress.pozycje
+      .filter((item) => item.ilosc_pozostala > 0)
+      .map((item) => {
+        const sheet = sheetsByKod.get(item.kod);
+        return {
+          kod: item.kod,
+          nazwa: item.nazwa,
+          kod_kreskowy: item.kod_kreskowy || (sheet && normalizeBarcode(sheet.kod_kreskowy)) || '',
+          ilosc: item.ilosc_pozostala,
+          ilosc_zamowiona: item.ilosc_pozostala,
+          cena: item.cena,
+          typ: sheet ? sheet.typ || '' : '',
+          objetosc: sheet && sheet.objetosc ? String(sheet.objetosc) : '',
+        };
+      }),
+  };
+}
+
+// ─── Odchylenia cen ─────────────────────────────────────────────────────────
+
+// Цена przyjęcia → waluta zamówienia через EUR по курсам самого przyjęcia
+// (kurs_eur_pln, kurs_faktury = 1 EUR → waluta faktury). null — курса нет
+// (например, zamówienie в DKK, а faktura в PLN).
+function convertReceiptPrice(cena, receipt, walutaZamowienia) {
+  const walutaFaktury = receipt.waluta_faktury || 'EUR';
+  if (walutaFaktury === walutaZamowienia) return cena;
+  const kursy = { EUR: 1, PLN: receipt.kurs_eur_pln || null };
+  if (walutaFaktury === 'DKK') kursy.DKK = receipt.kurs_faktury || null;
+  if (!kursy[walutaFaktury] || !kursy[walutaZamowienia]) return null;
+  return (cena / kursy[walutaFaktury]) * kursy[walutaZamowienia];
+}
+
+// Pozycje przyjęć, powiązanych z zamówieniami → строки отчёта с ceną zamówienia и
+// фактической ценой (после rabatu przyjęcia), пересчитанной в walutę zamówienia.
+// orders — [{ id, numer, sprzedawca, waluta, pozycje }], receipts — [{ id,
+// purchase_order_id, dataPrzyjecia, products, rabat, waluta_faktury, kurs_faktury, kurs_eur_pln }]
+function buildPriceVarianceReport(orders, receipts) {
+  const ordersById = new Map(orders.map((order) => [order.id, order]));
+  const pozycje = [];
+  receipts.forEach((receipt) => {
+    const order = ordersById.get(receipt.purchase_order_id);
+    if (!order) return;
+    const itemsByKod = new Map(order.pozycje.map((item) => [item.kod, item]));
+    const rabat = Number(receipt.rabat) || 0;
+    parseReceiptProducts(receipt.products).forEach((product) => {
+      const item = itemsByKod.get(String(product.kod || '').trim());
+      if (!item) return;
+      const ilosc = Number(product.ilosc) || 0;
+      const cenaFaktury = round2((parsePrice(product.cena) || 0) * (1 - rabat / 100));
+      const converted = convertReceiptPrice(cenaFaktury, receipt, order.waluta);
+      const cenaPrzyjecia = converted === null ? null : round2(converted);
+      const roznica = cenaPrzyjecia === null ? null : round2(cenaPrzyjecia - item.cena);
+      pozycje.push({
+        purchase_order_id: order.id,
+        numer_zamowienia: order.numer,
+        sprzedawca: order.sprzedawca,
+        receipt_id: receipt.id,
+        data_przyjecia: receipt.dataPrzyjecia,
+        kod: item.kod,
+        nazwa: item.nazwa,
+        ilosc,
+        waluta: order.waluta,
+        cena_zamowienia: item.cena,
+        waluta_faktury: receipt.waluta_faktury || 'EUR',
+        cena_faktury: cenaFaktury,
+        cena_przyjecia: cenaPrzyjecia,
+        roznica,
+        roznica_proc: roznica === null || item.cena === 0 ? null : round2((roznica / item.cena) * 100),
+        wartosc_roznicy: roznica === null ? null : round2(roznica * ilosc),
+      });
+    });
+  });
+
+  // Итоги по валюте zamówienia: суммы в разных валютах не складываем
+  const byWaluta = new Map();
+  pozycje.forEach((row) => {
+    const entry = byWaluta.get(row.waluta) || { waluta: row.waluta, pozycje: 0, drozej: 0, taniej: 0, wartosc_roznicy: 0 };
+    entry.pozycje += 1;
+    if (row.roznica > 0) entry.drozej += 1;
+    if (row.roznica < 0) entry.taniej += 1;
+    entry.wartosc_roznicy = round2(entry.wartosc_roznicy + (row.wartosc_roznicy || 0));
+    byWaluta.set(row.waluta, entry);
+  });
+
+  return {
+    pozycje,
+    podsumowanie: {
+      pozycje: pozycje.length,
+      bez_kursu: pozycje.filter((row) => row.cena_przyjecia === null).length,
+      waluty: [...byWaluta.values()],
+    },
+  };
+}
+
+module.exports = {
+  PURCHASE_ORDER_STATUS,
+  PURCHASE_ORDER_WALUTY,
+  validatePurchaseOrderInput,
+  buildPurchaseOrderProgress,
+  buildPurchaseOrderReceiptDraft,
+  buildPriceVarianceReport,
+  convertReceiptPrice,
+  parseReceiptProducts,
+};
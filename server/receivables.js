@@ -0,0 +1,105 @@
+const { roundMoney } = require('./invoiceTotals');
+
+// ─── Статусы оплаты фактур ──────────────────────────────────────────────────
+
+const PAYMENT_STATUS = {
+  NIEOPLACONA: 'nieopłacona',
+  CZESCIOWO: 'częściowo',
+  OPLACONA: 'opłacona',
+  PO_TERMINIE: 'po terminie',
+};
+
+const PAYMENT_METHODS = ['przelew', 'gotówka', 'karta', 'kompensata'];
+
+const AGING_BUCKETS = [
+  { key: '0_30', label: '0–30', from: 0, to: 30 },
+  { key: '31_60', label: '31–60', from: 31, to: 60 },
+  { key: '61_90', label: '61–90', from: 61, to: 90 },
+  { key: '90_plus', label: '90+', from: 91, to: Infinity },
+];
+
+function toDateOnly(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+// Сколько дней прошло после termin_platnosci (0 — в день срока или раньше).
+function daysPastDue(terminPlatnosci, today) {
+  const termin = toDateOnly(terminPlatnosci);
+  const now = toDateOnly(today);
+  if (termin == null || now == null) return 0;
+  return Math.max(0, Math.round((now - termin) / (24 * 60 * 60 * 1000)));
+}
+
+// należność — сумма к оплате (brutto faktury + korekty), zaplacono — сумма платежей.
+function computePaymentStatus({ naleznosc, zaplacono, terminPlatnosci, today }) {
+  const due = roundMoney(naleznosc);
+  const paid = roundMoney(zaplacono);
+  const pozostalo = roundMoney(due - paid);
+
+  let status;
+  if (pozostalo <= 0) {
+    status = PAYMENT_STATUS.OPLACONA;
+  } else if (daysPastDue(terminPlatnosci, today) > 0) {
+    status = PAYMENT_STATUS.PO_TERMINIE;
+  } else if (paid > 0) {
+    status = PAYMENT_STATUS.CZESCIOWO;
+  } else {
+    status = PAYMENT_STATUS.NIEOPLACONA;
+  }
+
+  return { status, naleznosc: due, zaplacono: paid, pozostalo: Math.max(0, pozostalo) };
+}
+
+// ─── Aging należności ───────────────────────────────────────────────────────
+
+function bucketForDays(days) {
+  return AGING_BUCKETS.find((b) => days >= b.from && days <= b.to) || AGING_BUCKETS[0];
+}
+
+// Группирует непогашенные остатки по клиентам и по возрасту просрочки.
+// "biezace" — ещё не наступил termin płatności.
+function buildAgingReport(invoices, today) {
+  const emptyBuckets = () => ({
+    biezace: 0,
+    ...Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0])),
+    razem: 0,
+  });
+
+  const byClient = new Map();
+  const totals = emptyBuckets();
+
+  (invoices || []).forEach((inv) => {
+    if (!(inv.pozostalo > 0)) return;
+    const key = inv.client_id != null ? `id:${inv.client_id}` : `n:${inv.klient_nazwa || ''}`;
+    if (!byClient.has(key)) {
+      byClient.set(key, {
+        client_id: inv.client_id ?? null,
+        klient_nazwa: inv.klient_nazwa || '',
+        ...emptyBuckets(),
+      });
+    }
+    const row = byClient.get(key);
+    const days = daysPastDue(inv.termin_platnosci, today);
+    const bucketKey = days > 0 ? bucketForDays(days).key : 'biezace';
+    row[bucketKey] = roundMoney(row[bucketKey] + inv.pozostalo);
+    row.razem = roundMoney(row.razem + inv.pozostalo);
+    totals[bucketKey] = roundMoney(totals[bucketKey] + inv.pozostalo);
+    totals.razem = roundMoney(totals.razem + inv.pozostalo);
+  });
+
+  return {
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    clients: Array.from(byClient.values()).sort((a, b) => b.razem - a.razem),
+    totals,
+  };
+}
+
+module.exports = {
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  daysPastDue,
+  computePaymentStatus,
+  buildAgingReport,
+};
@@ -0,0 +1,238 @@
+const { convertReceiptPrice, parseReceiptProducts } = require('./purchaseOrders');
+
+// ─── Uzupełnianie zapasów (replenishment) ───────────────────────────────────
+
+// Średnie zużycie — то же, что показывает Stan magazynu (computeAverageConsumptionFromRows
+// / zamrozone_srednie_zuzycie). Pozycja zapasu = stan magazynu − aktywne rezerwacje
+// + towar w komisie + pozostałe ilości z otwartych zamówień zakupu.
+// Punkt zamówienia = zużycie × czas dostawy + zapas bezpieczeństwa; когда pozycja
+// опускается до него, предлагается дозаказ до poziomu docelowego = zużycie ×
+// (czas dostawy + okres pokrycia) + zapas bezpieczeństwa.
+// Czas dostawy: из kartoteki produktu, иначе из kartoteki dostawcy, иначе domyślny.
+
+const REPLENISHMENT_DEFAULTS = {
+  CZAS_DOSTAWY_DNI: 14,
+  OKRES_POKRYCIA_DNI: 30,
+};
+
+const CZAS_DOSTAWY_ZRODLA = {
+  PRODUKT: 'produkt',
+  DOSTAWCA: 'dostawca',
+  DOMYSLNY: 'domyślny',
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// '' / null → null (wartość domyślna), иначе целое 0..max; undefined — поле не передано
+function parseOptionalDays(value, max) {
+  if (value === undefined) return { skip: true };
+  if (value === null || String(value).trim() === '') return { value: null };
+  const n = Number(String(value).trim());
+  if (!Number.isInteger(n) || n < 0 || n > max) return { error: true };
+  return { value: n };
+}
+
+// Тело PUT /api/replenishment/settings/:kod → { value } или { error }
+function validateReplenishmentSettings(body = {}) {
+  const czas = parseOptionalDays(body.czas_dostawy_dni, 365);
+  if (czas.error) return { error: 'Czas dostawy musi być liczbą dni od 0 do 365' };
+  const zapas = parseOptionalDays(body.zapas_bezpieczenstwa, 100000);
+  if (zapas.error) return { error: 'Zapas bezpieczeństwa musi być nieujemną liczbą całkowitą' };
+  if (czas.skip && zapas.skip) {
+    return { error: 'Podaj czas_dostawy_dni lub zapas_bezpieczenstwa' };
+  }
+  const value = {};
+  if (!czas.skip) value.czas_dostawy_dni = czas.value;
+  if (!zapas.skip) value.zapas_bezpieczenstwa = zapas.value;
+  return { value };
+}
+
+// ?okres= → дни pokrycia (1..365) или null
+function parseOkresPokrycia(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return REPLENISHMENT_DEFAULTS.OKRES_POKRYCIA_DNI;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= 365 ? n : null;
+}
+
+// Przyjęcia (по возрастанию даты, с kurs_eur_pln) → Map kod → последняя цена закупки
+// { cena (po rabacie, в walucie faktury), data, receipt } — для цены в szkicu zamówienia
+function collectLastPurchasePrices(receipts) {
+  const byKod = new Map();
+  receipts.forEach((receipt) => {
+    const rabat = Number(receipt.rabat) || 0;
+    parseReceiptProducts(receipt.products).forEach((product) => {
+      const kod = String(product.kod || '').trim();
+      const cena = parseFloat(String(product.cena ?? '').replace(',', '.'));
+      if (!kod || !Number.isFinite(cena)) return;
+      byKod.set(kod, { cena: cena * (1 - rabat / 100), data: receipt.dataPrzyjecia, receipt });
+    });
+  });
+  return byKod;
+}
+
+const addDays = (today, days) => {
+  const date = new Date(`${today}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Один produkt → строка предложения. product — { kod, nazwa, kod_kreskowy, ilosc,
+// zarezerwowane, komis, zamowione, srednie_zuzycie, czas_dostawy_dni, zapas_bezpieczenstwa,
+// supplier: { czas_dostawy_dni, waluta } | null, ostatnia_cena: { cena, receipt } | null }
+function computeReplenishmentLine(product, { okresPokryciaDni, today }) {
+  const zuzycie = Math.max(Number(product.srednie_zuzycie) || 0, 0);
+  const supplier = product.supplier || null;
+  let czasDostawy = REPLENISHMENT_DEFAULTS.CZAS_DOSTAWY_DNI;
+  let czasDostawyZrodlo = CZAS_DOSTAWY_ZRODLA.DOMYSLNY;
+  if (product.czas_dostawy_dni != null) {
+    czasDostawy = product.czas_dostawy_dni;
+    czasDostawyZrodlo = CZAS_DOSTAWY_ZRODLA.PRODUKT;
+  } else if (supplier && supplier.czas_dostawy_dni != null) {
+    czasDostawy = supplier.czas_dostawy_dni;
+    czasDostawyZrodlo = CZAS_DOSTAWY_ZRODLA.DOSTAWCA;
+  }
+  const zapas = product.zapas_bezpieczenstwa || 0;
+
+  const dostepne = (product.ilosc || 0) - (product.zarezerwowane || 0) + (product.komis || 0);
+  const pozycja = dostepne + (product.zamowione || 0);
+  const punktZamowienia = Math.ceil(zuzycie * czasDostawy + zapas);
+  const poziomDocelowy = Math.ceil(zuzycie * (czasDostawy + okresPokryciaDni) + zapas);
+  const sugerowana = (zuzycie > 0 || zapas > 0) && pozycja <= punktZamowienia
+    ? Math.max(poziomDocelowy - pozycja, 0)
+    : 0;
+
+  // Прогноз по доступному остатку (без ещё не пришедших zamówień)
+  const dniZapasu = zuzycie > 0 ? Math.max(Math.floor(dostepne / zuzycie), 0) : null;
+  const dataWyczerpania = dniZapasu === null ? null : addDays(today, dniZapasu);
+  const zamowicDo = dniZapasu === null ? null : addDays(today, Math.max(dniZapasu - czasDostawy, 0));
+
+  const waluta = supplier ? supplier.waluta : null;
+  let cena = null;
+  if (product.ostatnia_cena) {
+    const { cena: cenaFaktury, receipt } = product.ostatnia_cena;
+    const converted = convertReceiptPrice(cenaFaktury, receipt, waluta || receipt.waluta_faktury || 'EUR');
+    cena = converted === null ? null : round2(converted);
+  }
+
+  return {
+    kod: product.kod,
+    nazwa: product.nazwa,
+    kod_kreskowy: product.kod_kreskowy || null,
+    ilosc: product.ilosc || 0,
+    zarezerwowane: product.zarezerwowane || 0,
+    komis: product.komis || 0,
+    zamowione: product.zamowione || 0,
+    dostepne,
+    srednie_zuzycie: Math.round(zuzycie * 1000) / 1000,
+    czas_dostawy_dni: czasDostawy,
+    czas_dostawy_zrodlo: czasDostawyZrodlo,
+    czas_dostawy_produktu: product.czas_dostawy_dni ?? null,
+    zapas_bezpieczenstwa: zapas,
+    punkt_zamowienia: punktZamowienia,
+    poziom_docelowy: poziomDocelowy,
+    dni_zapasu: dniZapasu,
+    data_wyczerpania: dataWyczerpania,
+    zamowic_do: zamowicDo,
+    sugerowana_ilosc: sugerowana,
+    cena,
+    waluta: waluta || (product.ostatnia_cena && product.ostatnia_cena.receipt.waluta_faktury) || null,
+    wartosc: cena === null ? null : round2(cena * sugerowana),
+  };
+}
+
+// products → предложения, сгруппированные по dostawcom (без dostawcy — отдельной группой).
+// wszystkie: false — только строки с sugerowana_ilosc > 0; true — все с zużyciem или zapasem.
+function buildReplenishmentSuggestions(products, { okresPokryciaDni, today, wszystkie = false }) {
+  const groups = new Map();
+  products.forEach((product) => {
+    const line = computeReplenishmentLine(product, { okresPokryciaDni, today });
+    if (wszystkie ? line.srednie_zuzycie <= 0 && line.zapas_bezpieczenstwa <= 0 : line.sugerowana_ilosc <= 0) return;
+
+    const supplier = product.supplier || null;
+    const key = supplier ? `id:${supplier.id}` : 'brak';
+    if (!groups.has(key)) {
+      groups.set(key, {
+        supplier_id: supplier ? supplier.id : null,
+        nazwa: supplier ? supplier.nazwa : 'Bez dostawcy',
+        waluta: supplier ? supplier.waluta : null,
+        pozycje: [],
+      });
+    }
+    groups.get(key).pozycje.push(line);
+  });
+
+  const dostawcy = [...groups.values()]
+    .map((group) => {
+      const doZamowienia = group.pozycje.filter((line) => line.sugerowana_ilosc > 0);
+      return {
+        ...group,
+        pozycje: group.pozycje.sort((a, b) => (
+          (a.zamowic_do || '9999').localeCompare(b.zamowic_do || '9999') || a.kod.localeCompare(b.kod)
+        )),
+        podsumowanie: {
+          pozycje: doZamowienia.length,
+          ilosc: doZamowienia.reduce((sum, line) => sum + line.sugerowana_ilosc, 0),
+          wartosc: round2(doZamowienia.reduce((sum, line) => sum + (line.wartosc || 0), 0)),
+          bez_ceny: doZamowienia.filter((line) => line.cena === null).length,
+        },
+      };
+    })
+    .sort((a, b) => (a.supplier_id === null) - (b.supplier_id === null) || a.nazwa.localeCompare(b.nazwa));
+
+  return {
+    parametry: {
+      okres_pokrycia_dni: okresPokryciaDni,
+      domyslny_czas_dostawy_dni: REPLENISHMENT_DEFAULTS.CZAS_DOSTAWY_DNI,
+      data: today,
+    },
+    dostawcy,
+    podsumowanie: {
+      dostawcy: dostawcy.filter((group) => group.podsumowanie.pozycje > 0).length,
+      pozycje: dostawcy.reduce((sum, group) => sum + group.podsumowanie.pozycje, 0),
+      ilosc: dostawcy.reduce((sum, group) => sum + group.podsumowanie.ilosc, 0),
+    },
+  };
+}
+
+// Предложения → строки листа XLSX (по одной на позицию с sugerowana_ilosc > 0)
+function replenishmentSheetRows(suggestions) {
+  const rows = [];
+  suggestions.dostawcy.forEach((group) => {
+    group.pozycje
+      .filter((line) => line.sugerowana_ilosc > 0)
+      .forEach((line) => {
+        rows.push({
+          Dostawca: group.nazwa,
+          Kod: line.kod,
+          Nazwa: line.nazwa,
+          EAN: line.kod_kreskowy || '',
+          'Stan': line.ilosc,
+          'Rezerwacje': line.zarezerwowane,
+          'Komis': line.komis,
+          'Zamówione': line.zamowione,
+          'Zużycie / dzień': line.srednie_zuzycie,
+          'Czas dostawy (dni)': line.czas_dostawy_dni,
+          'Zapas bezpieczeństwa': line.zapas_bezpieczenstwa,
+          'Punkt zamówienia': line.punkt_zamowienia,
+          'Wyczerpanie': line.data_wyczerpania || '',
+          'Zamówić do': line.zamowic_do || '',
+          'Sugerowana ilość': line.sugerowana_ilosc,
+          'Cena': line.cena ?? '',
+          'Waluta': line.waluta || '',
+          'Wartość': line.wartosc ?? '',
+        });
+      });
+  });
+  return rows;
+}
+
+module.exports = {
+  REPLENISHMENT_DEFAULTS,
+  CZAS_DOSTAWY_ZRODLA,
+  validateReplenishmentSettings,
+  parseOkresPokrycia,
+  collectLastPurchasePrices,
+  computeReplenishmentLine,
+  buildReplenishmentSuggestions,
+  replenishmentSheetRows,
+};
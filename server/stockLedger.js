@@ -0,0 +1,92 @@
+// ─── Dziennik ruchów magazynowych (stock_movements) ─────────────────────────
+
+// Журнал только дописывается. Строка с batch_id меняет остаток партии products
+// и остаток kod; строка без batch_id — только остаток kod (working_sheets).
+// Поэтому:
+//   working_sheets.ilosc(kod)        = SUM(quantity) WHERE kod = ?
+//   products.ilosc_aktualna(партия)  = SUM(quantity) WHERE batch_id = ?
+
+const STOCK_DOCUMENT_TYPES = {
+  OPENING: 'bilans_otwarcia',
+  ORDER: 'zamowienie',
+  RETURN: 'zwrot',
+  WRITEOFF: 'odpisanie',
+  PRZYCHOD: 'przychod',
+  TRANSFER: 'przesuniecie',
+  RECEIPT: 'przyjecie',
+  CORRECTION: 'korekta',
+  RECONCILE: 'uzgodnienie',
+};
+
+// orders.typ → тип документа в журнале (обычные заказы хранятся с typ NULL)
+function stockDocumentTypeForOrder(orderTyp) {
+  switch (orderTyp) {
+    case 'zwrot':
+      return STOCK_DOCUMENT_TYPES.RETURN;
+    case 'odpisanie':
+      return STOCK_DOCUMENT_TYPES.WRITEOFF;
+    case 'przychod':
+      return STOCK_DOCUMENT_TYPES.PRZYCHOD;
+    case 'przesuniecie':
+      return STOCK_DOCUMENT_TYPES.TRANSFER;
+    default:
+      return STOCK_DOCUMENT_TYPES.ORDER;
+  }
+}
+
+// Накопитель движений одного запроса. Обработчики сообщают, на сколько изменили
+// working_sheets.ilosc (sheet) и products.ilosc_aktualna (batch); toRows() сводит их
+// в строки журнала: по строке на партию + остаток по kod без партии.
+function createStockMovementCollector() {
+  const sheetDeltas = new Map();
+  const batchDeltas = new Map();
+  let document = { type: null, id: null };
+
+  return {
+    setDocument(type, id) {
+      document = { type, id: id == null ? null : String(id) };
+    },
+    get document() {
+      return document;
+    },
+    sheet(kod, quantity) {
+      const delta = Number(quantity) || 0;
+      if (!kod || delta === 0) return;
+      sheetDeltas.set(kod, (sheetDeltas.get(kod) || 0) + delta);
+    },
+    batch(kod, batchId, quantity) {
+      const delta = Number(quantity) || 0;
+      if (!kod || batchId == null || delta === 0) return;
+      const entry = batchDeltas.get(batchId) || { kod, quantity: 0 };
+      entry.quantity += delta;
+      batchDeltas.set(batchId, entry);
+    },
+    isEmpty() {
+      return sheetDeltas.size === 0 && batchDeltas.size === 0;
+    },
+    toRows() {
+      if (!document.type) {
+        throw new Error('Brak typu dokumentu dla ruchów magazynowych');
+      }
+      const rows = [];
+      const batchSumByKod = new Map();
+      for (const [batchId, { kod, quantity }] of batchDeltas) {
+        if (quantity === 0) continue;
+        rows.push({ kod, batch_id: batchId, quantity });
+        batchSumByKod.set(kod, (batchSumByKod.get(kod) || 0) + quantity);
+      }
+      const kods = new Set([...sheetDeltas.keys(), ...batchSumByKod.keys()]);
+      for (const kod of kods) {
+        const unallocated = (sheetDeltas.get(kod) || 0) - (batchSumByKod.get(kod) || 0);
+        if (unallocated !== 0) rows.push({ kod, batch_id: null, quantity: unallocated });
+      }
+      return rows.map((row) => ({ ...row, document_type: document.type, document_id: document.id }));
+    },
+  };
+}
+
+module.exports = {
+  STOCK_DOCUMENT_TYPES,
+  stockDocumentTypeForOrder,
+  createStockMovementCollector,
+};
@@ -0,0 +1,209 @@
+// ─── Uzgodnienie stanów magazynowych ─────────────────────────────────────────
+
+// Остаток kod хранится в нескольких местах, которые обновляются разными путями:
+//   working_sheets.ilosc            — итог по kod;
+//   SUM(products.ilosc_aktualna)    — остатки партий;
+//   приход партий − order_consumptions + возвраты — «netto z wydań»;
+//   SUM(stock_movements.quantity)   — журнал движений (stockLedger.js).
+// Модуль только считает: запросы к базе и запись исправлений — в index.js.
+
+const { consumptionModeForTyp, compareBatchesForConsumption } = require('./batchExpiry');
+const { preferLocation } = require('./locations');
+
+function groupByKod(rows) {
+  const map = new Map();
+  rows.forEach((row) => {
+    if (!map.has(row.kod)) map.set(row.kod, []);
+    map.get(row.kod).push(row);
+  });
+  return map;
+}
+
+function sumBy(rows, field) {
+  return rows.reduce((sum, row) => sum + (Number(row[field]) || 0), 0);
+}
+
+// Ожидаемые остатки партий одного kod: списания order_consumptions за вычетом
+// возвратов снимаются с прихода партий (products.ilosc) в порядке compareBatches
+// (FIFO или FEFO) — отдельно для samples и обычных партий, как в consumeFromProducts.
+// Списания из удалённых партий (правка приёмки пересоздаёт записи products) и
+// возвраты относятся к обычным.
+// → { expected: Map(batchId → ilosc), niedobor } — niedobor: списано больше прихода
+function expectedBatchQuantities(batches, consumptions, returned, compareBatches) {
+  const consumed = { main: 0, samples: 0 };
+  consumptions.forEach((row) => {
+    consumed[row.status === 'samples' ? 'samples' : 'main'] += Number(row.quantity) || 0;
+  });
+  consumed.main = Math.max(0, consumed.main - returned);
+
+  const expected = new Map();
+  let niedobor = 0;
+  ['main', 'samples'].forEach((group) => {
+    let remaining = consumed[group];
+    batches
+      .filter((batch) => (batch.status === 'samples' ? 'samples' : 'main') === group)
+      .sort(compareBatches)
+      .forEach((batch) => {
+        const received = Number(batch.ilosc) || 0;
+        const take = Math.min(received, remaining);
+        expected.set(batch.id, received - take);
+        remaining -= take;
+      });
+    niedobor += remaining;
+  });
+  return { expected, niedobor };
+}
+
+function indexSources({ sheets, batches, consumptions, returns, ledger, ledgerBatches = [], fefoTypes = [] }) {
+  return {
+    fefoTypes,
+    sheetsByKod: groupByKod(sheets),
+    batchesByKod: groupByKod(batches),
+    consumptionsByKod: groupByKod(consumptions),
+    returnsByKod: groupByKod(returns),
+    ledgerByKod: new Map(ledger.map((row) => [row.kod, Number(row.ilosc) || 0])),
+    ledgerBatchesByKod: groupByKod(ledgerBatches),
+  };
+}
+
+// Порядок списания kod определяется typ из working_sheets (FEFO_TYPY); партии
+// magazynu głównego первыми, как в consumeFromProducts
+function batchComparatorForKod(index, kod) {
+  const sheet = (index.sheetsByKod.get(kod) || [])[0];
+  return preferLocation(compareBatchesForConsumption(consumptionModeForTyp(sheet && sheet.typ, index.fefoTypes)));
+}
+
+function allKods(index) {
+  return [...new Set([
+    ...index.sheetsByKod.keys(),
+    ...index.batchesByKod.keys(),
+    ...index.consumptionsByKod.keys(),
+    ...index.ledgerByKod.keys(),
+  ])].filter(Boolean).sort();
+}
+
+// Raport: по строке на kod. Источники:
+//   sheets [{kod, nazwa, ilosc, typ}],
+//   batches [{id, kod, nazwa, ilosc, ilosc_aktualna, status, created_at, data_waznosci, location_id}],
+//   consumptions [{kod, status, quantity}], returns [{kod, ilosc}],
+//   ledger [{kod, ilosc}], ledgerBatches [{kod, batch_id, ilosc}] — суммы stock_movements,
+//   fefoTypes — типы товара, которые списываются по FEFO
+function buildReconcileReport(sources) {
+  const index = indexSources(sources);
+  return allKods(index).map((kod) => {
+    const sheetRows = index.sheetsByKod.get(kod) || [];
+    const batches = index.batchesByKod.get(kod) || [];
+    const { expected, niedobor } = expectedBatchQuantities(
+      batches,
+      index.consumptionsByKod.get(kod) || [],
+      sumBy(index.returnsByKod.get(kod) || [], 'ilosc'),
+      batchComparatorForKod(index, kod)
+    );
+
+    const iloscWorkingSheets = sumBy(sheetRows, 'ilosc');
+    const sumaPartii = sumBy(batches, 'ilosc_aktualna');
+    const nettoZWydan = [...expected.values()].reduce((sum, value) => sum + value, 0);
+    const iloscZDziennika = index.ledgerByKod.get(kod) || 0;
+    const ledgerBatches = new Map((index.ledgerBatchesByKod.get(kod) || []).map((row) => [row.batch_id, Number(row.ilosc) || 0]));
+
+    const roznice = [];
+    if (iloscWorkingSheets !== sumaPartii) roznice.push('working_sheets');
+    if (sumaPartii !== nettoZWydan || batches.some((b) => (Number(b.ilosc_aktualna) || 0) !== expected.get(b.id))) {
+      roznice.push('partie');
+    }
+    const batchIds = new Set([...ledgerBatches.keys(), ...batches.map((b) => b.id)]);
+    const currentByBatch = new Map(batches.map((b) => [b.id, Number(b.ilosc_aktualna) || 0]));
+    if (
+      iloscZDziennika !== iloscWorkingSheets ||
+      [...batchIds].some((id) => (ledgerBatches.get(id) || 0) !== (currentByBatch.get(id) || 0))
+    ) {
+      roznice.push('dziennik');
+    }
+
+    return {
+      kod,
+      nazwa: (sheetRows[0] && sheetRows[0].nazwa) || (batches[0] && batches[0].nazwa) || '',
+      ilosc_working_sheets: sheetRows.length > 0 ? iloscWorkingSheets : null,
+      suma_partii: sumaPartii,
+      netto_z_wydan: nettoZWydan,
+      ilosc_z_dziennika: iloscZDziennika,
+      liczba_partii: batches.length,
+      niedobor,
+      zgodne: roznice.length === 0,
+      roznice,
+    };
+  });
+}
+
+// План пересчёта для kody (null — все kod): ilosc_aktualna партий ← ожидаемые по FIFO/FEFO,
+// working_sheets.ilosc ← сумма партий. Kod без партий не трогаем — пересчитывать
+// не из чего. dziennik — строки журнала, после которых stock_movements сходится
+// с пересчитанными значениями (в том числе по партиям, которых уже нет в products).
+function planStockRepair(sources, kody = null) {
+  const index = indexSources(sources);
+  const scope = kody ? new Set(kody) : null;
+  const plan = { partie: [], working_sheets: [], dziennik: [], pominiete: [] };
+
+  allKods(index)
+    .filter((kod) => !scope || scope.has(kod))
+    .forEach((kod) => {
+      const sheetRows = index.sheetsByKod.get(kod) || [];
+      const batches = index.batchesByKod.get(kod) || [];
+      let targetSheet = sumBy(sheetRows, 'ilosc');
+      const targetBatches = new Map(batches.map((b) => [b.id, Number(b.ilosc_aktualna) || 0]));
+
+      if (batches.length === 0) {
+        if (sheetRows.length > 0) plan.pominiete.push({ kod, powod: 'brak partii w products' });
+      } else {
+        const { expected } = expectedBatchQuantities(
+          batches,
+          index.consumptionsByKod.get(kod) || [],
+          sumBy(index.returnsByKod.get(kod) || [], 'ilosc'),
+          batchComparatorForKod(index, kod)
+        );
+        batches.forEach((batch) => {
+          const current = Number(batch.ilosc_aktualna) || 0;
+          const next = expected.get(batch.id);
+          targetBatches.set(batch.id, next);
+          if (current !== next) {
+            plan.partie.push({ batch_id: batch.id, kod, ilosc_aktualna: current, nowa_ilosc: next });
+          }
+        });
+
+        const batchTotal = [...targetBatches.values()].reduce((sum, value) => sum + value, 0);
+        if (sheetRows.length === 1) {
+          if (targetSheet !== batchTotal) {
+            plan.working_sheets.push({ kod, ilosc: targetSheet, nowa_ilosc: batchTotal });
+          }
+          targetSheet = batchTotal;
+        } else if (sheetRows.length === 0) {
+          plan.pominiete.push({ kod, powod: 'brak pozycji w working_sheets' });
+        } else {
+          plan.pominiete.push({ kod, powod: 'kilka pozycji working_sheets z tym kodem' });
+        }
+      }
+
+      // Журнал: строки по партиям + остаток без партии, как в createStockMovementCollector
+      const ledgerBatches = new Map((index.ledgerBatchesByKod.get(kod) || []).map((row) => [row.batch_id, Number(row.ilosc) || 0]));
+      ledgerBatches.forEach((quantity, batchId) => {
+        if (!targetBatches.has(batchId)) targetBatches.set(batchId, 0);
+      });
+      let batchDeltaSum = 0;
+      targetBatches.forEach((target, batchId) => {
+        const delta = target - (ledgerBatches.get(batchId) || 0);
+        if (delta !== 0) {
+          plan.dziennik.push({ kod, batch_id: batchId, quantity: delta });
+          batchDeltaSum += delta;
+        }
+      });
+      const unallocated = targetSheet - (index.ledgerByKod.get(kod) || 0) - batchDeltaSum;
+      if (unallocated !== 0) plan.dziennik.push({ kod, batch_id: null, quantity: unallocated });
+    });
+
+  return plan;
+}
+
+module.exports = {
+  buildReconcileReport,
+  planStockRepair,
+};
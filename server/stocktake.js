@@ -0,0 +1,81 @@
+// ─── Inwentaryzacja (stocktake_sessions / stocktake_items) ──────────────────
+
+// При открытии сессии stan księgowy (working_sheets.ilosc) замораживается в
+// stocktake_items.ilosc_ksiegowa; różnica = ilosc_policzona − ilosc_ksiegowa.
+// Проведение создаёт przychód (nadwyżki) и odpisanie (niedobory) — в index.js.
+// Перед проведением ilosc_ksiegowa пересчитывается от текущего stanu (rebaseStocktakeItems):
+// sprzedaż/przyjęcie во время inwentaryzacji уже есть в working_sheets.ilosc.
+
+const STOCKTAKE_STATUS = {
+  OPEN: 'otwarta',
+  CLOSED: 'zamknieta',
+};
+
+// Количество из формы/сканера: целое ≥ 0, пустое значение — «не посчитано» (null)
+function parseCountedQuantity(value) {
+  if (value === null || value === undefined || value === '') return { value: null };
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    return { error: 'Ilość policzona musi być liczbą całkowitą nie mniejszą niż 0' };
+  }
+  return { value: number };
+}
+
+function withVariance(item) {
+  return {
+    ...item,
+    roznica: item.ilosc_policzona == null ? null : item.ilosc_policzona - item.ilosc_ksiegowa,
+  };
+}
+
+function summarizeStocktake(items) {
+  const pozycje = items.map(withVariance);
+  return {
+    pozycje,
+    podsumowanie: {
+      pozycje: pozycje.length,
+      policzone: pozycje.filter((item) => item.roznica !== null).length,
+      niepoliczone: pozycje.filter((item) => item.roznica === null).length,
+      nadwyzki: pozycje.filter((item) => item.roznica > 0).length,
+      niedobory: pozycje.filter((item) => item.roznica < 0).length,
+    },
+  };
+}
+
+// Позиции документов przychód / odpisanie. Непосчитанные пропускаются либо
+// (niepoliczoneJakoZero) считаются нулём — тогда весь stan księgowy идёт в niedobór.
+function buildStocktakePostings(session, items, { niepoliczoneJakoZero = false } = {}) {
+  const powod = `Inwentaryzacja ${session.numer}`;
+  const nadwyzki = [];
+  const niedobory = [];
+  items.forEach((item) => {
+    const counted = item.ilosc_policzona == null ? (niepoliczoneJakoZero ? 0 : null) : item.ilosc_policzona;
+    if (counted === null) return;
+    const roznica = counted - item.ilosc_ksiegowa;
+    const position = { kod: item.kod, nazwa: item.nazwa, ilosc: Math.abs(roznica), powod };
+    if (roznica > 0) nadwyzki.push(position);
+    if (roznica < 0) niedobory.push(position);
+  });
+  return { nadwyzki, niedobory };
+}
+
+// Stan księgowy на момент policzenia pozycji: текущий stan минус ruchy z dziennika
+// после updated_at pozycji. Тогда różnica, проведённая от текущего stanu, даёт
+// ilosc_policzona + ruchy po policzeniu и не księguje второй раз ruchów z czasu inwentaryzacji.
+// Непосчитанные позиции (niepoliczoneJakoZero) считаются на момент проведения — текущий stan.
+// stock — { kod → working_sheets.ilosc }, ruchyPoPoliczeniu — { kod → suma stock_movements po updated_at }
+function rebaseStocktakeItems(items, stock, ruchyPoPoliczeniu) {
+  return items.map((item) => {
+    const aktualny = Number(stock.get(item.kod)) || 0;
+    const poPoliczeniu = item.ilosc_policzona == null ? 0 : Number(ruchyPoPoliczeniu.get(item.kod)) || 0;
+    return { ...item, ilosc_ksiegowa: aktualny - poPoliczeniu };
+  });
+}
+
+module.exports = {
+  STOCKTAKE_STATUS,
+  parseCountedQuantity,
+  summarizeStocktake,
+  buildStocktakePostings,
+  rebaseStocktakeItems,
+};
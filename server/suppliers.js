@@ -0,0 +1,277 @@
+const { normalizeNip, isValidNip, normalizeVatUe, isValidVatUe } = require('./taxIds');
+const { PURCHASE_ORDER_WALUTY, convertReceiptPrice, parseReceiptProducts } = require('./purchaseOrders');
+
+// ─── Kartoteka dostawców (suppliers) ────────────────────────────────────────
+
+// product_receipts, working_sheets и purchase_orders ссылаются на dostawcę через
+// supplier_id. Колонка sprzedawca в документах (przyjęcia, zamówienia zakupu) — текст
+// документа, он не переписывается; в kartotece towarów (working_sheets) — копия
+// suppliers.nazwa, обновляется при переименовании dostawcy.
+
+/** Strip legal entity suffix and everything after it from supplier name (OCR display only) */
+function cleanSupplierName(name) {
+  let s = String(name || '').trim();
+  if (!s) return '';
+
+  s = s.replace(/,.*$/, '').trim();
+
+  const legalFormPattern =
+    /\s+(?:spółka z ograniczoną odpowiedzialnością|spolka z ograniczona odpowiedzialnoscia|societ[aà]\s+benefit|sp\.\s*z\.?\s*o\.?\s*o\.?|s\.\s*p\.\s*a\.?|s\.\s*r\.\s*l\.?|sp\.\s*j\.?|sp\.\s*k\.?|s\.?\s*a\.?\s*s\.?|sarl|sas|eurl|snc|gmbh|ag|aps|a\/s|asa|\bas\b|a\.?\s*s\.?|oy|ab|nv|bv|ltd\.?|limited|llc|inc\.?|corp\.?|co\.?|spa|srl)(?:\s.*)?$/i;
+
+  s = s.replace(legalFormPattern, '').trim();
+  return s.replace(/\s+/g, ' ').trim().slice(0, 120);
+}
+
+// "Cantina Rossi S.r.l." / "CANTINA  ROSSI SRL" → "cantina rossi srl": ключ дублей написания.
+// Различаются только регистр, пробелы, точки/запятые и диакритика — forma prawna и всё
+// после запятой остаются, поэтому "X S.r.l." и "X SpA" — разные dostawcy.
+function supplierNameKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ł/g, 'l')
+    .replace(/[.,]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Префикс VAT UE → код страны ISO (Grecja: EL → GR, Irlandia Płn.: XI → GB)
+const VAT_COUNTRY_CODES = { EL: 'GR', XI: 'GB' };
+
+// Тело POST / PUT /api/suppliers → { value } или { error, errors }
+function validateSupplierInput(body = {}) {
+  const errors = [];
+  const text = (value) => {
+    const trimmed = String(value == null ? '' : value).trim();
+    return trimmed || null;
+  };
+
+  const nazwa = text(body.nazwa);
+  if (!nazwa) errors.push('Nazwa dostawcy jest wymagana');
+  if (nazwa && nazwa.length > 120) errors.push('Nazwa dostawcy może mieć najwyżej 120 znaków');
+
+  const nip = text(body.nip);
+  if (nip && !isValidNip(nip)) errors.push('Nieprawidłowy NIP (błędna suma kontrolna)');
+  const vatUe = text(body.vat_ue);
+  if (vatUe && !isValidVatUe(vatUe)) errors.push('Nieprawidłowy numer VAT UE');
+
+  let kraj = text(body.kraj);
+  if (kraj) {
+    kraj = kraj.toUpperCase();
+    if (!/^[A-Z]{2}$/.test(kraj)) errors.push('Kraj musi być dwuliterowym kodem ISO (np. IT, DK)');
+  } else if (vatUe) {
+    const prefix = normalizeVatUe(vatUe).slice(0, 2);
+    kraj = VAT_COUNTRY_CODES[prefix] || prefix;
+  } else if (nip) {
+    kraj = 'PL';
+  }
+
+  const waluta = String(text(body.waluta) || 'EUR').toUpperCase();
+  if (!PURCHASE_ORDER_WALUTY.includes(waluta)) errors.push(`Nieobsługiwana waluta: ${waluta}`);
+
+  const terminRaw = text(body.termin_platnosci_dni);
+  const termin = terminRaw == null ? null : Number(terminRaw);
+  if (termin != null && (!Number.isInteger(termin) || termin < 0 || termin > 365)) {
+    errors.push('Termin płatności musi być liczbą dni od 0 do 365');
+  }
+
+  const czasRaw = text(body.czas_dostawy_dni);
+  const czasDostawy = czasRaw == null ? null : Number(czasRaw);
+  if (czasDostawy != null && (!Number.isInteger(czasDostawy) || czasDostawy < 0 || czasDostawy > 365)) {
+    errors.push('Czas dostawy musi być liczbą dni od 0 do 365');
+  }
+
+  const email = text(body.email);
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('Nieprawidłowy adres e-mail');
+
+  if (errors.length > 0) {
+    return { error: 'Dane dostawcy są nieprawidłowe', errors };
+  }
+  return {
+    value: {
+      nazwa: nazwa.replace(/\s+/g, ' '),
+      nip: nip ? normalizeNip(nip) : null,
+      vat_ue: vatUe ? normalizeVatUe(vatUe) : null,
+      kraj,
+      waluta,
+      termin_platnosci_dni: termin,
+      czas_dostawy_dni: czasDostawy,
+      osoba_kontaktowa: text(body.osoba_kontaktowa),
+      email,
+      telefon: text(body.telefon),
+      adres: text(body.adres),
+      uwagi: text(body.uwagi),
+      aktywny: body.aktywny === undefined ? 1 : (body.aktywny ? 1 : 0),
+    },
+  };
+}
+
+// ─── Dopasowanie ────────────────────────────────────────────────────────────
+
+// Dostawca из текста (OCR faktury, ASN, ручной ввод) → запись kartoteki:
+// по NIP, затем по VAT UE, затем по названию (тот же ключ или — если partial —
+// единственное вхождение одного ключа в другой).
+// → { supplier, dopasowanie: 'nip' | 'vat_ue' | 'nazwa' | 'nazwa_czesciowa' } или { supplier: null, dopasowanie: null }
+function createSupplierMatcher(suppliers) {
+  const byNip = new Map();
+  const byVat = new Map();
+  const byKey = new Map();
+  suppliers.forEach((supplier) => {
+    const nip = normalizeNip(supplier.nip);
+    if (nip && !byNip.has(nip)) byNip.set(nip, supplier);
+    const vat = normalizeVatUe(supplier.vat_ue);
+    if (vat && !byVat.has(vat)) byVat.set(vat, supplier);
+    // polski VAT UE (PL + NIP) = NIP
+    if (vat.startsWith('PL') && !byNip.has(vat.slice(2))) byNip.set(vat.slice(2), supplier);
+    const key = supplierNameKey(supplier.nazwa);
+    if (key && !byKey.has(key)) byKey.set(key, supplier);
+  });
+
+  return ({ nazwa, nip, vat_ue: vatUe } = {}, { partial = true } = {}) => {
+    const nipKey = normalizeNip(nip);
+    if (nipKey && byNip.has(nipKey)) return { supplier: byNip.get(nipKey), dopasowanie: 'nip' };
+    const vatKey = normalizeVatUe(vatUe);
+    if (vatKey && byVat.has(vatKey)) return { supplier: byVat.get(vatKey), dopasowanie: 'vat_ue' };
+    const key = supplierNameKey(nazwa);
+    if (key) {
+      if (byKey.has(key)) return { supplier: byKey.get(key), dopasowanie: 'nazwa' };
+      if (partial && key.length >= 4) {
+        const candidates = [...byKey.entries()].filter(([supplierKey]) => (
+          supplierKey.length >= 4 && (supplierKey.includes(key) || key.includes(supplierKey))
+        ));
+        if (candidates.length === 1) return { supplier: candidates[0][1], dopasowanie: 'nazwa_czesciowa' };
+      }
+    }
+    return { supplier: null, dopasowanie: null };
+  };
+}
+
+// Различные строки sprzedawca [{ sprzedawca, liczba }] → группы одного dostawcy:
+// [{ key, nazwa, warianty, teksty }]. nazwa — самый частый вариант написания,
+// teksty — исходные строки (для UPDATE ... WHERE sprzedawca IN).
+function groupSupplierNames(entries) {
+  const groups = new Map();
+  entries.forEach(({ sprzedawca, liczba }) => {
+    const wariant = String(sprzedawca || '').replace(/\s+/g, ' ').trim();
+    const key = supplierNameKey(wariant);
+    if (!key) return;
+    const group = groups.get(key) || { key, counts: new Map(), teksty: new Set() };
+    group.counts.set(wariant, (group.counts.get(wariant) || 0) + (Number(liczba) || 0));
+    group.teksty.add(sprzedawca);
+    groups.set(key, group);
+  });
+  return [...groups.values()].map(({ key, counts, teksty }) => {
+    // при равенстве — написание с заглавными буквами и без formy prawnej (короче)
+    const hasUpper = (wariant) => (/[A-ZĄĆĘŁŃÓŚŹŻ]/.test(wariant) ? 1 : 0);
+    const sorted = [...counts.entries()].sort((a, b) => (
+      b[1] - a[1] || hasUpper(b[0]) - hasUpper(a[0]) || a[0].length - b[0].length || a[0].localeCompare(b[0])
+    ));
+    return {
+      key,
+      nazwa: sorted[0][0].slice(0, 120),
+      warianty: sorted.map(([wariant]) => wariant),
+      teksty: [...teksty],
+    };
+  });
+}
+
+// ─── Analiza zakupów ────────────────────────────────────────────────────────
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Przyjęcia → zakupy по dostawcom. Wartość — netto pozycji po rabacie przyjęcia,
+// пересчитанная в PLN по курсам самого przyjęcia; przyjęcia без курса считаются
+// в bez_kursu и не входят в wartosc_pln.
+// receipts — [{ id, supplier_id, sprzedawca, dataPrzyjecia, products, rabat,
+// waluta_faktury, kurs_faktury, kurs_eur_pln }], suppliers — [{ id, nazwa, kraj, waluta }]
+function buildSupplierPurchaseAnalysis(receipts, suppliers) {
+  const suppliersById = new Map(suppliers.map((supplier) => [supplier.id, supplier]));
+  const groups = new Map();
+
+  receipts.forEach((receipt) => {
+    const supplier = suppliersById.get(receipt.supplier_id) || null;
+    const groupKey = supplier ? supplier.id : null;
+    const group = groups.get(groupKey) || {
+      supplier_id: supplier ? supplier.id : null,
+      nazwa: supplier ? supplier.nazwa : 'Bez dostawcy',
+      kraj: supplier ? supplier.kraj : null,
+      waluta: supplier ? supplier.waluta : null,
+      przyjecia: 0,
+      bez_kursu: 0,
+      ilosc: 0,
+      wartosc_pln: 0,
+      pierwsza_dostawa: null,
+      ostatnia_dostawa: null,
+      produkty: new Map(),
+    };
+    groups.set(groupKey, group);
+
+    const rabat = Number(receipt.rabat) || 0;
+    const products = parseReceiptProducts(receipt.products);
+    const netto = products.reduce((sum, product) => (
+      sum + (Number(product.ilosc) || 0) * (parseFloat(String(product.cena == null ? '0' : product.cena).replace(',', '.')) || 0)
+    ), 0) * (1 - rabat / 100);
+    const nettoPln = convertReceiptPrice(netto, receipt, 'PLN');
+
+    group.przyjecia += 1;
+    if (nettoPln === null) {
+      group.bez_kursu += 1;
+    } else {
+      group.wartosc_pln += nettoPln;
+    }
+    const data = receipt.dataPrzyjecia || null;
+    if (data && (!group.pierwsza_dostawa || data < group.pierwsza_dostawa)) group.pierwsza_dostawa = data;
+    if (data && (!group.ostatnia_dostawa || data > group.ostatnia_dostawa)) group.ostatnia_dostawa = data;
+
+    products.forEach((product) => {
+      const kod = String(product.kod || '').trim();
+      if (!kod) return;
+      const ilosc = Number(product.ilosc) || 0;
+      const cena = (parseFloat(String(product.cena == null ? '0' : product.cena).replace(',', '.')) || 0) * (1 - rabat / 100);
+      const wartoscPln = convertReceiptPrice(cena * ilosc, receipt, 'PLN');
+      const entry = group.produkty.get(kod) || { kod, nazwa: product.nazwa || '', ilosc: 0, wartosc_pln: 0 };
+      entry.ilosc += ilosc;
+      entry.wartosc_pln += wartoscPln || 0;
+      group.produkty.set(kod, entry);
+      group.ilosc += ilosc;
+    });
+  });
+
+  const total = [...groups.values()].reduce((sum, group) => sum + group.wartosc_pln, 0);
+  const dostawcy = [...groups.values()]
+    .map(({ produkty, ...group }) => ({
+      ...group,
+      wartosc_pln: round2(group.wartosc_pln),
+      srednia_wartosc_pln: group.przyjecia - group.bez_kursu > 0
+        ? round2(group.wartosc_pln / (group.przyjecia - group.bez_kursu))
+        : 0,
+      udzial_proc: total > 0 ? round2((group.wartosc_pln / total) * 100) : 0,
+      produkty_liczba: produkty.size,
+      top_produkty: [...produkty.values()]
+        .map((entry) => ({ ...entry, wartosc_pln: round2(entry.wartosc_pln) }))
+        .sort((a, b) => b.wartosc_pln - a.wartosc_pln || b.ilosc - a.ilosc)
+        .slice(0, 5),
+    }))
+    .sort((a, b) => b.wartosc_pln - a.wartosc_pln || a.nazwa.localeCompare(b.nazwa));
+
+  return {
+    dostawcy,
+    podsumowanie: {
+      dostawcy: dostawcy.filter((row) => row.supplier_id !== null).length,
+      przyjecia: receipts.length,
+      bez_kursu: dostawcy.reduce((sum, row) => sum + row.bez_kursu, 0),
+      ilosc: dostawcy.reduce((sum, row) => sum + row.ilosc, 0),
+      wartosc_pln: round2(total),
+    },
+  };
+}
+
+module.exports = {
+  cleanSupplierName,
+  supplierNameKey,
+  validateSupplierInput,
+  createSupplierMatcher,
+  groupSupplierNames,
+  buildSupplierPurchaseAnalysis,
+};
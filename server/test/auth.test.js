@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loginThrottleKey, createLoginThrottle } = require('../auth');
+
+test('loginThrottle: próby z innego IP nie blokują prawdziwego użytkownika', () => {
+  const throttle = createLoginThrottle({ maxAttempts: 3, windowMs: 1000 });
+  const atak = loginThrottleKey(' Admin ', '203.0.113.7');
+  const biuro = loginThrottleKey('admin', '192.168.1.10');
+
+  [0, 1, 2].forEach((now) => throttle.registerFailure(atak, now));
+  assert.equal(throttle.isBlocked(atak, 10), true);
+  assert.equal(throttle.isBlocked(loginThrottleKey('admin', '203.0.113.7'), 10), true);
+  assert.equal(throttle.isBlocked(biuro, 10), false);
+
+  // Po upływie okna blokada wygasa
+  assert.equal(throttle.isBlocked(atak, 1005), false);
+});
+
+test('loginThrottle: reset po udanym logowaniu', () => {
+  const throttle = createLoginThrottle({ maxAttempts: 2, windowMs: 1000 });
+  const key = loginThrottleKey('magazyn', '10.0.0.1');
+  throttle.registerFailure(key, 0);
+  throttle.registerFailure(key, 1);
+  assert.equal(throttle.isBlocked(key, 2), true);
+  throttle.reset(key);
+  assert.equal(throttle.isBlocked(key, 2), false);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { foreignKodConflict } = require('../companies');
+
+// Kartoteka: W1 i W2 — firma 1, GIN — firma 2
+const OWNERS = [
+  { kod: 'W1', company_id: 1, firma: 'Enoterra Poland' },
+  { kod: 'W2', company_id: 1, firma: 'Enoterra Poland' },
+  { kod: 'GIN', company_id: 2, firma: 'Win Experience' },
+];
+
+test('foreignKodConflict: firma 2 nie może zmienić stanu towarów firmy 1', () => {
+  assert.deepEqual(foreignKodConflict(['W1', 'GIN', '', null], OWNERS, 2), {
+    error: 'Towary należą do innej firmy: W1 (Enoterra Poland)',
+    kody: ['W1'],
+  });
+});
+
+test('foreignKodConflict: własne i nieznane kody bez konfliktu', () => {
+  assert.equal(foreignKodConflict(['W1', 'W2', 'NOWY'], OWNERS, 1), null);
+  assert.equal(foreignKodConflict(['GIN'], OWNERS, '2'), null);
+  assert.equal(foreignKodConflict([], OWNERS, 1), null);
+});
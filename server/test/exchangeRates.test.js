@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { getLookupWindow, computeReceiptKursy, createRatesProvider } = require('../exchangeRates');
+
+test('getLookupWindow: ostatnia tabela przed datą faktury', () => {
+  assert.deepEqual(getLookupWindow('2026-10-19'), { dateFrom: '2026-10-09', dateTo: '2026-10-18' });
+  assert.deepEqual(getLookupWindow('2026-03-01'), { dateFrom: '2026-02-19', dateTo: '2026-02-28' });
+});
+
+test('computeReceiptKursy: EUR, PLN i DKK w standardzie "1 EUR = X waluty"', () => {
+  const rates = { EUR: 4.2631, DKK: 0.5713 };
+  assert.deepEqual(computeReceiptKursy('EUR', rates), { aktualnyKurs: 4.26, kursFaktury: 1 });
+  assert.deepEqual(computeReceiptKursy('PLN', rates), { aktualnyKurs: 1, kursFaktury: 4.26 });
+  assert.deepEqual(computeReceiptKursy('DKK', rates), { aktualnyKurs: 4.26, kursFaktury: 7.46 });
+});
+
+test('computeReceiptKursy: brak kursu w tabeli', () => {
+  assert.equal(computeReceiptKursy('EUR', {}), null);
+  assert.equal(computeReceiptKursy('DKK', { EUR: 4.26 }), null);
+  assert.equal(computeReceiptKursy('USD', { EUR: 4.26 }), null);
+});
+
+test('provider file: tabele z zakresu dat', async () => {
+  const provider = createRatesProvider('file', { path: path.join(__dirname, '..', 'nbp-tabela-a.example.json') });
+  const tables = await provider.fetchTables('2026-10-15', '2026-10-18');
+  assert.deepEqual(tables.map((t) => t.effectiveDate), ['2026-10-15', '2026-10-16']);
+  assert.deepEqual(tables[1].rates.map((r) => r.code), ['EUR', 'DKK']);
+});
+
+test('createRatesProvider: nieznany dostawca', () => {
+  assert.throws(() => createRatesProvider('ecb'), /Nieznany dostawca kursów walut: ecb/);
+});
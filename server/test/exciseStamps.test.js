@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  requiresStamps,
+  validateUsageInput,
+  locateStampRange,
+  suggestStampRanges,
+  splitReceiptStamps,
+  planReceiptStamps,
+  findReceiptStampShortages,
+  findLinesWithoutAlcoholContent,
+} = require('../exciseStamps');
+
+const SHEETS = [
+  { kod: 'GIN', nazwa: 'Gin 40%', zawartosc_alkoholu: 40 },
+  { kod: 'WINO', nazwa: 'Wino 13%', zawartosc_alkoholu: 13 },
+];
+const ROLLS = [
+  { id: 1, seria: 'AB', numer_od: 1, numer_do: 100, data_przyjecia: '2026-01-10' },
+  { id: 2, seria: 'AB', numer_od: 101, numer_do: 200, data_przyjecia: '2026-02-10' },
+];
+const USAGES = [{ roll_id: 1, rodzaj: 'naklejona', numer_od: 1, numer_do: 10 }];
+
+test('requiresStamps: banderola powyżej 22% alkoholu', () => {
+  assert.equal(requiresStamps(SHEETS[0]), true);
+  assert.equal(requiresStamps(SHEETS[1]), false);
+  assert.equal(requiresStamps({ zawartosc_alkoholu: 22 }), false);
+  assert.equal(requiresStamps(undefined), false);
+});
+
+test('validateUsageInput: naklejona wymaga przyjęcia i kodu', () => {
+  assert.deepEqual(validateUsageInput({ rodzaj: 'naklejona', seria: 'ab', numer_od: '5', numer_do: '3' }).errors, [
+    'Numer do jest mniejszy niż numer od',
+    'Przyjęcie jest wymagane',
+    'Kod towaru jest wymagany',
+  ]);
+  const { value } = validateUsageInput({ rodzaj: 'uszkodzona', seria: ' ab ', numer_od: '0007', numer_do: 9, data: '2026-10-19' });
+  assert.equal(value.seria, 'AB');
+  assert.equal(value.ilosc, 3);
+});
+
+test('locateStampRange: zakres spoza rolki i zakres już wykorzystany', () => {
+  assert.equal(locateStampRange({ seria: 'AB', numer_od: 20, numer_do: 30 }, ROLLS, USAGES).roll.id, 1);
+  assert.match(locateStampRange({ seria: 'CD', numer_od: 1, numer_do: 5 }, ROLLS, USAGES).error, /nie należą do żadnej rolki/);
+  assert.match(locateStampRange({ seria: 'AB', numer_od: 5, numer_do: 15 }, ROLLS, USAGES).error, /są już wykorzystane \(naklejone: AB 1–10\)/);
+});
+
+test('suggestStampRanges: najstarsze rolki (FIFO), bez zakresów z formularza', () => {
+  assert.deepEqual(suggestStampRanges(100, ROLLS, USAGES, { taken: [{ seria: 'AB', numer_od: 11, numer_do: 20 }] }), {
+    zakresy: [
+      { seria: 'AB', numer_od: 21, numer_do: 100, ilosc: 80 },
+      { seria: 'AB', numer_od: 101, numer_do: 120, ilosc: 20 },
+    ],
+    brakuje: 0,
+  });
+  assert.equal(suggestStampRanges(500, ROLLS, USAGES).brakuje, 310);
+});
+
+test('splitReceiptStamps: pozycje usunięte z przyjęcia zwalniają banderole', () => {
+  const existing = [
+    { id: 1, kod: 'GIN', ilosc: 6 },
+    { id: 2, kod: 'RUM', ilosc: 4 },
+  ];
+  const { kept, released } = splitReceiptStamps(existing, [{ kod: 'GIN', ilosc: 6 }, { kod: 'WINO', ilosc: 12 }], SHEETS);
+  assert.deepEqual(kept.map((usage) => usage.id), [1]);
+  assert.deepEqual(released.map((usage) => usage.id), [2]);
+});
+
+test('planReceiptStamps: brakujące banderole i pozycje bez wymogu banderol', () => {
+  const { przydzialy, braki, errors } = planReceiptStamps({
+    lines: [{ kod: 'GIN', ilosc: 12 }, { kod: 'WINO', ilosc: 6 }],
+    sheets: SHEETS,
+    banderole: [{ kod: 'GIN', seria: 'AB', numer_od: 11, numer_do: 20 }, { kod: 'WINO', seria: 'AB', numer_od: 21, numer_do: 26 }],
+    rolls: ROLLS,
+    usages: USAGES,
+  });
+  assert.deepEqual(przydzialy, [{ roll_id: 1, kod: 'GIN', seria: 'AB', numer_od: 11, numer_do: 20, ilosc: 10 }]);
+  assert.deepEqual(braki.map((pozycja) => [pozycja.kod, pozycja.brakuje]), [['GIN', 2]]);
+  assert.deepEqual(errors, ['WINO: towar nie wymaga banderol (do 22% alkoholu)']);
+});
+
+test('planReceiptStamps: nowy kod — zawartość alkoholu z pozycji przyjęcia', () => {
+  const { wymagane, braki } = planReceiptStamps({
+    lines: [{ kod: 'RUM', nazwa: 'Rum 40%', ilosc: 6, zawartosc_alkoholu: 40 }, { kod: 'WINO', ilosc: 6, zawartosc_alkoholu: 14.5 }],
+    sheets: SHEETS,
+    banderole: [],
+    rolls: ROLLS,
+    usages: USAGES,
+  });
+  assert.deepEqual(wymagane.map((pozycja) => [pozycja.kod, pozycja.nazwa, pozycja.zawartosc_alkoholu]), [['RUM', 'Rum 40%', 40]]);
+  assert.deepEqual(braki.map((pozycja) => [pozycja.kod, pozycja.brakuje]), [['RUM', 6]]);
+});
+
+test('findLinesWithoutAlcoholContent: napój alkoholowy bez % w pozycji i kartotece', () => {
+  const lines = [
+    { kod: 'NOWE', typ: 'czerwone', ilosc: 6 },
+    { kod: 'NOWE2', typ: 'czerwone', ilosc: 6, zawartosc_alkoholu: 13 },
+    { kod: 'SOK', typ: 'bezalkoholowe', ilosc: 6 },
+    { kod: 'GIN', ilosc: 6 },
+  ];
+  assert.deepEqual(findLinesWithoutAlcoholContent(lines, SHEETS), ['NOWE']);
+});
+
+test('planReceiptStamps: edycja przyjęcia liczy już naklejone banderole', () => {
+  const plan = (banderole) => planReceiptStamps({
+    lines: [{ kod: 'GIN', ilosc: 12 }],
+    sheets: SHEETS,
+    banderole,
+    rolls: ROLLS,
+    usages: USAGES,
+    assigned: [{ kod: 'GIN', ilosc: 10 }],
+  });
+  const uzupelnienie = plan([{ kod: 'GIN', seria: 'AB', numer_od: 11, numer_do: 12 }]);
+  assert.deepEqual(uzupelnienie.braki, []);
+  assert.deepEqual(uzupelnienie.errors, []);
+  assert.deepEqual(plan([{ kod: 'GIN', seria: 'AB', numer_od: 11, numer_do: 15 }]).errors, ['GIN: przydzielono 15 banderol na 12 szt.']);
+});
+
+test('findReceiptStampShortages: przyjęcia z brakującymi banderolami', () => {
+  const receipts = [
+    { id: 2, dataPrzyjecia: '2026-10-02T10:00:00', sprzedawca: 'Distillery', products: JSON.stringify([{ kod: 'GIN', ilosc: 6 }]) },
+    { id: 1, dataPrzyjecia: '2026-10-01T10:00:00', sprzedawca: 'Distillery', products: [{ kod: 'GIN', ilosc: 6 }, { kod: 'WINO', ilosc: 6 }] },
+  ];
+  const braki = findReceiptStampShortages(receipts, SHEETS, [{ receipt_id: 1, kod: 'GIN', ilosc: 6 }, { receipt_id: 2, kod: 'GIN', ilosc: 2 }]);
+  assert.deepEqual(braki.map((b) => [b.receipt_id, b.data, b.kod, b.brakuje]), [[2, '2026-10-02', 'GIN', 4]]);
+});
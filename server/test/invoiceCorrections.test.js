@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  computeInvoiceLineValues,
+  planInvoiceCorrection,
+  isCorrectionLineChanged,
+  assignCorrectionPozycje,
+  effectiveLinesAfterCorrection,
+} = require('../invoiceCorrections');
+
+// FS/1: W1 × 6 i Sok × 2 — pozycje faktury pierwotnej (klucze p<id>)
+const FS1 = [
+  { pozycja: 'p1', kod: 'W1', nazwa: 'Wino 1', jednostka: 'szt.', ...computeInvoiceLineValues({ ilosc: 6, cena_netto: 40, rabat: 0, vat: 23 }) },
+  { pozycja: 'p2', kod: 'SOK', nazwa: 'Sok', jednostka: 'szt.', ...computeInvoiceLineValues({ ilosc: 2, cena_netto: 5, rabat: 0, vat: 5 }) },
+];
+
+// Stan "po" z formularza: pozycje stanu z kluczami + nowe pozycje bez klucza
+const asFormRows = (lines) => lines.map((line) => ({
+  pozycja: line.pozycja, kod: line.kod, nazwa: line.nazwa, ilosc: line.ilosc,
+  cena_netto: line.cena_netto, rabat: line.rabat, vat: line.vat_stawka,
+}));
+
+test('computeInvoiceLineValues: netto po rabacie, VAT i brutto', () => {
+  assert.deepEqual(computeInvoiceLineValues({ ilosc: '3', cena_netto: '10.5', rabat: '10', vat: '8' }), {
+    ilosc: 3,
+    cena_netto: 10.5,
+    rabat: 10,
+    vat_stawka: 8,
+    wartosc_netto: 28.35,
+    wartosc_vat: 2.27,
+    wartosc_brutto: 30.62,
+    rabat_kwota: 3.15,
+  });
+});
+
+test('planInvoiceCorrection: pozycje pominięte w stanie "po" są zerowane', () => {
+  const lines = planInvoiceCorrection(FS1, [{ pozycja: 'p1', ilosc: 4, cena_netto: 40, vat: 23 }]);
+  assert.deepEqual(lines.map((line) => [line.pozycja, line.after.ilosc, line.delta.ilosc]), [['p1', 4, -2], ['p2', 0, -2]]);
+  assert.ok(lines.every(isCorrectionLineChanged));
+});
+
+test('dwie korekty z rzędu: druga korekta (dodanie z komisu) nie cofa pierwszej', () => {
+  // KOR/1/09/2026: W1 6 → 4, Sok usunięty
+  const kor1 = assignCorrectionPozycje(planInvoiceCorrection(FS1, [{ pozycja: 'p1', ilosc: 4, cena_netto: 40, vat: 23 }]), 10);
+  const stanPoKor1 = effectiveLinesAfterCorrection(kor1);
+  assert.deepEqual(stanPoKor1.map((line) => [line.pozycja, line.kod, line.ilosc]), [['p1', 'W1', 4]]);
+
+  // KOR/1/10/2026: stan po korektach + nowa pozycja z komisu
+  const kor2 = assignCorrectionPozycje(planInvoiceCorrection(stanPoKor1, [
+    ...asFormRows(stanPoKor1),
+    { kod: 'K1', nazwa: 'Wino z komisu', ilosc: 3, cena_netto: 30, rabat: 0, vat: 23 },
+  ]), 11);
+
+  const changed = kor2.filter(isCorrectionLineChanged);
+  assert.deepEqual(changed.map((line) => [line.pozycja, line.kod, line.delta.ilosc]), [['k11_1', 'K1', 3]]);
+  assert.deepEqual(
+    effectiveLinesAfterCorrection(kor2).map((line) => [line.pozycja, line.kod, line.ilosc]),
+    [['p1', 'W1', 4], ['k11_1', 'K1', 3]]
+  );
+
+  // Trzecia korekta widzi pozycję dodaną przez drugą pod jej kluczem
+  const kor3 = planInvoiceCorrection(effectiveLinesAfterCorrection(kor2), [
+    { pozycja: 'p1', ilosc: 4, cena_netto: 40, vat: 23 },
+    { pozycja: 'k11_1', ilosc: 1, cena_netto: 30, vat: 23 },
+  ]);
+  assert.deepEqual(kor3.filter(isCorrectionLineChanged).map((line) => [line.pozycja, line.delta.ilosc]), [['k11_1', -2]]);
+});
+
+test('planInvoiceCorrection: stan bez zmian', () => {
+  const lines = planInvoiceCorrection(FS1, asFormRows(FS1));
+  assert.equal(lines.some(isCorrectionLineChanged), false);
+});
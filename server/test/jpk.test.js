@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveBuyerTaxId, validateJpkData, buildJpkFa, buildJpkV7mSprzedaz } = require('../jpk');
+
+const SELLER = {
+  nazwa: 'Enoterra Sp. z o.o.',
+  nip: '5260250274',
+  adres: 'ul. Winna 12/3, 00-950 Warszawa',
+  kodUrzedu: '1471',
+  wojewodztwo: 'mazowieckie',
+  powiat: 'Warszawa',
+  gmina: 'Warszawa',
+  email: 'biuro@enoterra.pl',
+};
+
+const invoice = (nabywca) => ({
+  id: 1,
+  numer_faktury: 'FV/1/10/2026',
+  data_faktury: '2026-10-19',
+  nabywca: { nazwa: 'Nabywca', adres: 'ul. Polna 1, 00-001 Warszawa', ...nabywca },
+  products: [
+    { kod: 'W1', nazwa: 'Wino', ilosc: 2, cena_netto: 50, vat_stawka: 23, wartosc_netto: 100, wartosc_vat: 23, wartosc_brutto: 123 },
+  ],
+});
+
+test('resolveBuyerTaxId: polski NIP', () => {
+  assert.deepEqual(resolveBuyerTaxId({ nip: 'PL 526-025-02-74' }), { kraj: 'PL', numer: '5260250274', poprawny: true });
+  assert.equal(resolveBuyerTaxId({ nip: '5260250275' }).poprawny, false);
+});
+
+test('resolveBuyerTaxId: numer VAT UE z kodem kraju', () => {
+  assert.deepEqual(resolveBuyerTaxId({ vatUe: 'DE 123 456 789' }), { kraj: 'DE', numer: '123456789', poprawny: true });
+  assert.deepEqual(resolveBuyerTaxId({ vatUe: 'EL123456789' }), { kraj: 'GR', numer: '123456789', poprawny: true });
+  // Zagraniczny numer wpisany w pole NIP
+  assert.deepEqual(resolveBuyerTaxId({ nip: 'DE123456789' }), { kraj: 'DE', numer: '123456789', poprawny: true });
+  assert.equal(resolveBuyerTaxId({ vatUe: 'DE12' }).poprawny, false);
+});
+
+test('resolveBuyerTaxId: nabywca bez NIP (B2C)', () => {
+  assert.deepEqual(resolveBuyerTaxId({ nazwa: 'Jan Kowalski' }), { kraj: null, numer: 'brak', poprawny: true });
+});
+
+test('validateJpkData: błędny NIP i błędny VAT UE nabywcy', () => {
+  const errors = validateJpkData({
+    seller: SELLER,
+    invoices: [invoice({ nip: '5260250275' }), { ...invoice({ vatUe: 'DE12' }), numer_faktury: 'FV/2/10/2026' }],
+  }, 'fa');
+  assert.deepEqual(errors, [
+    'FV/1/10/2026: nieprawidłowy NIP nabywcy (Nabywca)',
+    'FV/2/10/2026: nieprawidłowy numer VAT UE nabywcy (Nabywca)',
+  ]);
+  assert.deepEqual(validateJpkData({ seller: SELLER, invoices: [invoice({})] }, 'v7m'), []);
+});
+
+test('buildJpkFa: P_5A tylko dla nabywcy z UE, bez P_5B dla B2C', () => {
+  const xml = (nabywca) => buildJpkFa({
+    seller: SELLER, invoices: [invoice(nabywca)], dataOd: '2026-10-01', dataDo: '2026-10-31', now: new Date('2026-11-01T10:00:00Z'),
+  });
+
+  const pl = xml({ nip: '5260250274' });
+  assert.doesNotMatch(pl, /P_5A/);
+  assert.match(pl, /<tns:P_5B>5260250274<\/tns:P_5B>/);
+
+  const eu = xml({ vatUe: 'DE123456789' });
+  assert.match(eu, /<tns:P_5A>DE<\/tns:P_5A>/);
+  assert.match(eu, /<tns:P_5B>123456789<\/tns:P_5B>/);
+
+  const b2c = xml({});
+  assert.doesNotMatch(b2c, /P_5A|P_5B/);
+});
+
+test('buildJpkV7mSprzedaz: KodKrajuNadaniaTIN i NrKontrahenta', () => {
+  const xml = (nabywca) => buildJpkV7mSprzedaz({
+    seller: SELLER, invoices: [invoice(nabywca)], rok: 2026, miesiac: 10, now: new Date('2026-11-01T10:00:00Z'),
+  });
+
+  assert.match(xml({ vatUe: 'FR12345678901' }), /<tns:KodKrajuNadaniaTIN>FR<\/tns:KodKrajuNadaniaTIN>\s*<tns:NrKontrahenta>12345678901<\/tns:NrKontrahenta>/);
+
+  const b2c = xml({});
+  assert.doesNotMatch(b2c, /KodKrajuNadaniaTIN/);
+  assert.match(b2c, /<tns:NrKontrahenta>brak<\/tns:NrKontrahenta>/);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sumByRateSuffix, validateFa2Data, buildFa2Xml } = require('../ksef');
+
+const SELLER = { nazwa: 'Enoterra Sp. z o.o.', nip: '5260250274', adres: 'ul. Winna 12/3, 00-950 Warszawa' };
+const BUYER = { nazwa: 'Nabywca', nip: '5260250274', adres: 'ul. Polna 1, 00-001 Warszawa' };
+const INVOICE = { numer_faktury: 'FV/1/10/2026', data_faktury: '2026-10-19' };
+
+const line = (vat_stawka, wartosc_netto, wartosc_vat) => ({
+  kod: `W${vat_stawka}`,
+  nazwa: `Wino ${vat_stawka}%`,
+  ilosc: 1,
+  cena_netto: wartosc_netto,
+  vat_stawka,
+  wartosc_netto,
+  wartosc_vat,
+  wartosc_brutto: wartosc_netto + wartosc_vat,
+});
+
+test('sumByRateSuffix: stawki 23% i 22% oraz 8% i 7% sumują się w jedno pole', () => {
+  const products = [line(23, 100, 23), line(22, 10, 2.2), line(8, 50, 4), line(7, 20, 1.4), line(0, 5, 0)];
+  assert.deepEqual(sumByRateSuffix(products), [
+    { suffix: '1', netto: 110, vat: 25.2 },
+    { suffix: '2', netto: 70, vat: 5.4 },
+    { suffix: '6_1', netto: 5, vat: 0 },
+  ]);
+});
+
+test('buildFa2Xml: jedno pole P_13_1 / P_14_1 dla 23% i 22%', () => {
+  const products = [line(23, 100, 23), line(22, 10, 2.2)];
+  const xml = buildFa2Xml({ seller: SELLER, invoice: INVOICE, products, correctionLines: [], buyer: BUYER });
+  assert.equal(xml.match(/<P_13_1>/g).length, 1);
+  assert.match(xml, /<P_13_1>110\.00<\/P_13_1>/);
+  assert.match(xml, /<P_14_1>25\.20<\/P_14_1>/);
+});
+
+test('buildFa2Xml: stawka 0% bez P_14', () => {
+  const xml = buildFa2Xml({ seller: SELLER, invoice: INVOICE, products: [line(0, 5, 0)], correctionLines: [], buyer: BUYER });
+  assert.match(xml, /<P_13_6_1>5\.00<\/P_13_6_1>/);
+  assert.doesNotMatch(xml, /P_14_6_1/);
+});
+
+test('buildFa2Xml: forma płatności i jednostka miary pozycji', () => {
+  const products = [{ ...line(23, 100, 23), jednostka: 'but.' }];
+  const gotowka = buildFa2Xml({ seller: SELLER, invoice: { ...INVOICE, forma_platnosci: 'gotówka' }, products, correctionLines: [], buyer: BUYER });
+  assert.match(gotowka, /<FormaPlatnosci>1<\/FormaPlatnosci>/);
+  assert.match(gotowka, /<P_8A>but\.<\/P_8A>/);
+
+  const kompensata = buildFa2Xml({ seller: SELLER, invoice: { ...INVOICE, forma_platnosci: 'kompensata' }, products, correctionLines: [], buyer: BUYER });
+  assert.doesNotMatch(kompensata, /FormaPlatnosci/);
+  assert.match(kompensata, /<OpisPlatnosci>kompensata<\/OpisPlatnosci>/);
+});
+
+test('validateFa2Data: nieobsługiwana stawka VAT', () => {
+  const errors = validateFa2Data({ seller: SELLER, invoice: INVOICE, products: [line(19, 10, 1.9)], buyer: BUYER });
+  assert.deepEqual(errors, ['Nieobsługiwana stawka VAT 19% (Wino 19%)']);
+});
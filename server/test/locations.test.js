@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { preferLocation, planTransferAllocation } = require('../locations');
+const { compareBatchesForConsumption, CONSUMPTION_MODES } = require('../batchExpiry');
+
+// Partia 1 przesunięta częściowo do komisu (kopia 3 — ta sama data przyjęcia)
+const BATCHES = [
+  { id: 3, created_at: '2026-01-10', ilosc_aktualna: 4, location_id: 2 },
+  { id: 2, created_at: '2026-02-10', ilosc_aktualna: 6, location_id: null },
+  { id: 1, created_at: '2026-01-10', ilosc_aktualna: 2, location_id: 1 },
+];
+
+test('preferLocation: wydanie najpierw z magazynu głównego (FIFO), komis na końcu', () => {
+  const compare = preferLocation(compareBatchesForConsumption(CONSUMPTION_MODES.FIFO));
+  assert.deepEqual([...BATCHES].sort(compare).map((batch) => batch.id), [1, 2, 3]);
+
+  const { allocations, brak } = planTransferAllocation(BATCHES, 9, compare);
+  assert.deepEqual(allocations.map(({ batch, ilosc }) => [batch.id, ilosc]), [[1, 2], [2, 6], [3, 1]]);
+  assert.equal(brak, 0);
+});
+
+test('preferLocation: wybrana lokalizacja', () => {
+  const compare = preferLocation(compareBatchesForConsumption(CONSUMPTION_MODES.FIFO), 2);
+  assert.deepEqual([...BATCHES].sort(compare).map((batch) => batch.id), [3, 1, 2]);
+});
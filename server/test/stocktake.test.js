@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCountedQuantity, summarizeStocktake, buildStocktakePostings, rebaseStocktakeItems } = require('../stocktake');
+
+const ITEMS = [
+  { kod: 'A', nazwa: 'Wino A', ilosc_ksiegowa: 10, ilosc_policzona: 12 },
+  { kod: 'B', nazwa: 'Wino B', ilosc_ksiegowa: 5, ilosc_policzona: 3 },
+  { kod: 'C', nazwa: 'Wino C', ilosc_ksiegowa: 7, ilosc_policzona: 7 },
+  { kod: 'D', nazwa: 'Wino D', ilosc_ksiegowa: 4, ilosc_policzona: null },
+];
+
+test('parseCountedQuantity: puste pole to „nie policzono”', () => {
+  assert.deepEqual(parseCountedQuantity(''), { value: null });
+  assert.deepEqual(parseCountedQuantity(null), { value: null });
+  assert.deepEqual(parseCountedQuantity('0'), { value: 0 });
+  assert.deepEqual(parseCountedQuantity(12), { value: 12 });
+});
+
+test('parseCountedQuantity: tylko liczby całkowite ≥ 0', () => {
+  assert.ok(parseCountedQuantity(-1).error);
+  assert.ok(parseCountedQuantity('1.5').error);
+  assert.ok(parseCountedQuantity('abc').error);
+});
+
+test('summarizeStocktake: różnice i podsumowanie', () => {
+  const { pozycje, podsumowanie } = summarizeStocktake(ITEMS);
+  assert.deepEqual(pozycje.map((item) => item.roznica), [2, -2, 0, null]);
+  assert.deepEqual(podsumowanie, { pozycje: 4, policzone: 3, niepoliczone: 1, nadwyzki: 1, niedobory: 1 });
+});
+
+test('buildStocktakePostings: niepoliczone pozycje pomijane', () => {
+  const { nadwyzki, niedobory } = buildStocktakePostings({ numer: 'INW/1/2026' }, ITEMS);
+  assert.deepEqual(nadwyzki, [{ kod: 'A', nazwa: 'Wino A', ilosc: 2, powod: 'Inwentaryzacja INW/1/2026' }]);
+  assert.deepEqual(niedobory, [{ kod: 'B', nazwa: 'Wino B', ilosc: 2, powod: 'Inwentaryzacja INW/1/2026' }]);
+});
+
+test('buildStocktakePostings: niepoliczone jako zero', () => {
+  const { niedobory } = buildStocktakePostings({ numer: 'INW/1/2026' }, ITEMS, { niepoliczoneJakoZero: true });
+  assert.deepEqual(niedobory.map((p) => [p.kod, p.ilosc]), [['B', 2], ['D', 4]]);
+});
+
+test('rebaseStocktakeItems: sprzedaż w trakcie inwentaryzacji nie jest księgowana drugi raz', () => {
+  // Zamrożono A = 10. Sprzedano 2 przed policzeniem (policzono 8) i 3 po policzeniu — stan 5.
+  // B: zamrożono 5, przyjęto 4 przed policzeniem, policzono 8 (1 szt. brakuje) — stan 9.
+  // C: niepoliczone, zamrożono 7, sprzedano 1 — stan 6.
+  const items = [
+    { kod: 'A', nazwa: 'Wino A', ilosc_ksiegowa: 10, ilosc_policzona: 8 },
+    { kod: 'B', nazwa: 'Wino B', ilosc_ksiegowa: 5, ilosc_policzona: 8 },
+    { kod: 'C', nazwa: 'Wino C', ilosc_ksiegowa: 7, ilosc_policzona: null },
+  ];
+  const rebased = rebaseStocktakeItems(items, new Map([['A', 5], ['B', 9], ['C', 6]]), new Map([['A', -3]]));
+  assert.deepEqual(rebased.map((item) => item.ilosc_ksiegowa), [8, 9, 6]);
+
+  const { nadwyzki, niedobory } = buildStocktakePostings({ numer: 'INW/1/2026' }, rebased, { niepoliczoneJakoZero: true });
+  assert.deepEqual(nadwyzki, []);
+  // A zostaje 5 (policzone 8 − 3 sprzedane później), B schodzi do 8, C do 0
+  assert.deepEqual(niedobory.map((p) => [p.kod, p.ilosc]), [['B', 1], ['C', 6]]);
+});
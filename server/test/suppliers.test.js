@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  supplierNameKey,
+  validateSupplierInput,
+  createSupplierMatcher,
+  groupSupplierNames,
+} = require('../suppliers');
+
+test('supplierNameKey: ten sam klucz dla różnic w zapisie', () => {
+  assert.equal(supplierNameKey('Cantina Rossi S.r.l.'), 'cantina rossi srl');
+  assert.equal(supplierNameKey('CANTINA  ROSSI SRL'), 'cantina rossi srl');
+  assert.equal(supplierNameKey('Winnica Łódź'), 'winnica lodz');
+});
+
+test('supplierNameKey: forma prawna rozróżnia dostawców', () => {
+  assert.notEqual(supplierNameKey('Cantina Rossi S.r.l.'), supplierNameKey('Cantina Rossi SpA'));
+  assert.notEqual(supplierNameKey('Cantina Rossi S.r.l.'), supplierNameKey('Cantina Rossi'));
+});
+
+test('validateSupplierInput: kraj z prefiksu VAT UE i błędy danych', () => {
+  const { value } = validateSupplierInput({ nazwa: '  Domaine  Vigne ', vat_ue: 'el 123456789' });
+  assert.equal(value.nazwa, 'Domaine Vigne');
+  assert.equal(value.vat_ue, 'EL123456789');
+  assert.equal(value.kraj, 'GR');
+  assert.equal(value.waluta, 'EUR');
+
+  const { errors } = validateSupplierInput({ nip: '5260250275', termin_platnosci_dni: '400' });
+  assert.deepEqual(errors, [
+    'Nazwa dostawcy jest wymagana',
+    'Nieprawidłowy NIP (błędna suma kontrolna)',
+    'Termin płatności musi być liczbą dni od 0 do 365',
+  ]);
+});
+
+test('createSupplierMatcher: NIP, VAT UE, nazwa', () => {
+  const suppliers = [
+    { id: 1, nazwa: 'Cantina Rossi S.r.l.', nip: null, vat_ue: 'IT12345678901' },
+    { id: 2, nazwa: 'Winnica Polska Sp. z o.o.', nip: '5260250274', vat_ue: null },
+  ];
+  const match = createSupplierMatcher(suppliers);
+  assert.deepEqual(match({ nip: 'PL5260250274' }), { supplier: suppliers[1], dopasowanie: 'nip' });
+  assert.deepEqual(match({ vat_ue: 'it 12345678901' }), { supplier: suppliers[0], dopasowanie: 'vat_ue' });
+  assert.deepEqual(match({ nazwa: 'CANTINA ROSSI SRL' }), { supplier: suppliers[0], dopasowanie: 'nazwa' });
+  assert.deepEqual(match({ nazwa: 'Cantina Rossi' }), { supplier: suppliers[0], dopasowanie: 'nazwa_czesciowa' });
+});
+
+test('createSupplierMatcher: bez dopasowania częściowego (partial: false)', () => {
+  const match = createSupplierMatcher([{ id: 1, nazwa: 'Cantina Rossi S.r.l.' }]);
+  assert.deepEqual(match({ nazwa: 'Cantina Rossi' }, { partial: false }), { supplier: null, dopasowanie: null });
+});
+
+test('groupSupplierNames: warianty zapisu jednego dostawcy', () => {
+  const groups = groupSupplierNames([
+    { sprzedawca: 'Cantina Rossi S.r.l.', liczba: 3 },
+    { sprzedawca: 'CANTINA ROSSI SRL', liczba: 1 },
+    { sprzedawca: 'Cantina Rossi SpA', liczba: 2 },
+    { sprzedawca: '  ', liczba: 5 },
+  ]);
+  assert.equal(groups.length, 2);
+  const srl = groups.find((g) => g.key === 'cantina rossi srl');
+  assert.equal(srl.nazwa, 'Cantina Rossi S.r.l.');
+  assert.deepEqual(srl.teksty, ['Cantina Rossi S.r.l.', 'CANTINA ROSSI SRL']);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  WMS_STATUS,
+  mapWmsStatus,
+  isWmsStatusAdvance,
+  nextRetryDelayMinutes,
+  rejectedShipmentMessage,
+  buildShipmentItems,
+  buildShipmentPayload,
+  summarizeShippedItems,
+  findShipmentDiscrepancies,
+  buildShipmentCorrections,
+  isValidWebhookToken,
+} = require('../wms');
+
+test('mapWmsStatus i isWmsStatusAdvance: status tylko do przodu', () => {
+  assert.equal(mapWmsStatus(' Shipped '), WMS_STATUS.WYSLANA);
+  assert.equal(mapWmsStatus('lost'), null);
+  assert.equal(isWmsStatusAdvance(null, WMS_STATUS.PRZYJETA), true);
+  assert.equal(isWmsStatusAdvance(WMS_STATUS.WYSLANA, WMS_STATUS.SKOMPLETOWANA), false);
+  assert.equal(isWmsStatusAdvance(WMS_STATUS.WYSLANA, WMS_STATUS.WYSLANA), false);
+});
+
+test('nextRetryDelayMinutes: 1, 2, 4 … 60 minut', () => {
+  assert.deepEqual([1, 2, 3, 7, 8].map(nextRetryDelayMinutes), [1, 2, 4, 60, 60]);
+});
+
+test('rejectedShipmentMessage: odrzucona — towar nadal zdjęty ze stanu', () => {
+  const blad = rejectedShipmentMessage('Brak towaru w magazynie');
+  assert.equal(blad, 'Brak towaru w magazynie (towar nadal zdjęty ze stanu — wyślij ponownie albo usuń zamówienie)');
+  assert.equal(rejectedShipmentMessage(blad), blad);
+  assert.match(rejectedShipmentMessage(undefined), /^WMS odrzucił wysyłkę \(towar nadal zdjęty ze stanu/);
+});
+
+test('buildShipmentItems: pozycje zsumowane po kodzie, EAN wymagany', () => {
+  const { items, errors } = buildShipmentItems([
+    { kod: 'A', ilosc: 2, kod_kreskowy: '5901234123457' },
+    { kod: 'A', ilosc: 3, kod_kreskowy: '' },
+    { kod: 'B', ilosc: 1 },
+    { kod: 'C', ilosc: 0 },
+  ]);
+  assert.deepEqual(items, [{ kod: 'A', ean: '5901234123457', ilosc: 5 }, { kod: 'B', ean: null, ilosc: 1 }]);
+  assert.deepEqual(errors, ['Brak kodu EAN dla B']);
+  assert.deepEqual(buildShipmentItems([]).errors, ['Zamówienie bez pozycji']);
+});
+
+test('buildShipmentPayload: numer zamówienia jako externalId', () => {
+  const payload = buildShipmentPayload(
+    { numer_zamowienia: 'ZAM/1/2026', klient: 'Klient', data_utworzenia: '2026-10-19 10:00:00' },
+    [{ kod: 'A', ean: '5901234123457', ilosc: 5 }]
+  );
+  assert.equal(payload.externalId, 'ZAM/1/2026');
+  assert.deepEqual(payload.items, [{ kod: 'A', ean: '5901234123457', quantity: 5 }]);
+});
+
+test('findShipmentDiscrepancies: różnice między wysłanym a potwierdzonym', () => {
+  assert.equal(summarizeShippedItems(undefined), null);
+  const shipped = summarizeShippedItems([{ kod: 'A', quantity: 3 }, { kod: 'C', quantity: 1 }, { quantity: 9 }]);
+  const roznice = findShipmentDiscrepancies([{ kod: 'A', ilosc: 5 }, { kod: 'B', ilosc: 2 }], shipped);
+  assert.deepEqual(roznice, [
+    { kod: 'A', ilosc: 5, ilosc_potwierdzona: 3 },
+    { kod: 'B', ilosc: 2, ilosc_potwierdzona: 0 },
+    { kod: 'C', ilosc: 0, ilosc_potwierdzona: 1 },
+  ]);
+});
+
+test('buildShipmentCorrections: wydano mniej — przychód, wydano więcej — rozchód', () => {
+  const { nadwyzki, niedobory } = buildShipmentCorrections(
+    'ZAM/1/2026',
+    [{ kod: 'A', ilosc: 5, ilosc_potwierdzona: 3 }, { kod: 'C', ilosc: 0, ilosc_potwierdzona: 1 }],
+    new Map([['A', 'Wino A']])
+  );
+  assert.deepEqual(nadwyzki, [{ kod: 'A', nazwa: 'Wino A', ilosc: 2, powod: 'Korekta wydania WMS ZAM/1/2026' }]);
+  assert.deepEqual(niedobory, [{ kod: 'C', nazwa: 'C', ilosc: 1, powod: 'Korekta wydania WMS ZAM/1/2026' }]);
+});
+
+test('isValidWebhookToken', () => {
+  assert.equal(isValidWebhookToken('sekret', 'sekret'), true);
+  assert.equal(isValidWebhookToken('sekret', 'sekreT'), false);
+  assert.equal(isValidWebhookToken('', ''), false);
+});
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+
+// ─── Statusy wysyłki WMS ────────────────────────────────────────────────────
+
+// do_wysłania — в очереди ERP; przyjęta / skompletowana / wysłana — статусы WMS;
+// odrzucona — WMS отклонил заявку или исчерпан лимит попыток отправки
+const WMS_STATUS = {
+  DO_WYSLANIA: 'do_wysłania',
+  PRZYJETA: 'przyjęta',
+  SKOMPLETOWANA: 'skompletowana',
+  WYSLANA: 'wysłana',
+  ODRZUCONA: 'odrzucona',
+};
+
+// Заявка уже у оператора — zamówienie нельзя менять и удалять
+const WMS_LOCKED_STATUSES = [WMS_STATUS.PRZYJETA, WMS_STATUS.SKOMPLETOWANA, WMS_STATUS.WYSLANA];
+
+// Webhook и опрос могут прийти не по порядку — статус двигается только вперёд
+const WMS_STATUS_RANK = {
+  [WMS_STATUS.DO_WYSLANIA]: 0,
+  [WMS_STATUS.PRZYJETA]: 1,
+  [WMS_STATUS.SKOMPLETOWANA]: 2,
+  [WMS_STATUS.WYSLANA]: 3,
+  [WMS_STATUS.ODRZUCONA]: 3,
+};
+
+// Статусы контракта WMS → WMS_STATUS
+const EXTERNAL_STATUS_MAP = {
+  accepted: WMS_STATUS.PRZYJETA,
+  picked: WMS_STATUS.SKOMPLETOWANA,
+  shipped: WMS_STATUS.WYSLANA,
+  rejected: WMS_STATUS.ODRZUCONA,
+};
+
+// После стольких неудачных отправок заявка уходит в odrzucona (ponowienie — вручную)
+const WMS_MAX_PROBY = 8;
+
+function mapWmsStatus(value) {
+  const key = String(value || '').trim().toLowerCase();
+  return EXTERNAL_STATUS_MAP[key] || null;
+}
+
+function isWmsStatusAdvance(from, to) {
+  if (!to || WMS_STATUS_RANK[to] === undefined) return false;
+  const current = from ? WMS_STATUS_RANK[from] : -1;
+  return WMS_STATUS_RANK[to] > (current === undefined ? -1 : current);
+}
+
+// Пауза перед следующей попыткой: 1, 2, 4 … 60 минут
+function nextRetryDelayMinutes(proby) {
+  return Math.min(2 ** Math.max(0, proby - 1), 60);
+}
+
+// Остаток списан при создании zamówienia и на odrzucona сам не возвращается: заявку
+// можно wysłać ponownie (тот же towar) — автоматический PW задвоил бы stan. Решает
+// пользователь: ponowna wysyłka или usunięcie zamówienia (возвращает towar na stan).
+const REJECTED_STOCK_NOTE = 'towar nadal zdjęty ze stanu — wyślij ponownie albo usuń zamówienie';
+
+// Komunikat wms_blad для odrzuconej заявки
+function rejectedShipmentMessage(blad) {
+  const text = String(blad || '').trim() || 'WMS odrzucił wysyłkę';
+  return text.includes(REJECTED_STOCK_NOTE) ? text : `${text} (${REJECTED_STOCK_NOTE})`;
+}
+
+// ─── Pozycje wysyłki ────────────────────────────────────────────────────────
+
+// Позиции zamówienia → { items: [{kod, ean, ilosc}], errors }, сведённые по kod;
+// ean — kod_kreskowy позиции
+function buildShipmentItems(orderProducts) {
+  const errors = [];
+  const byKod = new Map();
+  (orderProducts || []).forEach((product) => {
+    const kod = String(product.kod || '').trim();
+    const ilosc = Number(product.ilosc) || 0;
+    if (!kod || ilosc <= 0) return;
+    const entry = byKod.get(kod) || { kod, ean: null, ilosc: 0 };
+    entry.ean = entry.ean || String(product.kod_kreskowy || '').trim() || null;
+    entry.ilosc += ilosc;
+    byKod.set(kod, entry);
+  });
+  const items = [...byKod.values()];
+  if (items.length === 0) errors.push('Zamówienie bez pozycji');
+  items.forEach((item) => {
+    if (!item.ean) errors.push(`Brak kodu EAN dla ${item.kod}`);
+  });
+  return { items, errors };
+}
+
+function buildShipmentPayload(order, items) {
+  return {
+    externalId: order.numer_zamowienia,
+    type: 'PWM-K',
+    activeDate: order.data_utworzenia || new Date().toISOString(),
+    recipient: order.klient || '',
+    items: items.map((item) => ({ kod: item.kod, ean: item.ean, quantity: item.ilosc })),
+  };
+}
+
+// Подтверждение wydania: [{kod, quantity}] из WMS → Map kod → ilość
+// (null — WMS не прислал позиций, подтверждать нечего)
+function summarizeShippedItems(shippedItems) {
+  if (!Array.isArray(shippedItems)) return null;
+  const byKod = new Map();
+  shippedItems.forEach((item) => {
+    const kod = String((item && item.kod) || '').trim();
+    if (!kod) return;
+    byKod.set(kod, (byKod.get(kod) || 0) + (Number(item.quantity) || 0));
+  });
+  return byKod;
+}
+
+// Расхождения между отправленными позициями и подтверждёнными WMS
+function findShipmentDiscrepancies(sentItems, shippedByKod) {
+  const kody = new Set([...sentItems.map((item) => item.kod), ...shippedByKod.keys()]);
+  const sentByKod = new Map(sentItems.map((item) => [item.kod, Number(item.ilosc) || 0]));
+  return [...kody]
+    .map((kod) => ({ kod, ilosc: sentByKod.get(kod) || 0, ilosc_potwierdzona: shippedByKod.get(kod) || 0 }))
+    .filter((row) => row.ilosc !== row.ilosc_potwierdzona);
+}
+
+// Расхождения → korekta magazynowa. Остаток ERP списан при создании zamówienia, поэтому
+// wydano mniej — разница возвращается przychodem (nadwyzki), wydano больше — rozchodem
+// (niedobory). nazwy — Map kod → nazwa. → { nadwyzki, niedobory } [{ kod, nazwa, ilosc, powod }]
+function buildShipmentCorrections(numerZamowienia, roznice, nazwy = new Map()) {
+  const powod = `Korekta wydania WMS ${numerZamowienia}`;
+  const nadwyzki = [];
+  const niedobory = [];
+  roznice.forEach((row) => {
+    const roznica = row.ilosc - row.ilosc_potwierdzona;
+    const position = { kod: row.kod, nazwa: nazwy.get(row.kod) || row.kod, ilosc: Math.abs(roznica), powod };
+    if (roznica > 0) nadwyzki.push(position);
+    if (roznica < 0) niedobory.push(position);
+  });
+  return { nadwyzki, niedobory };
+}
+
+function isValidWebhookToken(expected, provided) {
+  if (!expected || !provided) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(provided));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ─── Transport ──────────────────────────────────────────────────────────────
+
+// Транспорт — объект { name, send(payload), checkStatus(shipmentId) }.
+// send → { shipmentId, status? }, checkStatus → { status, message?, items? },
+// где status — WMS_STATUS или null (WMS ещё не сменил статус).
+const transportFactories = new Map();
+
+function registerWmsTransport(name, factory) {
+  transportFactories.set(name, factory);
+}
+
+function createWmsTransport(name, options = {}) {
+  const factory = transportFactories.get(name);
+  if (!factory) {
+    throw new Error(`Nieznany transport WMS: ${name}`);
+  }
+  return factory(options);
+}
+
+// HTTP: POST {url}/authorize { username, password } → { token };
+// POST {url}/company/:companyId/shipments (Idempotency-Key: numer zamówienia) → { id, status } —
+// повтор после обрыва связи возвращает уже созданную заявку, а не дубль;
+// GET {url}/company/:companyId/shipments/:id → { status, message, items: [{kod, quantity}] }.
+// Под этот контракт сделан локальный mock (wmsMockServer.js).
+registerWmsTransport('http', ({ url, login, password, companyId }) => {
+  if (!url) {
+    throw new Error('Brak adresu WMS (WMS_API_URL)');
+  }
+  if (!companyId) {
+    throw new Error('Brak identyfikatora firmy w WMS (WMS_COMPANY_ID)');
+  }
+  const baseUrl = url.replace(/\/+$/, '');
+  const shipmentsUrl = `${baseUrl}/company/${encodeURIComponent(companyId)}/shipments`;
+  let token = null;
+
+  const readJson = async (response) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || data.message || `WMS HTTP ${response.status}`);
+    }
+    return data;
+  };
+
+  const authorize = async () => {
+    const response = await fetch(`${baseUrl}/authorize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: login || '', password: password || '' }),
+    });
+    const data = await readJson(response);
+    if (!data.token) {
+      throw new Error('WMS nie zwrócił tokenu autoryzacji');
+    }
+    token = data.token;
+  };
+
+  // Токен живёт ограниченное время: на 401 авторизуемся заново один раз
+  const request = async (path, options = {}) => {
+    if (!token) await authorize();
+    const call = () => fetch(`${shipmentsUrl}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${token}` },
+    });
+    let response = await call();
+    if (response.status === 401) {
+      await authorize();
+      response = await call();
+    }
+    return readJson(response);
+  };
+
+  return {
+    name: 'http',
+    async send(payload) {
+      const data = await request('', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': String(payload.externalId) },
+        body: JSON.stringify(payload),
+      });
+      if (!data.id) {
+        throw new Error('WMS nie zwrócił identyfikatora wysyłki');
+      }
+      return { shipmentId: String(data.id), status: mapWmsStatus(data.status) };
+    },
+    async checkStatus(shipmentId) {
+      const data = await request(`/${encodeURIComponent(shipmentId)}`);
+      return {
+        status: mapWmsStatus(data.status),
+        message: data.message || null,
+        items: Array.isArray(data.items) ? data.items : null,
+      };
+    },
+  };
+});
+
+module.exports = {
+  WMS_STATUS,
+  WMS_LOCKED_STATUSES,
+  WMS_MAX_PROBY,
+  mapWmsStatus,
+  isWmsStatusAdvance,
+  nextRetryDelayMinutes,
+  rejectedShipmentMessage,
+  buildShipmentItems,
+  buildShipmentPayload,
+  summarizeShippedItems,
+  findShipmentDiscrepancies,
+  buildShipmentCorrections,
+  isValidWebhookToken,
+  registerWmsTransport,
+  createWmsTransport,
+};
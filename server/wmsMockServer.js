@@ -0,0 +1,141 @@
+// Локальный mock WMS для проверки очереди wysyłek без настоящего оператора.
+// Запуск: npm run wms-mock, затем в .env: WMS_TRANSPORT=http, WMS_API_URL=http://localhost:3102,
+// WMS_COMPANY_ID=enoterra. С WMS_MOCK_WEBHOOK_URL (…/api/wms/webhook) и WMS_MOCK_WEBHOOK_TOKEN
+// mock сам отправляет смену статуса в ERP.
+const express = require('express');
+const crypto = require('crypto');
+
+// Статусы проходят по очереди: каждый опрос (или POST …/advance) — следующий шаг
+const STATUS_FLOW = ['accepted', 'picked', 'shipped'];
+
+// ─── Mock ───────────────────────────────────────────────────────────────────
+
+function createWmsMockApp({ webhookUrl, webhookToken } = {}) {
+  const app = express();
+  const tokens = new Set();
+  const shipments = new Map();
+
+  app.use(express.json({ limit: '5mb' }));
+
+  const notify = (shipment) => {
+    if (!webhookUrl) return;
+    fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-WMS-Token': webhookToken || '' },
+      body: JSON.stringify(describe(shipment)),
+    })
+      .then((response) => console.log(`🔔 [WMS mock] webhook ${shipment.id} ${shipment.status} → ${response.status}`))
+      .catch((err) => console.error(`❌ [WMS mock] webhook ${shipment.id}:`, err.message));
+  };
+
+  const describe = (shipment) => ({
+    shipmentId: shipment.id,
+    status: shipment.status,
+    message: shipment.message,
+    items: shipment.status === 'shipped' ? shipment.shippedItems : undefined,
+  });
+
+  const setStatus = (shipment, status, shippedItems) => {
+    shipment.status = status;
+    if (status === 'shipped') {
+      shipment.shippedItems = shippedItems
+        || shipment.items.map((item) => ({ kod: item.kod, quantity: item.quantity }));
+    }
+    notify(shipment);
+  };
+
+  const advance = (shipment) => {
+    const idx = STATUS_FLOW.indexOf(shipment.status);
+    if (idx !== -1 && idx < STATUS_FLOW.length - 1) {
+      setStatus(shipment, STATUS_FLOW[idx + 1]);
+    }
+  };
+
+  app.post('/authorize', (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(401).json({ error: 'Nieprawidłowy login lub hasło' });
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.add(token);
+    res.json({ token });
+  });
+
+  app.use('/company/:companyId/shipments', (req, res, next) => {
+    const token = String(req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!tokens.has(token)) {
+      return res.status(401).json({ error: 'Brak autoryzacji' });
+    }
+    next();
+  });
+
+  // Заявка без EAN или с неположительным количеством принимается, но сразу rejected.
+  // Повтор с тем же Idempotency-Key возвращает существующую заявку (rejected можно прислать заново)
+  app.post('/company/:companyId/shipments', (req, res) => {
+    const { externalId, items } = req.body || {};
+    if (!externalId || !Array.isArray(items)) {
+      return res.status(400).json({ error: 'Wymagane pola: externalId, items' });
+    }
+    const idempotencyKey = req.get('Idempotency-Key');
+    const existing = idempotencyKey && [...shipments.values()]
+      .find((item) => item.idempotencyKey === idempotencyKey && item.status !== 'rejected');
+    if (existing) {
+      console.log(`📨 [WMS mock] ${externalId} repeated → ${existing.id} ${existing.status}`);
+      return res.status(200).json({ id: existing.id, status: existing.status });
+    }
+    const invalid = items.find((item) => !item.ean || !(Number(item.quantity) > 0));
+    const shipment = {
+      id: `WMS-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      externalId,
+      idempotencyKey: idempotencyKey || null,
+      items,
+      status: invalid ? 'rejected' : 'accepted',
+      message: invalid
+        ? (items.length === 0 ? 'Wysyłka bez pozycji' : `Nieprawidłowa pozycja ${invalid.kod || '?'}`)
+        : null,
+      shippedItems: null,
+    };
+    shipments.set(shipment.id, shipment);
+    console.log(`📨 [WMS mock] ${externalId} (${items.length} poz.) → ${shipment.id} ${shipment.status}`);
+    res.status(201).json({ id: shipment.id, status: shipment.status });
+  });
+
+  app.get('/company/:companyId/shipments/:id', (req, res) => {
+    const shipment = shipments.get(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Nieznana wysyłka' });
+    }
+    const snapshot = describe(shipment);
+    advance(shipment);
+    res.json(snapshot);
+  });
+
+  // Ручное управление из тестов: { status?, items? } — items задают фактически wydane ilości
+  app.post('/company/:companyId/shipments/:id/advance', (req, res) => {
+    const shipment = shipments.get(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Nieznana wysyłka' });
+    }
+    const { status, items } = req.body || {};
+    if (status) {
+      setStatus(shipment, status, Array.isArray(items) ? items : undefined);
+    } else {
+      advance(shipment);
+    }
+    res.json(describe(shipment));
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.WMS_MOCK_PORT || 3102;
+  createWmsMockApp({
+    webhookUrl: process.env.WMS_MOCK_WEBHOOK_URL,
+    webhookToken: process.env.WMS_MOCK_WEBHOOK_TOKEN,
+  }).listen(port, () => {
+    console.log(`🧪 WMS mock running on port ${port}`);
+  });
+}
+
+module.exports = { createWmsMockApp };
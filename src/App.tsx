@@ -6,11 +6,18 @@ import logo from './assets/entr logo copy 2@4x.png';
 import './index.css';
 import { ProductDetailsModal } from './components/ProductDetailsModal';
 import { Product } from './types/Product';
+import { ClientMasterData } from './types/Client';
+import { Company } from './types/Company';
 import { ZakupTowarowPage } from './pages/ZakupTowarowPage';
 import { KlienciPage } from './pages/KlienciPage';
 import { SprzedazPage } from './pages/SprzedazPage';
 import { StanyMagazynowePage } from './pages/StanyMagazynowePage';
+import { UsersModal } from './components/UsersModal';
+import { CompaniesModal } from './components/CompaniesModal';
+import { useAuth } from './components/AuthProvider';
+import { ROLE_LABELS } from './utils/auth';
 import {
+  canAccessTab,
   getDefaultSubTab,
   getPathForTab,
   getTabFromPathname,
@@ -32,7 +39,7 @@ const tooltipStyles = `
 // --- Работа только с backend через fetch ---
 
 // Типы данных
-interface Client {
+interface Client extends ClientMasterData {
   id: number;
   firma: string;
   nazwa: string;
@@ -89,7 +96,7 @@ interface AppState {
   products: Product[];
   productReceipts: ProductReceipt[];
   activeTab: 'inventory' | 'clients' | 'orders' | 'inventoryStatus';
-  activeSubTab: 'przyjecie' | 'analiza' | 'kalendarz' | 'wydanie' | 'rezerwacje' | 'analiza_towarow' | 'analiza_wydan' | 'faktury' | 'komis' | 'baza_klientow' | 'sprzedaz_klientom' | null;
+  activeSubTab: 'przyjecie' | 'analiza' | 'uzupelnianie' | 'akcyza' | 'banderole' | 'kalendarz' | 'wydanie' | 'rezerwacje' | 'analiza_towarow' | 'analiza_wydan' | 'faktury' | 'komis' | 'baza_klientow' | 'sprzedaz_klientom' | null;
   isDbInitialized: boolean;
 }
 
@@ -101,6 +108,10 @@ console.log('API_URL configured as:', API_URL);
 function App() {
   const location = useLocation();
   const navigate = useNavigate();
+  const { user, logout, companyId, switchCompany } = useAuth();
+  const [isUsersModalOpen, setIsUsersModalOpen] = useState(false);
+  const [isCompaniesModalOpen, setIsCompaniesModalOpen] = useState(false);
+  const [companies, setCompanies] = useState<Company[]>([]);
   const [draggedTab, setDraggedTab] = useState<string | null>(null);
   const [tabOrder, setTabOrder] = useState<string[]>(['inventory', 'clients', 'orders', 'inventoryStatus']);
   const [appState, setAppState] = useState<AppState>(() => {
@@ -111,7 +122,7 @@ function App() {
     const savedActiveSubTab = localStorage.getItem('activeSubTab');
     
     const validTabs = ['inventory', 'clients', 'orders', 'inventoryStatus'] as const;
-    const validSubTabs = ['przyjecie', 'analiza', 'kalendarz', 'wydanie', 'rezerwacje', 'analiza_towarow', 'analiza_wydan', 'faktury', 'komis', 'baza_klientow', 'sprzedaz_klientom'] as const;
+    const validSubTabs = ['przyjecie', 'analiza', 'uzupelnianie', 'akcyza', 'banderole', 'kalendarz', 'wydanie', 'rezerwacje', 'analiza_towarow', 'analiza_wydan', 'faktury', 'komis', 'baza_klientow', 'sprzedaz_klientom'] as const;
 
     let activeTab: AppState['activeTab'];
     if (tabFromPath) {
@@ -127,7 +138,7 @@ function App() {
     const savedSubTabValid =
       savedActiveSubTab &&
       validSubTabs.includes(savedActiveSubTab as typeof validSubTabs[number]) &&
-      ((activeTab === 'inventory' && ['przyjecie', 'analiza', 'kalendarz'].includes(savedActiveSubTab)) ||
+      ((activeTab === 'inventory' && ['przyjecie', 'analiza', 'uzupelnianie', 'akcyza', 'banderole', 'kalendarz'].includes(savedActiveSubTab)) ||
         (activeTab === 'orders' && ['wydanie', 'rezerwacje', 'analiza_towarow', 'faktury', 'komis', 'analiza_wydan'].includes(savedActiveSubTab)) ||
         (activeTab === 'clients' && ['baza_klientow', 'sprzedaz_klientom'].includes(savedActiveSubTab)));
     
@@ -153,6 +164,31 @@ function App() {
   const [reservationsRefreshTrigger, setReservationsRefreshTrigger] = useState(0);
   const [invoicesRefreshTrigger, setInvoicesRefreshTrigger] = useState(0);
 
+  const visibleTabs = tabOrder.filter(tab => canAccessTab(user?.rola, tab as AppState['activeTab']));
+
+  const loadCompanies = () => {
+    fetch('/api/companies')
+      .then(res => (res.ok ? res.json() : []))
+      .then((data: Company[]) => setCompanies(data))
+      .catch(err => console.error('❌ Error loading companies:', err));
+  };
+
+  useEffect(() => {
+    if (user) loadCompanies();
+  }, [user]);
+
+  const activeCompanies = companies.filter(company => company.aktywna || company.id === companyId);
+
+  const handleCompanyChange = async (nextCompanyId: number) => {
+    if (!nextCompanyId || nextCompanyId === companyId) return;
+    try {
+      await switchCompany(nextCompanyId);
+    } catch (error) {
+      console.error('❌ Error switching company:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zmiany firmy');
+    }
+  };
+
   useEffect(() => {
     const tabFromPath = getTabFromPathname(location.pathname);
 
@@ -162,6 +198,16 @@ function App() {
       return;
     }
 
+    // Zakładka niedostępna dla roli — przechodzimy na pierwszą dozwoloną
+    if (!canAccessTab(user?.rola, tabFromPath)) {
+      const fallbackTab = (['orders', 'inventoryStatus', 'inventory', 'clients'] as const)
+        .find(tab => canAccessTab(user?.rola, tab));
+      if (fallbackTab) {
+        navigate(getPathForTab(fallbackTab), { replace: true });
+      }
+      return;
+    }
+
     if (appState.activeTab !== tabFromPath) {
       const savedActiveSubTab = localStorage.getItem('activeSubTab');
       const activeSubTab = resolveSubTabForTab(tabFromPath, savedActiveSubTab);
@@ -173,7 +219,7 @@ function App() {
         activeSubTab,
       }));
     }
-  }, [location.pathname, navigate, appState.activeTab]);
+  }, [location.pathname, navigate, appState.activeTab, user?.rola]);
 
   // Загружаем данные из IndexedDB при инициализации
   useEffect(() => {
@@ -369,7 +415,7 @@ function App() {
     }
   };
 
-  const setActiveSubTab = (subTab: 'przyjecie' | 'analiza' | 'kalendarz' | 'wydanie' | 'rezerwacje' | 'analiza_towarow' | 'analiza_wydan' | 'faktury' | 'komis' | 'baza_klientow' | 'sprzedaz_klientom') => {
+  const setActiveSubTab = (subTab: 'przyjecie' | 'analiza' | 'uzupelnianie' | 'akcyza' | 'banderole' | 'kalendarz' | 'wydanie' | 'rezerwacje' | 'analiza_towarow' | 'analiza_wydan' | 'faktury' | 'komis' | 'baza_klientow' | 'sprzedaz_klientom') => {
     localStorage.setItem('activeSubTab', subTab);
     setAppState(prev => ({ ...prev, activeSubTab: subTab }));
   };
@@ -493,13 +539,68 @@ function App() {
         product={null}
       />
       
+      <UsersModal
+        isOpen={isUsersModalOpen}
+        onClose={() => setIsUsersModalOpen(false)}
+      />
+
+      <CompaniesModal
+        isOpen={isCompaniesModalOpen}
+        onClose={() => setIsCompaniesModalOpen(false)}
+        onChanged={loadCompanies}
+      />
+      
       <div className="bg-white border-b border-gray-200">
-        <div className="w-full px-4 py-3">
+        <div className="w-full px-4 py-3 flex items-center justify-between">
           <img
             src={logo}
             alt="Enoterra Logo"
             className="h-32"
           />
+          {user && (
+            <div className="flex items-center gap-4 text-xs font-sora">
+              <div className="text-right">
+                <div className="font-medium text-gray-900">{user.imie_nazwisko || user.login}</div>
+                <div className="text-gray-500">{ROLE_LABELS[user.rola] || user.rola}</div>
+              </div>
+              {activeCompanies.length > 1 ? (
+                <select
+                  value={companyId ?? ''}
+                  onChange={(e) => handleCompanyChange(Number(e.target.value))}
+                  title="Aktywna firma"
+                  className="px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+                >
+                  {activeCompanies.map((company) => (
+                    <option key={company.id} value={company.id}>{company.skrot || company.nazwa}</option>
+                  ))}
+                </select>
+              ) : activeCompanies.length === 1 ? (
+                <div className="font-medium text-gray-700">{activeCompanies[0].skrot || activeCompanies[0].nazwa}</div>
+              ) : null}
+              {user.rola === 'admin' && (
+                <button
+                  onClick={() => setIsCompaniesModalOpen(true)}
+                  className="px-4 py-1.5 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 focus:outline-none transition-colors"
+                >
+                  Firmy
+                </button>
+              )}
+              {user.rola === 'admin' && (
+                <button
+                  onClick={() => setIsUsersModalOpen(true)}
+                  className="px-4 py-1.5 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 focus:outline-none transition-colors"
+                >
+                  Użytkownicy
+                </button>
+              )}
+              <button
+                onClick={() => logout()}
+                className="px-4 py-1.5 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 focus:outline-none transition-colors"
+              >
+                Wyloguj
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -507,7 +608,7 @@ function App() {
         <div className="w-full px-4">
           <div className="flex items-center h-14">
             <div className="flex space-x-4">
-              {tabOrder.map((tab) => (
+              {visibleTabs.map((tab) => (
                 <div 
                   key={tab}
                   draggable
@@ -536,10 +637,10 @@ function App() {
       <div className="bg-white min-h-screen">
         <div className="w-full px-4 py-6">
           <div className="flex items-start -mt-2">
-            {appState.activeTab === 'inventory' && (
+            {appState.activeTab === 'inventory' && canAccessTab(user?.rola, 'inventory') && (
               <ZakupTowarowPage
                 activeSubTab={appState.activeSubTab}
-                setActiveSubTab={setActiveSubTab as (tab: 'przyjecie' | 'analiza' | 'kalendarz') => void}
+                setActiveSubTab={setActiveSubTab as (tab: 'przyjecie' | 'analiza' | 'uzupelnianie' | 'akcyza' | 'banderole' | 'kalendarz') => void}
                 productReceipts={appState.productReceipts}
                 onReceiptsChange={(receipts) => setAppState(prev => ({ ...prev, productReceipts: receipts }))}
                 onProductsChange={(products) => setAppState(prev => ({ ...prev, products }))}
@@ -549,7 +650,7 @@ function App() {
                 onSheetsChange={loadSheetsFromDb}
               />
             )}
-            {appState.activeTab === 'clients' && (
+            {appState.activeTab === 'clients' && canAccessTab(user?.rola, 'clients') && (
               <KlienciPage
                 activeSubTab={appState.activeSubTab}
                 setActiveSubTab={setActiveSubTab as (tab: 'baza_klientow' | 'sprzedaz_klientom') => void}
@@ -558,7 +659,7 @@ function App() {
                 invoicesRefreshTrigger={invoicesRefreshTrigger}
               />
             )}
-            {appState.activeTab === 'orders' && (
+            {appState.activeTab === 'orders' && canAccessTab(user?.rola, 'orders') && (
               <SprzedazPage
                 activeSubTab={appState.activeSubTab}
                 setActiveSubTab={setActiveSubTab as (tab: 'wydanie' | 'rezerwacje' | 'analiza_towarow' | 'faktury' | 'komis' | 'analiza_wydan') => void}
@@ -570,7 +671,7 @@ function App() {
                 onInvoicesRefresh={() => setInvoicesRefreshTrigger(prev => prev + 1)}
               />
             )}
-            {appState.activeTab === 'inventoryStatus' && (
+            {appState.activeTab === 'inventoryStatus' && canAccessTab(user?.rola, 'inventoryStatus') && (
               <StanyMagazynowePage productReceipts={appState.productReceipts} />
             )}
           </div>
@@ -1,6 +1,6 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import Modal from 'react-modal';
-import { X, Plus, Grape, Car, Calendar, FileText } from 'lucide-react';
+import { X, Plus, Grape, Car, Calendar, FileText, Truck } from 'lucide-react';
 import DatePicker, { registerLocale } from 'react-datepicker';
 import { pl } from 'date-fns/locale';
 import "react-datepicker/dist/react-datepicker.css";
@@ -27,12 +27,22 @@ import {
   validateRequiredKurs,
 } from '../utils/receiptCurrency';
 import { PlMoneyInput } from './PlMoneyInput';
+import { KursNbpHint } from './KursNbpHint';
+import { useNbpReceiptKurs } from '../utils/exchangeRates';
+import { BarcodeProduct, findBarcodeValidationError, normalizeBarcode } from '../utils/barcode';
+import { BarcodeScanInput } from './BarcodeScanInput';
+import { PurchaseOrderReceiptDraft } from '../types/PurchaseOrder';
+import { SupplierInput } from './SupplierInput';
+import { ReceiptStampsSection } from './ReceiptStampsSection';
+import { ReceiptStampDraft } from '../types/ExciseStamp';
 
 registerLocale('pl', pl);
 
 interface AddProductModalProps {
   isOpen: boolean;
   onClose: () => void;
+  /** Szkic z zamówienia zakupu — pozostałe do przyjęcia ilości i ceny zamówienia */
+  purchaseOrderDraft?: PurchaseOrderReceiptDraft | null;
   onSubmit: (data: { 
     date: string; 
     sprzedawca: string; 
@@ -52,11 +62,15 @@ interface AddProductModalProps {
       dataWaznosci?: string;
       typ?: string;
       objetosc?: string;
+      zawartosc_alkoholu?: string;
       deliveryCostPerUnitPln?: number;
       podatekAkcyzowyPerLiter?: number;
     }>;
     productInvoice?: File | null;
     transportInvoice?: File | null;
+    purchaseOrderId?: number;
+    supplierId?: number;
+    banderole?: ReceiptStampDraft[];
   }) => void;
 }
 
@@ -67,7 +81,17 @@ interface ParsedPurchaseProduct {
   cenaPelna?: number;
 }
 
+// Pozycja wczytana z awizo (ASN) lub zamówienia zakupu (z_zamowienia): zamówiona
+// ilość i sposób dopasowania do kartoteki
+interface AsnRowInfo {
+  ilosc_zamowiona: number | null;
+  dopasowanie: 'ean' | 'kod' | 'nazwa' | null;
+  nazwa_asn: string;
+  z_zamowienia?: boolean;
+}
+
 interface ProductRow {
+  asn?: AsnRowInfo;
   kod: string;
   nazwa: string;
   kod_kreskowy: string;
@@ -78,6 +102,8 @@ interface ProductRow {
   showDataWaznosci: boolean;
   typ: string;
   objetosc: string;
+  /** % obj.; puste — z kartoteki (nowy kod napoju alkoholowego wymaga wartości) */
+  zawartoscAlkoholu?: string;
 }
 
 const getTodayDate = () => new Date();
@@ -97,6 +123,7 @@ interface OcrPurchaseInvoiceResponse {
   error?: string;
   data?: {
     sprzedawca: string;
+    supplier_id?: number | null;
     waluta?: string;
     suma_netto?: string;
     suma_vat?: string;
@@ -105,6 +132,49 @@ interface OcrPurchaseInvoiceResponse {
   };
 }
 
+interface AsnReceiptDraftProduct extends AsnRowInfo {
+  kod: string;
+  nazwa: string;
+  kod_kreskowy: string;
+  ilosc: number;
+  cena: number | null;
+  data_waznosci: string | null;
+  typ: string;
+  objetosc: string;
+}
+
+interface AsnImportResponse {
+  success: boolean;
+  error?: string;
+  errors?: string[];
+  data?: {
+    sprzedawca: string;
+    supplier_id?: number | null;
+    numer: string;
+    data: string | null;
+    products: AsnReceiptDraftProduct[];
+    podsumowanie: { pozycje: number; dopasowane: number; niedopasowane: number; rozbieznosci: number };
+  };
+}
+
+const ASN_DOPASOWANIE_LABELS: Record<NonNullable<AsnRowInfo['dopasowanie']>, string> = {
+  ean: 'Dopasowano po EAN',
+  kod: 'Dopasowano po kodzie',
+  nazwa: 'Dopasowano po nazwie — sprawdź',
+};
+
+// "2027-12-31" → Date w strefie lokalnej (bez przesunięcia UTC)
+const parseIsoDate = (value: string | null) => {
+  const match = value ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value) : null;
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+// Różnica ilości względem zamówienia z awizo (null — awizo nie podaje zamówionej ilości)
+const getAsnQuantityDiff = (row: ProductRow): number | null => {
+  if (!row.asn || row.asn.ilosc_zamowiona === null) return null;
+  return (parseInt(row.ilosc, 10) || 0) - row.asn.ilosc_zamowiona;
+};
+
 const TYPY_TOWARU = [
   { value: 'czerwone', label: 'Czerwone', color: 'bg-red-100 text-red-800 border-red-200' },
   { value: 'biale', label: 'Białe', color: 'bg-gray-100 text-gray-800 border-gray-200' },
@@ -130,9 +200,11 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
   isOpen,
   onClose,
   onSubmit,
+  purchaseOrderDraft,
 }) => {
   const [selectedDate, setSelectedDate] = useState<Date | null>(getTodayDate);
   const [sprzedawca, setSprzedawca] = useState('');
+  const [supplierId, setSupplierId] = useState<number | null>(null);
   const [productRows, setProductRows] = useState<ProductRow[]>([{ 
     kod: '', 
     nazwa: '', 
@@ -157,10 +229,16 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
   const [kwotaVat, setKwotaVat] = useState('');
   const [sumaBrutto, setSumaBrutto] = useState('');
   const [isOcrLoading, setIsOcrLoading] = useState(false);
+  const [isAsnLoading, setIsAsnLoading] = useState(false);
+  const [asnNumer, setAsnNumer] = useState<string | null>(null);
+  const [purchaseOrder, setPurchaseOrder] = useState<{ id: number; numer: string } | null>(null);
+  const [banderole, setBanderole] = useState<ReceiptStampDraft[]>([]);
+  const [banderoleBlad, setBanderoleBlad] = useState<string | null>(null);
 
   const productFileInputRef = useRef<HTMLInputElement>(null);
   const transportFileInputRef = useRef<HTMLInputElement>(null);
   const ocrFileInputRef = useRef<HTMLInputElement>(null);
+  const asnFileInputRef = useRef<HTMLInputElement>(null);
   const skipBruttoSyncRef = useRef(false);
 
   // Вычисляем стоимость доставки на бутылку
@@ -184,6 +262,19 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
     else setAktualnyKurs(value);
   };
 
+  const { kurs: nbpKurs, isLoading: isNbpLoading, error: nbpError } = useNbpReceiptKurs(selectedDate, walutaFaktury);
+  const nbpPrimaryKurs = nbpKurs
+    ? (usesPrimaryKursFakturyState(walutaFaktury) ? nbpKurs.kurs_faktury : nbpKurs.aktualny_kurs)
+    : null;
+
+  // Po zmianie daty lub waluty podstawiamy kurs NBP; użytkownik może go nadpisać
+  useEffect(() => {
+    if (!nbpKurs) return;
+    const waluta = normalizeWalutaFaktury(nbpKurs.waluta);
+    if (isKursFakturyActive(waluta)) setKursFaktury(formatPlMoney(nbpKurs.kurs_faktury));
+    if (isKursEurPlnActive(waluta)) setAktualnyKurs(formatPlMoney(nbpKurs.aktualny_kurs));
+  }, [nbpKurs]);
+
   const addNewRow = () => {
     setProductRows([...productRows, {
       kod: '',
@@ -198,6 +289,51 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
     }]);
   };
 
+  // Skaner: ponowny skan zwiększa ilość pozycji, nowy kod wypełnia pusty wiersz lub dopisuje pozycję
+  const addScannedRow = (scannedRow: ProductRow, isSameProduct: (row: ProductRow) => boolean) => {
+    setProductRows((rows) => {
+      if (rows.some(isSameProduct)) {
+        return rows.map((row) => (
+          isSameProduct(row) ? { ...row, ilosc: String((parseInt(row.ilosc, 10) || 0) + 1) } : row
+        ));
+      }
+      const emptyIndex = rows.findIndex((row) => !row.kod && !row.nazwa && !row.kod_kreskowy);
+      return emptyIndex >= 0
+        ? rows.map((row, index) => (index === emptyIndex ? scannedRow : row))
+        : [...rows, scannedRow];
+    });
+  };
+
+  const handleScannedProduct = (product: BarcodeProduct) => {
+    addScannedRow({
+      kod: product.kod,
+      nazwa: product.nazwa,
+      kod_kreskowy: product.kod_kreskowy || '',
+      ilosc: '1',
+      cena: '',
+      dataWaznosci: null,
+      showDataWaznosci: false,
+      typ: product.typ || '',
+      objetosc: product.objetosc ? String(product.objetosc) : '',
+      zawartoscAlkoholu: product.zawartosc_alkoholu != null ? String(product.zawartosc_alkoholu).replace('.', ',') : ''
+    }, (row) => row.kod === product.kod);
+  };
+
+  const handleScannedNewProduct = (ean: string) => {
+    addScannedRow({
+      kod: '',
+      nazwa: '',
+      kod_kreskowy: ean,
+      ilosc: '1',
+      cena: '',
+      dataWaznosci: null,
+      showDataWaznosci: false,
+      typ: '',
+      objetosc: ''
+    }, (row) => normalizeBarcode(row.kod_kreskowy) === ean);
+    toast('Uzupełnij kod i nazwę nowego produktu');
+  };
+
   const deleteRow = (index: number) => {
     if (productRows.length > 1) {
       const newRows = [...productRows];
@@ -247,6 +383,7 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
 
     if (payload.sprzedawca) {
       setSprzedawca(payload.sprzedawca);
+      setSupplierId(payload.supplier_id ?? null);
     }
 
     if (payload.waluta) {
@@ -322,6 +459,99 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
     ocrFileInputRef.current?.click();
   };
 
+  // Awizo zastępuje pozycje; ceny i nagłówek faktury użytkownik uzupełnia przed zapisem
+  const applyAsnResult = (payload: NonNullable<AsnImportResponse['data']>) => {
+    if (payload.sprzedawca) {
+      setSprzedawca(payload.sprzedawca);
+      setSupplierId(payload.supplier_id ?? null);
+    }
+    const asnDate = parseIsoDate(payload.data);
+    if (asnDate) setSelectedDate(asnDate);
+    setAsnNumer(payload.numer || '');
+    setProductRows(
+      payload.products.map((product) => ({
+        asn: {
+          ilosc_zamowiona: product.ilosc_zamowiona,
+          dopasowanie: product.dopasowanie,
+          nazwa_asn: product.nazwa_asn,
+        },
+        kod: product.kod,
+        nazwa: product.nazwa,
+        kod_kreskowy: product.kod_kreskowy,
+        ilosc: String(product.ilosc),
+        cena: product.cena !== null ? formatPlMoney(product.cena) : '',
+        cenaPelna: product.cena ?? undefined,
+        dataWaznosci: parseIsoDate(product.data_waznosci),
+        showDataWaznosci: false,
+        typ: product.typ,
+        objetosc: product.objetosc,
+      }))
+    );
+    const { pozycje, niedopasowane, rozbieznosci } = payload.podsumowanie;
+    if (niedopasowane > 0 || rozbieznosci > 0) {
+      toast(`Awizo: ${pozycje} poz., niedopasowane ${niedopasowane}, rozbieżności ilości ${rozbieznosci} — sprawdź zaznaczone wiersze`);
+    } else {
+      toast.success(`Awizo: ${pozycje} poz. dopasowanych do kartoteki`);
+    }
+  };
+
+  // Przyjęcie z zamówienia zakupu: pozostałe ilości i ceny w walucie zamówienia
+  useEffect(() => {
+    if (!isOpen || !purchaseOrderDraft) return;
+    setPurchaseOrder({ id: purchaseOrderDraft.purchase_order_id, numer: purchaseOrderDraft.numer });
+    setSprzedawca(purchaseOrderDraft.sprzedawca);
+    setSupplierId(purchaseOrderDraft.supplier_id);
+    setWalutaFaktury(normalizeWalutaFaktury(purchaseOrderDraft.waluta));
+    setProductRows(
+      purchaseOrderDraft.products.map((product) => ({
+        asn: {
+          ilosc_zamowiona: product.ilosc_zamowiona,
+          dopasowanie: 'kod',
+          nazwa_asn: product.nazwa,
+          z_zamowienia: true,
+        },
+        kod: product.kod,
+        nazwa: product.nazwa,
+        kod_kreskowy: product.kod_kreskowy,
+        ilosc: String(product.ilosc),
+        cena: formatPlMoney(product.cena),
+        cenaPelna: product.cena,
+        dataWaznosci: null,
+        showDataWaznosci: false,
+        typ: product.typ,
+        objetosc: product.objetosc,
+      }))
+    );
+  }, [isOpen, purchaseOrderDraft]);
+
+  const handleAsnFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsAsnLoading(true);
+    try {
+      const formData = new FormData();
+      formData.append('asn', file);
+      const response = await fetch('/api/product-receipts/asn-import', {
+        method: 'POST',
+        body: formData,
+      });
+      const result: AsnImportResponse = await response.json().catch(() => ({ success: false }));
+      if (!response.ok || !result.success || !result.data) {
+        const details = result.errors && result.errors.length > 0 ? `: ${result.errors.slice(0, 3).join('; ')}` : '';
+        toast.error(`${result.error || 'Nie udało się wczytać awizo'}${details}`);
+        return;
+      }
+      applyAsnResult(result.data);
+    } catch (error) {
+      console.error('ASN import error:', error);
+      toast.error('Błąd połączenia podczas wczytywania awizo');
+    } finally {
+      setIsAsnLoading(false);
+    }
+  };
+
   const handleSubmit = async () => {
     console.log('handleSubmit called');
     console.log('selectedDate:', selectedDate);
@@ -349,6 +579,19 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
       return;
     }
 
+    const barcodeValidationError = await findBarcodeValidationError(
+      productRows.filter(row => row.kod && row.nazwa && row.ilosc && row.cena).map(row => row.kod_kreskowy)
+    );
+    if (barcodeValidationError) {
+      toast.error(barcodeValidationError);
+      return;
+    }
+
+    if (banderoleBlad) {
+      toast.error(`Banderole: ${banderoleBlad}`);
+      return;
+    }
+
     const kursNumber = getKursEurPlnForDelivery(walutaFaktury, aktualnyKurs, kursFaktury);
     const totalBottles = productRows.reduce((t,r)=>t+(parseFloat(r.ilosc)||0),0);
     const deliveryCostPerUnitPln = totalBottles>0 ? (parseFloat(kosztDostawy.replace(',', '.'))/totalBottles)*kursNumber : 0;
@@ -358,12 +601,13 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
       .map(row => ({
         kod: row.kod,
         nazwa: row.nazwa,
-        kod_kreskowy: row.kod_kreskowy || '',
+        kod_kreskowy: normalizeBarcode(row.kod_kreskowy),
         ilosc: parseFloat(row.ilosc) || 0,
         cena: parseFloat(row.cena.replace(',', '.')) || 0,
         dataWaznosci: row.dataWaznosci ? row.dataWaznosci.toLocaleDateString('en-CA') : undefined,
         typ: row.typ || undefined,
         objetosc: row.objetosc || undefined,
+        zawartosc_alkoholu: row.zawartoscAlkoholu || undefined,
         deliveryCostPerUnitPln: deliveryCostPerUnitPln,
         podatekAkcyzowyPerLiter: parseFloat(podatekAkcyzowy.replace(',', '.')) || 0
       }));
@@ -400,7 +644,10 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
       kursFaktury: toStandardKursFaktury(walutaFaktury, kursFaktury),
       products: formattedProducts,
       productInvoice: productInvoice || null,
-      transportInvoice: transportInvoice || null
+      transportInvoice: transportInvoice || null,
+      purchaseOrderId: purchaseOrder?.id,
+      supplierId: supplierId ?? undefined,
+      banderole,
     });
     handleClose();
   };
@@ -410,6 +657,7 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
     setProductRows([{ kod: '', nazwa: '', kod_kreskowy: '', ilosc: '', cena: '', dataWaznosci: null, showDataWaznosci: false, typ: '', objetosc: '' }]);
     setKosztDostawy('');
     setSprzedawca('');
+    setSupplierId(null);
     setAktualnyKurs('0,00');
     setPodatekAkcyzowy('0,00');
     setRabat('0,00');
@@ -421,6 +669,11 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
     setProductInvoice(null);
     setTransportInvoice(null);
     setIsOcrLoading(false);
+    setIsAsnLoading(false);
+    setAsnNumer(null);
+    setPurchaseOrder(null);
+    setBanderole([]);
+    setBanderoleBlad(null);
     onClose();
   };
 
@@ -455,6 +708,18 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
     // eslint-disable-next-line react-hooks/exhaustive-deps -- sync brutto from netto; keep user/OCR VAT
   }, [productRows, rabat, kwotaNettoNumber]);
 
+  const stampProducts = useMemo(
+    () => productRows
+      .filter(row => row.kod && row.ilosc)
+      .map(row => ({
+        kod: row.kod.trim(),
+        ilosc: parseFloat(row.ilosc) || 0,
+        typ: row.typ || undefined,
+        zawartosc_alkoholu: row.zawartoscAlkoholu || undefined,
+      })),
+    [productRows]
+  );
+
   const hasValidProducts = productRows.some(row =>
     row.kod && row.nazwa && row.ilosc && row.cena
   );
@@ -485,6 +750,12 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
     setOpenObjetoscDropdownIndex(null);
   };
 
+  const handleZawartoscAlkoholuChange = (index: number, value: string) => {
+    const newRows = [...productRows];
+    newRows[index].zawartoscAlkoholu = value.replace(/[^\d,.]/g, '');
+    setProductRows(newRows);
+  };
+
   useEffect(() => {
     if (isOpen) {
       setSelectedDate(getTodayDate());
@@ -599,6 +870,27 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
               <FileText className="h-3.5 w-3.5" />
               {isOcrLoading ? 'Rozpoznawanie…' : 'Wypełnij z PDF'}
             </button>
+            <input
+              type="file"
+              accept=".csv,.json,.txt,text/csv,application/json"
+              onChange={handleAsnFileChange}
+              className="hidden"
+              ref={asnFileInputRef}
+            />
+            <button
+              type="button"
+              onClick={() => asnFileInputRef.current?.click()}
+              disabled={isAsnLoading}
+              className={`inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-md border focus:outline-none transition-colors font-sora ${
+                isAsnLoading
+                  ? 'border-gray-200 text-gray-400 bg-gray-50 cursor-wait'
+                  : 'border-blue-300 text-blue-700 bg-blue-50 hover:bg-blue-100'
+              }`}
+              title="Wczytaj awizo dostawy (ASN) z WMS lub od dostawcy — CSV lub JSON"
+            >
+              <Truck className="h-3.5 w-3.5" />
+              {isAsnLoading ? 'Wczytywanie…' : 'Wczytaj awizo'}
+            </button>
           </div>
           <button
             onClick={handleClose}
@@ -718,6 +1010,14 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
                     placeholder="0,00"
                     className="w-[96px] px-3 py-1.5 pr-6 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
                   />
+                  <KursNbpHint
+                    value={primaryKursValue}
+                    nbpValue={nbpPrimaryKurs}
+                    kurs={nbpKurs}
+                    isLoading={isNbpLoading}
+                    error={nbpError}
+                    onRestore={setPrimaryKursValue}
+                  />
                 </div>
               ) : (
                 <div className="w-[96px] h-[30px] rounded-md bg-gray-100 border border-gray-200" aria-hidden="true" />
@@ -730,11 +1030,15 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
               <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
                 Sprzedawca
               </label>
-              <input
-                type="text"
+              <SupplierInput
                 value={sprzedawca}
-                onChange={(e) => setSprzedawca(e.target.value)}
-                placeholder="Wprowadź imię sprzedawcy"
+                onChange={(nazwa, supplier) => {
+                  setSprzedawca(nazwa);
+                  setSupplierId(supplier ? supplier.id : null);
+                  // Domyślna waluta dostawcy, jeśli waluta faktury nie jest jeszcze wybrana
+                  if (supplier && !walutaFaktury) setWalutaFaktury(supplier.waluta);
+                }}
+                placeholder="Wybierz z kartoteki lub wpisz nazwę"
                 className="w-[300px] px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
               />
             </div>
@@ -758,6 +1062,14 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
                     placeholder="0,00"
                     className="w-[96px] px-3 py-1.5 pr-6 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
                   />
+                  <KursNbpHint
+                    value={aktualnyKurs}
+                    nbpValue={nbpKurs ? nbpKurs.aktualny_kurs : null}
+                    kurs={nbpKurs}
+                    isLoading={isNbpLoading}
+                    error={nbpError}
+                    onRestore={setAktualnyKurs}
+                  />
                 </div>
               ) : (
                 <div className="w-[96px] h-[30px] rounded-md bg-gray-100 border border-gray-200" aria-hidden="true" />
@@ -822,6 +1134,28 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
           </div>
 
           <div className="mt-3 min-h-0 flex-1 flex flex-col overflow-hidden">
+            <div className="shrink-0 mb-2">
+              <BarcodeScanInput
+                onProduct={handleScannedProduct}
+                onCreateNew={handleScannedNewProduct}
+                hint="Każdy skan dodaje 1 szt. — ponowny skan tego samego produktu zwiększa ilość."
+              />
+              {purchaseOrder && (
+                <p className="mt-1 text-[11px] text-gray-600 font-sora">
+                  Przyjęcie do zamówienia {purchaseOrder.numer}:{' '}
+                  <span className="text-red-600">czerwona ilość — różni się od pozostałej do przyjęcia</span>
+                  {' '}(rozbieżności: {productRows.filter((row) => (getAsnQuantityDiff(row) ?? 0) !== 0).length})
+                </p>
+              )}
+              {asnNumer !== null && (
+                <p className="mt-1 text-[11px] text-gray-600 font-sora">
+                  Awizo{asnNumer ? ` ${asnNumer}` : ''}:{' '}
+                  <span className="text-amber-700">żółty kod — brak lub niepewne dopasowanie do kartoteki</span>,{' '}
+                  <span className="text-red-600">czerwona ilość — różni się od zamówionej</span>
+                  {' '}(rozbieżności: {productRows.filter((row) => (getAsnQuantityDiff(row) ?? 0) !== 0).length})
+                </p>
+              )}
+            </div>
             <div className="shrink-0 grid grid-cols-12 gap-1 mb-2 pr-1">
               <div className="col-span-1.5">
                 <span className="block text-xs font-medium text-gray-700 font-sora">Kod</span>
@@ -845,7 +1179,7 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
                 <span className="block text-xs font-medium text-gray-700 font-sora ml-1">Typ</span>
               </div>
               <div className="col-span-3 ml-20">
-                <span className="block text-xs font-medium text-gray-700 font-sora">Objętość</span>
+                <span className="block text-xs font-medium text-gray-700 font-sora">Objętość / % alk.</span>
               </div>
             </div>
             <div className="min-h-0 flex-1 overflow-y-auto pr-1 pb-10">
@@ -855,7 +1189,14 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
                 <div className="col-span-1.5 relative">
                   <input
                     type="text"
-                    className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                    className={`w-full px-3 py-1.5 border rounded-md focus:outline-none font-sora text-xs ${
+                      row.asn && row.asn.dopasowanie !== 'ean' && row.asn.dopasowanie !== 'kod'
+                        ? 'border-amber-400 bg-amber-50'
+                        : 'border-gray-300'
+                    }`}
+                    title={row.asn && !row.asn.z_zamowienia
+                      ? `${row.asn.dopasowanie ? ASN_DOPASOWANIE_LABELS[row.asn.dopasowanie] : 'Nie dopasowano do kartoteki'} (awizo: ${row.asn.nazwa_asn || '—'})`
+                      : undefined}
                     placeholder="Kod"
                     value={row.kod}
                     onChange={(e) => {
@@ -902,7 +1243,12 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
                 <div className="col-span-1.5">
                   <input
                     type="number"
-                    className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none"
+                    className={`w-full px-3 py-1.5 border rounded-md focus:outline-none font-sora text-xs [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none ${
+                      (getAsnQuantityDiff(row) ?? 0) !== 0 ? 'border-red-400 bg-red-50 text-red-700' : 'border-gray-300'
+                    }`}
+                    title={getAsnQuantityDiff(row) !== null
+                      ? `${row.asn?.z_zamowienia ? 'Pozostało do przyjęcia' : 'Zamówiono'}: ${row.asn?.ilosc_zamowiona} (różnica ${(getAsnQuantityDiff(row) ?? 0) > 0 ? '+' : ''}${getAsnQuantityDiff(row)})`
+                      : undefined}
                     placeholder="0"
                     value={row.ilosc}
                     onChange={(e) => {
@@ -1046,6 +1392,15 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
                       </div>
                     )}
                   </div>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={row.zawartoscAlkoholu ?? ''}
+                    onChange={(e) => handleZawartoscAlkoholuChange(index, e.target.value)}
+                    placeholder="% alk."
+                    title="Zawartość alkoholu (% obj.) — puste: z kartoteki produktu"
+                    className="absolute top-0 right-0 w-[35%] px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                  />
                 </div>
               </div>
             ))}
@@ -1054,6 +1409,13 @@ export const AddProductModal: React.FC<AddProductModalProps> = ({
           </div>
         </div>
 
+        <ReceiptStampsSection
+          products={stampProducts}
+          value={banderole}
+          onChange={setBanderole}
+          onStatusChange={setBanderoleBlad}
+        />
+
         <div className="shrink-0 pt-4 mt-1 relative flex items-center justify-center">
           <button
             onClick={() => {
@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { AlcoholTurnoverReport } from '../types/AlcoholLicence';
+
+interface AlcoholTurnoverModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+const formatLitry = (value: number) =>
+  value.toLocaleString('pl-PL', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/** Roczne sprawozdanie z obrotu hurtowego napojami alkoholowymi: litry wg kategorii i odbiorców. */
+export const AlcoholTurnoverModal: React.FC<AlcoholTurnoverModalProps> = ({ isOpen, onClose }) => {
+  const [year, setYear] = useState(String(new Date().getFullYear() - 1));
+  const [report, setReport] = useState<AlcoholTurnoverReport | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const loadReport = async (rok: string) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/alcohol-turnover?rok=${encodeURIComponent(rok)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Błąd ładowania sprawozdania');
+      }
+      setReport(data);
+    } catch (error) {
+      console.error('Error loading alcohol turnover report:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania sprawozdania');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) loadReport(year);
+  }, [isOpen]);
+
+  const download = async (format: 'xlsx' | 'pdf') => {
+    setIsExporting(true);
+    try {
+      const response = await fetch(`/api/alcohol-turnover/${format}?rok=${encodeURIComponent(year)}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Błąd eksportu');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `obrot_alkoholem_${year}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => window.URL.revokeObjectURL(url), 100);
+    } catch (error) {
+      console.error('Error exporting alcohol turnover report:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd eksportu');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const buttonClassName = 'px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed';
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '960px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '85vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Sprawozdanie z obrotu hurtowego napojami alkoholowymi</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        <form
+          className="flex items-center gap-3 mb-4"
+          onSubmit={(e) => {
+            e.preventDefault();
+            loadReport(year);
+          }}
+        >
+          <label className="text-xs text-gray-700">Rok</label>
+          <input
+            type="number"
+            min={2000}
+            max={new Date().getFullYear()}
+            value={year}
+            onChange={(e) => setYear(e.target.value)}
+            className="w-24 px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <button type="submit" disabled={isLoading} className={buttonClassName}>
+            Pokaż
+          </button>
+          <div className="ml-auto flex gap-2">
+            <button type="button" disabled={isExporting || !report} onClick={() => download('xlsx')} className={buttonClassName}>
+              XLSX
+            </button>
+            <button type="button" disabled={isExporting || !report} onClick={() => download('pdf')} className={buttonClassName}>
+              PDF
+            </button>
+          </div>
+        </form>
+
+        {isLoading || !report ? (
+          <p className="text-xs text-gray-500">Ładowanie...</p>
+        ) : (
+          <div className="max-h-[60vh] overflow-y-auto flex flex-col gap-4">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50">
+                <tr className="text-gray-700">
+                  <th className="px-2 py-1 text-left font-bold">Odbiorcy (litry)</th>
+                  {report.kategorie.map((item) => (
+                    <th key={item.kategoria} className="px-2 py-1 text-right font-bold" title={item.opis}>
+                      Kat. {item.kategoria}
+                    </th>
+                  ))}
+                  <th className="px-2 py-1 text-right font-bold">Razem</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {report.wiersze.map((row) => (
+                  <tr key={row.odbiorca} className="text-gray-900">
+                    <td className="px-2 py-1">{row.opis}</td>
+                    {report.kategorie.map((item) => (
+                      <td key={item.kategoria} className="px-2 py-1 text-right">{formatLitry(row[item.kategoria])}</td>
+                    ))}
+                    <td className="px-2 py-1 text-right">{formatLitry(row.razem)}</td>
+                  </tr>
+                ))}
+                <tr className="font-semibold text-gray-900">
+                  <td className="px-2 py-1">Razem</td>
+                  {report.kategorie.map((item) => (
+                    <td key={item.kategoria} className="px-2 py-1 text-right">{formatLitry(report.razem[item.kategoria])}</td>
+                  ))}
+                  <td className="px-2 py-1 text-right">{formatLitry(report.razem.razem)}</td>
+                </tr>
+              </tbody>
+            </table>
+
+            {report.bez_objetosci.length > 0 && (
+              <p className="text-xs text-red-600">
+                Nie ujęto — brak objętości w kartotece: {report.bez_objetosci.map((brak) => `${brak.kod} (${brak.sztuki} szt.)`).join(', ')}
+              </p>
+            )}
+            {report.bez_zawartosci.length > 0 && (
+              <p className="text-xs text-amber-700">
+                Kategoria według typu towaru (brak % alkoholu): {report.bez_zawartosci.join(', ')}
+              </p>
+            )}
+
+            {report.pozycje.length === 0 ? (
+              <p className="text-xs text-gray-500">Brak sprzedaży napojów alkoholowych w roku {report.rok}</p>
+            ) : (
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50">
+                  <tr className="text-gray-700">
+                    <th className="px-2 py-1 text-left font-bold">Kod</th>
+                    <th className="px-2 py-1 text-left font-bold">Nazwa</th>
+                    <th className="px-2 py-1 text-left font-bold">Kat.</th>
+                    <th className="px-2 py-1 text-right font-bold">% obj.</th>
+                    <th className="px-2 py-1 text-right font-bold">Poj. (l)</th>
+                    <th className="px-2 py-1 text-right font-bold">Sztuki</th>
+                    <th className="px-2 py-1 text-right font-bold">Litry</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.pozycje.map((towar) => (
+                    <tr key={towar.kod} className="text-gray-900">
+                      <td className="px-2 py-1">{towar.kod}</td>
+                      <td className="px-2 py-1">{towar.nazwa}</td>
+                      <td className="px-2 py-1">{towar.kategoria}</td>
+                      <td className="px-2 py-1 text-right">{towar.zawartosc_alkoholu ?? '—'}</td>
+                      <td className="px-2 py-1 text-right">{towar.objetosc}</td>
+                      <td className="px-2 py-1 text-right">{towar.sztuki}</td>
+                      <td className="px-2 py-1 text-right">{formatLitry(towar.litry)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
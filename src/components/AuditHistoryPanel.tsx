@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+
+export type AuditEntityType = 'order' | 'product_receipt' | 'invoice' | 'reservation' | 'komis' | 'working_sheet' | 'client' | 'purchase_order' | 'supplier' | 'company' | 'client_licence';
+
+type AuditValue = string | number | boolean | null;
+type AuditLine = Record<string, AuditValue>;
+type AuditFieldChange =
+  | { old: AuditValue; new: AuditValue }
+  | { added: AuditLine[]; removed: AuditLine[] };
+
+interface AuditEntry {
+  id: number;
+  user_login: string | null;
+  action: 'create' | 'update' | 'delete' | 'cancel' | 'payment';
+  diff: Record<string, AuditFieldChange>;
+  created_at: string;
+}
+
+interface AuditHistoryPanelProps {
+  entityType: AuditEntityType;
+  entityId: number | string | undefined;
+}
+
+const ACTION_LABELS: Record<AuditEntry['action'], string> = {
+  create: 'Utworzenie',
+  update: 'Edycja',
+  delete: 'Usunięcie',
+  cancel: 'Anulowanie',
+  payment: 'Płatność',
+};
+
+const formatValue = (value: AuditValue): string => {
+  if (value === null || value === '') return '—';
+  return String(value);
+};
+
+// Pozycja dokumentu w jednej linii: "kod · nazwa · ilość"
+const formatLine = (line: AuditLine): string =>
+  Object.values(line)
+    .filter((v) => v !== null && v !== '' && typeof v !== 'object')
+    .join(' · ');
+
+// created_at z SQLite jest w UTC bez strefy
+const formatTimestamp = (value: string): string => {
+  const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? value : date.toLocaleString('pl-PL');
+};
+
+export const AuditHistoryPanel: React.FC<AuditHistoryPanelProps> = ({ entityType, entityId }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setIsExpanded(false);
+    setEntries([]);
+  }, [entityType, entityId]);
+
+  useEffect(() => {
+    if (!isExpanded || entityId === undefined) return;
+    setIsLoading(true);
+    setError(null);
+    fetch(`/api/audit-log?entity_type=${entityType}&entity_id=${encodeURIComponent(String(entityId))}`)
+      .then((res) => {
+        if (!res.ok) throw new Error('Błąd ładowania historii zmian');
+        return res.json();
+      })
+      .then((data: AuditEntry[]) => setEntries(data))
+      .catch((err) => {
+        console.error('Error loading audit log:', err);
+        setError(err instanceof Error ? err.message : 'Błąd ładowania historii zmian');
+      })
+      .finally(() => setIsLoading(false));
+  }, [isExpanded, entityType, entityId]);
+
+  if (entityId === undefined) return null;
+
+  return (
+    <div className="border-t border-gray-200 pt-3">
+      <button
+        type="button"
+        onClick={() => setIsExpanded((prev) => !prev)}
+        className="flex items-center gap-1 text-sm font-semibold text-gray-800 focus:outline-none"
+      >
+        {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        Historia zmian
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2">
+          {isLoading && <p className="text-xs text-gray-500">Ładowanie...</p>}
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          {!isLoading && !error && entries.length === 0 && (
+            <p className="text-xs text-gray-500">Brak zarejestrowanych zmian</p>
+          )}
+          {entries.map((entry) => (
+            <div key={entry.id} className="bg-gray-50 rounded-md p-2 text-xs">
+              <div className="flex justify-between text-gray-700 mb-1">
+                <span className="font-medium">
+                  {ACTION_LABELS[entry.action] || entry.action}
+                  {' — '}
+                  {entry.user_login || 'system'}
+                </span>
+                <span className="text-gray-500">{formatTimestamp(entry.created_at)}</span>
+              </div>
+              {entry.action !== 'create' && entry.action !== 'delete' && (
+                <ul className="space-y-0.5">
+                  {Object.entries(entry.diff).map(([field, change]) => (
+                    <li key={field} className="text-gray-700">
+                      <span className="text-gray-500">{field.replace(/_/g, ' ')}: </span>
+                      {'added' in change ? (
+                        <span className="block pl-3">
+                          {change.removed.map((line, idx) => (
+                            <span key={`r${idx}`} className="block text-red-600">− {formatLine(line)}</span>
+                          ))}
+                          {change.added.map((line, idx) => (
+                            <span key={`a${idx}`} className="block text-green-700">+ {formatLine(line)}</span>
+                          ))}
+                        </span>
+                      ) : (
+                        <>
+                          <span className="line-through text-red-600">{formatValue(change.old)}</span>
+                          {' → '}
+                          <span className="text-green-700">{formatValue(change.new)}</span>
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,126 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { AUTH_EXPIRED_EVENT, AuthUser, getAuthToken, setAuthToken } from '../utils/auth';
+import { LOGIN_PATH } from '../routes';
+
+interface AuthContextValue {
+  user: AuthUser | null;
+  isLoading: boolean;
+  // Aktywna firma sesji — dokumenty i stany są filtrowane po niej po stronie serwera
+  companyId: number | null;
+  login: (login: string, haslo: string) => Promise<void>;
+  logout: () => Promise<void>;
+  switchCompany: (companyId: number) => Promise<void>;
+}
+
+const AuthContext = createContext<AuthContextValue | null>(null);
+
+export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [companyId, setCompanyId] = useState<number | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadSession = useCallback(
+    () => fetch('/api/auth/me')
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        setUser(data?.user ?? null);
+        setCompanyId(data?.company_id ?? null);
+      }),
+    []
+  );
+
+  // Przy starcie sprawdzamy, czy zapisany token jest nadal ważny
+  useEffect(() => {
+    if (!getAuthToken()) {
+      setIsLoading(false);
+      return;
+    }
+    loadSession()
+      .catch(err => {
+        console.error('❌ Error checking session:', err);
+        setUser(null);
+      })
+      .finally(() => setIsLoading(false));
+  }, [loadSession]);
+
+  useEffect(() => {
+    const handleExpired = () => {
+      if (!getAuthToken()) return;
+      setAuthToken(null);
+      setUser(null);
+      toast.error('Sesja wygasła — zaloguj się ponownie');
+    };
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  const login = useCallback(async (loginValue: string, haslo: string) => {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ login: loginValue, haslo }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    setAuthToken(data.token);
+    setUser(data.user);
+    await loadSession().catch(err => console.error('❌ Error loading session company:', err));
+  }, [loadSession]);
+
+  const logout = useCallback(async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('❌ Error during logout:', error);
+    }
+    setAuthToken(null);
+    setUser(null);
+    setCompanyId(null);
+  }, []);
+
+  // Po zmianie firmy przeładowujemy aplikację — wszystkie listy pobierają dane na nowo
+  const switchCompany = useCallback(async (nextCompanyId: number) => {
+    const response = await fetch('/api/auth/company', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ company_id: nextCompanyId }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    window.location.reload();
+  }, []);
+
+  return (
+    <AuthContext.Provider value={{ user, isLoading, companyId, login, logout, switchCompany }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = (): AuthContextValue => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within AuthProvider');
+  }
+  return context;
+};
+
+// Route guard: bez sesji — przekierowanie na /login z powrotem na bieżącą ścieżkę
+export const RequireAuth: React.FC<{ children: React.ReactElement }> = ({ children }) => {
+  const { user, isLoading } = useAuth();
+  const location = useLocation();
+
+  if (isLoading) {
+    return null;
+  }
+  if (!user) {
+    return <Navigate to={LOGIN_PATH} replace state={{ from: location.pathname }} />;
+  }
+  return children;
+};
@@ -0,0 +1,270 @@
+import React, { useEffect, useRef, useState } from 'react';
+import Modal from 'react-modal';
+import { ScanBarcode, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { BarcodeProduct, barcodeError, normalizeBarcode } from '../utils/barcode';
+
+interface SearchResult {
+  kod: string;
+  nazwa: string;
+}
+
+interface BarcodeLinkDialogProps {
+  ean: string | null;
+  onClose: () => void;
+  onLinked: (product: BarcodeProduct) => void;
+  onCreateNew?: (ean: string) => void;
+}
+
+/** Dialog dla nieznanego kodu kreskowego: powiązanie EAN z istniejącym kodem produktu. */
+export const BarcodeLinkDialog: React.FC<BarcodeLinkDialogProps> = ({ ean, onClose, onLinked, onCreateNew }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState<SearchResult[]>([]);
+  const [isLinking, setIsLinking] = useState(false);
+
+  useEffect(() => {
+    setQuery('');
+    setResults([]);
+  }, [ean]);
+
+  useEffect(() => {
+    if (!ean || query.trim().length < 1) {
+      setResults([]);
+      return;
+    }
+    const searchProducts = async () => {
+      try {
+        const response = await fetch(`/api/working-sheets/search-simple?query=${encodeURIComponent(query)}`);
+        if (!response.ok) throw new Error('Failed to fetch products');
+        setResults(await response.json());
+      } catch {
+        setResults([]);
+      }
+    };
+    const timeoutId = setTimeout(searchProducts, 300);
+    return () => clearTimeout(timeoutId);
+  }, [ean, query]);
+
+  const handleLink = async (kod: string) => {
+    if (!ean) return;
+    setIsLinking(true);
+    try {
+      const response = await fetch(`/api/working-sheets/by-barcode/${encodeURIComponent(ean)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ kod }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success(`Kod kreskowy ${ean} powiązano z ${kod}`);
+      onLinked(data);
+    } catch (error) {
+      console.error('Error linking barcode:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd powiązania kodu kreskowego');
+    } finally {
+      setIsLinking(false);
+    }
+  };
+
+  const validationError = ean ? barcodeError(ean) : null;
+
+  return (
+    <Modal
+      isOpen={ean !== null}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '480px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '70vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 10000 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-3 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Nieznany kod kreskowy</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="text-xs text-gray-600 mb-3">
+          Kod <span className="font-semibold text-gray-900">{ean}</span> nie jest przypisany do żadnego produktu.
+        </p>
+
+        {validationError ? (
+          <p className="text-xs text-red-600">{validationError}. Zeskanuj kod ponownie.</p>
+        ) : (
+          <>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Powiąż z produktem</label>
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Szukaj po kodzie lub nazwie..."
+              autoFocus
+              className="w-full px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+            />
+            {results.length > 0 && (
+              <div className="mt-1 max-h-48 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+                {results.map((result) => (
+                  <button
+                    key={result.kod}
+                    type="button"
+                    onClick={() => handleLink(result.kod)}
+                    disabled={isLinking}
+                    className="w-full text-left px-3 py-1.5 text-xs hover:bg-blue-50 disabled:cursor-not-allowed"
+                  >
+                    <span className="text-gray-900">{result.nazwa}</span>
+                    <span className="ml-2 text-[10px] text-gray-500">{result.kod}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end gap-2 mt-4">
+          {onCreateNew && ean && !validationError && (
+            <button
+              type="button"
+              onClick={() => onCreateNew(ean)}
+              className="px-4 py-1.5 border border-blue-600 text-blue-600 text-xs rounded-md hover:bg-blue-50 focus:outline-none transition-colors"
+            >
+              Nowy produkt
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none"
+          >
+            Anuluj
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+interface BarcodeScanInputProps {
+  onProduct: (product: BarcodeProduct) => void;
+  onCreateNew?: (ean: string) => void;
+  onActiveChange?: (active: boolean) => void;
+  hint?: string;
+}
+
+/**
+ * Tryb skanera: czytnik USB (keyboard wedge) wpisuje kod i Enter, produkt
+ * trafia do dokumentu przez onProduct. Nieznany kod otwiera dialog powiązania.
+ */
+export const BarcodeScanInput: React.FC<BarcodeScanInputProps> = ({ onProduct, onCreateNew, onActiveChange, hint }) => {
+  const [isActive, setIsActive] = useState(false);
+  const [code, setCode] = useState('');
+  const [isLookingUp, setIsLookingUp] = useState(false);
+  const [unknownEan, setUnknownEan] = useState<string | null>(null);
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  useEffect(() => {
+    if (isActive && unknownEan === null) inputRef.current?.focus();
+  }, [isActive, unknownEan]);
+
+  const toggleActive = () => {
+    const next = !isActive;
+    setIsActive(next);
+    setCode('');
+    onActiveChange?.(next);
+  };
+
+  const lookupBarcode = async (ean: string) => {
+    setIsLookingUp(true);
+    try {
+      const response = await fetch(`/api/working-sheets/by-barcode/${encodeURIComponent(ean)}`);
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 404) {
+        setUnknownEan(ean);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      onProduct(data);
+    } catch (error) {
+      console.error('Error looking up barcode:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd wyszukiwania kodu kreskowego');
+    } finally {
+      setIsLookingUp(false);
+    }
+  };
+
+  // Enter zamiast <form>: pole bywa osadzone w formularzach modali
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const ean = normalizeBarcode(code);
+    setCode('');
+    if (ean) lookupBarcode(ean);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={toggleActive}
+          className={`flex items-center gap-1 px-3 py-1.5 text-xs rounded-md border focus:outline-none transition-colors ${
+            isActive
+              ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+              : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+          }`}
+          title="Dodawanie pozycji czytnikiem kodów kreskowych"
+        >
+          <ScanBarcode size={14} />
+          Tryb skanera
+        </button>
+        {isActive && (
+          <input
+            ref={inputRef}
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Skanuj kod kreskowy..."
+            className="w-56 px-3 py-1.5 border border-blue-400 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+        )}
+        {isLookingUp && (
+          <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-blue-500"></div>
+        )}
+      </div>
+      {isActive && hint && <p className="mt-1 text-[10px] text-gray-500">{hint}</p>}
+
+      <BarcodeLinkDialog
+        ean={unknownEan}
+        onClose={() => setUnknownEan(null)}
+        onLinked={(product) => {
+          setUnknownEan(null);
+          onProduct(product);
+        }}
+        onCreateNew={onCreateNew && ((ean) => {
+          setUnknownEan(null);
+          onCreateNew(ean);
+        })}
+      />
+    </div>
+  );
+};
@@ -1,8 +1,11 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import Modal from 'react-modal';
 import { X } from 'lucide-react';
+import { ReceivablesAgingTable } from './ReceivablesAgingTable';
+import { ClientLicencesPanel } from './ClientLicencesPanel';
+import { ClientMasterData } from '../types/Client';
 
-interface Client {
+interface Client extends ClientMasterData {
   id: number;
   firma: string;
   nazwa: string;
@@ -17,7 +20,32 @@ interface ClientDetailsModalProps {
   client: Client | null;
 }
 
+interface OverdueInvoice {
+  id: number;
+  numer_faktury: string;
+  termin_platnosci: string;
+  pozostalo: number;
+  dni_po_terminie: number;
+}
+
+const formatAmount = (value: number) => `${value.toFixed(2).replace('.', ',')} zł`;
+
 export const ClientDetailsModal: React.FC<ClientDetailsModalProps> = ({ isOpen, onClose, client }) => {
+  const [overdueInvoices, setOverdueInvoices] = useState<OverdueInvoice[]>([]);
+
+  useEffect(() => {
+    if (!isOpen || !client) return;
+    fetch(`/api/receivables/overdue?client_id=${client.id}`)
+      .then((res) => (res.ok ? res.json() : []))
+      .then((groups: { invoices: OverdueInvoice[] }[]) => {
+        setOverdueInvoices(groups.flatMap((g) => g.invoices));
+      })
+      .catch((error) => {
+        console.error('Error loading overdue invoices:', error);
+        setOverdueInvoices([]);
+      });
+  }, [isOpen, client]);
+
   if (!client) return null;
 
   return (
@@ -26,8 +54,8 @@ export const ClientDetailsModal: React.FC<ClientDetailsModalProps> = ({ isOpen,
       onRequestClose={onClose}
       style={{
         content: {
-          width: '420px',
-          height: '288px',
+          width: '640px',
+          height: '520px',
           maxWidth: '90%',
           position: 'absolute',
           top: '50%',
@@ -72,7 +100,7 @@ export const ClientDetailsModal: React.FC<ClientDetailsModalProps> = ({ isOpen,
               <div className="text-xs text-gray-900 ml-2">{client.nazwa}</div>
             </div>
             <div className="flex items-center">
-              <label className="block text-xs font-bold text-gray-700 font-sora w-32">Adres</label>
+              <label className="block text-xs font-bold text-gray-700 font-sora w-32">Adres rozliczeniowy</label>
               <div className="text-xs text-gray-900 ml-2">{client.adres}</div>
             </div>
             <div className="flex items-center">
@@ -83,7 +111,85 @@ export const ClientDetailsModal: React.FC<ClientDetailsModalProps> = ({ isOpen,
               <label className="block text-xs font-bold text-gray-700 font-sora w-32">Kontakt</label>
               <div className="text-xs text-gray-900 ml-2">{client.kontakt}</div>
             </div>
+            <div className="flex items-center">
+              <label className="block text-xs font-bold text-gray-700 font-sora w-32">NIP</label>
+              <div className="text-xs text-gray-900 ml-2">{client.nip || '—'}</div>
+            </div>
+            <div className="flex items-center">
+              <label className="block text-xs font-bold text-gray-700 font-sora w-32">VAT UE</label>
+              <div className="text-xs text-gray-900 ml-2">{client.vat_ue || '—'}</div>
+            </div>
+            <div className="flex items-center">
+              <label className="block text-xs font-bold text-gray-700 font-sora w-32">E-mail</label>
+              <div className="text-xs text-gray-900 ml-2">{client.email || '—'}</div>
+            </div>
+            <div className="flex items-center">
+              <label className="block text-xs font-bold text-gray-700 font-sora w-32">Telefon</label>
+              <div className="text-xs text-gray-900 ml-2">{client.telefon || '—'}</div>
+            </div>
+            <div className="flex items-center">
+              <label className="block text-xs font-bold text-gray-700 font-sora w-32">Termin płatności</label>
+              <div className="text-xs text-gray-900 ml-2">
+                {client.termin_platnosci_dni != null ? `${client.termin_platnosci_dni} dni` : '—'}
+              </div>
+            </div>
+            <div className="flex items-center">
+              <label className="block text-xs font-bold text-gray-700 font-sora w-32">Rabat domyślny</label>
+              <div className="text-xs text-gray-900 ml-2">
+                {client.rabat_domyslny != null ? `${client.rabat_domyslny}%` : '—'}
+              </div>
+            </div>
           </div>
+          {client.adresy_dostawy && client.adresy_dostawy.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-800 mb-2">Adresy dostawy</h3>
+              <ul className="space-y-1 text-xs text-gray-900">
+                {client.adresy_dostawy.map((a) => (
+                  <li key={a.id ?? a.adres}>
+                    {a.nazwa && <span className="font-semibold">{a.nazwa}: </span>}
+                    {a.adres}
+                    {Boolean(a.domyslny) && <span className="ml-2 text-[11px] text-gray-500">(domyślny)</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {client.zezwolenie_niewymagane ? (
+            <p className="text-xs text-gray-500">Klient bez kontroli zezwoleń na alkohol</p>
+          ) : (
+            <ClientLicencesPanel clientId={client.id} />
+          )}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-800 mb-2">Należności</h3>
+            <ReceivablesAgingTable clientId={client.id} />
+          </div>
+          {overdueInvoices.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-800 mb-2">Faktury po terminie</h3>
+              <table className="w-full text-xs font-sora">
+                <thead>
+                  <tr className="bg-gray-50 text-gray-700">
+                    <th className="px-2 py-1 text-left font-bold">Numer faktury</th>
+                    <th className="px-2 py-1 text-left font-bold">Termin płatności</th>
+                    <th className="px-2 py-1 text-right font-bold">Dni po terminie</th>
+                    <th className="px-2 py-1 text-right font-bold">Pozostało</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {overdueInvoices.map((inv) => (
+                    <tr key={inv.id}>
+                      <td className="px-2 py-1 text-gray-900">{inv.numer_faktury}</td>
+                      <td className="px-2 py-1 text-gray-600">
+                        {new Date(inv.termin_platnosci).toLocaleDateString('pl-PL')}
+                      </td>
+                      <td className="px-2 py-1 text-right text-red-600">{inv.dni_po_terminie}</td>
+                      <td className="px-2 py-1 text-right font-semibold text-gray-900">{formatAmount(inv.pozostalo)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
         <button
           onClick={onClose}
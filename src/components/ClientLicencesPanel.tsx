@@ -0,0 +1,364 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { API_URL } from '../config';
+import { useAuth } from './AuthProvider';
+import { AuditHistoryPanel } from './AuditHistoryPanel';
+import {
+  ClientLicence,
+  KATEGORIE_ALKOHOLU,
+  KATEGORIE_ALKOHOLU_LABELS,
+  KategoriaAlkoholu,
+  RODZAJE_ZEZWOLEN_LABELS,
+  RodzajZezwolenia,
+  StatusZezwolenia,
+} from '../types/AlcoholLicence';
+
+interface ClientLicencesPanelProps {
+  clientId: number;
+}
+
+interface LicenceForm {
+  id: number | null;
+  numer: string;
+  rodzaj: RodzajZezwolenia;
+  kategorie: KategoriaAlkoholu[];
+  data_od: string;
+  data_do: string;
+  uwagi: string;
+  skan: File | null;
+}
+
+const EMPTY_FORM: LicenceForm = {
+  id: null,
+  numer: '',
+  rodzaj: 'hurt',
+  kategorie: [],
+  data_od: '',
+  data_do: '',
+  uwagi: '',
+  skan: null,
+};
+
+const STATUS_LABELS: Record<StatusZezwolenia, string> = {
+  wazne: 'ważne',
+  wygasle: 'wygasło',
+  przyszle: 'obowiązuje od ',
+};
+
+const STATUS_CLASSES: Record<StatusZezwolenia, string> = {
+  wazne: 'text-green-700',
+  wygasle: 'text-red-600',
+  przyszle: 'text-amber-700',
+};
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleDateString('pl-PL') : '—');
+
+/** Zezwolenia klienta na obrót alkoholem: numer, kategorie A/B/C, ważność i skan. */
+export const ClientLicencesPanel: React.FC<ClientLicencesPanelProps> = ({ clientId }) => {
+  const { user } = useAuth();
+  const canEdit = user?.rola === 'admin' || user?.rola === 'sprzedaż';
+  const [licences, setLicences] = useState<ClientLicence[]>([]);
+  const [form, setForm] = useState<LicenceForm | null>(null);
+  const [formErrors, setFormErrors] = useState<string[]>([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadLicences = async () => {
+    try {
+      const response = await fetch(`/api/client-licences?client_id=${clientId}`);
+      if (!response.ok) throw new Error('Błąd ładowania zezwoleń');
+      setLicences(await response.json());
+    } catch (error) {
+      console.error('Error loading client licences:', error);
+      setLicences([]);
+    }
+  };
+
+  useEffect(() => {
+    setForm(null);
+    loadLicences();
+  }, [clientId]);
+
+  const openForm = (next: LicenceForm) => {
+    setForm(next);
+    setFormErrors([]);
+  };
+
+  const startEdit = (licence: ClientLicence) => {
+    openForm({
+      id: licence.id,
+      numer: licence.numer,
+      rodzaj: licence.rodzaj,
+      kategorie: licence.kategorie.split(',') as KategoriaAlkoholu[],
+      data_od: licence.data_od || '',
+      data_do: licence.data_do,
+      uwagi: licence.uwagi || '',
+      skan: null,
+    });
+  };
+
+  const toggleKategoria = (kategoria: KategoriaAlkoholu) => {
+    if (!form) return;
+    const kategorie = form.kategorie.includes(kategoria)
+      ? form.kategorie.filter((item) => item !== kategoria)
+      : [...form.kategorie, kategoria];
+    setForm({ ...form, kategorie });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form) return;
+    setIsSaving(true);
+    try {
+      const formData = new FormData();
+      formData.append('client_id', String(clientId));
+      formData.append('numer', form.numer);
+      formData.append('rodzaj', form.rodzaj);
+      formData.append('kategorie', form.kategorie.join(','));
+      formData.append('data_od', form.data_od);
+      formData.append('data_do', form.data_do);
+      formData.append('uwagi', form.uwagi);
+      if (form.skan) formData.append('skan', form.skan);
+
+      const response = await fetch(form.id ? `/api/client-licences/${form.id}` : '/api/client-licences', {
+        method: form.id ? 'PUT' : 'POST',
+        body: formData,
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 422 && Array.isArray(data.errors)) {
+        setFormErrors(data.errors);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success(form.id ? 'Zezwolenie zapisane' : 'Zezwolenie dodane');
+      setForm(null);
+      loadLicences();
+    } catch (error) {
+      console.error('Error saving client licence:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu zezwolenia');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!form?.id || !window.confirm(`Usunąć zezwolenie ${form.numer}?`)) return;
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/client-licences/${form.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success('Zezwolenie usunięte');
+      setForm(null);
+      loadLicences();
+    } catch (error) {
+      console.error('Error deleting client licence:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd usuwania zezwolenia');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-800">Zezwolenia na alkohol</h3>
+        {canEdit && !form && (
+          <button
+            type="button"
+            onClick={() => openForm(EMPTY_FORM)}
+            className="text-xs text-blue-600 hover:text-blue-800 focus:outline-none"
+          >
+            Dodaj zezwolenie
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={handleSave} className="mb-3 border border-gray-200 rounded-md p-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Numer zezwolenia</label>
+              <input
+                type="text"
+                value={form.numer}
+                onChange={(e) => setForm({ ...form, numer: e.target.value })}
+                maxLength={60}
+                required
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Rodzaj</label>
+              <select
+                value={form.rodzaj}
+                onChange={(e) => setForm({ ...form, rodzaj: e.target.value as RodzajZezwolenia })}
+                className={inputClassName}
+              >
+                {(Object.keys(RODZAJE_ZEZWOLEN_LABELS) as RodzajZezwolenia[]).map((rodzaj) => (
+                  <option key={rodzaj} value={rodzaj}>{RODZAJE_ZEZWOLEN_LABELS[rodzaj]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Ważne od</label>
+              <input
+                type="date"
+                value={form.data_od}
+                onChange={(e) => setForm({ ...form, data_od: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Ważne do</label>
+              <input
+                type="date"
+                value={form.data_do}
+                onChange={(e) => setForm({ ...form, data_do: e.target.value })}
+                required
+                className={inputClassName}
+              />
+            </div>
+            <div className="col-span-2 flex flex-wrap gap-4">
+              {KATEGORIE_ALKOHOLU.map((kategoria) => (
+                <label key={kategoria} className="flex items-center gap-1.5 text-xs text-gray-700 select-none">
+                  <input
+                    type="checkbox"
+                    checked={form.kategorie.includes(kategoria)}
+                    onChange={() => toggleKategoria(kategoria)}
+                  />
+                  {kategoria} — {KATEGORIE_ALKOHOLU_LABELS[kategoria]}
+                </label>
+              ))}
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Uwagi</label>
+              <input
+                type="text"
+                value={form.uwagi}
+                onChange={(e) => setForm({ ...form, uwagi: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                Skan {form.id && '(nowy plik zastąpi poprzedni)'}
+              </label>
+              <input
+                type="file"
+                accept="application/pdf,image/*"
+                onChange={(e) => setForm({ ...form, skan: e.target.files?.[0] || null })}
+                className="w-full text-xs"
+              />
+            </div>
+          </div>
+
+          {formErrors.length > 0 && (
+            <ul className="mt-3 text-xs text-red-600 list-disc list-inside">
+              {formErrors.map((message) => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+
+          <div className="mt-3 flex justify-between">
+            <div>
+              {form.id && (
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  disabled={isSaving}
+                  className="px-4 py-1.5 text-xs text-red-600 bg-white border border-red-300 rounded-md hover:bg-red-50 focus:outline-none disabled:opacity-50"
+                >
+                  Usuń
+                </button>
+              )}
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-4 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none"
+              >
+                Anuluj
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                {isSaving ? 'Zapisywanie...' : 'Zapisz'}
+              </button>
+            </div>
+          </div>
+
+          {form.id && (
+            <div className="mt-3">
+              <AuditHistoryPanel entityType="client_licence" entityId={form.id} />
+            </div>
+          )}
+        </form>
+      )}
+
+      {licences.length === 0 ? (
+        <p className="text-xs text-gray-500">Brak zezwoleń</p>
+      ) : (
+        <table className="w-full text-xs font-sora">
+          <thead>
+            <tr className="bg-gray-50 text-gray-700">
+              <th className="px-2 py-1 text-left font-bold">Numer</th>
+              <th className="px-2 py-1 text-left font-bold">Rodzaj</th>
+              <th className="px-2 py-1 text-left font-bold">Kategorie</th>
+              <th className="px-2 py-1 text-left font-bold">Ważność</th>
+              <th className="px-2 py-1 text-left font-bold">Skan</th>
+              {canEdit && <th className="px-2 py-1"></th>}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {licences.map((licence) => (
+              <tr key={licence.id} className="text-gray-900">
+                <td className="px-2 py-1">{licence.numer}</td>
+                <td className="px-2 py-1">{RODZAJE_ZEZWOLEN_LABELS[licence.rodzaj] || licence.rodzaj}</td>
+                <td className="px-2 py-1">{licence.kategorie.split(',').join(', ')}</td>
+                <td className="px-2 py-1">
+                  {licence.data_od ? `${formatDate(licence.data_od)} – ` : 'do '}
+                  {formatDate(licence.data_do)}
+                  <div className={`text-[10px] ${STATUS_CLASSES[licence.status]}`}>
+                    {STATUS_LABELS[licence.status]}
+                    {licence.status === 'przyszle' && formatDate(licence.data_od)}
+                  </div>
+                </td>
+                <td className="px-2 py-1">
+                  {licence.skan ? (
+                    <button
+                      type="button"
+                      onClick={() => window.open(`${API_URL}/uploads/${licence.skan}`, '_blank', 'noopener,noreferrer')}
+                      className="text-blue-700 underline hover:text-blue-900 focus:outline-none"
+                      title={licence.skan_nazwa || undefined}
+                    >
+                      Otwórz
+                    </button>
+                  ) : '—'}
+                </td>
+                {canEdit && (
+                  <td className="px-2 py-1 text-right">
+                    <button
+                      type="button"
+                      onClick={() => startEdit(licence)}
+                      className="text-blue-600 hover:text-blue-800 focus:outline-none"
+                    >
+                      Edytuj
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,199 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { ClientMasterData } from '../types/Client';
+import { isValidNip, isValidVatUe } from '../utils/taxIds';
+import { parsePlNumber } from '../utils/receiptCurrency';
+
+export interface ClientMasterDataForm {
+  nip: string;
+  vat_ue: string;
+  email: string;
+  telefon: string;
+  termin_platnosci_dni: string;
+  rabat_domyslny: string;
+  zezwolenie_niewymagane: boolean;
+  adresy_dostawy: { nazwa: string; adres: string; domyslny: boolean }[];
+}
+
+export const EMPTY_CLIENT_MASTER_DATA: ClientMasterDataForm = {
+  nip: '',
+  vat_ue: '',
+  email: '',
+  telefon: '',
+  termin_platnosci_dni: '',
+  rabat_domyslny: '',
+  zezwolenie_niewymagane: false,
+  adresy_dostawy: [],
+};
+
+export function toClientMasterDataForm(client?: ClientMasterData | null): ClientMasterDataForm {
+  if (!client) return EMPTY_CLIENT_MASTER_DATA;
+  return {
+    nip: client.nip || '',
+    vat_ue: client.vat_ue || '',
+    email: client.email || '',
+    telefon: client.telefon || '',
+    termin_platnosci_dni: client.termin_platnosci_dni != null ? String(client.termin_platnosci_dni) : '',
+    rabat_domyslny: client.rabat_domyslny != null ? String(client.rabat_domyslny).replace('.', ',') : '',
+    zezwolenie_niewymagane: Boolean(client.zezwolenie_niewymagane),
+    adresy_dostawy: (client.adresy_dostawy || []).map((a) => ({
+      nazwa: a.nazwa || '',
+      adres: a.adres,
+      domyslny: Boolean(a.domyslny),
+    })),
+  };
+}
+
+export function fromClientMasterDataForm(form: ClientMasterDataForm): ClientMasterData {
+  return {
+    nip: form.nip.trim() || null,
+    vat_ue: form.vat_ue.trim() || null,
+    email: form.email.trim() || null,
+    telefon: form.telefon.trim() || null,
+    termin_platnosci_dni: form.termin_platnosci_dni.trim() ? parseInt(form.termin_platnosci_dni, 10) : null,
+    rabat_domyslny: form.rabat_domyslny.trim() ? parsePlNumber(form.rabat_domyslny) : null,
+    zezwolenie_niewymagane: form.zezwolenie_niewymagane,
+    adresy_dostawy: form.adresy_dostawy
+      .filter((a) => a.adres.trim())
+      .map((a) => ({ nazwa: a.nazwa.trim() || null, adres: a.adres.trim(), domyslny: a.domyslny })),
+  };
+}
+
+export function validateClientMasterData(form: ClientMasterDataForm): Partial<Record<keyof ClientMasterDataForm, string>> {
+  const errors: Partial<Record<keyof ClientMasterDataForm, string>> = {};
+  if (form.nip.trim() && !isValidNip(form.nip)) errors.nip = 'Nieprawidłowy NIP';
+  if (form.vat_ue.trim() && !isValidVatUe(form.vat_ue)) errors.vat_ue = 'Nieprawidłowy numer VAT UE';
+  if (form.email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.email.trim())) errors.email = 'Nieprawidłowy e-mail';
+  const termin = form.termin_platnosci_dni.trim();
+  if (termin && (!/^\d+$/.test(termin) || Number(termin) > 365)) errors.termin_platnosci_dni = 'Od 0 do 365 dni';
+  const rabat = form.rabat_domyslny.trim();
+  if (rabat && (!/^\d+([.,]\d+)?$/.test(rabat) || parsePlNumber(rabat) > 100)) errors.rabat_domyslny = 'Od 0 do 100%';
+  return errors;
+}
+
+export function isClientMasterDataValid(form: ClientMasterDataForm): boolean {
+  return Object.keys(validateClientMasterData(form)).length === 0
+    && form.adresy_dostawy.every((a) => a.adres.trim() || !a.nazwa.trim());
+}
+
+interface ClientMasterDataFieldsProps {
+  value: ClientMasterDataForm;
+  onChange: (value: ClientMasterDataForm) => void;
+}
+
+const inputClass = 'w-full px-3 py-1.5 border rounded-md focus:outline-none font-sora text-xs';
+const labelClass = 'block text-xs font-medium text-gray-700 mb-2 font-sora';
+
+export const ClientMasterDataFields: React.FC<ClientMasterDataFieldsProps> = ({ value, onChange }) => {
+  const errors = validateClientMasterData(value);
+
+  const field = (key: Exclude<keyof ClientMasterDataForm, 'adresy_dostawy' | 'zezwolenie_niewymagane'>, label: string, placeholder: string) => (
+    <div>
+      <label className={labelClass}>{label}</label>
+      <input
+        type="text"
+        value={value[key]}
+        onChange={(e) => onChange({ ...value, [key]: e.target.value })}
+        placeholder={placeholder}
+        className={`${inputClass} ${errors[key] ? 'border-red-400' : 'border-gray-300'}`}
+      />
+      {errors[key] && <p className="mt-1 text-[11px] text-red-600">{errors[key]}</p>}
+    </div>
+  );
+
+  const updateAddress = (idx: number, patch: Partial<ClientMasterDataForm['adresy_dostawy'][number]>) => {
+    onChange({
+      ...value,
+      adresy_dostawy: value.adresy_dostawy.map((a, i) => {
+        if (i === idx) return { ...a, ...patch };
+        // Only one default delivery address
+        return patch.domyslny ? { ...a, domyslny: false } : a;
+      }),
+    });
+  };
+
+  return (
+    <>
+      <div className="grid grid-cols-2 gap-4">
+        {field('nip', 'NIP', 'np. 123-456-32-18')}
+        {field('vat_ue', 'Numer VAT UE', 'np. DE123456789')}
+        {field('email', 'E-mail', 'Wprowadź e-mail')}
+        {field('telefon', 'Telefon', 'Wprowadź telefon')}
+        {field('termin_platnosci_dni', 'Termin płatności (dni)', 'np. 14')}
+        {field('rabat_domyslny', 'Rabat domyślny (%)', 'np. 5')}
+      </div>
+
+      <label className="flex items-center gap-1.5 text-xs text-gray-700 font-sora select-none">
+        <input
+          type="checkbox"
+          checked={value.zezwolenie_niewymagane}
+          onChange={(e) => onChange({ ...value, zezwolenie_niewymagane: e.target.checked })}
+        />
+        Bez kontroli zezwoleń na alkohol (eksport, osoba prywatna)
+      </label>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-xs font-medium text-gray-700 font-sora">Adresy dostawy</label>
+          <button
+            type="button"
+            onClick={() => onChange({
+              ...value,
+              adresy_dostawy: [
+                ...value.adresy_dostawy,
+                { nazwa: '', adres: '', domyslny: value.adresy_dostawy.length === 0 },
+              ],
+            })}
+            className="inline-flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 focus:outline-none"
+          >
+            <Plus size={14} /> Dodaj adres
+          </button>
+        </div>
+        {value.adresy_dostawy.length === 0 ? (
+          <p className="text-xs text-gray-500">Dostawa na adres rozliczeniowy</p>
+        ) : (
+          <div className="space-y-2">
+            {value.adresy_dostawy.map((a, idx) => (
+              <div key={idx} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={a.nazwa}
+                  onChange={(e) => updateAddress(idx, { nazwa: e.target.value })}
+                  placeholder="Nazwa (np. Magazyn)"
+                  className="w-36 shrink-0 px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                />
+                <input
+                  type="text"
+                  value={a.adres}
+                  onChange={(e) => updateAddress(idx, { adres: e.target.value })}
+                  placeholder="Adres dostawy"
+                  className={`${inputClass} ${a.adres.trim() || !a.nazwa.trim() ? 'border-gray-300' : 'border-red-400'}`}
+                />
+                <label className="flex items-center gap-1 text-[11px] text-gray-600 whitespace-nowrap">
+                  <input
+                    type="radio"
+                    checked={a.domyslny}
+                    onChange={() => updateAddress(idx, { domyslny: true })}
+                  />
+                  domyślny
+                </label>
+                <button
+                  type="button"
+                  onClick={() => {
+                    const rest = value.adresy_dostawy.filter((_, i) => i !== idx);
+                    if (a.domyslny && rest.length > 0) rest[0] = { ...rest[0], domyslny: true };
+                    onChange({ ...value, adresy_dostawy: rest });
+                  }}
+                  className="text-red-500 focus:outline-none"
+                  title="Usuń adres"
+                >
+                  <X size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
@@ -1,6 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import Modal from 'react-modal';
 import { X } from 'lucide-react';
+import { ClientMasterData } from '../types/Client';
+import {
+  ClientMasterDataFields,
+  EMPTY_CLIENT_MASTER_DATA,
+  fromClientMasterDataForm,
+  isClientMasterDataValid,
+  toClientMasterDataForm,
+} from './ClientMasterDataFields';
 
 interface ClientModalProps {
   isOpen: boolean;
@@ -10,16 +18,16 @@ interface ClientModalProps {
     nazwa: string; 
     adres: string; 
     czas_dostawy: string; 
-    kontakt: string 
-  }) => void;
+    kontakt: string;
+  } & ClientMasterData) => void;
   initialData?: { 
     id: number; 
     firma: string; 
     nazwa: string; 
     adres: string; 
     czas_dostawy: string; 
-    kontakt: string 
-  };
+    kontakt: string;
+  } & ClientMasterData;
 }
 
 export const ClientModal: React.FC<ClientModalProps> = ({ 
@@ -33,6 +41,7 @@ export const ClientModal: React.FC<ClientModalProps> = ({
   const [adres, setAdres] = useState('');
   const [czas_dostawy, setCzasDostawy] = useState('');
   const [kontakt, setKontakt] = useState('');
+  const [masterData, setMasterData] = useState(EMPTY_CLIENT_MASTER_DATA);
 
   useEffect(() => {
     console.log('🔍 useEffect triggered:', { isOpen, initialData });
@@ -44,6 +53,7 @@ export const ClientModal: React.FC<ClientModalProps> = ({
       setAdres(initialData.adres);
       setCzasDostawy(initialData.czas_dostawy);
       setKontakt(initialData.kontakt);
+      setMasterData(toClientMasterDataForm(initialData));
     } else if (isOpen && !initialData) {
       console.log('🔍 Modal opened without initial data - keeping current values');
       // Не сбрасываем поля, оставляем текущие значения
@@ -60,7 +70,7 @@ export const ClientModal: React.FC<ClientModalProps> = ({
       kontakt: kontakt.trim() 
     });
     
-    if (!firma.trim() || !nazwa.trim() || !adres.trim() || !czas_dostawy.trim() || !kontakt.trim()) {
+    if (!firma.trim() || !nazwa.trim() || !adres.trim() || !czas_dostawy.trim() || !kontakt.trim() || !isClientMasterDataValid(masterData)) {
       console.log('❌ Validation failed: some fields are empty');
       return;
     }
@@ -70,7 +80,8 @@ export const ClientModal: React.FC<ClientModalProps> = ({
       nazwa: nazwa.trim(),
       adres: adres.trim(),
       czas_dostawy: czas_dostawy.trim(),
-      kontakt: kontakt.trim()
+      kontakt: kontakt.trim(),
+      ...fromClientMasterDataForm(masterData)
     };
 
     console.log('✅ Submitting client data:', clientData);
@@ -84,6 +95,7 @@ export const ClientModal: React.FC<ClientModalProps> = ({
     setAdres('');
     setCzasDostawy('');
     setKontakt('');
+    setMasterData(EMPTY_CLIENT_MASTER_DATA);
     onClose();
   };
 
@@ -94,7 +106,8 @@ export const ClientModal: React.FC<ClientModalProps> = ({
       style={{
         content: {
           width: '600px',
-          height: '500px',
+          height: '640px',
+          maxHeight: '90vh',
           maxWidth: '90%',
           position: 'absolute',
           top: '50%',
@@ -131,7 +144,7 @@ export const ClientModal: React.FC<ClientModalProps> = ({
           </button>
         </div>
 
-        <div className="space-y-6 flex-grow">
+        <div className="space-y-6 flex-grow overflow-y-auto pr-1 pb-12">
           <div className="space-y-4">
             <div>
               <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
@@ -164,13 +177,13 @@ export const ClientModal: React.FC<ClientModalProps> = ({
 
             <div>
               <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
-                Adres
+                Adres rozliczeniowy
               </label>
               <input
                 type="text"
                 value={adres}
                 onChange={(e) => setAdres(e.target.value)}
-                placeholder="Wprowadź adres"
+                placeholder="Adres na fakturze"
                 className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
               />
             </div>
@@ -200,15 +213,17 @@ export const ClientModal: React.FC<ClientModalProps> = ({
                 className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
               />
             </div>
+
+            <ClientMasterDataFields value={masterData} onChange={setMasterData} />
           </div>
         </div>
 
         <div className="absolute bottom-4 left-1/2 -translate-x-1/2">
           <button
             onClick={handleSubmit}
-            disabled={!firma.trim() || !nazwa.trim() || !adres.trim() || !czas_dostawy.trim() || !kontakt.trim()}
+            disabled={!firma.trim() || !nazwa.trim() || !adres.trim() || !czas_dostawy.trim() || !kontakt.trim() || !isClientMasterDataValid(masterData)}
             className={`px-6 py-1.5 text-white text-xs rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors font-sora ${
-              !firma.trim() || !nazwa.trim() || !adres.trim() || !czas_dostawy.trim() || !kontakt.trim()
+              !firma.trim() || !nazwa.trim() || !adres.trim() || !czas_dostawy.trim() || !kontakt.trim() || !isClientMasterDataValid(masterData)
                 ? 'bg-gray-400 cursor-not-allowed' 
                 : 'bg-blue-600 hover:bg-blue-700'
             }`}
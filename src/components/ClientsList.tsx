@@ -6,8 +6,9 @@ import { ClientDetailsModal } from './ClientDetailsModal';
 import { EditClientModal } from './EditClientModal';
 import { SortIndicator } from './SortIndicator';
 import { compareClients, useTableSort } from '../utils/tableSort';
+import { ClientMasterData } from '../types/Client';
 
-interface Client {
+interface Client extends ClientMasterData {
   id: number;
   firma: string;
   nazwa: string;
@@ -26,7 +27,7 @@ interface ClientsListProps {
     adres: string;
     czas_dostawy: string;
     kontakt: string;
-  }) => void;
+  } & ClientMasterData) => void;
 }
 
 export const ClientsList: React.FC<ClientsListProps> = ({ clients, onDelete, onUpdate }) => {
@@ -0,0 +1,452 @@
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { AuditHistoryPanel } from './AuditHistoryPanel';
+import { Company } from '../types/Company';
+
+interface CompaniesModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onChanged: () => void;
+}
+
+interface CompanyForm {
+  id: number | null;
+  nazwa: string;
+  skrot: string;
+  nip: string;
+  adres: string;
+  bank: string;
+  konto: string;
+  miejsce_wystawienia: string;
+  kod_urzedu: string;
+  wojewodztwo: string;
+  powiat: string;
+  gmina: string;
+  email: string;
+  seria_faktur: string;
+  seria_korekt: string;
+  aliasy: string;
+  aktywna: boolean;
+}
+
+const EMPTY_FORM: CompanyForm = {
+  id: null,
+  nazwa: '',
+  skrot: '',
+  nip: '',
+  adres: '',
+  bank: '',
+  konto: '',
+  miejsce_wystawienia: '',
+  kod_urzedu: '',
+  wojewodztwo: '',
+  powiat: '',
+  gmina: '',
+  email: '',
+  seria_faktur: 'FS',
+  seria_korekt: 'KOR',
+  aliasy: '',
+  aktywna: true,
+};
+
+/** Firmy: dane sprzedawcy na fakturach, JPK i KSeF, serie numeracji i logo na PDF. */
+export const CompaniesModal: React.FC<CompaniesModalProps> = ({ isOpen, onClose, onChanged }) => {
+  const [companies, setCompanies] = useState<Company[]>([]);
+  const [form, setForm] = useState<CompanyForm | null>(null);
+  const [formErrors, setFormErrors] = useState<string[]>([]);
+  const [logoUrl, setLogoUrl] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadCompanies = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/companies');
+      if (!response.ok) throw new Error('Błąd ładowania firm');
+      setCompanies(await response.json());
+    } catch (error) {
+      console.error('Error loading companies:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania firm');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(null);
+      loadCompanies();
+    }
+  }, [isOpen]);
+
+  const editedCompany = form?.id ? companies.find((company) => company.id === form.id) : undefined;
+
+  // Podgląd logo: <img> nie wysyła nagłówka Authorization, więc pobieramy blob przez fetch
+  useEffect(() => {
+    if (!editedCompany?.ma_logo) {
+      setLogoUrl(null);
+      return;
+    }
+    let url: string | null = null;
+    let cancelled = false;
+    fetch(`/api/companies/${editedCompany.id}/logo`)
+      .then((response) => (response.ok ? response.blob() : null))
+      .then((blob) => {
+        if (!blob || cancelled) return;
+        url = window.URL.createObjectURL(blob);
+        setLogoUrl(url);
+      })
+      .catch(() => setLogoUrl(null));
+    return () => {
+      cancelled = true;
+      if (url) window.URL.revokeObjectURL(url);
+    };
+  }, [editedCompany?.id, editedCompany?.ma_logo, editedCompany?.logo_typ]);
+
+  const openForm = (next: CompanyForm) => {
+    setForm(next);
+    setFormErrors([]);
+  };
+
+  const startEdit = (company: Company) => {
+    openForm({
+      id: company.id,
+      nazwa: company.nazwa,
+      skrot: company.skrot || '',
+      nip: company.nip || '',
+      adres: company.adres || '',
+      bank: company.bank || '',
+      konto: company.konto || '',
+      miejsce_wystawienia: company.miejsce_wystawienia || '',
+      kod_urzedu: company.kod_urzedu || '',
+      wojewodztwo: company.wojewodztwo || '',
+      powiat: company.powiat || '',
+      gmina: company.gmina || '',
+      email: company.email || '',
+      seria_faktur: company.seria_faktur,
+      seria_korekt: company.seria_korekt,
+      aliasy: company.aliasy || '',
+      aktywna: Boolean(company.aktywna),
+    });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form) return;
+    setIsSaving(true);
+    try {
+      const { id, ...fields } = form;
+      const response = await fetch(id ? `/api/companies/${id}` : '/api/companies', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 422 && Array.isArray(data.errors)) {
+        setFormErrors(data.errors);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success(id ? 'Firma zapisana' : 'Firma dodana');
+      setForm(null);
+      loadCompanies();
+      onChanged();
+    } catch (error) {
+      console.error('Error saving company:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu firmy');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleLogoUpload = async (file: File | undefined) => {
+    if (!form?.id || !file) return;
+    setIsSaving(true);
+    try {
+      const formData = new FormData();
+      formData.append('logo', file);
+      const response = await fetch(`/api/companies/${form.id}/logo`, { method: 'PUT', body: formData });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success('Logo zapisane');
+      loadCompanies();
+    } catch (error) {
+      console.error('Error uploading company logo:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu logo');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleLogoRemove = async () => {
+    if (!form?.id || !window.confirm('Usunąć logo? Na dokumentach PDF pojawi się logo domyślne.')) return;
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/companies/${form.id}/logo`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success('Logo usunięte');
+      loadCompanies();
+    } catch (error) {
+      console.error('Error removing company logo:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd usuwania logo');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!form?.id || !window.confirm(`Usunąć firmę ${form.nazwa}?`)) return;
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/companies/${form.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success('Firma usunięta');
+      setForm(null);
+      loadCompanies();
+      onChanged();
+    } catch (error) {
+      console.error('Error deleting company:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd usuwania firmy');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  const textField = (label: string, field: keyof Omit<CompanyForm, 'id' | 'aliasy' | 'aktywna'>, extra?: React.InputHTMLAttributes<HTMLInputElement>) => (
+    form && (
+      <div>
+        <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+        <input
+          type="text"
+          value={form[field]}
+          onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+          className={inputClassName}
+          {...extra}
+        />
+      </div>
+    )
+  );
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '960px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '85vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Firmy</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        {!form && (
+          <div className="flex justify-end mb-4">
+            <button
+              onClick={() => openForm(EMPTY_FORM)}
+              className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors"
+            >
+              Dodaj firmę
+            </button>
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSave} className="mb-4 border border-gray-200 rounded-md p-3">
+            <div className="grid grid-cols-4 gap-3">
+              <div className="col-span-2">
+                {textField('Nazwa', 'nazwa', { required: true, maxLength: 200 })}
+              </div>
+              {textField('Skrót', 'skrot', { maxLength: 30 })}
+              {textField('NIP', 'nip')}
+              <div className="col-span-2">
+                {textField('Adres', 'adres')}
+              </div>
+              {textField('Miejsce wystawienia', 'miejsce_wystawienia')}
+              {textField('E-mail', 'email')}
+              {textField('Bank', 'bank')}
+              <div className="col-span-2">
+                {textField('Numer konta', 'konto')}
+              </div>
+              {textField('Kod urzędu skarbowego', 'kod_urzedu', { maxLength: 4, inputMode: 'numeric' })}
+              {textField('Województwo', 'wojewodztwo')}
+              {textField('Powiat', 'powiat')}
+              {textField('Gmina', 'gmina')}
+              <div />
+              {textField('Seria faktur', 'seria_faktur', { required: true, maxLength: 10 })}
+              {textField('Seria korekt', 'seria_korekt', { required: true, maxLength: 10 })}
+              <div className="col-span-2">
+                <label className="block text-xs font-medium text-gray-700 mb-1">Inne nazwy firmy (OCR faktur zakupu)</label>
+                <textarea
+                  value={form.aliasy}
+                  onChange={(e) => setForm({ ...form, aliasy: e.target.value })}
+                  rows={2}
+                  placeholder="jedna nazwa w wierszu"
+                  className={inputClassName}
+                />
+              </div>
+              <label className="flex items-center gap-1.5 text-xs text-gray-700 select-none mt-5">
+                <input
+                  type="checkbox"
+                  checked={form.aktywna}
+                  onChange={(e) => setForm({ ...form, aktywna: e.target.checked })}
+                />
+                Aktywna
+              </label>
+            </div>
+
+            {formErrors.length > 0 && (
+              <ul className="mt-3 text-xs text-red-600 list-disc list-inside">
+                {formErrors.map((message) => <li key={message}>{message}</li>)}
+              </ul>
+            )}
+
+            {form.id && (
+              <div className="mt-3 flex items-center gap-3 text-xs text-gray-700">
+                <span>Logo na dokumentach PDF:</span>
+                {logoUrl ? (
+                  <img src={logoUrl} alt="Logo firmy" className="h-10 border border-gray-200 rounded" />
+                ) : (
+                  <span className="text-gray-500">domyślne</span>
+                )}
+                <label className="px-3 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 cursor-pointer">
+                  Wgraj (JPG / PNG)
+                  <input
+                    type="file"
+                    accept="image/jpeg,image/png"
+                    className="hidden"
+                    disabled={isSaving}
+                    onChange={(e) => {
+                      handleLogoUpload(e.target.files?.[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+                {editedCompany?.ma_logo ? (
+                  <button
+                    type="button"
+                    onClick={handleLogoRemove}
+                    disabled={isSaving}
+                    className="px-3 py-1.5 text-xs text-red-600 bg-white border border-red-300 rounded-md hover:bg-red-50 focus:outline-none disabled:opacity-50"
+                  >
+                    Usuń logo
+                  </button>
+                ) : null}
+              </div>
+            )}
+
+            <div className="mt-3 flex justify-between">
+              <div>
+                {form.id && (
+                  <button
+                    type="button"
+                    onClick={handleDelete}
+                    disabled={isSaving}
+                    className="px-4 py-1.5 text-xs text-red-600 bg-white border border-red-300 rounded-md hover:bg-red-50 focus:outline-none disabled:opacity-50"
+                  >
+                    Usuń
+                  </button>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => setForm(null)}
+                  className="px-4 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none"
+                >
+                  Anuluj
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  {isSaving ? 'Zapisywanie...' : 'Zapisz'}
+                </button>
+              </div>
+            </div>
+
+            {form.id && (
+              <div className="mt-3">
+                <AuditHistoryPanel entityType="company" entityId={form.id} />
+              </div>
+            )}
+          </form>
+        )}
+
+        {isLoading ? (
+          <p className="text-xs text-gray-500">Ładowanie...</p>
+        ) : (
+          <div className="max-h-[45vh] overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-700">
+                  <th className="px-2 py-1 text-left font-bold">Nazwa</th>
+                  <th className="px-2 py-1 text-left font-bold">NIP</th>
+                  <th className="px-2 py-1 text-left font-bold">Serie</th>
+                  <th className="px-2 py-1 text-right font-bold">Dokumenty</th>
+                  <th className="px-2 py-1"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {companies.map((company) => (
+                  <tr key={company.id} className={company.aktywna ? 'text-gray-900' : 'text-gray-400'}>
+                    <td className="px-2 py-1">
+                      {company.nazwa}
+                      {company.skrot && <span className="text-gray-500"> ({company.skrot})</span>}
+                      {!company.aktywna && ' (nieaktywna)'}
+                    </td>
+                    <td className="px-2 py-1">{company.nip || '—'}</td>
+                    <td className="px-2 py-1">{company.seria_faktur} / {company.seria_korekt}</td>
+                    <td className="px-2 py-1 text-right">{company.dokumenty_liczba}</td>
+                    <td className="px-2 py-1 text-right">
+                      <button
+                        onClick={() => startEdit(company)}
+                        className="text-blue-600 hover:text-blue-800 focus:outline-none"
+                      >
+                        Edytuj
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
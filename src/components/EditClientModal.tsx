@@ -1,8 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import Modal from 'react-modal';
 import { X } from 'lucide-react';
+import { ClientMasterData } from '../types/Client';
+import {
+  ClientMasterDataFields,
+  EMPTY_CLIENT_MASTER_DATA,
+  fromClientMasterDataForm,
+  isClientMasterDataValid,
+  toClientMasterDataForm,
+} from './ClientMasterDataFields';
 
-interface Client {
+interface Client extends ClientMasterData {
   id: number;
   firma: string;
   nazwa: string;
@@ -21,7 +29,7 @@ interface EditClientModalProps {
     adres: string;
     czas_dostawy: string;
     kontakt: string;
-  }) => void;
+  } & ClientMasterData) => void;
   client: Client | null;
 }
 
@@ -36,6 +44,7 @@ export const EditClientModal: React.FC<EditClientModalProps> = ({
   const [adres, setAdres] = useState('');
   const [czas_dostawy, setCzasDostawy] = useState('');
   const [kontakt, setKontakt] = useState('');
+  const [masterData, setMasterData] = useState(EMPTY_CLIENT_MASTER_DATA);
 
   // Инициализация данных при открытии модального окна
   useEffect(() => {
@@ -45,24 +54,27 @@ export const EditClientModal: React.FC<EditClientModalProps> = ({
       setAdres(client.adres || '');
       setCzasDostawy(client.czas_dostawy || '');
       setKontakt(client.kontakt || '');
+      setMasterData(toClientMasterDataForm(client));
     } else {
       setFirma('');
       setNazwa('');
       setAdres('');
       setCzasDostawy('');
       setKontakt('');
+      setMasterData(EMPTY_CLIENT_MASTER_DATA);
     }
   }, [isOpen, client]);
 
   const handleSubmit = async () => {
-    if (firma.trim() && nazwa.trim() && adres.trim() && czas_dostawy.trim() && kontakt.trim() && client) {
+    if (firma.trim() && nazwa.trim() && adres.trim() && czas_dostawy.trim() && kontakt.trim() && isClientMasterDataValid(masterData) && client) {
       const submitData = {
         id: client.id,
         firma,
         nazwa,
         adres,
         czas_dostawy,
-        kontakt
+        kontakt,
+        ...fromClientMasterDataForm(masterData)
       };
       
       onSubmit(submitData);
@@ -76,6 +88,7 @@ export const EditClientModal: React.FC<EditClientModalProps> = ({
     setAdres('');
     setCzasDostawy('');
     setKontakt('');
+    setMasterData(EMPTY_CLIENT_MASTER_DATA);
     onClose();
   };
 
@@ -86,7 +99,8 @@ export const EditClientModal: React.FC<EditClientModalProps> = ({
       style={{
         content: {
           width: '600px',
-          height: '500px',
+          height: '640px',
+          maxHeight: '90vh',
           maxWidth: '90%',
           position: 'absolute',
           top: '50%',
@@ -121,7 +135,7 @@ export const EditClientModal: React.FC<EditClientModalProps> = ({
           </button>
         </div>
 
-        <div className="space-y-6 flex-grow">
+        <div className="space-y-6 flex-grow overflow-y-auto pr-1 pb-12">
           <div className="space-y-4">
             <div>
               <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
@@ -151,13 +165,13 @@ export const EditClientModal: React.FC<EditClientModalProps> = ({
 
             <div>
               <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
-                Adres
+                Adres rozliczeniowy
               </label>
               <input
                 type="text"
                 value={adres}
                 onChange={(e) => setAdres(e.target.value)}
-                placeholder="Wprowadź adres"
+                placeholder="Adres na fakturze"
                 className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
               />
             </div>
@@ -187,15 +201,17 @@ export const EditClientModal: React.FC<EditClientModalProps> = ({
                 className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
               />
             </div>
+
+            <ClientMasterDataFields value={masterData} onChange={setMasterData} />
           </div>
         </div>
 
         <div className="absolute bottom-4 left-1/2 -translate-x-1/2">
           <button
             onClick={handleSubmit}
-            disabled={!firma.trim() || !nazwa.trim() || !adres.trim() || !czas_dostawy.trim() || !kontakt.trim()}
+            disabled={!firma.trim() || !nazwa.trim() || !adres.trim() || !czas_dostawy.trim() || !kontakt.trim() || !isClientMasterDataValid(masterData)}
             className={`px-6 py-1.5 text-white text-xs rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors font-sora ${
-              !firma.trim() || !nazwa.trim() || !adres.trim() || !czas_dostawy.trim() || !kontakt.trim()
+              !firma.trim() || !nazwa.trim() || !adres.trim() || !czas_dostawy.trim() || !kontakt.trim() || !isClientMasterDataValid(masterData)
                 ? 'bg-gray-400 cursor-not-allowed' 
                 : 'bg-blue-600 hover:bg-blue-700'
             }`}
@@ -25,6 +25,7 @@ interface InventoryItem {
   cena_sprzedazy?: number; // Added cena_sprzedazy field
   koszt_dostawy_per_unit?: number;
   podatek_akcyzowy?: number;
+  zawartosc_alkoholu?: number | null;
 }
 
 interface EditInventoryModalProps {
@@ -65,6 +66,7 @@ export const EditInventoryModal: React.FC<EditInventoryModalProps> = ({
     sprzedawca: '',
     typ: '',
     objetosc: '',
+    zawartosc_alkoholu: '',
     data_waznosci: '',
     cena: '',
     cena_sprzedazy: '',
@@ -104,6 +106,7 @@ export const EditInventoryModal: React.FC<EditInventoryModalProps> = ({
         sprzedawca: item.sprzedawca || '',
         typ: item.typ || '',
         objetosc: item.objetosc && item.objetosc > 0 ? item.objetosc.toString() : '0,75',
+        zawartosc_alkoholu: item.zawartosc_alkoholu != null ? item.zawartosc_alkoholu.toString() : '',
         data_waznosci: item.data_waznosci ? (() => {
           // Обрабатываем data_waznosci, которая может быть строкой или числом
           if (typeof item.data_waznosci === 'string') {
@@ -224,6 +227,7 @@ export const EditInventoryModal: React.FC<EditInventoryModalProps> = ({
           sprzedawca: formData.sprzedawca,
           typ: formData.typ,
           objetosc: parseFloat(String(formData.objetosc || '0').replace(',', '.')) || 0,
+          zawartosc_alkoholu: formData.zawartosc_alkoholu.trim(),
           data_waznosci: formData.data_waznosci || null, // Отправляем как строку YYYY-MM-DD или null
           cena: parseFloat(String(formData.cena || '0').replace(',', '.')) || undefined,
           cena_sprzedazy: parseFloat(String(formData.cena_sprzedazy || '0').replace(',', '.')) || undefined,
@@ -236,7 +240,8 @@ export const EditInventoryModal: React.FC<EditInventoryModalProps> = ({
       });
 
       if (!response.ok) {
-        throw new Error('Failed to update item');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Błąd podczas aktualizacji pozycji');
       }
 
       const updatedItem = {
@@ -244,6 +249,9 @@ export const EditInventoryModal: React.FC<EditInventoryModalProps> = ({
         sprzedawca: formData.sprzedawca,
         typ: formData.typ,
         objetosc: parseFloat(formData.objetosc) || 0,
+        zawartosc_alkoholu: formData.zawartosc_alkoholu.trim()
+          ? parseFloat(formData.zawartosc_alkoholu.replace(',', '.'))
+          : null,
         data_waznosci: formData.data_waznosci || null, // Сохраняем как строку или null
         cena: parseFloat(formData.cena) || undefined,
         cena_sprzedazy: parseFloat(formData.cena_sprzedazy) || undefined,
@@ -285,7 +293,7 @@ export const EditInventoryModal: React.FC<EditInventoryModalProps> = ({
       onClose();
     } catch (error) {
       console.error('Error updating item:', error);
-      toast.error('Błąd podczas aktualizacji pozycji');
+      toast.error(error instanceof Error ? error.message : 'Błąd podczas aktualizacji pozycji');
     } finally {
       setIsLoading(false);
     }
@@ -438,6 +446,21 @@ export const EditInventoryModal: React.FC<EditInventoryModalProps> = ({
               </div>
             </div>
 
+              <div className="flex-1">
+                <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
+                  Alkohol (% obj.)
+                </label>
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={formData.zawartosc_alkoholu}
+                  onChange={(e) => setFormData(prev => ({ ...prev, zawartosc_alkoholu: e.target.value }))}
+                  placeholder="według typu"
+                  title="Zawartość alkoholu — kategoria zezwolenia (A, B, C) i sprawozdanie z obrotu hurtowego"
+                  className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                />
+              </div>
+
               <div className="flex-1 relative">
               <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
                 Data ważności
@@ -10,7 +10,7 @@ import toast from 'react-hot-toast';
 registerLocale('pl', pl);
 
 interface ProductRow {
-  id?: number;
+  pozycja?: string;
   kod: string;
   nazwa: string;
   ilosc: string;
@@ -43,6 +43,25 @@ interface KomisProduct {
   cena_sprzedazy: number | null;
 }
 
+interface CorrectionChainItem {
+  id: number;
+  numer_faktury: string;
+  data_faktury: string;
+  przyczyna_korekty: string | null;
+  suma_brutto: number;
+}
+
+interface EffectiveLine {
+  pozycja: string;
+  kod: string;
+  nazwa: string;
+  ilosc: number;
+  cena_netto: number;
+  rabat: number;
+  vat_stawka: number;
+  wartosc_brutto: number;
+}
+
 interface Invoice {
   id: number;
   numer_faktury: string;
@@ -53,6 +72,7 @@ interface Invoice {
   suma_vat?: number;
   suma_brutto: number;
   rabat_suma: number;
+  typ_dokumentu?: 'faktura' | 'korekta';
   products?: Array<{
     id: number;
     invoice_id: number;
@@ -107,6 +127,14 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
   const [komisAllProducts, setKomisAllProducts] = useState<KomisProduct[]>([]);
   const [fieldsWithErrors, setFieldsWithErrors] = useState<Set<number>>(new Set());
   const [deletedKomisRows, setDeletedKomisRows] = useState<DeletedKomisRow[]>([]);
+  const [przyczynaKorekty, setPrzyczynaKorekty] = useState<string>('');
+  const [correctionChain, setCorrectionChain] = useState<CorrectionChainItem[]>([]);
+  const [originalInvoice, setOriginalInvoice] = useState<{ numer_faktury: string; data_faktury: string } | null>(null);
+  const [stanPrzedBrutto, setStanPrzedBrutto] = useState(0);
+
+  // Редактирование выставленной faktury — это всегда выставление faktury korygującej;
+  // в режиме "Dodaj z komisu" меняется только набор позиций (без przyczyny и номера).
+  const isCorrectionMode = !readOnlyExisting;
 
   const isKomisKod = (kod: string) =>
     Boolean(kod && komisAllProducts.some(p => p.kod === kod));
@@ -119,7 +147,7 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
     const row = productRows[index];
     if (isKomisRow(row)) return false;
     // строка из faktury, kod которой не в komis — read-only
-    return Boolean(row.id);
+    return Boolean(row.pozycja);
   };
 
   const getKomisPool = (kod: string, rows: ProductRow[] = productRows) => {
@@ -260,27 +288,56 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
           setKomisProducts(komisAll.filter(p => p.ilosc > 0));
           const komisKods = new Set(komisAll.map(p => p.kod));
           
-          setNumerFaktury(data.numer_faktury);
           setKlient(data.klient_nazwa);
           setKlientSearchQuery(data.klient_nazwa);
-          setSelectedDate(data.data_faktury ? new Date(data.data_faktury) : null);
           setTerminPlatnosci(data.termin_platnosci ? new Date(data.termin_platnosci) : null);
+
+          // Позиции — текущее состояние faktury после всех предыдущих korekt: korekta
+          // получает полный стан "po", поэтому и "Dodaj z komisu" строится от него
+          const stanRes = await fetch(`/api/invoices/${invoice.id}/stan-po-korektach`);
+          if (!stanRes.ok) throw new Error('Failed to load invoice lines');
+          const stan = await stanRes.json();
+          const lines: EffectiveLine[] = stan.products || [];
+
+          if (!readOnlyExisting) {
+            setOriginalInvoice({ numer_faktury: data.numer_faktury, data_faktury: data.data_faktury });
+            setCorrectionChain(data.korekty || []);
+            setStanPrzedBrutto(lines.reduce((sum, line) => sum + (line.wartosc_brutto || 0), 0));
+            setSelectedDate(new Date());
+            setProductRows(lines.length > 0
+              ? lines.map(line => ({
+                  pozycja: line.pozycja,
+                  kod: line.kod || '',
+                  nazwa: line.nazwa,
+                  ilosc: String(line.ilosc),
+                  cena_netto: Number(line.cena_netto || 0).toFixed(2).replace('.', ','),
+                  rabat: line.rabat ? String(line.rabat).replace('.', ',') : '',
+                  vat: line.vat_stawka ?? 23
+                }))
+              : [{ kod: '', nazwa: '', ilosc: '', cena_netto: '', rabat: '', vat: 23 }]);
+            setInitialProductCount(0);
+            setDeletedKomisRows([]);
+            return;
+          }
+
+          setNumerFaktury(data.numer_faktury);
+          setSelectedDate(data.data_faktury ? new Date(data.data_faktury) : null);
           
-          if (data.products && data.products.length > 0) {
-            const products = data.products.map((p: any) => {
-              const kod = p.kod || '';
+          if (lines.length > 0) {
+            const products = lines.map((line) => {
+              const kod = line.kod || '';
               const isFromKomis = readOnlyExisting && komisKods.has(kod);
               return {
-                id: p.id,
+                pozycja: line.pozycja,
                 kod,
-                nazwa: p.nazwa,
-                ilosc: p.ilosc.toString(),
-                cena_netto: p.cena_netto.toFixed(2).replace('.', ','),
-                rabat: p.rabat ? p.rabat.toString() : '',
-                vat: p.vat_stawka || 23,
+                nazwa: line.nazwa,
+                ilosc: String(line.ilosc),
+                cena_netto: Number(line.cena_netto || 0).toFixed(2).replace('.', ','),
+                rabat: line.rabat ? String(line.rabat) : '',
+                vat: line.vat_stawka ?? 23,
                 isFromKomis,
-                originalKomisIlosc: isFromKomis ? Math.round(p.ilosc) : undefined,
-                searchQuery: isFromKomis ? p.nazwa : undefined
+                originalKomisIlosc: isFromKomis ? Math.round(line.ilosc) : undefined,
+                searchQuery: isFromKomis ? line.nazwa : undefined
               };
             });
             setProductRows(products);
@@ -311,9 +368,27 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
       setKomisAllProducts([]);
       setFieldsWithErrors(new Set());
       setDeletedKomisRows([]);
+      setPrzyczynaKorekty('');
+      setCorrectionChain([]);
+      setOriginalInvoice(null);
+      setStanPrzedBrutto(0);
     }
   }, [isOpen, invoice, readOnlyExisting]);
 
+  // Numer korekty — следующий в серии KOR/n/mm/yyyy по дате korekty
+  useEffect(() => {
+    if (!isOpen || !isCorrectionMode || !selectedDate) return;
+    const controller = new AbortController();
+    const dataKorekty = selectedDate.toLocaleDateString('en-CA');
+    fetch(`/api/invoices/korekty/next-number-only?data_faktury=${dataKorekty}`, { signal: controller.signal })
+      .then(response => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+      .then(data => setNumerFaktury(data.numer_faktury || ''))
+      .catch(error => {
+        if (error.name !== 'AbortError') console.error('Error fetching correction number:', error);
+      });
+    return () => controller.abort();
+  }, [isOpen, isCorrectionMode, selectedDate]);
+
   useEffect(() => {
     if (readOnlyExisting) {
       setFieldsWithErrors(computeKomisQuantityErrors(productRows));
@@ -579,56 +654,83 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
       return;
     }
 
+    if (isCorrectionMode) {
+      await handleSubmitCorrection();
+      return;
+    }
+
+    // "Dodaj z komisu" też nie zmienia wystawionej faktury: dopisane pozycje idą fakturą korygującą
     setIsSubmitting(true);
     try {
-      const formattedProducts = productRows
-        .filter(row => row.nazwa && row.ilosc && row.cena_netto)
-        .map(row => ({
-          id: row.id,
-          kod: row.kod || '',
-          nazwa: row.nazwa,
-          ilosc: parseFloat(row.ilosc) || 0,
-          cena_netto: parseFloat(row.cena_netto.replace(',', '.')) || 0,
-          rabat: parseFloat(row.rabat.replace(',', '.')) || 0,
-          vat: row.vat
-        }));
+      const correctionData = {
+        data_faktury: new Date().toLocaleDateString('en-CA'),
+        przyczyna_korekty: 'Dodanie towaru z komisu',
+        products: productRows
+          .filter(row => row.nazwa && row.ilosc && row.cena_netto)
+          .map(row => ({
+            pozycja: row.pozycja,
+            kod: row.kod || '',
+            nazwa: row.nazwa,
+            ilosc: parseFloat(row.ilosc) || 0,
+            cena_netto: parseFloat(row.cena_netto.replace(',', '.')) || 0,
+            rabat: parseFloat(row.rabat.replace(',', '.')) || 0,
+            vat: row.vat
+          }))
+      };
+
+      const response = await fetch(`/api/invoices/${invoice.id}/korekty`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(correctionData)
+      });
 
-      const komisSync = readOnlyExisting
-        ? [
-            ...productRows
-              .filter(row => isKomisRow(row) && row.kod)
-              .map(row => ({
-                kod: row.kod,
-                nazwa: row.nazwa,
-                previous_ilosc: row.originalKomisIlosc ?? 0,
-                new_ilosc: Math.round(parseFloat(row.ilosc) || 0)
-              })),
-            ...deletedKomisRows.map(row => ({
-              kod: row.kod,
-              nazwa: row.nazwa,
-              previous_ilosc: row.previous_ilosc,
-              new_ilosc: 0
-            }))
-          ].filter(item => item.previous_ilosc !== item.new_ilosc)
-        : undefined;
-
-      const invoiceData = {
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      const result = await response.json();
+      toast.success(`Wystawiono fakturę korygującą: ${result.numer_faktury}`);
+      onSuccess?.();
+      handleClose();
+    } catch (error) {
+      console.error('Error adding komis products by correction:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd podczas wystawiania korekty');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmitCorrection = async () => {
+    if (!invoice || !selectedDate) return;
+    if (!przyczynaKorekty.trim()) {
+      toast.error('Podaj przyczynę korekty');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const correctionData = {
         data_faktury: selectedDate.toLocaleDateString('en-CA'),
         numer_faktury: numerFaktury,
-        klient: klient,
-        termin_platnosci: terminPlatnosci ? terminPlatnosci.toLocaleDateString('en-CA') : undefined,
-        products: formattedProducts,
-        komis_sync: komisSync && komisSync.length > 0 ? komisSync : undefined,
-        suma_netto: parseFloat(calculateTotalNetto()),
-        suma_vat: parseFloat(calculateTotalVAT()),
-        suma_brutto: parseFloat(calculateTotal()),
-        rabat_suma: parseFloat(calculateTotalRabat())
+        przyczyna_korekty: przyczynaKorekty.trim(),
+        products: productRows
+          .filter(row => row.nazwa && row.ilosc && row.cena_netto)
+          .map(row => ({
+            pozycja: row.pozycja,
+            kod: row.kod || '',
+            nazwa: row.nazwa,
+            ilosc: parseFloat(row.ilosc) || 0,
+            cena_netto: parseFloat(row.cena_netto.replace(',', '.')) || 0,
+            rabat: parseFloat(row.rabat.replace(',', '.')) || 0,
+            vat: row.vat
+          }))
       };
 
-      const response = await fetch(`/api/invoices/${invoice.id}`, {
-        method: 'PUT',
+      const response = await fetch(`/api/invoices/${invoice.id}/korekty`, {
+        method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(invoiceData)
+        body: JSON.stringify(correctionData)
       });
 
       if (!response.ok) {
@@ -636,18 +738,19 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
         throw new Error(data.error || `HTTP ${response.status}`);
       }
 
-      toast.success(`Faktura została zaktualizowana: ${numerFaktury}`);
+      const result = await response.json();
+      toast.success(`Wystawiono fakturę korygującą: ${result.numer_faktury}`);
       onSuccess?.();
       handleClose();
     } catch (error) {
-      console.error('Error updating invoice:', error);
-      toast.error(error instanceof Error ? error.message : 'Błąd podczas aktualizacji faktury');
+      console.error('Error creating correction invoice:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd podczas wystawiania korekty');
     } finally {
       setIsSubmitting(false);
     }
   };
 
-  const isSubmitDisabled = isSubmitting || !selectedDate || !klient || (
+  const isSubmitDisabled = isSubmitting || !selectedDate || !klient || (isCorrectionMode && !przyczynaKorekty.trim()) || (
     readOnlyExisting
       ? !canSubmitKomisMode()
       : !productRows.some(row => row.nazwa && row.ilosc && row.cena_netto)
@@ -672,6 +775,10 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
     setKomisAllProducts([]);
     setFieldsWithErrors(new Set());
     setDeletedKomisRows([]);
+    setPrzyczynaKorekty('');
+    setCorrectionChain([]);
+    setOriginalInvoice(null);
+    setStanPrzedBrutto(0);
     onClose();
   };
 
@@ -711,7 +818,7 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
       <div className="font-sora h-full flex flex-col overflow-hidden">
         <div className="flex justify-between items-center mb-8 select-none">
           <h2 className="text-base font-semibold text-gray-800">
-            {readOnlyExisting ? 'Dodaj z komisu' : 'Edytuj fakturę VAT'}
+            {readOnlyExisting ? 'Dodaj z komisu' : 'Faktura korygująca'}
           </h2>
           <button
             onClick={handleClose}
@@ -726,7 +833,7 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
             <div className="flex gap-4">
               <div className="w-[120px]">
                 <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
-                  Data faktury
+                  {isCorrectionMode ? 'Data korekty' : 'Data faktury'}
                 </label>
                 <DatePicker
                   selected={selectedDate}
@@ -742,7 +849,7 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
               </div>
               <div className="w-[123px]">
                 <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
-                  Numer faktury
+                  {isCorrectionMode ? 'Numer korekty' : 'Numer faktury'}
                 </label>
                 <input
                   type="text"
@@ -750,14 +857,14 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
                   onChange={(e) => setNumerFaktury(e.target.value)}
                   readOnly={readOnlyExisting}
                   className={`w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs ${readOnlyExisting ? readOnlyClass : ''}`}
-                  placeholder="FV XXX/M/YYYY"
+                  placeholder={isCorrectionMode ? 'KOR/X/MM/YYYY' : 'FV XXX/M/YYYY'}
                 />
               </div>
               <div className="w-[250px] relative client-search-container">
                 <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
                   Klient
                 </label>
-                {readOnlyExisting ? (
+                {readOnlyExisting || isCorrectionMode ? (
                   <input
                     type="text"
                     value={klient}
@@ -816,14 +923,42 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
                   onChange={(date: Date | null) => setTerminPlatnosci(date)}
                   locale="pl"
                   dateFormat="dd/MM/yyyy"
-                  readOnly={readOnlyExisting}
-                  disabled={readOnlyExisting}
-                  className={`w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs text-center ${readOnlyExisting ? readOnlyClass : ''}`}
+                  readOnly={readOnlyExisting || isCorrectionMode}
+                  disabled={readOnlyExisting || isCorrectionMode}
+                  className={`w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs text-center ${readOnlyExisting || isCorrectionMode ? readOnlyClass : ''}`}
                   placeholderText="Wybierz datę"
                   popperClassName="z-50"
                 />
               </div>
             </div>
+            {isCorrectionMode && (
+              <div className="flex gap-4 items-start">
+                <div className="w-[380px]">
+                  <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
+                    Przyczyna korekty
+                  </label>
+                  <input
+                    type="text"
+                    value={przyczynaKorekty}
+                    onChange={(e) => setPrzyczynaKorekty(e.target.value)}
+                    className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                    placeholder="np. zwrot towaru, błędna cena"
+                  />
+                </div>
+                {originalInvoice && (
+                  <div className="text-xs text-gray-600 font-sora pt-6">
+                    <span>Korygowana faktura: </span>
+                    <span className="font-semibold text-gray-800">{originalInvoice.numer_faktury}</span>
+                    {correctionChain.length > 0 && (
+                      <span>
+                        {' → '}
+                        {correctionChain.map(k => k.numer_faktury).join(' → ')}
+                      </span>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
 
           <div className={`space-y-2 pb-8 ${productRows.length >= 8 ? 'overflow-y-auto max-h-[280px] pr-2' : 'overflow-visible'}`}>
@@ -1142,6 +1277,14 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
             <span className="text-xs font-bold text-gray-700 mr-2">Razem (PLN):</span>
             <span className="text-xs font-bold text-gray-900">{calculateTotal().replace('.', ',')} zł</span>
           </div>
+          {isCorrectionMode && (
+            <div className="flex items-center">
+              <span className="text-xs text-gray-700 mr-2">Różnica brutto:</span>
+              <span className="text-xs text-gray-900">
+                {(parseFloat(calculateTotal()) - stanPrzedBrutto).toFixed(2).replace('.', ',')} zł
+              </span>
+            </div>
+          )}
         </div>
 
         {(!readOnlyExisting || productRows.some((_, i) => !isLockedRow(i)) || deletedKomisRows.length > 0) && (
@@ -1161,7 +1304,7 @@ export const EditInvoiceModal: React.FC<EditInvoiceModalProps> = ({
                 Zapisywanie...
               </div>
             ) : (
-              'Zapisz zmiany'
+              isCorrectionMode ? 'Wystaw korektę' : 'Wystaw korektę z komisu'
             )}
           </button>
         </div>
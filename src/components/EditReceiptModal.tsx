@@ -1,9 +1,10 @@
-  import React, { useState, useRef, useEffect } from 'react';
+  import React, { useState, useRef, useEffect, useMemo } from 'react';
 import Modal from 'react-modal';
 import { X, Plus, Grape, Car, Calendar } from 'lucide-react';
 import DatePicker, { registerLocale } from 'react-datepicker';
 import { pl } from 'date-fns/locale';
 import { API_URL } from '../config';
+import { SupplierInput } from './SupplierInput';
 import {
   WALUTY_FAKTURY,
   WalutaFaktury,
@@ -28,8 +29,14 @@ import {
   validateRequiredKurs,
 } from '../utils/receiptCurrency';
 import { PlMoneyInput } from './PlMoneyInput';
+import { KursNbpHint } from './KursNbpHint';
+import { useNbpReceiptKurs } from '../utils/exchangeRates';
+import { findBarcodeValidationError, normalizeBarcode } from '../utils/barcode';
+import { ReceiptStampDraft } from '../types/ExciseStamp';
+import { ReceiptStampsSection } from './ReceiptStampsSection';
 import "react-datepicker/dist/react-datepicker.css";
 import "./DatePicker.css";
+import toast from 'react-hot-toast';
 
 registerLocale('pl', pl);
 
@@ -80,6 +87,7 @@ const ORDER_TYP_LABELS: Record<string, string> = {
   odpisanie: 'Rozchód',
   zwrot: 'Zwrot',
   przychod: 'Przychód',
+  przesuniecie: 'Przesunięcie',
 };
 
 interface EditReceiptModalProps {
@@ -89,6 +97,7 @@ interface EditReceiptModalProps {
     id: number;
     date: string; 
     sprzedawca: string; 
+    supplierId?: number;
     wartosc: number; 
     kosztDostawy: number;
     aktualnyKurs?: number;
@@ -105,14 +114,17 @@ interface EditReceiptModalProps {
       dataWaznosci?: string;
       typ?: string;
       objetosc?: number;
+      zawartosc_alkoholu?: string;
     }>;
     productInvoice?: File | null;
     transportInvoice?: File | null;
+    banderole?: ReceiptStampDraft[];
   }) => void | Promise<EditReceiptSubmitResult | void>;
   receipt: {
     id: number;
     dataPrzyjecia: string;
     sprzedawca: string;
+    supplier_id?: number | null;
     wartosc: number;
     kosztDostawy: number;
     aktualnyKurs?: number;
@@ -133,6 +145,7 @@ interface EditReceiptModalProps {
       dataWaznosci?: string;
       typ?: string;
       objetosc?: number;
+      zawartosc_alkoholu?: number | null;
     }>;
     productInvoice?: string;
     transportInvoice?: string;
@@ -149,6 +162,8 @@ interface ProductRow {
   showDataWaznosci: boolean;
   typ: string;
   objetosc: string;
+  /** % obj.; puste — z kartoteki (nowy kod napoju alkoholowego wymaga wartości) */
+  zawartoscAlkoholu?: string;
 }
 
 export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
@@ -160,6 +175,7 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
   
   const [selectedDate, setSelectedDate] = useState<Date | null>(null);
   const [sprzedawca, setSprzedawca] = useState('');
+  const [supplierId, setSupplierId] = useState<number | null>(null);
   const [position, setPosition] = useState({ x: 0, y: 0 });
   const [isDragging, setIsDragging] = useState(false);
   const [productRows, setProductRows] = useState<ProductRow[]>([{ kod: '', nazwa: '', kod_kreskowy: '', ilosc: '', cena: '', dataWaznosci: '', showDataWaznosci: false, typ: '', objetosc: '' }]);
@@ -181,6 +197,9 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
   const [kwotaVat, setKwotaVat] = useState('');
   const [sumaBrutto, setSumaBrutto] = useState('');
   const [kodChangeConflicts, setKodChangeConflicts] = useState<KodChangeConflict[] | null>(null);
+  // Nowe zakresy banderol; już naklejone na tym przyjęciu liczy serwer (receipt_id)
+  const [banderole, setBanderole] = useState<ReceiptStampDraft[]>([]);
+  const [banderoleBlad, setBanderoleBlad] = useState<string | null>(null);
   const [isSaving, setIsSaving] = useState(false);
   const skipBruttoSyncRef = useRef(false);
 
@@ -205,9 +224,36 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
     else setAktualnyKurs(value);
   };
 
+  const { kurs: nbpKurs, isLoading: isNbpLoading, error: nbpError } = useNbpReceiptKurs(selectedDate, walutaFaktury);
+  const nbpPrimaryKurs = nbpKurs
+    ? (usesPrimaryKursFakturyState(walutaFaktury) ? nbpKurs.kurs_faktury : nbpKurs.aktualny_kurs)
+    : null;
+  // Data i waluta zapisanego przyjęcia — dla nich zostawiamy kurs z DB (może być ręczny)
+  const loadedKursKeyRef = useRef('');
+
+  // Po zmianie daty lub waluty podstawiamy kurs NBP; użytkownik może go nadpisać
+  useEffect(() => {
+    if (!nbpKurs || `${nbpKurs.data}|${nbpKurs.waluta}` === loadedKursKeyRef.current) return;
+    const waluta = normalizeWalutaFaktury(nbpKurs.waluta);
+    if (isKursFakturyActive(waluta)) setKursFaktury(formatPlMoney(nbpKurs.kurs_faktury));
+    if (isKursEurPlnActive(waluta)) setAktualnyKurs(formatPlMoney(nbpKurs.aktualny_kurs));
+  }, [nbpKurs]);
+
   const hasValidProducts = productRows.some(row =>
     row.kod && row.nazwa && row.ilosc && row.cena
   );
+  const stampProducts = useMemo(
+    () => productRows
+      .filter(row => row.kod && row.ilosc)
+      .map(row => ({
+        kod: row.kod.trim(),
+        ilosc: parseFloat(row.ilosc) || 0,
+        typ: row.typ || undefined,
+        zawartosc_alkoholu: row.zawartoscAlkoholu || undefined,
+      })),
+    [productRows]
+  );
+
   const canSubmit =
     !isSaving &&
     Boolean(selectedDate) &&
@@ -251,11 +297,15 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
         setSelectedDate(selectedDateValue);
         
         setSprzedawca(receipt.sprzedawca || '');
+        setSupplierId(receipt.supplier_id ?? null);
         setKosztDostawy((receipt.kosztDostawy || 0).toFixed(2).replace('.', ','));
 
         // ➡️ Waluta faktury + kurs faktury
         const waluta = normalizeWalutaFaktury(receipt.waluta_faktury ?? receipt.walutaFaktury);
         setWalutaFaktury(waluta);
+        loadedKursKeyRef.current = selectedDateValue
+          ? `${selectedDateValue.toLocaleDateString('en-CA')}|${waluta}`
+          : '';
         const standardKursFaktury = Number(receipt.kurs_faktury ?? receipt.kursFaktury ?? 1);
         const standardKursEurPln = Number(receipt.aktualny_kurs ?? receipt.aktualnyKurs ?? 1);
 
@@ -319,7 +369,8 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
           dataWaznosci: product.dataWaznosci || '',
           showDataWaznosci: false,
           typ: product.typ || product.typTowaru || '',
-          objetosc: product.objetosc || ''
+          objetosc: product.objetosc || '',
+          zawartoscAlkoholu: product.zawartosc_alkoholu != null ? String(product.zawartosc_alkoholu).replace('.', ',') : ''
         }));
         
         setProductRows(formattedProducts.length > 0 ? formattedProducts : [{ kod: '', nazwa: '', kod_kreskowy: '', ilosc: '', cena: '', dataWaznosci: '', showDataWaznosci: false, typ: '', objetosc: '' }]);
@@ -446,6 +497,12 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
     setOpenObjetoscDropdownIndex(null);
   };
 
+  const handleZawartoscAlkoholuChange = (index: number, value: string) => {
+    const newRows = [...productRows];
+    newRows[index].zawartoscAlkoholu = value.replace(/[^\d,.]/g, '');
+    setProductRows(newRows);
+  };
+
   const toggleObjetoscDropdown = (index: number) => {
     if (openObjetoscDropdownIndex === index) {
       setOpenObjetoscDropdownIndex(null);
@@ -554,15 +611,27 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
       return;
     }
 
+    const barcodeValidationError = await findBarcodeValidationError(validProducts.map(row => row.kod_kreskowy));
+    if (barcodeValidationError) {
+      toast.error(barcodeValidationError);
+      return;
+    }
+
+    if (banderoleBlad) {
+      toast.error(`Banderole: ${banderoleBlad}`);
+      return;
+    }
+
     const formattedProducts = validProducts.map(row => ({
       kod: row.kod,
       nazwa: row.nazwa,
-      kod_kreskowy: row.kod_kreskowy || '',
+      kod_kreskowy: normalizeBarcode(row.kod_kreskowy),
       ilosc: parseFloat(row.ilosc) || 0,
       cena: parseFloat(row.cena.replace(',', '.')) || 0,
       dataWaznosci: row.dataWaznosci || undefined,
       typ: row.typ || undefined,
-      objetosc: row.objetosc ? parseFloat(row.objetosc) : undefined
+      objetosc: row.objetosc ? parseFloat(row.objetosc) : undefined,
+      zawartosc_alkoholu: row.zawartoscAlkoholu || undefined
     }));
 
     const totalValue = formattedProducts.reduce((sum, product) => {
@@ -584,6 +653,7 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
         id: receipt.id,
         date: selectedDate.toLocaleDateString('en-CA'),
         sprzedawca: sprzedawca,
+        supplierId: supplierId ?? undefined,
         wartosc: razem,
         kosztDostawy: deliveryCost,
         aktualnyKurs: aktualnyKursStandard,
@@ -593,7 +663,8 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
         kursFaktury: kursFakturyStandard,
         products: formattedProducts,
         productInvoice: productInvoice || null,
-        transportInvoice: transportInvoice || null
+        transportInvoice: transportInvoice || null,
+        banderole,
       });
 
       if (result && result.ok === false && result.kodBlocked) {
@@ -615,12 +686,15 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
     setProductRows([{ kod: '', nazwa: '', kod_kreskowy: '', ilosc: '', cena: '', dataWaznosci: '', showDataWaznosci: false, typ: '', objetosc: '' }]);
     setKosztDostawy('');
     setSprzedawca('');
+    setSupplierId(null);
     setProductInvoice(null);
     setTransportInvoice(null);
     setExistingProductInvoice(null);
     setExistingTransportInvoice(null);
     setKwotaVat('');
     setSumaBrutto('');
+    setBanderole([]);
+    setBanderoleBlad(null);
     onClose();
   };
 
@@ -845,6 +919,14 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
                     placeholder="0,00"
                     className="w-[90px] px-3 py-1.5 pr-6 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
                   />
+                  <KursNbpHint
+                    value={primaryKursValue}
+                    nbpValue={nbpPrimaryKurs}
+                    kurs={nbpKurs}
+                    isLoading={isNbpLoading}
+                    error={nbpError}
+                    onRestore={setPrimaryKursValue}
+                  />
                 </div>
               ) : (
                 <div className="w-[90px] h-[30px] rounded-md bg-gray-100 border border-gray-200" aria-hidden="true" />
@@ -857,10 +939,12 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
               <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
                 Sprzedawca
               </label>
-              <input
-                type="text"
+              <SupplierInput
                 value={sprzedawca}
-                onChange={(e) => setSprzedawca(e.target.value)}
+                onChange={(nazwa, supplier) => {
+                  setSprzedawca(nazwa);
+                  setSupplierId(supplier ? supplier.id : null);
+                }}
                 placeholder="Wprowadź imię sprzedawcy"
                 className="w-[300px] px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
               />
@@ -885,6 +969,14 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
                     placeholder="0,00"
                     className="w-[90px] px-3 py-1.5 pr-6 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
                   />
+                  <KursNbpHint
+                    value={aktualnyKurs}
+                    nbpValue={nbpKurs ? nbpKurs.aktualny_kurs : null}
+                    kurs={nbpKurs}
+                    isLoading={isNbpLoading}
+                    error={nbpError}
+                    onRestore={setAktualnyKurs}
+                  />
                 </div>
               ) : (
                 <div className="w-[90px] h-[30px] rounded-md bg-gray-100 border border-gray-200" aria-hidden="true" />
@@ -964,7 +1056,7 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
                 <span className="block text-xs font-medium text-gray-700 font-sora ml-1">Typ</span>
               </div>
               <div className="col-span-3 ml-20">
-                <span className="block text-xs font-medium text-gray-700 font-sora">Objętość</span>
+                <span className="block text-xs font-medium text-gray-700 font-sora">Objętość / % alk.</span>
               </div>
             </div>
             <div className="min-h-0 flex-1 overflow-y-auto pr-1 pb-10">
@@ -1168,6 +1260,15 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
                       </div>
                     )}
                   </div>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={row.zawartoscAlkoholu ?? ''}
+                    onChange={(e) => handleZawartoscAlkoholuChange(index, e.target.value)}
+                    placeholder="% alk."
+                    title="Zawartość alkoholu (% obj.) — puste: z kartoteki produktu"
+                    className="absolute top-0 right-0 w-[35%] px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                  />
                 </div>
               </div>
             ))}
@@ -1176,6 +1277,14 @@ export const EditReceiptModal: React.FC<EditReceiptModalProps> = ({
           </div>
         </div>
 
+        <ReceiptStampsSection
+          products={stampProducts}
+          receiptId={receipt?.id}
+          value={banderole}
+          onChange={setBanderole}
+          onStatusChange={setBanderoleBlad}
+        />
+
         <div className="shrink-0 pt-4 mt-1 relative flex items-center justify-center">
           <button
             onClick={handleSubmit}
@@ -0,0 +1,382 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { FileSpreadsheet, Trash2 } from 'lucide-react';
+import { formatPlMoney } from '../utils/receiptCurrency';
+import { ExciseRegister } from '../types/Excise';
+
+interface ExciseRegisterViewProps {
+  refreshTrigger: number;
+}
+
+const EMPTY_PAYMENT = { okres: '', data_zaplaty: '', kwota: '', dokument: '', uwagi: '' };
+
+const formatDate = (value: string) => new Date(`${value}T00:00:00`).toLocaleDateString('pl-PL');
+
+const formatLitry = (value: number) =>
+  value.toLocaleString('pl-PL', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Saldo okresu: niedopłata na czerwono, nadpłata na zielono
+const saldoClassName = (value: number) => (value > 0 ? 'text-red-600 font-semibold' : value < 0 ? 'text-green-700' : '');
+
+/**
+ * Rejestr akcyzy: akcyza naliczona w przyjęciach (wg przyjęć, towarów i miesięcy), zapłacona
+ * i uzgodnienie per okres oraz akcyza zamrożona w bieżącym zapasie.
+ */
+export const ExciseRegisterView: React.FC<ExciseRegisterViewProps> = ({ refreshTrigger }) => {
+  const [od, setOd] = useState('');
+  const [doDate, setDoDate] = useState('');
+  const [register, setRegister] = useState<ExciseRegister | null>(null);
+  const [payment, setPayment] = useState(EMPTY_PAYMENT);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const queryString = () => {
+    const params = new URLSearchParams();
+    if (od) params.set('od', od);
+    if (doDate) params.set('do', doDate);
+    return params.toString();
+  };
+
+  const loadRegister = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/excise/register?${queryString()}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Błąd ładowania rejestru akcyzy');
+      setRegister(data);
+    } catch (error) {
+      console.error('Error loading excise register:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania rejestru akcyzy');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRegister();
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- reload on parameter change only
+  }, [od, doDate, refreshTrigger]);
+
+  const addPayment = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const response = await fetch('/api/excise/payments', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payment),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(Array.isArray(data.errors) ? data.errors.join('; ') : data.error || 'Błąd zapisu płatności');
+      }
+      toast.success('Płatność akcyzy została zapisana');
+      setPayment(EMPTY_PAYMENT);
+      loadRegister();
+    } catch (error) {
+      console.error('Error saving excise payment:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu płatności');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deletePayment = async (id: number) => {
+    if (!window.confirm('Usunąć płatność akcyzy?')) return;
+    try {
+      const response = await fetch(`/api/excise/payments/${id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Błąd usuwania płatności');
+      toast.success('Płatność akcyzy została usunięta');
+      loadRegister();
+    } catch (error) {
+      console.error('Error deleting excise payment:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd usuwania płatności');
+    }
+  };
+
+  const exportXlsx = async () => {
+    setIsExporting(true);
+    try {
+      const response = await fetch(`/api/excise/register/xlsx?${queryString()}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Błąd eksportu');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `rejestr_akcyzy_${od || 'poczatek'}_${doDate || new Date().toLocaleDateString('en-CA')}.xlsx`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => window.URL.revokeObjectURL(url), 100);
+    } catch (error) {
+      console.error('Error exporting excise register:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd eksportu');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const inputClassName = 'px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  return (
+    <div className="bg-white p-4 rounded-lg border font-sora flex flex-col gap-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-sm font-bold text-gray-900">Rejestr akcyzy</h2>
+          <p className="text-[11px] text-gray-500">
+            Akcyza naliczona = stawka przyjęcia (zł/l) × objętość × ilość; napoje bezalkoholowe, fermentowane i akcesoria bez akcyzy.
+          </p>
+        </div>
+        <div className="flex items-center gap-3 text-xs text-gray-700">
+          <label className="flex items-center gap-1.5">
+            Od
+            <input type="date" value={od} onChange={(e) => setOd(e.target.value)} className={inputClassName} />
+          </label>
+          <label className="flex items-center gap-1.5">
+            Do
+            <input type="date" value={doDate} onChange={(e) => setDoDate(e.target.value)} className={inputClassName} />
+          </label>
+          <button
+            onClick={exportXlsx}
+            disabled={isExporting || !register}
+            className="inline-flex items-center gap-1 px-3 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none disabled:opacity-50"
+          >
+            <FileSpreadsheet size={14} />
+            {isExporting ? 'Eksport...' : 'Eksport XLSX'}
+          </button>
+        </div>
+      </div>
+
+      {isLoading && !register ? (
+        <p className="text-xs text-gray-500">Ładowanie...</p>
+      ) : !register ? null : (
+        <>
+          <div className="flex gap-6 text-xs text-gray-700">
+            <span>Naliczona: <b>{formatPlMoney(register.podsumowanie.naliczona)} zł</b></span>
+            <span>Zapłacona: <b>{formatPlMoney(register.podsumowanie.zaplacona)} zł</b></span>
+            <span className={saldoClassName(register.podsumowanie.do_zaplaty)}>
+              {register.podsumowanie.do_zaplaty < 0 ? 'Nadpłata' : 'Do zapłaty'}: <b>{formatPlMoney(Math.abs(register.podsumowanie.do_zaplaty))} zł</b>
+            </span>
+            <span title="Stan na dziś, niezależnie od zakresu dat">
+              W zapasie: <b>{formatPlMoney(register.podsumowanie.w_zapasie)} zł</b>
+            </span>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="border border-gray-200 rounded-md">
+              <div className="px-3 py-2 bg-gray-50 rounded-t-md text-xs font-semibold text-gray-900">Uzgodnienie wg okresów</div>
+              {register.okresy.length === 0 ? (
+                <p className="px-3 py-2 text-xs text-gray-500">Brak akcyzy w wybranym okresie</p>
+              ) : (
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-gray-700">
+                      <th className="px-2 py-1 text-left font-bold">Okres</th>
+                      <th className="px-2 py-1 text-right font-bold">Naliczona</th>
+                      <th className="px-2 py-1 text-right font-bold">Zapłacona</th>
+                      <th className="px-2 py-1 text-right font-bold">Saldo</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {register.okresy.map((row) => (
+                      <tr key={row.okres} className="text-gray-900">
+                        <td className="px-2 py-1">{row.okres}</td>
+                        <td className="px-2 py-1 text-right">{formatPlMoney(row.naliczona)}</td>
+                        <td className="px-2 py-1 text-right">{formatPlMoney(row.zaplacona)}</td>
+                        <td className={`px-2 py-1 text-right ${saldoClassName(row.do_zaplaty)}`}>{formatPlMoney(row.do_zaplaty)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="border border-gray-200 rounded-md">
+              <div className="px-3 py-2 bg-gray-50 rounded-t-md text-xs font-semibold text-gray-900">Płatności akcyzy</div>
+              <form onSubmit={addPayment} className="flex flex-wrap items-center gap-2 px-3 py-2 border-b border-gray-100">
+                <input
+                  type="month"
+                  value={payment.okres}
+                  onChange={(e) => setPayment({ ...payment, okres: e.target.value })}
+                  className={inputClassName}
+                  title="Okres rozliczeniowy"
+                  required
+                />
+                <input
+                  type="date"
+                  value={payment.data_zaplaty}
+                  onChange={(e) => setPayment({ ...payment, data_zaplaty: e.target.value })}
+                  className={inputClassName}
+                  title="Data zapłaty"
+                  required
+                />
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  placeholder="Kwota"
+                  value={payment.kwota}
+                  onChange={(e) => setPayment({ ...payment, kwota: e.target.value })}
+                  className={`w-24 text-right ${inputClassName}`}
+                  required
+                />
+                <input
+                  type="text"
+                  placeholder="Dokument"
+                  maxLength={60}
+                  value={payment.dokument}
+                  onChange={(e) => setPayment({ ...payment, dokument: e.target.value })}
+                  className={`w-28 ${inputClassName}`}
+                />
+                <input
+                  type="text"
+                  placeholder="Uwagi"
+                  value={payment.uwagi}
+                  onChange={(e) => setPayment({ ...payment, uwagi: e.target.value })}
+                  className={`flex-1 min-w-[6rem] ${inputClassName}`}
+                />
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-3 py-1 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400"
+                >
+                  Dodaj
+                </button>
+              </form>
+              {register.platnosci.length === 0 ? (
+                <p className="px-3 py-2 text-xs text-gray-500">Brak płatności w wybranym okresie</p>
+              ) : (
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-gray-700">
+                      <th className="px-2 py-1 text-left font-bold">Okres</th>
+                      <th className="px-2 py-1 text-left font-bold">Data zapłaty</th>
+                      <th className="px-2 py-1 text-right font-bold">Kwota</th>
+                      <th className="px-2 py-1 text-left font-bold">Dokument</th>
+                      <th className="px-2 py-1" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {register.platnosci.map((row) => (
+                      <tr key={row.id} className="text-gray-900" title={row.uwagi || undefined}>
+                        <td className="px-2 py-1">{row.okres}</td>
+                        <td className="px-2 py-1">{formatDate(row.data_zaplaty)}</td>
+                        <td className="px-2 py-1 text-right">{formatPlMoney(row.kwota)}</td>
+                        <td className="px-2 py-1">{row.dokument || '-'}</td>
+                        <td className="px-2 py-1 text-right">
+                          <button onClick={() => deletePayment(row.id)} className="text-red-500 hover:text-red-700 focus:outline-none" title="Usuń">
+                            <Trash2 size={14} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+
+          <div className="border border-gray-200 rounded-md">
+            <div className="px-3 py-2 bg-gray-50 rounded-t-md text-xs font-semibold text-gray-900">Przyjęcia</div>
+            {register.przyjecia.length === 0 ? (
+              <p className="px-3 py-2 text-xs text-gray-500">Brak przyjęć w wybranym okresie</p>
+            ) : (
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-700">
+                    <th className="px-2 py-1 text-left font-bold">Nr</th>
+                    <th className="px-2 py-1 text-left font-bold">Data</th>
+                    <th className="px-2 py-1 text-left font-bold">Dostawca</th>
+                    <th className="px-2 py-1 text-right font-bold">Stawka (zł/l)</th>
+                    <th className="px-2 py-1 text-right font-bold">Sztuki</th>
+                    <th className="px-2 py-1 text-right font-bold">Litry</th>
+                    <th className="px-2 py-1 text-right font-bold">Akcyza</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {register.przyjecia.map((row) => (
+                    <tr key={row.receipt_id} className={row.akcyza !== 0 ? 'text-gray-900' : 'text-gray-400'}>
+                      <td className="px-2 py-1">{row.receipt_id}</td>
+                      <td className="px-2 py-1">{formatDate(row.data)}</td>
+                      <td className="px-2 py-1">{row.sprzedawca || '-'}</td>
+                      <td className="px-2 py-1 text-right">{row.stawka ? formatPlMoney(row.stawka) : '-'}</td>
+                      <td className="px-2 py-1 text-right">{row.sztuki}</td>
+                      <td className="px-2 py-1 text-right">{formatLitry(row.litry)}</td>
+                      <td className="px-2 py-1 text-right">{formatPlMoney(row.akcyza)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="border border-gray-200 rounded-md">
+              <div className="px-3 py-2 bg-gray-50 rounded-t-md text-xs font-semibold text-gray-900">Akcyza wg towarów</div>
+              {register.towary.length === 0 ? (
+                <p className="px-3 py-2 text-xs text-gray-500">Brak towarów z akcyzą</p>
+              ) : (
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-gray-700">
+                      <th className="px-2 py-1 text-left font-bold">Produkt</th>
+                      <th className="px-2 py-1 text-right font-bold">Sztuki</th>
+                      <th className="px-2 py-1 text-right font-bold">Litry</th>
+                      <th className="px-2 py-1 text-right font-bold">Akcyza</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {register.towary.map((row) => (
+                      <tr key={row.kod} className="text-gray-900">
+                        <td className="px-2 py-1">
+                          {row.kod}
+                          <div className="text-[10px] text-gray-500">{row.nazwa}</div>
+                        </td>
+                        <td className="px-2 py-1 text-right">{row.sztuki}</td>
+                        <td className="px-2 py-1 text-right">{formatLitry(row.litry)}</td>
+                        <td className="px-2 py-1 text-right">{formatPlMoney(row.akcyza)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="border border-gray-200 rounded-md">
+              <div className="px-3 py-2 bg-gray-50 rounded-t-md text-xs font-semibold text-gray-900">Akcyza w zapasie (stan na dziś)</div>
+              {register.zapas.length === 0 ? (
+                <p className="px-3 py-2 text-xs text-gray-500">Brak zapasu z akcyzą</p>
+              ) : (
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-gray-700">
+                      <th className="px-2 py-1 text-left font-bold">Produkt</th>
+                      <th className="px-2 py-1 text-right font-bold">Ilość</th>
+                      <th className="px-2 py-1 text-right font-bold">Akcyza</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {register.zapas.map((row) => (
+                      <tr key={row.kod} className="text-gray-900">
+                        <td className="px-2 py-1">
+                          {row.kod}
+                          <div className="text-[10px] text-gray-500">{row.nazwa}</div>
+                        </td>
+                        <td className="px-2 py-1 text-right">{row.ilosc}</td>
+                        <td className="px-2 py-1 text-right">{formatPlMoney(row.akcyza)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
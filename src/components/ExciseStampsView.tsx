@@ -0,0 +1,458 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { FileSpreadsheet, Trash2 } from 'lucide-react';
+import { useAuth } from './AuthProvider';
+import {
+  ExciseStampStock,
+  formatStampRange,
+  PROG_BANDEROLI,
+  RODZAJE_UZYCIA_LABELS,
+  StampUsageReport,
+} from '../types/ExciseStamp';
+
+interface ExciseStampsViewProps {
+  refreshTrigger: number;
+}
+
+const EMPTY_ROLL = { seria: '', numer_od: '', numer_do: '', data_przyjecia: '', dokument: '', uwagi: '' };
+
+const EMPTY_WASTE = { rodzaj: 'uszkodzona', seria: '', numer_od: '', numer_do: '', data: '', uwagi: '' };
+
+const formatDate = (value: string) => new Date(`${value}T00:00:00`).toLocaleDateString('pl-PL');
+
+const errorMessage = (data: { error?: string; errors?: string[] }, fallback: string) =>
+  Array.isArray(data.errors) && data.errors.length > 0 ? data.errors.join('; ') : data.error || fallback;
+
+/**
+ * Banderole: zapas rolek (seria, zakres numerów) z wolnymi numerami, uszkodzone / zwrócone
+ * banderole i miesięczne rozliczenie wykorzystania z przyjęciami bez kompletu banderol.
+ */
+export const ExciseStampsView: React.FC<ExciseStampsViewProps> = ({ refreshTrigger }) => {
+  const { user } = useAuth();
+  const canEdit = user?.rola === 'admin' || user?.rola === 'magazyn';
+  const [stock, setStock] = useState<ExciseStampStock | null>(null);
+  const [okres, setOkres] = useState(() => new Date().toLocaleDateString('en-CA').slice(0, 7));
+  const [report, setReport] = useState<StampUsageReport | null>(null);
+  const [roll, setRoll] = useState(EMPTY_ROLL);
+  const [waste, setWaste] = useState(EMPTY_WASTE);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const loadStock = async () => {
+    try {
+      const response = await fetch('/api/excise-stamps/rolls');
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Błąd ładowania zapasu banderol');
+      setStock(data);
+    } catch (error) {
+      console.error('Error loading excise stamp rolls:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania zapasu banderol');
+    }
+  };
+
+  const loadReport = async () => {
+    if (!okres) return;
+    try {
+      const response = await fetch(`/api/excise-stamps/report?okres=${encodeURIComponent(okres)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Błąd ładowania rozliczenia banderol');
+      setReport(data);
+    } catch (error) {
+      console.error('Error loading excise stamp report:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania rozliczenia banderol');
+    }
+  };
+
+  const reload = () => {
+    loadStock();
+    loadReport();
+  };
+
+  useEffect(() => {
+    loadStock();
+  }, [refreshTrigger]);
+
+  useEffect(() => {
+    loadReport();
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- reload on parameter change only
+  }, [okres, refreshTrigger]);
+
+  const post = async (url: string, body: object, success: string, fallback: string) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(errorMessage(data, fallback));
+      toast.success(success);
+      reload();
+      return true;
+    } catch (error) {
+      console.error('Error saving excise stamps:', error);
+      toast.error(error instanceof Error ? error.message : fallback);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const remove = async (url: string, question: string, success: string) => {
+    if (!window.confirm(question)) return;
+    try {
+      const response = await fetch(url, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Błąd usuwania');
+      toast.success(success);
+      reload();
+    } catch (error) {
+      console.error('Error deleting excise stamps:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd usuwania');
+    }
+  };
+
+  const addRoll = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (await post('/api/excise-stamps/rolls', roll, 'Rolka banderol została przyjęta', 'Błąd zapisu rolki')) {
+      setRoll(EMPTY_ROLL);
+    }
+  };
+
+  const addWaste = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (await post('/api/excise-stamps/usages', waste, 'Banderole zostały zapisane', 'Błąd zapisu banderol')) {
+      setWaste(EMPTY_WASTE);
+    }
+  };
+
+  const exportXlsx = async () => {
+    setIsExporting(true);
+    try {
+      const response = await fetch(`/api/excise-stamps/report/xlsx?okres=${encodeURIComponent(okres)}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Błąd eksportu');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `banderole_${okres}.xlsx`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => window.URL.revokeObjectURL(url), 100);
+    } catch (error) {
+      console.error('Error exporting excise stamp report:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd eksportu');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const inputClassName = 'px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+  const buttonClassName = 'px-3 py-1 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400';
+
+  return (
+    <div className="bg-white p-4 rounded-lg border font-sora flex flex-col gap-4">
+      <div>
+        <h2 className="text-sm font-bold text-gray-900">Banderole</h2>
+        <p className="text-[11px] text-gray-500">
+          Przyjęcie wyrobów powyżej {PROG_BANDEROLI}% alkoholu (wg % obj. w kartotece) wymaga przydzielenia banderol z zapasu.
+        </p>
+      </div>
+
+      <div className="border border-gray-200 rounded-md">
+        <div className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded-t-md text-xs text-gray-900">
+          <span className="font-semibold">Zapas rolek</span>
+          {stock && (
+            <span className="text-gray-500">
+              {stock.podsumowanie.rolki} rolek · {stock.podsumowanie.wolne.toLocaleString('pl-PL')} wolnych banderol
+            </span>
+          )}
+        </div>
+        {canEdit && (
+          <form onSubmit={addRoll} className="flex flex-wrap items-center gap-2 px-3 py-2 border-b border-gray-100">
+            <input
+              type="text"
+              placeholder="Seria"
+              value={roll.seria}
+              onChange={(e) => setRoll({ ...roll, seria: e.target.value.toUpperCase() })}
+              className={`w-20 ${inputClassName}`}
+              required
+            />
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="Numer od"
+              value={roll.numer_od}
+              onChange={(e) => setRoll({ ...roll, numer_od: e.target.value.replace(/\D/g, '') })}
+              className={`w-28 ${inputClassName}`}
+              required
+            />
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="Numer do"
+              value={roll.numer_do}
+              onChange={(e) => setRoll({ ...roll, numer_do: e.target.value.replace(/\D/g, '') })}
+              className={`w-28 ${inputClassName}`}
+              required
+            />
+            <input
+              type="date"
+              value={roll.data_przyjecia}
+              onChange={(e) => setRoll({ ...roll, data_przyjecia: e.target.value })}
+              className={inputClassName}
+              title="Data przyjęcia rolki"
+              required
+            />
+            <input
+              type="text"
+              placeholder="Dokument"
+              maxLength={60}
+              value={roll.dokument}
+              onChange={(e) => setRoll({ ...roll, dokument: e.target.value })}
+              className={`w-32 ${inputClassName}`}
+            />
+            <input
+              type="text"
+              placeholder="Uwagi"
+              value={roll.uwagi}
+              onChange={(e) => setRoll({ ...roll, uwagi: e.target.value })}
+              className={`flex-1 min-w-[6rem] ${inputClassName}`}
+            />
+            <button type="submit" disabled={isSaving} className={buttonClassName}>
+              Przyjmij rolkę
+            </button>
+          </form>
+        )}
+        {!stock || stock.rolki.length === 0 ? (
+          <p className="px-3 py-2 text-xs text-gray-500">Brak rolek banderol</p>
+        ) : (
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-700">
+                <th className="px-2 py-1 text-left font-bold">Zakres</th>
+                <th className="px-2 py-1 text-left font-bold">Przyjęta</th>
+                <th className="px-2 py-1 text-left font-bold">Dokument</th>
+                <th className="px-2 py-1 text-right font-bold">Ilość</th>
+                <th className="px-2 py-1 text-right font-bold">Naklejone</th>
+                <th className="px-2 py-1 text-right font-bold">Uszkodzone</th>
+                <th className="px-2 py-1 text-right font-bold">Zwrócone</th>
+                <th className="px-2 py-1 text-right font-bold">Wolne</th>
+                <th className="px-2 py-1 text-left font-bold">Wolne numery</th>
+                <th className="px-2 py-1" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {stock.rolki.map((item) => (
+                <tr key={item.id} className={item.wolne > 0 ? 'text-gray-900' : 'text-gray-400'} title={item.uwagi || undefined}>
+                  <td className="px-2 py-1">{formatStampRange(item)}</td>
+                  <td className="px-2 py-1">{formatDate(item.data_przyjecia)}</td>
+                  <td className="px-2 py-1">{item.dokument || '-'}</td>
+                  <td className="px-2 py-1 text-right">{item.ilosc}</td>
+                  <td className="px-2 py-1 text-right">{item.naklejone || '-'}</td>
+                  <td className="px-2 py-1 text-right">{item.uszkodzone || '-'}</td>
+                  <td className="px-2 py-1 text-right">{item.zwrocone || '-'}</td>
+                  <td className="px-2 py-1 text-right font-semibold">{item.wolne}</td>
+                  <td className="px-2 py-1 text-[11px] text-gray-600">
+                    {item.wolne_zakresy.map((range) => `${range.numer_od}–${range.numer_do}`).join(', ') || '-'}
+                  </td>
+                  <td className="px-2 py-1 text-right">
+                    {canEdit && item.wykorzystania === 0 && (
+                      <button
+                        onClick={() => remove(`/api/excise-stamps/rolls/${item.id}`, `Usunąć rolkę ${formatStampRange(item)}?`, 'Rolka banderol została usunięta')}
+                        className="text-red-500 hover:text-red-700 focus:outline-none"
+                        title="Usuń"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {canEdit && (
+        <div className="border border-gray-200 rounded-md">
+          <div className="px-3 py-2 bg-gray-50 rounded-t-md text-xs font-semibold text-gray-900">Banderole uszkodzone / zwrócone</div>
+          <form onSubmit={addWaste} className="flex flex-wrap items-center gap-2 px-3 py-2">
+            <select
+              value={waste.rodzaj}
+              onChange={(e) => setWaste({ ...waste, rodzaj: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="uszkodzona">Uszkodzone</option>
+              <option value="zwrocona">Zwrócone</option>
+            </select>
+            <input
+              type="text"
+              placeholder="Seria"
+              value={waste.seria}
+              onChange={(e) => setWaste({ ...waste, seria: e.target.value.toUpperCase() })}
+              className={`w-20 ${inputClassName}`}
+              required
+            />
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="Numer od"
+              value={waste.numer_od}
+              onChange={(e) => setWaste({ ...waste, numer_od: e.target.value.replace(/\D/g, '') })}
+              className={`w-28 ${inputClassName}`}
+              required
+            />
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="Numer do"
+              value={waste.numer_do}
+              onChange={(e) => setWaste({ ...waste, numer_do: e.target.value.replace(/\D/g, '') })}
+              className={`w-28 ${inputClassName}`}
+              required
+            />
+            <input
+              type="date"
+              value={waste.data}
+              onChange={(e) => setWaste({ ...waste, data: e.target.value })}
+              className={inputClassName}
+              required
+            />
+            <input
+              type="text"
+              placeholder="Uwagi (np. protokół)"
+              value={waste.uwagi}
+              onChange={(e) => setWaste({ ...waste, uwagi: e.target.value })}
+              className={`flex-1 min-w-[6rem] ${inputClassName}`}
+            />
+            <button type="submit" disabled={isSaving} className={buttonClassName}>
+              Zapisz
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="border border-gray-200 rounded-md">
+        <div className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded-t-md text-xs text-gray-900">
+          <span className="font-semibold">Rozliczenie miesięczne</span>
+          <div className="flex items-center gap-3">
+            <input
+              type="month"
+              value={okres}
+              max={new Date().toLocaleDateString('en-CA').slice(0, 7)}
+              onChange={(e) => setOkres(e.target.value)}
+              className={inputClassName}
+            />
+            <button
+              onClick={exportXlsx}
+              disabled={isExporting || !report}
+              className="inline-flex items-center gap-1 px-3 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none disabled:opacity-50"
+            >
+              <FileSpreadsheet size={14} />
+              {isExporting ? 'Eksport...' : 'Eksport XLSX'}
+            </button>
+          </div>
+        </div>
+        {!report ? (
+          <p className="px-3 py-2 text-xs text-gray-500">Ładowanie...</p>
+        ) : (
+          <div className="flex flex-col gap-3 pb-2">
+            {report.wiersze.length === 0 ? (
+              <p className="px-3 py-2 text-xs text-gray-500">Brak banderol w okresie {report.okres}</p>
+            ) : (
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-700">
+                    <th className="px-2 py-1 text-left font-bold">Seria</th>
+                    <th className="px-2 py-1 text-right font-bold">Stan początkowy</th>
+                    <th className="px-2 py-1 text-right font-bold">Przyjęte</th>
+                    <th className="px-2 py-1 text-right font-bold">Naklejone</th>
+                    <th className="px-2 py-1 text-right font-bold">Uszkodzone</th>
+                    <th className="px-2 py-1 text-right font-bold">Zwrócone</th>
+                    <th className="px-2 py-1 text-right font-bold">Stan końcowy</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {[...report.wiersze, { seria: 'Razem', ...report.razem }].map((row) => (
+                    <tr key={row.seria} className={row.seria === 'Razem' ? 'font-semibold text-gray-900' : 'text-gray-900'}>
+                      <td className="px-2 py-1">{row.seria}</td>
+                      <td className="px-2 py-1 text-right">{row.stan_poczatkowy}</td>
+                      <td className="px-2 py-1 text-right">{row.przyjete}</td>
+                      <td className="px-2 py-1 text-right">{row.naklejone}</td>
+                      <td className="px-2 py-1 text-right">{row.uszkodzone}</td>
+                      <td className="px-2 py-1 text-right">{row.zwrocone}</td>
+                      <td className="px-2 py-1 text-right">{row.stan_koncowy}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {report.braki.length > 0 && (
+              <div className="px-3">
+                <p className="text-xs font-semibold text-red-600 mb-1">Przyjęcia bez kompletu banderol</p>
+                <table className="w-full text-xs">
+                  <tbody className="divide-y divide-gray-100">
+                    {report.braki.map((brak) => (
+                      <tr key={`${brak.receipt_id}-${brak.kod}`} className="text-red-700">
+                        <td className="px-2 py-1">Przyjęcie {brak.receipt_id} ({formatDate(brak.data)})</td>
+                        <td className="px-2 py-1">{brak.sprzedawca || '-'}</td>
+                        <td className="px-2 py-1">{brak.kod} {brak.nazwa}</td>
+                        <td className="px-2 py-1 text-right">brakuje {brak.brakuje} z {brak.ilosc}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {report.pozycje.length > 0 && (
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-700">
+                    <th className="px-2 py-1 text-left font-bold">Data</th>
+                    <th className="px-2 py-1 text-left font-bold">Rodzaj</th>
+                    <th className="px-2 py-1 text-left font-bold">Zakres</th>
+                    <th className="px-2 py-1 text-right font-bold">Ilość</th>
+                    <th className="px-2 py-1 text-left font-bold">Przyjęcie / uwagi</th>
+                    <th className="px-2 py-1" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.pozycje.map((usage) => (
+                    <tr key={usage.id} className="text-gray-900">
+                      <td className="px-2 py-1">{formatDate(usage.data)}</td>
+                      <td className="px-2 py-1">{RODZAJE_UZYCIA_LABELS[usage.rodzaj]}</td>
+                      <td className="px-2 py-1">{formatStampRange(usage)}</td>
+                      <td className="px-2 py-1 text-right">{usage.ilosc}</td>
+                      <td className="px-2 py-1">
+                        {usage.receipt_id ? `Przyjęcie ${usage.receipt_id}, ${usage.kod}` : usage.uwagi || '-'}
+                      </td>
+                      <td className="px-2 py-1 text-right">
+                        {canEdit && usage.rodzaj !== 'naklejona' && (
+                          <button
+                            onClick={() => remove(`/api/excise-stamps/usages/${usage.id}`, `Cofnąć wpis ${formatStampRange(usage)}? Banderole wrócą do zapasu.`, 'Banderole wróciły do zapasu')}
+                            className="text-red-500 hover:text-red-700 focus:outline-none"
+                            title="Cofnij"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
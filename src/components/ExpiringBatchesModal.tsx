@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+interface ExpiringBatchesModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface ExpiringBatch {
+  id: number;
+  kod: string;
+  nazwa: string;
+  typ: string | null;
+  ilosc_aktualna: number;
+  data_waznosci: string;
+  created_at: string | null;
+  receipt_id: number | null;
+  sprzedawca: string | null;
+  dni_do_konca: number;
+  przeterminowana: boolean;
+  tryb_wydania: 'fifo' | 'fefo';
+}
+
+interface ExpirySummary {
+  partie: number;
+  przeterminowane: number;
+  ilosc: number;
+}
+
+// Partie, którym zostało mniej dni, podświetlamy jako „na granicy”
+const WARNING_DAYS = 7;
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleDateString('pl-PL') : '—');
+
+/** Raport „kończy się termin”: partie z terminem ważności w ciągu N dni. */
+export const ExpiringBatchesModal: React.FC<ExpiringBatchesModalProps> = ({ isOpen, onClose }) => {
+  const [days, setDays] = useState('30');
+  const [rows, setRows] = useState<ExpiringBatch[]>([]);
+  const [summary, setSummary] = useState<ExpirySummary | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadReport = async (dni: string) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/inventory/expiring?dni=${encodeURIComponent(dni)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Błąd ładowania raportu terminów ważności');
+      }
+      setRows(data.pozycje);
+      setSummary(data.podsumowanie);
+    } catch (error) {
+      console.error('Error loading expiring batches:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania raportu terminów ważności');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) loadReport(days);
+  }, [isOpen]);
+
+  const rowClassName = (row: ExpiringBatch) => {
+    if (row.przeterminowana) return 'bg-red-50 text-red-700';
+    if (row.dni_do_konca <= WARNING_DAYS) return 'bg-amber-50 text-amber-800';
+    return 'text-gray-900';
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '860px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '80vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Kończy się termin ważności</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        <form
+          className="flex items-center gap-3 mb-4"
+          onSubmit={(e) => {
+            e.preventDefault();
+            loadReport(days);
+          }}
+        >
+          <label className="text-xs text-gray-700">Termin w ciągu</label>
+          <input
+            type="number"
+            min={0}
+            max={3650}
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <span className="text-xs text-gray-700">dni</span>
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            Pokaż
+          </button>
+          {summary && (
+            <span className="ml-auto text-xs text-gray-600">
+              Partie: {summary.partie}, przeterminowane: {summary.przeterminowane}, ilość: {summary.ilosc}
+            </span>
+          )}
+        </form>
+
+        {isLoading ? (
+          <p className="text-xs text-gray-500">Ładowanie...</p>
+        ) : rows.length === 0 ? (
+          <p className="text-xs text-gray-500">Brak partii z kończącym się terminem ważności</p>
+        ) : (
+          <div className="max-h-[55vh] overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-700">
+                  <th className="px-2 py-1 text-left font-bold">Kod</th>
+                  <th className="px-2 py-1 text-left font-bold">Nazwa</th>
+                  <th className="px-2 py-1 text-left font-bold">Partia</th>
+                  <th className="px-2 py-1 text-left font-bold">Przyjęto</th>
+                  <th className="px-2 py-1 text-left font-bold">Termin ważności</th>
+                  <th className="px-2 py-1 text-right font-bold">Dni</th>
+                  <th className="px-2 py-1 text-right font-bold">Ilość</th>
+                  <th className="px-2 py-1 text-left font-bold">Wydawanie</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map((row) => (
+                  <tr key={row.id} className={rowClassName(row)}>
+                    <td className="px-2 py-1">{row.kod}</td>
+                    <td className="px-2 py-1">{row.nazwa}</td>
+                    <td className="px-2 py-1">
+                      #{row.id}
+                      {row.sprzedawca && <div className="text-[10px] text-gray-500">{row.sprzedawca}</div>}
+                    </td>
+                    <td className="px-2 py-1">{formatDate(row.created_at)}</td>
+                    <td className="px-2 py-1">{formatDate(row.data_waznosci)}</td>
+                    <td className="px-2 py-1 text-right">
+                      {row.przeterminowana ? `po terminie ${-row.dni_do_konca}` : row.dni_do_konca}
+                    </td>
+                    <td className="px-2 py-1 text-right">{row.ilosc_aktualna}</td>
+                    <td className="px-2 py-1 uppercase">{row.tryb_wydania}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
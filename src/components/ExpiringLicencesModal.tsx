@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { API_URL } from '../config';
+import { ExpiringLicence, RODZAJE_ZEZWOLEN_LABELS } from '../types/AlcoholLicence';
+
+interface ExpiringLicencesModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface ExpiringLicencesSummary {
+  zezwolenia: number;
+  wygasle: number;
+  klienci: number;
+}
+
+// Zezwolenia, którym zostało mniej dni, podświetlamy jako „na granicy”
+const WARNING_DAYS = 14;
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleDateString('pl-PL') : '—');
+
+/** Wygasające zezwolenia klientów na alkohol: wygasłe i kończące się w ciągu N dni. */
+export const ExpiringLicencesModal: React.FC<ExpiringLicencesModalProps> = ({ isOpen, onClose }) => {
+  const [days, setDays] = useState('60');
+  const [rows, setRows] = useState<ExpiringLicence[]>([]);
+  const [summary, setSummary] = useState<ExpiringLicencesSummary | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadReport = async (dni: string) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/client-licences/expiring?dni=${encodeURIComponent(dni)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Błąd ładowania wygasających zezwoleń');
+      }
+      setRows(data.pozycje);
+      setSummary(data.podsumowanie);
+    } catch (error) {
+      console.error('Error loading expiring licences:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania wygasających zezwoleń');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) loadReport(days);
+  }, [isOpen]);
+
+  const rowClassName = (row: ExpiringLicence) => {
+    if (row.wygasle) return 'bg-red-50 text-red-700';
+    if (row.dni_do_konca <= WARNING_DAYS) return 'bg-amber-50 text-amber-800';
+    return 'text-gray-900';
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '900px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '80vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Wygasające zezwolenia na alkohol</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        <form
+          className="flex items-center gap-3 mb-4"
+          onSubmit={(e) => {
+            e.preventDefault();
+            loadReport(days);
+          }}
+        >
+          <label className="text-xs text-gray-700">Wygasa w ciągu</label>
+          <input
+            type="number"
+            min={0}
+            max={3650}
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <span className="text-xs text-gray-700">dni</span>
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            Pokaż
+          </button>
+          {summary && (
+            <span className="ml-auto text-xs text-gray-600">
+              Zezwolenia: {summary.zezwolenia}, wygasłe: {summary.wygasle}, klienci: {summary.klienci}
+            </span>
+          )}
+        </form>
+
+        {isLoading ? (
+          <p className="text-xs text-gray-500">Ładowanie...</p>
+        ) : rows.length === 0 ? (
+          <p className="text-xs text-gray-500">Brak wygasających zezwoleń</p>
+        ) : (
+          <div className="max-h-[55vh] overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-700">
+                  <th className="px-2 py-1 text-left font-bold">Klient</th>
+                  <th className="px-2 py-1 text-left font-bold">Numer</th>
+                  <th className="px-2 py-1 text-left font-bold">Rodzaj</th>
+                  <th className="px-2 py-1 text-left font-bold">Kategorie</th>
+                  <th className="px-2 py-1 text-left font-bold">Ważne do</th>
+                  <th className="px-2 py-1 text-right font-bold">Dni</th>
+                  <th className="px-2 py-1 text-left font-bold">Skan</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map((row) => (
+                  <tr key={row.id} className={rowClassName(row)}>
+                    <td className="px-2 py-1">
+                      {row.klient}
+                      {(row.email || row.telefon) && (
+                        <div className="text-[10px] text-gray-500">{[row.email, row.telefon].filter(Boolean).join(', ')}</div>
+                      )}
+                    </td>
+                    <td className="px-2 py-1">{row.numer}</td>
+                    <td className="px-2 py-1">{RODZAJE_ZEZWOLEN_LABELS[row.rodzaj] || row.rodzaj}</td>
+                    <td className="px-2 py-1">{row.kategorie.split(',').join(', ')}</td>
+                    <td className="px-2 py-1">{formatDate(row.data_do)}</td>
+                    <td className="px-2 py-1 text-right">
+                      {row.wygasle ? `wygasło ${-row.dni_do_konca} dni temu` : row.dni_do_konca}
+                    </td>
+                    <td className="px-2 py-1">
+                      {row.skan ? (
+                        <button
+                          type="button"
+                          onClick={() => window.open(`${API_URL}/uploads/${row.skan}`, '_blank', 'noopener,noreferrer')}
+                          className="text-blue-700 underline hover:text-blue-900 focus:outline-none"
+                          title={row.skan_nazwa || undefined}
+                        >
+                          Otwórz
+                        </button>
+                      ) : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
@@ -1,11 +1,17 @@
 import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
-import { Search, Edit, ShoppingCart, X, FileText } from 'lucide-react';
+import { Search, Edit, ShoppingCart, X, FileText, Scale, ClipboardList, CalendarClock, MapPin, ArrowLeftRight } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { Tooltip } from 'react-tooltip';
 import Modal from 'react-modal';
 import { EditInventoryModal } from './EditInventoryModal';
+import { StockReconcileModal } from './StockReconcileModal';
+import { StocktakeModal } from './StocktakeModal';
+import { ExpiringBatchesModal } from './ExpiringBatchesModal';
+import { LocationsModal } from './LocationsModal';
+import { StockTransferModal } from './StockTransferModal';
 import { SortIndicator } from './SortIndicator';
 import { compareInventoryItems, useTableSort } from '../utils/tableSort';
+import { StockLocation } from '../types/Location';
 
 // Глобальные стили для тултипов и таблицы
 const tooltipStyles = `
@@ -468,6 +474,14 @@ export const InventoryStatus: React.FC<InventoryStatusProps> = ({ refreshTrigger
   // После обновления страницы галочка всегда стоит (товары с 0 скрыты)
   const [hideZeroStock, setHideZeroStock] = useState<boolean>(true);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
+  const [isReconcileModalOpen, setIsReconcileModalOpen] = useState(false);
+  const [isStocktakeModalOpen, setIsStocktakeModalOpen] = useState(false);
+  const [isExpiringModalOpen, setIsExpiringModalOpen] = useState(false);
+  const [isLocationsModalOpen, setIsLocationsModalOpen] = useState(false);
+  const [isTransferModalOpen, setIsTransferModalOpen] = useState(false);
+  const [locations, setLocations] = useState<StockLocation[]>([]);
+  // Пусто — все lokalizacje (ilosc из working_sheets), иначе остаток партий lokalizacji
+  const [locationId, setLocationId] = useState('');
   const [selectedItemForEdit, setSelectedItemForEdit] = useState<InventoryItem | null>(null);
   const [priceHistory, setPriceHistory] = useState<{[key: string]: any[]}>({});
   const [samplesCount, setSamplesCount] = useState<{[key: string]: number}>({});
@@ -610,15 +624,25 @@ export const InventoryStatus: React.FC<InventoryStatusProps> = ({ refreshTrigger
     }
   };
 
+  const loadLocations = async () => {
+    try {
+      const response = await fetch('/api/locations');
+      if (response.ok) setLocations(await response.json());
+    } catch (error) {
+      console.error('Error loading locations:', error);
+    }
+  };
+
   const loadInventory = async () => {
     try {
       console.log('Starting loadInventory...');
       setIsLoading(true);
       setError(null);
+      const locationQuery = locationId ? `?location_id=${locationId}` : '';
       
       // Загружаем данные из working_sheets
       console.log('Fetching working-sheets...');
-      const inventoryResponse = await fetch('/api/working-sheets');
+      const inventoryResponse = await fetch(`/api/working-sheets${locationQuery}`);
       if (!inventoryResponse.ok) {
         throw new Error(`HTTP error! status: ${inventoryResponse.status}`);
       }
@@ -704,7 +728,7 @@ export const InventoryStatus: React.FC<InventoryStatusProps> = ({ refreshTrigger
       }
       
       // Загружаем стоимость товаров
-      const wartoscResponse = await fetch('/api/products/wartosc-towaru');
+      const wartoscResponse = await fetch(`/api/products/wartosc-towaru${locationQuery}`);
       if (wartoscResponse.ok) {
         const wartoscData = await wartoscResponse.json();
         const wartoscMap: {[key: string]: number} = {};
@@ -725,9 +749,13 @@ export const InventoryStatus: React.FC<InventoryStatusProps> = ({ refreshTrigger
   };
 
   useEffect(() => {
-    loadInventory();
+    loadLocations();
   }, []);
 
+  useEffect(() => {
+    loadInventory();
+  }, [locationId]);
+
   useEffect(() => {
     if (refreshTrigger) {
       loadInventory();
@@ -915,7 +943,7 @@ export const InventoryStatus: React.FC<InventoryStatusProps> = ({ refreshTrigger
   const handleGenerateReport = async () => {
     try {
       const useSelection = selectedItems.length > 0;
-      const response = await fetch('/api/inventory/report/pdf', useSelection
+      const response = await fetch(`/api/inventory/report/pdf${locationId ? `?location_id=${locationId}` : ''}`, useSelection
         ? {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
@@ -1068,6 +1096,18 @@ export const InventoryStatus: React.FC<InventoryStatusProps> = ({ refreshTrigger
           />
           Ukryj zerowe
         </label>
+        <select
+          value={locationId}
+          onChange={(e) => setLocationId(e.target.value)}
+          className="block px-2 py-1 border border-gray-300 rounded text-xs font-sora font-normal text-gray-900 focus:outline-none focus:ring-0 focus:border-gray-300 truncate"
+          style={{ fontFamily: 'Sora, sans-serif', width: '160px' }}
+          title="Stan w wybranej lokalizacji"
+        >
+          <option value="">Wszystkie lokalizacje</option>
+          {locations.map((location) => (
+            <option key={location.id} value={location.id}>{location.nazwa}</option>
+          ))}
+        </select>
         <button
           onClick={handleGenerateReport}
           className="text-blue-600 hover:text-blue-800 focus:outline-none"
@@ -1075,6 +1115,41 @@ export const InventoryStatus: React.FC<InventoryStatusProps> = ({ refreshTrigger
         >
           <FileText size={16} />
         </button>
+        <button
+          onClick={() => setIsReconcileModalOpen(true)}
+          className="text-blue-600 hover:text-blue-800 focus:outline-none"
+          title="Uzgodnienie stanów: working sheets, partie, wydania i dziennik ruchów"
+        >
+          <Scale size={16} />
+        </button>
+        <button
+          onClick={() => setIsStocktakeModalOpen(true)}
+          className="text-blue-600 hover:text-blue-800 focus:outline-none"
+          title="Inwentaryzacja — spis z natury i księgowanie różnic"
+        >
+          <ClipboardList size={16} />
+        </button>
+        <button
+          onClick={() => setIsExpiringModalOpen(true)}
+          className="text-blue-600 hover:text-blue-800 focus:outline-none"
+          title="Kończy się termin — partie z terminem ważności w ciągu N dni"
+        >
+          <CalendarClock size={16} />
+        </button>
+        <button
+          onClick={() => setIsTransferModalOpen(true)}
+          className="text-blue-600 hover:text-blue-800 focus:outline-none"
+          title="Przesunięcie między lokalizacjami"
+        >
+          <ArrowLeftRight size={16} />
+        </button>
+        <button
+          onClick={() => setIsLocationsModalOpen(true)}
+          className="text-blue-600 hover:text-blue-800 focus:outline-none"
+          title="Lokalizacje magazynowe"
+        >
+          <MapPin size={16} />
+        </button>
       </div>
 
       {/* Статистика и фильтры */}
@@ -1612,6 +1687,38 @@ export const InventoryStatus: React.FC<InventoryStatusProps> = ({ refreshTrigger
         onSave={handleSaveEdit}
       />
 
+      <StockReconcileModal
+        isOpen={isReconcileModalOpen}
+        onClose={() => setIsReconcileModalOpen(false)}
+        onRepaired={loadInventory}
+      />
+
+      <StocktakeModal
+        isOpen={isStocktakeModalOpen}
+        onClose={() => setIsStocktakeModalOpen(false)}
+        onPosted={loadInventory}
+      />
+
+      <ExpiringBatchesModal
+        isOpen={isExpiringModalOpen}
+        onClose={() => setIsExpiringModalOpen(false)}
+      />
+
+      <StockTransferModal
+        isOpen={isTransferModalOpen}
+        onClose={() => setIsTransferModalOpen(false)}
+        onTransferred={() => {
+          loadLocations();
+          loadInventory();
+        }}
+      />
+
+      <LocationsModal
+        isOpen={isLocationsModalOpen}
+        onClose={() => setIsLocationsModalOpen(false)}
+        onChanged={loadLocations}
+      />
+
       {/* Модальное окно со списком заказов товара */}
       {(() => {
         // Вычисляем количество заказов для выбранного товара
@@ -1,8 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { X } from 'lucide-react';
 import Modal from 'react-modal';
+import toast from 'react-hot-toast';
 import { SortableTh } from './SortIndicator';
+import { PaymentStatus, PaymentStatusBadge } from './PaymentStatusBadge';
+import { PlMoneyInput } from './PlMoneyInput';
+import { AuditHistoryPanel } from './AuditHistoryPanel';
 import { getInvoiceProductSortValue, useTableSort } from '../utils/tableSort';
+import { formatPlMoney, parsePlNumber } from '../utils/receiptCurrency';
 
 interface InvoiceProduct {
   id: number;
@@ -26,11 +31,60 @@ interface Client {
   kontakt: string;
 }
 
+interface CorrectionChainItem {
+  id: number;
+  numer_faktury: string;
+  data_faktury: string;
+  przyczyna_korekty: string | null;
+  suma_brutto: number;
+}
+
+interface CorrectionLine {
+  id: number;
+  kod: string;
+  nazwa: string;
+  ilosc_przed: number;
+  cena_netto_przed: number;
+  wartosc_brutto_przed: number;
+  ilosc_po: number;
+  cena_netto_po: number;
+  wartosc_brutto_po: number;
+  wartosc_brutto_roznica: number;
+}
+
+interface InvoicePayment {
+  id: number;
+  kwota: number;
+  data_platnosci: string;
+  metoda: string;
+  uwagi: string | null;
+}
+
+interface InvoicePaymentSummary {
+  invoice_id: number;
+  status_platnosci: PaymentStatus | null;
+  naleznosc: number;
+  zaplacono: number;
+  pozostalo: number;
+  payments: InvoicePayment[];
+}
+
+const PAYMENT_METHODS = ['przelew', 'gotówka', 'karta', 'kompensata'];
+
+interface KsefSubmission {
+  id: number;
+  status: 'do_wysłania' | 'wysłana' | 'przyjęta' | 'odrzucona';
+  numer_referencyjny: string | null;
+  numer_ksef: string | null;
+  blad: string | null;
+}
+
 interface Invoice {
   id: number;
   numer_faktury: string;
   data_faktury: string;
   termin_platnosci: string | null;
+  forma_platnosci?: string | null;
   klient_nazwa: string;
   suma_netto: number;
   suma_vat?: number;
@@ -38,23 +92,38 @@ interface Invoice {
   rabat_suma: number;
   data_utworzenia?: string;
   products?: InvoiceProduct[];
+  typ_dokumentu?: 'faktura' | 'korekta';
+  przyczyna_korekty?: string | null;
+  korygowana_faktura?: { id: number; numer_faktury: string; data_faktury: string } | null;
+  korekty?: CorrectionChainItem[];
+  correction_lines?: CorrectionLine[];
 }
 
 interface InvoiceDetailsModalProps {
   isOpen: boolean;
   onClose: () => void;
   invoice: Invoice | null;
+  onPaymentsChanged?: () => void;
 }
 
-export const InvoiceDetailsModal: React.FC<InvoiceDetailsModalProps> = ({ isOpen, onClose, invoice }) => {
+export const InvoiceDetailsModal: React.FC<InvoiceDetailsModalProps> = ({ isOpen, onClose, invoice, onPaymentsChanged }) => {
   const [invoiceWithProducts, setInvoiceWithProducts] = useState<Invoice | null>(null);
   const [client, setClient] = useState<Client | null>(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [paymentSummary, setPaymentSummary] = useState<InvoicePaymentSummary | null>(null);
+  const [paymentKwota, setPaymentKwota] = useState('');
+  const [paymentData, setPaymentData] = useState(() => new Date().toLocaleDateString('en-CA'));
+  const [paymentMetoda, setPaymentMetoda] = useState('przelew');
+  const [paymentUwagi, setPaymentUwagi] = useState('');
+  const [isSavingPayment, setIsSavingPayment] = useState(false);
+  const [ksefSubmission, setKsefSubmission] = useState<KsefSubmission | null>(null);
 
   useEffect(() => {
     if (isOpen && invoice) {
       loadInvoiceWithProducts();
       loadClientData();
+      loadPayments();
+      loadKsefStatus();
     }
   }, [isOpen, invoice]);
 
@@ -99,6 +168,137 @@ export const InvoiceDetailsModal: React.FC<InvoiceDetailsModalProps> = ({ isOpen
     }
   };
 
+  const applyPaymentSummary = (summary: InvoicePaymentSummary) => {
+    setPaymentSummary(summary);
+    setPaymentKwota(summary.pozostalo > 0 ? formatPlMoney(summary.pozostalo) : '');
+  };
+
+  const loadPayments = async () => {
+    if (!invoice) return;
+
+    try {
+      const response = await fetch(`/api/invoices/${invoice.id}/payments`);
+      if (!response.ok) {
+        throw new Error('Failed to load invoice payments');
+      }
+      applyPaymentSummary(await response.json());
+    } catch (error) {
+      console.error('Error loading invoice payments:', error);
+    }
+  };
+
+  const handleAddPayment = async () => {
+    if (!invoice) return;
+    const kwota = parsePlNumber(paymentKwota);
+    if (!kwota) {
+      toast.error('Podaj kwotę płatności');
+      return;
+    }
+
+    setIsSavingPayment(true);
+    try {
+      const response = await fetch(`/api/invoices/${invoice.id}/payments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          kwota,
+          data_platnosci: paymentData,
+          metoda: paymentMetoda,
+          uwagi: paymentUwagi.trim() || null,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      applyPaymentSummary(data);
+      setPaymentUwagi('');
+      toast.success('Płatność została zapisana');
+      onPaymentsChanged?.();
+    } catch (error) {
+      console.error('Error adding invoice payment:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd podczas zapisywania płatności');
+    } finally {
+      setIsSavingPayment(false);
+    }
+  };
+
+  const handleDeletePayment = async (paymentId: number) => {
+    try {
+      const response = await fetch(`/api/invoice-payments/${paymentId}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      applyPaymentSummary(data);
+      onPaymentsChanged?.();
+    } catch (error) {
+      console.error('Error deleting invoice payment:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd podczas usuwania płatności');
+    }
+  };
+
+  const loadKsefStatus = async () => {
+    if (!invoice) return;
+
+    try {
+      const response = await fetch(`/api/invoices/${invoice.id}/ksef`);
+      if (!response.ok) {
+        throw new Error('Failed to load KSeF status');
+      }
+      const submissions: KsefSubmission[] = await response.json();
+      setKsefSubmission(submissions[0] || null);
+    } catch (error) {
+      console.error('Error loading KSeF status:', error);
+    }
+  };
+
+  const readKsefError = (data: { error?: string; errors?: string[] }, status: number) =>
+    Array.isArray(data.errors) && data.errors.length > 0
+      ? `${data.error}: ${data.errors.join('; ')}`
+      : data.error || `HTTP error! status: ${status}`;
+
+  const handleSendToKsef = async () => {
+    if (!invoice) return;
+
+    try {
+      const response = await fetch(`/api/invoices/${invoice.id}/ksef`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(readKsefError(data, response.status));
+      }
+      toast.success('Faktura dodana do kolejki KSeF');
+      loadKsefStatus();
+    } catch (error) {
+      console.error('Error queueing invoice for KSeF:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd podczas wysyłki do KSeF');
+    }
+  };
+
+  const downloadKsefXml = async () => {
+    if (!invoice) return;
+
+    try {
+      const response = await fetch(`/api/invoices/${invoice.id}/ksef/xml`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(readKsefError(data, response.status));
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${invoice.numer_faktury.replace(/\//g, '_')}_FA2.xml`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error('Error generating KSeF XML:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd podczas generowania XML');
+    }
+  };
+
   const formatDate = (dateString: string) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('pl-PL', {
@@ -126,6 +326,8 @@ export const InvoiceDetailsModal: React.FC<InvoiceDetailsModalProps> = ({ isOpen
   const handleClose = () => {
     setInvoiceWithProducts(null);
     setClient(null);
+    setPaymentSummary(null);
+    setKsefSubmission(null);
     onClose();
   };
 
@@ -133,6 +335,31 @@ export const InvoiceDetailsModal: React.FC<InvoiceDetailsModalProps> = ({ isOpen
 
   const displayInvoice = invoiceWithProducts || invoice;
 
+  const generatePDF = async () => {
+    if (!invoice) return;
+
+    try {
+      const response = await fetch(`/api/invoices/${invoice.id}/pdf`);
+      if (!response.ok) {
+        throw new Error('Failed to generate PDF');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      // Название файла: номер фактуры без слешей (FS/1/01/2025 → FS_1_01_2025.pdf)
+      a.download = `${displayInvoice.numer_faktury.replace(/\//g, '_')}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error('Error generating invoice PDF:', error);
+      alert('Błąd podczas generowania PDF');
+    }
+  };
+
   return (
     <Modal
       isOpen={isOpen}
@@ -167,7 +394,7 @@ export const InvoiceDetailsModal: React.FC<InvoiceDetailsModalProps> = ({ isOpen
       <div className="font-sora h-full flex flex-col overflow-hidden">
         <div className="flex justify-between items-center mb-8 select-none">
           <h2 className="text-base font-semibold text-gray-800">
-            Szczegóły faktury
+            {displayInvoice.typ_dokumentu === 'korekta' ? 'Szczegóły faktury korygującej' : 'Szczegóły faktury'}
           </h2>
           <button
             onClick={handleClose}
@@ -201,15 +428,87 @@ export const InvoiceDetailsModal: React.FC<InvoiceDetailsModalProps> = ({ isOpen
                       <p className="text-gray-900">{formatDateOnly(displayInvoice.termin_platnosci)}</p>
                     </div>
                   )}
+                  <div>
+                    <p className="font-medium text-gray-700">Forma płatności:</p>
+                    <p className="text-gray-900">{displayInvoice.forma_platnosci || 'przelew'}</p>
+                  </div>
                   {displayInvoice.data_utworzenia && (
                     <div>
                       <p className="font-medium text-gray-700">Data utworzenia:</p>
                       <p className="text-gray-900">{formatDate(displayInvoice.data_utworzenia)}</p>
                     </div>
                   )}
+                  <div>
+                    <p className="font-medium text-gray-700">KSeF:</p>
+                    <p className="text-gray-900">
+                      {ksefSubmission ? ksefSubmission.status : 'nie wysłano'}
+                      {ksefSubmission?.numer_ksef && ` · ${ksefSubmission.numer_ksef}`}
+                    </p>
+                    {ksefSubmission?.blad && (
+                      <p className="text-red-600">{ksefSubmission.blad}</p>
+                    )}
+                  </div>
                 </div>
               </div>
 
+              {/* Correction chain */}
+              {(displayInvoice.korygowana_faktura || (displayInvoice.korekty && displayInvoice.korekty.length > 0)) && (
+                <div className="bg-orange-50 p-3 rounded-md text-xs space-y-1">
+                  {displayInvoice.korygowana_faktura && (
+                    <p className="text-gray-900">
+                      <span className="font-medium">Korygowana faktura:</span>{' '}
+                      {displayInvoice.korygowana_faktura.numer_faktury} z dnia {formatDateOnly(displayInvoice.korygowana_faktura.data_faktury)}
+                    </p>
+                  )}
+                  {displayInvoice.przyczyna_korekty && (
+                    <p className="text-gray-900">
+                      <span className="font-medium">Przyczyna korekty:</span> {displayInvoice.przyczyna_korekty}
+                    </p>
+                  )}
+                  {displayInvoice.korekty && displayInvoice.korekty.length > 0 && (
+                    <div>
+                      <p className="font-medium text-gray-900">Łańcuch korekt:</p>
+                      {displayInvoice.korekty.map((k) => (
+                        <p key={k.id} className={k.id === displayInvoice.id ? 'font-semibold text-gray-900' : 'text-gray-700'}>
+                          {k.numer_faktury} ({formatDateOnly(k.data_faktury)}): {formatCurrency(k.suma_brutto)}
+                          {k.przyczyna_korekty ? ` — ${k.przyczyna_korekty}` : ''}
+                        </p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Before / after lines of a correction */}
+              {displayInvoice.correction_lines && displayInvoice.correction_lines.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-xs">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Nazwa</th>
+                        <th className="px-4 py-2 text-center font-medium text-gray-500 uppercase">Ilość przed</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-500 uppercase">Cena przed</th>
+                        <th className="px-4 py-2 text-center font-medium text-gray-500 uppercase">Ilość po</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-500 uppercase">Cena po</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-500 uppercase">Różnica brutto</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {displayInvoice.correction_lines.map((line) => (
+                        <tr key={line.id}>
+                          <td className="px-4 py-2 text-gray-900">{line.nazwa}</td>
+                          <td className="px-4 py-2 text-center text-gray-900">{line.ilosc_przed}</td>
+                          <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(line.cena_netto_przed)}</td>
+                          <td className="px-4 py-2 text-center text-gray-900">{line.ilosc_po}</td>
+                          <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(line.cena_netto_po)}</td>
+                          <td className="px-4 py-2 text-right font-medium text-gray-900">{formatCurrency(line.wartosc_brutto_roznica)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
               {/* Client Info */}
               {client && (
                 <div className="bg-green-50 p-3 rounded-md">
@@ -354,10 +653,129 @@ export const InvoiceDetailsModal: React.FC<InvoiceDetailsModalProps> = ({ isOpen
                   </p>
                 )}
               </div>
+
+              {/* Payments (a correction shows the payments of the corrected invoice) */}
+              {paymentSummary && (
+                <div>
+                  <div className="flex items-center gap-3 mb-3">
+                    <h3 className="text-sm font-semibold text-gray-800">
+                      Płatności
+                      {paymentSummary.invoice_id !== displayInvoice.id && displayInvoice.korygowana_faktura
+                        ? ` (faktura ${displayInvoice.korygowana_faktura.numer_faktury})`
+                        : ''}
+                    </h3>
+                    <PaymentStatusBadge status={paymentSummary.status_platnosci} />
+                    <span className="text-xs text-gray-600">
+                      Należność: {formatCurrency(paymentSummary.naleznosc)} · Zapłacono: {formatCurrency(paymentSummary.zaplacono)} · Pozostało:{' '}
+                      <span className="font-semibold text-gray-900">{formatCurrency(paymentSummary.pozostalo)}</span>
+                    </span>
+                  </div>
+                  {paymentSummary.payments.length > 0 && (
+                    <table className="w-full divide-y divide-gray-200 text-xs mb-3">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Data</th>
+                          <th className="px-4 py-2 text-right font-medium text-gray-500 uppercase">Kwota</th>
+                          <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Metoda</th>
+                          <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Uwagi</th>
+                          <th className="px-4 py-2 w-8"></th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {paymentSummary.payments.map((payment) => (
+                          <tr key={payment.id}>
+                            <td className="px-4 py-2 text-gray-900">{formatDateOnly(payment.data_platnosci)}</td>
+                            <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(payment.kwota)}</td>
+                            <td className="px-4 py-2 text-gray-900">{payment.metoda}</td>
+                            <td className="px-4 py-2 text-gray-600">{payment.uwagi || ''}</td>
+                            <td className="px-4 py-2 text-right">
+                              <button
+                                type="button"
+                                onClick={() => handleDeletePayment(payment.id)}
+                                className="text-red-600 hover:text-red-800 focus:outline-none"
+                                title="Usuń płatność"
+                              >
+                                <X size={14} />
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  <div className="flex items-center gap-2">
+                    <PlMoneyInput
+                      value={paymentKwota}
+                      onChange={setPaymentKwota}
+                      placeholder="0,00"
+                      className="w-[96px] px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                    />
+                    <input
+                      type="date"
+                      value={paymentData}
+                      onChange={(e) => setPaymentData(e.target.value)}
+                      className="px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                    />
+                    <select
+                      value={paymentMetoda}
+                      onChange={(e) => setPaymentMetoda(e.target.value)}
+                      className="px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                    >
+                      {PAYMENT_METHODS.map((m) => (
+                        <option key={m} value={m}>{m}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      value={paymentUwagi}
+                      onChange={(e) => setPaymentUwagi(e.target.value)}
+                      placeholder="Uwagi"
+                      className="flex-grow px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleAddPayment}
+                      disabled={isSavingPayment}
+                      className="px-4 py-1.5 bg-green-600 text-white text-xs rounded-md hover:bg-green-700 focus:outline-none transition-colors font-sora disabled:bg-gray-400 disabled:cursor-not-allowed"
+                    >
+                      Dodaj płatność
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <AuditHistoryPanel entityType="invoice" entityId={invoice?.id} />
             </>
           )}
         </div>
 
+        {/* PDF button in bottom left corner */}
+        <div className="absolute bottom-4 left-4">
+          <button
+            onClick={generatePDF}
+            disabled={isLoading}
+            className="px-4 py-2 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors font-sora disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            Generuj PDF
+          </button>
+          <button
+            onClick={downloadKsefXml}
+            disabled={isLoading}
+            className="ml-2 px-4 py-2 bg-gray-200 text-gray-800 text-xs rounded-md hover:bg-gray-300 focus:outline-none transition-colors font-sora disabled:bg-gray-100 disabled:cursor-not-allowed"
+          >
+            XML KSeF
+          </button>
+          {(!ksefSubmission || ksefSubmission.status === 'odrzucona') && (
+            <button
+              onClick={handleSendToKsef}
+              disabled={isLoading}
+              className="ml-2 px-4 py-2 bg-gray-200 text-gray-800 text-xs rounded-md hover:bg-gray-300 focus:outline-none transition-colors font-sora disabled:bg-gray-100 disabled:cursor-not-allowed"
+            >
+              Wyślij do KSeF
+            </button>
+          )}
+        </div>
+
         {/* Summary fixed in bottom right corner */}
         <div className="absolute bottom-4 right-12">
           <div className="space-y-1">
@@ -7,6 +7,8 @@ import { pl } from 'date-fns/locale';
 import "react-datepicker/dist/react-datepicker.css";
 import "../components/DatePicker.css";
 import toast from 'react-hot-toast';
+import { ClientDeliveryAddress } from '../types/Client';
+import { confirmLicenceViolations, isLicenceCheckResponse, licenceViolationsText } from '../utils/alcoholLicences';
 
 registerLocale('pl', pl);
 
@@ -56,8 +58,16 @@ interface SearchClient {
   id: number;
   firma: string;
   nazwa: string;
+  termin_platnosci_dni?: number | null;
+  rabat_domyslny?: number | null;
+  adresy_dostawy?: ClientDeliveryAddress[];
 }
 
+const PAYMENT_METHODS = ['przelew', 'gotówka', 'karta', 'kompensata'];
+
+const formatRabat = (value: number | null | undefined): string =>
+  value ? String(value).replace('.', ',') : '';
+
 interface InvoiceModalProps {
   isOpen: boolean;
   onClose: () => void;
@@ -92,6 +102,7 @@ const VAT_RATES = [
 export const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, onSuccess, orderData, prefilledKlient, prefilledProducts }) => {
   const [selectedDate, setSelectedDate] = useState<Date | null>(null);
   const [terminPlatnosci, setTerminPlatnosci] = useState<Date | null>(null);
+  const [formaPlatnosci, setFormaPlatnosci] = useState<string>('przelew');
   const [numerFaktury, setNumerFaktury] = useState<string>('');
   const [klient, setKlient] = useState<string>('');
   const [productRows, setProductRows] = useState<ProductRow[]>([
@@ -107,6 +118,8 @@ export const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, onS
   const [clientSearchQuery, setClientSearchQuery] = useState<string>('');
   const [isClientSearchActive, setIsClientSearchActive] = useState(false);
   const [isClientSearchLoading, setIsClientSearchLoading] = useState(false);
+  const [selectedClient, setSelectedClient] = useState<SearchClient | null>(null);
+  const [adresDostawy, setAdresDostawy] = useState<string>('');
 
   // Функция для загрузки цен из working_sheets
   const loadPricesFromWorkingSheets = async () => {
@@ -227,16 +240,51 @@ export const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, onS
     } else {
       setSelectedDate(null);
       setTerminPlatnosci(null);
+      setFormaPlatnosci('przelew');
       setNumerFaktury('');
       setKlient('');
       setClientSearchQuery('');
       setSearchClients([]);
       setIsClientSearchActive(false);
+      setSelectedClient(null);
+      setAdresDostawy('');
       setProductRows([{ kod: '', nazwa: '', ilosc: '', cena_netto: '', rabat: '', vat: 23 }]);
       setInitialProductCount(0);
     }
   }, [isOpen, orderData, prefilledKlient, prefilledProducts]);
 
+  // Klient z zamówienia / komis — pobieramy jego domyślne warunki (termin, rabat, adres dostawy)
+  useEffect(() => {
+    const name = orderData?.klient || prefilledKlient;
+    if (!isOpen || !name) return;
+
+    let cancelled = false;
+    fetch(`/api/clients/search?q=${encodeURIComponent(name)}`)
+      .then(res => {
+        if (!res.ok) throw new Error('Failed to fetch clients');
+        return res.json();
+      })
+      .then((data: SearchClient[]) => {
+        const match = data.find(c => c.nazwa.trim().toLowerCase() === name.trim().toLowerCase());
+        if (!cancelled && match) applyClientDefaults(match);
+      })
+      .catch(err => {
+        console.error('❌ Error loading client defaults:', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, orderData, prefilledKlient]);
+
+  // Termin płatności = data faktury + domyślny termin klienta
+  useEffect(() => {
+    const dni = selectedClient?.termin_platnosci_dni;
+    if (!selectedDate || dni == null) return;
+    const termin = new Date(selectedDate);
+    termin.setDate(termin.getDate() + dni);
+    setTerminPlatnosci(termin);
+  }, [selectedDate, selectedClient]);
+
   // Запрос номера фактуры с учётом выбранной даты (месяц/год берётся из data_faktury)
   // Пересчитывается при смене selectedDate
   useEffect(() => {
@@ -363,7 +411,10 @@ export const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, onS
         setSearchClients(data.map((item: any) => ({
           id: item.id,
           firma: item.firma,
-          nazwa: item.nazwa
+          nazwa: item.nazwa,
+          termin_platnosci_dni: item.termin_platnosci_dni,
+          rabat_domyslny: item.rabat_domyslny,
+          adresy_dostawy: item.adresy_dostawy
         })));
       } catch (error) {
         console.error('Error searching clients:', error);
@@ -377,15 +428,30 @@ export const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, onS
     return () => clearTimeout(timeoutId);
   }, [isClientSearchActive, clientSearchQuery]);
 
+  // Domyślny rabat trafia tylko do pozycji bez wpisanego rabatu
+  const applyClientDefaults = (client: SearchClient) => {
+    setSelectedClient(client);
+    const addresses = client.adresy_dostawy || [];
+    setAdresDostawy((addresses.find(a => a.domyslny) || addresses[0])?.adres || '');
+    const rabat = formatRabat(client.rabat_domyslny);
+    if (rabat) {
+      setProductRows(rows => rows.map(row => (row.rabat ? row : { ...row, rabat })));
+    }
+  };
+
   const handleClientSelect = (client: SearchClient) => {
     setKlient(client.nazwa);
     setClientSearchQuery(client.nazwa);
     setIsClientSearchActive(false);
     setSearchClients([]);
+    applyClientDefaults(client);
   };
 
   const addNewRow = () => {
-    setProductRows([...productRows, { kod: '', nazwa: '', ilosc: '', cena_netto: '', rabat: '', vat: 23, searchQuery: '' }]);
+    setProductRows([
+      ...productRows,
+      { kod: '', nazwa: '', ilosc: '', cena_netto: '', rabat: formatRabat(selectedClient?.rabat_domyslny), vat: 23, searchQuery: '' }
+    ]);
   };
 
   const deleteRow = (index: number) => {
@@ -537,6 +603,8 @@ export const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, onS
         order_id: orderData?.id ?? undefined,
         numer_zamowienia: orderData?.numer_zamowienia ?? undefined,
         termin_platnosci: terminPlatnosci ? terminPlatnosci.toLocaleDateString('en-CA') : undefined,
+        forma_platnosci: formaPlatnosci,
+        adres_dostawy: adresDostawy || undefined,
         products: formattedProducts,
         przesuniecie_products: przesuniecieProducts.length > 0 ? przesuniecieProducts : undefined,
         komis_deductions: komisDeductions && komisDeductions.length > 0 ? komisDeductions : undefined,
@@ -546,14 +614,24 @@ export const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, onS
         rabat_suma: parseFloat(calculateTotalRabat())
       };
 
-      const response = await fetch('/api/invoices', {
+      const postInvoice = (body: object) => fetch('/api/invoices', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(invoiceData)
+        body: JSON.stringify(body)
       });
 
+      let response = await postInvoice(invoiceData);
+      let data = await response.json().catch(() => ({}));
+      if (isLicenceCheckResponse(response.status, data)) {
+        if (!confirmLicenceViolations(data)) {
+          toast.error(licenceViolationsText(data), { duration: 8000 });
+          return;
+        }
+        response = await postInvoice({ ...invoiceData, zezwolenie_potwierdzone: true });
+        data = await response.json().catch(() => ({}));
+      }
+
       if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
         throw new Error(data.error || `HTTP ${response.status}`);
       }
 
@@ -571,12 +649,15 @@ export const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, onS
   const handleClose = () => {
     setSelectedDate(null);
     setTerminPlatnosci(null);
+    setFormaPlatnosci('przelew');
     setNumerFaktury('');
     setKlient('');
     setClientSearchQuery('');
     setSearchClients([]);
     setIsClientSearchActive(false);
     setIsClientSearchLoading(false);
+    setSelectedClient(null);
+    setAdresDostawy('');
     setProductRows([{ kod: '', nazwa: '', ilosc: '', cena_netto: '', rabat: '', vat: 23 }]);
     setInitialProductCount(0);
     setIsSubmitting(false);
@@ -682,6 +763,8 @@ export const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, onS
                         onChange={(e) => {
                           setClientSearchQuery(e.target.value);
                           setKlient('');
+                          setSelectedClient(null);
+                          setAdresDostawy('');
                           setIsClientSearchActive(true);
                         }}
                         onFocus={() => setIsClientSearchActive(true)}
@@ -727,6 +810,38 @@ export const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, onS
                   popperClassName="z-50"
                 />
               </div>
+              <div className="w-[110px]">
+                <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
+                  Forma płatności
+                </label>
+                <select
+                  value={formaPlatnosci}
+                  onChange={(e) => setFormaPlatnosci(e.target.value)}
+                  className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                >
+                  {PAYMENT_METHODS.map((m) => (
+                    <option key={m} value={m}>{m}</option>
+                  ))}
+                </select>
+              </div>
+              {selectedClient?.adresy_dostawy && selectedClient.adresy_dostawy.length > 0 && (
+                <div className="w-[220px]">
+                  <label className="block text-xs font-medium text-gray-700 mb-2 font-sora">
+                    Adres dostawy
+                  </label>
+                  <select
+                    value={adresDostawy}
+                    onChange={(e) => setAdresDostawy(e.target.value)}
+                    className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+                  >
+                    {selectedClient.adresy_dostawy.map((a) => (
+                      <option key={a.id ?? a.adres} value={a.adres}>
+                        {a.nazwa ? `${a.nazwa}: ${a.adres}` : a.adres}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </div>
           </div>
 
@@ -1,10 +1,11 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { Eye, Edit, X } from 'lucide-react';
 import Modal from 'react-modal';
-import toast from 'react-hot-toast';
 import { InvoiceDetailsModal } from './InvoiceDetailsModal';
 import { EditInvoiceModal } from './EditInvoiceModal';
 import { SortIndicator } from './SortIndicator';
+import { PaymentStatus, PaymentStatusBadge } from './PaymentStatusBadge';
+import { ReceivablesAgingTable } from './ReceivablesAgingTable';
 import { compareInvoices, useTableSort } from '../utils/tableSort';
 
 interface Invoice {
@@ -17,11 +18,17 @@ interface Invoice {
   suma_brutto: number;
   rabat_suma: number;
   suma_vat?: number;
+  typ_dokumentu?: 'faktura' | 'korekta';
+  korygowana_faktura_id?: number | null;
+  korygowana_faktura_numer?: string | null;
+  liczba_korekt?: number;
+  status_platnosci?: PaymentStatus | null;
+  zaplacono?: number | null;
+  pozostalo?: number | null;
 }
 
 interface InvoicesListProps {
   refreshTrigger?: number;
-  onInvoiceDeleted?: () => void;
 }
 
 const formatDate = (dateStr: string) => {
@@ -59,6 +66,8 @@ const MONTHS = [
   { value: '12', label: 'Grudzień' }
 ];
 
+const PAYMENT_STATUSES: PaymentStatus[] = ['nieopłacona', 'częściowo', 'opłacona', 'po terminie'];
+
 const WineBottleIcon = ({ size = 16 }: { size?: number }) => (
   <svg
     xmlns="http://www.w3.org/2000/svg"
@@ -79,7 +88,7 @@ const WineBottleIcon = ({ size = 16 }: { size?: number }) => (
   </svg>
 );
 
-export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onInvoiceDeleted }) => {
+export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger }) => {
   const [invoices, setInvoices] = useState<Invoice[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -88,12 +97,11 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
   const [invoiceToEdit, setInvoiceToEdit] = useState<Invoice | null>(null);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [isEditFromKomis, setIsEditFromKomis] = useState(false);
-  const [invoiceToDelete, setInvoiceToDelete] = useState<Invoice | null>(null);
-  const [isPasswordModalOpen, setIsPasswordModalOpen] = useState(false);
-  const [password, setPassword] = useState('');
   const [selectedYear, setSelectedYear] = useState<string>('');
   const [selectedMonth, setSelectedMonth] = useState<string>('');
   const [selectedClient, setSelectedClient] = useState<string>('');
+  const [selectedStatus, setSelectedStatus] = useState<string>('');
+  const [isAgingModalOpen, setIsAgingModalOpen] = useState(false);
 
   const loadInvoices = async () => {
     try {
@@ -121,42 +129,6 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
     }
   }, [refreshTrigger]);
 
-  const handleDeleteClick = (invoice: Invoice) => {
-    setInvoiceToDelete(invoice);
-    setIsPasswordModalOpen(true);
-    setPassword('');
-  };
-
-  const handlePasswordSubmit = async () => {
-    if (password === '5202') {
-      if (invoiceToDelete?.id) {
-        try {
-          const response = await fetch(`/api/invoices/${invoiceToDelete.id}`, { method: 'DELETE' });
-          if (!response.ok) {
-            const data = await response.json().catch(() => ({}));
-            throw new Error(data.error || `HTTP error! status: ${response.status}`);
-          }
-          toast.success(`Faktura ${invoiceToDelete.numer_faktury} została usunięta`);
-          loadInvoices();
-          onInvoiceDeleted?.();
-        } catch (err) {
-          console.error('Error deleting invoice:', err);
-          toast.error(err instanceof Error ? err.message : 'Błąd podczas usuwania faktury');
-        }
-      }
-      handlePasswordClose();
-    } else {
-      toast.error('Nieprawidłowe hasło');
-      setPassword('');
-    }
-  };
-
-  const handlePasswordClose = () => {
-    setIsPasswordModalOpen(false);
-    setInvoiceToDelete(null);
-    setPassword('');
-  };
-
   const matchesFiltersExcept = (
     invoice: Invoice,
     except: 'client' | 'year' | 'month'
@@ -232,6 +204,7 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
     if (selectedYear && getInvoiceYear(invoice.data_faktury) !== selectedYear) return false;
     if (selectedMonth && getInvoiceMonth(invoice.data_faktury) !== selectedMonth) return false;
     if (selectedClient && invoice.klient_nazwa !== selectedClient) return false;
+    if (selectedStatus && invoice.status_platnosci !== selectedStatus) return false;
     return true;
   });
 
@@ -243,6 +216,10 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
     (sum, inv) => sum + (typeof inv.suma_brutto === 'number' ? inv.suma_brutto : 0),
     0
   );
+  const totalPoTerminie = filteredInvoices.reduce(
+    (sum, inv) => sum + (inv.status_platnosci === 'po terminie' ? inv.pozostalo || 0 : 0),
+    0
+  );
 
   const { sortField, sortDirection, handleSort, sortedItems: sortedInvoices } = useTableSort(
     filteredInvoices,
@@ -310,14 +287,27 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
                   <option key={month.value} value={month.value} style={{ fontFamily: 'Sora, sans-serif' }}>{month.label}</option>
                 ))}
               </select>
+
+              <select
+                value={selectedStatus}
+                onChange={(e) => setSelectedStatus(e.target.value)}
+                className="block w-auto px-2 py-1 border border-gray-300 rounded text-xs font-sora font-normal text-gray-900 focus:outline-none focus:ring-0 focus:border-gray-300"
+                style={{ fontFamily: 'Sora, sans-serif', direction: 'ltr', minWidth: '145px' }}
+              >
+                <option value="" style={{ fontFamily: 'Sora, sans-serif' }}>Status płatności</option>
+                {PAYMENT_STATUSES.map(status => (
+                  <option key={status} value={status} style={{ fontFamily: 'Sora, sans-serif' }}>{status}</option>
+                ))}
+              </select>
             </div>
 
-            {(selectedClient || selectedYear || selectedMonth) && (
+            {(selectedClient || selectedYear || selectedMonth || selectedStatus) && (
               <button
                 onClick={() => {
                   setSelectedClient('');
                   setSelectedYear('');
                   setSelectedMonth('');
+                  setSelectedStatus('');
                 }}
                 className="px-3 py-1.5 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-xs font-sora transition-colors"
               >
@@ -336,6 +326,15 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
             Sprzedaż brutto:{' '}
             <span className="font-bold">{formatAmount(totalSprzedazBrutto)}</span>
           </span>
+          <button
+            type="button"
+            onClick={() => setIsAgingModalOpen(true)}
+            className="text-sm text-gray-600 font-sora pl-16 hover:text-gray-900 focus:outline-none"
+            title="Wiekowanie należności"
+          >
+            Po terminie:{' '}
+            <span className={`font-bold ${totalPoTerminie > 0 ? 'text-red-600' : ''}`}>{formatAmount(totalPoTerminie)}</span>
+          </button>
         </div>
       </div>
 
@@ -397,6 +396,9 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
                   <SortIndicator field="suma_brutto" sortField={sortField} sortDirection={sortDirection} />
                 </div>
               </th>
+              <th className="px-8 py-4 text-left text-xs font-bold text-gray-700 uppercase tracking-wider border-b border-gray-200 font-sora bg-gray-50">
+                Płatność
+              </th>
               <th className="px-8 py-4 text-left text-xs font-bold text-gray-700 uppercase tracking-wider border-b border-gray-200 font-sora bg-gray-50">
               </th>
             </tr>
@@ -404,7 +406,7 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
           <tbody className="bg-white divide-y divide-gray-200">
             {sortedInvoices.length === 0 ? (
               <tr>
-                <td colSpan={7} className="px-4 py-8 text-center text-sm text-gray-500 font-sora">
+                <td colSpan={8} className="px-4 py-8 text-center text-sm text-gray-500 font-sora">
                   Brak faktur
                 </td>
               </tr>
@@ -413,6 +415,15 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
                 <tr key={inv.id} className="hover:bg-gray-50">
                   <td className="px-8 py-3 whitespace-nowrap text-sm text-gray-900 font-sora">
                     {inv.numer_faktury}
+                    {inv.typ_dokumentu === 'korekta' ? (
+                      <div className="text-[10px] text-orange-600">
+                        korekta do {inv.korygowana_faktura_numer || '—'}
+                      </div>
+                    ) : (inv.liczba_korekt || 0) > 0 && (
+                      <div className="text-[10px] text-orange-600">
+                        korekty: {inv.liczba_korekt}
+                      </div>
+                    )}
                   </td>
                   <td className="px-8 py-3 whitespace-nowrap text-sm text-gray-600 font-sora">
                     {formatDate(inv.data_faktury)}
@@ -433,6 +444,14 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
                       ? formatAmount(inv.suma_brutto)
                       : '—'}
                   </td>
+                  <td className="px-8 py-3 whitespace-nowrap text-sm text-gray-600 font-sora">
+                    <PaymentStatusBadge status={inv.status_platnosci} />
+                    {(inv.status_platnosci === 'częściowo' || inv.status_platnosci === 'po terminie') && (
+                      <div className="text-[10px] text-gray-500">
+                        pozostało {formatAmount(inv.pozostalo || 0)}
+                      </div>
+                    )}
+                  </td>
                   <td className="px-8 py-3 text-left text-sm text-gray-600 font-sora">
                     <div className="flex items-center gap-2">
                       <button
@@ -448,6 +467,7 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
                       >
                         <Eye size={16} />
                       </button>
+                      {inv.typ_dokumentu !== 'korekta' && (
                       <button
                         type="button"
                         onClick={(e) => {
@@ -458,10 +478,12 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
                           setIsEditModalOpen(true);
                         }}
                         className="text-green-600 hover:text-green-800 focus:outline-none"
-                        title="Edytuj fakturę"
+                        title="Wystaw fakturę korygującą"
                       >
                         <Edit size={16} />
                       </button>
+                      )}
+                      {inv.typ_dokumentu !== 'korekta' && !inv.liczba_korekt && (
                       <button
                         type="button"
                         onClick={(e) => {
@@ -476,18 +498,7 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
                       >
                         <WineBottleIcon size={16} />
                       </button>
-                      <button
-                        type="button"
-                        onClick={(e) => {
-                          e.preventDefault();
-                          e.stopPropagation();
-                          handleDeleteClick(inv);
-                        }}
-                        className="text-red-600 hover:text-red-800 focus:outline-none"
-                        title="Usuń fakturę"
-                      >
-                        <X size={16} />
-                      </button>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -501,30 +512,18 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
         isOpen={isDetailsModalOpen}
         onClose={() => setIsDetailsModalOpen(false)}
         invoice={selectedInvoice}
+        onPaymentsChanged={loadInvoices}
       />
 
-      <EditInvoiceModal
-        isOpen={isEditModalOpen}
-        onClose={() => {
-          setIsEditModalOpen(false);
-          setInvoiceToEdit(null);
-          setIsEditFromKomis(false);
-        }}
-        onSuccess={() => {
-          loadInvoices();
-        }}
-        invoice={invoiceToEdit}
-        readOnlyExisting={isEditFromKomis}
-      />
-
-      {/* Модал подтверждения удаления с паролем */}
       <Modal
-        isOpen={isPasswordModalOpen}
-        onRequestClose={handlePasswordClose}
+        isOpen={isAgingModalOpen}
+        onRequestClose={() => setIsAgingModalOpen(false)}
         style={{
           content: {
-            width: '320px',
+            width: '760px',
+            maxWidth: '90%',
             height: 'auto',
+            maxHeight: '80vh',
             position: 'absolute',
             top: '50%',
             left: '50%',
@@ -540,36 +539,32 @@ export const InvoicesList: React.FC<InvoicesListProps> = ({ refreshTrigger, onIn
         }}
       >
         <div className="font-sora">
-          <h2 className="text-sm font-semibold text-gray-800 mb-2">Usuń fakturę</h2>
-          <p className="text-xs text-gray-600 mb-4">
-            Usuwasz fakturę <span className="font-semibold">{invoiceToDelete?.numer_faktury}</span>.
-            {' '}Podaj hasło, aby potwierdzić.
-          </p>
-          <input
-            type="password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            onKeyDown={(e) => { if (e.key === 'Enter') handlePasswordSubmit(); }}
-            className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none text-xs mb-4"
-            placeholder="Hasło"
-            autoFocus
-          />
-          <div className="flex gap-2 justify-end">
-            <button
-              onClick={handlePasswordClose}
-              className="px-4 py-1.5 text-xs text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50"
-            >
-              Anuluj
-            </button>
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-sm font-semibold text-gray-800">Wiekowanie należności</h2>
             <button
-              onClick={handlePasswordSubmit}
-              className="px-4 py-1.5 text-xs text-white bg-red-600 rounded-md hover:bg-red-700"
+              onClick={() => setIsAgingModalOpen(false)}
+              className="text-red-500 focus:outline-none"
             >
-              Usuń
+              <X size={20} />
             </button>
           </div>
+          <ReceivablesAgingTable />
         </div>
       </Modal>
+
+      <EditInvoiceModal
+        isOpen={isEditModalOpen}
+        onClose={() => {
+          setIsEditModalOpen(false);
+          setInvoiceToEdit(null);
+          setIsEditFromKomis(false);
+        }}
+        onSuccess={() => {
+          loadInvoices();
+        }}
+        invoice={invoiceToEdit}
+        readOnlyExisting={isEditFromKomis}
+      />
     </div>
   );
 };
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+interface JpkExportModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+type JpkRodzaj = 'fa' | 'v7m';
+
+const MONTHS = [
+  'Styczeń', 'Luty', 'Marzec', 'Kwiecień', 'Maj', 'Czerwiec',
+  'Lipiec', 'Sierpień', 'Wrzesień', 'Październik', 'Listopad', 'Grudzień'
+];
+
+// По умолчанию — предыдущий месяц (за него бухгалтер и сдаёт JPK)
+const getDefaultPeriod = () => {
+  const d = new Date();
+  d.setDate(1);
+  d.setMonth(d.getMonth() - 1);
+  return { rok: d.getFullYear(), miesiac: d.getMonth() + 1 };
+};
+
+export const JpkExportModal: React.FC<JpkExportModalProps> = ({ isOpen, onClose }) => {
+  const [rok, setRok] = useState(() => getDefaultPeriod().rok);
+  const [miesiac, setMiesiac] = useState(() => getDefaultPeriod().miesiac);
+  const [errors, setErrors] = useState<string[]>([]);
+  const [isExporting, setIsExporting] = useState<JpkRodzaj | null>(null);
+
+  const currentYear = new Date().getFullYear();
+  const years = Array.from({ length: 5 }, (_, i) => currentYear - i);
+
+  const handleExport = async (rodzaj: JpkRodzaj) => {
+    setIsExporting(rodzaj);
+    setErrors([]);
+    try {
+      const response = await fetch(`/api/jpk/${rodzaj}?rok=${rok}&miesiac=${miesiac}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (Array.isArray(data.errors)) {
+          setErrors(data.errors);
+          return;
+        }
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${rodzaj === 'fa' ? 'JPK_FA' : 'JPK_V7M'}_${rok}_${String(miesiac).padStart(2, '0')}.xml`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+      toast.success('Plik JPK został wygenerowany');
+    } catch (error) {
+      console.error('Error exporting JPK:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd podczas generowania JPK');
+    } finally {
+      setIsExporting(null);
+    }
+  };
+
+  const handleClose = () => {
+    setErrors([]);
+    onClose();
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={handleClose}
+      style={{
+        content: {
+          width: '480px',
+          height: 'auto',
+          maxHeight: '80vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Eksport JPK</h2>
+          <button onClick={handleClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex gap-2 mb-4">
+          <select
+            value={miesiac}
+            onChange={(e) => setMiesiac(Number(e.target.value))}
+            className="px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+          >
+            {MONTHS.map((label, idx) => (
+              <option key={label} value={idx + 1}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={rok}
+            onChange={(e) => setRok(Number(e.target.value))}
+            className="px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none font-sora text-xs"
+          >
+            {years.map((year) => (
+              <option key={year} value={year}>{year}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => handleExport('fa')}
+            disabled={isExporting !== null}
+            className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            Pobierz JPK_FA
+          </button>
+          <button
+            onClick={() => handleExport('v7m')}
+            disabled={isExporting !== null}
+            className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            Pobierz JPK_V7M (sprzedaż)
+          </button>
+        </div>
+
+        {errors.length > 0 && (
+          <div className="mt-4 bg-red-50 p-3 rounded-md max-h-64 overflow-y-auto">
+            <p className="text-xs font-semibold text-red-700 mb-1">Popraw dane przed eksportem:</p>
+            <ul className="list-disc pl-4 space-y-0.5">
+              {errors.map((err) => (
+                <li key={err} className="text-xs text-red-700">{err}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+interface KsefQueueModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface KsefQueueItem {
+  id: number;
+  invoice_id: number;
+  status: 'do_wysłania' | 'wysłana' | 'przyjęta' | 'odrzucona';
+  numer_referencyjny: string | null;
+  numer_ksef: string | null;
+  blad: string | null;
+  proby: number;
+  numer_faktury: string;
+  klient_nazwa: string;
+  updated_at: string;
+}
+
+const STATUS_CLASSES: Record<KsefQueueItem['status'], string> = {
+  'do_wysłania': 'bg-gray-100 text-gray-700',
+  'wysłana': 'bg-blue-100 text-blue-700',
+  'przyjęta': 'bg-green-100 text-green-800',
+  'odrzucona': 'bg-red-100 text-red-700',
+};
+
+export const KsefQueueModal: React.FC<KsefQueueModalProps> = ({ isOpen, onClose }) => {
+  const [items, setItems] = useState<KsefQueueItem[]>([]);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const loadQueue = async () => {
+    try {
+      const response = await fetch('/api/ksef/queue');
+      if (!response.ok) throw new Error('Błąd ładowania kolejki KSeF');
+      setItems(await response.json());
+    } catch (error) {
+      console.error('Error loading KSeF queue:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania kolejki KSeF');
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) loadQueue();
+  }, [isOpen]);
+
+  const handleProcess = async () => {
+    setIsProcessing(true);
+    try {
+      const response = await fetch('/api/ksef/queue/process', { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success(
+        `Wysłane: ${data.wyslane}, przyjęte: ${data.przyjete}, odrzucone: ${data.odrzucone}` +
+        (data.bledy ? `, błędy: ${data.bledy}` : '')
+      );
+      loadQueue();
+    } catch (error) {
+      console.error('Error processing KSeF queue:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd przetwarzania kolejki KSeF');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleRetry = async (item: KsefQueueItem) => {
+    try {
+      const response = await fetch(`/api/ksef/queue/${item.id}/retry`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const details = Array.isArray(data.errors) ? `: ${data.errors.join('; ')}` : '';
+        throw new Error((data.error || `HTTP error! status: ${response.status}`) + details);
+      }
+      loadQueue();
+    } catch (error) {
+      console.error('Error retrying KSeF submission:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ponowienia wysyłki');
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '860px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '80vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Kolejka KSeF</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        <button
+          onClick={handleProcess}
+          disabled={isProcessing}
+          className="mb-4 px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          {isProcessing ? 'Przetwarzanie...' : 'Wyślij oczekujące i sprawdź statusy'}
+        </button>
+
+        {items.length === 0 ? (
+          <p className="text-xs text-gray-500">Kolejka jest pusta</p>
+        ) : (
+          <div className="max-h-[55vh] overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-700">
+                  <th className="px-2 py-1 text-left font-bold">Faktura</th>
+                  <th className="px-2 py-1 text-left font-bold">Klient</th>
+                  <th className="px-2 py-1 text-left font-bold">Status</th>
+                  <th className="px-2 py-1 text-left font-bold">Numer KSeF / referencyjny</th>
+                  <th className="px-2 py-1 text-right font-bold">Próby</th>
+                  <th className="px-2 py-1"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {items.map((item) => (
+                  <tr key={item.id}>
+                    <td className="px-2 py-1 text-gray-900">{item.numer_faktury}</td>
+                    <td className="px-2 py-1 text-gray-600">{item.klient_nazwa}</td>
+                    <td className="px-2 py-1">
+                      <span className={`inline-block px-2 py-0.5 rounded-full text-[11px] ${STATUS_CLASSES[item.status]}`}>
+                        {item.status}
+                      </span>
+                      {item.blad && <div className="text-[10px] text-red-600">{item.blad}</div>}
+                    </td>
+                    <td className="px-2 py-1 text-gray-600 break-all">{item.numer_ksef || item.numer_referencyjny || '—'}</td>
+                    <td className="px-2 py-1 text-right text-gray-600">{item.proby}</td>
+                    <td className="px-2 py-1 text-right">
+                      {item.status === 'odrzucona' && (
+                        <button
+                          onClick={() => handleRetry(item)}
+                          className="text-blue-600 hover:text-blue-800 focus:outline-none"
+                        >
+                          Ponów
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
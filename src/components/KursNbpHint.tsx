@@ -0,0 +1,47 @@
+import React from 'react';
+import { NbpReceiptKurs, isKursOverridden } from '../utils/exchangeRates';
+import { formatPlMoney } from '../utils/receiptCurrency';
+
+interface KursNbpHintProps {
+  value: string;
+  nbpValue: number | null;
+  kurs: NbpReceiptKurs | null;
+  isLoading: boolean;
+  error: string | null;
+  onRestore: (value: string) => void;
+}
+
+/** Podpis pod polem kursu: źródło NBP albo oznaczenie ręcznej korekty. */
+export const KursNbpHint: React.FC<KursNbpHintProps> = ({ value, nbpValue, kurs, isLoading, error, onRestore }) => {
+  if (isLoading) {
+    return <p className="mt-0.5 w-[96px] text-[10px] leading-tight text-gray-400">NBP…</p>;
+  }
+  if (!kurs || nbpValue == null) {
+    return error ? (
+      <p className="mt-0.5 w-[96px] text-[10px] leading-tight text-gray-400 truncate" title={error}>
+        brak kursu NBP
+      </p>
+    ) : null;
+  }
+
+  const tableInfo = `Tabela ${kurs.numer_tabeli} z ${kurs.data_tabeli}`;
+  if (isKursOverridden(value, nbpValue)) {
+    return (
+      <p className="mt-0.5 w-[96px] text-[10px] leading-tight text-amber-600" title={tableInfo}>
+        ręcznie · NBP {formatPlMoney(nbpValue)}{' '}
+        <button
+          type="button"
+          onClick={() => onRestore(formatPlMoney(nbpValue))}
+          className="underline hover:text-amber-800 focus:outline-none"
+        >
+          przywróć
+        </button>
+      </p>
+    );
+  }
+  return (
+    <p className="mt-0.5 w-[96px] text-[10px] leading-tight text-gray-500 truncate" title={tableInfo}>
+      NBP {kurs.data_tabeli}
+    </p>
+  );
+};
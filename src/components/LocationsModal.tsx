@@ -0,0 +1,284 @@
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthProvider';
+import { LOCATION_TYP_LABELS, LocationTyp, StockLocation } from '../types/Location';
+
+interface LocationsModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onChanged: () => void;
+}
+
+interface ClientOption {
+  id: number;
+  nazwa: string;
+}
+
+interface LocationForm {
+  id: number | null;
+  kod: string;
+  nazwa: string;
+  typ: LocationTyp;
+  client_id: string;
+  aktywna: boolean;
+}
+
+const EMPTY_FORM: LocationForm = { id: null, kod: '', nazwa: '', typ: 'magazyn', client_id: '', aktywna: true };
+
+/** Lokalizacje magazynowe ze stanem; dodawanie i edycja — administrator. */
+export const LocationsModal: React.FC<LocationsModalProps> = ({ isOpen, onClose, onChanged }) => {
+  const { user } = useAuth();
+  const isAdmin = user?.rola === 'admin';
+  const [locations, setLocations] = useState<StockLocation[]>([]);
+  const [clients, setClients] = useState<ClientOption[]>([]);
+  const [form, setForm] = useState<LocationForm | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadLocations = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/locations');
+      if (!response.ok) throw new Error('Błąd ładowania lokalizacji');
+      setLocations(await response.json());
+    } catch (error) {
+      console.error('Error loading locations:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania lokalizacji');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(null);
+      loadLocations();
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!form || form.typ !== 'komis' || clients.length > 0) return;
+    fetch('/api/clients')
+      .then((response) => (response.ok ? response.json() : []))
+      .then((data: ClientOption[]) => setClients(data))
+      .catch(() => setClients([]));
+  }, [form, clients.length]);
+
+  const startEdit = (location: StockLocation) => {
+    setForm({
+      id: location.id,
+      kod: location.kod,
+      nazwa: location.nazwa,
+      typ: location.typ,
+      client_id: location.client_id ? String(location.client_id) : '',
+      aktywna: Boolean(location.aktywna),
+    });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form) return;
+    setIsSaving(true);
+    try {
+      const response = await fetch(form.id ? `/api/locations/${form.id}` : '/api/locations', {
+        method: form.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          kod: form.kod,
+          nazwa: form.nazwa,
+          typ: form.typ,
+          client_id: form.typ === 'komis' && form.client_id ? Number(form.client_id) : null,
+          aktywna: form.aktywna,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success(form.id ? 'Lokalizacja zapisana' : 'Lokalizacja dodana');
+      setForm(null);
+      loadLocations();
+      onChanged();
+    } catch (error) {
+      console.error('Error saving location:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu lokalizacji');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '860px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '80vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Lokalizacje magazynowe</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        {isAdmin && !form && (
+          <div className="flex justify-end mb-4">
+            <button
+              onClick={() => setForm(EMPTY_FORM)}
+              className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors"
+            >
+              Dodaj lokalizację
+            </button>
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSave} className="mb-4 border border-gray-200 rounded-md p-3 grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Kod</label>
+              <input
+                type="text"
+                value={form.kod}
+                onChange={(e) => setForm({ ...form, kod: e.target.value.toUpperCase() })}
+                maxLength={20}
+                required
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Nazwa</label>
+              <input
+                type="text"
+                value={form.nazwa}
+                onChange={(e) => setForm({ ...form, nazwa: e.target.value })}
+                required
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Typ</label>
+              <select
+                value={form.typ}
+                onChange={(e) => setForm({ ...form, typ: e.target.value as LocationTyp })}
+                className={inputClassName}
+              >
+                {(Object.keys(LOCATION_TYP_LABELS) as LocationTyp[]).map((typ) => (
+                  <option key={typ} value={typ}>{LOCATION_TYP_LABELS[typ]}</option>
+                ))}
+              </select>
+            </div>
+            {form.typ === 'komis' ? (
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Klient</label>
+                <select
+                  value={form.client_id}
+                  onChange={(e) => setForm({ ...form, client_id: e.target.value })}
+                  className={inputClassName}
+                >
+                  <option value="">—</option>
+                  {clients.map((client) => (
+                    <option key={client.id} value={client.id}>{client.nazwa}</option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <div />
+            )}
+            <label className="flex items-center gap-1.5 text-xs text-gray-700 select-none">
+              <input
+                type="checkbox"
+                checked={form.aktywna}
+                onChange={(e) => setForm({ ...form, aktywna: e.target.checked })}
+              />
+              Aktywna
+            </label>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-4 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none"
+              >
+                Anuluj
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                {isSaving ? 'Zapisywanie...' : 'Zapisz'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {isLoading ? (
+          <p className="text-xs text-gray-500">Ładowanie...</p>
+        ) : (
+          <div className="max-h-[45vh] overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-700">
+                  <th className="px-2 py-1 text-left font-bold">Kod</th>
+                  <th className="px-2 py-1 text-left font-bold">Nazwa</th>
+                  <th className="px-2 py-1 text-left font-bold">Typ</th>
+                  <th className="px-2 py-1 text-right font-bold">Partie</th>
+                  <th className="px-2 py-1 text-right font-bold">Ilość</th>
+                  {isAdmin && <th className="px-2 py-1"></th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {locations.map((location) => (
+                  <tr key={location.id} className={location.aktywna ? 'text-gray-900' : 'text-gray-400'}>
+                    <td className="px-2 py-1">{location.kod}</td>
+                    <td className="px-2 py-1">
+                      {location.nazwa}
+                      {location.klient && <div className="text-[10px] text-gray-500">{location.klient}</div>}
+                    </td>
+                    <td className="px-2 py-1">
+                      {LOCATION_TYP_LABELS[location.typ] || location.typ}
+                      {!location.aktywna && ' (nieaktywna)'}
+                    </td>
+                    <td className="px-2 py-1 text-right">{location.partie}</td>
+                    <td className="px-2 py-1 text-right">{location.ilosc}</td>
+                    {isAdmin && (
+                      <td className="px-2 py-1 text-right">
+                        <button
+                          onClick={() => startEdit(location)}
+                          className="text-blue-600 hover:text-blue-800 focus:outline-none"
+                        >
+                          Edytuj
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { Toaster } from 'react-hot-toast';
+import logo from '../assets/entr logo copy 2@4x.png';
+import { useAuth } from './AuthProvider';
+
+export const LoginPage: React.FC = () => {
+  const { user, isLoading, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [loginValue, setLoginValue] = useState('');
+  const [haslo, setHaslo] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const from = (location.state as { from?: string } | null)?.from || '/';
+
+  if (!isLoading && user) {
+    return <Navigate to={from} replace />;
+  }
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await login(loginValue.trim(), haslo);
+      navigate(from, { replace: true });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Błąd logowania');
+      setHaslo('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center font-sora">
+      <Toaster position="top-right" containerStyle={{ zIndex: 99999 }} />
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-md p-8 w-[360px] space-y-4"
+      >
+        <img src={logo} alt="Enoterra Logo" className="h-20 mx-auto mb-2" />
+        <h1 className="text-base font-semibold text-gray-800 text-center">Logowanie</h1>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-2">Login</label>
+          <input
+            type="text"
+            value={loginValue}
+            onChange={(e) => setLoginValue(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none text-xs"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-2">Hasło</label>
+          <input
+            type="password"
+            value={haslo}
+            onChange={(e) => setHaslo(e.target.value)}
+            autoComplete="current-password"
+            className="w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none text-xs"
+          />
+        </div>
+        {error && <p className="text-xs text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={isSubmitting || !loginValue.trim() || !haslo}
+          className="w-full px-6 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? 'Logowanie...' : 'Zaloguj'}
+        </button>
+      </form>
+    </div>
+  );
+};
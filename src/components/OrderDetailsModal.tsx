@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { X } from 'lucide-react';
 import Modal from 'react-modal';
 import { SortableTh } from './SortIndicator';
+import { AuditHistoryPanel } from './AuditHistoryPanel';
 import { getOrderProductSortValue, useTableSort } from '../utils/tableSort';
 
 interface OrderProduct {
@@ -360,6 +361,8 @@ export const OrderDetailsModal: React.FC<OrderDetailsModalProps> = ({ isOpen, on
                   </p>
                 )}
               </div>
+
+              <AuditHistoryPanel entityType="order" entityId={order?.id} />
             </>
           )}
         </div>
@@ -9,6 +9,9 @@ import toast from 'react-hot-toast';
 import { ReservationOverflowDialog } from './ReservationOverflowDialog';
 import { ProductSearchHintLines } from './ProductSearchHintLines';
 import { calculateMaxAllowed, collectReservationOverflows, collectStockOverflowLineIds, enrichStockLinesWithClientReservations } from '../utils/orderStock';
+import { BarcodeProduct } from '../utils/barcode';
+import { BarcodeScanInput } from './BarcodeScanInput';
+import { confirmLicenceViolations, isLicenceCheckResponse, licenceViolationsText } from '../utils/alcoholLicences';
 
 registerLocale('pl', pl);
 
@@ -270,6 +273,66 @@ export const OrderModal: React.FC<OrderModalProps> = ({ isOpen, onClose, onOrder
     console.log('🔍 Products list cleared, activeSearchId reset');
   };
 
+  // Skaner: produkt trafia do pozycji „Sprzedaż” (stan główny, bez samples); ponowny skan zwiększa ilość
+  const handleScannedProduct = async (scanned: BarcodeProduct) => {
+    try {
+      const url = selectedClient
+        ? `/api/working-sheets/search?codes=${encodeURIComponent(scanned.kod)}&client_id=${selectedClient.id}`
+        : `/api/working-sheets/search?codes=${encodeURIComponent(scanned.kod)}`;
+      const response = await fetch(url);
+      if (!response.ok) throw new Error('Failed to fetch products');
+      const data = await response.json();
+      const mainRow = data.find((item: any) => item.kod === scanned.kod && !item.status);
+      if (!mainRow) {
+        toast.error(`Brak na magazynie: ${scanned.kod} - ${scanned.nazwa}`);
+        return;
+      }
+      const product: Product = {
+        kod: mainRow.kod,
+        nazwa: mainRow.nazwa,
+        ilosc: mainRow.ilosc.toString(),
+        ilosc_total: data.reduce((total: number, item: any) => total + (item.ilosc || 0), 0),
+        status: null,
+        kodKreskowy: scanned.kod_kreskowy || '',
+        selectedQuantity: 1,
+        ilosc_reserved: mainRow.ilosc_reserved || 0,
+        ilosc_client_reserved: mainRow.ilosc_client_reserved || 0,
+        ilosc_client_reserved_total: mainRow.ilosc_client_reserved_total || 0,
+        sprzedawca: mainRow.sprzedawca || ''
+      };
+
+      setProductSearchFields(fields => {
+        const existing = fields.find(f => f.selectedProduct?.kod === product.kod && f.selectedProduct.status !== 'samples');
+        const emptyField = fields.find(f => !f.selectedProduct && !f.searchQuery.trim());
+        const scannedLine = { searchQuery: `${product.kod} - ${product.nazwa}`, selectedProduct: product, typ: 'sprzedaz' };
+        const lineId = existing?.id ?? emptyField?.id ?? Math.max(...fields.map(f => f.id)) + 1;
+
+        let updatedFields: ProductSearchField[];
+        if (existing) {
+          updatedFields = fields.map(f =>
+            f.id === existing.id && f.selectedProduct
+              ? { ...f, selectedProduct: { ...f.selectedProduct, selectedQuantity: (f.selectedProduct.selectedQuantity || 0) + 1 } }
+              : f
+          );
+        } else if (emptyField) {
+          updatedFields = fields.map(f => (f.id === emptyField.id ? { ...f, ...scannedLine } : f));
+        } else {
+          updatedFields = [...fields, { id: lineId, ...scannedLine }];
+        }
+
+        const stockErrors = collectStockOverflowLineIds(buildStockLinesWithIds(updatedFields));
+        setFieldsWithErrors(stockErrors);
+        if (stockErrors.has(lineId)) {
+          toast.error(`Niewystarczająca ilość towaru ${product.kod} na magazynie`);
+        }
+        return updatedFields;
+      });
+    } catch (error) {
+      console.error('Error adding scanned product:', error);
+      toast.error('Błąd dodawania zeskanowanego produktu');
+    }
+  };
+
   const toggleDropdown = (index: number) => {
     setOpenDropdownIndex(openDropdownIndex === index ? null : index);
   };
@@ -323,8 +386,8 @@ export const OrderModal: React.FC<OrderModalProps> = ({ isOpen, onClose, onOrder
   // Функция для генерации номера заказа
 
 
-  const buildStockLinesWithIds = () => {
-    return productSearchFields
+  const buildStockLinesWithIds = (fields: ProductSearchField[] = productSearchFields) => {
+    return fields
       .filter(field => field.selectedProduct && (field.selectedProduct.selectedQuantity || 0) > 0)
       .map(field => {
         const product = field.selectedProduct!;
@@ -348,7 +411,7 @@ export const OrderModal: React.FC<OrderModalProps> = ({ isOpen, onClose, onOrder
       });
   };
 
-  const submitOrder = async () => {
+  const submitOrder = async (zezwoleniePotwierdzone = false) => {
     const selectedProducts = productSearchFields
       .filter(field => field.selectedProduct)
       .map(field => ({
@@ -373,13 +436,20 @@ export const OrderModal: React.FC<OrderModalProps> = ({ isOpen, onClose, onOrder
         body: JSON.stringify({
           clientName: selectedClient!.nazwa,
           order_number: fullOrderNumber,
-          products: selectedProducts
+          products: selectedProducts,
+          ...(zezwoleniePotwierdzone ? { zezwolenie_potwierdzone: true } : {})
         })
       });
 
       if (!response.ok) {
         const errorData = await response.json();
-        if (response.status === 400 && errorData.error.includes('Insufficient quantity')) {
+        if (isLicenceCheckResponse(response.status, errorData)) {
+          if (confirmLicenceViolations(errorData)) {
+            await submitOrder(true);
+          } else {
+            toast.error(licenceViolationsText(errorData), { duration: 8000 });
+          }
+        } else if (response.status === 400 && errorData.error.includes('Insufficient quantity')) {
           const match = errorData.error.match(/product (.*?)\. Available: (\d+), Requested: (\d+)/);
           if (match) {
             const [, productCode, available, requested] = match;
@@ -640,6 +710,10 @@ export const OrderModal: React.FC<OrderModalProps> = ({ isOpen, onClose, onOrder
             <label className="block text-xs font-medium text-gray-700 font-sora">
               Produkty
             </label>
+            <BarcodeScanInput
+              onProduct={handleScannedProduct}
+              hint={selectedClient ? 'Każdy skan dodaje 1 szt. typu Sprzedaż.' : 'Wybierz klienta przed skanowaniem, aby uwzględnić jego rezerwacje.'}
+            />
             {productSearchFields.map((field) => (
               <div key={field.id} className="relative">
                 <div className="flex">
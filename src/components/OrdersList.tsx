@@ -29,9 +29,34 @@ interface Order {
   typ?: string;
   numer_zwrotu?: string;
   numer_faktury?: string | null;
+  wms_status?: WmsStatus | null;
+  wms_shipment_id?: string | null;
+  wms_blad?: string | null;
   products?: OrderProduct[];
 }
 
+type WmsStatus = 'do_wysłania' | 'przyjęta' | 'skompletowana' | 'wysłana' | 'odrzucona';
+
+const WMS_STATUS_LABELS: Record<WmsStatus, string> = {
+  'do_wysłania': 'WMS: w kolejce',
+  'przyjęta': 'WMS: przyjęte',
+  'skompletowana': 'WMS: skompletowane',
+  'wysłana': 'WMS: wysłane',
+  'odrzucona': 'WMS: odrzucone',
+};
+
+const WMS_STATUS_CLASSES: Record<WmsStatus, string> = {
+  'do_wysłania': 'bg-gray-100 text-gray-700 border border-gray-200',
+  'przyjęta': 'bg-blue-100 text-blue-800 border border-blue-200',
+  'skompletowana': 'bg-yellow-100 text-yellow-800 border border-yellow-200',
+  'wysłana': 'bg-green-100 text-green-800 border border-green-200',
+  'odrzucona': 'bg-red-100 text-red-800 border border-red-200',
+};
+
+// Zamówienie jest już u operatora — edycja i usunięcie zablokowane po stronie serwera
+const isWmsLocked = (order: Order) =>
+  order.wms_status === 'przyjęta' || order.wms_status === 'skompletowana' || order.wms_status === 'wysłana';
+
 interface OrdersListProps {
   onDeleteOrder?: (orderId: number) => void;
   onUpdateOrder?: (data: {
@@ -66,7 +91,8 @@ export const OrdersList: React.FC<OrdersListProps> = ({
   const [isPasswordModalOpen, setIsPasswordModalOpen] = useState(false);
   const [orderToDelete, setOrderToDelete] = useState<Order | null>(null);
   const [password, setPassword] = useState('');
-  const [orderStatuses, setOrderStatuses] = useState<Record<number, 'przygotowane' | 'wysłane'>>({});
+  const [wmsSendingId, setWmsSendingId] = useState<number | null>(null);
+  const [isWmsRefreshing, setIsWmsRefreshing] = useState(false);
   const [isInvoiceModalOpen, setIsInvoiceModalOpen] = useState(false);
   const [orderForInvoice, setOrderForInvoice] = useState<Order | null>(null);
 
@@ -106,6 +132,9 @@ export const OrdersList: React.FC<OrdersListProps> = ({
         typ: order.typ || 'zamowienie',
         numer_zwrotu: order.numer_zwrotu || null,
         numer_faktury: order.numer_faktury ?? null,
+        wms_status: order.wms_status ?? null,
+        wms_shipment_id: order.wms_shipment_id ?? null,
+        wms_blad: order.wms_blad ?? null,
         products: order.products || []
       }));
       console.log('🔄 Transformed orders:', transformedOrders);
@@ -146,7 +175,7 @@ export const OrdersList: React.FC<OrdersListProps> = ({
   };
 
   const handleEdit = (order: Order) => {
-    if (order.numer_faktury) return; // редактирование недоступно после создания фактуры
+    if (order.numer_faktury || isWmsLocked(order)) return; // редактирование недоступно после создания фактуры или wysyłki do WMS
     setOrderToEdit(order);
     setIsEditModalOpen(true);
   };
@@ -252,63 +281,52 @@ export const OrdersList: React.FC<OrdersListProps> = ({
     }
   };
 
-  // Отправка заявки в WMS через наш backend
+  // Отправка zamówienia do WMS: 202 — WMS niedostępny, zamówienie czeka w kolejce na ponowienie
   const sendOrderToWMS = async (order: Order) => {
+    setWmsSendingId(order.id);
     try {
-      console.log('📦 Отправка заявки в WMS через backend, orderId:', order.id);
-      
       const response = await fetch('/api/wms/send-shipment', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ orderId: order.id })
       });
-
-      const data = await response.json();
-      
+      const data = await response.json().catch(() => ({}));
       if (!response.ok) {
-        throw new Error(data.error || `HTTP ${response.status}`);
+        const details = Array.isArray(data.errors) ? `: ${data.errors.join('; ')}` : '';
+        throw new Error(`${data.error || `HTTP ${response.status}`}${details}`);
+      }
+      if (data.status === 'odrzucona') {
+        toast.error(`WMS odrzucił zamówienie ${order.numer_zamowienia}: ${data.blad || 'brak szczegółów'}`);
+      } else if (response.status === 202) {
+        toast(`WMS niedostępny (${data.blad || 'brak odpowiedzi'}) — zamówienie czeka w kolejce`);
+      } else {
+        toast.success(`Zamówienie ${order.numer_zamowienia} wysłane do WMS (${data.wmsShipmentId})`);
       }
-
-      console.log('✅ Ответ от backend:', data);
-      toast.success(`Заявка отправлена в WMS: ${data.wmsShipmentId || 'успешно'}`);
-      return true;
     } catch (error) {
-      console.error('❌ Ошибка отправки в WMS:', error);
-      toast.error(`Ошибка отправки в WMS: ${error instanceof Error ? error.message : 'Неизвестная ошибка'}`);
-      return false;
+      console.error('❌ Error sending order to WMS:', error);
+      toast.error(`Błąd wysyłki do WMS: ${error instanceof Error ? error.message : 'nieznany błąd'}`);
+    } finally {
+      setWmsSendingId(null);
+      loadOrders();
     }
   };
 
-  const handleStatusChange = async (orderId: number, newStatus: 'przygotowane' | 'wysłane') => {
-    const order = orders.find(o => o.id === orderId);
-    if (!order) return;
-
-    const oldStatus = orderStatuses[orderId] || 'przygotowane';
-
-    // Если меняем на "wysłane", отправляем в WMS
-    if (oldStatus === 'przygotowane' && newStatus === 'wysłane') {
-      const loadingToast = toast.loading('Отправка в WMS...');
-      
-      const success = await sendOrderToWMS(order);
-      
-      toast.dismiss(loadingToast);
-      
-      if (!success) {
-        // Если ошибка, не меняем статус
-        return;
+  // Wysyłka oczekujących i odpytanie statusów w WMS
+  const refreshWmsStatuses = async () => {
+    setIsWmsRefreshing(true);
+    try {
+      const response = await fetch('/api/wms/queue/process', { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
       }
-    }
-
-    // Обновляем статус
-    setOrderStatuses(prev => ({
-      ...prev,
-      [orderId]: newStatus
-    }));
-    
-    if (oldStatus !== 'przygotowane' || newStatus !== 'wysłane') {
-      toast.success(`Status zamówienia zmieniony na: ${newStatus}`);
+      toast.success(`WMS: wysłane ${data.wyslane}, zmiany statusu ${data.zmiany}, odrzucone ${data.odrzucone}, błędy ${data.bledy}`);
+      loadOrders();
+    } catch (error) {
+      console.error('❌ Error processing WMS queue:', error);
+      toast.error(`Błąd odświeżania WMS: ${error instanceof Error ? error.message : 'nieznany błąd'}`);
+    } finally {
+      setIsWmsRefreshing(false);
     }
   };
 
@@ -416,6 +434,9 @@ export const OrdersList: React.FC<OrdersListProps> = ({
   }
 
   // Итоговая фильтрация по всем четырём фильтрам
+  // Odrzucone przez WMS: towar zdjęty ze stanu przy tworzeniu zamówienia nie wraca sam
+  const rejectedWmsOrders = orders.filter(order => order.wms_status === 'odrzucona');
+
   const filteredOrders = orders.filter(order => {
     if (selectedKlient && order.klient !== selectedKlient) return false;
     if (selectedTyp && (order.typ || 'zamowienie') !== selectedTyp) return false;
@@ -553,9 +574,25 @@ export const OrdersList: React.FC<OrdersListProps> = ({
               Wyczyść filtry
             </button>
           )}
+
+          <button
+            type="button"
+            onClick={refreshWmsStatuses}
+            disabled={isWmsRefreshing}
+            className="px-3 py-1.5 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-xs font-sora transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isWmsRefreshing ? 'Odświeżanie WMS...' : 'Odśwież statusy WMS'}
+          </button>
         </div>
       </div>
 
+      {rejectedWmsOrders.length > 0 && (
+        <div className="px-3 py-2 border border-red-200 bg-red-50 rounded-md text-xs font-sora text-red-800">
+          WMS odrzucił zamówienia: {rejectedWmsOrders.map(order => order.numer_zamowienia).join(', ')}. Towar jest nadal
+          zdjęty ze stanu — wyślij zamówienie ponownie albo je usuń, aby zwrócić towar na stan.
+        </div>
+      )}
+
       <div className="w-full overflow-y-scroll max-h-[calc(100dvh-280px)] relative">
         <table className="w-full">
           <thead className="sticky top-0 z-10">
@@ -682,9 +719,11 @@ export const OrdersList: React.FC<OrdersListProps> = ({
                               e.stopPropagation(); 
                               handleEdit(order); 
                             }}
-                            disabled={!!order.numer_faktury}
+                            disabled={!!order.numer_faktury || isWmsLocked(order)}
                             className="text-green-600 hover:text-green-800 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
-                            title={order.numer_faktury ? `🚫 Edytowanie niedostępne (utworzono fakturę ${order.numer_faktury})` : "Edytuj"}
+                            title={order.numer_faktury
+                              ? `🚫 Edytowanie niedostępne (utworzono fakturę ${order.numer_faktury})`
+                              : isWmsLocked(order) ? '🚫 Edytowanie niedostępne (zamówienie jest w WMS)' : "Edytuj"}
                           >
                             <Edit size={16} />
                           </button>
@@ -692,29 +731,42 @@ export const OrdersList: React.FC<OrdersListProps> = ({
                       )}
                       <button
                         type="button"
-                        onClick={(e) => { e.preventDefault(); e.stopPropagation(); if (!order.numer_faktury) handleDeleteClick(order); }}
-                        disabled={!!order.numer_faktury}
+                        onClick={(e) => { e.preventDefault(); e.stopPropagation(); if (!order.numer_faktury && !isWmsLocked(order)) handleDeleteClick(order); }}
+                        disabled={!!order.numer_faktury || isWmsLocked(order)}
                         className="text-red-600 hover:text-red-800 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
-                        title={order.numer_faktury ? `🚫 Usunięcie niedostępne (utworzono fakturę ${order.numer_faktury})` : "Usuń"}
+                        title={order.numer_faktury
+                          ? `🚫 Usunięcie niedostępne (utworzono fakturę ${order.numer_faktury})`
+                          : isWmsLocked(order) ? '🚫 Usunięcie niedostępne (zamówienie jest w WMS)' : "Usuń"}
                       >
                         <X size={16} />
                       </button>
                       </div>
-                      {order.typ !== 'przesuniecie' && (
-                        <select
-                          value={orderStatuses[order.id] || 'przygotowane'}
-                          onChange={(e) => {
-                            e.preventDefault();
-                            e.stopPropagation();
-                            handleStatusChange(order.id, e.target.value as 'przygotowane' | 'wysłane');
-                          }}
-                          onClick={(e) => e.stopPropagation()}
-                          className="px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-0 focus:border-gray-300 font-sora"
-                          style={{ fontFamily: 'Sora, sans-serif' }}
-                        >
-                          <option value="przygotowane">Przygotowane</option>
-                          <option value="wysłane">Wysłane</option>
-                        </select>
+                      {(order.typ || 'zamowienie') === 'zamowienie' && (
+                        order.wms_status && order.wms_status !== 'odrzucona' ? (
+                          <span
+                            className={`px-2 py-1 rounded-full text-xs font-medium ${WMS_STATUS_CLASSES[order.wms_status]}`}
+                            title={order.wms_blad || order.wms_shipment_id || ''}
+                          >
+                            {WMS_STATUS_LABELS[order.wms_status]}
+                            {order.wms_blad && ' ⚠'}
+                          </span>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={(e) => { e.preventDefault(); e.stopPropagation(); sendOrderToWMS(order); }}
+                            disabled={wmsSendingId === order.id}
+                            className={`px-2 py-1 text-xs border rounded focus:outline-none font-sora disabled:opacity-50 disabled:cursor-not-allowed ${
+                              order.wms_status === 'odrzucona'
+                                ? 'border-red-300 text-red-700 hover:bg-red-50'
+                                : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                            }`}
+                            title={order.wms_blad || 'Wyślij zamówienie do WMS'}
+                          >
+                            {wmsSendingId === order.id
+                              ? 'Wysyłanie...'
+                              : order.wms_status === 'odrzucona' ? 'Odrzucone — wyślij ponownie' : 'Wyślij do WMS'}
+                          </button>
+                        )
                       )}
                     </div>
                   </td>
@@ -0,0 +1,22 @@
+
+export type PaymentStatus = 'nieopłacona' | 'częściowo' | 'opłacona' | 'po terminie';
+
+const STATUS_CLASSES: Record<PaymentStatus, string> = {
+  'nieopłacona': 'bg-gray-100 text-gray-700',
+  'częściowo': 'bg-yellow-100 text-yellow-800',
+  'opłacona': 'bg-green-100 text-green-800',
+  'po terminie': 'bg-red-100 text-red-700',
+};
+
+interface PaymentStatusBadgeProps {
+  status?: PaymentStatus | null;
+}
+
+export function PaymentStatusBadge({ status }: PaymentStatusBadgeProps) {
+  if (!status) return <span className="text-gray-400">—</span>;
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-[11px] font-sora whitespace-nowrap ${STATUS_CLASSES[status]}`}>
+      {status}
+    </span>
+  );
+}
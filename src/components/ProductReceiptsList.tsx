@@ -12,6 +12,7 @@ interface ProductReceipt {
   id?: number;
   dataPrzyjecia: string;
   sprzedawca: string;
+  supplier_id?: number | null;
   wartosc: number;
   kosztDostawy: number;
   rabat?: number;
@@ -44,6 +45,7 @@ interface ProductReceiptsListProps {
     id: number;
     date: string;
     sprzedawca: string;
+    supplierId?: number;
     wartosc: number;
     kosztDostawy: number;
     aktualnyKurs?: number;
@@ -503,6 +505,7 @@ export const ProductReceiptsList: React.FC<ProductReceiptsListProps> = ({ receip
               id: receiptToEdit.id || 0,
               dataPrzyjecia: receiptToEdit.dataPrzyjecia,
               sprzedawca: receiptToEdit.sprzedawca,
+              supplier_id: receiptToEdit.supplier_id,
               wartosc: receiptToEdit.wartosc,
               kosztDostawy: receiptToEdit.kosztDostawy,
               rabat: receiptToEdit.rabat,
@@ -0,0 +1,806 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Modal from 'react-modal';
+import { X, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { AuditHistoryPanel } from './AuditHistoryPanel';
+import { BarcodeScanInput } from './BarcodeScanInput';
+import { SupplierInput } from './SupplierInput';
+import { BarcodeProduct } from '../utils/barcode';
+import { WALUTY_FAKTURY, WalutaFaktury, formatPlMoney, parsePlNumber } from '../utils/receiptCurrency';
+import {
+  PURCHASE_ORDER_STATUS_COLORS,
+  PURCHASE_ORDER_STATUS_LABELS,
+  PriceVarianceReport,
+  PurchaseOrder,
+  PurchaseOrderDraft,
+  PurchaseOrderReceiptDraft,
+  PurchaseOrderStatus,
+} from '../types/PurchaseOrder';
+
+interface PurchaseOrdersModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onCreateReceipt: (draft: PurchaseOrderReceiptDraft) => void;
+  /** Otwiera formularz nowego zamówienia wypełniony szkicem */
+  orderDraft?: PurchaseOrderDraft | null;
+}
+
+interface SheetOption {
+  kod: string;
+  nazwa: string;
+  kod_kreskowy?: string | null;
+}
+
+interface FormRow {
+  kod: string;
+  nazwa: string;
+  kod_kreskowy: string;
+  ilosc: string;
+  cena: string;
+}
+
+interface PurchaseOrderForm {
+  id: number | null;
+  sprzedawca: string;
+  supplier_id: number | null;
+  waluta: WalutaFaktury;
+  data_zamowienia: string;
+  data_dostawy: string;
+  uwagi: string;
+  pozycje: FormRow[];
+}
+
+type View = 'lista' | 'szczegoly' | 'formularz' | 'odchylenia';
+
+const today = () => new Date().toLocaleDateString('en-CA');
+
+const emptyForm = (): PurchaseOrderForm => ({
+  id: null,
+  sprzedawca: '',
+  supplier_id: null,
+  waluta: 'EUR',
+  data_zamowienia: today(),
+  data_dostawy: '',
+  uwagi: '',
+  pozycje: [],
+});
+
+const StatusBadge: React.FC<{ status: PurchaseOrderStatus }> = ({ status }) => (
+  <span className={`px-2 py-0.5 rounded text-[10px] font-semibold whitespace-nowrap ${PURCHASE_ORDER_STATUS_COLORS[status]}`}>
+    {PURCHASE_ORDER_STATUS_LABELS[status] || status}
+  </span>
+);
+
+/** Zamówienia zakupu u dostawców: realizacja przez przyjęcia i odchylenia cen. */
+export const PurchaseOrdersModal: React.FC<PurchaseOrdersModalProps> = ({ isOpen, onClose, onCreateReceipt, orderDraft }) => {
+  const [view, setView] = useState<View>('lista');
+  const [orders, setOrders] = useState<PurchaseOrder[]>([]);
+  const [statusFilter, setStatusFilter] = useState('oczekujace');
+  const [selected, setSelected] = useState<PurchaseOrder | null>(null);
+  const [form, setForm] = useState<PurchaseOrderForm>(emptyForm);
+  const [sheets, setSheets] = useState<SheetOption[]>([]);
+  const [query, setQuery] = useState('');
+  const [report, setReport] = useState<PriceVarianceReport | null>(null);
+  const [reportOd, setReportOd] = useState('');
+  const [reportDo, setReportDo] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadOrders = async (status = statusFilter) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/purchase-orders${status ? `?status=${encodeURIComponent(status)}` : ''}`);
+      if (!response.ok) throw new Error('Błąd ładowania zamówień zakupu');
+      setOrders(await response.json());
+    } catch (error) {
+      console.error('Error loading purchase orders:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania zamówień zakupu');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openDetails = async (id: number) => {
+    try {
+      const response = await fetch(`/api/purchase-orders/${id}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setSelected(data);
+      setView('szczegoly');
+    } catch (error) {
+      console.error('Error loading purchase order:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania zamówienia');
+    }
+  };
+
+  const loadReport = async () => {
+    const params = new URLSearchParams();
+    if (reportOd) params.set('od', reportOd);
+    if (reportDo) params.set('do', reportDo);
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/purchase-orders/price-variance?${params.toString()}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setReport(data);
+    } catch (error) {
+      console.error('Error loading price variance report:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania raportu');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setView('lista');
+    setSelected(null);
+    setReport(null);
+    loadOrders();
+    if (orderDraft) {
+      setForm({
+        ...emptyForm(),
+        sprzedawca: orderDraft.sprzedawca,
+        supplier_id: orderDraft.supplier_id,
+        waluta: orderDraft.waluta,
+        pozycje: orderDraft.pozycje.map((item) => ({
+          kod: item.kod,
+          nazwa: item.nazwa,
+          kod_kreskowy: item.kod_kreskowy || '',
+          ilosc: String(item.ilosc),
+          cena: item.cena === null ? '' : formatPlMoney(item.cena),
+        })),
+      });
+      setView('formularz');
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- reload only when the modal opens
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (view !== 'formularz' || sheets.length > 0) return;
+    fetch('/api/working-sheets')
+      .then((response) => (response.ok ? response.json() : []))
+      .then((list: SheetOption[]) => setSheets(list))
+      .catch(() => setSheets([]));
+  }, [view, sheets.length]);
+
+  const searchResults = useMemo(() => {
+    const term = query.trim().toLowerCase();
+    if (!term) return [];
+    return sheets
+      .filter((sheet) => sheet.kod.toLowerCase().includes(term) || sheet.nazwa.toLowerCase().includes(term))
+      .slice(0, 20);
+  }, [query, sheets]);
+
+  const addRow = (product: SheetOption) => {
+    setForm((prev) => {
+      if (prev.pozycje.some((row) => row.kod === product.kod)) {
+        return {
+          ...prev,
+          pozycje: prev.pozycje.map((row) => (
+            row.kod === product.kod ? { ...row, ilosc: String((parseInt(row.ilosc, 10) || 0) + 1) } : row
+          )),
+        };
+      }
+      return {
+        ...prev,
+        pozycje: [...prev.pozycje, { kod: product.kod, nazwa: product.nazwa, kod_kreskowy: product.kod_kreskowy || '', ilosc: '1', cena: '' }],
+      };
+    });
+    setQuery('');
+  };
+
+  const handleScannedProduct = (product: BarcodeProduct) => addRow(product);
+
+  const updateRow = (index: number, changes: Partial<FormRow>) => {
+    setForm((prev) => ({ ...prev, pozycje: prev.pozycje.map((row, i) => (i === index ? { ...row, ...changes } : row)) }));
+  };
+
+  const startEdit = (order: PurchaseOrder) => {
+    setForm({
+      id: order.id,
+      sprzedawca: order.sprzedawca,
+      supplier_id: order.supplier_id,
+      waluta: order.waluta,
+      data_zamowienia: order.data_zamowienia,
+      data_dostawy: order.data_dostawy || '',
+      uwagi: order.uwagi || '',
+      pozycje: order.pozycje.map((item) => ({
+        kod: item.kod,
+        nazwa: item.nazwa,
+        kod_kreskowy: item.kod_kreskowy || '',
+        ilosc: String(item.ilosc),
+        cena: formatPlMoney(item.cena),
+      })),
+    });
+    setView('formularz');
+  };
+
+  const handleSave = async () => {
+    if (form.pozycje.length === 0) {
+      toast.error('Dodaj co najmniej jedną pozycję');
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const response = await fetch(form.id ? `/api/purchase-orders/${form.id}` : '/api/purchase-orders', {
+        method: form.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sprzedawca: form.sprzedawca,
+          supplier_id: form.supplier_id,
+          waluta: form.waluta,
+          data_zamowienia: form.data_zamowienia,
+          data_dostawy: form.data_dostawy || null,
+          uwagi: form.uwagi,
+          pozycje: form.pozycje.map((row) => ({
+            kod: row.kod,
+            nazwa: row.nazwa,
+            kod_kreskowy: row.kod_kreskowy,
+            ilosc: parseInt(row.ilosc, 10) || 0,
+            cena: parsePlNumber(row.cena),
+          })),
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      toast.success(form.id ? `Zamówienie ${data.numer} zapisane` : `Zamówienie ${data.numer} utworzone`);
+      setSelected(data);
+      setView('szczegoly');
+      loadOrders();
+    } catch (error) {
+      console.error('Error saving purchase order:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu zamówienia');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleClose = async (order: PurchaseOrder, zamkniete: boolean) => {
+    if (zamkniete && !window.confirm(`Zamknąć zamówienie ${order.numer}? Pozostałe ilości nie będą już oczekiwane.`)) return;
+    try {
+      const response = await fetch(`/api/purchase-orders/${order.id}/close`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ zamkniete }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setSelected(data);
+      loadOrders();
+    } catch (error) {
+      console.error('Error closing purchase order:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zamykania zamówienia');
+    }
+  };
+
+  const handleDelete = async (order: PurchaseOrder) => {
+    if (!window.confirm(`Usunąć zamówienie ${order.numer}?`)) return;
+    try {
+      const response = await fetch(`/api/purchase-orders/${order.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      toast.success(`Zamówienie ${order.numer} usunięte`);
+      setSelected(null);
+      setView('lista');
+      loadOrders();
+    } catch (error) {
+      console.error('Error deleting purchase order:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd usuwania zamówienia');
+    }
+  };
+
+  const handleCreateReceipt = async (order: PurchaseOrder) => {
+    try {
+      const response = await fetch(`/api/purchase-orders/${order.id}/receipt-draft`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      onCreateReceipt(data);
+    } catch (error) {
+      console.error('Error loading receipt draft:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd przygotowania przyjęcia');
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+  const primaryButtonClassName = 'px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed';
+  const secondaryButtonClassName = 'px-4 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none';
+  const formTotal = form.pozycje.reduce((sum, row) => sum + (parseInt(row.ilosc, 10) || 0) * parsePlNumber(row.cena), 0);
+  const isOpenOrder = (order: PurchaseOrder) => order.status === 'otwarte' || order.status === 'częściowo_przyjęte';
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '960px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '85vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <div className="flex items-center gap-4">
+            <h2 className="text-base font-semibold text-gray-800">Zamówienia zakupu</h2>
+            <button
+              onClick={() => setView('lista')}
+              className={`text-xs ${view === 'odchylenia' ? 'text-gray-500 hover:text-gray-700' : 'text-blue-600'}`}
+            >
+              Zamówienia
+            </button>
+            <button
+              onClick={() => {
+                setView('odchylenia');
+                loadReport();
+              }}
+              className={`text-xs ${view === 'odchylenia' ? 'text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              Odchylenia cen
+            </button>
+          </div>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        {view === 'lista' && (
+          <>
+            <div className="flex justify-between items-center mb-3">
+              <select
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  loadOrders(e.target.value);
+                }}
+                className="px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none"
+              >
+                <option value="oczekujace">Oczekujące na dostawę</option>
+                <option value="">Wszystkie</option>
+                {(Object.keys(PURCHASE_ORDER_STATUS_LABELS) as PurchaseOrderStatus[]).map((status) => (
+                  <option key={status} value={status}>{PURCHASE_ORDER_STATUS_LABELS[status]}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => {
+                  setForm(emptyForm());
+                  setView('formularz');
+                }}
+                className={primaryButtonClassName}
+              >
+                Nowe zamówienie
+              </button>
+            </div>
+            {isLoading ? (
+              <p className="text-xs text-gray-500">Ładowanie...</p>
+            ) : orders.length === 0 ? (
+              <p className="text-xs text-gray-500">Brak zamówień</p>
+            ) : (
+              <div className="max-h-[55vh] overflow-y-auto">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr className="text-gray-700">
+                      <th className="px-2 py-1 text-left font-bold">Numer</th>
+                      <th className="px-2 py-1 text-left font-bold">Dostawca</th>
+                      <th className="px-2 py-1 text-left font-bold">Data</th>
+                      <th className="px-2 py-1 text-left font-bold">Oczekiwana dostawa</th>
+                      <th className="px-2 py-1 text-right font-bold">Wartość</th>
+                      <th className="px-2 py-1 text-right font-bold">Przyjęto / zamówiono</th>
+                      <th className="px-2 py-1 text-left font-bold">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {orders.map((order) => {
+                      const isLate = isOpenOrder(order) && order.data_dostawy !== null && order.data_dostawy < today();
+                      return (
+                        <tr key={order.id} onClick={() => openDetails(order.id)} className="cursor-pointer hover:bg-blue-50">
+                          <td className="px-2 py-1 text-gray-900">{order.numer}</td>
+                          <td className="px-2 py-1 text-gray-900">{order.sprzedawca}</td>
+                          <td className="px-2 py-1 text-gray-600">{order.data_zamowienia}</td>
+                          <td className={`px-2 py-1 ${isLate ? 'text-red-600 font-semibold' : 'text-gray-600'}`}>
+                            {order.data_dostawy || '—'}
+                          </td>
+                          <td className="px-2 py-1 text-right text-gray-900">
+                            {formatPlMoney(order.podsumowanie.wartosc)} {order.waluta}
+                          </td>
+                          <td className="px-2 py-1 text-right text-gray-600">
+                            {order.podsumowanie.ilosc_przyjeta} / {order.podsumowanie.ilosc}
+                          </td>
+                          <td className="px-2 py-1"><StatusBadge status={order.status} /></td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+
+        {view === 'szczegoly' && selected && (
+          <>
+            <div className="flex justify-between items-start mb-3">
+              <div className="text-xs text-gray-700 space-y-0.5">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-semibold text-gray-900">{selected.numer}</span>
+                  <StatusBadge status={selected.status} />
+                </div>
+                <div>Dostawca: <span className="text-gray-900">{selected.sprzedawca}</span></div>
+                <div>
+                  Data zamówienia: {selected.data_zamowienia} · Oczekiwana dostawa: {selected.data_dostawy || '—'} · Waluta: {selected.waluta}
+                </div>
+                {selected.uwagi && <div>Uwagi: {selected.uwagi}</div>}
+              </div>
+              <div className="flex gap-2">
+                {isOpenOrder(selected) && (
+                  <button onClick={() => handleCreateReceipt(selected)} className={primaryButtonClassName}>
+                    Przyjmij dostawę
+                  </button>
+                )}
+                {!selected.zamkniete && (
+                  <button onClick={() => startEdit(selected)} className={secondaryButtonClassName}>Edytuj</button>
+                )}
+                {isOpenOrder(selected) && (
+                  <button onClick={() => handleClose(selected, true)} className={secondaryButtonClassName}>Zamknij</button>
+                )}
+                {selected.zamkniete === 1 && (
+                  <button onClick={() => handleClose(selected, false)} className={secondaryButtonClassName}>Otwórz ponownie</button>
+                )}
+                {(selected.przyjecia || []).length === 0 && (
+                  <button onClick={() => handleDelete(selected)} className="px-4 py-1.5 text-xs text-red-600 bg-white border border-red-300 rounded-md hover:bg-red-50 focus:outline-none">
+                    Usuń
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="max-h-[35vh] overflow-y-auto">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr className="text-gray-700">
+                    <th className="px-2 py-1 text-left font-bold">Kod</th>
+                    <th className="px-2 py-1 text-left font-bold">Nazwa</th>
+                    <th className="px-2 py-1 text-right font-bold">Cena ({selected.waluta})</th>
+                    <th className="px-2 py-1 text-right font-bold">Zamówiono</th>
+                    <th className="px-2 py-1 text-right font-bold">Przyjęto</th>
+                    <th className="px-2 py-1 text-right font-bold">Pozostało</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {selected.pozycje.map((item) => (
+                    <tr key={item.kod}>
+                      <td className="px-2 py-1 text-gray-900">{item.kod}</td>
+                      <td className="px-2 py-1 text-gray-600">{item.nazwa}</td>
+                      <td className="px-2 py-1 text-right text-gray-900">{formatPlMoney(item.cena)}</td>
+                      <td className="px-2 py-1 text-right text-gray-900">{item.ilosc}</td>
+                      <td className={`px-2 py-1 text-right ${item.ilosc_przyjeta > item.ilosc ? 'text-red-600' : 'text-gray-900'}`}>
+                        {item.ilosc_przyjeta}
+                      </td>
+                      <td className={`px-2 py-1 text-right font-semibold ${item.ilosc_pozostala > 0 ? 'text-amber-700' : 'text-green-700'}`}>
+                        {item.ilosc_pozostala}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {selected.poza_zamowieniem.length > 0 && (
+              <p className="mt-2 text-[11px] text-amber-700">
+                Przyjęto spoza zamówienia: {selected.poza_zamowieniem.map((item) => `${item.kod} (${item.ilosc} szt.)`).join(', ')}
+              </p>
+            )}
+
+            <div className="mt-3 text-xs text-gray-700">
+              <span className="font-semibold">Przyjęcia: </span>
+              {(selected.przyjecia || []).length === 0
+                ? 'brak'
+                : (selected.przyjecia || [])
+                  .map((receipt) => `${receipt.dataPrzyjecia} (${formatPlMoney(receipt.wartosc)} ${receipt.waluta_faktury})`)
+                  .join(', ')}
+            </div>
+
+            <div className="flex justify-between items-center mt-4">
+              <button onClick={() => setView('lista')} className={secondaryButtonClassName}>Wróć do listy</button>
+              <button
+                onClick={() => {
+                  setReport(null);
+                  setView('odchylenia');
+                  fetch(`/api/purchase-orders/price-variance?purchase_order_id=${selected.id}`)
+                    .then((response) => (response.ok ? response.json() : null))
+                    .then((data: PriceVarianceReport | null) => setReport(data))
+                    .catch(() => setReport(null));
+                }}
+                className="text-xs text-blue-600 hover:text-blue-800 focus:outline-none"
+              >
+                Odchylenia cen tego zamówienia
+              </button>
+            </div>
+
+            <AuditHistoryPanel entityType="purchase_order" entityId={selected.id} />
+          </>
+        )}
+
+        {view === 'formularz' && (
+          <>
+            <div className="grid grid-cols-4 gap-3 mb-3">
+              <div className="col-span-2">
+                <label className="block text-xs font-medium text-gray-700 mb-1">Dostawca</label>
+                <SupplierInput
+                  value={form.sprzedawca}
+                  onChange={(nazwa, supplier) =>
+                    setForm({
+                      ...form,
+                      sprzedawca: nazwa,
+                      supplier_id: supplier ? supplier.id : null,
+                      // Nowe zamówienie przejmuje walutę rozliczeń dostawcy
+                      waluta: supplier && !form.id ? supplier.waluta : form.waluta,
+                    })
+                  }
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Data zamówienia</label>
+                <input
+                  type="date"
+                  value={form.data_zamowienia}
+                  onChange={(e) => setForm({ ...form, data_zamowienia: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Oczekiwana dostawa</label>
+                <input
+                  type="date"
+                  value={form.data_dostawy}
+                  min={form.data_zamowienia}
+                  onChange={(e) => setForm({ ...form, data_dostawy: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Waluta dostawcy</label>
+                <select
+                  value={form.waluta}
+                  onChange={(e) => setForm({ ...form, waluta: e.target.value as WalutaFaktury })}
+                  className={inputClassName}
+                >
+                  {WALUTY_FAKTURY.map((waluta) => (
+                    <option key={waluta} value={waluta}>{waluta}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-span-3">
+                <label className="block text-xs font-medium text-gray-700 mb-1">Uwagi</label>
+                <input
+                  type="text"
+                  value={form.uwagi}
+                  onChange={(e) => setForm({ ...form, uwagi: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+
+            <div className="flex items-start gap-3 mb-3">
+              <div className="relative flex-1">
+                <input
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="Szukaj w kartotece po kodzie lub nazwie..."
+                  className={inputClassName}
+                />
+                {searchResults.length > 0 && (
+                  <div className="absolute z-10 mt-1 w-full max-h-48 overflow-y-auto bg-white border border-gray-200 rounded-md shadow divide-y divide-gray-100">
+                    {searchResults.map((sheet) => (
+                      <button
+                        key={sheet.kod}
+                        type="button"
+                        onClick={() => addRow(sheet)}
+                        className="w-full text-left px-3 py-1.5 text-xs hover:bg-blue-50"
+                      >
+                        <span className="text-gray-900">{sheet.nazwa}</span>
+                        <span className="ml-2 text-[10px] text-gray-500">{sheet.kod}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <BarcodeScanInput onProduct={handleScannedProduct} hint="Każdy skan dodaje 1 szt." />
+            </div>
+
+            {form.pozycje.length === 0 ? (
+              <p className="text-xs text-gray-500">Brak pozycji</p>
+            ) : (
+              <div className="max-h-[35vh] overflow-y-auto">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr className="text-gray-700">
+                      <th className="px-2 py-1 text-left font-bold">Kod</th>
+                      <th className="px-2 py-1 text-left font-bold">Nazwa</th>
+                      <th className="px-2 py-1 text-right font-bold">Ilość</th>
+                      <th className="px-2 py-1 text-right font-bold">Cena ({form.waluta})</th>
+                      <th className="px-2 py-1 text-right font-bold">Wartość</th>
+                      <th className="px-2 py-1"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {form.pozycje.map((row, index) => (
+                      <tr key={row.kod}>
+                        <td className="px-2 py-1 text-gray-900">{row.kod}</td>
+                        <td className="px-2 py-1 text-gray-600">{row.nazwa}</td>
+                        <td className="px-2 py-1 text-right">
+                          <input
+                            type="number"
+                            min={1}
+                            value={row.ilosc}
+                            onChange={(e) => updateRow(index, { ilosc: e.target.value })}
+                            className="w-20 px-2 py-0.5 border border-gray-300 rounded text-xs text-right focus:outline-none focus:ring-1 focus:ring-blue-500"
+                          />
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          <input
+                            type="text"
+                            inputMode="decimal"
+                            value={row.cena}
+                            placeholder="0,00"
+                            onChange={(e) => updateRow(index, { cena: e.target.value })}
+                            className="w-24 px-2 py-0.5 border border-gray-300 rounded text-xs text-right focus:outline-none focus:ring-1 focus:ring-blue-500"
+                          />
+                        </td>
+                        <td className="px-2 py-1 text-right text-gray-900">
+                          {formatPlMoney((parseInt(row.ilosc, 10) || 0) * parsePlNumber(row.cena))}
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          <button
+                            onClick={() => setForm({ ...form, pozycje: form.pozycje.filter((_, i) => i !== index) })}
+                            className="text-red-500 hover:text-red-700 focus:outline-none"
+                            title="Usuń pozycję"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="flex justify-between items-center mt-4">
+              <span className="text-xs text-gray-700">
+                Razem: <span className="font-semibold">{formatPlMoney(formTotal)} {form.waluta}</span>
+              </span>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => setView(form.id && selected ? 'szczegoly' : 'lista')}
+                  className={secondaryButtonClassName}
+                >
+                  Anuluj
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={isSaving || !form.sprzedawca.trim() || form.pozycje.length === 0}
+                  className={primaryButtonClassName}
+                >
+                  {isSaving ? 'Zapisywanie...' : 'Zapisz zamówienie'}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+
+        {view === 'odchylenia' && (
+          <>
+            <div className="flex items-end gap-3 mb-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Przyjęcia od</label>
+                <input type="date" value={reportOd} onChange={(e) => setReportOd(e.target.value)} className={inputClassName} />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">do</label>
+                <input type="date" value={reportDo} onChange={(e) => setReportDo(e.target.value)} className={inputClassName} />
+              </div>
+              <button onClick={loadReport} className={primaryButtonClassName}>Pokaż</button>
+            </div>
+            <p className="mb-2 text-[11px] text-gray-500">
+              Cena z przyjęcia po rabacie, przeliczona na walutę zamówienia po kursach przyjęcia.
+            </p>
+            {isLoading && !report ? (
+              <p className="text-xs text-gray-500">Ładowanie...</p>
+            ) : !report || report.pozycje.length === 0 ? (
+              <p className="text-xs text-gray-500">Brak przyjęć powiązanych z zamówieniami</p>
+            ) : (
+              <>
+                <div className="max-h-[45vh] overflow-y-auto">
+                  <table className="w-full text-xs">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr className="text-gray-700">
+                        <th className="px-2 py-1 text-left font-bold">Zamówienie</th>
+                        <th className="px-2 py-1 text-left font-bold">Przyjęcie</th>
+                        <th className="px-2 py-1 text-left font-bold">Produkt</th>
+                        <th className="px-2 py-1 text-right font-bold">Ilość</th>
+                        <th className="px-2 py-1 text-right font-bold">Cena zamówienia</th>
+                        <th className="px-2 py-1 text-right font-bold">Cena przyjęcia</th>
+                        <th className="px-2 py-1 text-right font-bold">Różnica</th>
+                        <th className="px-2 py-1 text-right font-bold">Wartość różnicy</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {report.pozycje.map((row) => {
+                        const color = row.roznica === null || row.roznica === 0
+                          ? 'text-gray-900'
+                          : row.roznica > 0 ? 'text-red-600' : 'text-green-700';
+                        return (
+                          <tr key={`${row.receipt_id}-${row.kod}`}>
+                            <td className="px-2 py-1 text-gray-900">
+                              {row.numer_zamowienia}
+                              <div className="text-[10px] text-gray-500">{row.sprzedawca}</div>
+                            </td>
+                            <td className="px-2 py-1 text-gray-600">{row.data_przyjecia}</td>
+                            <td className="px-2 py-1 text-gray-900">
+                              {row.kod}
+                              <div className="text-[10px] text-gray-500">{row.nazwa}</div>
+                            </td>
+                            <td className="px-2 py-1 text-right text-gray-900">{row.ilosc}</td>
+                            <td className="px-2 py-1 text-right text-gray-900">{formatPlMoney(row.cena_zamowienia)} {row.waluta}</td>
+                            <td className="px-2 py-1 text-right text-gray-900">
+                              {row.cena_przyjecia === null ? '—' : `${formatPlMoney(row.cena_przyjecia)} ${row.waluta}`}
+                              {row.waluta_faktury !== row.waluta && (
+                                <div className="text-[10px] text-gray-500">{formatPlMoney(row.cena_faktury)} {row.waluta_faktury}</div>
+                              )}
+                            </td>
+                            <td className={`px-2 py-1 text-right ${color}`}>
+                              {row.roznica === null ? 'brak kursu' : `${row.roznica > 0 ? '+' : ''}${formatPlMoney(row.roznica)}`}
+                              {row.roznica_proc !== null && (
+                                <div className="text-[10px]">{row.roznica_proc > 0 ? '+' : ''}{formatPlMoney(row.roznica_proc)}%</div>
+                              )}
+                            </td>
+                            <td className={`px-2 py-1 text-right ${color}`}>
+                              {row.wartosc_roznicy === null ? '—' : `${row.wartosc_roznicy > 0 ? '+' : ''}${formatPlMoney(row.wartosc_roznicy)}`}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="mt-3 text-xs text-gray-700 space-y-0.5">
+                  {report.podsumowanie.waluty.map((summary) => (
+                    <div key={summary.waluta}>
+                      {summary.waluta}: {summary.pozycje} poz. (drożej {summary.drozej}, taniej {summary.taniej}), łączna różnica{' '}
+                      <span className={`font-semibold ${summary.wartosc_roznicy > 0 ? 'text-red-600' : summary.wartosc_roznicy < 0 ? 'text-green-700' : ''}`}>
+                        {summary.wartosc_roznicy > 0 ? '+' : ''}{formatPlMoney(summary.wartosc_roznicy)} {summary.waluta}
+                      </span>
+                    </div>
+                  ))}
+                  {report.podsumowanie.bez_kursu > 0 && (
+                    <div className="text-amber-700">
+                      Bez kursu do przeliczenia: {report.podsumowanie.bez_kursu} poz.
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
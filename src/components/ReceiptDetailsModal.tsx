@@ -5,6 +5,8 @@ import { ProductDetailsModal } from './ProductDetailsModal';
 import { API_URL } from '../config';
 import { getWalutaSymbol, normalizeWalutaFaktury } from '../utils/receiptCurrency';
 import { SortableTh } from './SortIndicator';
+import { AuditHistoryPanel } from './AuditHistoryPanel';
+import { ReceiptStampsPanel } from './ReceiptStampsPanel';
 import { getReceiptProductSortValue, useTableSort } from '../utils/tableSort';
 
 interface ProductReceipt {
@@ -319,6 +321,8 @@ export const ReceiptDetailsModal: React.FC<ReceiptDetailsModalProps> = ({ isOpen
               </tbody>
             </table>
           </div>
+          <ReceiptStampsPanel receiptId={receipt?.id} />
+          <AuditHistoryPanel entityType="product_receipt" entityId={receipt?.id} />
         </div>
         <button
           onClick={onClose}
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Trash2 } from 'lucide-react';
+import { useAuth } from './AuthProvider';
+import { formatStampRange, ReceiptStamps } from '../types/ExciseStamp';
+
+interface ReceiptStampsPanelProps {
+  receiptId?: number;
+}
+
+const EMPTY_RANGE = { seria: '', numer_od: '', numer_do: '' };
+
+/** Banderole naklejone na partie przyjęcia: zakresy wg pozycji, uzupełnianie braków i zwalnianie. */
+export const ReceiptStampsPanel: React.FC<ReceiptStampsPanelProps> = ({ receiptId }) => {
+  const { user } = useAuth();
+  const canEdit = user?.rola === 'admin' || user?.rola === 'magazyn';
+  const [stamps, setStamps] = useState<ReceiptStamps | null>(null);
+  // Formularz zakresu per kod
+  const [ranges, setRanges] = useState<Record<string, typeof EMPTY_RANGE>>({});
+
+  const loadStamps = async () => {
+    if (!receiptId) return;
+    try {
+      const response = await fetch(`/api/excise-stamps/receipts/${receiptId}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Błąd ładowania banderol');
+      setStamps(data);
+    } catch (error) {
+      console.error('Error loading receipt excise stamps:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania banderol');
+    }
+  };
+
+  useEffect(() => {
+    setStamps(null);
+    setRanges({});
+    loadStamps();
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- reload on receipt change only
+  }, [receiptId]);
+
+  const assign = async (kod: string) => {
+    const range = ranges[kod] || EMPTY_RANGE;
+    try {
+      const response = await fetch('/api/excise-stamps/usages', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rodzaj: 'naklejona', receipt_id: receiptId, kod, ...range }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(Array.isArray(data.errors) ? data.errors.join('; ') : data.error || 'Błąd przydziału banderol');
+      }
+      toast.success('Banderole zostały przydzielone');
+      setRanges({ ...ranges, [kod]: EMPTY_RANGE });
+      loadStamps();
+    } catch (error) {
+      console.error('Error assigning excise stamps:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd przydziału banderol');
+    }
+  };
+
+  const release = async (id: number, label: string) => {
+    if (!window.confirm(`Zwolnić banderole ${label}? Wrócą do zapasu.`)) return;
+    try {
+      const response = await fetch(`/api/excise-stamps/usages/${id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Błąd zwalniania banderol');
+      toast.success('Banderole wróciły do zapasu');
+      loadStamps();
+    } catch (error) {
+      console.error('Error releasing excise stamps:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zwalniania banderol');
+    }
+  };
+
+  if (!stamps || stamps.pozycje.length === 0) return null;
+
+  const inputClassName = 'px-1.5 py-0.5 border border-gray-300 rounded text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-md">
+      <div className="px-3 py-2 bg-gray-50 rounded-t-md text-xs font-semibold text-gray-900">Banderole</div>
+      <table className="w-full text-xs">
+        <tbody className="divide-y divide-gray-100">
+          {stamps.pozycje.map((pozycja) => {
+            const range = ranges[pozycja.kod] || EMPTY_RANGE;
+            const setRange = (field: keyof typeof EMPTY_RANGE, value: string) =>
+              setRanges({ ...ranges, [pozycja.kod]: { ...range, [field]: value } });
+            return (
+              <tr key={pozycja.kod} className="align-top">
+                <td className="px-2 py-1 w-[180px]">
+                  {pozycja.kod}
+                  <div className="text-[10px] text-gray-500">{pozycja.nazwa}</div>
+                </td>
+                <td className={`px-2 py-1 w-[120px] ${pozycja.brakuje > 0 || pozycja.przydzielone > pozycja.ilosc ? 'text-red-600 font-semibold' : 'text-green-700'}`}>
+                  {pozycja.przydzielone} / {pozycja.ilosc} szt.
+                </td>
+                <td className="px-2 py-1">
+                  <div className="flex flex-wrap gap-2">
+                    {pozycja.zakresy.map((zakres) => (
+                      <span key={zakres.id} className="inline-flex items-center gap-1 px-1.5 py-0.5 bg-gray-100 rounded">
+                        {formatStampRange(zakres)}
+                        {canEdit && (
+                          <button
+                            onClick={() => release(zakres.id, formatStampRange(zakres))}
+                            className="text-red-500 hover:text-red-700 focus:outline-none"
+                            title="Zwolnij"
+                          >
+                            <Trash2 size={12} />
+                          </button>
+                        )}
+                      </span>
+                    ))}
+                  </div>
+                  {canEdit && pozycja.brakuje > 0 && (
+                    <form
+                      className="flex items-center gap-1.5 mt-1"
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        assign(pozycja.kod);
+                      }}
+                    >
+                      <input
+                        type="text"
+                        placeholder="Seria"
+                        value={range.seria}
+                        onChange={(e) => setRange('seria', e.target.value.toUpperCase())}
+                        className={`w-16 ${inputClassName}`}
+                        required
+                      />
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        placeholder="Od"
+                        value={range.numer_od}
+                        onChange={(e) => setRange('numer_od', e.target.value.replace(/\D/g, ''))}
+                        className={`w-24 ${inputClassName}`}
+                        required
+                      />
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        placeholder="Do"
+                        value={range.numer_do}
+                        onChange={(e) => setRange('numer_do', e.target.value.replace(/\D/g, ''))}
+                        className={`w-24 ${inputClassName}`}
+                        required
+                      />
+                      <button
+                        type="submit"
+                        className="px-2 py-0.5 bg-blue-600 text-white text-xs rounded hover:bg-blue-700 focus:outline-none"
+                      >
+                        Przydziel
+                      </button>
+                      <span className="text-[11px] text-red-600">brakuje {pozycja.brakuje}</span>
+                    </form>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
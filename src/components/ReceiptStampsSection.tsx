@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { PROG_BANDEROLI, ReceiptStampCheck, ReceiptStampDraft } from '../types/ExciseStamp';
+
+interface ReceiptStampsSectionProps {
+  /** Pozycje przyjęcia; zawartosc_alkoholu (% obj.) z formularza ma pierwszeństwo przed kartoteką */
+  products: Array<{ kod: string; ilosc: number; typ?: string; zawartosc_alkoholu?: string }>;
+  /** Edycja przyjęcia: banderole już naklejone na nim liczą się jako przydzielone */
+  receiptId?: number;
+  value: ReceiptStampDraft[];
+  onChange: (value: ReceiptStampDraft[]) => void;
+  /** Komunikat blokujący zapis przyjęcia (braki / błędne zakresy) lub null */
+  onStatusChange: (message: string | null) => void;
+}
+
+/**
+ * Banderole w formularzu przyjęcia: pozycje powyżej 22% alkoholu wymagają zakresów banderol
+ * z zapasu (seria, numer od–do); „Z zapasu” podpowiada wolne numery z najstarszych rolek.
+ */
+export const ReceiptStampsSection: React.FC<ReceiptStampsSectionProps> = ({ products, receiptId, value, onChange, onStatusChange }) => {
+  const [check, setCheck] = useState<ReceiptStampCheck | null>(null);
+  const requestKey = JSON.stringify({ products, receiptId, value });
+
+  useEffect(() => {
+    if (products.length === 0) {
+      setCheck(null);
+      onStatusChange(null);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/excise-stamps/check', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ products, banderole: value, receipt_id: receiptId }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || 'Błąd sprawdzania banderol');
+        setCheck(data);
+        const wymaganeKody = new Set((data as ReceiptStampCheck).wymagane.map((pozycja) => pozycja.kod));
+        if (value.some((draft) => !wymaganeKody.has(draft.kod))) {
+          onChange(value.filter((draft) => wymaganeKody.has(draft.kod)));
+          return;
+        }
+        const messages = [
+          ...(data as ReceiptStampCheck).bez_zawartosci.map((kod) => `${kod}: podaj zawartość alkoholu (% obj.)`),
+          ...(data as ReceiptStampCheck).braki.map((brak) => `${brak.kod}: brakuje ${brak.brakuje} banderol`),
+          ...(data as ReceiptStampCheck).errors,
+        ];
+        onStatusChange(messages.length > 0 ? messages.join('; ') : null);
+      } catch (error) {
+        console.error('Error checking receipt excise stamps:', error);
+        onStatusChange(null); // ostatecznie sprawdzi serwer przy zapisie
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- requestKey covers products, receiptId and value
+  }, [requestKey]);
+
+  if (!check || check.wymagane.length === 0) return null;
+
+  const updateDraft = (index: number, field: keyof ReceiptStampDraft, fieldValue: string) =>
+    onChange(value.map((draft, i) => (i === index ? { ...draft, [field]: fieldValue } : draft)));
+
+  const fillFromStock = (kod: string) => {
+    const podpowiedzi = check.podpowiedzi[kod] || [];
+    onChange([
+      ...value,
+      ...podpowiedzi.map((range) => ({ kod, seria: range.seria, numer_od: String(range.numer_od), numer_do: String(range.numer_do) })),
+    ]);
+  };
+
+  const inputClassName = 'px-1.5 py-0.5 border border-gray-300 rounded text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  return (
+    <div className="shrink-0 mt-3 border border-amber-300 rounded-md bg-amber-50/40 px-3 py-2 font-sora">
+      <div className="text-xs font-semibold text-gray-900 mb-1">
+        Banderole <span className="font-normal text-gray-500">— wyroby powyżej {PROG_BANDEROLI}% alkoholu</span>
+      </div>
+      <div className="flex flex-col gap-2">
+        {check.wymagane.map((pozycja) => {
+          const brak = check.braki.find((item) => item.kod === pozycja.kod);
+          const podpowiedzi = check.podpowiedzi[pozycja.kod] || [];
+          return (
+            <div key={pozycja.kod} className="text-xs">
+              <div className="flex items-center gap-2">
+                <span className="font-medium text-gray-900">{pozycja.kod}</span>
+                <span className="text-gray-500">{pozycja.nazwa}</span>
+                <span className={brak ? 'text-red-600' : 'text-green-700'}>
+                  {pozycja.przydzielone} / {pozycja.ilosc} szt.
+                </span>
+                <button
+                  type="button"
+                  onClick={() => onChange([...value, { kod: pozycja.kod, seria: '', numer_od: '', numer_do: '' }])}
+                  className="inline-flex items-center gap-0.5 text-blue-600 hover:text-blue-800 focus:outline-none"
+                >
+                  <Plus size={12} /> zakres
+                </button>
+                {brak && podpowiedzi.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => fillFromStock(pozycja.kod)}
+                    className="text-blue-600 hover:text-blue-800 underline focus:outline-none"
+                  >
+                    Z zapasu
+                  </button>
+                )}
+                {brak && podpowiedzi.reduce((sum, range) => sum + range.ilosc, 0) < brak.brakuje && (
+                  <span className="text-red-600">za mało wolnych banderol w zapasie</span>
+                )}
+              </div>
+              {value.map((draft, index) => draft.kod === pozycja.kod && (
+                <div key={index} className="flex items-center gap-1.5 mt-1 ml-4">
+                  <input
+                    type="text"
+                    placeholder="Seria"
+                    value={draft.seria}
+                    onChange={(e) => updateDraft(index, 'seria', e.target.value.toUpperCase())}
+                    className={`w-16 ${inputClassName}`}
+                  />
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    placeholder="Od"
+                    value={draft.numer_od}
+                    onChange={(e) => updateDraft(index, 'numer_od', e.target.value.replace(/\D/g, ''))}
+                    className={`w-24 ${inputClassName}`}
+                  />
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    placeholder="Do"
+                    value={draft.numer_do}
+                    onChange={(e) => updateDraft(index, 'numer_do', e.target.value.replace(/\D/g, ''))}
+                    className={`w-24 ${inputClassName}`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => onChange(value.filter((_, i) => i !== index))}
+                    className="text-red-500 hover:text-red-700 focus:outline-none"
+                    title="Usuń"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          );
+        })}
+        {check.errors.length > 0 && (
+          <ul className="text-[11px] text-red-600 list-disc ml-4">
+            {check.errors.map((message) => <li key={message}>{message}</li>)}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
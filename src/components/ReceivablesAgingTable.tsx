@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+
+interface AgingRow {
+  client_id: number | null;
+  klient_nazwa: string;
+  biezace: number;
+  '0_30': number;
+  '31_60': number;
+  '61_90': number;
+  '90_plus': number;
+  razem: number;
+}
+
+interface AgingReport {
+  buckets: { key: '0_30' | '31_60' | '61_90' | '90_plus'; label: string }[];
+  clients: AgingRow[];
+  totals: Omit<AgingRow, 'client_id' | 'klient_nazwa'>;
+}
+
+interface ReceivablesAgingTableProps {
+  clientId?: number | null;
+  refreshTrigger?: number;
+}
+
+const formatAmount = (value: number) =>
+  value ? `${value.toFixed(2).replace('.', ',')} zł` : '—';
+
+export const ReceivablesAgingTable: React.FC<ReceivablesAgingTableProps> = ({ clientId, refreshTrigger }) => {
+  const [report, setReport] = useState<AgingReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const query = clientId ? `?client_id=${clientId}` : '';
+    fetch(`/api/receivables/aging${query}`)
+      .then((res) => {
+        if (!res.ok) throw new Error('Błąd ładowania należności');
+        return res.json();
+      })
+      .then((data: AgingReport) => {
+        if (!cancelled) {
+          setReport(data);
+          setError(null);
+        }
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e instanceof Error ? e.message : 'Błąd ładowania należności');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [clientId, refreshTrigger]);
+
+  if (error) return <div className="text-xs text-red-500 font-sora">{error}</div>;
+  if (!report) return <div className="text-xs text-gray-500 font-sora">Ładowanie należności...</div>;
+  if (report.totals.razem === 0) {
+    return <div className="text-xs text-gray-500 font-sora">Brak nieopłaconych faktur</div>;
+  }
+
+  // Для одного клиента показываем только строку итогов
+  const rows = clientId ? [] : report.clients;
+
+  return (
+    <table className="w-full text-xs font-sora">
+      <thead>
+        <tr className="bg-gray-50 text-gray-700">
+          <th className="px-2 py-1 text-left font-bold">{clientId ? '' : 'Klient'}</th>
+          <th className="px-2 py-1 text-right font-bold">Bieżące</th>
+          {report.buckets.map((b) => (
+            <th key={b.key} className="px-2 py-1 text-right font-bold">{b.label} dni</th>
+          ))}
+          <th className="px-2 py-1 text-right font-bold">Razem</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100">
+        {rows.map((row) => (
+          <tr key={row.client_id ?? row.klient_nazwa}>
+            <td className="px-2 py-1 text-gray-900">{row.klient_nazwa || '—'}</td>
+            <td className="px-2 py-1 text-right text-gray-600">{formatAmount(row.biezace)}</td>
+            {report.buckets.map((b) => (
+              <td key={b.key} className={`px-2 py-1 text-right ${row[b.key] ? 'text-red-600' : 'text-gray-600'}`}>
+                {formatAmount(row[b.key])}
+              </td>
+            ))}
+            <td className="px-2 py-1 text-right font-semibold text-gray-900">{formatAmount(row.razem)}</td>
+          </tr>
+        ))}
+        <tr className="font-semibold">
+          <td className="px-2 py-1 text-gray-900">{clientId ? 'Należności' : 'Razem'}</td>
+          <td className="px-2 py-1 text-right text-gray-900">{formatAmount(report.totals.biezace)}</td>
+          {report.buckets.map((b) => (
+            <td key={b.key} className={`px-2 py-1 text-right ${report.totals[b.key] ? 'text-red-600' : 'text-gray-900'}`}>
+              {formatAmount(report.totals[b.key])}
+            </td>
+          ))}
+          <td className="px-2 py-1 text-right text-gray-900">{formatAmount(report.totals.razem)}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+};
@@ -0,0 +1,279 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { FileSpreadsheet } from 'lucide-react';
+import { formatPlMoney, normalizeWalutaFaktury } from '../utils/receiptCurrency';
+import { PurchaseOrderDraft } from '../types/PurchaseOrder';
+import {
+  CZAS_DOSTAWY_ZRODLO_LABELS,
+  ReplenishmentLine,
+  ReplenishmentSupplierGroup,
+  ReplenishmentSuggestions,
+} from '../types/Replenishment';
+
+interface ReplenishmentViewProps {
+  onCreateOrder: (draft: PurchaseOrderDraft) => void;
+}
+
+type SettingsField = 'czas_dostawy_dni' | 'zapas_bezpieczenstwa';
+
+const formatZuzycie = (value: number) => (value > 0 ? value.toFixed(value >= 1 ? 2 : 3).replace('.', ',') : '-');
+
+const formatDate = (value: string | null) => (value ? new Date(`${value}T00:00:00`).toLocaleDateString('pl-PL') : '-');
+
+/**
+ * Sugerowane zamówienia według dostawców: pozycja zapasu (stan − rezerwacje + komis + zamówione)
+ * wobec punktu zamówienia; czas dostawy i zapas bezpieczeństwa edytowane w tabeli.
+ */
+export const ReplenishmentView: React.FC<ReplenishmentViewProps> = ({ onCreateOrder }) => {
+  const [okres, setOkres] = useState('30');
+  const [wszystkie, setWszystkie] = useState(false);
+  const [suggestions, setSuggestions] = useState<ReplenishmentSuggestions | null>(null);
+  // Ilości zmienione ręcznie przed utworzeniem zamówienia: kod → ilość
+  const [ilosci, setIlosci] = useState<Record<string, string>>({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const queryString = (withAll: boolean) => {
+    const params = new URLSearchParams();
+    if (okres.trim()) params.set('okres', okres.trim());
+    if (withAll) params.set('wszystkie', '1');
+    return params.toString();
+  };
+
+  const loadSuggestions = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/replenishment/suggestions?${queryString(wszystkie)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Błąd ładowania sugerowanych zamówień');
+      setSuggestions(data);
+      setIlosci({});
+    } catch (error) {
+      console.error('Error loading replenishment suggestions:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania sugerowanych zamówień');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const timer = setTimeout(loadSuggestions, 300);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- reload on parameter change only
+  }, [okres, wszystkie]);
+
+  const saveSetting = async (line: ReplenishmentLine, field: SettingsField, raw: string) => {
+    const current = field === 'czas_dostawy_dni' ? line.czas_dostawy_produktu : line.zapas_bezpieczenstwa;
+    const value = raw.trim();
+    if (value === (current === null ? '' : String(current))) return;
+    try {
+      const response = await fetch(`/api/replenishment/settings/${encodeURIComponent(line.kod)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [field]: value === '' ? null : value }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      loadSuggestions();
+    } catch (error) {
+      console.error('Error saving replenishment settings:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu ustawień');
+    }
+  };
+
+  const orderQuantity = (line: ReplenishmentLine) => {
+    const raw = ilosci[line.kod];
+    return raw === undefined ? line.sugerowana_ilosc : parseInt(raw, 10) || 0;
+  };
+
+  const createOrder = (group: ReplenishmentSupplierGroup) => {
+    const pozycje = group.pozycje
+      .filter((line) => orderQuantity(line) > 0)
+      .map((line) => ({
+        kod: line.kod,
+        nazwa: line.nazwa,
+        kod_kreskowy: line.kod_kreskowy,
+        ilosc: orderQuantity(line),
+        cena: line.cena,
+      }));
+    if (pozycje.length === 0) {
+      toast.error('Brak pozycji do zamówienia');
+      return;
+    }
+    onCreateOrder({
+      sprzedawca: group.supplier_id ? group.nazwa : '',
+      supplier_id: group.supplier_id,
+      waluta: normalizeWalutaFaktury(group.waluta || group.pozycje.find((line) => line.waluta)?.waluta),
+      pozycje,
+    });
+  };
+
+  const exportXlsx = async () => {
+    setIsExporting(true);
+    try {
+      const response = await fetch(`/api/replenishment/suggestions/xlsx?${queryString(false)}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Błąd eksportu');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `sugerowane_zamowienia_${suggestions?.parametry.data || new Date().toLocaleDateString('en-CA')}.xlsx`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => window.URL.revokeObjectURL(url), 100);
+    } catch (error) {
+      console.error('Error exporting replenishment suggestions:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd eksportu');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const cellInputClassName = 'w-14 px-1 py-0.5 border border-gray-300 rounded text-right text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  return (
+    <div className="bg-white p-4 rounded-lg border font-sora">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h2 className="text-sm font-bold text-gray-900">Sugerowane zamówienia</h2>
+          <p className="text-[11px] text-gray-500">
+            Pozycja zapasu = stan − rezerwacje + komis + zamówione; zamówienie, gdy spadnie do punktu zamówienia
+            (zużycie × czas dostawy + zapas bezpieczeństwa).
+          </p>
+        </div>
+        <div className="flex items-center gap-3 text-xs text-gray-700">
+          <label className="flex items-center gap-1.5">
+            Okres pokrycia
+            <input
+              type="number"
+              min={1}
+              max={365}
+              value={okres}
+              onChange={(e) => setOkres(e.target.value)}
+              className="w-16 px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+            />
+            dni
+          </label>
+          <label className="flex items-center gap-1.5 select-none">
+            <input type="checkbox" checked={wszystkie} onChange={(e) => setWszystkie(e.target.checked)} />
+            Wszystkie produkty ze zużyciem
+          </label>
+          <button
+            onClick={exportXlsx}
+            disabled={isExporting || !suggestions || suggestions.podsumowanie.pozycje === 0}
+            className="inline-flex items-center gap-1 px-3 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none disabled:opacity-50"
+          >
+            <FileSpreadsheet size={14} />
+            {isExporting ? 'Eksport...' : 'Eksport XLSX'}
+          </button>
+        </div>
+      </div>
+
+      {isLoading && !suggestions ? (
+        <p className="text-xs text-gray-500">Ładowanie...</p>
+      ) : !suggestions || suggestions.dostawcy.length === 0 ? (
+        <p className="text-xs text-gray-500">Brak produktów do zamówienia</p>
+      ) : (
+        <div className="flex flex-col gap-4">
+          {suggestions.dostawcy.map((group) => (
+            <div key={group.supplier_id ?? 'brak'} className="border border-gray-200 rounded-md">
+              <div className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded-t-md">
+                <div className="text-xs text-gray-900">
+                  <span className="font-semibold">{group.nazwa}</span>
+                  <span className="ml-2 text-gray-500">
+                    {group.podsumowanie.pozycje} poz. · {group.podsumowanie.ilosc} szt.
+                    {group.podsumowanie.wartosc > 0 && ` · ${formatPlMoney(group.podsumowanie.wartosc)} ${group.waluta || ''}`}
+                    {group.podsumowanie.bez_ceny > 0 && ` · ${group.podsumowanie.bez_ceny} bez ceny`}
+                  </span>
+                </div>
+                <button
+                  onClick={() => createOrder(group)}
+                  className="px-3 py-1 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors"
+                >
+                  Utwórz zamówienie
+                </button>
+              </div>
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-700">
+                    <th className="px-2 py-1 text-left font-bold">Produkt</th>
+                    <th className="px-2 py-1 text-right font-bold">Stan</th>
+                    <th className="px-2 py-1 text-right font-bold">Rezerwacje</th>
+                    <th className="px-2 py-1 text-right font-bold">Komis</th>
+                    <th className="px-2 py-1 text-right font-bold">Zamówione</th>
+                    <th className="px-2 py-1 text-right font-bold">Zużycie / dzień</th>
+                    <th className="px-2 py-1 text-right font-bold">Czas dostawy</th>
+                    <th className="px-2 py-1 text-right font-bold">Zapas bezp.</th>
+                    <th className="px-2 py-1 text-right font-bold">Punkt zam.</th>
+                    <th className="px-2 py-1 text-left font-bold">Wyczerpanie</th>
+                    <th className="px-2 py-1 text-left font-bold">Zamówić do</th>
+                    <th className="px-2 py-1 text-right font-bold">Ilość</th>
+                    <th className="px-2 py-1 text-right font-bold">Cena</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {group.pozycje.map((line) => (
+                    <tr key={line.kod} className={line.sugerowana_ilosc > 0 ? 'text-gray-900' : 'text-gray-400'}>
+                      <td className="px-2 py-1">
+                        {line.kod}
+                        <div className="text-[10px] text-gray-500">{line.nazwa}</div>
+                      </td>
+                      <td className="px-2 py-1 text-right">{line.ilosc}</td>
+                      <td className="px-2 py-1 text-right">{line.zarezerwowane || '-'}</td>
+                      <td className="px-2 py-1 text-right">{line.komis || '-'}</td>
+                      <td className="px-2 py-1 text-right">{line.zamowione || '-'}</td>
+                      <td className="px-2 py-1 text-right">{formatZuzycie(line.srednie_zuzycie)}</td>
+                      <td className="px-2 py-1 text-right" title={`Czas dostawy ${CZAS_DOSTAWY_ZRODLO_LABELS[line.czas_dostawy_zrodlo]}`}>
+                        <input
+                          key={`czas-${line.kod}-${line.czas_dostawy_produktu}`}
+                          type="text"
+                          inputMode="numeric"
+                          defaultValue={line.czas_dostawy_produktu ?? ''}
+                          placeholder={String(line.czas_dostawy_dni)}
+                          onBlur={(e) => saveSetting(line, 'czas_dostawy_dni', e.target.value)}
+                          className={cellInputClassName}
+                        />
+                      </td>
+                      <td className="px-2 py-1 text-right">
+                        <input
+                          key={`zapas-${line.kod}-${line.zapas_bezpieczenstwa}`}
+                          type="text"
+                          inputMode="numeric"
+                          defaultValue={line.zapas_bezpieczenstwa || ''}
+                          placeholder="0"
+                          onBlur={(e) => saveSetting(line, 'zapas_bezpieczenstwa', e.target.value || '0')}
+                          className={cellInputClassName}
+                        />
+                      </td>
+                      <td className="px-2 py-1 text-right">{line.punkt_zamowienia}</td>
+                      <td className="px-2 py-1">{formatDate(line.data_wyczerpania)}</td>
+                      <td className={`px-2 py-1 ${line.zamowic_do && line.zamowic_do <= suggestions.parametry.data ? 'text-red-600 font-semibold' : ''}`}>
+                        {formatDate(line.zamowic_do)}
+                      </td>
+                      <td className="px-2 py-1 text-right">
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={ilosci[line.kod] ?? String(line.sugerowana_ilosc)}
+                          onChange={(e) => setIlosci({ ...ilosci, [line.kod]: e.target.value.replace(/\D/g, '') })}
+                          className={cellInputClassName}
+                        />
+                      </td>
+                      <td className="px-2 py-1 text-right">
+                        {line.cena === null ? '-' : `${formatPlMoney(line.cena)} ${line.waluta || ''}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -6,10 +6,13 @@ import { pl } from 'date-fns/locale';
 import "react-datepicker/dist/react-datepicker.css";
 import "../components/DatePicker.css";
 import toast from 'react-hot-toast';
+import { BarcodeProduct } from '../utils/barcode';
+import { BarcodeScanInput } from './BarcodeScanInput';
 
 registerLocale('pl', pl);
 
    interface ReturnProduct {
+    kod?: string;
     nazwa: string;
     ilosc: number;
     original_ilosc: number; // Оригинальное количество из заказа
@@ -101,6 +104,7 @@ registerLocale('pl', pl);
                   // Устанавливаем продукты
                        if (product.products && product.products.length > 0) {
                const returnProducts = product.products.map((prod: any) => ({
+                 kod: prod.kod,
                  nazwa: prod.nazwa,
                  ilosc: prod.ilosc,
                  original_ilosc: prod.ilosc,
@@ -132,6 +136,27 @@ registerLocale('pl', pl);
 
   
 
+  // Skaner: każdy skan zwiększa ilość zwrotu pozycji zamówienia (włączenie trybu zeruje ilości)
+  const handleScanModeChange = (active: boolean) => {
+    if (!active) return;
+    setProductRows(rows => rows.map(row => ({ ...row, ilosc: 0 })));
+  };
+
+  const handleScannedProduct = (product: BarcodeProduct) => {
+    setProductRows(rows => {
+      const index = rows.findIndex(r => (r.kod ? r.kod === product.kod : r.nazwa === product.nazwa));
+      if (index < 0) {
+        toast.error(`Produktu ${product.kod} - ${product.nazwa} nie ma w zamówieniu`);
+        return rows;
+      }
+      if (rows[index].ilosc >= rows[index].original_ilosc) {
+        toast.error(`Ilość zwrotu nie może przekraczać ilości w zamówieniu (${rows[index].original_ilosc})`);
+        return rows;
+      }
+      return rows.map((r, i) => (i === index ? { ...r, ilosc: r.ilosc + 1 } : r));
+    });
+  };
+
                                                                                                const validateForm = () => {
          const errors = new Set<number>();
          
@@ -341,6 +366,13 @@ registerLocale('pl', pl);
                <label className="block text-xs font-medium text-gray-700 font-sora">
                  Produkty do zwrotu
                </label>
+               {isOrderSelected && (
+                 <BarcodeScanInput
+                   onProduct={handleScannedProduct}
+                   onActiveChange={handleScanModeChange}
+                   hint="Ilości wyzerowano — każdy skan dodaje 1 szt. do zwrotu."
+                 />
+               )}
                {productRows.map((row, index) => (
                  <div key={index} className="relative">
                    <div className="flex">
@@ -0,0 +1,235 @@
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthProvider';
+
+interface StockReconcileModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onRepaired: () => void;
+}
+
+interface ReconcileRow {
+  kod: string;
+  nazwa: string;
+  ilosc_working_sheets: number | null;
+  suma_partii: number;
+  netto_z_wydan: number;
+  ilosc_z_dziennika: number;
+  liczba_partii: number;
+  niedobor: number;
+  roznice: Array<'working_sheets' | 'partie' | 'dziennik'>;
+}
+
+interface RepairPlan {
+  dry_run: boolean;
+  partie: Array<{ batch_id: number; kod: string; ilosc_aktualna: number; nowa_ilosc: number }>;
+  working_sheets: Array<{ kod: string; ilosc: number; nowa_ilosc: number }>;
+  dziennik: Array<{ kod: string; batch_id: number | null; quantity: number }>;
+  pominiete: Array<{ kod: string; powod: string }>;
+}
+
+const ROZNICE_LABELS: Record<ReconcileRow['roznice'][number], string> = {
+  working_sheets: 'stan ≠ partie',
+  partie: 'partie ≠ wydania',
+  dziennik: 'dziennik',
+};
+
+/** Raport rozbieżności stanów magazynowych z naprawą dla administratora. */
+export const StockReconcileModal: React.FC<StockReconcileModalProps> = ({ isOpen, onClose, onRepaired }) => {
+  const { user } = useAuth();
+  const isAdmin = user?.rola === 'admin';
+  const [rows, setRows] = useState<ReconcileRow[]>([]);
+  const [checked, setChecked] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [plan, setPlan] = useState<RepairPlan | null>(null);
+  const [isRepairing, setIsRepairing] = useState(false);
+
+  const loadReport = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/inventory/reconcile');
+      if (!response.ok) throw new Error('Błąd ładowania raportu uzgodnienia');
+      const data = await response.json();
+      setRows(data.pozycje);
+      setChecked(data.podsumowanie.sprawdzone);
+    } catch (error) {
+      console.error('Error loading stock reconciliation:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania raportu uzgodnienia');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      setPlan(null);
+      loadReport();
+    }
+  }, [isOpen]);
+
+  const runRepair = async (dryRun: boolean) => {
+    setIsRepairing(true);
+    try {
+      const response = await fetch('/api/inventory/reconcile/repair', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dry_run: dryRun }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      setPlan(data);
+      if (!dryRun) {
+        toast.success(`Naprawiono partie: ${data.partie.length}, stany: ${data.working_sheets.length}`);
+        loadReport();
+        onRepaired();
+      }
+    } catch (error) {
+      console.error('Error repairing stock levels:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd naprawy stanów');
+    } finally {
+      setIsRepairing(false);
+    }
+  };
+
+  const handleRepair = () => {
+    if (!window.confirm('Przeliczyć stany partii i working sheets na podstawie przyjęć i wydań?')) return;
+    runRepair(false);
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '860px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '80vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Uzgodnienie stanów magazynowych</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex items-center gap-3 mb-4">
+          <span className="text-xs text-gray-600">
+            Sprawdzone kody: {checked}, rozbieżności: {rows.length}
+          </span>
+          {isAdmin && (
+            <>
+              <button
+                onClick={() => runRepair(true)}
+                disabled={isRepairing}
+                className="ml-auto px-4 py-1.5 border border-blue-600 text-blue-600 text-xs rounded-md hover:bg-blue-50 focus:outline-none transition-colors disabled:border-gray-400 disabled:text-gray-400 disabled:cursor-not-allowed"
+              >
+                Podgląd naprawy
+              </button>
+              <button
+                onClick={handleRepair}
+                disabled={isRepairing}
+                className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                {isRepairing ? 'Przetwarzanie...' : 'Napraw'}
+              </button>
+            </>
+          )}
+        </div>
+
+        {isLoading ? (
+          <p className="text-xs text-gray-500">Ładowanie...</p>
+        ) : rows.length === 0 ? (
+          <p className="text-xs text-gray-500">Stany są zgodne</p>
+        ) : (
+          <div className="max-h-[35vh] overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-700">
+                  <th className="px-2 py-1 text-left font-bold">Kod</th>
+                  <th className="px-2 py-1 text-left font-bold">Nazwa</th>
+                  <th className="px-2 py-1 text-right font-bold">Stan</th>
+                  <th className="px-2 py-1 text-right font-bold">Suma partii</th>
+                  <th className="px-2 py-1 text-right font-bold">Przyjęte − wydane</th>
+                  <th className="px-2 py-1 text-right font-bold">Dziennik</th>
+                  <th className="px-2 py-1 text-left font-bold">Rozbieżność</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map((row) => (
+                  <tr key={row.kod}>
+                    <td className="px-2 py-1 text-gray-900">{row.kod}</td>
+                    <td className="px-2 py-1 text-gray-600">{row.nazwa}</td>
+                    <td className="px-2 py-1 text-right text-gray-900">{row.ilosc_working_sheets ?? '—'}</td>
+                    <td className="px-2 py-1 text-right text-gray-900">{row.suma_partii}</td>
+                    <td className="px-2 py-1 text-right text-gray-900">
+                      {row.liczba_partii > 0 ? row.netto_z_wydan : '—'}
+                      {row.niedobor > 0 && (
+                        <div className="text-[10px] text-red-600">wydano o {row.niedobor} więcej niż przyjęto</div>
+                      )}
+                    </td>
+                    <td className="px-2 py-1 text-right text-gray-900">{row.ilosc_z_dziennika}</td>
+                    <td className="px-2 py-1 text-red-700">
+                      {row.roznice.map((roznica) => ROZNICE_LABELS[roznica]).join(', ')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {plan && (
+          <div className="mt-4 border-t border-gray-200 pt-3">
+            <h3 className="text-sm font-semibold text-gray-800 mb-2">
+              {plan.dry_run ? 'Podgląd naprawy (bez zapisu)' : 'Wykonana naprawa'}
+            </h3>
+            {plan.partie.length === 0 && plan.working_sheets.length === 0 && plan.dziennik.length === 0 ? (
+              <p className="text-xs text-gray-500">Brak zmian do wprowadzenia</p>
+            ) : (
+              <div className="max-h-[20vh] overflow-y-auto text-xs text-gray-700 space-y-0.5">
+                {plan.working_sheets.map((sheet) => (
+                  <div key={`ws-${sheet.kod}`}>
+                    {sheet.kod}: stan {sheet.ilosc} → {sheet.nowa_ilosc}
+                  </div>
+                ))}
+                {plan.partie.map((batch) => (
+                  <div key={`batch-${batch.batch_id}`}>
+                    {batch.kod}, partia #{batch.batch_id}: {batch.ilosc_aktualna} → {batch.nowa_ilosc}
+                  </div>
+                ))}
+                {plan.dziennik.length > 0 && (
+                  <div className="text-gray-500">Wpisy korygujące w dzienniku ruchów: {plan.dziennik.length}</div>
+                )}
+              </div>
+            )}
+            {plan.pominiete.length > 0 && (
+              <div className="mt-2 text-[11px] text-amber-700">
+                Pominięte: {plan.pominiete.map((item) => `${item.kod} (${item.powod})`).join('; ')}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
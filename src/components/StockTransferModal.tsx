@@ -0,0 +1,286 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Modal from 'react-modal';
+import { X, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { BarcodeScanInput } from './BarcodeScanInput';
+import { BarcodeProduct } from '../utils/barcode';
+import { StockLocation } from '../types/Location';
+
+interface StockTransferModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onTransferred: () => void;
+}
+
+interface SourceStockItem {
+  kod: string;
+  nazwa: string;
+  ilosc: number;
+}
+
+interface TransferRow {
+  kod: string;
+  nazwa: string;
+  ilosc: number;
+  dostepne: number;
+}
+
+/** Przesunięcie towaru między lokalizacjami (dokument PS). */
+export const StockTransferModal: React.FC<StockTransferModalProps> = ({ isOpen, onClose, onTransferred }) => {
+  const [locations, setLocations] = useState<StockLocation[]>([]);
+  const [zLocationId, setZLocationId] = useState('');
+  const [doLocationId, setDoLocationId] = useState('');
+  const [data, setData] = useState(() => new Date().toLocaleDateString('en-CA'));
+  const [sourceStock, setSourceStock] = useState<SourceStockItem[]>([]);
+  const [query, setQuery] = useState('');
+  const [rows, setRows] = useState<TransferRow[]>([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setRows([]);
+    setQuery('');
+    setData(new Date().toLocaleDateString('en-CA'));
+    fetch('/api/locations')
+      .then((response) => (response.ok ? response.json() : []))
+      .then((list: StockLocation[]) => {
+        const active = list.filter((location) => location.aktywna);
+        setLocations(list);
+        setZLocationId(active[0] ? String(active[0].id) : '');
+        setDoLocationId(active[1] ? String(active[1].id) : '');
+      })
+      .catch(() => setLocations([]));
+  }, [isOpen]);
+
+  useEffect(() => {
+    setRows([]);
+    setDoLocationId((prev) => (prev === zLocationId ? '' : prev));
+    if (!zLocationId) {
+      setSourceStock([]);
+      return;
+    }
+    fetch(`/api/working-sheets?location_id=${zLocationId}`)
+      .then((response) => (response.ok ? response.json() : []))
+      .then((list: SourceStockItem[]) => setSourceStock(list.filter((item) => item.ilosc > 0)))
+      .catch(() => setSourceStock([]));
+  }, [zLocationId]);
+
+  const searchResults = useMemo(() => {
+    const term = query.trim().toLowerCase();
+    if (!term) return [];
+    return sourceStock
+      .filter((item) => item.kod.toLowerCase().includes(term) || item.nazwa.toLowerCase().includes(term))
+      .slice(0, 20);
+  }, [query, sourceStock]);
+
+  const addItem = (kod: string, quantity: number) => {
+    const stock = sourceStock.find((item) => item.kod === kod);
+    if (!stock) {
+      toast.error(`Brak ${kod} w lokalizacji źródłowej`);
+      return;
+    }
+    setRows((prev) => {
+      const existing = prev.find((row) => row.kod === kod);
+      if (existing) {
+        return prev.map((row) => (row.kod === kod ? { ...row, ilosc: Math.min(row.ilosc + quantity, row.dostepne) } : row));
+      }
+      return [...prev, { kod, nazwa: stock.nazwa, ilosc: Math.min(quantity, stock.ilosc), dostepne: stock.ilosc }];
+    });
+  };
+
+  const handleScannedProduct = (product: BarcodeProduct) => addItem(product.kod, 1);
+
+  const handleSubmit = async () => {
+    if (rows.length === 0) {
+      toast.error('Dodaj co najmniej jedną pozycję');
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const response = await fetch('/api/stock-transfers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          z_location_id: Number(zLocationId),
+          do_location_id: Number(doLocationId),
+          data,
+          products: rows.map((row) => ({ kod: row.kod, nazwa: row.nazwa, ilosc: row.ilosc })),
+        }),
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success(`Przesunięcie ${result.numer_zamowienia} zapisane`);
+      onTransferred();
+      onClose();
+    } catch (error) {
+      console.error('Error creating stock transfer:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu przesunięcia');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const activeLocations = locations.filter((location) => location.aktywna);
+  const inputClassName = 'w-full px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '860px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '80vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Przesunięcie między lokalizacjami</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-3 gap-3 mb-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Z lokalizacji</label>
+            <select value={zLocationId} onChange={(e) => setZLocationId(e.target.value)} className={inputClassName}>
+              {locations.map((location) => (
+                <option key={location.id} value={location.id}>{location.kod} — {location.nazwa}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Do lokalizacji</label>
+            <select value={doLocationId} onChange={(e) => setDoLocationId(e.target.value)} className={inputClassName}>
+              <option value="">—</option>
+              {activeLocations
+                .filter((location) => String(location.id) !== zLocationId)
+                .map((location) => (
+                  <option key={location.id} value={location.id}>{location.kod} — {location.nazwa}</option>
+                ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Data</label>
+            <input type="date" value={data} onChange={(e) => setData(e.target.value)} className={inputClassName} />
+          </div>
+        </div>
+
+        <div className="flex items-start gap-3 mb-3">
+          <div className="relative flex-1">
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Szukaj w lokalizacji źródłowej po kodzie lub nazwie..."
+              className={inputClassName}
+            />
+            {searchResults.length > 0 && (
+              <div className="absolute z-10 mt-1 w-full max-h-48 overflow-y-auto bg-white border border-gray-200 rounded-md shadow divide-y divide-gray-100">
+                {searchResults.map((item) => (
+                  <button
+                    key={item.kod}
+                    type="button"
+                    onClick={() => {
+                      addItem(item.kod, 1);
+                      setQuery('');
+                    }}
+                    className="w-full text-left px-3 py-1.5 text-xs hover:bg-blue-50"
+                  >
+                    <span className="text-gray-900">{item.nazwa}</span>
+                    <span className="ml-2 text-[10px] text-gray-500">{item.kod} · {item.ilosc} szt.</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <BarcodeScanInput onProduct={handleScannedProduct} hint="Każdy skan dodaje 1 szt." />
+        </div>
+
+        {rows.length === 0 ? (
+          <p className="text-xs text-gray-500">Brak pozycji</p>
+        ) : (
+          <div className="max-h-[35vh] overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-700">
+                  <th className="px-2 py-1 text-left font-bold">Kod</th>
+                  <th className="px-2 py-1 text-left font-bold">Nazwa</th>
+                  <th className="px-2 py-1 text-right font-bold">Dostępne</th>
+                  <th className="px-2 py-1 text-right font-bold">Ilość</th>
+                  <th className="px-2 py-1"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map((row) => (
+                  <tr key={row.kod}>
+                    <td className="px-2 py-1 text-gray-900">{row.kod}</td>
+                    <td className="px-2 py-1 text-gray-600">{row.nazwa}</td>
+                    <td className="px-2 py-1 text-right text-gray-600">{row.dostepne}</td>
+                    <td className="px-2 py-1 text-right">
+                      <input
+                        type="number"
+                        min={1}
+                        max={row.dostepne}
+                        value={row.ilosc}
+                        onChange={(e) => {
+                          const ilosc = Math.max(1, Math.min(row.dostepne, parseInt(e.target.value, 10) || 1));
+                          setRows((prev) => prev.map((item) => (item.kod === row.kod ? { ...item, ilosc } : item)));
+                        }}
+                        className="w-20 px-2 py-0.5 border border-gray-300 rounded text-xs text-right focus:outline-none focus:ring-1 focus:ring-blue-500"
+                      />
+                    </td>
+                    <td className="px-2 py-1 text-right">
+                      <button
+                        onClick={() => setRows((prev) => prev.filter((item) => item.kod !== row.kod))}
+                        className="text-red-500 hover:text-red-700 focus:outline-none"
+                        title="Usuń pozycję"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none"
+          >
+            Anuluj
+          </button>
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={isSaving || !zLocationId || !doLocationId || rows.length === 0}
+            className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Zapisywanie...' : 'Zapisz przesunięcie'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
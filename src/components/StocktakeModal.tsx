@@ -0,0 +1,508 @@
+import React, { useEffect, useRef, useState } from 'react';
+import Modal from 'react-modal';
+import { X, ArrowLeft, FileText } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { BarcodeLinkDialog } from './BarcodeScanInput';
+
+interface StocktakeModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onPosted: () => void;
+}
+
+interface StocktakeSession {
+  id: number;
+  numer: string;
+  status: 'otwarta' | 'zamknieta';
+  opis: string | null;
+  utworzyl: string | null;
+  zamknal: string | null;
+  numer_przychodu: string | null;
+  numer_odpisania: string | null;
+  created_at: string;
+  closed_at: string | null;
+  liczba_pozycji?: number;
+  policzone?: number;
+  z_roznica?: number;
+}
+
+interface StocktakeItem {
+  id: number;
+  kod: string;
+  nazwa: string;
+  kod_kreskowy: string | null;
+  ilosc_ksiegowa: number;
+  ilosc_policzona: number | null;
+  roznica: number | null;
+}
+
+interface StocktakeDetails extends StocktakeSession {
+  pozycje: StocktakeItem[];
+  podsumowanie: {
+    pozycje: number;
+    policzone: number;
+    niepoliczone: number;
+    nadwyzki: number;
+    niedobory: number;
+  };
+}
+
+const readError = async (response: Response) => {
+  const data = await response.json().catch(() => ({}));
+  return data.error || `HTTP error! status: ${response.status}`;
+};
+
+const formatRoznica = (roznica: number | null) => {
+  if (roznica === null) return '—';
+  return roznica > 0 ? `+${roznica}` : String(roznica);
+};
+
+/** Inwentaryzacja: lista sesji, spis z natury (ręcznie lub skanerem) i księgowanie różnic. */
+export const StocktakeModal: React.FC<StocktakeModalProps> = ({ isOpen, onClose, onPosted }) => {
+  const [sessions, setSessions] = useState<StocktakeSession[]>([]);
+  const [current, setCurrent] = useState<StocktakeDetails | null>(null);
+  const [opis, setOpis] = useState('');
+  const [scanCode, setScanCode] = useState('');
+  const [search, setSearch] = useState('');
+  const [onlyVariances, setOnlyVariances] = useState(false);
+  const [uncountedAsZero, setUncountedAsZero] = useState(false);
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+  const [isBusy, setIsBusy] = useState(false);
+  const scanInputRef = useRef<HTMLInputElement>(null);
+  const [unknownEan, setUnknownEan] = useState<string | null>(null);
+
+  const loadSessions = async () => {
+    try {
+      const response = await fetch('/api/stocktakes');
+      if (!response.ok) throw new Error(await readError(response));
+      setSessions(await response.json());
+    } catch (error) {
+      console.error('Error loading stocktakes:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania inwentaryzacji');
+    }
+  };
+
+  const openSession = async (id: number) => {
+    try {
+      const response = await fetch(`/api/stocktakes/${id}`);
+      if (!response.ok) throw new Error(await readError(response));
+      setCurrent(await response.json());
+      setDrafts({});
+    } catch (error) {
+      console.error('Error loading stocktake:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania inwentaryzacji');
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      setCurrent(null);
+      loadSessions();
+    }
+  }, [isOpen]);
+
+  const backToList = () => {
+    setCurrent(null);
+    setSearch('');
+    setOnlyVariances(false);
+    loadSessions();
+  };
+
+  const handleCreate = async () => {
+    setIsBusy(true);
+    try {
+      const response = await fetch('/api/stocktakes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ opis }),
+      });
+      if (!response.ok) throw new Error(await readError(response));
+      const created: StocktakeDetails = await response.json();
+      toast.success(`Rozpoczęto inwentaryzację ${created.numer}`);
+      setOpis('');
+      setCurrent(created);
+      setDrafts({});
+    } catch (error) {
+      console.error('Error opening stocktake:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd rozpoczęcia inwentaryzacji');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const clearDraft = (kod: string) => {
+    setDrafts((prev) => {
+      const next = { ...prev };
+      delete next[kod];
+      return next;
+    });
+  };
+
+  const saveCount = async (item: StocktakeItem) => {
+    if (!current || !(item.kod in drafts)) return;
+    const raw = drafts[item.kod].trim();
+    const ilosc_policzona = raw === '' ? null : Number(raw);
+    if (ilosc_policzona === item.ilosc_policzona) {
+      clearDraft(item.kod);
+      return;
+    }
+    try {
+      const response = await fetch(`/api/stocktakes/${current.id}/items`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pozycje: [{ kod: item.kod, ilosc_policzona }] }),
+      });
+      if (!response.ok) throw new Error(await readError(response));
+      setCurrent(await response.json());
+      clearDraft(item.kod);
+    } catch (error) {
+      console.error('Error saving stocktake count:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu ilości');
+    }
+  };
+
+  const scanItem = async (code: string) => {
+    if (!current) return;
+    try {
+      const response = await fetch(`/api/stocktakes/${current.id}/scan`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ kod_kreskowy: code }),
+      });
+      if (response.status === 404) {
+        const data = await response.json().catch(() => ({}));
+        // Nieznany EAN — dialog powiązania, po nim skan jest powtarzany
+        if (data.kod_kreskowy) {
+          setUnknownEan(data.kod_kreskowy);
+          return;
+        }
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      if (!response.ok) throw new Error(await readError(response));
+      const scanned: StocktakeItem = await response.json();
+      toast.success(`${scanned.nazwa}: ${scanned.ilosc_policzona}`, { duration: 1200 });
+      openSession(current.id);
+    } catch (error) {
+      console.error('Error scanning stocktake item:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd skanowania');
+    } finally {
+      setScanCode('');
+      scanInputRef.current?.focus();
+    }
+  };
+
+  const handleScan = (e: React.FormEvent) => {
+    e.preventDefault();
+    const code = scanCode.trim();
+    if (code) scanItem(code);
+  };
+
+  const handlePost = async () => {
+    if (!current) return;
+    const { nadwyzki, niedobory, niepoliczone } = current.podsumowanie;
+    const uncountedNote = niepoliczone > 0
+      ? uncountedAsZero
+        ? `\nNiepoliczone pozycje (${niepoliczone}) zostaną zaksięgowane jako niedobór.`
+        : `\nNiepoliczone pozycje (${niepoliczone}) zostaną pominięte.`
+      : '';
+    if (!window.confirm(
+      `Zaksięgować różnice inwentaryzacji ${current.numer}?\nNadwyżki: ${nadwyzki} (PW), niedobory: ${niedobory} (RW).${uncountedNote}`
+    )) return;
+
+    setIsBusy(true);
+    try {
+      const response = await fetch(`/api/stocktakes/${current.id}/post`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ niepoliczone_jako_zero: uncountedAsZero }),
+      });
+      if (!response.ok) throw new Error(await readError(response));
+      const posted: StocktakeDetails = await response.json();
+      const documents = [posted.numer_przychodu, posted.numer_odpisania].filter(Boolean).join(', ');
+      toast.success(documents ? `Zaksięgowano: ${documents}` : 'Inwentaryzacja zamknięta bez różnic');
+      setCurrent(posted);
+      onPosted();
+    } catch (error) {
+      console.error('Error posting stocktake:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd księgowania różnic');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!current || !window.confirm(`Anulować inwentaryzację ${current.numer}? Wpisane ilości zostaną usunięte.`)) return;
+    try {
+      const response = await fetch(`/api/stocktakes/${current.id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error(await readError(response));
+      toast.success(`Anulowano inwentaryzację ${current.numer}`);
+      backToList();
+    } catch (error) {
+      console.error('Error cancelling stocktake:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd anulowania inwentaryzacji');
+    }
+  };
+
+  const handlePdf = async () => {
+    if (!current) return;
+    try {
+      const response = await fetch(`/api/stocktakes/${current.id}/pdf`);
+      if (!response.ok) throw new Error(await readError(response));
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `inwentaryzacja_${current.numer}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error('Error generating stocktake PDF:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd generowania PDF');
+    }
+  };
+
+  const isEditable = current?.status === 'otwarta';
+  const hasOpenSession = sessions.some((s) => s.status === 'otwarta');
+  const searchLower = search.trim().toLowerCase();
+  const visibleItems = (current?.pozycje || []).filter((item) => {
+    if (onlyVariances && !item.roznica) return false;
+    if (!searchLower) return true;
+    return [item.kod, item.nazwa, item.kod_kreskowy || ''].some((v) => v.toLowerCase().includes(searchLower));
+  });
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '960px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '85vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <div className="flex items-center gap-2">
+            {current && (
+              <button onClick={backToList} className="text-gray-500 hover:text-gray-800 focus:outline-none" title="Lista inwentaryzacji">
+                <ArrowLeft size={18} />
+              </button>
+            )}
+            <h2 className="text-base font-semibold text-gray-800">
+              {current
+                ? `Inwentaryzacja ${current.numer}${current.status === 'zamknieta' ? ' (zamknięta)' : ''}`
+                : 'Inwentaryzacja'}
+            </h2>
+          </div>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        {!current ? (
+          <>
+            <div className="flex items-center gap-2 mb-4">
+              <input
+                type="text"
+                value={opis}
+                onChange={(e) => setOpis(e.target.value)}
+                placeholder="Opis (np. inwentaryzacja roczna)"
+                disabled={hasOpenSession}
+                className="flex-1 px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:bg-gray-100"
+              />
+              <button
+                onClick={handleCreate}
+                disabled={isBusy || hasOpenSession}
+                title={hasOpenSession ? 'Najpierw zamknij otwartą inwentaryzację' : 'Zamraża stany księgowe wszystkich pozycji'}
+                className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                Rozpocznij inwentaryzację
+              </button>
+            </div>
+
+            {sessions.length === 0 ? (
+              <p className="text-xs text-gray-500">Brak inwentaryzacji</p>
+            ) : (
+              <div className="max-h-[55vh] overflow-y-auto">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr className="text-gray-700">
+                      <th className="px-2 py-1 text-left font-bold">Numer</th>
+                      <th className="px-2 py-1 text-left font-bold">Rozpoczęta</th>
+                      <th className="px-2 py-1 text-left font-bold">Status</th>
+                      <th className="px-2 py-1 text-right font-bold">Policzone</th>
+                      <th className="px-2 py-1 text-right font-bold">Różnice</th>
+                      <th className="px-2 py-1 text-left font-bold">Dokumenty</th>
+                      <th className="px-2 py-1 text-left font-bold">Opis</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {sessions.map((session) => (
+                      <tr key={session.id} onClick={() => openSession(session.id)} className="cursor-pointer hover:bg-gray-50">
+                        <td className="px-2 py-1 text-gray-900">{session.numer}</td>
+                        <td className="px-2 py-1 text-gray-600">{session.created_at?.slice(0, 10)}</td>
+                        <td className="px-2 py-1">
+                          <span className={`inline-block px-2 py-0.5 rounded-full text-[11px] ${
+                            session.status === 'otwarta' ? 'bg-blue-100 text-blue-700' : 'bg-gray-100 text-gray-700'
+                          }`}>
+                            {session.status === 'otwarta' ? 'otwarta' : 'zamknięta'}
+                          </span>
+                        </td>
+                        <td className="px-2 py-1 text-right text-gray-600">{session.policzone} / {session.liczba_pozycji}</td>
+                        <td className="px-2 py-1 text-right text-gray-600">{session.z_roznica}</td>
+                        <td className="px-2 py-1 text-gray-600">
+                          {[session.numer_przychodu, session.numer_odpisania].filter(Boolean).join(', ') || '—'}
+                        </td>
+                        <td className="px-2 py-1 text-gray-600">{session.opis || ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+              {isEditable && (
+                <form onSubmit={handleScan}>
+                  <input
+                    ref={scanInputRef}
+                    type="text"
+                    value={scanCode}
+                    onChange={(e) => setScanCode(e.target.value)}
+                    placeholder="Skanuj kod kreskowy..."
+                    autoFocus
+                    className="w-48 px-3 py-1.5 border border-blue-400 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  />
+                </form>
+              )}
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Szukaj..."
+                className="w-40 px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+              />
+              <label className="flex items-center gap-1.5 text-xs text-gray-700 cursor-pointer select-none">
+                <input type="checkbox" checked={onlyVariances} onChange={(e) => setOnlyVariances(e.target.checked)} />
+                Tylko różnice
+              </label>
+              <button
+                onClick={handlePdf}
+                className="ml-auto text-blue-600 hover:text-blue-800 focus:outline-none"
+                title={isEditable ? 'Arkusz spisu z natury (PDF)' : 'Protokół inwentaryzacji (PDF)'}
+              >
+                <FileText size={16} />
+              </button>
+            </div>
+
+            <p className="text-xs text-gray-600 mb-2">
+              Policzone: {current.podsumowanie.policzone} / {current.podsumowanie.pozycje}
+              {' · '}nadwyżki: {current.podsumowanie.nadwyzki}
+              {' · '}niedobory: {current.podsumowanie.niedobory}
+              {!isEditable && (
+                <> · dokumenty: {[current.numer_przychodu, current.numer_odpisania].filter(Boolean).join(', ') || 'brak różnic'}</>
+              )}
+            </p>
+
+            <div className="max-h-[48vh] overflow-y-auto">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr className="text-gray-700">
+                    <th className="px-2 py-1 text-left font-bold">Kod</th>
+                    <th className="px-2 py-1 text-left font-bold">Nazwa</th>
+                    <th className="px-2 py-1 text-left font-bold">Kod kreskowy</th>
+                    <th className="px-2 py-1 text-right font-bold">Stan księgowy</th>
+                    <th className="px-2 py-1 text-right font-bold">Policzono</th>
+                    <th className="px-2 py-1 text-right font-bold">Różnica</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {visibleItems.map((item) => (
+                    <tr key={item.id}>
+                      <td className="px-2 py-1 text-gray-900">{item.kod}</td>
+                      <td className="px-2 py-1 text-gray-600">{item.nazwa}</td>
+                      <td className="px-2 py-1 text-gray-500">{item.kod_kreskowy || ''}</td>
+                      <td className="px-2 py-1 text-right text-gray-900">{item.ilosc_ksiegowa}</td>
+                      <td className="px-2 py-1 text-right">
+                        {isEditable ? (
+                          <input
+                            type="number"
+                            min={0}
+                            step={1}
+                            value={drafts[item.kod] ?? (item.ilosc_policzona ?? '')}
+                            onChange={(e) => setDrafts((prev) => ({ ...prev, [item.kod]: e.target.value }))}
+                            onBlur={() => saveCount(item)}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') (e.target as HTMLInputElement).blur();
+                            }}
+                            className="w-16 px-1 py-0.5 border border-gray-300 rounded text-right text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+                          />
+                        ) : (
+                          <span className="text-gray-900">{item.ilosc_policzona ?? '—'}</span>
+                        )}
+                      </td>
+                      <td className={`px-2 py-1 text-right ${
+                        item.roznica && item.roznica > 0 ? 'text-green-700' : item.roznica && item.roznica < 0 ? 'text-red-700' : 'text-gray-500'
+                      }`}>
+                        {formatRoznica(item.roznica)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {isEditable && (
+              <div className="flex items-center gap-3 mt-4">
+                <button
+                  onClick={handleCancel}
+                  className="px-4 py-1.5 border border-red-500 text-red-600 text-xs rounded-md hover:bg-red-50 focus:outline-none transition-colors"
+                >
+                  Anuluj inwentaryzację
+                </button>
+                <label className="ml-auto flex items-center gap-1.5 text-xs text-gray-700 cursor-pointer select-none">
+                  <input type="checkbox" checked={uncountedAsZero} onChange={(e) => setUncountedAsZero(e.target.checked)} />
+                  Niepoliczone jako 0
+                </label>
+                <button
+                  onClick={handlePost}
+                  disabled={isBusy}
+                  className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  {isBusy ? 'Księgowanie...' : 'Zaksięguj różnice'}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <BarcodeLinkDialog
+        ean={unknownEan}
+        onClose={() => setUnknownEan(null)}
+        onLinked={(product) => {
+          setUnknownEan(null);
+          if (product.kod_kreskowy) scanItem(product.kod_kreskowy);
+        }}
+      />
+    </Modal>
+  );
+};
@@ -0,0 +1,55 @@
+import React, { useEffect, useId, useState } from 'react';
+import { Supplier } from '../types/Supplier';
+
+interface SupplierInputProps {
+  value: string;
+  /** supplier — dostawca z kartoteki o tej nazwie; null — tekst spoza kartoteki */
+  onChange: (nazwa: string, supplier: Supplier | null) => void;
+  className?: string;
+  placeholder?: string;
+}
+
+const findSupplier = (suppliers: Supplier[], nazwa: string) => {
+  const term = nazwa.trim().toLowerCase();
+  return term ? suppliers.find((supplier) => supplier.nazwa.toLowerCase() === term) || null : null;
+};
+
+/** Pole dostawcy z podpowiedziami z kartoteki; nowa nazwa zostanie dodana do kartoteki przy zapisie. */
+export const SupplierInput: React.FC<SupplierInputProps> = ({ value, onChange, className, placeholder }) => {
+  const listId = useId();
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+
+  useEffect(() => {
+    fetch('/api/suppliers?aktywni=1')
+      .then((response) => (response.ok ? response.json() : []))
+      .then((list: Supplier[]) => setSuppliers(list))
+      .catch(() => setSuppliers([]));
+  }, []);
+
+  const matched = findSupplier(suppliers, value);
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        list={listId}
+        value={value}
+        onChange={(e) => onChange(e.target.value, findSupplier(suppliers, e.target.value))}
+        placeholder={placeholder}
+        className={className}
+      />
+      <datalist id={listId}>
+        {suppliers.map((supplier) => (
+          <option key={supplier.id} value={supplier.nazwa}>
+            {[supplier.kraj, supplier.nip || supplier.vat_ue].filter(Boolean).join(' · ')}
+          </option>
+        ))}
+      </datalist>
+      {value.trim() && !matched && suppliers.length > 0 && (
+        <div className="absolute left-0 top-full mt-0.5 text-[10px] text-amber-600 whitespace-nowrap">
+          Brak w kartotece — zostanie dopasowany lub dodany przy zapisie
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { formatPlMoney } from '../utils/receiptCurrency';
+import { SupplierPurchaseAnalysis as SupplierPurchaseAnalysisData } from '../types/Supplier';
+
+interface SupplierPurchaseAnalysisProps {
+  refreshTrigger?: number;
+}
+
+const yearStart = () => `${new Date().getFullYear()}-01-01`;
+
+/** Analiza zakupów według dostawców: wartość netto po rabacie w PLN, udział i najczęściej kupowane produkty. */
+export const SupplierPurchaseAnalysis: React.FC<SupplierPurchaseAnalysisProps> = ({ refreshTrigger }) => {
+  const [od, setOd] = useState(yearStart);
+  const [doDaty, setDoDaty] = useState('');
+  const [analysis, setAnalysis] = useState<SupplierPurchaseAnalysisData | null>(null);
+  const [expandedKey, setExpandedKey] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    const params = new URLSearchParams();
+    if (od) params.set('od', od);
+    if (doDaty) params.set('do', doDaty);
+    setIsLoading(true);
+    fetch(`/api/suppliers/analysis?${params.toString()}`)
+      .then(async (response) => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || 'Błąd ładowania analizy zakupów');
+        setAnalysis(data);
+      })
+      .catch((error) => {
+        console.error('Error loading supplier purchase analysis:', error);
+        toast.error(error instanceof Error ? error.message : 'Błąd ładowania analizy zakupów');
+      })
+      .finally(() => setIsLoading(false));
+  }, [od, doDaty, refreshTrigger]);
+
+  const inputClassName = 'px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  return (
+    <div className="bg-white p-4 rounded-lg border font-sora">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-bold text-gray-900">Zakupy według dostawców</h2>
+        <div className="flex items-center gap-2 text-xs text-gray-700">
+          <span>Od</span>
+          <input type="date" value={od} onChange={(e) => setOd(e.target.value)} className={inputClassName} />
+          <span>do</span>
+          <input type="date" value={doDaty} min={od} onChange={(e) => setDoDaty(e.target.value)} className={inputClassName} />
+        </div>
+      </div>
+
+      {isLoading && !analysis ? (
+        <p className="text-xs text-gray-500">Ładowanie...</p>
+      ) : !analysis || analysis.dostawcy.length === 0 ? (
+        <p className="text-xs text-gray-500">Brak przyjęć w wybranym okresie</p>
+      ) : (
+        <>
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50">
+              <tr className="text-gray-700">
+                <th className="px-2 py-1 text-left font-bold">Dostawca</th>
+                <th className="px-2 py-1 text-right font-bold">Przyjęcia</th>
+                <th className="px-2 py-1 text-right font-bold">Butelki</th>
+                <th className="px-2 py-1 text-right font-bold">Produkty</th>
+                <th className="px-2 py-1 text-right font-bold">Wartość netto (PLN)</th>
+                <th className="px-2 py-1 text-right font-bold">Śr. przyjęcie (PLN)</th>
+                <th className="px-2 py-1 text-right font-bold">Udział</th>
+                <th className="px-2 py-1 text-left font-bold">Dostawy</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {analysis.dostawcy.map((row) => {
+                const key = String(row.supplier_id ?? row.nazwa);
+                const isExpanded = expandedKey === key;
+                return (
+                  <React.Fragment key={key}>
+                    <tr
+                      className="text-gray-900 cursor-pointer hover:bg-gray-50"
+                      onClick={() => setExpandedKey(isExpanded ? null : key)}
+                    >
+                      <td className="px-2 py-1">
+                        {row.nazwa}
+                        {(row.kraj || row.waluta) && (
+                          <span className="ml-1 text-[10px] text-gray-500">{[row.kraj, row.waluta].filter(Boolean).join(' · ')}</span>
+                        )}
+                      </td>
+                      <td className="px-2 py-1 text-right">
+                        {row.przyjecia}
+                        {row.bez_kursu > 0 && (
+                          <span className="ml-1 text-[10px] text-amber-600" title="Przyjęcia bez kursu nie są wliczone do wartości">
+                            ({row.bez_kursu} bez kursu)
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-2 py-1 text-right">{row.ilosc}</td>
+                      <td className="px-2 py-1 text-right">{row.produkty_liczba}</td>
+                      <td className="px-2 py-1 text-right">{formatPlMoney(row.wartosc_pln)}</td>
+                      <td className="px-2 py-1 text-right">{formatPlMoney(row.srednia_wartosc_pln)}</td>
+                      <td className="px-2 py-1 text-right">{row.udzial_proc.toFixed(1).replace('.', ',')}%</td>
+                      <td className="px-2 py-1 text-gray-600">
+                        {row.pierwsza_dostawa === row.ostatnia_dostawa
+                          ? row.ostatnia_dostawa
+                          : `${row.pierwsza_dostawa} – ${row.ostatnia_dostawa}`}
+                      </td>
+                    </tr>
+                    {isExpanded && row.top_produkty.length > 0 && (
+                      <tr>
+                        <td colSpan={8} className="px-6 py-1 bg-gray-50">
+                          <table className="w-full text-[11px]">
+                            <tbody>
+                              {row.top_produkty.map((product) => (
+                                <tr key={product.kod} className="text-gray-700">
+                                  <td className="py-0.5 w-[120px]">{product.kod}</td>
+                                  <td className="py-0.5">{product.nazwa}</td>
+                                  <td className="py-0.5 text-right w-[80px]">{product.ilosc} szt.</td>
+                                  <td className="py-0.5 text-right w-[140px]">{formatPlMoney(product.wartosc_pln)} PLN</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+            <tfoot>
+              <tr className="text-gray-900 font-semibold border-t border-gray-300">
+                <td className="px-2 py-1">Razem ({analysis.podsumowanie.dostawcy})</td>
+                <td className="px-2 py-1 text-right">{analysis.podsumowanie.przyjecia}</td>
+                <td className="px-2 py-1 text-right">{analysis.podsumowanie.ilosc}</td>
+                <td className="px-2 py-1"></td>
+                <td className="px-2 py-1 text-right">{formatPlMoney(analysis.podsumowanie.wartosc_pln)}</td>
+                <td colSpan={3}></td>
+              </tr>
+            </tfoot>
+          </table>
+          {analysis.podsumowanie.bez_kursu > 0 && (
+            <p className="mt-2 text-[11px] text-amber-600">
+              {analysis.podsumowanie.bez_kursu} przyjęć bez kursu waluty nie zostało przeliczonych na PLN.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
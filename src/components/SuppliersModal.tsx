@@ -0,0 +1,419 @@
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { AuditHistoryPanel } from './AuditHistoryPanel';
+import { WALUTY_FAKTURY, WalutaFaktury } from '../utils/receiptCurrency';
+import { Supplier } from '../types/Supplier';
+
+interface SuppliersModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface SupplierForm {
+  id: number | null;
+  nazwa: string;
+  nip: string;
+  vat_ue: string;
+  kraj: string;
+  waluta: WalutaFaktury;
+  termin_platnosci_dni: string;
+  czas_dostawy_dni: string;
+  osoba_kontaktowa: string;
+  email: string;
+  telefon: string;
+  adres: string;
+  uwagi: string;
+  aktywny: boolean;
+}
+
+const EMPTY_FORM: SupplierForm = {
+  id: null,
+  nazwa: '',
+  nip: '',
+  vat_ue: '',
+  kraj: '',
+  waluta: 'EUR',
+  termin_platnosci_dni: '',
+  czas_dostawy_dni: '',
+  osoba_kontaktowa: '',
+  email: '',
+  telefon: '',
+  adres: '',
+  uwagi: '',
+  aktywny: true,
+};
+
+/** Kartoteka dostawców: dane, scalanie duplikatów i historia zmian. */
+export const SuppliersModal: React.FC<SuppliersModalProps> = ({ isOpen, onClose }) => {
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+  const [search, setSearch] = useState('');
+  const [form, setForm] = useState<SupplierForm | null>(null);
+  const [formErrors, setFormErrors] = useState<string[]>([]);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadSuppliers = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/suppliers');
+      if (!response.ok) throw new Error('Błąd ładowania dostawców');
+      setSuppliers(await response.json());
+    } catch (error) {
+      console.error('Error loading suppliers:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania dostawców');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(null);
+      setSearch('');
+      loadSuppliers();
+    }
+  }, [isOpen]);
+
+  const openForm = (next: SupplierForm) => {
+    setForm(next);
+    setFormErrors([]);
+    setMergeTargetId('');
+  };
+
+  const startEdit = (supplier: Supplier) => {
+    openForm({
+      id: supplier.id,
+      nazwa: supplier.nazwa,
+      nip: supplier.nip || '',
+      vat_ue: supplier.vat_ue || '',
+      kraj: supplier.kraj || '',
+      waluta: supplier.waluta,
+      termin_platnosci_dni: supplier.termin_platnosci_dni === null ? '' : String(supplier.termin_platnosci_dni),
+      czas_dostawy_dni: supplier.czas_dostawy_dni === null ? '' : String(supplier.czas_dostawy_dni),
+      osoba_kontaktowa: supplier.osoba_kontaktowa || '',
+      email: supplier.email || '',
+      telefon: supplier.telefon || '',
+      adres: supplier.adres || '',
+      uwagi: supplier.uwagi || '',
+      aktywny: Boolean(supplier.aktywny),
+    });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form) return;
+    setIsSaving(true);
+    try {
+      const { id, ...fields } = form;
+      const response = await fetch(id ? `/api/suppliers/${id}` : '/api/suppliers', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 422 && Array.isArray(data.errors)) {
+        setFormErrors(data.errors);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success(id ? 'Dostawca zapisany' : 'Dostawca dodany');
+      setForm(null);
+      loadSuppliers();
+    } catch (error) {
+      console.error('Error saving supplier:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu dostawcy');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    if (!form?.id || !mergeTargetId) return;
+    const target = suppliers.find((supplier) => supplier.id === Number(mergeTargetId));
+    if (!target || !window.confirm(`Przenieść wszystkie dokumenty dostawcy ${form.nazwa} do ${target.nazwa} i usunąć ${form.nazwa}?`)) {
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/suppliers/${form.id}/merge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ target_id: target.id }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success(`Scalono z ${target.nazwa}`);
+      setForm(null);
+      loadSuppliers();
+    } catch (error) {
+      console.error('Error merging suppliers:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd scalania dostawców');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!form?.id || !window.confirm(`Usunąć dostawcę ${form.nazwa}?`)) return;
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/suppliers/${form.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success('Dostawca usunięty');
+      setForm(null);
+      loadSuppliers();
+    } catch (error) {
+      console.error('Error deleting supplier:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd usuwania dostawcy');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const visibleSuppliers = term
+    ? suppliers.filter((supplier) => [supplier.nazwa, supplier.nip, supplier.vat_ue].some((field) => (field || '').toLowerCase().includes(term)))
+    : suppliers;
+
+  const inputClassName = 'w-full px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  const textField = (label: string, field: keyof Omit<SupplierForm, 'id' | 'waluta' | 'aktywny'>, extra?: React.InputHTMLAttributes<HTMLInputElement>) => (
+    form && (
+      <div>
+        <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+        <input
+          type="text"
+          value={form[field]}
+          onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+          className={inputClassName}
+          {...extra}
+        />
+      </div>
+    )
+  );
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '960px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '85vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Dostawcy</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        {!form && (
+          <div className="flex justify-between items-center gap-3 mb-4">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Szukaj: nazwa, NIP, VAT UE"
+              className="w-[280px] px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+            />
+            <button
+              onClick={() => openForm(EMPTY_FORM)}
+              className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors"
+            >
+              Dodaj dostawcę
+            </button>
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSave} className="mb-4 border border-gray-200 rounded-md p-3">
+            <div className="grid grid-cols-4 gap-3">
+              <div className="col-span-2">
+                {textField('Nazwa', 'nazwa', { required: true, maxLength: 120 })}
+              </div>
+              {textField('NIP', 'nip')}
+              {textField('VAT UE', 'vat_ue', { placeholder: 'np. IT01234567890' })}
+              {textField('Kraj', 'kraj', { maxLength: 2, placeholder: 'z numeru VAT' })}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Waluta</label>
+                <select
+                  value={form.waluta}
+                  onChange={(e) => setForm({ ...form, waluta: e.target.value as WalutaFaktury })}
+                  className={inputClassName}
+                >
+                  {WALUTY_FAKTURY.map((waluta) => (
+                    <option key={waluta} value={waluta}>{waluta}</option>
+                  ))}
+                </select>
+              </div>
+              {textField('Termin płatności (dni)', 'termin_platnosci_dni', { inputMode: 'numeric' })}
+              {textField('Czas dostawy (dni)', 'czas_dostawy_dni', { inputMode: 'numeric', placeholder: '14' })}
+              {textField('Osoba kontaktowa', 'osoba_kontaktowa')}
+              {textField('E-mail', 'email')}
+              {textField('Telefon', 'telefon')}
+              <div className="col-span-2">
+                {textField('Adres', 'adres')}
+              </div>
+              <div className="col-span-2">
+                {textField('Uwagi', 'uwagi')}
+              </div>
+              <label className="flex items-center gap-1.5 text-xs text-gray-700 select-none mt-5">
+                <input
+                  type="checkbox"
+                  checked={form.aktywny}
+                  onChange={(e) => setForm({ ...form, aktywny: e.target.checked })}
+                />
+                Aktywny
+              </label>
+            </div>
+
+            {formErrors.length > 0 && (
+              <ul className="mt-3 text-xs text-red-600 list-disc list-inside">
+                {formErrors.map((message) => <li key={message}>{message}</li>)}
+              </ul>
+            )}
+
+            {form.id && (
+              <div className="mt-3 flex items-center gap-2 text-xs text-gray-700">
+                <span>Scal z:</span>
+                <select
+                  value={mergeTargetId}
+                  onChange={(e) => setMergeTargetId(e.target.value)}
+                  className="w-[260px] px-3 py-1.5 border border-gray-300 rounded-md text-xs focus:outline-none"
+                >
+                  <option value="">—</option>
+                  {suppliers.filter((supplier) => supplier.id !== form.id).map((supplier) => (
+                    <option key={supplier.id} value={supplier.id}>{supplier.nazwa}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={handleMerge}
+                  disabled={isSaving || !mergeTargetId}
+                  className="px-3 py-1.5 text-xs text-amber-700 bg-white border border-amber-300 rounded-md hover:bg-amber-50 focus:outline-none disabled:opacity-50"
+                >
+                  Scal
+                </button>
+              </div>
+            )}
+
+            <div className="mt-3 flex justify-between">
+              <div>
+                {form.id && (
+                  <button
+                    type="button"
+                    onClick={handleDelete}
+                    disabled={isSaving}
+                    className="px-4 py-1.5 text-xs text-red-600 bg-white border border-red-300 rounded-md hover:bg-red-50 focus:outline-none disabled:opacity-50"
+                  >
+                    Usuń
+                  </button>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => setForm(null)}
+                  className="px-4 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none"
+                >
+                  Anuluj
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-4 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  {isSaving ? 'Zapisywanie...' : 'Zapisz'}
+                </button>
+              </div>
+            </div>
+
+            {form.id && (
+              <div className="mt-3">
+                <AuditHistoryPanel entityType="supplier" entityId={form.id} />
+              </div>
+            )}
+          </form>
+        )}
+
+        {isLoading ? (
+          <p className="text-xs text-gray-500">Ładowanie...</p>
+        ) : (
+          <div className="max-h-[45vh] overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-700">
+                  <th className="px-2 py-1 text-left font-bold">Nazwa</th>
+                  <th className="px-2 py-1 text-left font-bold">Kraj</th>
+                  <th className="px-2 py-1 text-left font-bold">NIP / VAT UE</th>
+                  <th className="px-2 py-1 text-left font-bold">Waluta</th>
+                  <th className="px-2 py-1 text-right font-bold">Przyjęcia</th>
+                  <th className="px-2 py-1 text-right font-bold">Produkty</th>
+                  <th className="px-2 py-1 text-right font-bold">Zamówienia</th>
+                  <th className="px-2 py-1 text-left font-bold">Ostatnia dostawa</th>
+                  <th className="px-2 py-1"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {visibleSuppliers.map((supplier) => (
+                  <tr key={supplier.id} className={supplier.aktywny ? 'text-gray-900' : 'text-gray-400'}>
+                    <td className="px-2 py-1">
+                      {supplier.nazwa}
+                      {!supplier.aktywny && ' (nieaktywny)'}
+                      {supplier.osoba_kontaktowa && <div className="text-[10px] text-gray-500">{supplier.osoba_kontaktowa}</div>}
+                    </td>
+                    <td className="px-2 py-1">{supplier.kraj || '—'}</td>
+                    <td className="px-2 py-1">{supplier.nip || supplier.vat_ue || '—'}</td>
+                    <td className="px-2 py-1">{supplier.waluta}</td>
+                    <td className="px-2 py-1 text-right">{supplier.przyjecia_liczba}</td>
+                    <td className="px-2 py-1 text-right">{supplier.produkty_liczba}</td>
+                    <td className="px-2 py-1 text-right">{supplier.zamowienia_liczba}</td>
+                    <td className="px-2 py-1">{supplier.ostatnia_dostawa || '—'}</td>
+                    <td className="px-2 py-1 text-right">
+                      <button
+                        onClick={() => startEdit(supplier)}
+                        className="text-blue-600 hover:text-blue-800 focus:outline-none"
+                      >
+                        Edytuj
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {visibleSuppliers.length === 0 && (
+              <p className="text-xs text-gray-500 mt-2">Brak dostawców</p>
+            )}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,284 @@
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { ROLE_LABELS, USER_ROLES, UserRole } from '../utils/auth';
+import { useAuth } from './AuthProvider';
+
+interface UsersModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface UserRow {
+  id: number;
+  login: string;
+  imie_nazwisko: string | null;
+  rola: UserRole;
+  aktywny: number;
+  created_at: string;
+}
+
+interface UserForm {
+  id: number | null;
+  login: string;
+  imie_nazwisko: string;
+  rola: UserRole;
+  aktywny: boolean;
+  haslo: string;
+}
+
+const EMPTY_FORM: UserForm = {
+  id: null,
+  login: '',
+  imie_nazwisko: '',
+  rola: 'podgląd',
+  aktywny: true,
+  haslo: '',
+};
+
+const inputClass = 'w-full px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none text-xs';
+
+export const UsersModal: React.FC<UsersModalProps> = ({ isOpen, onClose }) => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState<UserRow[]>([]);
+  const [form, setForm] = useState<UserForm>(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadUsers = async () => {
+    try {
+      const response = await fetch('/api/users');
+      if (!response.ok) throw new Error('Błąd ładowania użytkowników');
+      setUsers(await response.json());
+    } catch (error) {
+      console.error('Error loading users:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd ładowania użytkowników');
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(EMPTY_FORM);
+      loadUsers();
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const isNew = form.id === null;
+      const response = await fetch(isNew ? '/api/users' : `/api/users/${form.id}`, {
+        method: isNew ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          login: form.login.trim(),
+          imie_nazwisko: form.imie_nazwisko.trim() || null,
+          rola: form.rola,
+          aktywny: form.aktywny,
+          haslo: form.haslo || undefined,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success(data.message || 'Zapisano');
+      setForm(EMPTY_FORM);
+      loadUsers();
+    } catch (error) {
+      console.error('Error saving user:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd zapisu użytkownika');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (row: UserRow) => {
+    if (!window.confirm(`Usunąć użytkownika ${row.login}?`)) return;
+    try {
+      const response = await fetch(`/api/users/${row.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      toast.success(data.message || 'Usunięto');
+      if (form.id === row.id) setForm(EMPTY_FORM);
+      loadUsers();
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      toast.error(error instanceof Error ? error.message : 'Błąd usuwania użytkownika');
+    }
+  };
+
+  const isNew = form.id === null;
+  const canSubmit = form.login.trim() && (!isNew || form.haslo);
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      style={{
+        content: {
+          width: '860px',
+          maxWidth: '90%',
+          height: 'auto',
+          maxHeight: '85vh',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          margin: '0',
+          borderRadius: '0.5rem',
+          background: 'white',
+          outline: 'none',
+          padding: '24px',
+          fontFamily: 'Sora',
+        },
+        overlay: { backgroundColor: 'rgba(0,0,0,0.3)', zIndex: 9999 }
+      }}
+    >
+      <div className="font-sora">
+        <div className="flex justify-between items-center mb-4 select-none">
+          <h2 className="text-base font-semibold text-gray-800">Użytkownicy</h2>
+          <button onClick={onClose} className="text-red-500 focus:outline-none">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="max-h-[40vh] overflow-y-auto mb-4">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr className="text-gray-700">
+                <th className="px-2 py-1 text-left font-bold">Login</th>
+                <th className="px-2 py-1 text-left font-bold">Imię i nazwisko</th>
+                <th className="px-2 py-1 text-left font-bold">Rola</th>
+                <th className="px-2 py-1 text-left font-bold">Status</th>
+                <th className="px-2 py-1"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {users.map((row) => (
+                <tr key={row.id} className={form.id === row.id ? 'bg-blue-50' : ''}>
+                  <td className="px-2 py-1 text-gray-900">{row.login}</td>
+                  <td className="px-2 py-1 text-gray-600">{row.imie_nazwisko || '—'}</td>
+                  <td className="px-2 py-1 text-gray-600">{ROLE_LABELS[row.rola] || row.rola}</td>
+                  <td className="px-2 py-1">
+                    {row.aktywny ? (
+                      <span className="inline-block px-2 py-0.5 rounded-full text-[11px] bg-green-100 text-green-800">aktywny</span>
+                    ) : (
+                      <span className="inline-block px-2 py-0.5 rounded-full text-[11px] bg-gray-100 text-gray-700">zablokowany</span>
+                    )}
+                  </td>
+                  <td className="px-2 py-1 text-right whitespace-nowrap space-x-3">
+                    <button
+                      onClick={() => setForm({
+                        id: row.id,
+                        login: row.login,
+                        imie_nazwisko: row.imie_nazwisko || '',
+                        rola: row.rola,
+                        aktywny: Boolean(row.aktywny),
+                        haslo: '',
+                      })}
+                      className="text-blue-600 hover:text-blue-800 focus:outline-none"
+                    >
+                      Edytuj
+                    </button>
+                    {row.id !== currentUser?.id && (
+                      <button
+                        onClick={() => handleDelete(row)}
+                        className="text-red-600 hover:text-red-800 focus:outline-none"
+                      >
+                        Usuń
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-4 space-y-3">
+          <h3 className="text-sm font-medium text-gray-800">
+            {isNew ? 'Nowy użytkownik' : `Edycja: ${form.login}`}
+          </h3>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-2">Login</label>
+              <input
+                type="text"
+                value={form.login}
+                onChange={(e) => setForm({ ...form, login: e.target.value })}
+                disabled={!isNew}
+                className={`${inputClass} disabled:bg-gray-100`}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-2">Imię i nazwisko</label>
+              <input
+                type="text"
+                value={form.imie_nazwisko}
+                onChange={(e) => setForm({ ...form, imie_nazwisko: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-2">Rola</label>
+              <select
+                value={form.rola}
+                onChange={(e) => setForm({ ...form, rola: e.target.value as UserRole })}
+                className={inputClass}
+              >
+                {USER_ROLES.map((role) => (
+                  <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-2">
+                {isNew ? 'Hasło' : 'Nowe hasło (opcjonalnie)'}
+              </label>
+              <input
+                type="password"
+                value={form.haslo}
+                onChange={(e) => setForm({ ...form, haslo: e.target.value })}
+                autoComplete="new-password"
+                placeholder="min. 8 znaków, litery i cyfry"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          {!isNew && (
+            <label className="flex items-center gap-2 text-xs text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.aktywny}
+                onChange={(e) => setForm({ ...form, aktywny: e.target.checked })}
+              />
+              Konto aktywne
+            </label>
+          )}
+          <div className="flex justify-end gap-2">
+            {!isNew && (
+              <button
+                type="button"
+                onClick={() => setForm(EMPTY_FORM)}
+                className="px-6 py-1.5 bg-gray-200 text-gray-700 text-xs rounded-md hover:bg-gray-300 focus:outline-none transition-colors"
+              >
+                Anuluj
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={isSaving || !canSubmit}
+              className="px-6 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Zapisywanie...' : isNew ? 'Dodaj użytkownika' : 'Zapisz'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </Modal>
+  );
+};
@@ -1,13 +1,24 @@
 import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
-import { BrowserRouter } from 'react-router-dom';
+import { BrowserRouter, Route, Routes } from 'react-router-dom';
 import App from './App.tsx';
+import { AuthProvider, RequireAuth } from './components/AuthProvider';
+import { LoginPage } from './components/LoginPage';
+import { installAuthFetch } from './utils/auth';
+import { LOGIN_PATH } from './routes';
 import './index.css';
 
+installAuthFetch();
+
 createRoot(document.getElementById('root')!).render(
   <StrictMode>
     <BrowserRouter>
-      <App />
+      <AuthProvider>
+        <Routes>
+          <Route path={LOGIN_PATH} element={<LoginPage />} />
+          <Route path="*" element={<RequireAuth><App /></RequireAuth>} />
+        </Routes>
+      </AuthProvider>
     </BrowserRouter>
   </StrictMode>
 );
@@ -1,13 +1,16 @@
 import React, { useState } from 'react';
-import { Plus } from 'lucide-react';
+import { FileSpreadsheet, FileWarning, Plus } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { ClientModal } from '../components/ClientModal';
 import { ClientsList } from '../components/ClientsList';
 import { ClientSalesList } from '../components/ClientSalesList';
+import { AlcoholTurnoverModal } from '../components/AlcoholTurnoverModal';
+import { ExpiringLicencesModal } from '../components/ExpiringLicencesModal';
+import { ClientMasterData } from '../types/Client';
 
 const API_URL = import.meta.env.PROD ? '' : (import.meta.env.VITE_API_URL || 'http://localhost:3001');
 
-interface Client {
+interface Client extends ClientMasterData {
   id: number;
   firma: string;
   nazwa: string;
@@ -45,6 +48,8 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
   invoicesRefreshTrigger,
 }) => {
   const [isClientModalOpen, setIsClientModalOpen] = useState(false);
+  const [isExpiringLicencesOpen, setIsExpiringLicencesOpen] = useState(false);
+  const [isAlcoholTurnoverOpen, setIsAlcoholTurnoverOpen] = useState(false);
   const [clientsRefreshTrigger, setClientsRefreshTrigger] = useState(0);
   const [lastUpdatedClientId, setLastUpdatedClientId] = useState<number | null>(null);
 
@@ -54,7 +59,7 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
     adres: string;
     czas_dostawy: string;
     kontakt: string;
-  }) => {
+  } & ClientMasterData) => {
     try {
       const response = await fetch(`${API_URL}/api/clients`, {
         method: 'POST',
@@ -65,7 +70,8 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
       });
 
       if (!response.ok) {
-        throw new Error('Failed to add client');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(Array.isArray(data.errors) ? data.errors.join('; ') : 'Błąd podczas dodawania klienta');
       }
 
       const result = await response.json();
@@ -74,7 +80,7 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
       toast.success('Klient został dodany');
     } catch (error) {
       console.error('Error adding client:', error);
-      toast.error('Błąd podczas dodawania klienta');
+      toast.error(error instanceof Error ? error.message : 'Błąd podczas dodawania klienta');
     }
   };
 
@@ -104,7 +110,7 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
     adres: string;
     czas_dostawy: string;
     kontakt: string;
-  }) => {
+  } & ClientMasterData) => {
     try {
       const response = await fetch(`${API_URL}/api/clients/${data.id}`, {
         method: 'PUT',
@@ -115,7 +121,8 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
       });
 
       if (!response.ok) {
-        throw new Error('Failed to update client');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(Array.isArray(data.errors) ? data.errors.join('; ') : 'Błąd podczas aktualizacji klienta');
       }
 
       const updatedClient = await response.json();
@@ -129,6 +136,14 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
               adres: updatedClient.adres || client.adres,
               czas_dostawy: updatedClient.czas_dostawy || client.czas_dostawy,
               kontakt: updatedClient.kontakt || client.kontakt,
+              nip: data.nip ?? client.nip,
+              vat_ue: data.vat_ue ?? client.vat_ue,
+              email: data.email ?? client.email,
+              telefon: data.telefon ?? client.telefon,
+              termin_platnosci_dni: data.termin_platnosci_dni ?? client.termin_platnosci_dni,
+              rabat_domyslny: data.rabat_domyslny ?? client.rabat_domyslny,
+              zezwolenie_niewymagane: data.zezwolenie_niewymagane ?? client.zezwolenie_niewymagane,
+              adresy_dostawy: data.adresy_dostawy ?? client.adresy_dostawy,
             };
           }
           return { ...client };
@@ -147,7 +162,7 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
       }, 100);
     } catch (error) {
       console.error('Error updating client:', error);
-      toast.error('Błąd podczas aktualizacji klienta');
+      toast.error(error instanceof Error ? error.message : 'Błąd podczas aktualizacji klienta');
     }
   };
 
@@ -158,6 +173,14 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
         onClose={() => setIsClientModalOpen(false)}
         onAdd={handleAddClient}
       />
+      <ExpiringLicencesModal
+        isOpen={isExpiringLicencesOpen}
+        onClose={() => setIsExpiringLicencesOpen(false)}
+      />
+      <AlcoholTurnoverModal
+        isOpen={isAlcoholTurnoverOpen}
+        onClose={() => setIsAlcoholTurnoverOpen(false)}
+      />
 
       <div className="flex flex-col gap-4 mt-4 w-full relative">
         <div className="flex">
@@ -201,6 +224,16 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
                   <span className="text-gray-900 font-sora text-[13px]">Dodaj klienta</span>
                 </div>
               </div>
+              <div
+                className="inline-flex items-center cursor-pointer border border-transparent rounded-md px-2 py-1 hover:bg-gray-50 hover:border-gray-200 bg-white w-fit"
+                onClick={() => setIsExpiringLicencesOpen(true)}
+                title="Zezwolenia na alkohol wygasłe i kończące się w ciągu N dni"
+              >
+                <FileWarning size={18} className="text-amber-600" />
+                <div className="px-2">
+                  <span className="text-gray-900 font-sora text-[13px]">Wygasające zezwolenia</span>
+                </div>
+              </div>
             </div>
             <ClientsList
               key={`clients-${clientsRefreshTrigger}-${lastUpdatedClientId || 'none'}`}
@@ -213,6 +246,16 @@ export const KlienciPage: React.FC<KlienciPageProps> = ({
 
         {activeSubTab === 'sprzedaz_klientom' && (
           <div className="flex flex-col gap-4 mt-6">
+            <div
+              className="inline-flex items-center cursor-pointer border border-transparent rounded-md px-2 py-1 hover:bg-gray-50 hover:border-gray-200 bg-white w-fit"
+              onClick={() => setIsAlcoholTurnoverOpen(true)}
+              title="Roczne sprawozdanie: litry sprzedanych napojów alkoholowych wg kategorii i odbiorców"
+            >
+              <FileSpreadsheet size={18} className="text-blue-600" />
+              <div className="px-2">
+                <span className="text-gray-900 font-sora text-[13px]">Sprawozdanie z obrotu alkoholem</span>
+              </div>
+            </div>
             <ClientSalesList refreshTrigger={invoicesRefreshTrigger} />
           </div>
         )}
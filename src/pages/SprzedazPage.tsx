@@ -1,11 +1,13 @@
 import React, { useEffect, useState, useMemo } from 'react';
-import { X, Plus, Minus, ArrowDownCircle } from 'lucide-react';
+import { X, Plus, Minus, ArrowDownCircle, FileDown, Send } from 'lucide-react';
 import { Tooltip } from 'react-tooltip';
 import { ProductSearch } from '../components/ProductSearch';
 import { OrderModal } from '../components/OrderModal';
 import { OrdersList } from '../components/OrdersList';
 import { InvoicesList } from '../components/InvoicesList';
 import { InvoiceModal } from '../components/InvoiceModal';
+import { JpkExportModal } from '../components/JpkExportModal';
+import { KsefQueueModal } from '../components/KsefQueueModal';
 import { ReservationsList } from '../components/ReservationsList';
 import { ReturnModal } from '../components/ReturnModal';
 import { WriteOffModal } from '../components/WriteOffModal';
@@ -48,6 +50,8 @@ export const SprzedazPage: React.FC<SprzedazPageProps> = ({
   const [showPrzychodModal, setShowPrzychodModal] = useState(false);
   const [isCreateReservationModalOpen, setIsCreateReservationModalOpen] = useState(false);
   const [isInvoiceModalOpen, setIsInvoiceModalOpen] = useState(false);
+  const [isJpkModalOpen, setIsJpkModalOpen] = useState(false);
+  const [isKsefQueueOpen, setIsKsefQueueOpen] = useState(false);
   const [analysisProducts, setAnalysisProducts] = useState<any[]>([]);
   const [analysisLoading, setAnalysisLoading] = useState(false);
   const [analysisError, setAnalysisError] = useState<string | null>(null);
@@ -199,6 +203,16 @@ export const SprzedazPage: React.FC<SprzedazPageProps> = ({
         }}
       />
 
+      <JpkExportModal
+        isOpen={isJpkModalOpen}
+        onClose={() => setIsJpkModalOpen(false)}
+      />
+
+      <KsefQueueModal
+        isOpen={isKsefQueueOpen}
+        onClose={() => setIsKsefQueueOpen(false)}
+      />
+
       <div className="flex flex-col gap-4 mt-4 w-full relative">
         <div className="flex">
           <button
@@ -540,11 +554,38 @@ export const SprzedazPage: React.FC<SprzedazPageProps> = ({
                   <span className="text-gray-900 font-sora text-[13px]">Dodaj fakturę</span>
                 </div>
               </div>
+              <div
+                className="inline-flex items-center cursor-pointer border border-transparent rounded-md px-2 py-1 hover:bg-gray-50 hover:border-gray-200 bg-white w-fit"
+                onClick={() => setIsJpkModalOpen(true)}
+              >
+                <button
+                  type="button"
+                  className="w-6 h-6 bg-blue-500 rounded-full flex items-center justify-center text-white"
+                  title="Eksport JPK"
+                >
+                  <FileDown size={14} />
+                </button>
+                <div className="px-2">
+                  <span className="text-gray-900 font-sora text-[13px]">Eksport JPK</span>
+                </div>
+              </div>
+              <div
+                className="inline-flex items-center cursor-pointer border border-transparent rounded-md px-2 py-1 hover:bg-gray-50 hover:border-gray-200 bg-white w-fit"
+                onClick={() => setIsKsefQueueOpen(true)}
+              >
+                <button
+                  type="button"
+                  className="w-6 h-6 bg-blue-500 rounded-full flex items-center justify-center text-white"
+                  title="Kolejka KSeF"
+                >
+                  <Send size={14} />
+                </button>
+                <div className="px-2">
+                  <span className="text-gray-900 font-sora text-[13px]">Kolejka KSeF</span>
+                </div>
+              </div>
             </div>
-            <InvoicesList
-              refreshTrigger={invoicesRefreshTrigger}
-              onInvoiceDeleted={onOrdersRefresh}
-            />
+            <InvoicesList refreshTrigger={invoicesRefreshTrigger} />
           </div>
         )}
 
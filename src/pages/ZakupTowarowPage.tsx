@@ -1,15 +1,23 @@
 import React, { useState } from 'react';
-import { FileSpreadsheet, Plus } from 'lucide-react';
+import { ClipboardList, FileSpreadsheet, Plus, Truck } from 'lucide-react';
 import { ExcelFileUploadModal } from '../components/ExcelFileUploadModal';
 import { ReplaceFileModal } from '../components/ReplaceFileModal';
 import { AddProductModal } from '../components/AddProductModal';
 import { ReceiptDetailsModal } from '../components/ReceiptDetailsModal';
 import { EditReceiptModal, EditReceiptSubmitResult } from '../components/EditReceiptModal';
 import { ProductReceiptsList } from '../components/ProductReceiptsList';
+import { PurchaseOrdersModal } from '../components/PurchaseOrdersModal';
+import { SuppliersModal } from '../components/SuppliersModal';
+import { SupplierPurchaseAnalysis } from '../components/SupplierPurchaseAnalysis';
+import { ReplenishmentView } from '../components/ReplenishmentView';
+import { ExciseRegisterView } from '../components/ExciseRegisterView';
+import { ExciseStampsView } from '../components/ExciseStampsView';
+import { ReceiptStampDraft } from '../types/ExciseStamp';
 import { DataTable } from '../components/DataTable';
 import { openExcelModal } from '../utils/modalUtils';
 import toast from 'react-hot-toast';
 import { Product } from '../types/Product';
+import { PurchaseOrderDraft, PurchaseOrderReceiptDraft } from '../types/PurchaseOrder';
 
 const API_URL = import.meta.env.PROD ? '' : (import.meta.env.VITE_API_URL || 'http://localhost:3001');
 
@@ -37,6 +45,7 @@ interface ProductReceipt {
     dataWaznosci?: string;
     typ?: string;
     objetosc?: number;
+    zawartosc_alkoholu?: number | null;
   }>;
   productInvoice?: string;
   transportInvoice?: string;
@@ -52,7 +61,7 @@ interface SheetData {
 
 interface ZakupTowarowPageProps {
   activeSubTab: string | null;
-  setActiveSubTab: (tab: 'przyjecie' | 'analiza' | 'kalendarz') => void;
+  setActiveSubTab: (tab: 'przyjecie' | 'analiza' | 'uzupelnianie' | 'akcyza' | 'banderole' | 'kalendarz') => void;
   productReceipts: ProductReceipt[];
   onReceiptsChange: (receipts: ProductReceipt[]) => void;
   onProductsChange: (products: Product[]) => void;
@@ -136,6 +145,10 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
   const [receiptToEdit, setReceiptToEdit] = useState<any>(null);
   const [isReceiptDetailsModalOpen, setIsReceiptDetailsModalOpen] = useState(false);
   const [selectedReceipt, setSelectedReceipt] = useState<ProductReceipt | null>(null);
+  const [isPurchaseOrdersModalOpen, setIsPurchaseOrdersModalOpen] = useState(false);
+  const [isSuppliersModalOpen, setIsSuppliersModalOpen] = useState(false);
+  const [orderDraft, setOrderDraft] = useState<PurchaseOrderDraft | null>(null);
+  const [purchaseOrderDraft, setPurchaseOrderDraft] = useState<PurchaseOrderReceiptDraft | null>(null);
 
   const handleAddProduct = async (data: {
     date: string;
@@ -156,15 +169,21 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
       dataWaznosci?: string;
       typ?: string;
       objetosc?: string;
+      zawartosc_alkoholu?: string;
     }>;
     productInvoice?: File | null;
     transportInvoice?: File | null;
+    purchaseOrderId?: number;
+    supplierId?: number;
+    banderole?: ReceiptStampDraft[];
   }) => {
     try {
       let response;
       if (data.productInvoice || data.transportInvoice) {
         const formData = new FormData();
         const jsonData = {
+          purchaseOrderId: data.purchaseOrderId,
+          supplierId: data.supplierId,
           date: data.date,
           sprzedawca: data.sprzedawca,
           wartosc: data.wartosc,
@@ -175,6 +194,7 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
           walutaFaktury: data.walutaFaktury,
           kursFaktury: data.kursFaktury,
           products: data.products,
+          banderole: data.banderole,
         };
         formData.append('data', JSON.stringify(jsonData));
         if (data.productInvoice) formData.append('productInvoice', data.productInvoice);
@@ -185,6 +205,8 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
+            purchaseOrderId: data.purchaseOrderId,
+            supplierId: data.supplierId,
             date: data.date,
             sprzedawca: data.sprzedawca,
             wartosc: data.wartosc,
@@ -195,10 +217,22 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
             walutaFaktury: data.walutaFaktury,
             kursFaktury: data.kursFaktury,
             products: data.products,
+            banderole: data.banderole,
           }),
         });
       }
 
+      // Braki banderol (wyroby powyżej 22% alkoholu) — komunikat serwera zamiast ogólnego
+      if (response.status === 422) {
+        const data = await response.json().catch(() => ({}));
+        const details = [
+          ...(data.braki || []).map((brak: { kod: string; brakuje: number }) => `${brak.kod}: brakuje ${brak.brakuje}`),
+          ...(data.errors || []),
+        ];
+        toast.error([data.error || 'Błąd zapisu przyjęcia', ...details].join(' — '));
+        return;
+      }
+
       if (!response.ok) {
         const errorText = await response.text();
         throw new Error(`Failed to save product receipt: ${response.status} - ${errorText}`);
@@ -225,6 +259,7 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
     id: number;
     date: string;
     sprzedawca: string;
+    supplierId?: number;
     wartosc: number;
     kosztDostawy: number;
     aktualnyKurs?: number | string;
@@ -241,9 +276,11 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
       dataWaznosci?: string;
       typ?: string;
       objetosc?: number;
+      zawartosc_alkoholu?: string;
     }>;
     productInvoice?: File | null;
     transportInvoice?: File | null;
+    banderole?: ReceiptStampDraft[];
   }): Promise<EditReceiptSubmitResult> => {
     try {
       let response;
@@ -252,6 +289,7 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
         const jsonData = {
           date: data.date,
           sprzedawca: data.sprzedawca,
+          supplierId: data.supplierId,
           wartosc: data.wartosc,
           kosztDostawy: data.kosztDostawy,
           aktualnyKurs: data.aktualnyKurs,
@@ -260,6 +298,7 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
           walutaFaktury: data.walutaFaktury,
           kursFaktury: data.kursFaktury,
           products: data.products,
+          banderole: data.banderole,
         };
         formData.append('data', JSON.stringify(jsonData));
         if (data.productInvoice) formData.append('productInvoice', data.productInvoice);
@@ -272,6 +311,7 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
           body: JSON.stringify({
             date: data.date,
             sprzedawca: data.sprzedawca,
+            supplierId: data.supplierId,
             wartosc: data.wartosc,
             kosztDostawy: data.kosztDostawy,
             aktualnyKurs: data.aktualnyKurs,
@@ -280,15 +320,30 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
             walutaFaktury: data.walutaFaktury,
             kursFaktury: data.kursFaktury,
             products: data.products,
+            banderole: data.banderole,
           }),
         });
       }
 
+      if (response.status === 422) {
+        const body = await response.json().catch(() => ({}));
+        const details = [
+          ...(body.braki || []).map((brak: { kod: string; brakuje: number }) => `${brak.kod}: brakuje ${brak.brakuje}`),
+          ...(body.errors || []),
+        ];
+        toast.error([body.error || 'Błąd zapisu przyjęcia', ...details].join(' — '));
+        return { ok: false };
+      }
+
       if (response.status === 409) {
         const body = await response.json().catch(() => ({}));
         if (body.error === 'kod_change_blocked' && Array.isArray(body.conflicts)) {
           return { ok: false, kodBlocked: { conflicts: body.conflicts, message: body.message } };
         }
+        if (body.error) {
+          toast.error(body.error);
+          return { ok: false };
+        }
       }
 
       if (!response.ok) throw new Error('Failed to update product receipt');
@@ -377,8 +432,32 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
 
       <AddProductModal
         isOpen={isAddProductModalOpen}
-        onClose={() => setIsAddProductModalOpen(false)}
+        onClose={() => {
+          setIsAddProductModalOpen(false);
+          setPurchaseOrderDraft(null);
+        }}
         onSubmit={handleAddProduct}
+        purchaseOrderDraft={purchaseOrderDraft}
+      />
+
+      <PurchaseOrdersModal
+        isOpen={isPurchaseOrdersModalOpen}
+        onClose={() => {
+          setIsPurchaseOrdersModalOpen(false);
+          setOrderDraft(null);
+        }}
+        orderDraft={orderDraft}
+        onCreateReceipt={(draft) => {
+          setPurchaseOrderDraft(draft);
+          setIsPurchaseOrdersModalOpen(false);
+          setOrderDraft(null);
+          setIsAddProductModalOpen(true);
+        }}
+      />
+
+      <SuppliersModal
+        isOpen={isSuppliersModalOpen}
+        onClose={() => setIsSuppliersModalOpen(false)}
       />
 
       <ReceiptDetailsModal
@@ -416,6 +495,30 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
           >
             Analiza zakupów
           </button>
+          <button
+            onClick={() => setActiveSubTab('uzupelnianie')}
+            className={`px-4 py-2 text-sm font-medium font-sora transition-colors ${
+              activeSubTab === 'uzupelnianie' ? 'text-blue-600' : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            Uzupełnianie zapasów
+          </button>
+          <button
+            onClick={() => setActiveSubTab('akcyza')}
+            className={`px-4 py-2 text-sm font-medium font-sora transition-colors ${
+              activeSubTab === 'akcyza' ? 'text-blue-600' : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            Rejestr akcyzy
+          </button>
+          <button
+            onClick={() => setActiveSubTab('banderole')}
+            className={`px-4 py-2 text-sm font-medium font-sora transition-colors ${
+              activeSubTab === 'banderole' ? 'text-blue-600' : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            Banderole
+          </button>
           <button
             onClick={() => setActiveSubTab('kalendarz')}
             className={`px-4 py-2 text-sm font-medium font-sora transition-colors ${
@@ -459,6 +562,34 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
                   <span className="text-gray-900 font-sora text-[13px]">Importuj plik</span>
                 </div>
               </div>
+              <div
+                className="inline-flex items-center cursor-pointer border border-transparent rounded-md px-2 py-1 hover:bg-gray-50 hover:border-gray-200 bg-white w-fit"
+                onClick={() => setIsPurchaseOrdersModalOpen(true)}
+              >
+                <button
+                  className="w-6 h-6 bg-indigo-500 rounded-full flex items-center justify-center text-white"
+                  title="Zamówienia zakupu"
+                >
+                  <ClipboardList size={16} />
+                </button>
+                <div className="px-2">
+                  <span className="text-gray-900 font-sora text-[13px]">Zamówienia zakupu</span>
+                </div>
+              </div>
+              <div
+                className="inline-flex items-center cursor-pointer border border-transparent rounded-md px-2 py-1 hover:bg-gray-50 hover:border-gray-200 bg-white w-fit"
+                onClick={() => setIsSuppliersModalOpen(true)}
+              >
+                <button
+                  className="w-6 h-6 bg-teal-500 rounded-full flex items-center justify-center text-white"
+                  title="Dostawcy"
+                >
+                  <Truck size={16} />
+                </button>
+                <div className="px-2">
+                  <span className="text-gray-900 font-sora text-[13px]">Dostawcy</span>
+                </div>
+              </div>
             </div>
             <ProductReceiptsList
               receipts={productReceipts}
@@ -470,11 +601,34 @@ export const ZakupTowarowPage: React.FC<ZakupTowarowPageProps> = ({
 
         {/* Analiza zakupów */}
         {activeSubTab === 'analiza' && (
-          <div className="flex flex-col gap-4">
-            <div className="bg-white p-6 rounded-lg border">
-              <h2 className="text-lg font-bold text-gray-900 font-sora mb-4">Analiza zakupów</h2>
-              <p className="text-gray-600 font-sora">Funkcja analizy zakupów będzie dostępna wkrótce.</p>
-            </div>
+          <div className="flex flex-col gap-4 mt-6">
+            <SupplierPurchaseAnalysis refreshTrigger={productReceipts.length} />
+          </div>
+        )}
+
+        {/* Uzupełnianie zapasów */}
+        {activeSubTab === 'uzupelnianie' && (
+          <div className="flex flex-col gap-4 mt-6">
+            <ReplenishmentView
+              onCreateOrder={(draft) => {
+                setOrderDraft(draft);
+                setIsPurchaseOrdersModalOpen(true);
+              }}
+            />
+          </div>
+        )}
+
+        {/* Rejestr akcyzy */}
+        {activeSubTab === 'akcyza' && (
+          <div className="flex flex-col gap-4 mt-6">
+            <ExciseRegisterView refreshTrigger={productReceipts.length} />
+          </div>
+        )}
+
+        {/* Banderole */}
+        {activeSubTab === 'banderole' && (
+          <div className="flex flex-col gap-4 mt-6">
+            <ExciseStampsView refreshTrigger={productReceipts.length} />
           </div>
         )}
 
@@ -1,8 +1,13 @@
+import { UserRole } from './utils/auth';
+
 export type AppTab = 'inventory' | 'clients' | 'orders' | 'inventoryStatus';
 
 export type AppSubTab =
   | 'przyjecie'
   | 'analiza'
+  | 'uzupelnianie'
+  | 'akcyza'
+  | 'banderole'
   | 'kalendarz'
   | 'wydanie'
   | 'rezerwacje'
@@ -18,6 +23,7 @@ export const HOME_PATH = '/';
 export const ZAKUP_PATH = '/zakup';
 export const KLIENCI_PATH = '/klienci';
 export const STANY_PATH = '/stany';
+export const LOGIN_PATH = '/login';
 export const PRE_ROUTED_TAB_KEY = 'preRoutedTab';
 
 const TAB_PATHS: Record<AppTab, string> = {
@@ -27,8 +33,19 @@ const TAB_PATHS: Record<AppTab, string> = {
   inventoryStatus: STANY_PATH,
 };
 
+// Zakładki widoczne dla ról (admin widzi wszystko); serwer i tak sprawdza uprawnienia
+const TAB_ROLES: Record<AppTab, readonly UserRole[]> = {
+  orders: ['magazyn', 'sprzedaż', 'podgląd'],
+  inventory: ['magazyn', 'podgląd'],
+  clients: ['sprzedaż', 'podgląd'],
+  inventoryStatus: ['magazyn', 'sprzedaż', 'podgląd'],
+};
+
+export const canAccessTab = (role: UserRole | undefined, tab: AppTab): boolean =>
+  role === 'admin' || (!!role && TAB_ROLES[tab].includes(role));
+
 const SUB_TABS_BY_TAB: Partial<Record<AppTab, readonly AppSubTab[]>> = {
-  inventory: ['przyjecie', 'analiza', 'kalendarz'],
+  inventory: ['przyjecie', 'analiza', 'uzupelnianie', 'akcyza', 'banderole', 'kalendarz'],
   clients: ['baza_klientow', 'sprzedaz_klientom'],
   orders: ['wydanie', 'rezerwacje', 'analiza_towarow', 'faktury', 'komis', 'analiza_wydan'],
 };
@@ -0,0 +1,89 @@
+// Zezwolenie klienta na obrót napojami alkoholowymi (GET /api/client-licences)
+export type KategoriaAlkoholu = 'A' | 'B' | 'C';
+
+export type RodzajZezwolenia = 'hurt' | 'detal' | 'gastronomia';
+
+export type StatusZezwolenia = 'wazne' | 'wygasle' | 'przyszle';
+
+export interface ClientLicence {
+  id: number;
+  client_id: number;
+  klient: string;
+  numer: string;
+  rodzaj: RodzajZezwolenia;
+  kategorie: string;
+  data_od: string | null;
+  data_do: string;
+  skan: string | null;
+  skan_nazwa: string | null;
+  uwagi: string | null;
+  status: StatusZezwolenia;
+}
+
+export interface ExpiringLicence {
+  id: number;
+  client_id: number;
+  klient: string;
+  email: string | null;
+  telefon: string | null;
+  numer: string;
+  rodzaj: RodzajZezwolenia;
+  kategorie: string;
+  data_od: string | null;
+  data_do: string;
+  skan: string | null;
+  skan_nazwa: string | null;
+  dni_do_konca: number;
+  wygasle: boolean;
+}
+
+// Odpowiedź 409 z POST /api/orders i /api/invoices
+export interface LicenceViolation {
+  kod: string;
+  nazwa: string;
+  kategoria: KategoriaAlkoholu;
+  komunikat: string;
+}
+
+export const KATEGORIE_ALKOHOLU: KategoriaAlkoholu[] = ['A', 'B', 'C'];
+
+export const KATEGORIE_ALKOHOLU_LABELS: Record<KategoriaAlkoholu, string> = {
+  A: 'do 4,5% oraz piwo',
+  B: 'powyżej 4,5% do 18% (z wyjątkiem piwa)',
+  C: 'powyżej 18%',
+};
+
+export const RODZAJE_ZEZWOLEN_LABELS: Record<RodzajZezwolenia, string> = {
+  hurt: 'Obrót hurtowy',
+  detal: 'Sprzedaż detaliczna',
+  gastronomia: 'Gastronomia',
+};
+
+// Sprawozdanie z obrotu hurtowego (GET /api/alcohol-turnover?rok=)
+export type OdbiorcaObrotu = RodzajZezwolenia | 'bez_zezwolenia';
+
+export interface AlcoholTurnoverRow extends Record<KategoriaAlkoholu, number> {
+  odbiorca: OdbiorcaObrotu;
+  opis: string;
+  razem: number;
+}
+
+export interface AlcoholTurnoverProduct {
+  kod: string;
+  nazwa: string;
+  kategoria: KategoriaAlkoholu;
+  zawartosc_alkoholu: number | null;
+  objetosc: number;
+  sztuki: number;
+  litry: number;
+}
+
+export interface AlcoholTurnoverReport {
+  rok: number;
+  kategorie: { kategoria: KategoriaAlkoholu; opis: string }[];
+  wiersze: AlcoholTurnoverRow[];
+  razem: Record<KategoriaAlkoholu, number> & { razem: number };
+  pozycje: AlcoholTurnoverProduct[];
+  bez_objetosci: { kod: string; nazwa: string; sztuki: number }[];
+  bez_zawartosci: string[];
+}
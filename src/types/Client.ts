@@ -0,0 +1,19 @@
+export interface ClientDeliveryAddress {
+  id?: number;
+  nazwa: string | null;
+  adres: string;
+  domyslny: boolean | number;
+}
+
+// Dane kontrahenta używane przy wystawianiu faktur
+export interface ClientMasterData {
+  nip?: string | null;
+  vat_ue?: string | null;
+  email?: string | null;
+  telefon?: string | null;
+  termin_platnosci_dni?: number | null;
+  rabat_domyslny?: number | null;
+  // Klient bez kontroli zezwoleń na alkohol przy zamówieniach i fakturach
+  zezwolenie_niewymagane?: boolean | number;
+  adresy_dostawy?: ClientDeliveryAddress[];
+}
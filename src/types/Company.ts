@@ -0,0 +1,24 @@
+// Firma (GET /api/companies); przyjęcia, zamówienia, faktury, rezerwacje, zamówienia
+// zakupu i kartoteki towarów należą do jednej firmy przez company_id
+export interface Company {
+  id: number;
+  nazwa: string;
+  skrot: string | null;
+  nip: string | null;
+  adres: string | null;
+  bank: string | null;
+  konto: string | null;
+  miejsce_wystawienia: string | null;
+  kod_urzedu: string | null;
+  wojewodztwo: string | null;
+  powiat: string | null;
+  gmina: string | null;
+  email: string | null;
+  seria_faktur: string;
+  seria_korekt: string;
+  aliasy: string | null;
+  aktywna: number;
+  logo_typ: string | null;
+  ma_logo: number;
+  dokumenty_liczba: number;
+}
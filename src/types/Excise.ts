@@ -0,0 +1,57 @@
+// Rejestr akcyzy (GET /api/excise/register)
+export interface ExciseReceiptRow {
+  receipt_id: number;
+  data: string;
+  sprzedawca: string;
+  stawka: number;
+  sztuki: number;
+  litry: number;
+  akcyza: number;
+}
+
+export interface ExciseProductRow {
+  kod: string;
+  nazwa: string;
+  sztuki: number;
+  litry: number;
+  akcyza: number;
+}
+
+// do_zaplaty > 0 — niedopłata, < 0 — nadpłata
+export interface ExcisePeriodRow {
+  okres: string;
+  naliczona: number;
+  zaplacona: number;
+  do_zaplaty: number;
+}
+
+export interface ExcisePayment {
+  id: number;
+  okres: string;
+  data_zaplaty: string;
+  kwota: number;
+  dokument: string | null;
+  uwagi: string | null;
+}
+
+export interface ExciseStockRow {
+  kod: string;
+  nazwa: string;
+  ilosc: number;
+  akcyza: number;
+}
+
+export interface ExciseRegister {
+  zakres: { od: string | null; do: string | null };
+  przyjecia: ExciseReceiptRow[];
+  towary: ExciseProductRow[];
+  okresy: ExcisePeriodRow[];
+  platnosci: ExcisePayment[];
+  zapas: ExciseStockRow[];
+  podsumowanie: {
+    naliczona: number;
+    zaplacona: number;
+    do_zaplaty: number;
+    w_zapasie: number;
+  };
+}
@@ -0,0 +1,124 @@
+// Banderole (podatkowe znaki akcyzy) — /api/excise-stamps
+export const PROG_BANDEROLI = 22;
+
+export type RodzajUzyciaBanderol = 'naklejona' | 'uszkodzona' | 'zwrocona';
+
+export const RODZAJE_UZYCIA_LABELS: Record<RodzajUzyciaBanderol, string> = {
+  naklejona: 'Naklejone',
+  uszkodzona: 'Uszkodzone',
+  zwrocona: 'Zwrócone',
+};
+
+export interface StampRange {
+  seria: string;
+  numer_od: number;
+  numer_do: number;
+  ilosc: number;
+}
+
+export interface ExciseStampRoll {
+  id: number;
+  seria: string;
+  numer_od: number;
+  numer_do: number;
+  data_przyjecia: string;
+  dokument: string | null;
+  uwagi: string | null;
+  ilosc: number;
+  naklejone: number;
+  uszkodzone: number;
+  zwrocone: number;
+  wolne: number;
+  wolne_zakresy: StampRange[];
+  wykorzystania: number;
+}
+
+export interface ExciseStampStock {
+  rolki: ExciseStampRoll[];
+  podsumowanie: { rolki: number; wolne: number };
+}
+
+export interface ExciseStampUsage {
+  id: number;
+  roll_id: number;
+  rodzaj: RodzajUzyciaBanderol;
+  seria: string;
+  numer_od: number;
+  numer_do: number;
+  ilosc: number;
+  data: string;
+  receipt_id: number | null;
+  kod: string | null;
+  uwagi: string | null;
+}
+
+// Pozycja przyjęcia bez kompletu banderol
+export interface ReceiptStampShortage {
+  receipt_id: number;
+  data: string;
+  sprzedawca: string;
+  kod: string;
+  nazwa: string;
+  ilosc: number;
+  przydzielone: number;
+  brakuje: number;
+}
+
+export interface StampUsageRow {
+  seria: string;
+  stan_poczatkowy: number;
+  przyjete: number;
+  naklejone: number;
+  uszkodzone: number;
+  zwrocone: number;
+  stan_koncowy: number;
+}
+
+export interface StampUsageReport {
+  okres: string;
+  wiersze: StampUsageRow[];
+  razem: Omit<StampUsageRow, 'seria'>;
+  rolki: Array<Omit<ExciseStampRoll, 'naklejone' | 'uszkodzone' | 'zwrocone' | 'wolne' | 'wolne_zakresy' | 'wykorzystania'>>;
+  pozycje: ExciseStampUsage[];
+  braki: ReceiptStampShortage[];
+}
+
+// Zakres banderol wpisany w formularzu przyjęcia
+export interface ReceiptStampDraft {
+  kod: string;
+  seria: string;
+  numer_od: string;
+  numer_do: string;
+}
+
+export interface ReceiptStampRequirement {
+  kod: string;
+  nazwa: string;
+  zawartosc_alkoholu: number | null;
+  ilosc: number;
+  przydzielone: number;
+  brakuje?: number;
+}
+
+// POST /api/excise-stamps/check
+export interface ReceiptStampCheck {
+  wymagane: ReceiptStampRequirement[];
+  braki: Array<ReceiptStampRequirement & { brakuje: number }>;
+  errors: string[];
+  /** Kody napojów alkoholowych bez zawartości alkoholu (w pozycji ani w kartotece) */
+  bez_zawartosci: string[];
+  podpowiedzi: Record<string, StampRange[]>;
+}
+
+// GET /api/excise-stamps/receipts/:id
+export interface ReceiptStamps {
+  receipt_id: number;
+  data: string;
+  pozycje: Array<ReceiptStampRequirement & {
+    brakuje: number;
+    zakresy: Array<{ id: number; seria: string; numer_od: number; numer_do: number; ilosc: number; kod: string }>;
+  }>;
+}
+
+export const formatStampRange = (range: { seria: string; numer_od: number; numer_do: number }) =>
+  range.numer_od === range.numer_do ? `${range.seria} ${range.numer_od}` : `${range.seria} ${range.numer_od}–${range.numer_do}`;
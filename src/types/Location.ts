@@ -0,0 +1,20 @@
+// Lokalizacja magazynowa (magazyn główny, operator WMS, klient komisowy)
+export type LocationTyp = 'magazyn' | 'wms' | 'komis';
+
+export interface StockLocation {
+  id: number;
+  kod: string;
+  nazwa: string;
+  typ: LocationTyp;
+  client_id: number | null;
+  klient: string | null;
+  aktywna: number;
+  ilosc: number;
+  partie: number;
+}
+
+export const LOCATION_TYP_LABELS: Record<LocationTyp, string> = {
+  magazyn: 'Magazyn',
+  wms: 'Operator WMS',
+  komis: 'Komis',
+};
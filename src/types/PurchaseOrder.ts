@@ -0,0 +1,104 @@
+import { WalutaFaktury } from '../utils/receiptCurrency';
+
+// Zamówienie zakupu u dostawcy; status wynika z realizacji przez powiązane przyjęcia
+export type PurchaseOrderStatus = 'otwarte' | 'częściowo_przyjęte' | 'przyjęte' | 'zamknięte' | 'anulowane';
+
+export interface PurchaseOrderItem {
+  id?: number;
+  kod: string;
+  nazwa: string;
+  kod_kreskowy: string | null;
+  ilosc: number;
+  cena: number;
+  ilosc_przyjeta: number;
+  ilosc_pozostala: number;
+}
+
+export interface PurchaseOrder {
+  id: number;
+  numer: string;
+  sprzedawca: string;
+  supplier_id: number | null;
+  waluta: WalutaFaktury;
+  data_zamowienia: string;
+  data_dostawy: string | null;
+  uwagi: string | null;
+  zamkniete: number;
+  status: PurchaseOrderStatus;
+  pozycje: PurchaseOrderItem[];
+  poza_zamowieniem: Array<{ kod: string; ilosc: number }>;
+  podsumowanie: { pozycje: number; ilosc: number; ilosc_przyjeta: number; ilosc_pozostala: number; wartosc: number };
+  przyjecia?: Array<{ id: number; dataPrzyjecia: string; wartosc: number; waluta_faktury: string }>;
+  przyjecia_liczba?: number;
+}
+
+// Szkic przyjęcia z pozostałych ilości (GET /api/purchase-orders/:id/receipt-draft)
+export interface PurchaseOrderReceiptDraft {
+  purchase_order_id: number;
+  numer: string;
+  sprzedawca: string;
+  supplier_id: number | null;
+  waluta: WalutaFaktury;
+  products: Array<{
+    kod: string;
+    nazwa: string;
+    kod_kreskowy: string;
+    ilosc: number;
+    ilosc_zamowiona: number;
+    cena: number;
+    typ: string;
+    objetosc: string;
+  }>;
+}
+
+// Szkic nowego zamówienia (np. z sugerowanych zamówień) — otwiera formularz PurchaseOrdersModal
+export interface PurchaseOrderDraft {
+  sprzedawca: string;
+  supplier_id: number | null;
+  waluta: WalutaFaktury;
+  pozycje: Array<{ kod: string; nazwa: string; kod_kreskowy: string | null; ilosc: number; cena: number | null }>;
+}
+
+export interface PriceVarianceRow {
+  purchase_order_id: number;
+  numer_zamowienia: string;
+  sprzedawca: string;
+  receipt_id: number;
+  data_przyjecia: string;
+  kod: string;
+  nazwa: string;
+  ilosc: number;
+  waluta: WalutaFaktury;
+  cena_zamowienia: number;
+  waluta_faktury: string;
+  cena_faktury: number;
+  cena_przyjecia: number | null;
+  roznica: number | null;
+  roznica_proc: number | null;
+  wartosc_roznicy: number | null;
+}
+
+export interface PriceVarianceReport {
+  pozycje: PriceVarianceRow[];
+  podsumowanie: {
+    pozycje: number;
+    bez_kursu: number;
+    waluty: Array<{ waluta: WalutaFaktury; pozycje: number; drozej: number; taniej: number; wartosc_roznicy: number }>;
+  };
+}
+
+export const PURCHASE_ORDER_STATUS_LABELS: Record<PurchaseOrderStatus, string> = {
+  otwarte: 'Otwarte',
+  'częściowo_przyjęte': 'Częściowo przyjęte',
+  'przyjęte': 'Przyjęte',
+  'zamknięte': 'Zamknięte',
+  anulowane: 'Anulowane',
+};
+
+export const PURCHASE_ORDER_STATUS_COLORS: Record<PurchaseOrderStatus, string> = {
+  otwarte: 'bg-blue-50 text-blue-700',
+  'częściowo_przyjęte': 'bg-amber-50 text-amber-700',
+  'przyjęte': 'bg-green-50 text-green-700',
+  'zamknięte': 'bg-gray-100 text-gray-700',
+  anulowane: 'bg-gray-100 text-gray-500',
+};
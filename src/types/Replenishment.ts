@@ -0,0 +1,49 @@
+import { WalutaFaktury } from '../utils/receiptCurrency';
+
+export type CzasDostawyZrodlo = 'produkt' | 'dostawca' | 'domyślny';
+
+// Pozycja sugerowanego zamówienia (GET /api/replenishment/suggestions)
+export interface ReplenishmentLine {
+  kod: string;
+  nazwa: string;
+  kod_kreskowy: string | null;
+  ilosc: number;
+  zarezerwowane: number;
+  komis: number;
+  zamowione: number;
+  dostepne: number;
+  srednie_zuzycie: number;
+  czas_dostawy_dni: number;
+  czas_dostawy_zrodlo: CzasDostawyZrodlo;
+  czas_dostawy_produktu: number | null;
+  zapas_bezpieczenstwa: number;
+  punkt_zamowienia: number;
+  poziom_docelowy: number;
+  dni_zapasu: number | null;
+  data_wyczerpania: string | null;
+  zamowic_do: string | null;
+  sugerowana_ilosc: number;
+  cena: number | null;
+  waluta: WalutaFaktury | null;
+  wartosc: number | null;
+}
+
+export interface ReplenishmentSupplierGroup {
+  supplier_id: number | null;
+  nazwa: string;
+  waluta: WalutaFaktury | null;
+  pozycje: ReplenishmentLine[];
+  podsumowanie: { pozycje: number; ilosc: number; wartosc: number; bez_ceny: number };
+}
+
+export interface ReplenishmentSuggestions {
+  parametry: { okres_pokrycia_dni: number; domyslny_czas_dostawy_dni: number; data: string };
+  dostawcy: ReplenishmentSupplierGroup[];
+  podsumowanie: { dostawcy: number; pozycje: number; ilosc: number };
+}
+
+export const CZAS_DOSTAWY_ZRODLO_LABELS: Record<CzasDostawyZrodlo, string> = {
+  produkt: 'ustawiony dla produktu',
+  dostawca: 'z kartoteki dostawcy',
+  'domyślny': 'domyślny',
+};
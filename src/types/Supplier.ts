@@ -0,0 +1,48 @@
+import { WalutaFaktury } from '../utils/receiptCurrency';
+
+// Kartoteka dostawców; przyjęcia, kartoteki produktów i zamówienia zakupu wskazują
+// dostawcę przez supplier_id; sprzedawca dokumentu to tekst z dokumentu, a w kartotece
+// produktów — kopia nazwy
+export interface Supplier {
+  id: number;
+  nazwa: string;
+  nip: string | null;
+  vat_ue: string | null;
+  kraj: string | null;
+  waluta: WalutaFaktury;
+  termin_platnosci_dni: number | null;
+  czas_dostawy_dni: number | null;
+  osoba_kontaktowa: string | null;
+  email: string | null;
+  telefon: string | null;
+  adres: string | null;
+  uwagi: string | null;
+  aktywny: number;
+  przyjecia_liczba: number;
+  ostatnia_dostawa: string | null;
+  produkty_liczba: number;
+  zamowienia_liczba: number;
+}
+
+// Analiza zakupów (GET /api/suppliers/analysis); wartości netto po rabacie, w PLN
+export interface SupplierPurchaseRow {
+  supplier_id: number | null;
+  nazwa: string;
+  kraj: string | null;
+  waluta: WalutaFaktury | null;
+  przyjecia: number;
+  bez_kursu: number;
+  ilosc: number;
+  wartosc_pln: number;
+  srednia_wartosc_pln: number;
+  udzial_proc: number;
+  pierwsza_dostawa: string | null;
+  ostatnia_dostawa: string | null;
+  produkty_liczba: number;
+  top_produkty: Array<{ kod: string; nazwa: string; ilosc: number; wartosc_pln: number }>;
+}
+
+export interface SupplierPurchaseAnalysis {
+  dostawcy: SupplierPurchaseRow[];
+  podsumowanie: { dostawcy: number; przyjecia: number; bez_kursu: number; ilosc: number; wartosc_pln: number };
+}
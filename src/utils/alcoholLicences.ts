@@ -0,0 +1,24 @@
+import { LicenceViolation } from '../types/AlcoholLicence';
+
+interface LicenceCheckResponse {
+  error?: string;
+  naruszenia?: LicenceViolation[];
+  mozna_potwierdzic?: boolean;
+}
+
+export function isLicenceCheckResponse(status: number, data: LicenceCheckResponse): boolean {
+  return status === 409 && Array.isArray(data.naruszenia);
+}
+
+export function licenceViolationsText(data: LicenceCheckResponse): string {
+  return [data.error, ...(data.naruszenia || []).map((item) => `• ${item.komunikat}`)].filter(Boolean).join('\n');
+}
+
+/**
+ * Serwer odrzucił dokument z powodu zezwoleń klienta (409). W trybie ostrzeżenia
+ * pytamy użytkownika — true oznacza ponowne wysłanie z zezwolenie_potwierdzone.
+ */
+export function confirmLicenceViolations(data: LicenceCheckResponse): boolean {
+  if (!data.mozna_potwierdzic) return false;
+  return window.confirm(`${licenceViolationsText(data)}\n\nCzy mimo to zapisać dokument?`);
+}
@@ -0,0 +1,71 @@
+import { API_URL } from '../config';
+
+export type UserRole = 'admin' | 'magazyn' | 'sprzedaż' | 'podgląd';
+
+export interface AuthUser {
+  id: number;
+  login: string;
+  imie_nazwisko: string | null;
+  rola: UserRole;
+}
+
+export const USER_ROLES: UserRole[] = ['admin', 'magazyn', 'sprzedaż', 'podgląd'];
+
+export const ROLE_LABELS: Record<UserRole, string> = {
+  admin: 'Administrator',
+  magazyn: 'Magazyn',
+  'sprzedaż': 'Sprzedaż',
+  'podgląd': 'Podgląd',
+};
+
+const TOKEN_KEY = 'authToken';
+
+// Wysyłane, gdy serwer odrzuci sesję (401) — AuthProvider wylogowuje użytkownika
+export const AUTH_EXPIRED_EVENT = 'auth:expired';
+
+export function getAuthToken(): string | null {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setAuthToken(token: string | null): void {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+}
+
+// Token trafia tylko do naszego backendu (ten sam origin lub API_URL), nigdy do zewnętrznych API
+function isBackendRequest(url: string): boolean {
+  try {
+    const target = new URL(url, window.location.origin);
+    const backendOrigins = [window.location.origin];
+    if (API_URL) backendOrigins.push(new URL(API_URL).origin);
+    return backendOrigins.includes(target.origin) && /^\/(api|uploads)\//.test(target.pathname);
+  } catch {
+    return false;
+  }
+}
+
+// Dokleja nagłówek Authorization do wszystkich wywołań fetch backendu,
+// dzięki czemu istniejące komponenty nie muszą przekazywać tokenu same.
+export function installAuthFetch(): void {
+  const originalFetch = window.fetch.bind(window);
+  window.fetch = async (input: RequestInfo | URL, init?: RequestInit) => {
+    const url = typeof input === 'string' ? input : input instanceof URL ? input.href : input.url;
+    if (!isBackendRequest(url)) {
+      return originalFetch(input, init);
+    }
+
+    const headers = new Headers(init?.headers ?? (input instanceof Request ? input.headers : undefined));
+    const token = getAuthToken();
+    if (token && !headers.has('Authorization')) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+    const response = await originalFetch(input, { ...init, headers });
+    if (response.status === 401 && !url.includes('/api/auth/login')) {
+      window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+    }
+    return response;
+  };
+}
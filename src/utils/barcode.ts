@@ -0,0 +1,55 @@
+// Walidacja kodów kreskowych EAN-8 / EAN-13 — ta sama logika co server/barcodes.js
+
+export interface BarcodeProduct {
+  id: number;
+  kod: string;
+  nazwa: string;
+  kod_kreskowy: string | null;
+  ilosc: number;
+  typ: string | null;
+  objetosc: string | number | null;
+  zawartosc_alkoholu: number | null;
+  sprzedawca: string | null;
+  cena_sprzedazy: number | null;
+}
+
+export function normalizeBarcode(value: string | null | undefined): string {
+  return String(value ?? '').replace(/\s+/g, '');
+}
+
+function hasValidCheckDigit(code: string): boolean {
+  const digits = code.split('').map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === checkDigit;
+}
+
+/** null — kod poprawny (lub pusty), w przeciwnym razie komunikat błędu. */
+export function barcodeError(value: string | null | undefined): string | null {
+  const code = normalizeBarcode(value);
+  if (!code) return null;
+  if (!/^\d+$/.test(code) || (code.length !== 8 && code.length !== 13)) {
+    return `Kod kreskowy "${code}" musi mieć 8 lub 13 cyfr (EAN-8 / EAN-13)`;
+  }
+  if (!hasValidCheckDigit(code)) {
+    return `Kod kreskowy "${code}" ma niepoprawną cyfrę kontrolną`;
+  }
+  return null;
+}
+
+/**
+ * Pierwszy błąd walidacji wśród nowych kodów. Kody już znane w bazie (np. wewnętrzne,
+ * sprzed walidacji) są akceptowane — tak samo jak na serwerze.
+ */
+export async function findBarcodeValidationError(codes: Array<string | null | undefined>): Promise<string | null> {
+  const unique = [...new Set(codes.map(normalizeBarcode).filter(Boolean))];
+  for (const code of unique) {
+    const error = barcodeError(code);
+    if (!error) continue;
+    const response = await fetch(`/api/working-sheets/by-barcode/${encodeURIComponent(code)}`);
+    if (response.status === 404) return error;
+  }
+  return null;
+}
@@ -0,0 +1,66 @@
+import { useEffect, useState } from 'react';
+import { WalutaFakturySelection, isWalutaSelected, parsePlNumber } from './receiptCurrency';
+
+/** Kursy NBP dla przyjęcia w standardzie "1 EUR = X waluty" (jak w DB). */
+export interface NbpReceiptKurs {
+  data: string;
+  waluta: string;
+  aktualny_kurs: number;
+  kurs_faktury: number;
+  data_tabeli: string;
+  numer_tabeli: string;
+}
+
+/** Kurs z ostatniego dnia roboczego przed datą faktury (tabela A NBP). */
+export async function fetchNbpReceiptKurs(date: string, waluta: string): Promise<NbpReceiptKurs | null> {
+  const params = new URLSearchParams({ data: date, waluta });
+  const response = await fetch(`/api/exchange-rates/receipt?${params.toString()}`);
+  if (response.status === 404) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data as NbpReceiptKurs;
+}
+
+/** Czy wartość z formularza różni się od kursu NBP (ręczna korekta). */
+export function isKursOverridden(displayValue: string, nbpValue: number | null | undefined): boolean {
+  if (nbpValue == null || !String(displayValue ?? '').trim()) return false;
+  return Math.abs(parsePlNumber(displayValue) - nbpValue) > 0.001;
+}
+
+/** Pobiera kurs NBP przy każdej zmianie daty faktury lub waluty. */
+export function useNbpReceiptKurs(date: Date | null, waluta: WalutaFakturySelection) {
+  const [kurs, setKurs] = useState<NbpReceiptKurs | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const dateKey = date ? date.toLocaleDateString('en-CA') : '';
+
+  useEffect(() => {
+    setKurs(null);
+    setError(null);
+    if (!dateKey || !isWalutaSelected(waluta)) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    fetchNbpReceiptKurs(dateKey, waluta)
+      .then((result) => {
+        if (cancelled) return;
+        setKurs(result);
+        if (!result) setError('Brak kursu NBP dla tej daty');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Error loading NBP rate:', err);
+        setError(err instanceof Error ? err.message : 'Nie udało się pobrać kursu NBP');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [dateKey, waluta]);
+
+  return { kurs, isLoading, error };
+}
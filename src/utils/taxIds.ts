@@ -0,0 +1,59 @@
+// Walidacja NIP / VAT UE — ta sama logika co server/taxIds.js
+
+const NIP_WEIGHTS = [6, 5, 7, 2, 3, 4, 5, 6, 7];
+
+export function normalizeNip(value: string | null | undefined): string {
+  return String(value || '').toUpperCase().replace(/^PL/, '').replace(/[^0-9]/g, '');
+}
+
+export function isValidNip(value: string | null | undefined): boolean {
+  const nip = normalizeNip(value);
+  if (!/^\d{10}$/.test(nip)) return false;
+  const sum = NIP_WEIGHTS.reduce((acc, weight, idx) => acc + weight * Number(nip[idx]), 0);
+  const control = sum % 11;
+  return control !== 10 && control === Number(nip[9]);
+}
+
+const VAT_UE_FORMATS: Record<string, RegExp> = {
+  AT: /^U\d{8}$/,
+  BE: /^[01]\d{9}$/,
+  BG: /^\d{9,10}$/,
+  CY: /^\d{8}[A-Z]$/,
+  CZ: /^\d{8,10}$/,
+  DE: /^\d{9}$/,
+  DK: /^\d{8}$/,
+  EE: /^\d{9}$/,
+  EL: /^\d{9}$/,
+  ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^\d{8}$/,
+  FR: /^[A-Z0-9]{2}\d{9}$/,
+  HR: /^\d{11}$/,
+  HU: /^\d{8}$/,
+  IE: /^\d{7}[A-Z]{1,2}$|^\d[A-Z+*]\d{5}[A-Z]$/,
+  IT: /^\d{11}$/,
+  LT: /^(\d{9}|\d{12})$/,
+  LU: /^\d{8}$/,
+  LV: /^\d{11}$/,
+  MT: /^\d{8}$/,
+  NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/,
+  PT: /^\d{9}$/,
+  RO: /^\d{2,10}$/,
+  SE: /^\d{12}$/,
+  SI: /^\d{8}$/,
+  SK: /^\d{10}$/,
+  XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+};
+
+export function normalizeVatUe(value: string | null | undefined): string {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9+*]/g, '');
+}
+
+export function isValidVatUe(value: string | null | undefined): boolean {
+  const vat = normalizeVatUe(value);
+  const country = vat.slice(0, 2);
+  const number = vat.slice(2);
+  const format = VAT_UE_FORMATS[country];
+  if (!format || !format.test(number)) return false;
+  return country === 'PL' ? isValidNip(number) : true;
+}